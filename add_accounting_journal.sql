@@ -0,0 +1,58 @@
+-- Comptabilité en partie double (voir utils/accounting.js)
+-- Plan de comptes de l'entreprise ; sans ligne ici, le plan SYSCOHADA par
+-- défaut de utils/accounting.js s'applique
+CREATE TABLE IF NOT EXISTS chart_of_accounts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  code VARCHAR(20) NOT NULL,
+  name VARCHAR(191) NOT NULL,
+  account_class TINYINT NOT NULL COMMENT 'Classe SYSCOHADA (1 à 9)',
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NULL,
+  updated_at DATETIME NULL,
+  UNIQUE KEY uq_chart_of_accounts_code (company_id, code)
+);
+
+-- Compte utilisé pour chaque rôle comptable (ventes, clients, caisse...),
+-- ou pour une catégorie de dépense / un mode de paiement précis
+CREATE TABLE IF NOT EXISTS account_mappings (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  mapping_key VARCHAR(64) NOT NULL COMMENT 'sales, customers, expense_category:12, payment_mode:3...',
+  account_code VARCHAR(20) NOT NULL,
+  created_at DATETIME NULL,
+  updated_at DATETIME NULL,
+  UNIQUE KEY uq_account_mappings_key (company_id, mapping_key)
+);
+
+-- Écritures générées par les opérations (vente, achat, retour, paiement,
+-- dépense, production) : une écriture par document source
+CREATE TABLE IF NOT EXISTS journal_entries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  warehouse_id INT NULL,
+  journal_code VARCHAR(10) NOT NULL COMMENT 'VT, AC, TR, OD',
+  entry_date DATE NOT NULL,
+  reference VARCHAR(100) NULL COMMENT 'Numéro du document source',
+  description VARCHAR(255) NULL,
+  source_type VARCHAR(30) NOT NULL COMMENT 'order, payment, expense, production_log',
+  source_id INT NOT NULL,
+  total DECIMAL(15,2) NOT NULL DEFAULT 0,
+  created_at DATETIME NULL,
+  KEY idx_journal_entries_source (company_id, source_type, source_id),
+  KEY idx_journal_entries_date (company_id, entry_date)
+);
+
+CREATE TABLE IF NOT EXISTS journal_entry_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  journal_entry_id INT NOT NULL,
+  account_code VARCHAR(20) NOT NULL,
+  user_id INT NULL COMMENT 'Tiers (compte auxiliaire client / fournisseur)',
+  label VARCHAR(255) NULL,
+  debit DECIMAL(15,2) NOT NULL DEFAULT 0,
+  credit DECIMAL(15,2) NOT NULL DEFAULT 0,
+  KEY idx_journal_entry_lines_entry (journal_entry_id),
+  KEY idx_journal_entry_lines_account (account_code),
+  CONSTRAINT fk_journal_entry_lines_entry FOREIGN KEY (journal_entry_id)
+    REFERENCES journal_entries (id) ON DELETE CASCADE
+);
@@ -0,0 +1,54 @@
+-- Avoirs émis sur les retours de vente (voir utils/creditNotes.js)
+CREATE TABLE IF NOT EXISTS credit_notes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  credit_note_number VARCHAR(50) NOT NULL,
+  company_id INT NOT NULL,
+  warehouse_id INT NULL,
+  user_id INT NOT NULL COMMENT 'Client',
+  return_order_id INT NOT NULL COMMENT 'Retour de vente (orders.order_type = sales_return)',
+  original_order_id INT NULL COMMENT 'Facture d''origine',
+  date DATE NOT NULL,
+  amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+  refunded_amount DECIMAL(15,2) NOT NULL DEFAULT 0 COMMENT 'Remboursé en espèces',
+  applied_amount DECIMAL(15,2) NOT NULL DEFAULT 0 COMMENT 'Imputé sur des factures',
+  status VARCHAR(20) NOT NULL DEFAULT 'open' COMMENT 'open, partially_used, used, cancelled',
+  created_at DATETIME NULL,
+  updated_at DATETIME NULL,
+  UNIQUE KEY uq_credit_notes_number (credit_note_number),
+  KEY idx_credit_notes_customer (company_id, user_id, status),
+  KEY idx_credit_notes_return (return_order_id)
+);
+
+-- Utilisations d'un avoir : remboursement (payment_id) ou imputation sur une
+-- facture (order_id + ligne order_payments créée)
+CREATE TABLE IF NOT EXISTS credit_note_allocations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  credit_note_id INT NOT NULL,
+  allocation_type VARCHAR(20) NOT NULL COMMENT 'refund, invoice',
+  payment_id INT NULL,
+  order_id INT NULL,
+  order_payment_id INT NULL,
+  amount DECIMAL(15,2) NOT NULL,
+  created_at DATETIME NULL,
+  KEY idx_credit_note_allocations_note (credit_note_id),
+  KEY idx_credit_note_allocations_payment (payment_id),
+  KEY idx_credit_note_allocations_order (order_id)
+);
+
+-- Une imputation d'avoir est une ligne order_payments sans paiement
+SET @dbname = DATABASE();
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = 'order_payments')
+      AND (COLUMN_NAME = 'payment_id')
+      AND (IS_NULLABLE = 'NO')
+  ) = 0,
+  "SELECT 'La colonne order_payments.payment_id accepte déjà NULL' AS message;",
+  "ALTER TABLE order_payments MODIFY COLUMN payment_id INT NULL;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
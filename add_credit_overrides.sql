@@ -0,0 +1,18 @@
+-- Dérogations au contrôle du crédit client (plafond / factures en retard),
+-- voir utils/creditControl.js
+CREATE TABLE IF NOT EXISTS credit_overrides (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  order_id INT NULL COMMENT 'Vente accordée par dérogation',
+  user_id INT NOT NULL COMMENT 'Client',
+  approved_by INT NULL COMMENT 'Utilisateur ayant autorisé la vente',
+  reason VARCHAR(500) NOT NULL,
+  reason_codes VARCHAR(100) NULL COMMENT 'credit_limit_exceeded, overdue_invoices',
+  credit_limit DECIMAL(15,2) NULL,
+  outstanding DECIMAL(15,2) NULL COMMENT 'Encours avant la vente',
+  amount_due DECIMAL(15,2) NULL COMMENT 'Reste dû de la vente',
+  overdue_count INT NOT NULL DEFAULT 0,
+  created_at DATETIME NULL,
+  KEY idx_credit_overrides_order (order_id),
+  KEY idx_credit_overrides_customer (company_id, user_id)
+);
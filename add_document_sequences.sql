@@ -0,0 +1,33 @@
+-- Compteurs de numérotation des documents (voir utils/documentNumbers.js).
+-- warehouse_id = 0 : compteur partagé par l'entreprise ;
+-- year = 0 : compteur sans remise à zéro annuelle.
+CREATE TABLE IF NOT EXISTS document_sequences (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  warehouse_id INT NOT NULL DEFAULT 0,
+  document_type VARCHAR(30) NOT NULL,
+  year SMALLINT NOT NULL DEFAULT 0,
+  last_number INT NOT NULL DEFAULT 0,
+  created_at DATETIME NULL,
+  updated_at DATETIME NULL,
+  UNIQUE KEY uq_document_sequences (company_id, warehouse_id, document_type, year)
+);
+
+-- Modèles de numérotation propres à un magasin (JSON { type: modèle })
+SET @dbname = DATABASE();
+SET @tablename = "warehouses";
+SET @columnname = "number_templates";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne number_templates existe déjà dans la table warehouses' AS message;",
+  "ALTER TABLE warehouses ADD COLUMN number_templates TEXT NULL AFTER prefixe_inv;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
@@ -0,0 +1,202 @@
+-- Facturation normalisée (voir utils/fiscalization.js)
+-- companies.fiscal_provider active la certification des ventes et retours de
+-- vente de l'entreprise (simulator ou emecef) ; fiscal_ifu est son numéro
+-- d'identification fiscale, fiscal_api_url l'adresse de l'API du dispositif.
+-- Le jeton d'accès est lu dans l'environnement (FISCAL_API_TOKEN_<id> ou
+-- FISCAL_API_TOKEN), jamais en base.
+-- Les données de certification sont recopiées sur la commande pour
+-- l'impression de la facture.
+SET @dbname = DATABASE();
+
+SET @tablename = "companies";
+SET @columnname = "fiscal_provider";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne fiscal_provider existe déjà dans la table companies' AS message;",
+  "ALTER TABLE companies ADD COLUMN fiscal_provider VARCHAR(30) NULL;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "companies";
+SET @columnname = "fiscal_ifu";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne fiscal_ifu existe déjà dans la table companies' AS message;",
+  "ALTER TABLE companies ADD COLUMN fiscal_ifu VARCHAR(30) NULL AFTER fiscal_provider;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "companies";
+SET @columnname = "fiscal_api_url";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne fiscal_api_url existe déjà dans la table companies' AS message;",
+  "ALTER TABLE companies ADD COLUMN fiscal_api_url VARCHAR(255) NULL AFTER fiscal_ifu;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "orders";
+SET @columnname = "fiscal_status";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne fiscal_status existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN fiscal_status VARCHAR(20) NULL;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "orders";
+SET @columnname = "fiscal_code";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne fiscal_code existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN fiscal_code VARCHAR(100) NULL AFTER fiscal_status;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "orders";
+SET @columnname = "fiscal_counters";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne fiscal_counters existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN fiscal_counters VARCHAR(100) NULL AFTER fiscal_code;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "orders";
+SET @columnname = "fiscal_nim";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne fiscal_nim existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN fiscal_nim VARCHAR(50) NULL AFTER fiscal_counters;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "orders";
+SET @columnname = "fiscal_qr_code";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne fiscal_qr_code existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN fiscal_qr_code TEXT NULL AFTER fiscal_nim;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "orders";
+SET @columnname = "fiscal_certified_at";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne fiscal_certified_at existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN fiscal_certified_at DATETIME NULL AFTER fiscal_qr_code;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- File des certifications : une ligne par vente ou retour de vente ;
+-- pending = à soumettre (next_attempt_at), processing = envoyée au
+-- dispositif (reprise après next_attempt_at si le serveur s'est arrêté),
+-- certified, failed = refusée
+CREATE TABLE IF NOT EXISTS fiscal_submissions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  order_id INT NOT NULL,
+  provider VARCHAR(30) NOT NULL,
+  invoice_type VARCHAR(5) NOT NULL,
+  status ENUM('pending', 'processing', 'certified', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at DATETIME NULL,
+  last_error TEXT NULL,
+  external_uid VARCHAR(100) NULL,
+  response TEXT NULL,
+  certified_at DATETIME NULL,
+  created_at DATETIME NULL,
+  updated_at DATETIME NULL,
+  UNIQUE KEY uq_fiscal_submissions_order (order_id),
+  KEY idx_fiscal_submissions_queue (status, next_attempt_at),
+  KEY idx_fiscal_submissions_company (company_id)
+);
+
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = "fiscal_submissions")
+      AND (COLUMN_NAME = "status")
+      AND (COLUMN_TYPE LIKE "%'processing'%")
+  ) > 0,
+  "SELECT 'La colonne status de fiscal_submissions accepte déjà processing' AS message;",
+  "ALTER TABLE fiscal_submissions MODIFY COLUMN status ENUM('pending', 'processing', 'certified', 'failed') NOT NULL DEFAULT 'pending';"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
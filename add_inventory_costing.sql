@@ -0,0 +1,126 @@
+-- Valorisation des stocks au CMUP ou en FIFO (voir utils/inventoryCosting.js)
+-- Chaque entrée en stock crée une couche de coût ; les sorties consomment les
+-- couches (au prorata en CMUP, les plus anciennes d'abord en FIFO). Le coût
+-- unitaire et le solde valorisé sont portés par chaque mouvement de stock.
+CREATE TABLE IF NOT EXISTS stock_cost_layers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  warehouse_id INT NOT NULL,
+  movement_id INT NULL COMMENT 'stock_movements.id, NULL pour le stock initial non journalisé',
+  quantity DECIMAL(15,4) NOT NULL,
+  remaining_quantity DECIMAL(15,4) NOT NULL COMMENT 'Négative si le stock est passé sous zéro',
+  unit_cost DECIMAL(15,4) NOT NULL DEFAULT 0 COMMENT 'En devise de base',
+  created_at DATETIME NULL,
+  KEY idx_stock_cost_layers_stock (product_id, warehouse_id, id),
+  KEY idx_stock_cost_layers_movement (movement_id)
+);
+
+SET @dbname = DATABASE();
+
+-- Méthode de valorisation des stocks : cmup ou fifo
+SET @tablename = "companies";
+SET @columnname = "costing_method";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne costing_method existe déjà dans la table companies' AS message;",
+  "ALTER TABLE companies ADD COLUMN costing_method VARCHAR(10) NOT NULL DEFAULT 'cmup';"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- Coût unitaire du mouvement (entrée : coût de la couche, sortie : coût consommé)
+SET @tablename = "stock_movements";
+SET @columnname = "unit_cost";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne unit_cost existe déjà dans la table stock_movements' AS message;",
+  "ALTER TABLE stock_movements ADD COLUMN unit_cost DECIMAL(15,4) NULL;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- Quantité en stock valorisée après le mouvement (produit, magasin)
+SET @tablename = "stock_movements";
+SET @columnname = "balance_quantity";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne balance_quantity existe déjà dans la table stock_movements' AS message;",
+  "ALTER TABLE stock_movements ADD COLUMN balance_quantity DECIMAL(15,4) NULL;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- Valeur du stock après le mouvement, base de la valorisation à date
+SET @tablename = "stock_movements";
+SET @columnname = "balance_value";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne balance_value existe déjà dans la table stock_movements' AS message;",
+  "ALTER TABLE stock_movements ADD COLUMN balance_value DECIMAL(15,2) NULL;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- Coût unitaire de revient d'une ligne de vente
+SET @tablename = "order_items";
+SET @columnname = "unit_cost";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne unit_cost existe déjà dans la table order_items' AS message;",
+  "ALTER TABLE order_items ADD COLUMN unit_cost DECIMAL(15,4) NULL;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- Coût des marchandises vendues de la ligne (devise de base)
+SET @tablename = "order_items";
+SET @columnname = "cost_of_goods_sold";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne cost_of_goods_sold existe déjà dans la table order_items' AS message;",
+  "ALTER TABLE order_items ADD COLUMN cost_of_goods_sold DECIMAL(15,2) NULL;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
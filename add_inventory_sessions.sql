@@ -0,0 +1,58 @@
+-- Sessions d'inventaire physique (voir utils/inventorySessions.js)
+-- Une session fige le stock attendu d'un magasin (complet ou limité à des
+-- catégories pour un inventaire tournant), reçoit les comptages de plusieurs
+-- personnes, puis, une fois approuvée, passe tous les écarts en ajustements
+-- de stock dans une seule transaction.
+CREATE TABLE IF NOT EXISTS inventory_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  session_number VARCHAR(50) NOT NULL,
+  company_id INT NOT NULL,
+  warehouse_id INT NOT NULL,
+  scope VARCHAR(20) NOT NULL DEFAULT 'full' COMMENT 'full, category',
+  category_ids VARCHAR(255) NULL COMMENT 'IDs de catégories séparés par des virgules (inventaire tournant)',
+  status VARCHAR(20) NOT NULL DEFAULT 'counting' COMMENT 'counting, submitted, posted, cancelled',
+  snapshot_at DATETIME NOT NULL,
+  notes TEXT NULL,
+  created_by INT NULL,
+  submitted_by INT NULL,
+  submitted_at DATETIME NULL,
+  approved_by INT NULL,
+  approved_at DATETIME NULL,
+  cancelled_at DATETIME NULL,
+  created_at DATETIME NULL,
+  UNIQUE KEY uq_inventory_sessions_number (company_id, session_number),
+  KEY idx_inventory_sessions_warehouse (warehouse_id, status)
+);
+
+-- Stock attendu figé à l'ouverture, quantité comptée et écart par produit
+CREATE TABLE IF NOT EXISTS inventory_session_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  product_id INT NOT NULL,
+  expected_quantity DECIMAL(15,3) NOT NULL DEFAULT 0,
+  counted_quantity DECIMAL(15,3) NULL COMMENT 'Somme des comptages, NULL si non compté',
+  unit_cost DECIMAL(15,4) NOT NULL DEFAULT 0 COMMENT 'Coût unitaire à l''ouverture (devise de base)',
+  variance_quantity DECIMAL(15,3) NULL,
+  variance_value DECIMAL(15,2) NULL,
+  adjustment_id INT NULL COMMENT 'stock_adjustments.id créé à la validation',
+  UNIQUE KEY uq_inventory_session_lines_product (session_id, product_id),
+  CONSTRAINT fk_inventory_session_lines_session FOREIGN KEY (session_id)
+    REFERENCES inventory_sessions (id) ON DELETE CASCADE
+);
+
+-- Saisies de comptage : une ligne par saisie (ou lecture de code-barres) et
+-- par personne ; la quantité comptée d'un produit est leur somme
+CREATE TABLE IF NOT EXISTS inventory_counts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  line_id INT NOT NULL,
+  product_id INT NOT NULL,
+  quantity DECIMAL(15,3) NOT NULL,
+  location VARCHAR(100) NULL COMMENT 'Zone ou rayon compté',
+  counted_by INT NULL,
+  counted_at DATETIME NOT NULL,
+  KEY idx_inventory_counts_line (line_id),
+  KEY idx_inventory_counts_session (session_id, counted_by),
+  CONSTRAINT fk_inventory_counts_session FOREIGN KEY (session_id)
+    REFERENCES inventory_sessions (id) ON DELETE CASCADE
+);
@@ -0,0 +1,75 @@
+-- Frais d'approche (voir utils/landedCosts.js)
+-- Un frais (transport, douane, manutention...) provient d'une dépense, d'une
+-- facture fournisseur ou des frais de port d'un achat ; il est réparti sur les
+-- lignes d'un ou plusieurs achats et incorporé au prix d'achat des produits
+CREATE TABLE IF NOT EXISTS landed_costs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  date DATE NOT NULL,
+  description VARCHAR(255) NULL,
+  amount DECIMAL(15,2) NOT NULL COMMENT 'En devise de base',
+  allocation_method VARCHAR(20) NOT NULL COMMENT 'value, quantity, weight',
+  source_type VARCHAR(20) NOT NULL DEFAULT 'manual' COMMENT 'expense, supplier_invoice, shipping, manual',
+  source_id INT NULL COMMENT 'expenses.id ou orders.id (facture fournisseur, frais de port)',
+  status VARCHAR(20) NOT NULL DEFAULT 'allocated' COMMENT 'allocated, cancelled',
+  created_by INT NULL,
+  created_at DATETIME NULL,
+  cancelled_at DATETIME NULL,
+  KEY idx_landed_costs_company (company_id, date),
+  KEY idx_landed_costs_source (source_type, source_id)
+);
+
+-- Part du frais affectée à chaque ligne d'achat, et hausse du prix d'achat
+-- unitaire appliquée au magasin (retirée si le frais est annulé)
+CREATE TABLE IF NOT EXISTS landed_cost_allocations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  landed_cost_id INT NOT NULL,
+  order_id INT NOT NULL,
+  order_item_id INT NOT NULL,
+  product_id INT NOT NULL,
+  warehouse_id INT NOT NULL,
+  basis DECIMAL(18,4) NOT NULL COMMENT 'Valeur, quantité ou poids de la ligne',
+  amount DECIMAL(15,2) NOT NULL,
+  unit_cost_increase DECIMAL(15,4) NOT NULL DEFAULT 0,
+  KEY idx_landed_cost_allocations_cost (landed_cost_id),
+  KEY idx_landed_cost_allocations_order (order_id),
+  CONSTRAINT fk_landed_cost_allocations_cost FOREIGN KEY (landed_cost_id)
+    REFERENCES landed_costs (id) ON DELETE CASCADE
+);
+
+SET @dbname = DATABASE();
+-- Frais d'approche cumulés par ligne d'achat (devise de base)
+SET @tablename = "order_items";
+SET @columnname = "landed_cost";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne landed_cost existe déjà dans la table order_items' AS message;",
+  "ALTER TABLE order_items ADD COLUMN landed_cost DECIMAL(15,2) NOT NULL DEFAULT 0;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- Poids unitaire (kg), base de répartition au poids
+SET @tablename = "products";
+SET @columnname = "weight";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne weight existe déjà dans la table products' AS message;",
+  "ALTER TABLE products ADD COLUMN weight DECIMAL(15,3) NULL;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
@@ -0,0 +1,85 @@
+-- Programme de fidélité (voir utils/loyalty.js)
+-- Règles d'acquisition par entreprise : points par tranche de montant, puis
+-- multiplicateurs par catégorie de produits et campagnes bonus datées. Les
+-- points sont acquis sur les ventes et annulés par les retours de vente ; le
+-- client peut les utiliser en paiement (mode de paiement de type loyalty).
+-- loyalty_transactions est le grand livre des points : le solde d'un client
+-- est la somme de ses mouvements.
+SET @dbname = DATABASE();
+
+CREATE TABLE IF NOT EXISTS loyalty_programs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  points_per_amount DECIMAL(10,2) NOT NULL DEFAULT 1 COMMENT 'Points acquis par tranche de amount_unit',
+  amount_unit DECIMAL(15,2) NOT NULL DEFAULT 1000,
+  point_value DECIMAL(15,4) NOT NULL DEFAULT 5 COMMENT 'Valeur d''un point en paiement',
+  min_redeem_points INT NOT NULL DEFAULT 0,
+  max_redeem_percent DECIMAL(5,2) NOT NULL DEFAULT 100 COMMENT 'Part maximale d''une facture payable en points',
+  created_at DATETIME NULL,
+  updated_at DATETIME NULL,
+  UNIQUE KEY uq_loyalty_programs_company (company_id)
+);
+
+-- Multiplicateur des points d'une catégorie (0 : catégorie exclue)
+CREATE TABLE IF NOT EXISTS loyalty_category_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  category_id INT NOT NULL,
+  multiplier DECIMAL(6,2) NOT NULL DEFAULT 1,
+  UNIQUE KEY uq_loyalty_category_rules (company_id, category_id)
+);
+
+-- Campagnes bonus : multiplicateur et / ou points offerts pendant une période,
+-- éventuellement limités à une catégorie ou à un montant minimal d'achat
+CREATE TABLE IF NOT EXISTS loyalty_campaigns (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  multiplier DECIMAL(6,2) NOT NULL DEFAULT 1,
+  bonus_points INT NOT NULL DEFAULT 0,
+  min_order_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+  category_id INT NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NULL,
+  updated_at DATETIME NULL,
+  KEY idx_loyalty_campaigns_period (company_id, start_date, end_date)
+);
+
+-- Mouvements de points : earn (vente), reverse (retour de vente, négatif),
+-- redeem (paiement en points, négatif), adjust (correction manuelle)
+CREATE TABLE IF NOT EXISTS loyalty_transactions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  user_id INT NOT NULL,
+  order_id INT NULL,
+  payment_id INT NULL,
+  transaction_type VARCHAR(20) NOT NULL COMMENT 'earn, reverse, redeem, adjust',
+  points INT NOT NULL,
+  amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+  description VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL,
+  KEY idx_loyalty_transactions_customer (company_id, user_id),
+  KEY idx_loyalty_transactions_order (order_id),
+  KEY idx_loyalty_transactions_payment (payment_id)
+);
+
+-- Le type de mode de paiement doit pouvoir valoir 'loyalty'
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = "payment_modes")
+      AND (COLUMN_NAME = "mode_type")
+      AND (DATA_TYPE = "enum")
+  ) = 0,
+  "SELECT 'La colonne mode_type de payment_modes accepte déjà le type loyalty' AS message;",
+  "ALTER TABLE payment_modes MODIFY COLUMN mode_type VARCHAR(30) NOT NULL DEFAULT 'bank';"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
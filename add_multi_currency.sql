@@ -0,0 +1,104 @@
+-- Multi-devise (voir utils/currency.js)
+-- Historique des cours : valeur d'une unité de la devise en devise de base de
+-- l'entreprise (companies.currency_id), à partir de effective_date
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  currency_id INT NOT NULL,
+  rate DECIMAL(18,8) NOT NULL,
+  effective_date DATE NOT NULL,
+  created_by INT NULL,
+  created_at DATETIME NULL,
+  updated_at DATETIME NULL,
+  UNIQUE KEY uq_exchange_rates_date (currency_id, effective_date),
+  KEY idx_exchange_rates_company (company_id)
+);
+
+-- Devise et cours figés sur les commandes et les paiements (NULL / 1 : devise
+-- de base)
+SET @dbname = DATABASE();
+SET @tablename = "orders";
+SET @columnname = "currency_id";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne currency_id existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN currency_id INT NULL AFTER company_id;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "orders";
+SET @columnname = "exchange_rate";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne exchange_rate existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN exchange_rate DECIMAL(18,8) NOT NULL DEFAULT 1 AFTER currency_id;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "payments";
+SET @columnname = "currency_id";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne currency_id existe déjà dans la table payments' AS message;",
+  "ALTER TABLE payments ADD COLUMN currency_id INT NULL AFTER company_id;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "payments";
+SET @columnname = "exchange_rate";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne exchange_rate existe déjà dans la table payments' AS message;",
+  "ALTER TABLE payments ADD COLUMN exchange_rate DECIMAL(18,8) NOT NULL DEFAULT 1 AFTER currency_id;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- Gain (+) ou perte (-) de change réalisé par chaque règlement, en devise de base
+SET @tablename = "order_payments";
+SET @columnname = "fx_gain_loss";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne fx_gain_loss existe déjà dans la table order_payments' AS message;",
+  "ALTER TABLE order_payments ADD COLUMN fx_gain_loss DECIMAL(15,2) NOT NULL DEFAULT 0 AFTER amount;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
@@ -0,0 +1,78 @@
+-- Synchronisation des ventes POS hors ligne (voir utils/posSync.js)
+-- Chaque vente créée hors ligne porte une clé d'idempotence générée par
+-- l'appareil : un nouvel envoi du même lot ne crée pas de doublon. Les
+-- numéros de facture sont pris dans des plages réservées à l'avance par
+-- appareil (pos_number_ranges).
+-- Requiert payments.idempotency_key (add_idempotency_key.sql) et
+-- orders.pos_session_id (add_pos_sessions.sql).
+SET @dbname = DATABASE();
+
+SET @tablename = "orders";
+SET @columnname = "idempotency_key";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne idempotency_key existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN idempotency_key VARCHAR(255) NULL, ADD UNIQUE INDEX uq_orders_idempotency_key (company_id, idempotency_key);"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- Une clé n'identifie une vente qu'au sein de son entreprise : l'index
+-- unique créé sur la seule clé est remplacé par (company_id, idempotency_key)
+SET @indexname = "uq_orders_idempotency_key";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (INDEX_NAME = @indexname)
+      AND (COLUMN_NAME = 'company_id')
+  ) > 0,
+  "SELECT 'L''index uq_orders_idempotency_key inclut déjà company_id' AS message;",
+  "ALTER TABLE orders DROP INDEX uq_orders_idempotency_key, ADD UNIQUE INDEX uq_orders_idempotency_key (company_id, idempotency_key);"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "orders";
+SET @columnname = "pos_device_id";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne pos_device_id existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN pos_device_id VARCHAR(100) NULL AFTER pos_session_id;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- Plages de numéros de facture réservées par appareil ; numbers contient la
+-- liste JSON des numéros, rendus à la date de la réservation
+CREATE TABLE IF NOT EXISTS pos_number_ranges (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  warehouse_id INT NOT NULL,
+  device_id VARCHAR(100) NOT NULL,
+  document_type VARCHAR(30) NOT NULL DEFAULT 'sales',
+  first_number VARCHAR(50) NOT NULL,
+  last_number VARCHAR(50) NOT NULL,
+  quantity INT NOT NULL,
+  numbers TEXT NOT NULL,
+  created_by INT NULL,
+  created_at DATETIME NULL,
+  KEY idx_pos_number_ranges_device (warehouse_id, device_id)
+);
@@ -0,0 +1,87 @@
+-- Sessions de caisse (voir utils/posSessions.js)
+-- Un caissier ouvre une caisse avec un fond de caisse ; chaque vente et chaque
+-- paiement encaissé au POS est rattaché à la session (pos_session_id), ainsi
+-- que les entrées / sorties d'espèces. À la clôture, le montant compté par
+-- mode de paiement est comparé au montant attendu et l'écart enregistré ; le
+-- rapport Z est généré à partir de la session clôturée.
+SET @dbname = DATABASE();
+
+CREATE TABLE IF NOT EXISTS pos_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  session_number VARCHAR(50) NOT NULL,
+  company_id INT NOT NULL,
+  warehouse_id INT NOT NULL,
+  register_name VARCHAR(100) NOT NULL DEFAULT 'Caisse 1',
+  cashier_id INT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' COMMENT 'open, closed',
+  opening_float DECIMAL(15,2) NOT NULL DEFAULT 0,
+  opened_at DATETIME NOT NULL,
+  expected_total DECIMAL(15,2) NULL,
+  counted_total DECIMAL(15,2) NULL,
+  variance_total DECIMAL(15,2) NULL,
+  closed_at DATETIME NULL,
+  closed_by INT NULL,
+  notes TEXT NULL,
+  closing_notes TEXT NULL,
+  KEY idx_pos_sessions_warehouse_status (warehouse_id, status),
+  KEY idx_pos_sessions_cashier (cashier_id, status)
+);
+
+-- Entrées (cash_in) et sorties (cash_out) d'espèces hors ventes
+CREATE TABLE IF NOT EXISTS pos_session_movements (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  movement_type VARCHAR(20) NOT NULL COMMENT 'cash_in, cash_out',
+  amount DECIMAL(15,2) NOT NULL,
+  reason VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NULL,
+  KEY idx_pos_session_movements_session (session_id)
+);
+
+-- Comptage de clôture par mode de paiement
+CREATE TABLE IF NOT EXISTS pos_session_counts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  payment_mode_id INT NULL,
+  payment_mode_name VARCHAR(100) NULL,
+  is_cash TINYINT(1) NOT NULL DEFAULT 0,
+  expected_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+  counted_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+  variance DECIMAL(15,2) NOT NULL DEFAULT 0,
+  KEY idx_pos_session_counts_session (session_id)
+);
+
+SET @tablename = "orders";
+SET @columnname = "pos_session_id";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne pos_session_id existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN pos_session_id INT NULL, ADD INDEX idx_orders_pos_session (pos_session_id);"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "payments";
+SET @columnname = "pos_session_id";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne pos_session_id existe déjà dans la table payments' AS message;",
+  "ALTER TABLE payments ADD COLUMN pos_session_id INT NULL, ADD INDEX idx_payments_pos_session (pos_session_id);"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
@@ -0,0 +1,72 @@
+-- Listes de prix (voir utils/priceLists.js)
+-- Une liste nommée (gros, détail, VIP...) fixe, pour une période de validité,
+-- le prix d'un article ou un pourcentage appliqué au prix de vente
+-- (product_details.sales_price), pour un article, une catégorie ou tout le
+-- catalogue, avec des paliers de quantité (min_quantity). La liste d'un
+-- client est portée par user_details.price_list_id ; la liste appliquée à
+-- chaque ligne de vente est enregistrée sur order_items.price_list_id.
+SET @dbname = DATABASE();
+
+CREATE TABLE IF NOT EXISTS price_lists (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  description TEXT NULL,
+  start_date DATE NULL,
+  end_date DATE NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NULL,
+  updated_at DATETIME NULL,
+  KEY idx_price_lists_company (company_id, is_active)
+);
+
+-- Règles d'une liste : prix fixe (price) ou pourcentage du prix de vente
+-- (percent, négatif pour une remise), pour un article (product_id), une
+-- catégorie (category_id) ou tout le catalogue (aucun des deux)
+CREATE TABLE IF NOT EXISTS price_list_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  price_list_id INT NOT NULL,
+  product_id INT NULL,
+  category_id INT NULL,
+  min_quantity DECIMAL(15,3) NOT NULL DEFAULT 1,
+  price DECIMAL(15,2) NULL,
+  percent DECIMAL(7,2) NULL,
+  start_date DATE NULL,
+  end_date DATE NULL,
+  KEY idx_price_list_items_list (price_list_id),
+  KEY idx_price_list_items_product (product_id)
+);
+
+SET @tablename = "user_details";
+SET @columnname = "price_list_id";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne price_list_id existe déjà dans la table user_details' AS message;",
+  "ALTER TABLE user_details ADD COLUMN price_list_id INT NULL;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "order_items";
+SET @columnname = "price_list_id";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne price_list_id existe déjà dans la table order_items' AS message;",
+  "ALTER TABLE order_items ADD COLUMN price_list_id INT NULL;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
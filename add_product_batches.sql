@@ -0,0 +1,78 @@
+-- Lots (numéro de lot / date de péremption) par produit et par magasin
+CREATE TABLE IF NOT EXISTS product_batches (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  warehouse_id INT NOT NULL,
+  batch_number VARCHAR(100) NOT NULL,
+  expiry_date DATE NULL,
+  manufacture_date DATE NULL,
+  quantity DECIMAL(15,2) NOT NULL DEFAULT 0 COMMENT 'Quantité restante du lot dans le magasin',
+  initial_quantity DECIMAL(15,2) NOT NULL DEFAULT 0 COMMENT 'Quantité totale reçue dans ce lot',
+  source_type VARCHAR(50) NULL COMMENT 'purchase, sales_return, stock-transfer, production...',
+  source_id INT NULL,
+  created_at DATETIME NULL,
+  updated_at DATETIME NULL,
+  UNIQUE KEY uq_product_batches (product_id, warehouse_id, batch_number),
+  KEY idx_product_batches_expiry (expiry_date)
+);
+
+-- Lots touchés par chaque ligne de commande (quantité signée : + entrée, - sortie)
+CREATE TABLE IF NOT EXISTS order_item_batches (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  order_item_id INT NOT NULL,
+  batch_id INT NOT NULL,
+  quantity DECIMAL(15,2) NOT NULL,
+  created_at DATETIME NULL,
+  KEY idx_order_item_batches_order (order_id),
+  KEY idx_order_item_batches_item (order_item_id),
+  KEY idx_order_item_batches_batch (batch_id)
+);
+
+-- Lots consommés (-) et produits (+) par chaque production
+CREATE TABLE IF NOT EXISTS production_log_batches (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  production_log_id INT NOT NULL,
+  product_id INT NOT NULL,
+  batch_id INT NOT NULL,
+  quantity DECIMAL(15,2) NOT NULL,
+  created_at DATETIME NULL,
+  KEY idx_production_log_batches_log (production_log_id),
+  KEY idx_production_log_batches_batch (batch_id)
+);
+
+-- Lot et péremption sur les lignes de commande (quand la ligne porte sur un seul lot)
+SET @dbname = DATABASE();
+SET @tablename = "order_items";
+SET @columnname = "batch_number";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne batch_number existe déjà dans la table order_items' AS message;",
+  "ALTER TABLE order_items ADD COLUMN batch_number VARCHAR(100) NULL, ADD COLUMN expiry_date DATE NULL;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- Lot concerné par chaque mouvement de stock
+SET @tablename = "stock_movements";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne batch_number existe déjà dans la table stock_movements' AS message;",
+  "ALTER TABLE stock_movements ADD COLUMN batch_number VARCHAR(100) NULL AFTER related_warehouse_id;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
@@ -0,0 +1,90 @@
+-- Promotions (voir utils/promotions.js)
+-- Règles datées évaluées par le serveur à la création d'une vente ou d'un
+-- devis : remise en pourcentage ou en montant sur un article, une catégorie,
+-- une marque ou toute la commande, prix de lot (bundle) et « X achetés, Y
+-- offerts ». Une promotion peut être réservée aux détenteurs d'un code promo
+-- (coupons), avec un nombre d'utilisations total et par client. Chaque
+-- promotion appliquée est enregistrée dans order_promotions ; la remise
+-- totale s'ajoute à orders.discount et est rappelée dans
+-- orders.promotion_discount.
+SET @dbname = DATABASE();
+
+CREATE TABLE IF NOT EXISTS promotions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  name VARCHAR(150) NOT NULL,
+  description TEXT NULL,
+  promotion_type VARCHAR(20) NOT NULL COMMENT 'percentage, fixed_amount, bundle, buy_x_get_y',
+  scope VARCHAR(20) NOT NULL DEFAULT 'order' COMMENT 'order, product, category, brand',
+  scope_id INT NULL COMMENT 'Article, catégorie ou marque visé',
+  value DECIMAL(15,2) NOT NULL DEFAULT 0 COMMENT 'Pourcentage, montant de remise ou prix du lot',
+  buy_quantity INT NULL,
+  get_quantity INT NULL,
+  min_order_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+  requires_coupon TINYINT(1) NOT NULL DEFAULT 0,
+  priority INT NOT NULL DEFAULT 0,
+  start_date DATE NULL,
+  end_date DATE NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NULL,
+  updated_at DATETIME NULL,
+  KEY idx_promotions_company (company_id, is_active)
+);
+
+-- Composition d'un lot (promotion_type = bundle)
+CREATE TABLE IF NOT EXISTS promotion_bundle_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  promotion_id INT NOT NULL,
+  product_id INT NOT NULL,
+  quantity DECIMAL(15,3) NOT NULL DEFAULT 1,
+  KEY idx_promotion_bundle_items_promotion (promotion_id)
+);
+
+-- Codes promo : ouvrent une promotion requires_coupon
+CREATE TABLE IF NOT EXISTS coupons (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  promotion_id INT NOT NULL,
+  code VARCHAR(50) NOT NULL,
+  usage_limit INT NULL COMMENT 'Utilisations au total (NULL : illimité)',
+  usage_per_customer INT NULL COMMENT 'Utilisations par client (NULL : illimité)',
+  start_date DATE NULL,
+  end_date DATE NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NULL,
+  updated_at DATETIME NULL,
+  UNIQUE KEY uq_coupons_code (company_id, code)
+);
+
+-- Promotions appliquées à une commande (details : lignes concernées)
+CREATE TABLE IF NOT EXISTS order_promotions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  promotion_id INT NOT NULL,
+  coupon_id INT NULL,
+  name VARCHAR(150) NOT NULL,
+  promotion_type VARCHAR(20) NOT NULL,
+  discount_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+  details TEXT NULL,
+  created_at DATETIME NOT NULL,
+  KEY idx_order_promotions_order (order_id),
+  KEY idx_order_promotions_promotion (promotion_id),
+  KEY idx_order_promotions_coupon (coupon_id)
+);
+
+SET @tablename = "orders";
+SET @columnname = "promotion_discount";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne promotion_discount existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN promotion_discount DECIMAL(15,2) NOT NULL DEFAULT 0 AFTER discount;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
@@ -0,0 +1,154 @@
+-- Cycle de vie des bons de commande fournisseur (voir utils/purchaseOrders.js)
+-- Un achat avec po_status est un bon de commande : brouillon -> approuvé ->
+-- envoyé -> partiellement reçu / reçu -> clôturé. Le stock n'entre qu'aux
+-- réceptions. Sans po_status, l'achat garde l'entrée en stock immédiate.
+SET @dbname = DATABASE();
+SET @tablename = "orders";
+SET @columnname = "po_status";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne po_status existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN po_status VARCHAR(20) NULL COMMENT 'draft, approved, sent, partially_received, received, closed' AFTER order_status;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "orders";
+SET @columnname = "expected_date";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne expected_date existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN expected_date DATE NULL COMMENT 'Livraison attendue du fournisseur' AFTER po_status;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "orders";
+SET @columnname = "approved_by";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne approved_by existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN approved_by INT NULL AFTER expected_date;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "orders";
+SET @columnname = "approved_at";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne approved_at existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN approved_at DATETIME NULL AFTER approved_by;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "orders";
+SET @columnname = "sent_at";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne sent_at existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN sent_at DATETIME NULL AFTER approved_at;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "orders";
+SET @columnname = "closed_at";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne closed_at existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN closed_at DATETIME NULL AFTER sent_at;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- Quantité reçue par ligne (la quantité commandée est order_items.quantity)
+SET @tablename = "order_items";
+SET @columnname = "quantity_received";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne quantity_received existe déjà dans la table order_items' AS message;",
+  "ALTER TABLE order_items ADD COLUMN quantity_received DECIMAL(15,3) NOT NULL DEFAULT 0 AFTER quantity;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- Réceptions : chacune crée ses propres mouvements de stock
+-- (reference_type = purchase_receipt)
+CREATE TABLE IF NOT EXISTS purchase_receipts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  receipt_number VARCHAR(50) NOT NULL,
+  company_id INT NOT NULL,
+  warehouse_id INT NOT NULL,
+  order_id INT NOT NULL COMMENT 'Bon de commande (orders.order_type = purchase)',
+  receipt_date DATE NOT NULL,
+  notes TEXT NULL,
+  created_by INT NULL,
+  created_at DATETIME NULL,
+  UNIQUE KEY uq_purchase_receipts_number (receipt_number),
+  KEY idx_purchase_receipts_order (order_id)
+);
+
+CREATE TABLE IF NOT EXISTS purchase_receipt_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  receipt_id INT NOT NULL,
+  order_item_id INT NOT NULL,
+  product_id INT NOT NULL,
+  quantity DECIMAL(15,3) NOT NULL,
+  batch_number VARCHAR(100) NULL,
+  expiry_date DATE NULL,
+  KEY idx_purchase_receipt_items_receipt (receipt_id),
+  KEY idx_purchase_receipt_items_order_item (order_item_id),
+  CONSTRAINT fk_purchase_receipt_items_receipt FOREIGN KEY (receipt_id)
+    REFERENCES purchase_receipts (id) ON DELETE CASCADE
+);
@@ -0,0 +1,53 @@
+-- Suivi par numéro de série (électronique, électroménager...)
+SET @dbname = DATABASE();
+SET @tablename = "products";
+SET @columnname = "is_serialized";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne is_serialized existe déjà dans la table products' AS message;",
+  "ALTER TABLE products ADD COLUMN is_serialized TINYINT(1) NOT NULL DEFAULT 0;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- État courant de chaque numéro de série
+CREATE TABLE IF NOT EXISTS product_serials (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  serial_number VARCHAR(100) NOT NULL,
+  status VARCHAR(30) NOT NULL COMMENT 'in_stock, sold, returned_to_supplier, cancelled',
+  warehouse_id INT NULL COMMENT 'Magasin actuel (ou dernier magasin)',
+  customer_id INT NULL COMMENT 'Client de la dernière vente',
+  created_at DATETIME NULL,
+  updated_at DATETIME NULL,
+  UNIQUE KEY uq_product_serials (product_id, serial_number),
+  KEY idx_product_serials_serial (serial_number),
+  KEY idx_product_serials_status (status, warehouse_id)
+);
+
+-- Historique : un mouvement par numéro et par ligne de commande, avec l'état
+-- précédent pour pouvoir annuler la commande (reversed = 1)
+CREATE TABLE IF NOT EXISTS serial_movements (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  serial_id INT NOT NULL,
+  order_id INT NOT NULL,
+  order_item_id INT NOT NULL,
+  order_type VARCHAR(30) NOT NULL,
+  warehouse_id INT NULL,
+  user_id INT NULL COMMENT 'Client ou fournisseur de la commande',
+  previous_status VARCHAR(30) NULL,
+  previous_warehouse_id INT NULL,
+  previous_customer_id INT NULL,
+  reversed TINYINT(1) NOT NULL DEFAULT 0,
+  created_at DATETIME NULL,
+  KEY idx_serial_movements_serial (serial_id),
+  KEY idx_serial_movements_order (order_id),
+  KEY idx_serial_movements_item (order_item_id)
+);
@@ -0,0 +1,129 @@
+-- Transferts de stock avec expédition et réception (voir utils/stockTransfers.js)
+-- Un transfert avec transfer_status suit le cycle brouillon -> en transit ->
+-- reçu (ou annulé). Le stock quitte le magasin source à l'expédition et
+-- n'entre au magasin de destination qu'à la réception ; les quantités
+-- manquantes ou endommagées sont enregistrées comme écarts. Sans
+-- transfer_status, le transfert garde le mouvement immédiat.
+-- Requiert order_items.quantity_received (add_purchase_orders.sql).
+SET @dbname = DATABASE();
+
+SET @tablename = "orders";
+SET @columnname = "transfer_status";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne transfer_status existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN transfer_status VARCHAR(20) NULL COMMENT 'draft, in_transit, received, cancelled' AFTER order_status;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "orders";
+SET @columnname = "dispatched_at";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne dispatched_at existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN dispatched_at DATETIME NULL;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "orders";
+SET @columnname = "dispatched_by";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne dispatched_by existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN dispatched_by INT NULL;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "orders";
+SET @columnname = "received_at";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne received_at existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN received_at DATETIME NULL;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @tablename = "orders";
+SET @columnname = "received_by";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne received_by existe déjà dans la table orders' AS message;",
+  "ALTER TABLE orders ADD COLUMN received_by INT NULL;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- Quantité arrivée endommagée (transfert), hors stock du magasin de destination
+SET @tablename = "order_items";
+SET @columnname = "quantity_damaged";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne quantity_damaged existe déjà dans la table order_items' AS message;",
+  "ALTER TABLE order_items ADD COLUMN quantity_damaged DECIMAL(15,3) NOT NULL DEFAULT 0;"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- Écarts constatés à la réception : quantités manquantes (short) ou
+-- endommagées (damaged), valorisées au coût de l'expédition
+CREATE TABLE IF NOT EXISTS stock_transfer_discrepancies (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  order_item_id INT NOT NULL,
+  product_id INT NOT NULL,
+  discrepancy_type VARCHAR(20) NOT NULL COMMENT 'short, damaged',
+  quantity DECIMAL(15,3) NOT NULL,
+  unit_cost DECIMAL(15,4) NOT NULL DEFAULT 0,
+  value DECIMAL(15,2) NOT NULL DEFAULT 0,
+  reason VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NULL,
+  KEY idx_stock_transfer_discrepancies_order (order_id),
+  KEY idx_stock_transfer_discrepancies_date (created_at)
+);
@@ -0,0 +1,49 @@
+-- Stock par magasin : une ligne product_details par (produit, magasin).
+-- Les mises à jour de stock utilisent INSERT ... ON DUPLICATE KEY UPDATE,
+-- qui exige un index unique sur (product_id, warehouse_id).
+-- Si des doublons existent déjà, les fusionner avant d'exécuter ce script.
+SET @dbname = DATABASE();
+SET @tablename = "product_details";
+SET @indexname = "uq_product_details_product_warehouse";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM (
+      SELECT INDEX_NAME FROM INFORMATION_SCHEMA.STATISTICS
+      WHERE
+        (TABLE_SCHEMA = @dbname)
+        AND (TABLE_NAME = @tablename)
+        AND (NON_UNIQUE = 0)
+      GROUP BY INDEX_NAME
+      HAVING GROUP_CONCAT(COLUMN_NAME ORDER BY SEQ_IN_INDEX) = 'product_id,warehouse_id'
+    ) AS existing_unique_indexes
+  ) > 0,
+  "SELECT 'Un index unique (product_id, warehouse_id) existe déjà sur product_details' AS message;",
+  "ALTER TABLE product_details ADD UNIQUE INDEX uq_product_details_product_warehouse (product_id, warehouse_id);"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- Magasin dans lequel une production a consommé et produit du stock
+SET @tablename = "production_logs";
+SET @columnname = "warehouse_id";
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La colonne warehouse_id existe déjà dans la table production_logs' AS message;",
+  "ALTER TABLE production_logs ADD COLUMN warehouse_id INT NULL AFTER production_unit_id, ADD INDEX idx_production_logs_warehouse (warehouse_id);"
+));
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- Productions existantes : magasin de l'unité de production
+UPDATE production_logs pl
+JOIN products p ON pl.production_unit_id = p.id
+SET pl.warehouse_id = p.warehouse_id
+WHERE pl.warehouse_id IS NULL;
@@ -6,6 +6,7 @@ const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
 const db = require("./config/db");
 const fs = require("fs"); // Import fs module
+const { JWT_SECRET, authenticateToken } = require("./middleware/auth");
 
 // Importation des routes existantes
 const produitsRoutes = require("./routes/produits");
@@ -21,10 +22,23 @@ const paymentModesRoutes = require("./routes/payment-modes");
 const unitsRoutes = require("./routes/units");
 const brandsRoutes = require("./routes/brands.routes");
 const paymentsRouter = require("./routes/payments");
-const stockAdjustmentsRoutes = require("./routes/stock_adjustments");
 const productionRoutes = require("./routes/production");
 const expensesRoutes = require("./routes/expenses");
 const stockHistoryRoutes = require("./routes/stockHistory");
+const serialsRoutes = require("./routes/serials");
+const creditNotesRoutes = require("./routes/creditNotes");
+const accountingRoutes = require("./routes/accounting");
+const purchaseOrdersRoutes = require("./routes/purchaseOrders");
+const landedCostsRoutes = require("./routes/landedCosts");
+const inventorySessionsRoutes = require("./routes/inventorySessions");
+const stockRoutes = require("./routes/stock");
+const posRoutes = require("./routes/pos");
+const proformaPdfRoutes = require("./routes/proformaPdf");
+const fiscalizationRoutes = require("./routes/fiscalization");
+const loyaltyRoutes = require("./routes/loyalty");
+const priceListsRoutes = require("./routes/priceLists");
+const promotionsRoutes = require("./routes/promotions");
+const { startFiscalRetryWorker } = require("./utils/fiscalization");
 const {
   router: rolesPermissionsRouter,
   syncPermissionsWithDatabase,
@@ -209,8 +223,7 @@ app.post("/api/login", async (req, res) => {
       // Avoid putting large arrays like permissions/warehouses in the token
     };
 
-    // 6. Générer le token JWT
-    const JWT_SECRET = process.env.JWT_SECRET || "VOTRE_SECRET_TRES_SECRET"; // Utiliser variable d'environnement!
+    // 6. Générer le token JWT (secret partagé avec middleware/auth.js)
     const token = jwt.sign(userDataForToken, JWT_SECRET, {
       expiresIn: "1d", // Validité du token
     });
@@ -248,6 +261,17 @@ app.post("/api/login", async (req, res) => {
 // Route publique de vérification (sans authentification)
 app.use("/verify", verificationRoutes);
 
+// Toutes les routes /api déclarées ci-dessous exigent un token valide.
+// Les permissions fines sont vérifiées dans chaque routeur (requirePermission).
+app.use("/api", authenticateToken);
+
+/**
+ * Redirection permanente d'une ancienne adresse d'API vers sa nouvelle base
+ * (308 : la méthode et le corps de la requête sont conservés).
+ */
+const redirectTo = (target) => (req, res) =>
+  res.redirect(308, `${target}${req.url === "/" ? "" : req.url}`);
+
 // Définition des routes API
 app.use("/api/produits", produitsRoutes);
 app.use("/api/warehouses", warehouseRoutes);
@@ -262,10 +286,26 @@ app.use("/api/payment-modes", paymentModesRoutes);
 app.use("/api/units", unitsRoutes);
 app.use("/api/brands", brandsRoutes);
 app.use("/api/payments", paymentsRouter);
-app.use("/api/stock-adjustments", stockAdjustmentsRoutes);
+// Anciennes adresses des ajustements : redirigées vers /api/stock/adjustments
+app.use("/api/stock-adjustments", redirectTo("/api/stock/adjustments"));
 app.use("/api/production", productionRoutes);
 app.use("/api/expenses", expensesRoutes);
 app.use("/api/stock-history", stockHistoryRoutes);
+app.use("/api/serials", serialsRoutes);
+app.use("/api/credit-notes", creditNotesRoutes);
+app.use("/api/accounting", accountingRoutes);
+app.use("/api/purchase-orders", purchaseOrdersRoutes);
+app.use("/api/landed-costs", landedCostsRoutes);
+app.use("/api/inventory-sessions", inventorySessionsRoutes);
+// Anciennes adresses des transferts : redirigées vers /api/stock/transfers
+app.use("/api/stock-transfers", redirectTo("/api/stock/transfers"));
+app.use("/api/stock", stockRoutes);
+app.use("/api/pos", posRoutes);
+app.use("/api/proformas", proformaPdfRoutes);
+app.use("/api/fiscalization", fiscalizationRoutes);
+app.use("/api/loyalty", loyaltyRoutes);
+app.use("/api/price-lists", priceListsRoutes);
+app.use("/api/promotions", promotionsRoutes);
 app.use("/api", rolesPermissionsRouter);
 app.use("/api", userPermissionsRoutes);
 // Utilisation du nouveau routeur dashboard
@@ -310,4 +350,6 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  // Nouveaux essais de certification des factures normalisées en attente
+  startFiscalRetryWorker(db);
 });
@@ -21,9 +21,7 @@ const permissionStructure = {
         RetourAchat: ["view", "create", "edit", "delete", "approve"],
         PaiementsSortants: ["view", "create", "edit", "delete", "approve"],
       },
-      Production: {
-        // Add production permissions here if needed
-      },
+      Production: ["view", "create", "edit", "delete", "process"],
     },
     Ventes: {
       Ventes: ["view", "create", "edit", "delete", "approve", "view_payments"],
@@ -32,13 +30,23 @@ const permissionStructure = {
       PaiementsEntrants: ["view", "create", "edit", "delete", "approve"],
     },
     Stock: {
-      GestionStock: ["view", "adjust", "transfer", "view_history"],
+      GestionStock: [
+        "view",
+        "adjust",
+        "transfer",
+        "view_history",
+        "count",
+        "approve_count",
+      ],
     },
     Tresorerie: { Comptes: ["view", "create"] },
-    Depenses: { SaisieDepenses: ["view", "create"] },
+    Depenses: { SaisieDepenses: ["view", "create", "edit", "delete"] },
     Ecommerce: { CommandesEnLigne: ["view", "process"] },
     Rapports: ["view", "generate"],
+    Comptabilite: ["view", "manage"],
     POS: ["use", "view_sales"],
+    Fidelite: ["view", "manage"],
+    Promotions: ["view", "manage"],
   },
   Admin: {
     Souscription: ["view", "manage"],
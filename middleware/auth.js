@@ -0,0 +1,188 @@
+// middleware/auth.js
+const jwt = require("jsonwebtoken");
+const db = require("../config/db");
+const { flattenPermissionKeys } = require("../config/permission_structure");
+
+// Même secret que celui utilisé par /api/login pour signer les tokens
+const JWT_SECRET = process.env.JWT_SECRET || "VOTRE_SECRET_TRES_SECRET";
+
+const KNOWN_PERMISSION_KEYS = flattenPermissionKeys();
+
+/**
+ * Résout une clé de permission courte ("Ventes.Ventes.create") vers sa clé
+ * complète ("Gestion Commerciale.Ventes.Ventes.create").
+ * Lève une erreur au chargement du module si la clé est inconnue ou ambiguë,
+ * afin qu'une faute de frappe dans une route ne passe pas inaperçue.
+ * @param {string} key - Clé complète ou suffixe de clé
+ * @returns {string} Clé complète telle que stockée dans la table permissions
+ */
+function resolvePermissionKey(key) {
+  if (KNOWN_PERMISSION_KEYS.includes(key)) {
+    return key;
+  }
+  const matches = KNOWN_PERMISSION_KEYS.filter((k) => k.endsWith(`.${key}`));
+  if (matches.length === 1) {
+    return matches[0];
+  }
+  throw new Error(
+    matches.length === 0
+      ? `Clé de permission inconnue: ${key}`
+      : `Clé de permission ambiguë: ${key} (${matches.join(", ")})`
+  );
+}
+
+/**
+ * Vérifie le token JWT (format "Bearer TOKEN") et place son contenu dans req.user.
+ */
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers["authorization"];
+  const token = authHeader && authHeader.split(" ")[1];
+
+  if (!token) {
+    return res.status(401).json({ message: "Authentification requise" });
+  }
+
+  jwt.verify(token, JWT_SECRET, (err, user) => {
+    if (err) {
+      return res.status(401).json({ message: "Token invalide ou expiré" });
+    }
+    req.user = user;
+    next();
+  });
+};
+
+/**
+ * Charge (une seule fois par requête) le statut et les permissions de
+ * l'utilisateur authentifié depuis la base, pour que la révocation d'un rôle
+ * ou la désactivation d'un compte prenne effet sans attendre l'expiration du token.
+ * @param {Object} req - Requête Express authentifiée
+ * @returns {Promise<Object>} req.user enrichi de status, is_superadmin et permissions
+ */
+async function loadUserPermissions(req) {
+  if (req.user.permissions) {
+    return req.user;
+  }
+
+  const [userRows] = await db.query(
+    "SELECT status, role_id, is_superadmin FROM users WHERE id = ?",
+    [req.user.id]
+  );
+  if (userRows.length === 0) {
+    req.user.status = "deleted";
+    req.user.permissions = [];
+    return req.user;
+  }
+
+  const { status, role_id, is_superadmin } = userRows[0];
+  let permissions = [];
+  if (is_superadmin === 1) {
+    permissions = KNOWN_PERMISSION_KEYS;
+  } else if (role_id) {
+    const [rows] = await db.query(
+      `SELECT p.key
+       FROM permission_role pr
+       JOIN permissions p ON pr.permission_id = p.id
+       WHERE pr.role_id = ?`,
+      [role_id]
+    );
+    permissions = rows.map((p) => p.key);
+  }
+
+  req.user.status = status;
+  req.user.is_superadmin = is_superadmin;
+  req.user.permissions = permissions;
+  return req.user;
+}
+
+/**
+ * Indique si l'utilisateur authentifié possède au moins une des clés fournies.
+ * @param {Object} req - Requête Express authentifiée
+ * @param {string[]} keys - Clés complètes
+ * @returns {Promise<boolean>}
+ */
+async function hasPermission(req, keys) {
+  const user = await loadUserPermissions(req);
+  if (user.status !== "enabled") {
+    return false;
+  }
+  if (user.is_superadmin === 1) {
+    return true;
+  }
+  return keys.some((key) => user.permissions.includes(key));
+}
+
+/**
+ * Middleware générique : `resolver(req)` renvoie la ou les clés (courtes ou
+ * complètes) exigées pour la requête, ou null pour simplement exiger un
+ * utilisateur authentifié. Utile quand la permission dépend du document
+ * (type de commande, type d'utilisateur...).
+ * @param {Function} resolver - (req) => string | string[] | null (peut être async)
+ */
+const requirePermissionFor = (resolver) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: "Authentification requise" });
+  }
+  try {
+    const resolved = await resolver(req);
+    const keys = resolved === null ? [] : [].concat(resolved);
+    if (keys.length === 0 && resolved !== null) {
+      return res.status(403).json({ message: "Accès refusé." });
+    }
+    const allowed =
+      keys.length === 0
+        ? (await loadUserPermissions(req)).status === "enabled"
+        : await hasPermission(req, keys.map(resolvePermissionKey));
+    if (!allowed) {
+      return res.status(403).json({
+        message: "Vous n'avez pas la permission d'effectuer cette action.",
+        required_permissions: keys,
+      });
+    }
+    next();
+  } catch (error) {
+    console.error("Erreur lors de la vérification des permissions:", error);
+    res
+      .status(500)
+      .json({ message: "Erreur serveur lors de la vérification des droits." });
+  }
+};
+
+/**
+ * Exige au moins une des permissions listées, par ex.
+ * `requirePermission("Ventes.Ventes.create")`.
+ * Les clés sont validées contre config/permission_structure.js au démarrage.
+ */
+const requirePermission = (...keys) => {
+  const resolvedKeys = keys.map(resolvePermissionKey);
+  return requirePermissionFor(() => resolvedKeys);
+};
+
+/**
+ * Autorise l'utilisateur à agir sur sa propre fiche (req.params.id),
+ * sinon exige une des permissions listées.
+ */
+const requireSelfOrPermission = (...keys) => {
+  const resolvedKeys = keys.map(resolvePermissionKey);
+  return requirePermissionFor((req) =>
+    req.user && String(req.user.id) === String(req.params.id)
+      ? null
+      : resolvedKeys
+  );
+};
+
+/**
+ * Exige seulement un compte authentifié et actif (données de référence
+ * lues par tous les écrans : taxes, unités, modes de paiement...).
+ */
+const requireAuthenticated = requirePermissionFor(() => null);
+
+module.exports = {
+  JWT_SECRET,
+  authenticateToken,
+  requireAuthenticated,
+  requirePermission,
+  requirePermissionFor,
+  requireSelfOrPermission,
+  hasPermission,
+  resolvePermissionKey,
+};
@@ -1,6 +1,19 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../config/db");
+const {
+  requirePermission,
+  requireSelfOrPermission,
+} = require("../middleware/auth");
+
+const canCreate = requirePermission("Admin.RolesPermissions.create");
+const canEdit = requirePermission("Admin.RolesPermissions.edit");
+const canDelete = requirePermission("Admin.RolesPermissions.delete");
+const canView = requirePermission("Admin.RolesPermissions.view");
+const canAssign = requirePermission(
+  "Admin.RolesPermissions.assign_permissions"
+);
+const canViewUser = requireSelfOrPermission("Admin.GestionUtilisateurs.view");
 // Import the function to get flattened permission keys and the structure itself
 const {
   flattenPermissionKeys,
@@ -103,7 +116,7 @@ const ensureSysAdminRoleExists = async () => {
 // --- Gestion des Rôles ---
 
 // GET /api/roles - Lister les rôles (globaux + spécifiques à l'entreprise si fournie)
-router.get("/roles", async (req, res) => {
+router.get("/roles", canView, async (req, res) => {
   const { company_id } = req.query; // Récupérer company_id des query params
   const companyWhereClause = getCompanyWhereClause(company_id);
 
@@ -121,7 +134,7 @@ router.get("/roles", async (req, res) => {
 });
 
 // POST /api/roles - Créer un nouveau rôle (global ou spécifique)
-router.post("/roles", async (req, res) => {
+router.post("/roles", canCreate, async (req, res) => {
   const { name, company_id } = req.body; // Récupérer company_id du corps
 
   if (!name || name.trim() === "") {
@@ -160,7 +173,7 @@ router.post("/roles", async (req, res) => {
 });
 
 // PUT /api/roles/:id - Modifier le nom d'un rôle (global ou spécifique)
-router.put("/roles/:id", async (req, res) => {
+router.put("/roles/:id", canEdit, async (req, res) => {
   const { id } = req.params;
   const { name } = req.body;
   const { company_id } = req.query; // Utiliser company_id du query pour identifier le scope
@@ -221,7 +234,7 @@ router.put("/roles/:id", async (req, res) => {
 });
 
 // DELETE /api/roles/:id - Supprimer un rôle (global ou spécifique)
-router.delete("/roles/:id", async (req, res) => {
+router.delete("/roles/:id", canDelete, async (req, res) => {
   const { id } = req.params;
   const { company_id } = req.query; // Utiliser company_id du query pour identifier le scope
 
@@ -282,7 +295,7 @@ router.delete("/roles/:id", async (req, res) => {
 // --- Gestion des Permissions pour un Rôle ---
 
 // GET /api/roles/:id/permissions - Obtenir les clés de permission pour un rôle
-router.get("/roles/:id/permissions", async (req, res) => {
+router.get("/roles/:id/permissions", canView, async (req, res) => {
   const { id } = req.params;
   if (isNaN(parseInt(id))) {
     return res.status(400).json({ message: "ID de rôle invalide." });
@@ -314,7 +327,7 @@ router.get("/roles/:id/permissions", async (req, res) => {
 });
 
 // PUT /api/roles/:id/permissions - Mettre à jour les permissions pour un rôle
-router.put("/roles/:id/permissions", async (req, res) => {
+router.put("/roles/:id/permissions", canAssign, async (req, res) => {
   const { id: roleIdParam } = req.params;
   const { permissions: permissionKeys } = req.body; // Attendre un tableau de clés de permission
 
@@ -400,7 +413,7 @@ router.put("/roles/:id/permissions", async (req, res) => {
 // --- NEW Endpoint for Permission Structure ---
 
 // GET /api/permissions/structure - Provide the hierarchical structure
-router.get("/permissions/structure", (req, res) => {
+router.get("/permissions/structure", canView, (req, res) => {
   try {
     res.json({ structure: permissionStructure });
   } catch (error) {
@@ -414,7 +427,7 @@ router.get("/permissions/structure", (req, res) => {
 // --- NEW Endpoint: Get all available permission keys ---
 
 // GET /api/permissions - Lister toutes les clés de permission définies dans la DB
-router.get("/permissions", async (req, res) => {
+router.get("/permissions", canView, async (req, res) => {
   try {
     // Sélectionner uniquement la colonne 'key' de la table 'permissions'
     const [rows] = await db.query(
@@ -443,7 +456,7 @@ router.get("/permissions", async (req, res) => {
  * Endpoint pour notifier que les permissions d'un rôle ont changé
  * Cet endpoint est appelé après une mise à jour des permissions d'un rôle
  */
-router.post("/roles/notify-changes", async (req, res) => {
+router.post("/roles/notify-changes", canAssign, async (req, res) => {
   const { role_id } = req.body;
 
   if (!role_id || isNaN(parseInt(role_id))) {
@@ -503,7 +516,7 @@ router.post("/roles/notify-changes", async (req, res) => {
 });
 
 // --- Nouvel endpoint: Récupérer les permissions d'un utilisateur spécifique ---
-router.get("/users/:id/permissions", async (req, res) => {
+router.get("/users/:id/permissions", canViewUser, async (req, res) => {
   const { id } = req.params;
   if (isNaN(parseInt(id))) {
     return res.status(400).json({ message: "ID d'utilisateur invalide." });
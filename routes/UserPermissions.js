@@ -1,54 +1,16 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../config/db");
-const jwt = require("jsonwebtoken");
+const { requireSelfOrPermission } = require("../middleware/auth");
 
-// Middleware pour vérifier le token JWT
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1]; // Format: "Bearer TOKEN"
-
-  if (!token) {
-    return res.status(401).json({ message: "Authentification requise" });
-  }
-
-  jwt.verify(
-    token,
-    process.env.JWT_SECRET || "your_jwt_secret",
-    (err, user) => {
-      if (err) {
-        console.error("JWT verification error:", err);
-        return res.status(403).json({ message: "Token invalide ou expiré" });
-      }
-
-      req.user = user;
-      next();
-    }
-  );
-};
+const canViewPermissions = requireSelfOrPermission(
+  "Admin.GestionUtilisateurs.view"
+);
 
 // Endpoint pour récupérer les permissions d'un utilisateur spécifique
-router.get("/users/:id/permissions", authenticateToken, async (req, res) => {
+router.get("/users/:id/permissions", canViewPermissions, async (req, res) => {
   try {
     const userId = req.params.id;
-    const requestedUserId = req.user.id;
-
-    // Check if the requesting user is asking for their own permissions
-    // or if the requesting user is a SysAdmin (who can view anyone's effective permissions).
-    // Also check if the requesting user has specific permission to view others' permissions.
-    const hasPermissionToViewOthers = req.user.permissions?.includes(
-      "Admin.GestionUtilisateurs.view"
-    ); // Example permission
-
-    if (
-      requestedUserId != userId &&
-      !req.user.is_superadmin &&
-      !hasPermissionToViewOthers
-    ) {
-      return res.status(403).json({
-        message: "Non autorisé à accéder aux permissions de cet utilisateur.",
-      });
-    }
 
     // Fetch target user's role_id and is_superadmin status
     const [userRows] = await db.query(
@@ -0,0 +1,528 @@
+// routes/accounting.js
+// Comptabilité : plan de comptes, journal généré par les opérations (voir
+// utils/accounting.js), balance, grand livre et bilan
+const express = require("express");
+const router = express.Router();
+const db = require("../config/db");
+const dayjs = require("dayjs");
+const { requirePermission } = require("../middleware/auth");
+const {
+  DEFAULT_ACCOUNT_MAPPING,
+  SYSCOHADA_ACCOUNTS,
+  isValidMappingKey,
+  getAccountMapping,
+  getChartOfAccounts,
+  rebuildJournal,
+} = require("../utils/accounting");
+
+const canView = requirePermission("Comptabilite.view");
+const canManage = requirePermission("Comptabilite.manage");
+
+/**
+ * Lit company_id et la période (from / to, par défaut l'année en cours) de la
+ * requête. Envoie l'erreur 400 et retourne null si les paramètres sont
+ * invalides.
+ */
+function readPeriod(req, res) {
+  const source = req.method === "GET" ? req.query : req.body;
+  const companyId = parseInt(source.company_id, 10);
+  const endDate = source.to ? dayjs(source.to) : dayjs();
+  const startDate = source.from ? dayjs(source.from) : endDate.startOf("year");
+  if (isNaN(companyId)) {
+    res.status(400).json({ error: "company_id est requis." });
+    return null;
+  }
+  if (
+    !startDate.isValid() ||
+    !endDate.isValid() ||
+    startDate.isAfter(endDate)
+  ) {
+    res.status(400).json({ error: "Période invalide." });
+    return null;
+  }
+  return {
+    companyId,
+    startDate: startDate.format("YYYY-MM-DD"),
+    endDate: endDate.format("YYYY-MM-DD"),
+  };
+}
+
+/** Libellés des comptes de l'entreprise { code: nom }. */
+async function accountNames(companyId) {
+  const accounts = await getChartOfAccounts(db, companyId);
+  const names = {};
+  accounts.forEach((account) => {
+    names[account.code] = account.name;
+  });
+  return names;
+}
+
+const round2 = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+// --- Plan de comptes --- //
+
+// GET /api/accounting/accounts?company_id= - Plan de comptes
+router.get("/accounts", canView, async (req, res) => {
+  const companyId = parseInt(req.query.company_id, 10);
+  if (isNaN(companyId)) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+  try {
+    res.json(await getChartOfAccounts(db, companyId));
+  } catch (err) {
+    console.error("Erreur lors de la récupération du plan de comptes:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération du plan de comptes.",
+      details: err.message,
+    });
+  }
+});
+
+// POST /api/accounting/accounts - Ajouter (ou renommer) un compte
+// Le premier compte personnalisé recopie d'abord le plan SYSCOHADA par défaut
+router.post("/accounts", canManage, async (req, res) => {
+  const { company_id, code, name } = req.body;
+  if (!company_id || !/^\d{2,20}$/.test(String(code || "")) || !name) {
+    return res.status(400).json({
+      error: "company_id, code (chiffres) et name sont requis.",
+    });
+  }
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [existing] = await connection.query(
+      "SELECT COUNT(*) AS count FROM chart_of_accounts WHERE company_id = ?",
+      [company_id]
+    );
+    if (existing[0].count === 0) {
+      for (const account of SYSCOHADA_ACCOUNTS) {
+        await connection.query(
+          `INSERT INTO chart_of_accounts (company_id, code, name, account_class, is_active, created_at, updated_at)
+           VALUES (?, ?, ?, ?, 1, NOW(), NOW())`,
+          [company_id, account.code, account.name, account.account_class]
+        );
+      }
+    }
+    await connection.query(
+      `INSERT INTO chart_of_accounts (company_id, code, name, account_class, is_active, created_at, updated_at)
+       VALUES (?, ?, ?, ?, 1, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE name = VALUES(name), is_active = 1, updated_at = NOW()`,
+      [company_id, String(code), name, parseInt(String(code).charAt(0), 10)]
+    );
+    await connection.commit();
+    res.status(201).json({ message: "Compte enregistré avec succès." });
+  } catch (err) {
+    await connection.rollback();
+    console.error("Erreur lors de l'enregistrement du compte:", err);
+    res.status(500).json({
+      error: "Erreur lors de l'enregistrement du compte.",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// PUT /api/accounting/accounts/:id - Renommer / désactiver un compte
+router.put("/accounts/:id", canManage, async (req, res) => {
+  const { name, is_active } = req.body;
+  try {
+    const [result] = await db.query(
+      `UPDATE chart_of_accounts
+       SET name = COALESCE(?, name), is_active = COALESCE(?, is_active), updated_at = NOW()
+       WHERE id = ?`,
+      [
+        name || null,
+        is_active === undefined ? null : is_active ? 1 : 0,
+        req.params.id,
+      ]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Compte non trouvé." });
+    }
+    res.json({ message: "Compte mis à jour avec succès." });
+  } catch (err) {
+    console.error("Erreur lors de la mise à jour du compte:", err);
+    res.status(500).json({
+      error: "Erreur lors de la mise à jour du compte.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/accounting/mappings?company_id= - Comptes utilisés par les écritures
+router.get("/mappings", canView, async (req, res) => {
+  const companyId = parseInt(req.query.company_id, 10);
+  if (isNaN(companyId)) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+  try {
+    const mapping = await getAccountMapping(db, companyId);
+    res.json({ mappings: mapping, defaults: DEFAULT_ACCOUNT_MAPPING });
+  } catch (err) {
+    console.error("Erreur lors de la récupération des correspondances:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération des correspondances.",
+      details: err.message,
+    });
+  }
+});
+
+// PUT /api/accounting/mappings - { company_id, mappings: { clé: code } }
+// Une valeur vide rétablit le compte par défaut
+router.put("/mappings", canManage, async (req, res) => {
+  const { company_id, mappings } = req.body;
+  if (!company_id || !mappings || typeof mappings !== "object") {
+    return res
+      .status(400)
+      .json({ error: "company_id et mappings sont requis." });
+  }
+  const invalidKey = Object.keys(mappings).find(
+    (key) => !isValidMappingKey(key)
+  );
+  if (invalidKey) {
+    return res.status(400).json({
+      error: `Clé inconnue: ${invalidKey}. Clés acceptées: ${Object.keys(
+        DEFAULT_ACCOUNT_MAPPING
+      ).join(", ")}, expense_category:<id>, payment_mode:<id>.`,
+    });
+  }
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    for (const [key, code] of Object.entries(mappings)) {
+      if (code === null || code === "") {
+        await connection.query(
+          "DELETE FROM account_mappings WHERE company_id = ? AND mapping_key = ?",
+          [company_id, key]
+        );
+        continue;
+      }
+      await connection.query(
+        `INSERT INTO account_mappings (company_id, mapping_key, account_code, created_at, updated_at)
+         VALUES (?, ?, ?, NOW(), NOW())
+         ON DUPLICATE KEY UPDATE account_code = VALUES(account_code), updated_at = NOW()`,
+        [company_id, key, String(code)]
+      );
+    }
+    await connection.commit();
+    res.json({
+      message: "Correspondances enregistrées.",
+      mappings: await getAccountMapping(db, company_id),
+    });
+  } catch (err) {
+    await connection.rollback();
+    console.error("Erreur lors de l'enregistrement des correspondances:", err);
+    res.status(500).json({
+      error: "Erreur lors de l'enregistrement des correspondances.",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// --- Journal et états --- //
+
+// GET /api/accounting/journal?company_id=&from=&to=&journal_code=&page=&limit=
+router.get("/journal", canView, async (req, res) => {
+  const period = readPeriod(req, res);
+  if (!period) return;
+  const { journal_code, source_type, warehouse_id } = req.query;
+  const pageNum = parseInt(req.query.page) || 1;
+  const limitNum = parseInt(req.query.limit) || 50;
+
+  try {
+    const whereClauses = ["je.company_id = ?", "je.entry_date BETWEEN ? AND ?"];
+    const params = [period.companyId, period.startDate, period.endDate];
+    if (journal_code) {
+      whereClauses.push("je.journal_code = ?");
+      params.push(journal_code);
+    }
+    if (source_type) {
+      whereClauses.push("je.source_type = ?");
+      params.push(source_type);
+    }
+    if (warehouse_id) {
+      whereClauses.push("je.warehouse_id = ?");
+      params.push(warehouse_id);
+    }
+    const whereString = whereClauses.join(" AND ");
+
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) AS total FROM journal_entries je WHERE ${whereString}`,
+      params
+    );
+    const [entries] = await db.query(
+      `SELECT je.* FROM journal_entries je
+       WHERE ${whereString}
+       ORDER BY je.entry_date ASC, je.id ASC
+       LIMIT ? OFFSET ?`,
+      [...params, limitNum, (pageNum - 1) * limitNum]
+    );
+
+    const names = await accountNames(period.companyId);
+    if (entries.length > 0) {
+      const [lines] = await db.query(
+        `SELECT jel.*, u.name AS party_name
+         FROM journal_entry_lines jel
+         LEFT JOIN users u ON jel.user_id = u.id
+         WHERE jel.journal_entry_id IN (?)
+         ORDER BY jel.id ASC`,
+        [entries.map((entry) => entry.id)]
+      );
+      entries.forEach((entry) => {
+        entry.lines = lines
+          .filter((line) => line.journal_entry_id === entry.id)
+          .map((line) => ({ ...line, account_name: names[line.account_code] }));
+      });
+    }
+
+    res.json({
+      entries,
+      total: countRows[0].total,
+      page: pageNum,
+      limit: limitNum,
+    });
+  } catch (err) {
+    console.error("Erreur lors de la récupération du journal:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération du journal.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/accounting/trial-balance?company_id=&from=&to= - Balance générale
+router.get("/trial-balance", canView, async (req, res) => {
+  const period = readPeriod(req, res);
+  if (!period) return;
+
+  try {
+    const [rows] = await db.query(
+      `SELECT jel.account_code,
+              SUM(CASE WHEN je.entry_date < ? THEN jel.debit - jel.credit ELSE 0 END) AS opening,
+              SUM(CASE WHEN je.entry_date >= ? THEN jel.debit ELSE 0 END) AS debit,
+              SUM(CASE WHEN je.entry_date >= ? THEN jel.credit ELSE 0 END) AS credit
+       FROM journal_entry_lines jel
+       JOIN journal_entries je ON jel.journal_entry_id = je.id
+       WHERE je.company_id = ? AND je.entry_date <= ?
+       GROUP BY jel.account_code
+       ORDER BY jel.account_code ASC`,
+      [
+        period.startDate,
+        period.startDate,
+        period.startDate,
+        period.companyId,
+        period.endDate,
+      ]
+    );
+
+    const names = await accountNames(period.companyId);
+    const totals = { opening: 0, debit: 0, credit: 0, closing: 0 };
+    const accounts = rows.map((row) => {
+      const opening = round2(row.opening);
+      const debit = round2(row.debit);
+      const credit = round2(row.credit);
+      const closing = round2(opening + debit - credit);
+      totals.opening += opening;
+      totals.debit += debit;
+      totals.credit += credit;
+      totals.closing += closing;
+      return {
+        account_code: row.account_code,
+        account_name: names[row.account_code] || null,
+        opening_balance: opening,
+        debit,
+        credit,
+        closing_balance: closing,
+        closing_debit: closing > 0 ? closing : 0,
+        closing_credit: closing < 0 ? -closing : 0,
+      };
+    });
+    Object.keys(totals).forEach((key) => {
+      totals[key] = round2(totals[key]);
+    });
+
+    res.json({
+      period: { start_date: period.startDate, end_date: period.endDate },
+      accounts,
+      totals,
+      balanced: Math.abs(totals.debit - totals.credit) <= 0.01,
+    });
+  } catch (err) {
+    console.error("Erreur lors du calcul de la balance:", err);
+    res.status(500).json({
+      error: "Erreur lors du calcul de la balance.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/accounting/ledger?company_id=&account_code=&from=&to=&user_id=
+// Grand livre d'un compte, avec solde progressif
+router.get("/ledger", canView, async (req, res) => {
+  const period = readPeriod(req, res);
+  if (!period) return;
+  const { account_code, user_id } = req.query;
+  if (!account_code) {
+    return res.status(400).json({ error: "account_code est requis." });
+  }
+
+  try {
+    const whereClauses = ["je.company_id = ?", "jel.account_code = ?"];
+    const params = [period.companyId, account_code];
+    if (user_id) {
+      whereClauses.push("jel.user_id = ?");
+      params.push(user_id);
+    }
+    const whereString = whereClauses.join(" AND ");
+
+    const [openingRows] = await db.query(
+      `SELECT COALESCE(SUM(jel.debit - jel.credit), 0) AS balance
+       FROM journal_entry_lines jel
+       JOIN journal_entries je ON jel.journal_entry_id = je.id
+       WHERE ${whereString} AND je.entry_date < ?`,
+      [...params, period.startDate]
+    );
+    const [lines] = await db.query(
+      `SELECT je.entry_date, je.journal_code, je.reference, je.source_type, je.source_id,
+              jel.id, jel.label, jel.debit, jel.credit, jel.user_id, u.name AS party_name
+       FROM journal_entry_lines jel
+       JOIN journal_entries je ON jel.journal_entry_id = je.id
+       LEFT JOIN users u ON jel.user_id = u.id
+       WHERE ${whereString} AND je.entry_date BETWEEN ? AND ?
+       ORDER BY je.entry_date ASC, je.id ASC, jel.id ASC`,
+      [...params, period.startDate, period.endDate]
+    );
+
+    const openingBalance = round2(openingRows[0].balance);
+    let balance = openingBalance;
+    const movements = lines.map((line) => {
+      balance = round2(
+        balance + parseFloat(line.debit) - parseFloat(line.credit)
+      );
+      return { ...line, balance };
+    });
+    const names = await accountNames(period.companyId);
+
+    res.json({
+      account_code,
+      account_name: names[account_code] || null,
+      period: { start_date: period.startDate, end_date: period.endDate },
+      opening_balance: openingBalance,
+      lines: movements,
+      closing_balance: balance,
+    });
+  } catch (err) {
+    console.error("Erreur lors de la récupération du grand livre:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération du grand livre.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/accounting/balance-sheet?company_id=&to= - Bilan à une date
+// Classes 1 à 5 : soldes des comptes (classes 4 et 5 à l'actif si débiteurs,
+// au passif si créditeurs). Classes 6 à 8 : résultat, porté au passif. Sans
+// écriture de clôture, le résultat cumule les exercices non clôturés.
+router.get("/balance-sheet", canView, async (req, res) => {
+  const period = readPeriod(req, res);
+  if (!period) return;
+
+  try {
+    const [rows] = await db.query(
+      `SELECT jel.account_code, SUM(jel.debit - jel.credit) AS balance
+       FROM journal_entry_lines jel
+       JOIN journal_entries je ON jel.journal_entry_id = je.id
+       WHERE je.company_id = ? AND je.entry_date <= ?
+       GROUP BY jel.account_code
+       ORDER BY jel.account_code ASC`,
+      [period.companyId, period.endDate]
+    );
+
+    const names = await accountNames(period.companyId);
+    const assets = [];
+    const liabilities = [];
+    let result = 0;
+    rows.forEach((row) => {
+      const balance = round2(row.balance);
+      const accountClass = parseInt(row.account_code.charAt(0), 10);
+      if (balance === 0) return;
+      if (accountClass >= 6) {
+        result -= balance; // produits au crédit, charges au débit
+        return;
+      }
+      const line = {
+        account_code: row.account_code,
+        account_name: names[row.account_code] || null,
+      };
+      const isAsset =
+        accountClass === 2 ||
+        accountClass === 3 ||
+        (accountClass >= 4 && balance > 0);
+      if (isAsset) assets.push({ ...line, amount: balance });
+      else liabilities.push({ ...line, amount: -balance });
+    });
+    result = round2(result);
+    liabilities.push({
+      account_code: result >= 0 ? "131" : "139",
+      account_name: "Résultat de l'exercice",
+      amount: result,
+    });
+
+    const totalAssets = round2(assets.reduce((sum, a) => sum + a.amount, 0));
+    const totalLiabilities = round2(
+      liabilities.reduce((sum, l) => sum + l.amount, 0)
+    );
+    res.json({
+      date: period.endDate,
+      assets,
+      liabilities,
+      result,
+      total_assets: totalAssets,
+      total_liabilities: totalLiabilities,
+      balanced: Math.abs(totalAssets - totalLiabilities) <= 0.01,
+    });
+  } catch (err) {
+    console.error("Erreur lors du calcul du bilan:", err);
+    res.status(500).json({
+      error: "Erreur lors du calcul du bilan.",
+      details: err.message,
+    });
+  }
+});
+
+// POST /api/accounting/rebuild - { company_id, from, to }
+// Régénère les écritures des documents de la période (reprise de
+// l'historique, ou après un changement de correspondances)
+router.post("/rebuild", canManage, async (req, res) => {
+  const period = readPeriod(req, res);
+  if (!period) return;
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const counts = await rebuildJournal(connection, period);
+    await connection.commit();
+    res.json({
+      message: "Écritures régénérées avec succès.",
+      period: { start_date: period.startDate, end_date: period.endDate },
+      documents: counts,
+    });
+  } catch (err) {
+    await connection.rollback();
+    console.error("Erreur lors de la régénération du journal:", err);
+    res.status(500).json({
+      error: "Erreur lors de la régénération du journal.",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+module.exports = router;
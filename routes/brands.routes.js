@@ -1,9 +1,17 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../config/db");
+const {
+  requireAuthenticated,
+  requirePermission,
+} = require("../middleware/auth");
+
+const canCreate = requirePermission("Produits.Marques.create");
+const canEdit = requirePermission("Produits.Marques.edit");
+const canDelete = requirePermission("Produits.Marques.delete");
 
 // Récupérer toutes les brands filtrées par company_id
-router.get("/", async (req, res) => {
+router.get("/", requireAuthenticated, async (req, res) => {
   try {
     const { company_id } = req.query;
 
@@ -29,7 +37,7 @@ router.get("/", async (req, res) => {
 });
 
 // Récupérer une brand par son id
-router.get("/:id", async (req, res) => {
+router.get("/:id", requireAuthenticated, async (req, res) => {
   try {
     const [rows] = await pool.query(
       "SELECT id, name, description, slug, image, company_id, created_at, updated_at FROM brands WHERE id = ?",
@@ -48,7 +56,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // Créer une nouvelle brand
-router.post("/", async (req, res) => {
+router.post("/", canCreate, async (req, res) => {
   try {
     const { name, description, slug, company_id } = req.body;
 
@@ -93,7 +101,7 @@ router.post("/", async (req, res) => {
 });
 
 // Mettre à jour une brand existante
-router.put("/:id", async (req, res) => {
+router.put("/:id", canEdit, async (req, res) => {
   try {
     const { name, description, slug, company_id } = req.body;
 
@@ -144,7 +152,7 @@ router.put("/:id", async (req, res) => {
 });
 
 // Supprimer une brand
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canDelete, async (req, res) => {
   try {
     const [existing] = await pool.query("SELECT id FROM brands WHERE id = ?", [
       req.params.id,
@@ -4,6 +4,18 @@ const router = express.Router();
 const path = require("path");
 const multer = require("multer");
 const pool = require("../config/db"); // pool MySQL
+const {
+  requireAuthenticated,
+  requirePermission,
+} = require("../middleware/auth");
+
+const canCreate = requirePermission("Produits.Categories.create");
+const canEdit = requirePermission("Produits.Categories.edit");
+const canDelete = requirePermission("Produits.Categories.delete");
+const canUpload = requirePermission(
+  "Produits.Categories.create",
+  "Produits.Categories.edit"
+);
 
 // Configuration de multer pour stocker les images dans "uploads/category_images"
 const storage = multer.diskStorage({
@@ -21,7 +33,7 @@ const upload = multer({ storage });
 // ======================
 //    Endpoint Upload
 // ======================
-router.post("/upload", upload.single("file"), (req, res) => {
+router.post("/upload", canUpload, upload.single("file"), (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: "Aucun fichier n'a été uploadé" });
   }
@@ -36,7 +48,7 @@ router.post("/upload", upload.single("file"), (req, res) => {
 // ======================
 
 // Récupérer toutes les catégories
-router.get("/", async (req, res) => {
+router.get("/", requireAuthenticated, async (req, res) => {
   try {
     const { company_id } = req.query;
     let baseQuery = `
@@ -74,7 +86,7 @@ router.get("/", async (req, res) => {
 });
 
 // Récupérer une catégorie par ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", requireAuthenticated, async (req, res) => {
   const { id } = req.params;
   try {
     const query = `
@@ -107,7 +119,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // Ajouter une nouvelle catégorie
-router.post("/", async (req, res) => {
+router.post("/", canCreate, async (req, res) => {
   try {
     const { company_id, name, description, slug, image, parent_id } = req.body;
 
@@ -173,7 +185,7 @@ router.post("/", async (req, res) => {
 });
 
 // Mettre à jour une catégorie par ID
-router.put("/:id", async (req, res) => {
+router.put("/:id", canEdit, async (req, res) => {
   const { id } = req.params;
   const { company_id, name, description, slug, image, parent_id } = req.body;
 
@@ -249,7 +261,7 @@ router.put("/:id", async (req, res) => {
 });
 
 // Supprimer une catégorie
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canDelete, async (req, res) => {
   const { id } = req.params;
   try {
     const [result] = await pool.query("DELETE FROM categories WHERE id = ?", [
@@ -3,6 +3,17 @@ const express = require("express");
 const router = express.Router();
 const multer = require("multer");
 const db = require("../config/db");
+const {
+  requireAuthenticated,
+  requirePermission,
+} = require("../middleware/auth");
+const {
+  COSTING_METHODS,
+  rebuildCompanyCosts,
+} = require("../utils/inventoryCosting");
+const { FISCAL_PROVIDERS } = require("../utils/fiscalization");
+
+const canManage = requirePermission("Admin.GestionEntreprises.edit_settings");
 const path = require("path");
 const fs = require("fs");
 
@@ -44,7 +55,7 @@ const logoFields = upload.fields([
 ]);
 
 // Récupérer toutes les entreprises avec pagination et filtrage par statut
-router.get("/", async (req, res) => {
+router.get("/", requireAuthenticated, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -90,7 +101,7 @@ router.get("/", async (req, res) => {
 });
 
 // Récupérer une entreprise par ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", requireAuthenticated, async (req, res) => {
   try {
     const [company] = await db.query("SELECT * FROM companies WHERE id = ?", [
       req.params.id,
@@ -109,7 +120,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // Créer une nouvelle entreprise
-router.post("/", logoFields, async (req, res) => {
+router.post("/", canManage, logoFields, async (req, res) => {
   try {
     const {
       name,
@@ -186,7 +197,7 @@ router.post("/", logoFields, async (req, res) => {
 });
 
 // Mettre à jour une entreprise
-router.put("/:id", logoFields, async (req, res) => {
+router.put("/:id", canManage, logoFields, async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -202,8 +213,28 @@ router.put("/:id", logoFields, async (req, res) => {
       rtl,
       auto_detect_timezone,
       timezone,
+      costing_method, // Valorisation des stocks : cmup ou fifo
+      fiscal_provider, // Facturation normalisée : simulator, emecef ou vide
+      fiscal_ifu,
+      fiscal_api_url,
     } = req.body;
 
+    if (costing_method !== undefined && !COSTING_METHODS[costing_method]) {
+      return res.status(400).json({
+        error: `Méthode de valorisation invalide. Valeurs acceptées: ${Object.keys(
+          COSTING_METHODS
+        ).join(", ")}.`,
+      });
+    }
+
+    if (fiscal_provider && !FISCAL_PROVIDERS[fiscal_provider]) {
+      return res.status(400).json({
+        error: `Fournisseur de certification invalide. Valeurs acceptées: ${Object.keys(
+          FISCAL_PROVIDERS
+        ).join(", ")}.`,
+      });
+    }
+
     // Vérifier l'existence de l'entreprise
     const [existing] = await db.query("SELECT * FROM companies WHERE id = ?", [
       id,
@@ -244,6 +275,12 @@ router.put("/:id", logoFields, async (req, res) => {
       rtl,
       auto_detect_timezone,
       timezone,
+      costing_method,
+      // Chaîne vide : facturation normalisée désactivée
+      fiscal_provider:
+        fiscal_provider === undefined ? undefined : fiscal_provider || null,
+      fiscal_ifu,
+      fiscal_api_url,
       updated_at: new Date(),
       ...logos,
     };
@@ -260,9 +297,16 @@ router.put("/:id", logoFields, async (req, res) => {
       return res.status(404).json({ error: "Entreprise non trouvée" });
     }
 
+    // Changement de méthode : tout l'historique du stock est revalorisé
+    let costing = null;
+    if (costing_method && costing_method !== existing[0].costing_method) {
+      costing = await rebuildCosts(id);
+    }
+
     res.json({
       message: "Entreprise mise à jour avec succès",
       updates,
+      ...(costing ? { costing } : {}),
     });
   } catch (err) {
     console.error("Erreur lors de la mise à jour de l'entreprise:", err);
@@ -273,8 +317,53 @@ router.put("/:id", logoFields, async (req, res) => {
   }
 });
 
+/**
+ * Revalorise le stock d'une entreprise dans une transaction (voir
+ * utils/inventoryCosting.js).
+ * @returns {Promise<Object>} { products, movements }
+ */
+async function rebuildCosts(companyId) {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await rebuildCompanyCosts(connection, companyId);
+    await connection.commit();
+    return result;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+// Revaloriser le stock (CMUP ou FIFO) à partir de l'historique des mouvements
+router.post("/:id/costing/rebuild", canManage, async (req, res) => {
+  try {
+    const [existing] = await db.query(
+      "SELECT id, costing_method FROM companies WHERE id = ?",
+      [req.params.id]
+    );
+    if (existing.length === 0) {
+      return res.status(404).json({ error: "Entreprise non trouvée" });
+    }
+    const result = await rebuildCosts(existing[0].id);
+    res.json({
+      message: "Stock revalorisé avec succès",
+      costing_method: existing[0].costing_method,
+      ...result,
+    });
+  } catch (err) {
+    console.error("Erreur lors de la revalorisation du stock:", err);
+    res.status(500).json({
+      error: "Erreur lors de la revalorisation du stock",
+      details: err.message,
+    });
+  }
+});
+
 // Supprimer une entreprise
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canManage, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -341,7 +430,7 @@ router.delete("/:id", async (req, res) => {
 });
 
 // Mise à jour du statut d'une entreprise
-router.patch("/:id/status", async (req, res) => {
+router.patch("/:id/status", canManage, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -0,0 +1,253 @@
+// routes/creditNotes.js
+// Avoirs émis sur les retours de vente (voir utils/creditNotes.js)
+const express = require("express");
+const router = express.Router();
+const db = require("../config/db");
+const InvoiceGenerator = require("../utils/pdfGenerator");
+const { requirePermission } = require("../middleware/auth");
+const { getCustomerCreditBalance } = require("../utils/creditNotes");
+
+const canViewCreditNotes = requirePermission("Ventes.RetourVente.view");
+// Le solde est aussi consulté à l'encaissement d'une facture
+const canViewBalance = requirePermission(
+  "Ventes.RetourVente.view",
+  "Ventes.PaiementsEntrants.create",
+  "POS.use"
+);
+
+// GET /api/credit-notes - Liste des avoirs
+router.get("/", canViewCreditNotes, async (req, res) => {
+  const { company_id, warehouse_id, user_id, status, page, limit } = req.query;
+  const pageNum = parseInt(page) || 1;
+  const limitNum = parseInt(limit) || 10;
+  const offset = (pageNum - 1) * limitNum;
+
+  try {
+    const whereClauses = ["1 = 1"];
+    const params = [];
+    if (company_id) {
+      whereClauses.push("cn.company_id = ?");
+      params.push(company_id);
+    }
+    if (warehouse_id) {
+      whereClauses.push("cn.warehouse_id = ?");
+      params.push(warehouse_id);
+    }
+    if (user_id) {
+      whereClauses.push("cn.user_id = ?");
+      params.push(user_id);
+    }
+    if (status) {
+      whereClauses.push("cn.status = ?");
+      params.push(status);
+    }
+    const whereString = whereClauses.join(" AND ");
+
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) AS total FROM credit_notes cn WHERE ${whereString}`,
+      params
+    );
+    const [creditNotes] = await db.query(
+      `SELECT cn.*,
+              (cn.amount - cn.refunded_amount - cn.applied_amount) AS balance,
+              u.name AS customer_name,
+              w.name AS warehouse_name,
+              ro.invoice_number AS return_invoice_number,
+              oo.invoice_number AS original_invoice_number
+       FROM credit_notes cn
+       LEFT JOIN users u ON cn.user_id = u.id
+       LEFT JOIN warehouses w ON cn.warehouse_id = w.id
+       LEFT JOIN orders ro ON cn.return_order_id = ro.id
+       LEFT JOIN orders oo ON cn.original_order_id = oo.id
+       WHERE ${whereString}
+       ORDER BY cn.date DESC, cn.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limitNum, offset]
+    );
+
+    res.json({
+      credit_notes: creditNotes,
+      total: countRows[0].total,
+      page: pageNum,
+      limit: limitNum,
+    });
+  } catch (err) {
+    console.error("Erreur lors de la récupération des avoirs:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération des avoirs.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/credit-notes/balance/:userId?company_id= - Crédit client disponible
+router.get("/balance/:userId", canViewBalance, async (req, res) => {
+  const { userId } = req.params;
+  const { company_id } = req.query;
+  if (!company_id) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+
+  try {
+    const balance = await getCustomerCreditBalance(db, company_id, userId);
+    const [openCreditNotes] = await db.query(
+      `SELECT id, credit_note_number, date, amount,
+              (amount - refunded_amount - applied_amount) AS balance
+       FROM credit_notes
+       WHERE company_id = ? AND user_id = ? AND status IN ('open', 'partially_used')
+       ORDER BY date ASC, id ASC`,
+      [company_id, userId]
+    );
+    res.json({
+      user_id: Number(userId),
+      balance,
+      credit_notes: openCreditNotes,
+    });
+  } catch (err) {
+    console.error("Erreur lors du calcul du crédit client:", err);
+    res.status(500).json({
+      error: "Erreur lors du calcul du crédit client.",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * Charge un avoir avec son retour, sa facture d'origine et ses utilisations.
+ * @returns {Promise<Object|null>}
+ */
+async function loadCreditNote(id) {
+  const [rows] = await db.query(
+    `SELECT cn.*,
+            (cn.amount - cn.refunded_amount - cn.applied_amount) AS balance,
+            ro.invoice_number AS return_invoice_number,
+            oo.invoice_number AS original_invoice_number
+     FROM credit_notes cn
+     LEFT JOIN orders ro ON cn.return_order_id = ro.id
+     LEFT JOIN orders oo ON cn.original_order_id = oo.id
+     WHERE cn.id = ?`,
+    [id]
+  );
+  if (rows.length === 0) return null;
+
+  const [allocations] = await db.query(
+    `SELECT cna.*, p.payment_number, o.invoice_number
+     FROM credit_note_allocations cna
+     LEFT JOIN payments p ON cna.payment_id = p.id
+     LEFT JOIN orders o ON cna.order_id = o.id
+     WHERE cna.credit_note_id = ?
+     ORDER BY cna.created_at ASC, cna.id ASC`,
+    [id]
+  );
+  return { ...rows[0], allocations };
+}
+
+// GET /api/credit-notes/:id - Détail d'un avoir
+router.get("/:id", canViewCreditNotes, async (req, res) => {
+  try {
+    const creditNote = await loadCreditNote(req.params.id);
+    if (!creditNote) {
+      return res.status(404).json({ error: "Avoir non trouvé." });
+    }
+    res.json(creditNote);
+  } catch (err) {
+    console.error("Erreur lors de la récupération de l'avoir:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération de l'avoir.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/credit-notes/:id/pdf - Avoir au format PDF
+router.get("/:id/pdf", canViewCreditNotes, async (req, res) => {
+  const { download = "true" } = req.query;
+  try {
+    const creditNote = await loadCreditNote(req.params.id);
+    if (!creditNote) {
+      return res.status(404).json({ error: "Avoir non trouvé." });
+    }
+
+    const [orderRows] = await db.query(
+      `SELECT o.*,
+              c.name as company_name, c.address as company_address,
+              c.phone as company_phone, c.email as company_email,
+              w.name as warehouse_name, w.address as warehouse_address,
+              w.phone as warehouse_phone, w.email as warehouse_email,
+              w.logo as warehouse_logo
+       FROM orders o
+       LEFT JOIN companies c ON o.company_id = c.id
+       LEFT JOIN warehouses w ON o.warehouse_id = w.id
+       WHERE o.id = ?`,
+      [creditNote.return_order_id]
+    );
+    if (orderRows.length === 0) {
+      return res.status(404).json({ error: "Retour de vente non trouvé." });
+    }
+    const order = orderRows[0];
+
+    const [items] = await db.query(
+      `SELECT oi.*, p.name as product_name
+       FROM order_items oi
+       LEFT JOIN products p ON oi.product_id = p.id
+       WHERE oi.order_id = ?`,
+      [order.id]
+    );
+    const [userRows] = await db.query("SELECT * FROM users WHERE id = ?", [
+      creditNote.user_id,
+    ]);
+
+    const invoiceGenerator = new InvoiceGenerator();
+    const pdfBuffer = await invoiceGenerator.generateInvoice({
+      order: { ...order, order_date: creditNote.date },
+      items,
+      customer: userRows.length > 0 ? userRows[0] : null,
+      company: {
+        name: order.company_name,
+        address: order.company_address,
+        phone: order.company_phone,
+        email: order.company_email,
+      },
+      warehouse: {
+        name: order.warehouse_name,
+        address: order.warehouse_address,
+        phone: order.warehouse_phone,
+        email: order.warehouse_email,
+        logo_url: order.warehouse_logo || "",
+      },
+      document: {
+        title: "Avoir",
+        numberLabel: "Avoir N°",
+        number: creditNote.credit_note_number,
+        reference: creditNote.original_invoice_number
+          ? `Facture d'origine: ${creditNote.original_invoice_number}`
+          : `Retour: ${creditNote.return_invoice_number}`,
+        summaryLines: [
+          { label: "Remboursé:", amount: creditNote.refunded_amount },
+          { label: "Imputé sur factures:", amount: creditNote.applied_amount },
+          { label: "Solde de l'avoir:", amount: creditNote.balance },
+        ],
+      },
+    });
+
+    const fileName = `avoir_${creditNote.credit_note_number.replace(
+      /[^a-zA-Z0-9]/g,
+      "_"
+    )}.pdf`;
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Length", pdfBuffer.length);
+    res.setHeader(
+      "Content-Disposition",
+      `${download === "true" ? "attachment" : "inline"}; filename="${fileName}"`
+    );
+    res.send(pdfBuffer);
+  } catch (err) {
+    console.error("Erreur lors de la génération du PDF de l'avoir:", err);
+    res.status(500).json({
+      error: "Erreur lors de la génération du PDF de l'avoir.",
+      details: err.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,18 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../config/db");
+const {
+  requireAuthenticated,
+  requirePermission,
+} = require("../middleware/auth");
+const { getExchangeRate } = require("../utils/currency");
+
+const canCreate = requirePermission("Admin.Devises.create");
+const canEdit = requirePermission("Admin.Devises.edit");
+const canDelete = requirePermission("Admin.Devises.delete");
 
 // Récupérer toutes les devises avec pagination et filtres
-router.get("/", async (req, res) => {
+router.get("/", requireAuthenticated, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const page = parseInt(req.query.page) || 1;
@@ -65,7 +74,7 @@ router.get("/", async (req, res) => {
 });
 
 // Récupérer une devise spécifique
-router.get("/:id", async (req, res) => {
+router.get("/:id", requireAuthenticated, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const [currency] = await connection.query(
@@ -90,7 +99,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // Créer une nouvelle devise
-router.post("/", async (req, res) => {
+router.post("/", canCreate, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -152,7 +161,7 @@ router.post("/", async (req, res) => {
 });
 
 // Mettre à jour une devise
-router.put("/:id", async (req, res) => {
+router.put("/:id", canEdit, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -237,7 +246,7 @@ router.put("/:id", async (req, res) => {
 });
 
 // Supprimer une devise
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canDelete, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -291,4 +300,136 @@ router.delete("/:id", async (req, res) => {
   }
 });
 
+// --- Cours de change (voir utils/currency.js) --- //
+
+// Historique des cours d'une devise
+router.get("/:id/rates", requireAuthenticated, async (req, res) => {
+  const connection = await db.getConnection();
+  try {
+    const [rates] = await connection.query(
+      `SELECT er.*, u.name as created_by_name
+       FROM exchange_rates er
+       LEFT JOIN users u ON er.created_by = u.id
+       WHERE er.currency_id = ?
+       ORDER BY er.effective_date DESC`,
+      [req.params.id]
+    );
+    res.json(rates);
+  } catch (err) {
+    console.error("Erreur lors de la récupération des cours:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération des cours",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Cours en vigueur à une date (?date=YYYY-MM-DD, par défaut aujourd'hui)
+router.get("/:id/rate", requireAuthenticated, async (req, res) => {
+  const connection = await db.getConnection();
+  try {
+    const [currency] = await connection.query(
+      "SELECT * FROM currencies WHERE id = ?",
+      [req.params.id]
+    );
+    if (currency.length === 0) {
+      return res.status(404).json({ error: "Devise non trouvée" });
+    }
+    const date = req.query.date || new Date();
+    const rate = await getExchangeRate(connection, {
+      companyId: currency[0].company_id,
+      currencyId: currency[0].id,
+      date,
+    });
+    if (rate === null) {
+      return res
+        .status(404)
+        .json({ error: "Aucun cours connu pour cette devise à cette date" });
+    }
+    res.json({ currency_id: currency[0].id, date, rate });
+  } catch (err) {
+    console.error("Erreur lors de la récupération du cours:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération du cours",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Enregistrer un cours (remplace le cours de la même date d'effet)
+router.post("/:id/rates", canEdit, async (req, res) => {
+  const connection = await db.getConnection();
+  try {
+    const { rate, effective_date } = req.body;
+    if (!(parseFloat(rate) > 0) || !effective_date) {
+      return res.status(400).json({
+        error: "Un cours positif et une date d'effet sont requis",
+      });
+    }
+
+    const [currency] = await connection.query(
+      "SELECT * FROM currencies WHERE id = ?",
+      [req.params.id]
+    );
+    if (currency.length === 0) {
+      return res.status(404).json({ error: "Devise non trouvée" });
+    }
+
+    const [result] = await connection.query(
+      `INSERT INTO exchange_rates (
+        company_id, currency_id, rate, effective_date, created_by,
+        created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, NOW(), NOW())
+      ON DUPLICATE KEY UPDATE rate = VALUES(rate), created_by = VALUES(created_by), updated_at = NOW()`,
+      [
+        currency[0].company_id,
+        currency[0].id,
+        parseFloat(rate),
+        effective_date,
+        req.user ? req.user.id : null,
+      ]
+    );
+
+    res.status(201).json({
+      message: "Cours enregistré avec succès",
+      id: result.insertId,
+    });
+  } catch (err) {
+    console.error("Erreur lors de l'enregistrement du cours:", err);
+    res.status(500).json({
+      error: "Erreur lors de l'enregistrement du cours",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Supprimer un cours (les documents gardent le cours qui leur a été appliqué)
+router.delete("/:id/rates/:rateId", canEdit, async (req, res) => {
+  const connection = await db.getConnection();
+  try {
+    const [result] = await connection.query(
+      "DELETE FROM exchange_rates WHERE id = ? AND currency_id = ?",
+      [req.params.rateId, req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Cours non trouvé" });
+    }
+    res.json({ message: "Cours supprimé avec succès" });
+  } catch (err) {
+    console.error("Erreur lors de la suppression du cours:", err);
+    res.status(500).json({
+      error: "Erreur lors de la suppression du cours",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
 module.exports = router;
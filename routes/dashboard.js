@@ -2,6 +2,12 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../config/db"); // Assurez-vous que le chemin est correct
+const { requirePermission } = require("../middleware/auth");
+const XLSX = require("xlsx");
+const InvoiceGenerator = require("../utils/pdfGenerator");
+const { AGING_BUCKETS } = require("../utils/accountStatement");
+const { payableShareSql } = require("../utils/purchaseOrders");
+const { stockValuationAt } = require("../utils/inventoryCosting");
 const dayjs = require("dayjs"); // Utile pour la gestion des dates
 const utc = require("dayjs/plugin/utc"); // Pour gérer les fuseaux horaires potentiels
 const timezone = require("dayjs/plugin/timezone"); // Pour gérer les fuseaux horaires potentiels
@@ -47,6 +53,7 @@ const checkDashboardParams = (req, res, next) => {
 };
 
 // Appliquer le middleware aux routes nécessitant ces paramètres
+router.use(requirePermission("Dashboard.view"));
 router.use(checkDashboardParams);
 
 // --- Endpoints pour les KPIs ---
@@ -91,12 +98,12 @@ router.get("/totals", async (req, res) => {
     const whereClauseExpenses = expenseConditions.join(" AND ");
     const whereClausePayments = paymentConditions.join(" AND ");
 
-    // --- Requêtes pour chaque total ---
-    const salesQuery = `SELECT SUM(total) as total FROM orders o WHERE ${whereClauseOrders} AND o.order_type = 'sales'`;
-    const purchasesQuery = `SELECT SUM(total) as total FROM orders o WHERE ${whereClauseOrders} AND o.order_type = 'purchase'`;
+    // --- Requêtes pour chaque total (en devise de base : montant x cours) ---
+    const salesQuery = `SELECT SUM(o.total * o.exchange_rate) as total FROM orders o WHERE ${whereClauseOrders} AND o.order_type = 'sales'`;
+    const purchasesQuery = `SELECT SUM(o.total * o.exchange_rate) as total FROM orders o WHERE ${whereClauseOrders} AND o.order_type = 'purchase'`;
     const expensesQuery = `SELECT SUM(amount) as total FROM expenses e WHERE ${whereClauseExpenses}`;
-    const paymentsReceivedQuery = `SELECT SUM(amount) as total FROM payments p WHERE ${whereClausePayments} AND p.payment_type = 'in'`;
-    const paymentsSentQuery = `SELECT SUM(amount) as total FROM payments p WHERE ${whereClausePayments} AND p.payment_type = 'out'`;
+    const paymentsReceivedQuery = `SELECT SUM(p.amount * p.exchange_rate) as total FROM payments p WHERE ${whereClausePayments} AND p.payment_type = 'in'`;
+    const paymentsSentQuery = `SELECT SUM(p.amount * p.exchange_rate) as total FROM payments p WHERE ${whereClausePayments} AND p.payment_type = 'out'`;
 
     // Exécuter les requêtes en parallèle
     const [
@@ -165,8 +172,8 @@ router.get("/sales-purchases-chart", async (req, res) => {
     const query = `
         SELECT 
             DATE(o.order_date) as date,
-            COALESCE(SUM(CASE WHEN o.order_type = 'sales' THEN o.total ELSE 0 END), 0) as daily_sales,
-            COALESCE(SUM(CASE WHEN o.order_type = 'purchase' THEN o.total ELSE 0 END), 0) as daily_purchases
+            COALESCE(SUM(CASE WHEN o.order_type = 'sales' THEN o.total * o.exchange_rate ELSE 0 END), 0) as daily_sales,
+            COALESCE(SUM(CASE WHEN o.order_type = 'purchase' THEN o.total * o.exchange_rate ELSE 0 END), 0) as daily_purchases
         FROM orders o
         WHERE ${whereClause}
         GROUP BY DATE(o.order_date)
@@ -338,7 +345,7 @@ router.get("/top-customers", async (req, res) => {
                 o.user_id as customerId,
                 u.name as name,
                 u.profile_image as customer_image,
-                SUM(o.total) as totalSpent,
+                SUM(o.total * o.exchange_rate) as totalSpent,
                 COUNT(o.id) as salesCount
             FROM orders o
             JOIN users u ON o.user_id = u.id
@@ -417,6 +424,21 @@ router.get("/stock-alerts", async (req, res) => {
 
     const [results] = await connection.query(query, queryParams);
 
+    // Nombre total d'alertes par entrepôt (indépendant de la limite)
+    const [warehouseCounts] = await connection.query(
+      `SELECT
+          pd.warehouse_id as warehouseId,
+          w.name as warehouseName,
+          COUNT(*) as alertCount
+       FROM product_details pd
+       JOIN products p ON pd.product_id = p.id
+       JOIN warehouses w ON pd.warehouse_id = w.id
+       WHERE ${whereClause}
+       GROUP BY pd.warehouse_id, w.name
+       ORDER BY alertCount DESC`,
+      queryParams.slice(0, -1)
+    );
+
     res.json({
       filters: { companyId, warehouseId, limit: limitNum },
       data: results.map((row) => ({
@@ -424,6 +446,10 @@ router.get("/stock-alerts", async (req, res) => {
         currentStock: parseFloat(row.currentStock || 0),
         alertQuantity: parseFloat(row.alertQuantity || 0),
       })),
+      byWarehouse: warehouseCounts.map((row) => ({
+        ...row,
+        alertCount: parseInt(row.alertCount || 0, 10),
+      })),
     });
   } catch (error) {
     console.error(
@@ -439,6 +465,80 @@ router.get("/stock-alerts", async (req, res) => {
   }
 });
 
+// GET /api/dashboard/expiring-batches - Lots périmés ou proches de la péremption
+router.get("/expiring-batches", async (req, res) => {
+  const { companyId, warehouseId, days = 30, limit = 50 } = req.query;
+  const connection = await db.getConnection();
+
+  try {
+    const daysNum = parseInt(days, 10) || 30;
+    const limitNum = parseInt(limit, 10) || 50;
+    const conditions = [
+      "p.company_id = ?",
+      "p.is_deleted = 0",
+      "pb.quantity > 0",
+      "pb.expiry_date IS NOT NULL",
+      "pb.expiry_date <= DATE_ADD(CURDATE(), INTERVAL ? DAY)",
+    ];
+    const queryParams = [companyId, daysNum];
+
+    if (warehouseId) {
+      conditions.push("pb.warehouse_id = ?");
+      queryParams.push(warehouseId);
+    }
+
+    const whereClause = conditions.join(" AND ");
+
+    const query = `
+            SELECT
+                pb.id as batchId,
+                pb.batch_number as batchNumber,
+                pb.expiry_date as expiryDate,
+                DATEDIFF(pb.expiry_date, CURDATE()) as daysToExpiry,
+                pb.quantity as quantity,
+                pb.product_id as productId,
+                p.name as name,
+                p.image as product_image,
+                pb.warehouse_id as warehouseId,
+                w.name as warehouseName,
+                COALESCE(pb.quantity * pd.purchase_price, 0) as valueAtCost
+            FROM product_batches pb
+            JOIN products p ON pb.product_id = p.id
+            JOIN warehouses w ON pb.warehouse_id = w.id
+            LEFT JOIN product_details pd ON pd.product_id = pb.product_id AND pd.warehouse_id = pb.warehouse_id
+            WHERE ${whereClause}
+            ORDER BY pb.expiry_date ASC, p.name ASC -- Les lots déjà périmés d'abord
+            LIMIT ?;
+        `;
+    queryParams.push(limitNum);
+
+    const [results] = await connection.query(query, queryParams);
+
+    res.json({
+      filters: { companyId, warehouseId, days: daysNum, limit: limitNum },
+      data: results.map((row) => ({
+        ...row,
+        daysToExpiry: parseInt(row.daysToExpiry, 10),
+        isExpired: parseInt(row.daysToExpiry, 10) < 0,
+        quantity: parseFloat(row.quantity || 0),
+        valueAtCost: parseFloat(row.valueAtCost || 0),
+      })),
+    });
+  } catch (error) {
+    console.error(
+      "Erreur lors de la récupération des lots proches de la péremption:",
+      error
+    );
+    res.status(500).json({
+      error:
+        "Erreur serveur lors de la récupération des lots proches de la péremption.",
+      details: error.message,
+    });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
 // GET /api/dashboard/payments-chart - Données pour graphique des paiements
 router.get("/payments-chart", async (req, res) => {
   const { companyId, warehouseId, startDate, endDate } = req.query;
@@ -470,8 +570,8 @@ router.get("/payments-chart", async (req, res) => {
     const query = `
             SELECT
                 DATE(p.date) as date,
-                COALESCE(SUM(CASE WHEN p.payment_type = 'in' THEN p.amount ELSE 0 END), 0) as daily_received,
-                COALESCE(SUM(CASE WHEN p.payment_type = 'out' THEN p.amount ELSE 0 END), 0) as daily_sent
+                COALESCE(SUM(CASE WHEN p.payment_type = 'in' THEN p.amount * p.exchange_rate ELSE 0 END), 0) as daily_received,
+                COALESCE(SUM(CASE WHEN p.payment_type = 'out' THEN p.amount * p.exchange_rate ELSE 0 END), 0) as daily_sent
             FROM payments p
             WHERE ${whereClause}
             GROUP BY DATE(p.date)
@@ -562,15 +662,16 @@ router.get("/gross-margin", async (req, res) => {
     }
     const whereClause = conditions.join(" AND ");
 
-    // Calculer Total Ventes et COGS
-    // ATTENTION: Utilise pd.purchase_price (coût actuel) comme approximation du coût au moment de la vente.
+    // Calculer Total Ventes et COGS (devise de base)
+    // Coût de revient enregistré sur la ligne à la vente (CMUP ou FIFO, voir
+    // utils/inventoryCosting.js) ; prix d'achat actuel pour les ventes antérieures
     const query = `
             SELECT
-                SUM(oi.subtotal) as totalSales,
-                SUM(oi.quantity * pd.purchase_price) as totalCOGS
+                SUM(oi.subtotal * o.exchange_rate) as totalSales,
+                SUM(COALESCE(oi.cost_of_goods_sold, oi.quantity * pd.purchase_price)) as totalCOGS
             FROM order_items oi
             JOIN orders o ON oi.order_id = o.id
-            JOIN product_details pd ON oi.product_id = pd.product_id AND o.warehouse_id = pd.warehouse_id # Jointure sur l'entrepôt de la commande
+            LEFT JOIN product_details pd ON oi.product_id = pd.product_id AND o.warehouse_id = pd.warehouse_id # Jointure sur l'entrepôt de la commande
             WHERE ${whereClause};
         `;
 
@@ -592,7 +693,6 @@ router.get("/gross-margin", async (req, res) => {
     });
   } catch (error) {
     console.error("Erreur Marge Brute:", error);
-    // Retrait de la vérification spécifique oi.cost car nous utilisons pd.purchase_price
     res.status(500).json({ error: "Erreur serveur.", details: error.message });
   } finally {
     if (connection) connection.release();
@@ -627,7 +727,7 @@ router.get("/average-order-value", async (req, res) => {
     // Calculer Total Ventes et Nombre de Ventes
     const query = `
             SELECT
-                SUM(o.total) as totalSales,
+                SUM(o.total * o.exchange_rate) as totalSales,
                 COUNT(o.id) as salesCount
             FROM orders o
             WHERE ${whereClause};
@@ -654,6 +754,18 @@ router.get("/average-order-value", async (req, res) => {
   }
 });
 
+// Valeur au coût : couches de coût restantes (CMUP ou FIFO, voir
+// utils/inventoryCosting.js), ou stock x prix d'achat pour un stock encore
+// jamais valorisé
+const STOCK_COST_JOIN = `LEFT JOIN (
+         SELECT product_id, warehouse_id,
+                SUM(remaining_quantity * unit_cost) AS layer_value
+         FROM stock_cost_layers
+         GROUP BY product_id, warehouse_id
+       ) scl ON scl.product_id = pd.product_id AND scl.warehouse_id = pd.warehouse_id`;
+const STOCK_COST_VALUE =
+  "COALESCE(scl.layer_value, pd.current_stock * pd.purchase_price)";
+
 // GET /api/dashboard/stock-turnover - Rotation des Stocks (Approximation)
 router.get("/stock-turnover", async (req, res) => {
   const { companyId, warehouseId, startDate, endDate } = req.query;
@@ -685,22 +797,23 @@ router.get("/stock-turnover", async (req, res) => {
     const whereClauseOrders = conditionsOrders.join(" AND ");
     const whereClauseInventory = conditionsInventory.join(" AND ");
 
-    // 1. Calculer COGS (avec approximation pd.purchase_price)
+    // 1. Calculer COGS (coût de revient des lignes, sinon pd.purchase_price)
     const cogsQuery = `
-            SELECT SUM(oi.quantity * pd.purchase_price) as totalCOGS
+            SELECT SUM(COALESCE(oi.cost_of_goods_sold, oi.quantity * pd.purchase_price)) as totalCOGS
             FROM order_items oi
             JOIN orders o ON oi.order_id = o.id
-            JOIN product_details pd ON oi.product_id = pd.product_id AND o.warehouse_id = pd.warehouse_id # Jointure sur l'entrepôt de la commande
+            LEFT JOIN product_details pd ON oi.product_id = pd.product_id AND o.warehouse_id = pd.warehouse_id # Jointure sur l'entrepôt de la commande
             WHERE ${whereClauseOrders};
         `;
 
-    // 2. Calculer Valeur Inventaire Actuel
+    // 2. Calculer Valeur Inventaire Actuel (couches de coût)
     const inventoryValueQuery = `
-            SELECT SUM(pd.current_stock * pd.purchase_price) as currentInventoryValue
+            SELECT SUM(${STOCK_COST_VALUE}) as currentInventoryValue
             FROM product_details pd
             JOIN products p ON pd.product_id = p.id
+            ${STOCK_COST_JOIN}
             WHERE ${whereClauseInventory};
-       `; // pd.purchase_price est le coût actuel
+       `;
 
     const [[[cogsResult]], [[inventoryResult]]] = await Promise.all([
       connection.query(cogsQuery, paramsOrders),
@@ -809,10 +922,11 @@ router.get("/stock-valuation", async (req, res) => {
 
     const query = `
       SELECT 
-        COALESCE(SUM(pd.current_stock * pd.purchase_price), 0) as totalStockValueCost,
+        COALESCE(SUM(${STOCK_COST_VALUE}), 0) as totalStockValueCost,
         COALESCE(SUM(pd.current_stock * pd.sales_price), 0) as totalStockValueSale
       FROM product_details pd
       JOIN products p ON pd.product_id = p.id
+      ${STOCK_COST_JOIN}
       WHERE ${whereClause};
     `;
 
@@ -824,11 +938,34 @@ router.get("/stock-valuation", async (req, res) => {
 
     const [[result]] = await connection.query(query, queryParams);
 
+    // Détail par entrepôt : chaque ligne product_details porte le stock d'un entrepôt
+    const [warehouseRows] = await connection.query(
+      `SELECT
+          pd.warehouse_id as warehouseId,
+          w.name as warehouseName,
+          COALESCE(SUM(${STOCK_COST_VALUE}), 0) as totalStockValueCost,
+          COALESCE(SUM(pd.current_stock * pd.sales_price), 0) as totalStockValueSale
+       FROM product_details pd
+       JOIN products p ON pd.product_id = p.id
+       JOIN warehouses w ON pd.warehouse_id = w.id
+       ${STOCK_COST_JOIN}
+       WHERE ${whereClause}
+       GROUP BY pd.warehouse_id, w.name
+       ORDER BY w.name ASC`,
+      queryParams
+    );
+
     res.json({
       filters: { companyId, warehouseId }, // Retourne les filtres utilisés
       data: {
         totalStockValueCost: parseFloat(result.totalStockValueCost || 0),
         totalStockValueSale: parseFloat(result.totalStockValueSale || 0),
+        byWarehouse: warehouseRows.map((row) => ({
+          warehouseId: row.warehouseId,
+          warehouseName: row.warehouseName,
+          totalStockValueCost: parseFloat(row.totalStockValueCost || 0),
+          totalStockValueSale: parseFloat(row.totalStockValueSale || 0),
+        })),
       },
     });
   } catch (error) {
@@ -839,4 +976,254 @@ router.get("/stock-valuation", async (req, res) => {
   }
 });
 
+// GET /api/dashboard/stock-valuation-as-of?date=YYYY-MM-DD - Valorisation du
+// stock au coût à une date (défaut : aujourd'hui), d'après le solde valorisé
+// des mouvements de stock
+router.get("/stock-valuation-as-of", async (req, res) => {
+  const { companyId, warehouseId, date } = req.query;
+  if (date && !dayjs(date).isValid()) {
+    return res.status(400).json({ error: "Format de date invalide." });
+  }
+  const asOf = dayjs(date || undefined).format("YYYY-MM-DD");
+  const connection = await db.getConnection();
+  try {
+    const rows = await stockValuationAt(connection, {
+      companyId,
+      warehouseId,
+      date: asOf,
+    });
+
+    const byWarehouse = [];
+    rows.forEach((row) => {
+      let warehouse = byWarehouse.find(
+        (w) => w.warehouseId === row.warehouse_id
+      );
+      if (!warehouse) {
+        warehouse = {
+          warehouseId: row.warehouse_id,
+          warehouseName: row.warehouse_name,
+          totalStockValueCost: 0,
+        };
+        byWarehouse.push(warehouse);
+      }
+      warehouse.totalStockValueCost += row.value;
+    });
+
+    res.json({
+      filters: { companyId, warehouseId, date: asOf },
+      data: {
+        totalStockValueCost: rows.reduce((sum, row) => sum + row.value, 0),
+        byWarehouse,
+        products: rows.map((row) => ({
+          productId: row.product_id,
+          productName: row.product_name,
+          warehouseId: row.warehouse_id,
+          quantity: row.quantity,
+          unitCost: row.unit_cost,
+          value: row.value,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Erreur Valorisation Stock à date:", error);
+    res.status(500).json({ error: "Erreur serveur.", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// --- Balance âgée des créances clients et des dettes fournisseurs ---
+// Reste dû (orders.due_amount) des factures non soldées, réparti par
+// ancienneté (jours depuis la date de facture, à la date du jour) et par tiers.
+// Un bon de commande fournisseur ne doit que sa part reçue (dueSql).
+// ?format=xlsx ou ?format=pdf pour exporter le rapport.
+const AGING_REPORTS = {
+  receivables: {
+    orderType: "sales",
+    dueSql: "o.due_amount",
+    title: "Balance âgée clients",
+    partyLabel: "Client",
+    fileName: "balance_agee_clients",
+  },
+  payables: {
+    orderType: "purchase",
+    dueSql: `(o.total * ${payableShareSql()} - o.paid_amount)`,
+    title: "Balance âgée fournisseurs",
+    partyLabel: "Fournisseur",
+    fileName: "balance_agee_fournisseurs",
+  },
+};
+
+// Condition SQL d'une tranche sur l'âge calculé (t.age_days)
+const agingCondition = (bucket, index) => {
+  if (bucket.max === null) return `t.age_days >= ${bucket.min}`;
+  // Les factures datées dans le futur tombent dans la première tranche
+  if (index === 0) return `t.age_days <= ${bucket.max}`;
+  return `t.age_days BETWEEN ${bucket.min} AND ${bucket.max}`;
+};
+
+const sendAgingReport = (reportKey) => async (req, res) => {
+  const report = AGING_REPORTS[reportKey];
+  const { companyId, warehouseId, startDate, endDate, format } = req.query;
+  const connection = await db.getConnection();
+
+  try {
+    const conditions = [
+      "o.company_id = ?",
+      "o.is_deleted = 0",
+      "o.order_type = ?",
+      `${report.dueSql} > 0.01`,
+    ];
+    const queryParams = [companyId, report.orderType];
+    if (warehouseId) {
+      conditions.push("o.warehouse_id = ?");
+      queryParams.push(warehouseId);
+    }
+    if (startDate && endDate) {
+      conditions.push("DATE(o.order_date) BETWEEN ? AND ?");
+      queryParams.push(
+        dayjs(startDate).format("YYYY-MM-DD"),
+        dayjs(endDate).format("YYYY-MM-DD")
+      );
+    }
+
+    const bucketColumns = AGING_BUCKETS.map(
+      (bucket, index) =>
+        `SUM(CASE WHEN ${agingCondition(
+          bucket,
+          index
+        )} THEN t.due_amount ELSE 0 END) AS \`${bucket.key}\``
+    ).join(",\n                ");
+
+    const [results] = await connection.query(
+      `SELECT
+                t.user_id as userId,
+                t.name as name,
+                t.phone as phone,
+                COUNT(*) as invoiceCount,
+                MIN(t.order_date) as oldestInvoiceDate,
+                ${bucketColumns},
+                SUM(t.due_amount) as total
+            FROM (
+                SELECT o.user_id, u.name, u.phone, o.order_date,
+                       ${report.dueSql} * o.exchange_rate as due_amount,
+                       DATEDIFF(CURDATE(), o.order_date) as age_days
+                FROM orders o
+                LEFT JOIN users u ON o.user_id = u.id
+                WHERE ${conditions.join(" AND ")}
+            ) t
+            GROUP BY t.user_id, t.name, t.phone
+            ORDER BY total DESC`,
+      queryParams
+    );
+
+    const rows = results.map((row) => {
+      const buckets = {};
+      AGING_BUCKETS.forEach((bucket) => {
+        buckets[bucket.key] = parseFloat(row[bucket.key] || 0);
+      });
+      return {
+        userId: row.userId,
+        name: row.name,
+        phone: row.phone,
+        invoiceCount: parseInt(row.invoiceCount, 10),
+        oldestInvoiceDate: row.oldestInvoiceDate,
+        buckets,
+        total: parseFloat(row.total || 0),
+      };
+    });
+    const totals = { buckets: {}, total: 0 };
+    AGING_BUCKETS.forEach((bucket) => {
+      totals.buckets[bucket.key] = rows.reduce(
+        (sum, row) => sum + row.buckets[bucket.key],
+        0
+      );
+    });
+    totals.total = rows.reduce((sum, row) => sum + row.total, 0);
+
+    const buckets = AGING_BUCKETS.map(({ key, label }) => ({ key, label }));
+    const fileName = `${report.fileName}_${dayjs().format("YYYY-MM-DD")}`;
+
+    if (format === "xlsx") {
+      const sheetRows = [
+        [
+          report.partyLabel,
+          "Téléphone",
+          "Factures",
+          ...buckets.map((b) => b.label),
+          "Total",
+        ],
+        ...rows.map((row) => [
+          row.name,
+          row.phone,
+          row.invoiceCount,
+          ...buckets.map((b) => row.buckets[b.key]),
+          row.total,
+        ]),
+        [
+          "Total",
+          "",
+          "",
+          ...buckets.map((b) => totals.buckets[b.key]),
+          totals.total,
+        ],
+      ];
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(
+        workbook,
+        XLSX.utils.aoa_to_sheet(sheetRows),
+        "Balance âgée"
+      );
+      const buffer = XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${fileName}.xlsx"`
+      );
+      return res.send(buffer);
+    }
+
+    if (format === "pdf") {
+      const [[company]] = await connection.query(
+        "SELECT name FROM companies WHERE id = ?",
+        [companyId]
+      );
+      const pdfBuffer = await new InvoiceGenerator().generateAgingReport({
+        title: report.title,
+        partyLabel: report.partyLabel,
+        buckets,
+        rows,
+        totals,
+        company,
+      });
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Length", pdfBuffer.length);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${fileName}.pdf"`
+      );
+      return res.send(pdfBuffer);
+    }
+
+    res.json({
+      filters: { companyId, warehouseId, startDate, endDate },
+      data: { buckets, rows, totals },
+    });
+  } catch (error) {
+    console.error(`Erreur Balance âgée (${reportKey}):`, error);
+    res.status(500).json({ error: "Erreur serveur.", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+// GET /api/dashboard/receivables-aging - Créances clients par ancienneté
+router.get("/receivables-aging", sendAgingReport("receivables"));
+
+// GET /api/dashboard/payables-aging - Dettes fournisseurs par ancienneté
+router.get("/payables-aging", sendAgingReport("payables"));
+
 module.exports = router;
@@ -1,11 +1,18 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const { syncExpenseEntry } = require("../utils/accounting");
+
+const canCreate = requirePermission("Depenses.SaisieDepenses.create");
+const canEdit = requirePermission("Depenses.SaisieDepenses.edit");
+const canDelete = requirePermission("Depenses.SaisieDepenses.delete");
+const canView = requirePermission("Depenses.SaisieDepenses.view");
 
 // --- Expense Categories --- //
 
 // GET all expense categories
-router.get("/categories", async (req, res) => {
+router.get("/categories", canView, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const { company_id } = req.query;
@@ -36,7 +43,7 @@ router.get("/categories", async (req, res) => {
 });
 
 // GET a single expense category by ID
-router.get("/categories/:id", async (req, res) => {
+router.get("/categories/:id", canView, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const { id } = req.params;
@@ -65,7 +72,7 @@ router.get("/categories/:id", async (req, res) => {
 });
 
 // POST (create) a new expense category
-router.post("/categories", async (req, res) => {
+router.post("/categories", canCreate, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const { name, description, company_id } = req.body;
@@ -100,7 +107,7 @@ router.post("/categories", async (req, res) => {
 });
 
 // PUT (update) an expense category
-router.put("/categories/:id", async (req, res) => {
+router.put("/categories/:id", canEdit, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const { id } = req.params;
@@ -139,7 +146,7 @@ router.put("/categories/:id", async (req, res) => {
 });
 
 // DELETE an expense category
-router.delete("/categories/:id", async (req, res) => {
+router.delete("/categories/:id", canDelete, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const { id } = req.params;
@@ -186,7 +193,7 @@ router.delete("/categories/:id", async (req, res) => {
 // --- Expenses --- //
 
 // GET all expenses with details (category, user, supplier)
-router.get("/", async (req, res) => {
+router.get("/", canView, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const {
@@ -295,7 +302,7 @@ router.get("/", async (req, res) => {
 });
 
 // GET a single expense by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", canView, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const { id } = req.params;
@@ -331,7 +338,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // POST (create) a new expense
-router.post("/", async (req, res) => {
+router.post("/", canCreate, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const {
@@ -380,6 +387,7 @@ router.post("/", async (req, res) => {
       }
     }
 
+    await connection.beginTransaction();
     const [result] = await connection.query(
       `INSERT INTO expenses (
          company_id, bill, expense_category_id, warehouse_id, amount, 
@@ -398,10 +406,15 @@ router.post("/", async (req, res) => {
       ]
     );
 
+    // Écriture comptable de la dépense (voir utils/accounting.js)
+    await syncExpenseEntry(connection, result.insertId);
+    await connection.commit();
+
     res
       .status(201)
       .json({ message: "Dépense créée avec succès", id: result.insertId });
   } catch (err) {
+    await connection.rollback();
     console.error("Erreur lors de la création de la dépense:", err);
     res.status(500).json({
       error: "Erreur lors de la création de la dépense",
@@ -413,7 +426,7 @@ router.post("/", async (req, res) => {
 });
 
 // PUT (update) an expense
-router.put("/:id", async (req, res) => {
+router.put("/:id", canEdit, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const { id } = req.params;
@@ -463,6 +476,7 @@ router.put("/:id", async (req, res) => {
       }
     }
 
+    await connection.beginTransaction();
     const [result] = await connection.query(
       `UPDATE expenses SET 
          company_id = ?, bill = ?, expense_category_id = ?, warehouse_id = ?, 
@@ -483,11 +497,15 @@ router.put("/:id", async (req, res) => {
     );
 
     if (result.affectedRows === 0) {
+      await connection.rollback();
       return res.status(404).json({ error: "Dépense non trouvée" });
     }
+    await syncExpenseEntry(connection, id);
+    await connection.commit();
 
     res.json({ message: "Dépense mise à jour avec succès" });
   } catch (err) {
+    await connection.rollback();
     console.error("Erreur lors de la mise à jour de la dépense:", err);
     res.status(500).json({
       error: "Erreur lors de la mise à jour de la dépense",
@@ -499,21 +517,37 @@ router.put("/:id", async (req, res) => {
 });
 
 // DELETE an expense
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canDelete, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const { id } = req.params;
+    await connection.beginTransaction();
+    // Une dépense répartie en frais d'approche reste tant que le frais existe
+    const [landedCosts] = await connection.query(
+      "SELECT id FROM landed_costs WHERE source_type = 'expense' AND source_id = ? AND status = 'allocated'",
+      [id]
+    );
+    if (landedCosts.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: `Cette dépense est répartie sur des achats (frais d'approche n°${landedCosts[0].id}) : annulez d'abord le frais.`,
+      });
+    }
     const [result] = await connection.query(
       "DELETE FROM expenses WHERE id = ?",
       [id]
     );
 
     if (result.affectedRows === 0) {
+      await connection.rollback();
       return res.status(404).json({ error: "Dépense non trouvée" });
     }
+    await syncExpenseEntry(connection, id); // retire l'écriture
+    await connection.commit();
 
     res.json({ message: "Dépense supprimée avec succès" });
   } catch (err) {
+    await connection.rollback();
     console.error("Erreur lors de la suppression de la dépense:", err);
     res.status(500).json({
       error: "Erreur lors de la suppression de la dépense",
@@ -0,0 +1,171 @@
+// routes/fiscalization.js
+// Facturation normalisée (voir utils/fiscalization.js), sous
+// /api/fiscalization : suivi de la file des certifications, nouvel essai
+// d'une facture refusée et traitement immédiat de la file. Les ventes et les
+// retours de vente sont mis en file à leur création par /api/orders.
+const express = require("express");
+const router = express.Router();
+const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const {
+  FISCAL_STATUS_LABELS,
+  FISCAL_PROVIDERS,
+  formatFiscalSubmission,
+  processPendingFiscalSubmissions,
+  retryFiscalSubmission,
+} = require("../utils/fiscalization");
+
+const canViewSales = requirePermission("Ventes.Ventes.view");
+const canEditSales = requirePermission("Ventes.Ventes.edit");
+
+// GET /api/fiscalization/providers - Fournisseurs de certification disponibles
+router.get("/providers", canViewSales, (req, res) => {
+  res.json({
+    providers: Object.entries(FISCAL_PROVIDERS).map(([name, provider]) => ({
+      name,
+      label: provider.label || name,
+    })),
+  });
+});
+
+// GET /api/fiscalization/submissions?company_id=&status=&page=&limit=
+router.get("/submissions", canViewSales, async (req, res) => {
+  const { company_id, status, page, limit } = req.query;
+  if (!company_id) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+  if (status && !FISCAL_STATUS_LABELS[status]) {
+    return res.status(400).json({
+      error: `Statut invalide (${Object.keys(FISCAL_STATUS_LABELS).join(
+        ", "
+      )}).`,
+    });
+  }
+  const pageNum = parseInt(page) || 1;
+  const limitNum = parseInt(limit) || 10;
+  const offset = (pageNum - 1) * limitNum;
+
+  try {
+    const whereClauses = ["fs.company_id = ?"];
+    const params = [company_id];
+    if (status) {
+      whereClauses.push("fs.status = ?");
+      params.push(status);
+    }
+    const whereString = whereClauses.join(" AND ");
+
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) AS total FROM fiscal_submissions fs WHERE ${whereString}`,
+      params
+    );
+    const [submissions] = await db.query(
+      `SELECT fs.*, o.invoice_number, o.order_type, o.order_date, o.total
+       FROM fiscal_submissions fs
+       JOIN orders o ON o.id = fs.order_id
+       WHERE ${whereString}
+       ORDER BY fs.created_at DESC, fs.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limitNum, offset]
+    );
+
+    res.json({
+      submissions: submissions.map((submission) => ({
+        ...formatFiscalSubmission(submission),
+        invoice_number: submission.invoice_number,
+        order_type: submission.order_type,
+        order_date: submission.order_date,
+        total: parseFloat(submission.total),
+      })),
+      total: countRows[0].total,
+      page: pageNum,
+      limit: limitNum,
+    });
+  } catch (err) {
+    console.error("Erreur lors de la récupération des certifications:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération des certifications.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/fiscalization/orders/:orderId - Certification d'une commande
+router.get("/orders/:orderId", canViewSales, async (req, res) => {
+  try {
+    const [orders] = await db.query(
+      `SELECT id, invoice_number, fiscal_status, fiscal_code, fiscal_counters,
+              fiscal_nim, fiscal_qr_code, fiscal_certified_at
+       FROM orders WHERE id = ?`,
+      [req.params.orderId]
+    );
+    if (orders.length === 0) {
+      return res.status(404).json({ error: "Commande non trouvée." });
+    }
+    const [submissions] = await db.query(
+      "SELECT * FROM fiscal_submissions WHERE order_id = ?",
+      [req.params.orderId]
+    );
+    res.json({
+      ...orders[0],
+      fiscal_status_label: orders[0].fiscal_status
+        ? FISCAL_STATUS_LABELS[orders[0].fiscal_status]
+        : null,
+      submission: submissions[0]
+        ? formatFiscalSubmission(submissions[0])
+        : null,
+    });
+  } catch (err) {
+    console.error("Erreur lors de la récupération de la certification:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération de la certification.",
+      details: err.message,
+    });
+  }
+});
+
+// POST /api/fiscalization/submissions/:id/retry - Nouvel essai immédiat
+// (facture refusée puis corrigée, ou dispositif de nouveau joignable)
+router.post("/submissions/:id/retry", canEditSales, async (req, res) => {
+  try {
+    const submission = await retryFiscalSubmission(db, req.params.id);
+    if (!submission) {
+      return res.status(409).json({
+        error:
+          "Soumission introuvable, en cours de certification ou facture déjà certifiée.",
+      });
+    }
+    const result = formatFiscalSubmission(submission);
+    res.json({
+      message:
+        result.status === "certified"
+          ? "Facture certifiée."
+          : `Certification non obtenue : ${result.last_error}`,
+      submission: result,
+    });
+  } catch (err) {
+    console.error("Erreur lors de la resoumission de la facture:", err);
+    res.status(500).json({
+      error: "Erreur lors de la resoumission de la facture.",
+      details: err.message,
+    });
+  }
+});
+
+// POST /api/fiscalization/process - Traite sans attendre les soumissions dues
+router.post("/process", canEditSales, async (req, res) => {
+  try {
+    const summary = await processPendingFiscalSubmissions(db);
+    res.json({ message: "File de certification traitée.", ...summary });
+  } catch (err) {
+    console.error(
+      "Erreur lors du traitement de la file de certification:",
+      err
+    );
+    res.status(500).json({
+      error: "Erreur lors du traitement de la file de certification.",
+      details: err.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,445 @@
+// routes/inventorySessions.js
+// Sessions d'inventaire physique (voir utils/inventorySessions.js)
+const express = require("express");
+const router = express.Router();
+const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const {
+  INVENTORY_STATUS_LABELS,
+  checkInventoryTransition,
+  parseCategoryIds,
+  createInventorySession,
+  recordCount,
+  refreshCountedQuantity,
+  computeVariances,
+  getSessionTotals,
+  postInventorySession,
+} = require("../utils/inventorySessions");
+
+const canView = requirePermission("Stock.GestionStock.view");
+const canCount = requirePermission("Stock.GestionStock.count");
+const canApprove = requirePermission("Stock.GestionStock.approve_count");
+
+// GET /api/inventory-sessions - Liste des sessions d'inventaire
+router.get("/", canView, async (req, res) => {
+  const { company_id, warehouse_id, status, page, limit } = req.query;
+  if (!company_id) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+  const pageNum = parseInt(page) || 1;
+  const limitNum = parseInt(limit) || 10;
+  const offset = (pageNum - 1) * limitNum;
+
+  try {
+    const whereClauses = ["s.company_id = ?"];
+    const params = [company_id];
+    if (warehouse_id) {
+      whereClauses.push("s.warehouse_id = ?");
+      params.push(warehouse_id);
+    }
+    if (status) {
+      whereClauses.push("s.status = ?");
+      params.push(status);
+    }
+    const whereString = whereClauses.join(" AND ");
+
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) AS total FROM inventory_sessions s WHERE ${whereString}`,
+      params
+    );
+    const [sessions] = await db.query(
+      `SELECT s.*, w.name AS warehouse_name, u.name AS created_by_name,
+              (SELECT COUNT(*) FROM inventory_session_lines l
+               WHERE l.session_id = s.id) AS lines,
+              (SELECT COUNT(*) FROM inventory_session_lines l
+               WHERE l.session_id = s.id AND l.counted_quantity IS NOT NULL) AS counted_lines,
+              (SELECT COALESCE(SUM(l.variance_value), 0) FROM inventory_session_lines l
+               WHERE l.session_id = s.id) AS variance_value
+       FROM inventory_sessions s
+       LEFT JOIN warehouses w ON s.warehouse_id = w.id
+       LEFT JOIN users u ON s.created_by = u.id
+       WHERE ${whereString}
+       ORDER BY s.snapshot_at DESC, s.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limitNum, offset]
+    );
+
+    res.json({
+      inventory_sessions: sessions.map((session) => ({
+        ...session,
+        status_label: INVENTORY_STATUS_LABELS[session.status],
+        variance_value: parseFloat(session.variance_value || 0),
+      })),
+      total: countRows[0].total,
+      page: pageNum,
+      limit: limitNum,
+    });
+  } catch (err) {
+    console.error("Erreur lors de la récupération des inventaires:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération des inventaires.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/inventory-sessions/:id - Session, totaux et lignes
+// ?only_variances=1 : lignes avec écart ; ?uncounted=1 : lignes non comptées
+router.get("/:id", canView, async (req, res) => {
+  const { only_variances, uncounted } = req.query;
+  try {
+    const [rows] = await db.query(
+      `SELECT s.*, w.name AS warehouse_name, u.name AS created_by_name,
+              a.name AS approved_by_name
+       FROM inventory_sessions s
+       LEFT JOIN warehouses w ON s.warehouse_id = w.id
+       LEFT JOIN users u ON s.created_by = u.id
+       LEFT JOIN users a ON s.approved_by = a.id
+       WHERE s.id = ?`,
+      [req.params.id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Inventaire non trouvé." });
+    }
+
+    const conditions = ["l.session_id = ?"];
+    if (only_variances === "1" || only_variances === "true") {
+      conditions.push("l.variance_quantity <> 0");
+    }
+    if (uncounted === "1" || uncounted === "true") {
+      conditions.push("l.counted_quantity IS NULL");
+    }
+    const [lines] = await db.query(
+      `SELECT l.*, p.name AS product_name, p.item_code, c.name AS category_name
+       FROM inventory_session_lines l
+       JOIN products p ON l.product_id = p.id
+       LEFT JOIN categories c ON p.category_id = c.id
+       WHERE ${conditions.join(" AND ")}
+       ORDER BY c.name ASC, p.name ASC`,
+      [req.params.id]
+    );
+
+    res.json({
+      ...rows[0],
+      status_label: INVENTORY_STATUS_LABELS[rows[0].status],
+      category_ids: parseCategoryIds(rows[0].category_ids),
+      totals: await getSessionTotals(db, rows[0].id),
+      lines,
+    });
+  } catch (err) {
+    console.error("Erreur lors de la récupération de l'inventaire:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération de l'inventaire.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/inventory-sessions/:id/counts - Saisies de comptage
+// (?counted_by=<user_id> pour les saisies d'une personne)
+router.get("/:id/counts", canView, async (req, res) => {
+  try {
+    const conditions = ["ic.session_id = ?"];
+    const params = [req.params.id];
+    if (req.query.counted_by) {
+      conditions.push("ic.counted_by = ?");
+      params.push(req.query.counted_by);
+    }
+    const [counts] = await db.query(
+      `SELECT ic.*, p.name AS product_name, p.item_code,
+              u.name AS counted_by_name
+       FROM inventory_counts ic
+       JOIN products p ON ic.product_id = p.id
+       LEFT JOIN users u ON ic.counted_by = u.id
+       WHERE ${conditions.join(" AND ")}
+       ORDER BY ic.counted_at DESC, ic.id DESC`,
+      params
+    );
+    res.json({ counts });
+  } catch (err) {
+    console.error("Erreur lors de la récupération des comptages:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération des comptages.",
+      details: err.message,
+    });
+  }
+});
+
+// POST /api/inventory-sessions - Ouvre une session et fige le stock attendu
+// Body : { company_id, warehouse_id, category_ids (inventaire tournant), notes }
+router.post("/", canCount, async (req, res) => {
+  const { company_id, warehouse_id, category_ids, notes } = req.body;
+  if (!company_id || !warehouse_id) {
+    return res
+      .status(400)
+      .json({ error: "company_id et warehouse_id sont requis." });
+  }
+  const categoryIds = parseCategoryIds(category_ids);
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [warehouses] = await connection.query(
+      "SELECT id FROM warehouses WHERE id = ? AND company_id = ? FOR UPDATE",
+      [warehouse_id, company_id]
+    );
+    if (warehouses.length === 0) {
+      await connection.rollback();
+      return res
+        .status(404)
+        .json({ error: "Magasin non trouvé pour cette entreprise." });
+    }
+
+    // Un produit ne peut être compté que dans une session ouverte à la fois
+    const [openSessions] = await connection.query(
+      `SELECT session_number, category_ids FROM inventory_sessions
+       WHERE warehouse_id = ? AND status IN ('counting', 'submitted')`,
+      [warehouse_id]
+    );
+    const conflict = openSessions.find((session) => {
+      const openCategories = parseCategoryIds(session.category_ids);
+      return (
+        openCategories.length === 0 ||
+        categoryIds.length === 0 ||
+        openCategories.some((id) => categoryIds.includes(id))
+      );
+    });
+    if (conflict) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: `L'inventaire ${conflict.session_number} est déjà en cours sur ce magasin pour ces produits.`,
+      });
+    }
+
+    const session = await createInventorySession(connection, {
+      companyId: company_id,
+      warehouseId: warehouse_id,
+      categoryIds,
+      notes,
+      createdBy: req.user ? req.user.id : null,
+    });
+    await connection.commit();
+
+    res.status(201).json({
+      message: "Inventaire ouvert avec succès.",
+      ...session,
+      status: "counting",
+      status_label: INVENTORY_STATUS_LABELS.counting,
+    });
+  } catch (err) {
+    await connection.rollback();
+    console.error("Erreur lors de l'ouverture de l'inventaire:", err);
+    res.status(500).json({
+      error: "Erreur lors de l'ouverture de l'inventaire.",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * Route d'action sur une session : verrouille la session dans une
+ * transaction, vérifie que l'action est permise, puis exécute handler.
+ * @param {string} action - count, submit, reject, approve ou cancel
+ * @param {Function} handler - (connection, session, req) => corps de la réponse
+ * @param {string} errorLabel - Libellé de l'erreur 500
+ * @param {number} successStatus - Code HTTP de succès
+ */
+function sessionAction(action, handler, errorLabel, successStatus = 200) {
+  return async (req, res) => {
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [rows] = await connection.query(
+        "SELECT * FROM inventory_sessions WHERE id = ? FOR UPDATE",
+        [req.params.id]
+      );
+      if (rows.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ error: "Inventaire non trouvé." });
+      }
+      const transitionError = checkInventoryTransition(rows[0], action);
+      if (transitionError) {
+        await connection.rollback();
+        return res.status(409).json({ error: transitionError });
+      }
+
+      const body = await handler(connection, rows[0], req);
+      await connection.commit();
+      res.status(successStatus).json(body);
+    } catch (err) {
+      await connection.rollback();
+      console.error(`${errorLabel}:`, err);
+      res.status(500).json({ error: `${errorLabel}.`, details: err.message });
+    } finally {
+      connection.release();
+    }
+  };
+}
+
+// POST /api/inventory-sessions/:id/counts - Saisie d'un comptage
+// Body : { product_id | code (code-barres / item_code), quantity, location }
+router.post(
+  "/:id/counts",
+  canCount,
+  (req, res, next) => {
+    const { product_id, code } = req.body;
+    if (!product_id && !code) {
+      return res
+        .status(400)
+        .json({ error: "product_id ou code (code-barres) est requis." });
+    }
+    next();
+  },
+  sessionAction(
+    "count",
+    async (connection, session, req) => {
+      const count = await recordCount(connection, session, {
+        productId: req.body.product_id,
+        code: req.body.code,
+        quantity: req.body.quantity,
+        location: req.body.location,
+        countedBy: req.user ? req.user.id : null,
+      });
+      return { message: "Comptage enregistré.", ...count };
+    },
+    "Erreur lors de l'enregistrement du comptage",
+    201
+  )
+);
+
+// DELETE /api/inventory-sessions/:id/counts/:countId - Supprime une saisie
+router.delete(
+  "/:id/counts/:countId",
+  canCount,
+  sessionAction(
+    "count",
+    async (connection, session, req) => {
+      const [counts] = await connection.query(
+        "SELECT line_id FROM inventory_counts WHERE id = ? AND session_id = ?",
+        [req.params.countId, session.id]
+      );
+      if (counts.length === 0) {
+        throw new Error("Saisie de comptage non trouvée.");
+      }
+      await connection.query("DELETE FROM inventory_counts WHERE id = ?", [
+        req.params.countId,
+      ]);
+      const counted = await refreshCountedQuantity(
+        connection,
+        counts[0].line_id
+      );
+      return {
+        message: "Saisie de comptage supprimée.",
+        line_id: counts[0].line_id,
+        counted_quantity: counted,
+      };
+    },
+    "Erreur lors de la suppression du comptage"
+  )
+);
+
+// POST /api/inventory-sessions/:id/submit - Fin du comptage : calcule les
+// écarts et soumet à approbation. Body : { uncounted_as_zero }
+router.post(
+  "/:id/submit",
+  canCount,
+  sessionAction(
+    "submit",
+    async (connection, session, req) => {
+      const totals = await computeVariances(connection, session, {
+        uncountedAsZero: Boolean(req.body && req.body.uncounted_as_zero),
+      });
+      await connection.query(
+        `UPDATE inventory_sessions
+         SET status = 'submitted', submitted_by = ?, submitted_at = NOW()
+         WHERE id = ?`,
+        [req.user ? req.user.id : null, session.id]
+      );
+      return {
+        message: "Inventaire soumis à approbation.",
+        status: "submitted",
+        status_label: INVENTORY_STATUS_LABELS.submitted,
+        totals,
+      };
+    },
+    "Erreur lors de la soumission de l'inventaire"
+  )
+);
+
+// POST /api/inventory-sessions/:id/reject - Renvoie l'inventaire au comptage
+router.post(
+  "/:id/reject",
+  canApprove,
+  sessionAction(
+    "reject",
+    async (connection, session) => {
+      await connection.query(
+        `UPDATE inventory_session_lines
+         SET variance_quantity = NULL, variance_value = NULL
+         WHERE session_id = ?`,
+        [session.id]
+      );
+      await connection.query(
+        `UPDATE inventory_sessions
+         SET status = 'counting', submitted_by = NULL, submitted_at = NULL
+         WHERE id = ?`,
+        [session.id]
+      );
+      return {
+        message: "Inventaire renvoyé au comptage.",
+        status: "counting",
+        status_label: INVENTORY_STATUS_LABELS.counting,
+      };
+    },
+    "Erreur lors du rejet de l'inventaire"
+  )
+);
+
+// POST /api/inventory-sessions/:id/approve - Approuve et passe tous les
+// écarts en ajustements de stock
+router.post(
+  "/:id/approve",
+  canApprove,
+  sessionAction(
+    "approve",
+    async (connection, session, req) => {
+      const adjustments = await postInventorySession(connection, session, {
+        approvedBy: req.user ? req.user.id : null,
+      });
+      return {
+        message: "Inventaire validé : écarts passés en ajustements de stock.",
+        status: "posted",
+        status_label: INVENTORY_STATUS_LABELS.posted,
+        adjustments,
+        totals: await getSessionTotals(connection, session.id),
+      };
+    },
+    "Erreur lors de la validation de l'inventaire"
+  )
+);
+
+// POST /api/inventory-sessions/:id/cancel - Annule un inventaire non validé
+router.post(
+  "/:id/cancel",
+  canCount,
+  sessionAction(
+    "cancel",
+    async (connection, session) => {
+      await connection.query(
+        `UPDATE inventory_sessions SET status = 'cancelled', cancelled_at = NOW()
+         WHERE id = ?`,
+        [session.id]
+      );
+      return {
+        message: "Inventaire annulé.",
+        status: "cancelled",
+        status_label: INVENTORY_STATUS_LABELS.cancelled,
+      };
+    },
+    "Erreur lors de l'annulation de l'inventaire"
+  )
+);
+
+module.exports = router;
@@ -0,0 +1,245 @@
+// routes/landedCosts.js
+// Frais d'approche répartis sur les achats (voir utils/landedCosts.js)
+const express = require("express");
+const router = express.Router();
+const db = require("../config/db");
+const dayjs = require("dayjs");
+const { requirePermission } = require("../middleware/auth");
+const {
+  ALLOCATION_METHODS,
+  loadLandedCostSource,
+  allocateLandedCost,
+  cancelLandedCost,
+} = require("../utils/landedCosts");
+
+const canView = requirePermission("Achats.Achat.view");
+const canEdit = requirePermission("Achats.Achat.edit");
+
+// GET /api/landed-costs - Liste des frais d'approche
+router.get("/", canView, async (req, res) => {
+  const { company_id, order_id, status, page, limit } = req.query;
+  if (!company_id) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+  const pageNum = parseInt(page) || 1;
+  const limitNum = parseInt(limit) || 10;
+  const offset = (pageNum - 1) * limitNum;
+
+  try {
+    const whereClauses = ["lc.company_id = ?"];
+    const params = [company_id];
+    if (status) {
+      whereClauses.push("lc.status = ?");
+      params.push(status);
+    }
+    if (order_id) {
+      whereClauses.push(
+        "EXISTS (SELECT 1 FROM landed_cost_allocations lca WHERE lca.landed_cost_id = lc.id AND lca.order_id = ?)"
+      );
+      params.push(order_id);
+    }
+    const whereString = whereClauses.join(" AND ");
+
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) AS total FROM landed_costs lc WHERE ${whereString}`,
+      params
+    );
+    const [landedCosts] = await db.query(
+      `SELECT lc.*,
+              (SELECT GROUP_CONCAT(DISTINCT o.invoice_number ORDER BY o.invoice_number SEPARATOR ', ')
+               FROM landed_cost_allocations lca
+               JOIN orders o ON lca.order_id = o.id
+               WHERE lca.landed_cost_id = lc.id) AS order_numbers
+       FROM landed_costs lc
+       WHERE ${whereString}
+       ORDER BY lc.date DESC, lc.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limitNum, offset]
+    );
+
+    res.json({
+      landed_costs: landedCosts,
+      total: countRows[0].total,
+      page: pageNum,
+      limit: limitNum,
+    });
+  } catch (err) {
+    console.error("Erreur lors de la récupération des frais d'approche:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération des frais d'approche.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/landed-costs/:id - Frais d'approche et répartition par ligne
+router.get("/:id", canView, async (req, res) => {
+  try {
+    const [rows] = await db.query("SELECT * FROM landed_costs WHERE id = ?", [
+      req.params.id,
+    ]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Frais d'approche non trouvé." });
+    }
+    const [allocations] = await db.query(
+      `SELECT lca.*, o.invoice_number, p.name AS product_name,
+              oi.quantity, oi.quantity_received, oi.unit_price
+       FROM landed_cost_allocations lca
+       JOIN orders o ON lca.order_id = o.id
+       LEFT JOIN order_items oi ON lca.order_item_id = oi.id
+       LEFT JOIN products p ON lca.product_id = p.id
+       WHERE lca.landed_cost_id = ?
+       ORDER BY lca.id ASC`,
+      [req.params.id]
+    );
+    res.json({ ...rows[0], allocations });
+  } catch (err) {
+    console.error("Erreur lors de la récupération du frais d'approche:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération du frais d'approche.",
+      details: err.message,
+    });
+  }
+});
+
+// POST /api/landed-costs - Enregistre et répartit un frais d'approche
+// Body : { company_id, date, description, amount, allocation_method
+// (value | quantity | weight), expense_id | supplier_invoice_id |
+// shipping_order_id, order_ids, weights: { order_item_id: poids } }
+router.post("/", canEdit, async (req, res) => {
+  const {
+    company_id,
+    date,
+    description,
+    amount,
+    allocation_method = "value",
+    expense_id,
+    supplier_invoice_id,
+    shipping_order_id, // Frais de port saisis sur un achat
+    order_ids,
+    weights,
+  } = req.body;
+
+  if (!company_id || !Array.isArray(order_ids) || order_ids.length === 0) {
+    return res
+      .status(400)
+      .json({ error: "company_id et order_ids (achats) sont requis." });
+  }
+  if (!ALLOCATION_METHODS.includes(allocation_method)) {
+    return res.status(400).json({
+      error: `Méthode de répartition invalide. Valeurs acceptées: ${ALLOCATION_METHODS.join(
+        ", "
+      )}.`,
+    });
+  }
+  const sources = [
+    ["expense", expense_id],
+    ["supplier_invoice", supplier_invoice_id],
+    ["shipping", shipping_order_id],
+  ].filter(([, id]) => id);
+  if (sources.length > 1) {
+    return res.status(400).json({
+      error:
+        "Un frais provient d'une seule source : dépense, facture fournisseur ou frais de port.",
+    });
+  }
+  const [sourceType, sourceId] = sources[0] || ["manual", null];
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const source = await loadLandedCostSource(connection, {
+      companyId: company_id,
+      sourceType,
+      sourceId,
+    });
+    // Le montant saisi prime sur celui de la source (part d'une facture)
+    const landedAmount =
+      amount !== undefined && amount !== null && amount !== ""
+        ? parseFloat(amount)
+        : source.amount;
+    if (!(landedAmount > 0)) {
+      await connection.rollback();
+      return res
+        .status(400)
+        .json({ error: "Le montant du frais doit être positif." });
+    }
+
+    const landedCost = {
+      company_id,
+      date: dayjs(date || undefined).format("YYYY-MM-DD"),
+      description: description || source.description || null,
+      amount: landedAmount,
+      allocation_method,
+      source_type: sourceType,
+      source_id: sourceId,
+      status: "allocated",
+      created_by: req.user ? req.user.id : null,
+    };
+    const [result] = await connection.query(
+      "INSERT INTO landed_costs SET ?, created_at = NOW()",
+      [landedCost]
+    );
+    landedCost.id = result.insertId;
+
+    const allocations = await allocateLandedCost(connection, landedCost, {
+      orderIds: order_ids,
+      weights,
+    });
+    await connection.commit();
+
+    res.status(201).json({
+      message: "Frais d'approche réparti avec succès.",
+      ...landedCost,
+      allocations,
+    });
+  } catch (err) {
+    await connection.rollback();
+    console.error("Erreur lors de la répartition du frais d'approche:", err);
+    res.status(500).json({
+      error: "Erreur lors de la répartition du frais d'approche.",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// DELETE /api/landed-costs/:id - Annule un frais : les prix d'achat
+// retrouvent leur valeur hors frais
+router.delete("/:id", canEdit, async (req, res) => {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [rows] = await connection.query(
+      "SELECT status FROM landed_costs WHERE id = ? FOR UPDATE",
+      [req.params.id]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Frais d'approche non trouvé." });
+    }
+    if (rows[0].status === "cancelled") {
+      await connection.rollback();
+      return res
+        .status(400)
+        .json({ error: "Ce frais d'approche est déjà annulé." });
+    }
+
+    await cancelLandedCost(connection, req.params.id);
+    await connection.commit();
+    res.json({ message: "Frais d'approche annulé avec succès." });
+  } catch (err) {
+    await connection.rollback();
+    console.error("Erreur lors de l'annulation du frais d'approche:", err);
+    res.status(500).json({
+      error: "Erreur lors de l'annulation du frais d'approche.",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,325 @@
+// routes/loyalty.js
+// Configuration du programme de fidélité (voir utils/loyalty.js), sous
+// /api/loyalty : règles d'acquisition et d'utilisation de l'entreprise,
+// multiplicateurs par catégorie et campagnes bonus. Le solde et l'historique
+// d'un client sont servis par GET /api/users/customers/:id/loyalty ; le
+// paiement en points passe par POST /api/payments/process-order-payment avec
+// un mode de paiement de type loyalty.
+const express = require("express");
+const router = express.Router();
+const dayjs = require("dayjs");
+const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const {
+  DEFAULT_LOYALTY_PROGRAM,
+  getLoyaltyProgram,
+} = require("../utils/loyalty");
+
+const canViewLoyalty = requirePermission("Fidelite.view", "Fidelite.manage");
+const canManageLoyalty = requirePermission("Fidelite.manage");
+
+// Champs numériques du programme : [minimum, maximum]
+const PROGRAM_NUMBER_FIELDS = {
+  points_per_amount: [0, Infinity],
+  amount_unit: [0.01, Infinity],
+  point_value: [0, Infinity],
+  min_redeem_points: [0, Infinity],
+  max_redeem_percent: [0, 100],
+};
+
+/**
+ * Valide les champs d'une campagne.
+ * @returns {string|null} Message d'erreur
+ */
+function validateCampaign(campaign) {
+  if (!campaign.name || !campaign.start_date || !campaign.end_date) {
+    return "name, start_date et end_date sont requis.";
+  }
+  if (dayjs(campaign.end_date).isBefore(dayjs(campaign.start_date), "day")) {
+    return "La date de fin précède la date de début.";
+  }
+  const multiplier = parseFloat(campaign.multiplier ?? 1);
+  const bonusPoints = parseInt(campaign.bonus_points ?? 0, 10);
+  if (!(multiplier >= 1) || !(bonusPoints >= 0)) {
+    return "Le multiplicateur doit être au moins 1 et les points offerts positifs.";
+  }
+  if (multiplier === 1 && bonusPoints === 0) {
+    return "Une campagne doit multiplier les points ou en offrir.";
+  }
+  return null;
+}
+
+// GET /api/loyalty/program?company_id= - Programme, règles par catégorie et
+// campagnes de l'entreprise
+router.get("/program", canViewLoyalty, async (req, res) => {
+  const { company_id } = req.query;
+  if (!company_id) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+  try {
+    const program = await getLoyaltyProgram(db, company_id);
+    const [categoryRules] = await db.query(
+      `SELECT lcr.category_id, c.name AS category_name, lcr.multiplier
+       FROM loyalty_category_rules lcr
+       LEFT JOIN categories c ON c.id = lcr.category_id
+       WHERE lcr.company_id = ?
+       ORDER BY c.name`,
+      [company_id]
+    );
+    const [campaigns] = await db.query(
+      "SELECT * FROM loyalty_campaigns WHERE company_id = ? ORDER BY start_date DESC, id DESC",
+      [company_id]
+    );
+    res.json({
+      program: program || {
+        company_id: Number(company_id),
+        ...DEFAULT_LOYALTY_PROGRAM,
+      },
+      configured: !!program,
+      category_rules: categoryRules.map((rule) => ({
+        ...rule,
+        multiplier: parseFloat(rule.multiplier),
+      })),
+      campaigns,
+    });
+  } catch (err) {
+    console.error(
+      "Erreur lors de la récupération du programme de fidélité:",
+      err
+    );
+    res.status(500).json({
+      error: "Erreur lors de la récupération du programme de fidélité.",
+      details: err.message,
+    });
+  }
+});
+
+// PUT /api/loyalty/program - Crée ou met à jour le programme de l'entreprise
+router.put("/program", canManageLoyalty, async (req, res) => {
+  const { company_id } = req.body;
+  if (!company_id) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+  const values = { ...DEFAULT_LOYALTY_PROGRAM };
+  try {
+    const current = await getLoyaltyProgram(db, company_id);
+    if (current) {
+      Object.keys(values).forEach((field) => {
+        values[field] = current[field];
+      });
+    }
+    if (req.body.is_active !== undefined) {
+      values.is_active = req.body.is_active ? 1 : 0;
+    }
+    for (const [field, [min, max]] of Object.entries(PROGRAM_NUMBER_FIELDS)) {
+      if (req.body[field] === undefined) continue;
+      const value = parseFloat(req.body[field]);
+      if (!(value >= min && value <= max)) {
+        return res
+          .status(400)
+          .json({ error: `Valeur invalide pour ${field}.` });
+      }
+      values[field] = field === "min_redeem_points" ? Math.floor(value) : value;
+    }
+
+    await db.query(
+      `INSERT INTO loyalty_programs (
+          company_id, is_active, points_per_amount, amount_unit, point_value,
+          min_redeem_points, max_redeem_percent, created_at, updated_at
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE
+          is_active = VALUES(is_active),
+          points_per_amount = VALUES(points_per_amount),
+          amount_unit = VALUES(amount_unit),
+          point_value = VALUES(point_value),
+          min_redeem_points = VALUES(min_redeem_points),
+          max_redeem_percent = VALUES(max_redeem_percent),
+          updated_at = NOW()`,
+      [
+        company_id,
+        values.is_active,
+        values.points_per_amount,
+        values.amount_unit,
+        values.point_value,
+        values.min_redeem_points,
+        values.max_redeem_percent,
+      ]
+    );
+    res.json({
+      message: "Programme de fidélité enregistré.",
+      program: await getLoyaltyProgram(db, company_id),
+    });
+  } catch (err) {
+    console.error(
+      "Erreur lors de l'enregistrement du programme de fidélité:",
+      err
+    );
+    res.status(500).json({
+      error: "Erreur lors de l'enregistrement du programme de fidélité.",
+      details: err.message,
+    });
+  }
+});
+
+// PUT /api/loyalty/category-rules - Remplace les multiplicateurs par
+// catégorie : { company_id, rules: [{ category_id, multiplier }] }
+router.put("/category-rules", canManageLoyalty, async (req, res) => {
+  const { company_id, rules } = req.body;
+  if (!company_id || !Array.isArray(rules)) {
+    return res
+      .status(400)
+      .json({ error: "company_id et rules (tableau) sont requis." });
+  }
+  const invalid = rules.find(
+    (rule) => !rule.category_id || !(parseFloat(rule.multiplier) >= 0)
+  );
+  if (invalid) {
+    return res.status(400).json({
+      error:
+        "Chaque règle doit indiquer category_id et un multiplicateur positif ou nul.",
+    });
+  }
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    await connection.query(
+      "DELETE FROM loyalty_category_rules WHERE company_id = ?",
+      [company_id]
+    );
+    for (const rule of rules) {
+      await connection.query(
+        `INSERT INTO loyalty_category_rules (company_id, category_id, multiplier)
+         VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE multiplier = VALUES(multiplier)`,
+        [company_id, rule.category_id, parseFloat(rule.multiplier)]
+      );
+    }
+    await connection.commit();
+    res.json({
+      message: "Règles par catégorie enregistrées.",
+      count: rules.length,
+    });
+  } catch (err) {
+    await connection.rollback();
+    console.error(
+      "Erreur lors de l'enregistrement des règles par catégorie:",
+      err
+    );
+    res.status(500).json({
+      error: "Erreur lors de l'enregistrement des règles par catégorie.",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// POST /api/loyalty/campaigns - Nouvelle campagne bonus
+router.post("/campaigns", canManageLoyalty, async (req, res) => {
+  const campaign = req.body;
+  if (!campaign.company_id) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+  const error = validateCampaign(campaign);
+  if (error) return res.status(400).json({ error });
+  try {
+    const [result] = await db.query(
+      `INSERT INTO loyalty_campaigns (
+          company_id, name, start_date, end_date, multiplier, bonus_points,
+          min_order_amount, category_id, is_active, created_at, updated_at
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        campaign.company_id,
+        campaign.name,
+        campaign.start_date,
+        campaign.end_date,
+        parseFloat(campaign.multiplier ?? 1),
+        parseInt(campaign.bonus_points ?? 0, 10),
+        parseFloat(campaign.min_order_amount) || 0,
+        campaign.category_id || null,
+        campaign.is_active === undefined || campaign.is_active ? 1 : 0,
+      ]
+    );
+    const [rows] = await db.query(
+      "SELECT * FROM loyalty_campaigns WHERE id = ?",
+      [result.insertId]
+    );
+    res.status(201).json({ message: "Campagne créée.", campaign: rows[0] });
+  } catch (err) {
+    console.error("Erreur lors de la création de la campagne:", err);
+    res.status(500).json({
+      error: "Erreur lors de la création de la campagne.",
+      details: err.message,
+    });
+  }
+});
+
+// PUT /api/loyalty/campaigns/:id - Modifie une campagne
+router.put("/campaigns/:id", canManageLoyalty, async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      "SELECT * FROM loyalty_campaigns WHERE id = ?",
+      [req.params.id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Campagne non trouvée." });
+    }
+    const campaign = { ...rows[0], ...req.body };
+    const error = validateCampaign(campaign);
+    if (error) return res.status(400).json({ error });
+
+    await db.query(
+      `UPDATE loyalty_campaigns SET
+          name = ?, start_date = ?, end_date = ?, multiplier = ?,
+          bonus_points = ?, min_order_amount = ?, category_id = ?,
+          is_active = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [
+        campaign.name,
+        campaign.start_date,
+        campaign.end_date,
+        parseFloat(campaign.multiplier),
+        parseInt(campaign.bonus_points, 10),
+        parseFloat(campaign.min_order_amount) || 0,
+        campaign.category_id || null,
+        campaign.is_active ? 1 : 0,
+        req.params.id,
+      ]
+    );
+    const [updated] = await db.query(
+      "SELECT * FROM loyalty_campaigns WHERE id = ?",
+      [req.params.id]
+    );
+    res.json({ message: "Campagne mise à jour.", campaign: updated[0] });
+  } catch (err) {
+    console.error("Erreur lors de la mise à jour de la campagne:", err);
+    res.status(500).json({
+      error: "Erreur lors de la mise à jour de la campagne.",
+      details: err.message,
+    });
+  }
+});
+
+// DELETE /api/loyalty/campaigns/:id - Supprime une campagne (les points déjà
+// acquis restent)
+router.delete("/campaigns/:id", canManageLoyalty, async (req, res) => {
+  try {
+    const [result] = await db.query(
+      "DELETE FROM loyalty_campaigns WHERE id = ?",
+      [req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Campagne non trouvée." });
+    }
+    res.json({ message: "Campagne supprimée." });
+  } catch (err) {
+    console.error("Erreur lors de la suppression de la campagne:", err);
+    res.status(500).json({
+      error: "Erreur lors de la suppression de la campagne.",
+      details: err.message,
+    });
+  }
+});
+
+module.exports = router;
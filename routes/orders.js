@@ -6,28 +6,318 @@ const InvoiceGenerator = require("../utils/pdfGenerator");
 const path = require("path");
 const fs = require("fs-extra");
 const QRCode = require("qrcode");
+const { updateStock } = require("../utils/stockLedger");
+const {
+  suggestFefo,
+  applyOrderItemBatches,
+  reverseOrderBatches,
+} = require("../utils/stockBatches");
+const { nextDocumentNumber } = require("../utils/documentNumbers");
+const {
+  createCreditNoteForReturn,
+  syncCreditNoteForReturn,
+  cancelCreditNoteForReturn,
+  releaseInvoiceCredit,
+} = require("../utils/creditNotes");
+const {
+  applyOrderItemSerials,
+  reverseOrderSerials,
+} = require("../utils/serialNumbers");
+const {
+  evaluateCustomerCredit,
+  enforceCustomerCredit,
+} = require("../utils/creditControl");
+const { syncOrderEntry } = require("../utils/accounting");
+const { syncOrderLoyalty } = require("../utils/loyalty");
+const { PRICED_ORDER_TYPES, priceOrderItems } = require("../utils/priceLists");
+const {
+  PROMOTION_ORDER_TYPES,
+  evaluateOrderPromotions,
+  applyPromotionTotals,
+  recordOrderPromotions,
+  copyOrderPromotions,
+} = require("../utils/promotions");
+const { isPurchaseOrder } = require("../utils/purchaseOrders");
+const { isTransferWorkflow } = require("../utils/stockTransfers");
+const {
+  checkDocumentSession,
+  attachToPosSession,
+} = require("../utils/posSessions");
+const { buildSignedVerificationUrl } = require("../utils/invoiceSignature");
+const {
+  RECEIPT_WIDTHS,
+  loadLogoRaster,
+  buildEscposReceipt,
+} = require("../utils/escposReceipt");
+const {
+  FISCAL_STATUS_LABELS,
+  queueFiscalSubmission,
+  trySubmitFiscalInvoice,
+  checkFiscalLock,
+} = require("../utils/fiscalization");
+const {
+  hasIdempotencyKeyColumn,
+  findByIdempotencyKey,
+} = require("../utils/payments");
+const {
+  resolveDocumentCurrency,
+  applyDocumentCurrency,
+} = require("../utils/currency");
+const {
+  requirePermission,
+  requirePermissionFor,
+  hasPermission,
+  resolvePermissionKey,
+} = require("../middleware/auth");
+
+// ======================================================================
+// Permissions par type de commande
+// ======================================================================
+
+// Module de permission (config/permission_structure.js) de chaque type de commande
+const ORDER_PERMISSION_MODULES = {
+  sales: "Ventes.Ventes",
+  sales_return: "Ventes.RetourVente",
+  proforma: "Ventes.ProformaDevis",
+  purchase: "Achats.Achat",
+  purchase_return: "Achats.RetourAchat",
+  "stock-transfer": "Stock.GestionStock",
+};
+
+/**
+ * Construit la clé de permission pour une action sur un type de commande.
+ * Les transferts n'ont que "view" et "transfer" dans GestionStock.
+ * @param {string} orderType - Type de commande
+ * @param {string} action - 'view', 'create', 'edit' ou 'delete'
+ * @returns {string|null} Clé de permission, ou null si le type est inconnu
+ */
+function orderPermissionKey(orderType, action) {
+  const permissionModule = ORDER_PERMISSION_MODULES[orderType];
+  if (!permissionModule) return null;
+  if (orderType === "stock-transfer") {
+    return `${permissionModule}.${action === "view" ? "view" : "transfer"}`;
+  }
+  return `${permissionModule}.${action}`;
+}
+
+/**
+ * Middleware : vérifie la permission de l'action selon le type de la commande.
+ * Pour les routes /:id, le type est lu en base (et non dans la requête) afin
+ * qu'on ne puisse pas modifier un achat en se présentant comme une vente.
+ * Sans type connu, le droit sur n'importe quel type de commande suffit.
+ * @param {string} action - 'view', 'create', 'edit' ou 'delete'
+ */
+const orderPermission = (action) =>
+  requirePermissionFor(async (req) => {
+    let orderType = null;
+    if (req.params.id) {
+      const [rows] = await db.query(
+        "SELECT order_type FROM orders WHERE id = ?",
+        [req.params.id]
+      );
+      orderType = rows.length > 0 ? rows[0].order_type : null;
+    } else {
+      orderType = (req.body && req.body.order_type) || req.query.order_type;
+    }
+
+    if (!orderType) {
+      return Object.keys(ORDER_PERMISSION_MODULES).map((type) =>
+        orderPermissionKey(type, action)
+      );
+    }
+    return orderPermissionKey(orderType, action) || [];
+  });
+
+const canViewOrder = orderPermission("view");
+const canCreateOrder = orderPermission("create");
+const canEditOrder = orderPermission("edit");
+const canDeleteOrder = orderPermission("delete");
+const canViewSales = requirePermission("Ventes.Ventes.view");
+const canCreateSale = requirePermission("Ventes.Ventes.create");
+const canViewProforma = requirePermission("Ventes.ProformaDevis.view");
+const canCreateReturn = requirePermission(
+  "Ventes.RetourVente.create",
+  "Achats.RetourAchat.create"
+);
+const canPickStock = requirePermission(
+  "Ventes.Ventes.create",
+  "POS.use",
+  "Achats.RetourAchat.create",
+  "Stock.GestionStock.transfer"
+);
+
+// Paiement entrant pour les ventes, sortant pour les achats
+const canPayOrder = requirePermissionFor(async (req) => {
+  const [rows] = await db.query("SELECT order_type FROM orders WHERE id = ?", [
+    req.params.id,
+  ]);
+  if (rows.length > 0 && rows[0].order_type.startsWith("purchase")) {
+    return "Achats.PaiementsSortants.create";
+  }
+  return "Ventes.PaiementsEntrants.create";
+});
+const canCheckCredit = requirePermission("Ventes.Ventes.create", "POS.use");
+
+// Dérogation au contrôle du crédit client (responsable)
+const CREDIT_OVERRIDE_PERMISSION = resolvePermissionKey(
+  "Ventes.Ventes.approve"
+);
+
+/**
+ * Contrôle du crédit client (plafond, factures en retard) d'une vente insérée
+ * dans la transaction en cours. Une dérogation est possible avec
+ * req.body.credit_override = { reason } et la permission Ventes.Ventes.approve.
+ * @param {Object} sale - { id, company_id, user_id, order_date, due_amount }
+ * @returns {Promise<Object>} Résultat de enforceCustomerCredit
+ */
+async function checkSaleCredit(connection, req, sale) {
+  return enforceCustomerCredit(connection, {
+    companyId: sale.company_id,
+    userId: sale.user_id,
+    orderId: sale.id,
+    // Encours comparé au plafond en devise de base
+    amountDue: sale.due_amount * (parseFloat(sale.exchange_rate) || 1),
+    date: sale.order_date,
+    override: req.body && req.body.credit_override,
+    canOverride: await hasPermission(req, [CREDIT_OVERRIDE_PERMISSION]),
+    approvedBy: req.user ? req.user.id : null,
+  });
+}
+
+// Choix d'une autre liste de prix que celle du client (responsable)
+const PRICE_LIST_OVERRIDE_PERMISSION = resolvePermissionKey(
+  "Ventes.Ventes.approve"
+);
+
+/**
+ * Listes de prix (voir utils/priceLists.js) : tarifie le corps d'une vente ou
+ * d'un devis avant son traitement (prix de la liste sur chaque ligne, sauf
+ * prix manuel manual_price). price_list_id n'est retenu qu'avec le droit de
+ * dérogation, sinon la liste du client s'applique.
+ */
+async function applyPriceLists(req) {
+  const body = req.body;
+  if (
+    !PRICED_ORDER_TYPES.includes(body.order_type) ||
+    !body.company_id ||
+    !body.warehouse_id ||
+    !body.user_id ||
+    !Array.isArray(body.items) ||
+    body.items.length === 0
+  ) {
+    return;
+  }
+  Object.assign(
+    body,
+    await priceOrderItems(db, body, {
+      allowPriceListOverride:
+        Boolean(body.price_list_id) &&
+        (await hasPermission(req, [PRICE_LIST_OVERRIDE_PERMISSION])),
+    })
+  );
+}
+
+/**
+ * Promotions (voir utils/promotions.js) : évalue les promotions et codes
+ * promo d'une nouvelle vente ou d'un devis, et déduit la remise de ses
+ * montants.
+ * @returns {Promise<Object|null>} Évaluation ({ error } si un code promo
+ *   est refusé), null si la commande n'est pas concernée
+ */
+async function applyPromotions(body) {
+  if (
+    !PROMOTION_ORDER_TYPES.includes(body.order_type) ||
+    !body.company_id ||
+    !Array.isArray(body.items) ||
+    body.items.length === 0
+  ) {
+    return null;
+  }
+  const evaluation = await evaluateOrderPromotions(db, body);
+  if (!evaluation.error) {
+    Object.assign(body, applyPromotionTotals(body, evaluation));
+  }
+  return evaluation;
+}
 
 // ======================================================================
 // QR Code Generation Helper
 // ======================================================================
 
+/**
+ * Build the public verification URL of an invoice (content of its QR code),
+ * signed over its number, date, total and customer (see utils/invoiceSignature.js)
+ * @param {string} invoiceNumber - The invoice number to verify
+ * @param {string} baseUrl - Base URL of the application (optional)
+ * @param {Object} source - Where the signed values come from: `invoice`
+ *   ({ order_date, total, user_id }, already read from the database), or
+ *   `orderId` / `companyId` to read them (invoice numbers repeat across
+ *   companies, so the number alone is never enough). Without any, the URL
+ *   is left unsigned.
+ * @returns {Promise<string>} Verification URL
+ */
+async function getInvoiceVerificationUrl(
+  invoiceNumber,
+  baseUrl = null,
+  source = {}
+) {
+  // Get base URL from environment or use localhost as fallback
+  const verificationBaseUrl =
+    baseUrl ||
+    process.env.APP_BASE_URL ||
+    process.env.VERIFICATION_BASE_URL ||
+    "http://localhost:3000";
+
+  // Signed values come from the stored invoice, never from the client
+  let signedInvoice = source.invoice || null;
+  if (!signedInvoice && (source.orderId || source.companyId)) {
+    const conditions = ["invoice_number = ?"];
+    const params = [invoiceNumber];
+    if (source.orderId) {
+      conditions.push("id = ?");
+      params.push(source.orderId);
+    } else {
+      conditions.push("company_id = ?");
+      params.push(source.companyId);
+    }
+    const [rows] = await db.query(
+      `SELECT invoice_number, order_date, total, user_id FROM orders
+       WHERE ${conditions.join(" AND ")}
+       ORDER BY is_deleted ASC, id DESC
+       LIMIT 1`,
+      params
+    );
+    signedInvoice = rows[0] || null;
+  }
+  if (!signedInvoice) {
+    return `${verificationBaseUrl}/verify/invoice/${invoiceNumber}`;
+  }
+
+  return buildSignedVerificationUrl(`${verificationBaseUrl}/verify/invoice`, {
+    ...signedInvoice,
+    invoice_number: invoiceNumber,
+  });
+}
+
 /**
  * Generate QR code for invoice verification
  * @param {string} invoiceNumber - The invoice number to verify
  * @param {string} baseUrl - Base URL of the application (optional)
+ * @param {Object} source - Order reference (see getInvoiceVerificationUrl)
  * @returns {Promise<string>} Base64 encoded QR code image
  */
-async function generateInvoiceQRCode(invoiceNumber, baseUrl = null) {
+async function generateInvoiceQRCode(
+  invoiceNumber,
+  baseUrl = null,
+  source = {}
+) {
   try {
-    // Get base URL from environment or use localhost as fallback
-    const verificationBaseUrl =
-      baseUrl ||
-      process.env.APP_BASE_URL ||
-      process.env.VERIFICATION_BASE_URL ||
-      "http://localhost:3000";
-
     // Create verification URL
-    const verificationUrl = `${verificationBaseUrl}/verify/invoice/${invoiceNumber}`;
+    const verificationUrl = await getInvoiceVerificationUrl(
+      invoiceNumber,
+      baseUrl,
+      source
+    );
 
     console.log(`[QR Code] Generating QR code for invoice: ${invoiceNumber}`);
     console.log(`[QR Code] Verification URL: ${verificationUrl}`);
@@ -145,760 +435,152 @@ function injectQRCodeIntoHTML(htmlContent, qrCodeDataUrl, invoiceNumber) {
 }
 
 /**
- * Log stock movement.
+ * Données de facture normalisée d'une vente (voir utils/fiscalization.js),
+ * retrouvée par son id ou, à défaut, par son numéro de facture.
+ * @param {Object} orderData - Données de facture envoyées par le client
+ * @returns {Promise<Object|null>} null si la vente n'est pas soumise
  */
-async function logStockMovement(
-  connection,
-  productId,
-  warehouseId,
-  quantity,
-  movementType,
-  referenceType,
-  referenceId,
-  remarks = null,
-  relatedWarehouseId = null
-) {
-  try {
-    // Ensure quantity is a number and has the correct sign based on movement type
-    let signedQuantity = parseFloat(quantity);
-    if (isNaN(signedQuantity)) {
-      return;
-    }
-
-    // Determine the sign based on movement type (negative for outflows)
-    if (
-      [
-        "sales",
-        "purchase_return",
-        "transfer_out",
-        "adjustment_substract",
-        "deletion",
-        "return_out",
-      ].includes(movementType)
-    ) {
-      signedQuantity = -Math.abs(signedQuantity);
-    } else {
-      signedQuantity = Math.abs(signedQuantity);
-    }
-
-    // Map adjustment types for logging clarity
-    if (movementType === "adjustment_add") movementType = "adjustment";
-    if (movementType === "adjustment_substract") movementType = "adjustment";
-
-    // Ensure valid movementType for ENUM
-    const validMovementTypes = [
-      "purchase",
-      "sales",
-      "adjustment",
-      "transfer_out",
-      "transfer_in",
-      "deletion",
-      "production",
-      "return_in",
-      "return_out",
-    ];
-    if (!validMovementTypes.includes(movementType)) {
-      console.error(
-        `Invalid movement_type provided to logStockMovement: ${movementType}`
-      );
-      // Decide how to handle: throw error, log warning, use default?
-      // For now, log a warning and potentially skip logging or use a default.
-      // Let's try to map adjustment types more robustly
-      if (movementType === "add") movementType = "adjustment";
-      if (movementType === "substract") movementType = "adjustment"; // Use 'adjustment' and rely on quantity sign
-
-      if (!validMovementTypes.includes(movementType)) {
-        return; // Skip logging if type is still invalid
-      }
+async function findOrderFiscalData(orderData) {
+  const conditions = [];
+  const params = [];
+  if (orderData.id) {
+    conditions.push("id = ?");
+    params.push(orderData.id);
+  } else if (orderData.invoice_number) {
+    conditions.push(
+      "invoice_number = ?",
+      "order_type IN ('sales', 'sales_return')"
+    );
+    params.push(orderData.invoice_number);
+    if (orderData.company_id) {
+      conditions.push("company_id = ?");
+      params.push(orderData.company_id);
     }
-
-    const logQuery = `
-      INSERT INTO stock_movements (
-        product_id, warehouse_id, quantity, movement_type,
-        reference_type, reference_id, remarks, related_warehouse_id, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
-    `; // Removed updated_at
-    await connection.query(logQuery, [
-      productId,
-      warehouseId,
-      signedQuantity, // Use the signed quantity reflecting inflow/outflow
-      movementType,
-      referenceType, // e.g., 'order', 'adjustment', 'transfer'
-      referenceId, // e.g., order_id, adjustment_id
-      remarks,
-      relatedWarehouseId, // e.g., source/destination warehouse for transfers
-    ]);
-  } catch (error) {
-    console.error("Error logging stock movement:", error);
-    // Do not throw error here to avoid breaking the main transaction, just log it.
+  } else {
+    return null;
   }
+  const [rows] = await db.query(
+    `SELECT fiscal_status, fiscal_code, fiscal_counters, fiscal_nim,
+            fiscal_qr_code, fiscal_certified_at
+     FROM orders WHERE ${conditions.join(" AND ")}
+     ORDER BY id DESC LIMIT 1`,
+    params
+  );
+  return rows.length > 0 && rows[0].fiscal_status ? rows[0] : null;
 }
 
 /**
- * Génère un numéro de facture sous la forme :
- *   {prefix}{mm}{YYYY}-{sequence}
- * Par exemple : ACHT012025-0001, TRF012025-0001
- * Le préfixe est lu dans la table warehouses (champ prefixe_inv),
- * le mois et l'année proviennent de la date de commande, et la séquence
- * s'incrémente par entreprise et par année (sans réinitialisation mensuelle).
+ * Bloc "facture normalisée" de la facture : code, compteurs, NIM, date et QR
+ * code fiscal, ou avertissement si la facture n'est pas encore certifiée.
+ * @param {Object} fiscal - Voir findOrderFiscalData
+ * @returns {Promise<string>} HTML à insérer
  */
-async function generateInvoiceNumber(
-  company_id,
-  order_date,
-  order_type,
-  warehouse_id
-) {
-  try {
-    const dateObj = new Date(order_date);
-    const month = ("0" + (dateObj.getMonth() + 1)).slice(-2);
-    const year = dateObj.getFullYear();
-
-    // Format spécial pour les proformas
-    if (order_type === "proforma") {
-      // Récupérer le prefixe_inv du magasin
-      let warehouse_prefix = "";
-      if (warehouse_id) {
-        const [warehouseRows] = await db.query(
-          "SELECT prefixe_inv FROM warehouses WHERE id = ?",
-          [warehouse_id]
-        );
-        if (warehouseRows.length > 0 && warehouseRows[0].prefixe_inv) {
-          warehouse_prefix = warehouseRows[0].prefixe_inv;
-        }
-      }
-
-      // Si le prefixe n'est pas trouvé dans warehouses, essayer dans companies
-      if (!warehouse_prefix) {
-        const [companyRows] = await db.query(
-          "SELECT prefixe_inv FROM companies WHERE id = ?",
-          [company_id]
-        );
-        if (companyRows.length > 0) {
-          warehouse_prefix = companyRows[0].prefixe_inv || "DEF"; // Préfixe par défaut si non défini
-        } else {
-          warehouse_prefix = "DEF"; // Préfixe par défaut si entreprise non trouvée
-        }
-      }
-
-      // Construire le pattern pour la proforma
-      const proformaPrefix = `PF${warehouse_prefix}`;
-      const yearPattern = `${proformaPrefix}${month}${year}-%`;
-
-      // Définir le filtre pour rechercher les proformas existantes
-      const filterField = warehouse_id ? "warehouse_id" : "company_id";
-      const filterValue = warehouse_id || company_id;
-
-      // Rechercher la dernière proforma de l'année courante pour ce magasin
-      const [orderRows] = await db.query(
-        `SELECT invoice_number FROM orders 
-         WHERE ${filterField} = ? 
-         AND order_type = ? 
-         AND invoice_number LIKE ? 
-         AND is_deleted = 0 
-         ORDER BY id DESC LIMIT 1`,
-        [filterValue, order_type, yearPattern]
-      );
-
-      let sequence = 1;
-      if (orderRows.length > 0) {
-        const lastInvoice = orderRows[0].invoice_number;
-        const parts = lastInvoice.split("-");
-        if (parts.length === 2) {
-          const parsedSequence = parseInt(parts[1], 10);
-          if (!isNaN(parsedSequence)) {
-            sequence = parsedSequence + 1;
-          }
-        }
-      }
-
-      // Rechercher un numéro unique
-      let isUnique = false;
-      let maxAttempts = 100;
-      let attempts = 0;
-      let invoiceNumber;
-
-      while (!isUnique && attempts < maxAttempts) {
-        const sequenceStr = sequence.toString().padStart(4, "0");
-        invoiceNumber = `${proformaPrefix}${month}${year}-${sequenceStr}`;
-
-        // Vérifier que le numéro généré est unique
-        const [existingInvoice] = await db.query(
-          "SELECT id FROM orders WHERE invoice_number = ? AND is_deleted = 0 LIMIT 1",
-          [invoiceNumber]
-        );
-
-        if (existingInvoice.length === 0) {
-          isUnique = true;
-        } else {
-          sequence++;
-          attempts++;
-        }
-      }
-
-      if (!isUnique) {
-        // Fallback avec timestamp pour garantir l'unicité
-        const timestamp = Date.now();
-        invoiceNumber = `${proformaPrefix}${month}${year}-${timestamp
-          .toString()
-          .slice(-8)}`;
-      }
-
-      return invoiceNumber;
-    }
-
-    // Pour les autres types de commandes (achats, ventes...)
-    let prefix;
-    if (order_type === "purchase") {
-      prefix = "ACHT";
-    } else if (order_type === "purchase_return") {
-      prefix = "R-ACHT";
-    } else if (order_type === "stock-transfer") {
-      // Added for transfers
-      prefix = "TRF"; // Or use warehouse/company prefix? Let's use TRF for now.
-    } else {
-      // Récupérer le préfixe de l'entreprise pour les ventes
-      const [companyRows] = await db.query(
-        "SELECT prefixe_inv FROM companies WHERE id = ?",
-        [company_id]
-      );
-      if (companyRows.length === 0) throw new Error("Entreprise non trouvée");
-      prefix = companyRows[0].prefixe_inv || "SALE"; // Utiliser SALE comme préfixe par défaut
-
-      // Si c'est un retour de vente, ajouter le préfixe R-
-      if (order_type === "sales_return") {
-        prefix = "R-" + prefix;
-      }
-    }
-
-    // Rechercher la dernière facture pour cet entrepôt, ce type et cette année
-    const yearPattern = `${prefix}%${year}-%`;
-
-    // Utiliser warehouse_id au lieu de company_id pour le filtrage
-    const filterField = warehouse_id ? "warehouse_id" : "company_id";
-    const filterValue = warehouse_id || company_id;
+async function buildFiscalSectionHTML(fiscal) {
+  if (!fiscal) return "";
+  if (fiscal.fiscal_status !== "certified") {
+    return `
+      <div class="fiscal-section" style="
+        margin-top: 20px;
+        padding: 12px;
+        border: 2px solid #c53030;
+        color: #c53030;
+        text-align: center;
+        font-weight: 600;
+        page-break-inside: avoid;
+      ">Facture normalisée ${FISCAL_STATUS_LABELS[
+        fiscal.fiscal_status
+      ].toLowerCase()} : ce document n'est pas une facture certifiée</div>
+    `;
+  }
 
-    // Rechercher la dernière facture de l'année pour déterminer la séquence
-    const [orderRows] = await db.query(
-      `SELECT invoice_number FROM orders 
-       WHERE ${filterField} = ? 
-       AND order_type = ? 
-       AND invoice_number LIKE ? 
-       AND is_deleted = 0 
-       ORDER BY id DESC LIMIT 1`,
-      [filterValue, order_type, yearPattern]
+  let fiscalQrDataUrl = "";
+  try {
+    fiscalQrDataUrl = await QRCode.toDataURL(fiscal.fiscal_qr_code || "", {
+      margin: 1,
+      width: 200,
+    });
+  } catch (error) {
+    console.warn(
+      "[Invoice PDF] Fiscal QR code generation failed:",
+      error.message
     );
+  }
+  const certifiedAt = fiscal.fiscal_certified_at
+    ? new Date(fiscal.fiscal_certified_at).toLocaleString("fr-FR")
+    : "";
 
-    let sequence = 1;
-    if (orderRows.length > 0) {
-      const lastInvoice = orderRows[0].invoice_number;
-      const parts = lastInvoice.split("-");
-      if (parts.length === 2) {
-        const parsedSequence = parseInt(parts[1], 10);
-        if (!isNaN(parsedSequence)) {
-          sequence = parsedSequence + 1;
+  return `
+    <div class="fiscal-section" style="
+      margin-top: 20px;
+      padding: 16px;
+      border: 1px solid #2d3748;
+      page-break-inside: avoid;
+    ">
+      <div style="display: flex; align-items: center; gap: 20px;">
+        ${
+          fiscalQrDataUrl
+            ? `<img src="${fiscalQrDataUrl}" alt="QR Code fiscal" style="width: 110px; height: 110px;"/>`
+            : ""
         }
-      }
-    }
-
-    // Rechercher un numéro unique
-    let isUnique = false;
-    let maxAttempts = 100;
-    let attempts = 0;
-    let invoiceNumber;
-
-    while (!isUnique && attempts < maxAttempts) {
-      const sequenceStr = sequence.toString().padStart(4, "0");
-      invoiceNumber = `${prefix}${month}${year}-${sequenceStr}`;
-
-      // Vérifier que le numéro généré est unique
-      const [existingInvoice] = await db.query(
-        "SELECT id FROM orders WHERE invoice_number = ? AND is_deleted = 0 LIMIT 1",
-        [invoiceNumber]
-      );
-
-      if (existingInvoice.length === 0) {
-        isUnique = true;
-      } else {
-        console.warn(
-          `Numéro de facture ${invoiceNumber} déjà utilisé, incrémentation de la séquence (tentative ${
-            attempts + 1
-          }/${maxAttempts})`
-        );
-        sequence++;
-        attempts++;
-      }
-    }
-
-    if (!isUnique) {
-      // Si après maxAttempts tentatives, on n'a toujours pas de numéro unique,
-      // générer un numéro avec un timestamp pour garantir l'unicité
-      const timestamp = Date.now();
-      invoiceNumber = `${prefix}${month}${year}-${timestamp
-        .toString()
-        .slice(-8)}`;
-      console.warn(
-        `Impossible de trouver un numéro de facture unique après ${maxAttempts} tentatives, utilisation d'un timestamp: ${invoiceNumber}`
-      );
-    }
-
-    return invoiceNumber;
-  } catch (error) {
-    console.error("Erreur lors de la génération du numéro de facture:", error);
-    // Fallback en cas d'erreur - générer un numéro unique basé sur timestamp
-    const dateObj = new Date(order_date);
-    const month = ("0" + (dateObj.getMonth() + 1)).slice(-2);
-    const year = dateObj.getFullYear();
-    const timestamp = Date.now();
-
-    // Préfixe par défaut selon le type de commande
-    let fallbackPrefix;
-    if (order_type === "purchase") {
-      fallbackPrefix = "ACHT";
-    } else if (order_type === "proforma") {
-      fallbackPrefix = "PF";
-    } else {
-      fallbackPrefix = "SALE";
-    }
+        <div style="font-size: 12px; line-height: 1.6;">
+          <div style="font-weight: 700; margin-bottom: 4px;">FACTURE NORMALISÉE</div>
+          <div>Code MECeF/DGI : <span style="font-family: 'Courier New', monospace;">${
+            fiscal.fiscal_code
+          }</span></div>
+          <div>Compteurs : ${fiscal.fiscal_counters || ""}</div>
+          <div>NIM : ${fiscal.fiscal_nim || ""}</div>
+          <div>Date et heure : ${certifiedAt}</div>
+        </div>
+      </div>
+    </div>
+  `;
+}
 
-    return `${fallbackPrefix}${month}${year}-ERR${timestamp
-      .toString()
-      .slice(-4)}`;
+/**
+ * Insère le bloc de facture normalisée avant la fin du document.
+ */
+function injectFiscalSectionIntoHTML(htmlContent, fiscalSection) {
+  if (!fiscalSection) return htmlContent;
+  if (htmlContent.includes("</body>")) {
+    return htmlContent.replace("</body>", fiscalSection + "\n  </body>");
   }
+  return htmlContent + fiscalSection;
 }
 
-// ======================================================================
-// Helper Functions
-// ======================================================================
-
-// Helper function to update stock, now using connection and logging
-async function updateStock(
+/**
+ * Génère le numéro d'une commande (facture, retour, proforma, transfert)
+ * avec le compteur transactionnel de utils/documentNumbers.js.
+ * Format par défaut : {prefix}{mm}{YYYY}-{sequence}, par exemple
+ * ACHT012025-0001 ; le modèle est configurable par magasin.
+ * Doit être appelé avec la connexion de la transaction qui insère la commande.
+ */
+async function generateInvoiceNumber(
   connection,
-  productId,
-  warehouseId,
-  quantityChange,
-  movementType,
-  referenceType,
-  referenceId,
-  remarks = null,
-  relatedWarehouseId = null
+  company_id,
+  order_date,
+  order_type,
+  warehouse_id
 ) {
-  const qtyChange = parseFloat(quantityChange); // Ensure it's a number
-  if (isNaN(qtyChange) || !productId || !warehouseId) {
-    return false;
-  }
-
-  let purchasePrice = 0;
-  let salesPrice = 0;
-
-  // Si c'est une entrée de transfert, essayer de récupérer les prix de l'entrepôt source
-  if (movementType === "transfer_in" && relatedWarehouseId) {
-    try {
-      const [sourcePriceRows] = await connection.query(
-        `SELECT purchase_price, sales_price FROM product_details WHERE product_id = ? AND warehouse_id = ?`,
-        [productId, relatedWarehouseId]
-      );
-      if (sourcePriceRows.length > 0) {
-        purchasePrice = sourcePriceRows[0].purchase_price || 0;
-        salesPrice = sourcePriceRows[0].sales_price || 0;
-      }
-    } catch (priceError) {
-      console.error(
-        `Erreur lors de la récupération des prix de l'entrepôt source ${relatedWarehouseId} pour produit ${productId}:`,
-        priceError
-      );
-      // Conserver les prix par défaut à 0 en cas d'erreur
-    }
-  }
-
-  // Utiliser INSERT ... ON DUPLICATE KEY UPDATE
-  const upsertStockSql = `
-    INSERT INTO product_details (
-      product_id, warehouse_id, 
-      current_stock,  -- Initial stock on insert
-      opening_stock,  -- Initial opening stock on insert
-      purchase_price, -- Prix d'achat à l'insertion
-      sales_price,    -- Prix de vente à l'insertion
-      created_at, 
-      updated_at
-    ) VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW()) 
-    ON DUPLICATE KEY UPDATE 
-      current_stock = current_stock + ?, -- Add the change on update
-      -- Mettre à jour les prix lors d'un UPDATE ? Pour l'instant, non. Concentrons-nous sur l'INSERT.
-      updated_at = NOW()
-  `;
-
-  // opening_stock should only be set if it's the first positive addition.
-  // current_stock on insert should be the quantityChange itself.
-  const initialStockValue = qtyChange > 0 ? qtyChange : 0; // Use 0 if initial change is negative
-
-  try {
-    // Paramètres pour VALUES:
-    // 1. productId
-    // 2. warehouseId
-    // 3. qtyChange (pour current_stock initial)
-    // 4. initialStockValue (pour opening_stock initial)
-    // 5. purchasePrice (récupéré ou 0)
-    // 6. salesPrice (récupéré ou 0)
-    // Paramètre pour UPDATE:
-    // 7. qtyChange (pour current_stock = current_stock + ?)
-    const [upsertResult] = await connection.query(upsertStockSql, [
-      productId,
-      warehouseId,
-      qtyChange, // 3. Initial current_stock
-      initialStockValue, // 4. Initial opening_stock
-      purchasePrice, // 5. Prix d'achat initial
-      salesPrice, // 6. Prix de vente initial
-      qtyChange, // 7. Valeur à ajouter dans UPDATE
-    ]);
-
-    // affectedRows: 1 = INSERT, 2 = UPDATE (or 0 if UPDATE resulted in no change)
-    if (upsertResult.affectedRows > 0) {
-      // Log the movement
-      await logStockMovement(
-        connection,
-        productId,
-        warehouseId,
-        qtyChange,
-        movementType,
-        referenceType,
-        referenceId,
-        remarks,
-        relatedWarehouseId
-      );
-      return true;
-    } else {
-      // This case (affectedRows=0) might happen if qtyChange is 0.
-      if (qtyChange === 0) {
-        return true; // 0 change is technically successful.
-      } else {
-        return false; // Indicate failure
-      }
-    }
-  } catch (error) {
-    console.error(
-      `Error during stock upsert for Product ${productId} in Warehouse ${warehouseId}:`,
-      error
-    );
-    // Rethrow the error to ensure the calling function can handle transaction rollback.
-    throw error;
-  }
+  return nextDocumentNumber(connection, {
+    companyId: company_id,
+    warehouseId: warehouse_id,
+    documentType: order_type,
+    date: order_date,
+  });
 }
 
 // ======================================================================
-// NEW ENDPOINTS FOR STOCK ADJUSTMENTS
+// STOCK ADJUSTMENTS
 // ======================================================================
 
-// Get stock adjustments (paginated, filtered by warehouse)
-router.get("/stock-adjustments", async (req, res) => {
-  const connection = await db.getConnection();
-  try {
-    const { warehouse_id, page, limit } = req.query;
-    const pageInt = parseInt(page) || 1;
-    const limitInt = parseInt(limit) || 10;
-    const offset = (pageInt - 1) * limitInt;
-
-    if (!warehouse_id) {
-      return res.status(400).json({ error: "Warehouse ID is required" });
-    }
-
-    let sql = `
-            SELECT sa.*, p.name as product_name, w.name as warehouse_name, u.name as user_name
-            FROM stock_adjustments sa
-            JOIN products p ON sa.product_id = p.id
-            JOIN warehouses w ON sa.warehouse_id = w.id
-            LEFT JOIN users u ON sa.created_by = u.id
-            WHERE sa.warehouse_id = ?
-            ORDER BY sa.created_at DESC
-            LIMIT ? OFFSET ?
-        `;
-    const [adjustments] = await connection.query(sql, [
-      warehouse_id,
-      limitInt,
-      offset,
-    ]);
-
-    let countSql = `SELECT COUNT(*) as total FROM stock_adjustments WHERE warehouse_id = ?`;
-    const [totalResult] = await connection.query(countSql, [warehouse_id]);
-    const total = totalResult[0].total;
-
-    res.json({ adjustments, total });
-  } catch (err) {
-    console.error(
-      "Erreur lors de la récupération des ajustements de stock:",
-      err
-    );
-    res.status(500).json({
-      error: "Erreur lors de la récupération des ajustements de stock.",
-      details: err.stack,
-    });
-  } finally {
-    if (connection) connection.release();
-  }
-});
-
-// Create a new stock adjustment
-router.post("/stock-adjustments", async (req, res) => {
-  const connection = await db.getConnection();
-  try {
-    await connection.beginTransaction();
-    const {
-      company_id,
-      warehouse_id,
-      product_id,
-      quantity, // Should be positive
-      adjustment_type, // 'add' or 'substract'
-      notes,
-      created_by, // Optional: ID of user performing adjustment
-    } = req.body;
-
-    // Validation
-    if (!warehouse_id || !product_id || !quantity || !adjustment_type) {
-      throw new Error("Missing required fields for stock adjustment.");
-    }
-    const adjQuantity = parseFloat(quantity);
-    if (isNaN(adjQuantity) || adjQuantity <= 0) {
-      throw new Error(
-        "Invalid quantity for adjustment. Must be a positive number."
-      );
-    }
-    if (!["add", "substract"].includes(adjustment_type)) {
-      throw new Error("Invalid adjustment type. Must be 'add' or 'substract'.");
-    }
-
-    // Insert adjustment record
-    const insertSql = `
-            INSERT INTO stock_adjustments (
-                company_id, warehouse_id, product_id, quantity, adjustment_type, notes, created_by, created_at, updated_at
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
-        `;
-    const [result] = await connection.query(insertSql, [
-      company_id,
-      warehouse_id,
-      product_id,
-      adjQuantity,
-      adjustment_type,
-      notes,
-      created_by || null,
-    ]);
-    const adjustmentId = result.insertId;
-
-    // Update stock and log movement
-    const stockChange = adjustment_type === "add" ? adjQuantity : -adjQuantity;
-    const movementType =
-      adjustment_type === "add" ? "adjustment_add" : "adjustment_substract"; // Use specific types for logging helper
-    const updateSuccess = await updateStock(
-      connection,
-      product_id,
-      warehouse_id,
-      stockChange,
-      movementType, // Pass specific type
-      "adjustment",
-      adjustmentId,
-      notes || `Stock Adjustment #${adjustmentId}`
-    );
-
-    if (!updateSuccess) {
-      // If stock update fails (e.g., product detail not found), rollback.
-      throw new Error(
-        `Stock update failed for adjustment. Product ${product_id} might not exist in warehouse ${warehouse_id}.`
-      );
-    }
-
-    await connection.commit();
-    res.status(201).json({
-      message: "Ajustement de stock créé avec succès",
-      id: adjustmentId,
-    });
-  } catch (err) {
-    await connection.rollback();
-    console.error("Erreur lors de la création de l'ajustement de stock:", err);
-    res.status(500).json({
-      error: "Erreur lors de la création de l'ajustement de stock.",
-      details: err.message || err.stack,
-    });
-  } finally {
-    if (connection) connection.release();
-  }
-});
-
-// Delete a stock adjustment (and reverse its effect)
-router.delete("/stock-adjustments/:id", async (req, res) => {
-  const connection = await db.getConnection();
-  try {
-    await connection.beginTransaction();
-    const { id } = req.params;
-    const adjustmentId = Number(id);
-
-    // Get adjustment details
-    const [adjRows] = await connection.query(
-      "SELECT * FROM stock_adjustments WHERE id = ?",
-      [adjustmentId]
-    );
-    if (adjRows.length === 0) {
-      throw new Error("Stock adjustment not found.");
-    }
-    const adjustment = adjRows[0];
-    const quantity = parseFloat(adjustment.quantity);
-    const productId = adjustment.product_id;
-    const warehouseId = adjustment.warehouse_id;
-
-    // Calculate reversal amount
-    const stockChangeReversal =
-      adjustment.adjustment_type === "add" ? -quantity : quantity;
-
-    // Update stock (reverse the adjustment) and log the reversal
-    const reversalSuccess = await updateStock(
-      connection,
-      productId,
-      warehouseId,
-      stockChangeReversal,
-      "deletion", // Movement type for reversal
-      "adjustment_delete", // Reference type
-      adjustmentId, // Reference ID
-      `Reversal for deleted adjustment #${adjustmentId}`
-    );
-
-    if (!reversalSuccess) {
-      // If stock reversal fails, rollback.
-      throw new Error(
-        `Stock reversal failed for deleting adjustment ${adjustmentId}.`
-      );
-    }
-
-    // Delete the adjustment record
-    const [deleteResult] = await connection.query(
-      "DELETE FROM stock_adjustments WHERE id = ?",
-      [adjustmentId]
-    );
-    if (deleteResult.affectedRows === 0) {
-      // Should not happen if select worked, but check anyway
-      throw new Error("Failed to delete stock adjustment record.");
-    }
-
-    await connection.commit();
-    res.json({
-      message: "Ajustement de stock supprimé et stock annulé avec succès.",
-      id: adjustmentId,
-    });
-  } catch (err) {
-    await connection.rollback();
-    console.error(
-      "Erreur lors de la suppression de l'ajustement de stock:",
-      err
-    );
-    res.status(500).json({
-      error: "Erreur lors de la suppression de l'ajustement de stock.",
-      details: err.message || err.stack,
-    });
-  } finally {
-    if (connection) connection.release();
-  }
-});
-
-// Update stock adjustment - Potentially complex, might need more rules
-// For now, let's assume simple update is allowed, recalculating stock delta.
-router.put("/stock-adjustments/:id", async (req, res) => {
-  const connection = await db.getConnection();
-  try {
-    await connection.beginTransaction();
-    const { id } = req.params;
-    const adjustmentId = Number(id);
-    const {
-      quantity, // New positive quantity
-      adjustment_type, // New type ('add' or 'substract')
-      notes,
-      // Assuming company_id, warehouse_id, product_id cannot be changed
-    } = req.body;
-
-    // Validation
-    const newQuantity = parseFloat(quantity);
-    if (isNaN(newQuantity) || newQuantity <= 0) {
-      throw new Error("Invalid quantity. Must be positive.");
-    }
-    if (!["add", "substract"].includes(adjustment_type)) {
-      throw new Error("Invalid adjustment type.");
-    }
-
-    // Get old adjustment details
-    const [adjRows] = await connection.query(
-      "SELECT * FROM stock_adjustments WHERE id = ?",
-      [adjustmentId]
-    );
-    if (adjRows.length === 0) {
-      throw new Error("Stock adjustment not found.");
-    }
-    const oldAdjustment = adjRows[0];
-    const oldQuantity = parseFloat(oldAdjustment.quantity);
-    const oldType = oldAdjustment.adjustment_type;
-    const productId = oldAdjustment.product_id;
-    const warehouseId = oldAdjustment.warehouse_id;
-
-    // Calculate old stock effect and new stock effect
-    const oldStockEffect = oldType === "add" ? oldQuantity : -oldQuantity;
-    const newStockEffect =
-      adjustment_type === "add" ? newQuantity : -newQuantity;
-    const netStockChange = newStockEffect - oldStockEffect; // The delta to apply to current stock
-
-    // Update the adjustment record
-    const updateSql = `
-            UPDATE stock_adjustments
-            SET quantity = ?, adjustment_type = ?, notes = ?, updated_at = NOW()
-            WHERE id = ?
-        `;
-    const [updateResult] = await connection.query(updateSql, [
-      newQuantity,
-      adjustment_type,
-      notes,
-      adjustmentId,
-    ]);
-    if (updateResult.affectedRows === 0) {
-      throw new Error("Failed to update adjustment record.");
-    }
-
-    // Apply the net stock change and log
-    if (netStockChange !== 0) {
-      const updateSuccess = await updateStock(
-        connection,
-        productId,
-        warehouseId,
-        netStockChange, // Apply the delta
-        "adjustment", // General adjustment type for update log
-        "adjustment_update", // Reference type
-        adjustmentId, // Reference ID
-        notes || `Updated Adjustment #${adjustmentId}`
-      );
-
-      if (!updateSuccess) {
-        throw new Error(
-          `Stock update failed during adjustment modification ${adjustmentId}.`
-        );
-      }
-    }
-
-    await connection.commit();
-    res.json({
-      message: "Ajustement de stock mis à jour avec succès",
-      id: adjustmentId,
-    });
-  } catch (err) {
-    await connection.rollback();
-    console.error(
-      "Erreur lors de la modification de l'ajustement de stock:",
-      err
-    );
-    res.status(500).json({
-      error: "Erreur lors de la modification de l'ajustement de stock.",
-      details: err.message || err.stack,
-    });
-  } finally {
-    if (connection) {
-      connection.release(); // Libérer la connexion
-    }
-  }
-});
+// Ajustements de stock : servis par /api/stock/adjustments (voir
+// routes/stock.js), l'ancienne adresse y est redirigée
+router.use("/stock-adjustments", (req, res) =>
+  res.redirect(308, `/api/stock/adjustments${req.url === "/" ? "" : req.url}`)
+);
 
 // Route to get payments for a specific order
-router.get("/:id/payments", async (req, res) => {
+router.get("/:id/payments", canViewOrder, async (req, res) => {
   const { id } = req.params;
   const orderId = Number(id);
 
@@ -930,7 +612,7 @@ router.get("/:id/payments", async (req, res) => {
 // ======================================================================
 // MODIFIED: Handle stock transfers filtering
 // ======================================================================
-router.get("/", async (req, res) => {
+router.get("/", canViewOrder, async (req, res) => {
   const connection = await db.getConnection(); // Get connection from pool
   try {
     const {
@@ -1130,7 +812,22 @@ router.get("/", async (req, res) => {
 // ======================================================================
 // MODIFIED: Handle stock transfers and logging
 // ======================================================================
-router.post("/", async (req, res) => {
+router.post("/", canCreateOrder, async (req, res) => {
+  let promotions = null;
+  try {
+    await applyPriceLists(req);
+    promotions = await applyPromotions(req.body);
+  } catch (err) {
+    console.error("Erreur lors de l'application des prix et promotions:", err);
+    return res.status(500).json({
+      error: "Erreur lors de l'application des prix et promotions.",
+      details: err.message,
+    });
+  }
+  if (promotions && promotions.error) {
+    return res.status(400).json({ error: promotions.error });
+  }
+
   const {
     company_id,
     warehouse_id, // Destination warehouse for transfers
@@ -1163,25 +860,15 @@ router.post("/", async (req, res) => {
   } = req.body;
 
   // Basic validations
+  // Transferts entre magasins : créés en brouillon par POST
+  // /api/stock/transfers, puis expédiés et réceptionnés
   if (order_type === "stock-transfer") {
-    if (!from_warehouse_id) {
-      return res.status(400).json({
-        error: "Veuillez sélectionner un magasin source pour le transfert.",
-      });
-    }
-    if (!warehouse_id) {
-      return res.status(400).json({
-        error:
-          "Veuillez sélectionner un magasin de destination pour le transfert.",
-      });
-    }
-    if (from_warehouse_id === warehouse_id) {
-      return res.status(400).json({
-        error:
-          "Le magasin source et destination ne peuvent pas être identiques.",
-      });
-    }
-  } else if (order_type !== "proforma") {
+    return res.status(400).json({
+      error:
+        "Les transferts de stock se créent par POST /api/stock/transfers (brouillon, expédition puis réception).",
+    });
+  }
+  if (order_type !== "proforma") {
     // warehouse_id is required for most types, except proforma maybe?
     if (!warehouse_id) {
       return res
@@ -1222,12 +909,34 @@ router.post("/", async (req, res) => {
   delete req.body.Fournisseur_ID;
   delete req.body.from_warehouse_id;
 
+  // Clé générée par le client (en-tête ou corps), comme pour les paiements
+  const idempotencyKey =
+    req.headers["x-idempotency-key"] || req.body.idempotency_key;
+
   const connection = await db.getConnection(); // Obtenir une connexion du pool
   try {
     await connection.beginTransaction(); // Démarrer la transaction
 
+    // Requête rejouée (réponse perdue, nouvel envoi) : la commande existe déjà
+    const existingOrder = await findByIdempotencyKey(
+      connection,
+      "orders",
+      idempotencyKey,
+      company_id
+    );
+    if (existingOrder) {
+      await connection.rollback();
+      return res.status(200).json({
+        message: "Commande déjà enregistrée.",
+        orderId: existingOrder.id,
+        invoice_number: existingOrder.invoice_number,
+        is_duplicate: true,
+      });
+    }
+
     // Générer un numéro de facture automatique
     const invoice_number = await generateInvoiceNumber(
+      connection,
       company_id,
       order_date,
       order_type,
@@ -1254,9 +963,15 @@ router.post("/", async (req, res) => {
       throw new Error(`Type de commande invalide: ${order_type}`);
     }
 
+    // Bon de commande fournisseur (voir routes/purchaseOrders.js) : créé en
+    // brouillon, le stock n'entre qu'aux réceptions
+    const purchaseOrder =
+      order_type === "purchase" && Boolean(req.body.po_status);
     // Traduire les statuts en français
     const translatedOrderStatus = translateOrderStatus(
-      order_status || (order_type === "sales" ? "delivered" : "received") // Statut par défaut différent pour achat/vente
+      purchaseOrder
+        ? "pending"
+        : order_status || (order_type === "sales" ? "delivered" : "received") // Statut par défaut différent pour achat/vente
     );
     const translatedPaymentStatus = determinePaymentStatus(
       paid_amount || 0,
@@ -1310,6 +1025,86 @@ router.post("/", async (req, res) => {
     );
     const orderId = result.insertId;
 
+    if (purchaseOrder) {
+      await connection.query(
+        "UPDATE orders SET po_status = 'draft', expected_date = ? WHERE id = ?",
+        [req.body.expected_date || null, orderId]
+      );
+    }
+    if (
+      idempotencyKey &&
+      (await hasIdempotencyKeyColumn(connection, "orders"))
+    ) {
+      await connection.query(
+        "UPDATE orders SET idempotency_key = ? WHERE id = ?",
+        [idempotencyKey, orderId]
+      );
+    }
+    // Vente ou retour encaissé en caisse (voir routes/posSessions.js)
+    if (
+      req.body.pos_session_id &&
+      (order_type === "sales" || order_type === "sales_return")
+    ) {
+      const sessionProblem = await checkDocumentSession(
+        connection,
+        req.body.pos_session_id,
+        warehouse_id
+      );
+      if (sessionProblem) {
+        await connection.rollback();
+        return res
+          .status(sessionProblem.status)
+          .json({ error: sessionProblem.error });
+      }
+      await attachToPosSession(
+        connection,
+        "orders",
+        orderId,
+        req.body.pos_session_id,
+        warehouse_id
+      );
+    }
+
+    // Commande en devise étrangère : devise et cours figés sur la commande
+    let exchangeRate = 1;
+    if (req.body.currency_id && order_type !== "stock-transfer") {
+      const currency = await applyDocumentCurrency(
+        connection,
+        "orders",
+        orderId,
+        {
+          companyId: company_id,
+          currencyId: req.body.currency_id,
+          exchangeRate: req.body.exchange_rate,
+          date: order_date,
+        }
+      );
+      exchangeRate = currency.exchange_rate;
+    }
+
+    // Vente à crédit : plafond et retards de paiement du client
+    if (order_type === "sales") {
+      const credit = await checkSaleCredit(connection, req, {
+        id: orderId,
+        company_id,
+        user_id,
+        order_date,
+        exchange_rate: exchangeRate,
+        due_amount:
+          due_amount !== undefined
+            ? due_amount
+            : parseFloat(total || 0) - parseFloat(paid_amount || 0),
+      });
+      if (!credit.ok) {
+        await connection.rollback();
+        return res.status(403).json({
+          error: credit.error,
+          code: credit.code,
+          credit_check: credit.credit_check,
+        });
+      }
+    }
+
     // Insertion des produits de la commande ET mise à jour du stock
     let updateSuccess = true; // Initialize BEFORE the loop
     for (const item of items) {
@@ -1325,12 +1120,12 @@ router.post("/", async (req, res) => {
         );
       }
 
-      await connection.query(
+      const [itemResult] = await connection.query(
         `INSERT INTO order_items (
             order_id, product_id, unit_id, quantity, unit_price, single_unit_price,
             tax_id, tax_rate, tax_type, discount_rate, total_tax, total_discount, subtotal,
-            original_order_id, original_order_item_id
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, // Added original_order_item_id
+            original_order_id, original_order_item_id, price_list_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, // Added original_order_item_id
         [
           orderId,
           item.product_id,
@@ -1348,8 +1143,11 @@ router.post("/", async (req, res) => {
           item.subtotal,
           original_order_id || null,
           item.original_order_item_id || null, // Add this if linking return items
+          item.price_list_id || null, // Liste de prix appliquée (ventes, devis)
         ]
       );
+      // Stock, lots et séries à la réception du bon de commande
+      if (purchaseOrder) continue;
 
       // Mise à jour incrémentale du stock DANS la transaction
       let stockChangeSource = 0;
@@ -1394,34 +1192,58 @@ router.post("/", async (req, res) => {
           );
       }
 
-      // Apply stock changes and log movements
+      // Numéros de série (produits sérialisés)
+      await applyOrderItemSerials(
+        connection,
+        { id: orderId, order_type, warehouse_id, from_warehouse_id, user_id },
+        itemResult.insertId,
+        item
+      );
+
+      // Lots : prélèvement FEFO / lot demandé, ou réception du lot saisi
+      const batchParts = await applyOrderItemBatches(
+        connection,
+        { id: orderId, order_type, warehouse_id, from_warehouse_id },
+        itemResult.insertId,
+        item,
+        stockChangeSource,
+        stockChangeDest
+      );
+
+      // Apply stock changes and log movements (one movement per batch)
       if (stockChangeSource !== 0 && sourceWarehouseForLog) {
-        const success = await updateStock(
-          connection,
-          item.product_id,
-          sourceWarehouseForLog,
-          stockChangeSource,
-          movementTypeSource,
-          "order",
-          orderId,
-          `Order ${invoice_number}`,
-          relatedWarehouseSource
-        );
-        if (!success) updateSuccess = false; // Mark failure if any update fails
+        for (const part of batchParts.source) {
+          const success = await updateStock(
+            connection,
+            item.product_id,
+            sourceWarehouseForLog,
+            part.quantity,
+            movementTypeSource,
+            "order",
+            orderId,
+            `Order ${invoice_number}`,
+            relatedWarehouseSource,
+            part.batch_number
+          );
+          if (!success) updateSuccess = false; // Mark failure if any update fails
+        }
       }
       if (stockChangeDest !== 0 && destWarehouseForLog) {
-        const success = await updateStock(
-          connection,
-          item.product_id,
-          destWarehouseForLog,
-          stockChangeDest,
-          movementTypeDest,
-          "order",
-          orderId,
-          `Order ${invoice_number}`,
-          relatedWarehouseDest
-        );
-        if (!success) updateSuccess = false;
+        for (const part of batchParts.dest) {
+          const success = await updateStock(
+            connection,
+            item.product_id,
+            destWarehouseForLog,
+            part.quantity,
+            movementTypeDest,
+            "order",
+            orderId,
+            `Order ${invoice_number}`,
+            relatedWarehouseDest,
+            part.batch_number
+          );
+          if (!success) updateSuccess = false;
+        }
       }
     } // END of item loop
 
@@ -1434,21 +1256,81 @@ router.post("/", async (req, res) => {
     // Insertion des paiements (le cas échéant)
     if (payments && payments.length > 0) {
       for (const payment of payments) {
+        // Daté du paiement (à défaut de la vente), pour la balance âgée
         await connection.query(
           `INSERT INTO order_payments (
-              company_id, payment_id, order_id, amount
-          ) VALUES (?, ?, ?, ?)`,
-          [company_id, payment.payment_id, orderId, payment.amount]
+              company_id, payment_id, order_id, amount, payment_date
+          ) VALUES (?, ?, ?, ?, COALESCE((SELECT date FROM payments WHERE id = ?), ?))`,
+          [
+            company_id,
+            payment.payment_id,
+            orderId,
+            payment.amount,
+            payment.payment_id || null,
+            order_date,
+          ]
         );
       }
     }
 
+    // Promotions appliquées, journalisées sur la commande (voir
+    // utils/promotions.js) ; un code promo épuisé entre-temps annule la vente
+    const promotionError = await recordOrderPromotions(
+      connection,
+      { id: orderId, company_id, user_id, order_type, order_date },
+      promotions
+    );
+    if (promotionError) {
+      await connection.rollback();
+      return res.status(409).json({ error: promotionError });
+    }
+
+    // Retour de vente : avoir numéroté, lié à la facture d'origine
+    let creditNote = null;
+    if (order_type === "sales_return") {
+      creditNote = await createCreditNoteForReturn(connection, {
+        id: orderId,
+        company_id,
+        warehouse_id,
+        user_id,
+        original_order_id,
+        order_date,
+        total,
+        paid_amount,
+      });
+    }
+
+    // Écriture comptable et points de fidélité (voir utils/accounting.js,
+    // utils/loyalty.js)
+    await syncOrderEntry(connection, orderId);
+    await syncOrderLoyalty(connection, orderId);
+
+    // Facture normalisée : mise en file, soumise après la validation ou, si
+    // la vente reste à régler, au paiement (voir utils/fiscalization.js)
+    const awaitPayment =
+      order_type === "sales" && (parseFloat(due_amount) || 0) > 0.01;
+    const fiscalSubmissionId = await queueFiscalSubmission(
+      connection,
+      orderId,
+      { awaitPayment }
+    );
+
     await connection.commit(); // Valider la transaction
 
+    const fiscal =
+      awaitPayment && fiscalSubmissionId
+        ? { id: fiscalSubmissionId, status: "pending", awaiting_payment: true }
+        : await trySubmitFiscalInvoice(db, fiscalSubmissionId);
+
     res.status(201).json({
       message: "Commande ajoutée avec succès.",
       orderId,
       invoice_number,
+      credit_note_id: creditNote ? creditNote.id : null,
+      credit_note_number: creditNote ? creditNote.credit_note_number : null,
+      promotion_discount: promotions ? promotions.discount : 0,
+      promotions: promotions ? promotions.applied : [],
+      fiscal,
     });
   } catch (err) {
     await connection.rollback(); // Annuler la transaction en cas d'erreur
@@ -1467,10 +1349,22 @@ router.post("/", async (req, res) => {
 // ======================================================================
 // MODIFIED: Handle stock transfers and logging
 // ======================================================================
-router.put("/:id", async (req, res) => {
+router.put("/:id", canEditOrder, async (req, res) => {
   const { id } = req.params;
   const orderId = Number(id); // Assurer que c'est un nombre
 
+  if (!req.body.is_payment_only && !req.body.is_payment_status_only) {
+    try {
+      await applyPriceLists(req);
+    } catch (err) {
+      console.error("Erreur lors de l'application de la liste de prix:", err);
+      return res.status(500).json({
+        error: "Erreur lors de l'application de la liste de prix.",
+        details: err.message,
+      });
+    }
+  }
+
   const {
     company_id,
     warehouse_id,
@@ -1534,7 +1428,7 @@ router.put("/:id", async (req, res) => {
 
     // Récupérer les informations de la commande existante (type, statut, items actuels)
     const [orderInfoRows] = await connection.query(
-      "SELECT order_type, is_deleted, total, paid_amount, warehouse_id, from_warehouse_id FROM orders WHERE id = ?",
+      "SELECT order_type, po_status, transfer_status, fiscal_status, is_deleted, total, paid_amount, warehouse_id, from_warehouse_id FROM orders WHERE id = ?",
       [orderId]
     );
     if (orderInfoRows.length === 0) {
@@ -1613,6 +1507,47 @@ router.put("/:id", async (req, res) => {
     }
     // 3. Mise à jour complète de la commande (modification des articles, etc.)
     else {
+      // Un bon de commande n'est modifiable qu'en brouillon, et reste un achat
+      if (
+        isPurchaseOrder(orderInfo) &&
+        (orderInfo.po_status !== "draft" || effectiveOrderType !== "purchase")
+      ) {
+        await connection.rollback();
+        return res.status(409).json({
+          error:
+            "Seul un bon de commande en brouillon peut être modifié (et il doit rester un achat).",
+        });
+      }
+      // Une autre commande ne devient pas un transfert (POST /api/stock/transfers)
+      if (
+        effectiveOrderType === "stock-transfer" &&
+        originalOrderType !== "stock-transfer"
+      ) {
+        await connection.rollback();
+        return res.status(400).json({
+          error:
+            "Les transferts de stock se créent par POST /api/stock/transfers.",
+        });
+      }
+      // Idem pour un transfert en deux temps
+      if (
+        isTransferWorkflow(orderInfo) &&
+        (orderInfo.transfer_status !== "draft" ||
+          effectiveOrderType !== "stock-transfer")
+      ) {
+        await connection.rollback();
+        return res.status(409).json({
+          error:
+            "Seul un transfert en brouillon peut être modifié (et il doit rester un transfert).",
+        });
+      }
+      // Facture normalisée certifiée (ou en cours) : correction par un retour
+      const fiscalLock = checkFiscalLock(orderInfo);
+      if (fiscalLock) {
+        await connection.rollback();
+        return res.status(409).json({ error: fiscalLock });
+      }
+
       // VALIDATION BLOCK for full update
       if (!items || items.length === 0) {
         await connection.rollback();
@@ -1664,7 +1599,11 @@ router.put("/:id", async (req, res) => {
       // ETAPE 1: Annuler l'effet des anciens items sur le stock
       // Cette opération se base sur les informations de la commande AVANT modification (orderInfo)
       let oldStockReversalSuccess = true;
-      if (originalOrderType !== "proforma") {
+      if (
+        originalOrderType !== "proforma" &&
+        !isPurchaseOrder(orderInfo) &&
+        !isTransferWorkflow(orderInfo)
+      ) {
         for (const oldItem of oldItems) {
           const productId = oldItem.product_id;
           const oldQuantity = parseFloat(oldItem.quantity || 0);
@@ -1753,7 +1692,13 @@ router.put("/:id", async (req, res) => {
         // return res.status(500).json({ error: "Erreur critique lors de l'annulation du stock précédent." });
       }
 
-      // Supprimer les anciens items et paiements associés (on réinsère tout)
+      // Rendre aux lots les quantités de l'ancienne version de la commande
+      await reverseOrderBatches(connection, orderId);
+      await reverseOrderSerials(connection, orderId);
+
+      // Supprimer les anciens items et paiements associés (on réinsère tout) ;
+      // le crédit client imputé retourne aux avoirs
+      await releaseInvoiceCredit(connection, orderId);
       await connection.query("DELETE FROM order_items WHERE order_id = ?", [
         orderId,
       ]);
@@ -1817,8 +1762,19 @@ router.put("/:id", async (req, res) => {
         ]
       );
 
+      // Devise : conservée si elle n'est pas transmise
+      if (req.body.currency_id !== undefined) {
+        await applyDocumentCurrency(connection, "orders", orderId, {
+          companyId: company_id,
+          currencyId: req.body.currency_id,
+          exchangeRate: req.body.exchange_rate,
+          date: order_date,
+        });
+      }
+
       // ETAPE 2: Réinsérer les nouveaux items (TOUJOURS nécessaire)
       // Cette opération se base sur les informations de la commande APRES modification (req.body et effectiveOrderType)
+      const insertedItemIds = [];
       for (const item of items) {
         // 'items' vient de req.body
         const productId = item.product_id;
@@ -1832,11 +1788,12 @@ router.put("/:id", async (req, res) => {
           );
         }
 
-        await connection.query(
+        const [itemResult] = await connection.query(
           `INSERT INTO order_items (
                 order_id, product_id, unit_id, quantity, unit_price, single_unit_price,
-                tax_id, tax_rate, tax_type, discount_rate, total_tax, total_discount, subtotal
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                tax_id, tax_rate, tax_type, discount_rate, total_tax, total_discount, subtotal,
+                price_list_id
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             orderId,
             productId,
@@ -1851,14 +1808,20 @@ router.put("/:id", async (req, res) => {
             effectiveOrderType === "stock-transfer" ? 0 : item.total_tax || 0,
             item.total_discount || 0,
             item.subtotal,
+            item.price_list_id || null,
           ]
         );
+        insertedItemIds.push(itemResult.insertId);
       }
 
       // ETAPE 3: Appliquer l'effet sur le stock (seulement pour les non-proformas)
       let newStockUpdateSuccess = true;
-      if (effectiveOrderType !== "proforma") {
-        for (const item of items) {
+      if (
+        effectiveOrderType !== "proforma" &&
+        !isPurchaseOrder(orderInfo) &&
+        !isTransferWorkflow(orderInfo)
+      ) {
+        for (const [index, item] of items.entries()) {
           const productId = item.product_id;
           const newQuantity = parseFloat(item.quantity);
 
@@ -1909,33 +1872,66 @@ router.put("/:id", async (req, res) => {
               break;
           }
 
+          await applyOrderItemSerials(
+            connection,
+            {
+              id: orderId,
+              order_type: effectiveOrderType,
+              warehouse_id,
+              from_warehouse_id,
+              user_id,
+            },
+            insertedItemIds[index],
+            item
+          );
+
+          const batchParts = await applyOrderItemBatches(
+            connection,
+            {
+              id: orderId,
+              order_type: effectiveOrderType,
+              warehouse_id,
+              from_warehouse_id,
+            },
+            insertedItemIds[index],
+            item,
+            newStockChangeSource,
+            newStockChangeDest
+          );
+
           if (newStockChangeSource !== 0 && newSourceWarehouse) {
-            const success = await updateStock(
-              connection,
-              productId,
-              newSourceWarehouse,
-              newStockChangeSource,
-              newMovementTypeSource,
-              "order_update_apply", // ou "order"
-              orderId,
-              newRemarksSource,
-              newRelatedWarehouseSource
-            );
-            if (!success) newStockUpdateSuccess = false;
+            for (const part of batchParts.source) {
+              const success = await updateStock(
+                connection,
+                productId,
+                newSourceWarehouse,
+                part.quantity,
+                newMovementTypeSource,
+                "order_update_apply", // ou "order"
+                orderId,
+                newRemarksSource,
+                newRelatedWarehouseSource,
+                part.batch_number
+              );
+              if (!success) newStockUpdateSuccess = false;
+            }
           }
           if (newStockChangeDest !== 0 && newDestWarehouse) {
-            const success = await updateStock(
-              connection,
-              productId,
-              newDestWarehouse,
-              newStockChangeDest,
-              newMovementTypeDest,
-              "order_update_apply", // ou "order"
-              orderId,
-              newRemarksDest,
-              newRelatedWarehouseDest
-            );
-            if (!success) newStockUpdateSuccess = false;
+            for (const part of batchParts.dest) {
+              const success = await updateStock(
+                connection,
+                productId,
+                newDestWarehouse,
+                part.quantity,
+                newMovementTypeDest,
+                "order_update_apply", // ou "order"
+                orderId,
+                newRemarksDest,
+                newRelatedWarehouseDest,
+                part.batch_number
+              );
+              if (!success) newStockUpdateSuccess = false;
+            }
           }
         }
       }
@@ -1948,8 +1944,53 @@ router.put("/:id", async (req, res) => {
           error: "Erreur critique lors de l'application du nouveau stock.",
         });
       }
+
+      const [updatedOrderRows] = await connection.query(
+        "SELECT * FROM orders WHERE id = ?",
+        [orderId]
+      );
+
+      // Vente à crédit : le nouveau reste dû doit respecter le crédit client
+      if (effectiveOrderType === "sales") {
+        const credit = await checkSaleCredit(
+          connection,
+          req,
+          updatedOrderRows[0]
+        );
+        if (!credit.ok) {
+          await connection.rollback();
+          return res.status(403).json({
+            error: credit.error,
+            code: credit.code,
+            credit_check: credit.credit_check,
+          });
+        }
+      }
+
+      // Avoir du retour de vente : nouveau montant, ou annulation si la
+      // commande n'est plus un retour
+      if (effectiveOrderType === "sales_return") {
+        await syncCreditNoteForReturn(connection, updatedOrderRows[0]);
+      } else if (originalOrderType === "sales_return") {
+        await cancelCreditNoteForReturn(connection, orderId);
+      }
     } // Fin de la mise à jour complète
 
+    // Remboursement saisi sur un retour de vente : reporté sur son avoir
+    if (
+      (isPaymentStatusOnlyUpdate || isPaymentOnlyUpdate) &&
+      originalOrderType === "sales_return"
+    ) {
+      const [returnRows] = await connection.query(
+        "SELECT * FROM orders WHERE id = ?",
+        [orderId]
+      );
+      await syncCreditNoteForReturn(connection, returnRows[0]);
+    }
+
+    await syncOrderEntry(connection, orderId);
+    await syncOrderLoyalty(connection, orderId);
+
     await connection.commit(); // Valider la transaction
 
     res.json({
@@ -1976,7 +2017,7 @@ router.put("/:id", async (req, res) => {
 // ======================================================================
 // MODIFIED: Handle stock transfers and logging
 // ======================================================================
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canDeleteOrder, async (req, res) => {
   const { id } = req.params;
   const orderId = Number(id);
 
@@ -1989,7 +2030,7 @@ router.delete("/:id", async (req, res) => {
 
     // Récupérer les informations nécessaires AVANT de supprimer : type et items
     const [orderRows] = await connection.query(
-      "SELECT order_type, is_deleted, is_deletable, invoice_number, warehouse_id, from_warehouse_id FROM orders WHERE id = ?",
+      "SELECT order_type, po_status, transfer_status, fiscal_status, is_deleted, is_deletable, invoice_number, warehouse_id, from_warehouse_id FROM orders WHERE id = ?",
       [orderId]
     );
 
@@ -2017,9 +2058,28 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
+    // Un transfert expédié ou reçu s'annule par /api/stock/transfers
+    if (
+      isTransferWorkflow(orderInfo) &&
+      !["draft", "cancelled"].includes(orderInfo.transfer_status)
+    ) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: "Seul un transfert en brouillon ou annulé peut être supprimé.",
+      });
+    }
+
+    const fiscalLock = checkFiscalLock(orderInfo);
+    if (fiscalLock) {
+      await connection.rollback();
+      return res.status(409).json({ error: fiscalLock });
+    }
+
     // Récupérer les items pour annuler l'effet sur le stock
     const [orderItems] = await connection.query(
-      "SELECT product_id, quantity FROM order_items WHERE order_id = ?",
+      `SELECT product_id, ${stockedQuantityColumn(
+        orderInfo
+      )} AS quantity FROM order_items WHERE order_id = ?`,
       [orderId]
     );
 
@@ -2116,10 +2176,23 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
+    // Rendre aux lots les quantités prélevées (ou retirer celles reçues)
+    await reverseOrderBatches(connection, orderId);
+    await reverseOrderSerials(connection, orderId);
+
+    // L'avoir d'un retour supprimé est annulé (refusé s'il a déjà servi)
+    if (orderInfo.order_type === "sales_return") {
+      await cancelCreditNoteForReturn(connection, orderId);
+    }
+    // Le crédit client imputé sur la facture retourne aux avoirs
+    await releaseInvoiceCredit(connection, orderId);
+
     // Marquer la commande comme supprimée
     await connection.query("UPDATE orders SET is_deleted = 1 WHERE id = ?", [
       orderId,
     ]);
+    await syncOrderEntry(connection, orderId); // retire l'écriture
+    await syncOrderLoyalty(connection, orderId); // et les points
 
     // Optionnel: Ajouter une trace dans stock_movements si cette table est utilisée
     // ... (logique d'insertion dans stock_movements) ...
@@ -2145,7 +2218,7 @@ router.delete("/:id", async (req, res) => {
 // ======================================================================
 // MODIFIED: Handle stock transfers and logging
 // ======================================================================
-router.post("/:id/restore", async (req, res) => {
+router.post("/:id/restore", canDeleteOrder, async (req, res) => {
   const { id } = req.params;
   const orderId = Number(id);
 
@@ -2155,7 +2228,7 @@ router.post("/:id/restore", async (req, res) => {
 
     // Vérifier si la commande existe et est marquée comme supprimée
     const [orderRows] = await connection.query(
-      "SELECT order_type, is_deleted FROM orders WHERE id = ?",
+      "SELECT order_type, po_status, transfer_status, is_deleted, invoice_number FROM orders WHERE id = ?",
       [orderId]
     );
 
@@ -2175,7 +2248,9 @@ router.post("/:id/restore", async (req, res) => {
 
     // Récupérer les items pour rétablir l'effet sur le stock
     const [orderItems] = await connection.query(
-      "SELECT product_id, quantity FROM order_items WHERE order_id = ?",
+      `SELECT product_id, ${stockedQuantityColumn(
+        orderInfo
+      )} AS quantity FROM order_items WHERE order_id = ?`,
       [orderId]
     );
 
@@ -2271,6 +2346,8 @@ router.post("/:id/restore", async (req, res) => {
     await connection.query("UPDATE orders SET is_deleted = 0 WHERE id = ?", [
       orderId,
     ]);
+    await syncOrderEntry(connection, orderId);
+    await syncOrderLoyalty(connection, orderId);
 
     await connection.commit();
 
@@ -2292,7 +2369,7 @@ router.post("/:id/restore", async (req, res) => {
 
 // ... (GET /:id/invoice - pas de changement)
 // Route pour générer et télécharger une facture PDF
-router.get("/:id/invoice", async (req, res) => {
+router.get("/:id/invoice", canViewOrder, async (req, res) => {
   try {
     const { id } = req.params;
     const { download = "true" } = req.query;
@@ -2433,9 +2510,69 @@ router.get("/:id/invoice", async (req, res) => {
   }
 });
 
+// Pré-contrôle du crédit client avant une vente (POS, formulaire de vente)
+// GET /api/orders/credit-check?company_id=&user_id=&amount=&order_id=&date=
+// amount : reste dû prévu de la vente ; order_id : vente modifiée (exclue) ;
+// can_override indique si l'utilisateur peut déroger au plafond
+router.get("/credit-check", canCheckCredit, async (req, res) => {
+  const { company_id, user_id, amount, order_id, date } = req.query;
+  if (!company_id || !user_id) {
+    return res
+      .status(400)
+      .json({ error: "company_id et user_id sont requis." });
+  }
+  try {
+    const decision = await evaluateCustomerCredit(db, {
+      companyId: company_id,
+      userId: user_id,
+      amountDue: amount,
+      excludeOrderId: order_id || null,
+      date,
+    });
+    res.json({
+      ...decision,
+      can_override: await hasPermission(req, [CREDIT_OVERRIDE_PERMISSION]),
+    });
+  } catch (err) {
+    console.error("Erreur lors du contrôle du crédit client:", err);
+    res.status(500).json({
+      error: "Erreur lors du contrôle du crédit client.",
+      details: err.message,
+    });
+  }
+});
+
+// Suggestion de lots à prélever (FEFO) pour une sortie de stock
+// GET /api/orders/batch-suggestions?product_id=1&warehouse_id=2&quantity=10
+router.get("/batch-suggestions", canPickStock, async (req, res) => {
+  const { product_id, warehouse_id, quantity } = req.query;
+  const qty = parseFloat(quantity);
+  if (!product_id || !warehouse_id || isNaN(qty) || qty <= 0) {
+    return res.status(400).json({
+      error: "product_id, warehouse_id et une quantité positive sont requis.",
+    });
+  }
+
+  try {
+    const suggestion = await suggestFefo(db, product_id, warehouse_id, qty);
+    res.json({
+      product_id: Number(product_id),
+      warehouse_id: Number(warehouse_id),
+      quantity: qty,
+      ...suggestion,
+    });
+  } catch (err) {
+    console.error("Erreur lors de la suggestion de lots (FEFO):", err);
+    res.status(500).json({
+      error: "Erreur lors de la suggestion de lots.",
+      details: err.message,
+    });
+  }
+});
+
 // ... (GET /available-for-return - pas de changement)
 // Nouvel endpoint spécifique pour récupérer les ventes disponibles pour un retour
-router.get("/available-for-return", async (req, res) => {
+router.get("/available-for-return", canCreateReturn, async (req, res) => {
   const connection = await db.getConnection();
   try {
     // Extraire les paramètres bruts
@@ -2509,10 +2646,12 @@ router.get("/available-for-return", async (req, res) => {
 });
 
 // Nouvelle route pour convertir une proforma en vente
-router.post("/:id/convert-to-sale", async (req, res) => {
+router.post("/:id/convert-to-sale", canCreateSale, async (req, res) => {
   const connection = await db.getConnection();
   const { id } = req.params;
   const proformaId = Number(id);
+  // Numéros de série des produits sérialisés, par ID de ligne de la proforma
+  const serialNumbersByItem = (req.body && req.body.serial_numbers) || {};
 
   try {
     await connection.beginTransaction();
@@ -2557,6 +2696,7 @@ router.post("/:id/convert-to-sale", async (req, res) => {
       tax_rate: proforma.tax_rate,
       tax_amount: proforma.tax_amount,
       discount: proforma.discount,
+      promotion_discount: proforma.promotion_discount || 0,
       shipping: proforma.shipping,
       subtotal: proforma.subtotal,
       total: proforma.total,
@@ -2576,8 +2716,20 @@ router.post("/:id/convert-to-sale", async (req, res) => {
       original_order_id: proformaId, // Lier à la proforma d'origine
     };
 
+    // Même devise que la proforma, au cours du jour de la vente
+    Object.assign(
+      saleData,
+      await resolveDocumentCurrency(connection, {
+        companyId: saleData.company_id,
+        currencyId: proforma.currency_id,
+        date: saleData.order_date,
+        fallbackRate: proforma.exchange_rate,
+      })
+    );
+
     // Générer un numéro de facture pour la NOUVELLE vente
     const sale_invoice_number = await generateInvoiceNumber(
+      connection,
       saleData.company_id,
       saleData.order_date,
       "sales", // Important: type 'sales'
@@ -2591,6 +2743,29 @@ router.post("/:id/convert-to-sale", async (req, res) => {
     ]);
     const saleId = saleResult.insertId;
 
+    const credit = await checkSaleCredit(connection, req, {
+      ...saleData,
+      id: saleId,
+    });
+    if (!credit.ok) {
+      await connection.rollback();
+      return res.status(403).json({
+        error: credit.error,
+        code: credit.code,
+        credit_check: credit.credit_check,
+      });
+    }
+
+    // Promotions du devis conservées sur la vente, sauf code promo épuisé
+    const promotionError = await copyOrderPromotions(connection, proforma, {
+      ...saleData,
+      id: saleId,
+    });
+    if (promotionError) {
+      await connection.rollback();
+      return res.status(409).json({ error: promotionError });
+    }
+
     // 4. Copier les items et METTRE A JOUR LE STOCK
     for (const item of proformaItems) {
       const quantity = parseFloat(item.quantity);
@@ -2616,18 +2791,56 @@ router.post("/:id/convert-to-sale", async (req, res) => {
         total_tax: item.total_tax,
         total_discount: item.total_discount,
         subtotal: item.subtotal,
+        price_list_id: item.price_list_id || null,
         // Lier l'item de vente à l'item de proforma original si nécessaire
         // original_order_item_id: item.id
       };
-      await connection.query(`INSERT INTO order_items SET ?`, [saleItem]);
+      const [itemResult] = await connection.query(
+        `INSERT INTO order_items SET ?`,
+        [saleItem]
+      );
+
+      await applyOrderItemSerials(
+        connection,
+        {
+          id: saleId,
+          order_type: "sales",
+          warehouse_id: saleData.warehouse_id,
+          user_id: saleData.user_id,
+        },
+        itemResult.insertId,
+        {
+          product_id: item.product_id,
+          quantity,
+          serial_numbers: serialNumbersByItem[item.id],
+        }
+      );
 
-      // Mettre à jour le stock (diminution car c'est une vente)
-      const [updateResult] = await connection.query(
-        "UPDATE product_details SET current_stock = current_stock - ? WHERE product_id = ?",
-        [quantity, item.product_id]
+      // Mettre à jour le stock du magasin de la vente (diminution, lots FEFO)
+      const batchParts = await applyOrderItemBatches(
+        connection,
+        {
+          id: saleId,
+          order_type: "sales",
+          warehouse_id: saleData.warehouse_id,
+        },
+        itemResult.insertId,
+        { product_id: item.product_id },
+        -quantity
       );
-      if (updateResult.affectedRows === 0) {
-        // throw new Error(`Impossible de mettre à jour le stock pour le produit ID ${item.product_id} lors de la conversion.`);
+      for (const part of batchParts.source) {
+        await updateStock(
+          connection,
+          item.product_id,
+          saleData.warehouse_id,
+          part.quantity,
+          "sales",
+          "order",
+          saleId,
+          `Order ${sale_invoice_number}`,
+          null,
+          part.batch_number
+        );
       }
     }
 
@@ -2640,17 +2853,29 @@ router.post("/:id/convert-to-sale", async (req, res) => {
        WHERE id = ?`,
       [saleId, sale_invoice_number, proformaId] // Utiliser le numéro de la vente ici
     );
+    await syncOrderEntry(connection, saleId);
+    await syncOrderLoyalty(connection, saleId);
+    // Vente convertie encore à régler : certifiée à son paiement
+    const fiscalSubmissionId = await queueFiscalSubmission(connection, saleId, {
+      awaitPayment: (parseFloat(saleData.due_amount) || 0) > 0.01,
+    });
 
     // Optionnel: Ajouter une trace dans stock_movements
     // ...
 
     await connection.commit();
 
+    const fiscal =
+      fiscalSubmissionId && (parseFloat(saleData.due_amount) || 0) > 0.01
+        ? { id: fiscalSubmissionId, status: "pending", awaiting_payment: true }
+        : await trySubmitFiscalInvoice(db, fiscalSubmissionId);
+
     res.status(200).json({
       message: "Proforma convertie en vente avec succès",
       proformaId: proformaId,
       saleId: saleId,
       invoice_number: sale_invoice_number,
+      fiscal,
     });
   } catch (err) {
     await connection.rollback();
@@ -2688,6 +2913,19 @@ function translatePaymentStatus(status) {
 }
 
 // Fonction pour traduire le statut de commande en français
+/**
+ * Quantité d'une ligne entrée en stock par la commande : quantité reçue pour
+ * un bon de commande, aucune pour un transfert en deux temps supprimable
+ * (brouillon ou annulé), sinon la quantité de la ligne.
+ * @param {Object} orderInfo - { order_type, po_status, transfer_status }
+ * @returns {string} Expression SQL sur order_items
+ */
+function stockedQuantityColumn(orderInfo) {
+  if (isPurchaseOrder(orderInfo)) return "quantity_received";
+  if (isTransferWorkflow(orderInfo)) return "0";
+  return "quantity";
+}
+
 function translateOrderStatus(status) {
   // Si le statut est déjà en français, le retourner
   if (
@@ -2727,8 +2965,174 @@ function translateOrderStatus(status) {
   }
 }
 
+/**
+ * Charge les données du ticket de caisse d'une commande : commande, lignes,
+ * client, règlements, entreprise et magasin.
+ * @param {number} orderId
+ * @returns {Promise<Object|null>} null si la commande n'existe pas
+ */
+async function loadReceiptData(orderId) {
+  // Récupérer les informations de la commande avec les informations de l'entreprise et de l'entrepôt
+  const orderQuery = `
+    SELECT 
+      o.*, 
+      c.name AS company_name, 
+      c.address AS company_address, 
+      c.phone AS company_phone, 
+      c.email AS company_email,
+      c.prefixe_inv,
+      w.id AS warehouse_id,
+      w.name AS warehouse_name, 
+      w.address AS warehouse_address, 
+      w.phone AS warehouse_phone, 
+      w.email AS warehouse_email,
+      w.logo AS warehouse_logo,
+      u.name as user_name, -- Nom du client/fournisseur
+      u.phone as user_phone,
+      u.email as user_email,
+      u.address as user_address,
+      s.name as staff_name -- Nom de l'employé (staff)
+    FROM orders o
+    LEFT JOIN companies c ON o.company_id = c.id
+    LEFT JOIN warehouses w ON o.warehouse_id = w.id
+    LEFT JOIN users u ON o.user_id = u.id -- Jointure pour client/fournisseur
+    LEFT JOIN users s ON o.staff_user_id = s.id -- Jointure pour l'employé
+    WHERE o.id = ?
+  `;
+
+  const [orderRows] = await db.query(orderQuery, [orderId]);
+
+  if (orderRows.length === 0) {
+    return null;
+  }
+
+  const order = orderRows[0];
+
+  // Traiter l'URL du logo pour s'assurer qu'elle est complète
+  if (order.warehouse_logo) {
+    // Si le chemin ne commence pas par http ou https, ajouter le préfixe
+    if (!order.warehouse_logo.startsWith("http")) {
+      // Supposer que le logo est servi depuis la racine du serveur
+      if (!order.warehouse_logo.startsWith("/")) {
+        order.warehouse_logo = "/" + order.warehouse_logo;
+      }
+      // Optionnel: Préfixer avec l'URL du backend si nécessaire
+      // order.warehouse_logo = `http://localhost:3000${order.warehouse_logo}`;
+    }
+  }
+
+  // Récupérer les articles de la commande
+  let items = [];
+  try {
+    const itemsQuery = `
+      SELECT oi.*, p.name as product_name
+      FROM order_items oi
+      LEFT JOIN products p ON oi.product_id = p.id
+      WHERE oi.order_id = ?
+    `;
+    const [itemsRows] = await db.query(itemsQuery, [orderId]);
+    items = itemsRows;
+  } catch (error) {
+    console.error("Erreur lors de la récupération des articles:", error);
+    // Continuer avec une liste vide d'articles en cas d'erreur
+  }
+
+  // Récupérer les informations de paiement (liées via order_payments et payments)
+  let payments = [];
+  try {
+    const paymentsQuery = `
+      SELECT p.*, pm.name as payment_mode_name, op.amount as amount_applied
+      FROM order_payments op
+      JOIN payments p ON op.payment_id = p.id
+      LEFT JOIN payment_modes pm ON p.payment_mode_id = pm.id
+      WHERE op.order_id = ?
+      ORDER BY p.date DESC
+    `;
+    const [paymentsRows] = await db.query(paymentsQuery, [orderId]);
+    payments = paymentsRows;
+  } catch (error) {
+    console.error("Erreur lors de la récupération des paiements:", error);
+    // Continuer avec une liste vide de paiements en cas d'erreur
+  }
+
+  // Structurer les données pour le reçu
+  return {
+    order: {
+      id: order.id,
+      invoice_number: order.invoice_number,
+      order_date: order.order_date,
+      total: order.total,
+      subtotal: order.subtotal,
+      tax_amount: order.tax_amount,
+      discount: order.discount,
+      paid_amount: order.paid_amount,
+      due_amount: order.due_amount,
+      payment_mode:
+        payments.length > 0
+          ? payments.map((p) => p.payment_mode_name).join(", ")
+          : "N/A", // Lister les modes utilisés
+      payment_status: translatePaymentStatus(order.payment_status), // Traduire
+      order_status: translateOrderStatus(order.order_status), // Traduire
+      warehouse_id: order.warehouse_id,
+      notes: order.notes,
+    },
+    items: items.map((item) => ({
+      id: item.id,
+      product_id: item.product_id,
+      quantity: parseFloat(item.quantity),
+      unit_price: parseFloat(item.unit_price),
+      // Recalculer le total item si non stocké (ou utiliser subtotal de l'item)
+      total_price: parseFloat(item.subtotal || item.quantity * item.unit_price),
+      tax_rate: parseFloat(item.tax_rate || 0),
+      product: {
+        id: item.product_id,
+        name: item.product_name || "Produit inconnu",
+      },
+    })),
+    // Utiliser les infos user_* de la jointure
+    customer: {
+      id: order.user_id,
+      name: order.user_name || "Client/Fournisseur inconnu",
+      phone: order.user_phone,
+      email: order.user_email,
+      address: order.user_address,
+    },
+    // Mapper les paiements récupérés
+    payments: payments.map((payment) => ({
+      id: payment.id,
+      amount: parseFloat(payment.amount_applied || payment.amount), // Montant appliqué à CETTE commande
+      payment_method: payment.payment_mode_name || "Inconnu",
+      payment_date: payment.date,
+      payment_number: payment.payment_number,
+      remarks: payment.notes || payment.remarks, // Utiliser notes de 'payments' ou remarks de 'order_payments'
+    })),
+    company: {
+      name: order.company_name,
+      address: order.company_address,
+      phone: order.company_phone,
+      email: order.company_email,
+      prefixe_inv: order.prefixe_inv,
+    },
+    warehouse: {
+      id: order.warehouse_id,
+      name: order.warehouse_name,
+      address: order.warehouse_address,
+      phone: order.warehouse_phone,
+      email: order.warehouse_email,
+      logo_url: order.warehouse_logo,
+    },
+    // Utiliser staff_name de la jointure
+    staff_member: order.staff_user_id
+      ? {
+          id: order.staff_user_id,
+          name: order.staff_name || "Employé inconnu",
+        }
+      : null,
+  };
+}
+
 // Route pour obtenir les données du ticket de caisse
-router.get("/:id/receipt", async (req, res) => {
+router.get("/:id/receipt", canViewOrder, async (req, res) => {
   try {
     // Vérifier que l'ID est valide
     const orderId = parseInt(req.params.id);
@@ -2736,171 +3140,79 @@ router.get("/:id/receipt", async (req, res) => {
       return res.status(400).json({ message: "ID de commande invalide" });
     }
 
-    // Récupérer les informations de la commande avec les informations de l'entreprise et de l'entrepôt
-    const orderQuery = `
-      SELECT 
-        o.*, 
-        c.name AS company_name, 
-        c.address AS company_address, 
-        c.phone AS company_phone, 
-        c.email AS company_email,
-        c.prefixe_inv,
-        w.id AS warehouse_id,
-        w.name AS warehouse_name, 
-        w.address AS warehouse_address, 
-        w.phone AS warehouse_phone, 
-        w.email AS warehouse_email,
-        w.logo AS warehouse_logo,
-        u.name as user_name, -- Nom du client/fournisseur
-        u.phone as user_phone,
-        u.email as user_email,
-        u.address as user_address,
-        s.name as staff_name -- Nom de l'employé (staff)
-      FROM orders o
-      LEFT JOIN companies c ON o.company_id = c.id
-      LEFT JOIN warehouses w ON o.warehouse_id = w.id
-      LEFT JOIN users u ON o.user_id = u.id -- Jointure pour client/fournisseur
-      LEFT JOIN users s ON o.staff_user_id = s.id -- Jointure pour l'employé
-      WHERE o.id = ?
-    `;
-
-    const [orderRows] = await db.query(orderQuery, [orderId]);
-
-    if (orderRows.length === 0) {
+    const receiptData = await loadReceiptData(orderId);
+    if (!receiptData) {
       return res.status(404).json({ message: "Commande non trouvée" });
     }
 
-    const order = orderRows[0];
-
-    // Traiter l'URL du logo pour s'assurer qu'elle est complète
-    if (order.warehouse_logo) {
-      // Si le chemin ne commence pas par http ou https, ajouter le préfixe
-      if (!order.warehouse_logo.startsWith("http")) {
-        // Supposer que le logo est servi depuis la racine du serveur
-        if (!order.warehouse_logo.startsWith("/")) {
-          order.warehouse_logo = "/" + order.warehouse_logo;
-        }
-        // Optionnel: Préfixer avec l'URL du backend si nécessaire
-        // order.warehouse_logo = `http://localhost:3000${order.warehouse_logo}`;
-      }
-    }
+    res.json(receiptData);
+  } catch (error) {
+    console.error("Erreur lors de la génération du reçu:", error);
+    res.status(500).json({
+      message: "Erreur lors de la génération du reçu",
+      error: error.message || error.stack,
+    });
+  }
+});
 
-    // Récupérer les articles de la commande
-    let items = [];
-    try {
-      const itemsQuery = `
-        SELECT oi.*, p.name as product_name
-        FROM order_items oi
-        LEFT JOIN products p ON oi.product_id = p.id
-        WHERE oi.order_id = ?
-      `;
-      const [itemsRows] = await db.query(itemsQuery, [orderId]);
-      items = itemsRows;
-    } catch (error) {
-      console.error("Erreur lors de la récupération des articles:", error);
-      // Continuer avec une liste vide d'articles en cas d'erreur
-    }
+// GET /api/orders/:id/receipt/escpos?width=58|80 - Ticket de caisse en flux
+// ESC/POS, envoyé directement à l'imprimante thermique par le terminal
+router.get("/:id/receipt/escpos", canViewOrder, async (req, res) => {
+  const orderId = parseInt(req.params.id);
+  if (isNaN(orderId)) {
+    return res.status(400).json({ message: "ID de commande invalide" });
+  }
+  const width = parseInt(req.query.width, 10) || 80;
+  if (!RECEIPT_WIDTHS[width]) {
+    return res.status(400).json({
+      message: `Largeur de ticket invalide (${Object.keys(RECEIPT_WIDTHS).join(
+        " ou "
+      )} mm).`,
+    });
+  }
 
-    // Récupérer les informations de paiement (liées via order_payments et payments)
-    let payments = [];
-    try {
-      const paymentsQuery = `
-        SELECT p.*, pm.name as payment_mode_name, op.amount as amount_applied
-        FROM order_payments op
-        JOIN payments p ON op.payment_id = p.id
-        LEFT JOIN payment_modes pm ON p.payment_mode_id = pm.id
-        WHERE op.order_id = ?
-        ORDER BY p.date DESC
-      `;
-      const [paymentsRows] = await db.query(paymentsQuery, [orderId]);
-      payments = paymentsRows;
-    } catch (error) {
-      console.error("Erreur lors de la récupération des paiements:", error);
-      // Continuer avec une liste vide de paiements en cas d'erreur
+  try {
+    const receiptData = await loadReceiptData(orderId);
+    if (!receiptData) {
+      return res.status(404).json({ message: "Commande non trouvée" });
     }
 
-    // Structurer les données pour le reçu
-    const receiptData = {
-      order: {
-        id: order.id,
-        invoice_number: order.invoice_number,
-        order_date: order.order_date,
-        total: order.total,
-        subtotal: order.subtotal,
-        tax_amount: order.tax_amount,
-        discount: order.discount,
-        paid_amount: order.paid_amount,
-        due_amount: order.due_amount,
-        payment_mode:
-          payments.length > 0
-            ? payments.map((p) => p.payment_mode_name).join(", ")
-            : "N/A", // Lister les modes utilisés
-        payment_status: translatePaymentStatus(order.payment_status), // Traduire
-        order_status: translateOrderStatus(order.order_status), // Traduire
-        warehouse_id: order.warehouse_id,
-        notes: order.notes,
-      },
-      items: items.map((item) => ({
-        id: item.id,
-        product_id: item.product_id,
-        quantity: parseFloat(item.quantity),
-        unit_price: parseFloat(item.unit_price),
-        // Recalculer le total item si non stocké (ou utiliser subtotal de l'item)
-        total_price: parseFloat(
-          item.subtotal || item.quantity * item.unit_price
-        ),
-        tax_rate: parseFloat(item.tax_rate || 0),
-        product: {
-          id: item.product_id,
-          name: item.product_name || "Produit inconnu",
-        },
-      })),
-      // Utiliser les infos user_* de la jointure
-      customer: {
-        id: order.user_id,
-        name: order.user_name || "Client/Fournisseur inconnu",
-        phone: order.user_phone,
-        email: order.user_email,
-        address: order.user_address,
-      },
-      // Mapper les paiements récupérés
-      payments: payments.map((payment) => ({
-        id: payment.id,
-        amount: parseFloat(payment.amount_applied || payment.amount), // Montant appliqué à CETTE commande
-        payment_method: payment.payment_mode_name || "Inconnu",
-        payment_date: payment.date,
-        payment_number: payment.payment_number,
-        remarks: payment.notes || payment.remarks, // Utiliser notes de 'payments' ou remarks de 'order_payments'
-      })),
-      company: {
-        name: order.company_name,
-        address: order.company_address,
-        phone: order.company_phone,
-        email: order.company_email,
-        prefixe_inv: order.prefixe_inv,
-      },
-      warehouse: {
-        id: order.warehouse_id,
-        name: order.warehouse_name,
-        address: order.warehouse_address,
-        phone: order.warehouse_phone,
-        email: order.warehouse_email,
-        logo_url: order.warehouse_logo,
-      },
-      // Utiliser staff_name de la jointure
-      staff_member: order.staff_user_id
-        ? {
-            id: order.staff_user_id,
-            name: order.staff_name || "Employé inconnu",
-          }
+    // Logo du magasin, servi depuis le dossier uploads du serveur
+    const logoUrl = receiptData.warehouse.logo_url;
+    const logo =
+      logoUrl && !logoUrl.startsWith("http")
+        ? await loadLogoRaster(
+            path.join(__dirname, "..", logoUrl.replace(/^\/+/, "")),
+            Math.floor(RECEIPT_WIDTHS[width].dots * 0.6)
+          )
+        : null;
+
+    const { invoice_number, order_date, total } = receiptData.order;
+    const buffer = buildEscposReceipt(receiptData, {
+      width,
+      logo,
+      verificationUrl: invoice_number
+        ? await getInvoiceVerificationUrl(invoice_number, null, {
+            invoice: {
+              order_date,
+              total,
+              user_id: receiptData.customer.id,
+            },
+          })
         : null,
-    };
+    });
 
-    res.json(receiptData);
+    res.setHeader("Content-Type", "application/octet-stream");
+    res.setHeader("Content-Length", buffer.length);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="ticket-${invoice_number || orderId}.bin"`
+    );
+    res.send(buffer);
   } catch (error) {
-    console.error("Erreur lors de la génération du reçu:", error);
+    console.error("Erreur lors de la génération du ticket ESC/POS:", error);
     res.status(500).json({
-      message: "Erreur lors de la génération du reçu",
+      message: "Erreur lors de la génération du ticket ESC/POS",
       error: error.message || error.stack,
     });
   }
@@ -2926,7 +3238,7 @@ function determinePaymentStatus(paidAmount, totalAmount) {
 // Route pour ajouter un paiement à une commande existante
 // Cette route est maintenant moins nécessaire si les paiements sont gérés via PUT /:id avec is_payment_only = true
 // Mais on peut la garder pour compatibilité ou usage spécifique
-router.post("/:id/payments", async (req, res) => {
+router.post("/:id/payments", canPayOrder, async (req, res) => {
   const { id } = req.params;
   const orderId = Number(id);
   // Les détails du paiement (payment_id est l'ID du paiement créé dans la table `payments`)
@@ -3022,7 +3334,7 @@ router.post("/:id/payments", async (req, res) => {
 });
 
 // Route for fetching a single order by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", canViewOrder, async (req, res) => {
   const { id } = req.params;
   const orderId = Number(id);
 
@@ -3080,6 +3392,21 @@ router.get("/:id", async (req, res) => {
     // Add payments to the order object
     order.payments = payments || [];
 
+    // Promotions appliquées (voir utils/promotions.js)
+    const [orderPromotions] = await connection.query(
+      `SELECT op.id, op.promotion_id, op.coupon_id, c.code AS coupon_code,
+              op.name, op.promotion_type, op.discount_amount, op.details
+       FROM order_promotions op
+       LEFT JOIN coupons c ON c.id = op.coupon_id
+       WHERE op.order_id = ?`,
+      [orderId]
+    );
+    order.promotions = orderPromotions.map((promotion) => ({
+      ...promotion,
+      discount_amount: parseFloat(promotion.discount_amount),
+      details: promotion.details ? JSON.parse(promotion.details) : [],
+    }));
+
     res.json(order); // Return the order with its items and payments
   } catch (err) {
     console.error(`Error fetching order ${orderId}:`, err);
@@ -3092,7 +3419,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // Route to get payments for a specific order
-router.get("/:id/payments", async (req, res) => {
+router.get("/:id/payments", canViewOrder, async (req, res) => {
   const { id } = req.params;
   const orderId = Number(id);
 
@@ -3122,7 +3449,7 @@ router.get("/:id/payments", async (req, res) => {
 });
 
 // Route to get items for a specific order
-router.get("/:id/items", async (req, res) => {
+router.get("/:id/items", canViewOrder, async (req, res) => {
   const { id } = req.params;
   const orderId = Number(id);
 
@@ -3139,6 +3466,31 @@ router.get("/:id/items", async (req, res) => {
              WHERE oi.order_id = ?`,
       [orderId]
     );
+
+    // Détail des lots de chaque ligne (une ligne peut couvrir plusieurs lots)
+    const [batches] = await connection.query(
+      `SELECT oib.order_item_id, oib.quantity, pb.batch_number, pb.expiry_date, pb.warehouse_id
+       FROM order_item_batches oib
+       JOIN product_batches pb ON oib.batch_id = pb.id
+       WHERE oib.order_id = ?
+       ORDER BY oib.id ASC`,
+      [orderId]
+    );
+    // Numéros de série enregistrés sur chaque ligne
+    const [serials] = await connection.query(
+      `SELECT sm.order_item_id, ps.serial_number
+       FROM serial_movements sm
+       JOIN product_serials ps ON sm.serial_id = ps.id
+       WHERE sm.order_id = ? AND sm.reversed = 0
+       ORDER BY sm.id ASC`,
+      [orderId]
+    );
+    items.forEach((item) => {
+      item.batches = batches.filter((b) => b.order_item_id === item.id);
+      item.serial_numbers = serials
+        .filter((s) => s.order_item_id === item.id)
+        .map((s) => s.serial_number);
+    });
     res.json(items);
   } catch (err) {
     console.error(`Error fetching items for order ${orderId}:`, err);
@@ -3151,7 +3503,7 @@ router.get("/:id/items", async (req, res) => {
 });
 
 // Route pour générer un PDF de facture à partir d'un template HTML (ANCIEN - Puppeteer)
-router.post("/generate-sale-invoice-pdf", async (req, res) => {
+router.post("/generate-sale-invoice-pdf", canViewSales, async (req, res) => {
   try {
     const { htmlContent, fileName } = req.body;
 
@@ -3243,7 +3595,7 @@ router.post("/generate-sale-invoice-pdf", async (req, res) => {
 });
 
 // Route pour générer un PDF de proforma à partir d'un template HTML
-router.post("/generate-proforma-pdf", async (req, res) => {
+router.post("/generate-proforma-pdf", canViewProforma, async (req, res) => {
   try {
     const { htmlContent, fileName } = req.body;
 
@@ -3338,7 +3690,7 @@ router.post("/generate-proforma-pdf", async (req, res) => {
 });
 
 // NEW ROUTE: Lightweight proforma PDF generation using html-pdf-node (replaces puppeteer)
-router.post("/generate-proforma-pdf-v2", async (req, res) => {
+router.post("/generate-proforma-pdf-v2", canViewProforma, async (req, res) => {
   try {
     const { orderData, fileName } = req.body;
 
@@ -3355,7 +3707,11 @@ router.post("/generate-proforma-pdf-v2", async (req, res) => {
         console.log(
           `[Proforma PDF] Generating QR code for proforma: ${orderData.invoice_number}`
         );
-        qrCodeDataUrl = await generateInvoiceQRCode(orderData.invoice_number);
+        qrCodeDataUrl = await generateInvoiceQRCode(
+          orderData.invoice_number,
+          null,
+          { orderId: orderData.id, companyId: orderData.company_id }
+        );
       } catch (qrError) {
         console.warn(
           `[Proforma PDF] QR code generation failed for ${orderData.invoice_number}:`,
@@ -3800,45 +4156,8 @@ function generateSimpleProformaHTML(orderData) {
   `;
 }
 
-// NEW ROUTE: Get a single stock adjustment by ID
-router.get("/stock-adjustments/:id", async (req, res) => {
-  const connection = await db.getConnection();
-  try {
-    const { id } = req.params;
-    const adjustmentId = parseInt(id);
-
-    if (isNaN(adjustmentId)) {
-      return res.status(400).json({ error: "Invalid adjustment ID" });
-    }
-
-    const sql = `
-      SELECT sa.*, p.name as product_name, w.name as warehouse_name, u.name as user_name
-      FROM stock_adjustments sa
-      JOIN products p ON sa.product_id = p.id
-      JOIN warehouses w ON sa.warehouse_id = w.id
-      LEFT JOIN users u ON sa.created_by = u.id
-      WHERE sa.id = ?
-    `;
-    const [rows] = await connection.query(sql, [adjustmentId]);
-
-    if (rows.length === 0) {
-      return res.status(404).json({ error: "Stock adjustment not found" });
-    }
-    // Match frontend expectation: res.data.adjustment
-    res.json({ adjustment: rows[0] });
-  } catch (err) {
-    console.error("Error fetching stock adjustment by ID:", err);
-    res.status(500).json({
-      error: "Error fetching stock adjustment details.",
-      details: err.stack,
-    });
-  } finally {
-    if (connection) connection.release();
-  }
-});
-
 // NEW ROUTE: Lightweight PDF generation using html-pdf-node (replaces react-pdf v2)
-router.post("/generate-sale-invoice-pdf-v2", async (req, res) => {
+router.post("/generate-sale-invoice-pdf-v2", canViewSales, async (req, res) => {
   try {
     const { orderData, fileName } = req.body;
 
@@ -3855,7 +4174,11 @@ router.post("/generate-sale-invoice-pdf-v2", async (req, res) => {
         console.log(
           `[Invoice PDF] Generating QR code for invoice: ${orderData.invoice_number}`
         );
-        qrCodeDataUrl = await generateInvoiceQRCode(orderData.invoice_number);
+        qrCodeDataUrl = await generateInvoiceQRCode(
+          orderData.invoice_number,
+          null,
+          { orderId: orderData.id, companyId: orderData.company_id }
+        );
       } catch (qrError) {
         console.warn(
           `[Invoice PDF] QR code generation failed for ${orderData.invoice_number}:`,
@@ -3865,6 +4188,19 @@ router.post("/generate-sale-invoice-pdf-v2", async (req, res) => {
       }
     }
 
+    // Facture normalisée : code, compteurs et QR code fiscal de la vente
+    let fiscalSection = "";
+    try {
+      fiscalSection = await buildFiscalSectionHTML(
+        await findOrderFiscalData(orderData)
+      );
+    } catch (fiscalError) {
+      console.warn(
+        `[Invoice PDF] Fiscal data unavailable for ${orderData.invoice_number}:`,
+        fiscalError.message
+      );
+    }
+
     // Try html-pdf-node first (lightest and most reliable)
     try {
       const htmlPdf = require("html-pdf-node");
@@ -3905,6 +4241,7 @@ router.post("/generate-sale-invoice-pdf-v2", async (req, res) => {
           orderData.invoice_number
         );
       }
+      htmlContent = injectFiscalSectionIntoHTML(htmlContent, fiscalSection);
 
       const file = { content: htmlContent };
 
@@ -3963,6 +4300,7 @@ router.post("/generate-sale-invoice-pdf-v2", async (req, res) => {
             orderData.invoice_number
           );
         }
+        htmlContent = injectFiscalSectionIntoHTML(htmlContent, fiscalSection);
 
         console.log("Generating PDF with html-pdf...");
 
@@ -4027,6 +4365,7 @@ router.post("/generate-sale-invoice-pdf-v2", async (req, res) => {
             orderData.invoice_number
           );
         }
+        htmlContent = injectFiscalSectionIntoHTML(htmlContent, fiscalSection);
 
         console.log("Generating PDF with puppeteer fallback...");
 
@@ -4073,7 +4412,7 @@ router.post("/generate-sale-invoice-pdf-v2", async (req, res) => {
 });
 
 // TEST ROUTE: Simple test for PDF generation capabilities
-router.get("/test-pdf-generation", async (req, res) => {
+router.get("/test-pdf-generation", canViewSales, async (req, res) => {
   try {
     console.log("Testing PDF generation capabilities...");
 
@@ -1,9 +1,17 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../config/db");
+const {
+  requireAuthenticated,
+  requirePermission,
+} = require("../middleware/auth");
+
+const canCreate = requirePermission("Admin.ModesPaiement.create");
+const canEdit = requirePermission("Admin.ModesPaiement.edit");
+const canDelete = requirePermission("Admin.ModesPaiement.delete");
 
 // Récupérer tous les modes de paiement avec pagination et filtres
-router.get("/", async (req, res) => {
+router.get("/", requireAuthenticated, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const page = parseInt(req.query.page) || 1;
@@ -73,7 +81,7 @@ router.get("/", async (req, res) => {
 });
 
 // Récupérer un mode de paiement spécifique
-router.get("/:id", async (req, res) => {
+router.get("/:id", requireAuthenticated, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const [paymentMode] = await connection.query(
@@ -98,7 +106,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // Créer un nouveau mode de paiement
-router.post("/", async (req, res) => {
+router.post("/", canCreate, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -145,7 +153,7 @@ router.post("/", async (req, res) => {
 });
 
 // Mettre à jour un mode de paiement
-router.put("/:id", async (req, res) => {
+router.put("/:id", canEdit, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -206,7 +214,7 @@ router.put("/:id", async (req, res) => {
 });
 
 // Supprimer un mode de paiement
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canDelete, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
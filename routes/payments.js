@@ -2,429 +2,97 @@ const express = require("express");
 const router = express.Router();
 const db = require("../config/db"); // Assuming db.js is in ../config/
 const dayjs = require("dayjs"); // For date formatting
-
-// --- Helper Functions ---
-
-/**
- * Generates a unique payment number.
- * Format: PAY-TYPE-WHCODE-SEQ (e.g., PAY-IN-MAG-0001)
- */
-async function generatePaymentNumber(
-  connection,
-  company_id,
-  warehouse_id,
-  payment_type
-) {
-  try {
-    const [warehouseRows] = await connection.query(
-      "SELECT name FROM warehouses WHERE id = ? AND company_id = ?",
-      [warehouse_id, company_id]
-    );
-
-    if (warehouseRows.length === 0) {
-      console.warn(
-        `Warehouse not found for id: ${warehouse_id}, company_id: ${company_id}. Using fallback code.`
-      );
-      // Fallback or throw error if warehouse is mandatory
-      // For now, let's use a generic prefix if not found
-      // throw new Error(`Magasin (ID: ${warehouse_id}) non trouvé pour l'entreprise (ID: ${company_id})`);
-    }
-    const warehousePrefix =
-      warehouseRows.length > 0
-        ? warehouseRows[0].name.substring(0, 3).toUpperCase()
-        : "DEF"; // Default prefix if warehouse name is missing
-
-    const typePrefix = payment_type === "in" ? "IN" : "OUT";
-    const pattern = `PAY-${typePrefix}-${warehousePrefix}-%`;
-
-    const [lastPaymentRows] = await connection.query(
-      `SELECT payment_number FROM payments 
-       WHERE warehouse_id = ? AND payment_type = ? AND payment_number LIKE ? 
-       ORDER BY id DESC LIMIT 1`,
-      [warehouse_id, payment_type, pattern]
-    );
-
-    let sequence = 1;
-    if (lastPaymentRows.length > 0) {
-      const lastNumber = lastPaymentRows[0].payment_number;
-      const segments = lastNumber.split("-");
-      if (segments.length === 4) {
-        const lastSequence = parseInt(segments[3], 10);
-        if (!isNaN(lastSequence)) {
-          sequence = lastSequence + 1;
-        }
-      }
-    }
-
-    const formattedSequence = String(sequence).padStart(4, "0");
-    return `PAY-${typePrefix}-${warehousePrefix}-${formattedSequence}`;
-  } catch (error) {
-    console.error("Erreur lors de la génération du numéro de paiement:", error);
-    // Fallback to a timestamp-based unique ID in case of error
-    return `PAY-ERR-${Date.now()}`;
-  }
-}
+const {
+  requirePermission,
+  requirePermissionFor,
+} = require("../middleware/auth");
+const {
+  refundCreditNote,
+  applyCustomerCredit,
+  releasePaymentRefunds,
+} = require("../utils/creditNotes");
+const { buildAccountStatement } = require("../utils/accountStatement");
+const { payableShareSql } = require("../utils/purchaseOrders");
+const { syncPaymentEntry } = require("../utils/accounting");
+const { submitOrderFiscalInvoice } = require("../utils/fiscalization");
+const {
+  LOYALTY_PAYMENT_MODE_TYPE,
+  redeemLoyaltyPoints,
+  releaseLoyaltyRedemption,
+} = require("../utils/loyalty");
+const {
+  updateOrderStatus,
+  createPaymentTransaction,
+} = require("../utils/payments");
+const InvoiceGenerator = require("../utils/pdfGenerator");
+
+// Permission module by payment type ('in' = customer, 'out' = supplier)
+const PAYMENT_PERMISSION_MODULES = {
+  in: "Ventes.PaiementsEntrants",
+  out: "Achats.PaiementsSortants",
+};
 
 /**
- * Checks for potential duplicate payments.
- * Prioritizes idempotency key, then checks for very similar payments recently created.
+ * Middleware: checks the permission for an action on a payment type.
+ * For /:id routes the type is read from the stored payment; otherwise from
+ * the body (`payment_type` or `payment.payment_type`) or the query string.
+ * Without a known type, the action on either type is enough.
  */
-async function findDuplicatePayment(
-  connection,
-  paymentData,
-  idempotencyKey = null
-) {
-  console.log(
-    `[DuplicateCheck] Initiated. Key: ${
-      idempotencyKey ? idempotencyKey : "None"
-    }. Data:`,
-    paymentData
-  );
-
-  // 1. Check by Idempotency Key (if provided)
-  if (idempotencyKey) {
-    try {
-      // Check if idempotency_key column exists
-      const [columns] = await connection.query(
-        "SHOW COLUMNS FROM payments LIKE 'idempotency_key'"
+const paymentPermission = (action) =>
+  requirePermissionFor(async (req) => {
+    let paymentType = null;
+    if (req.params.id) {
+      const [rows] = await db.query(
+        "SELECT payment_type FROM payments WHERE id = ?",
+        [req.params.id]
       );
-      if (columns.length > 0) {
-        const [existing] = await connection.query(
-          "SELECT id, payment_number FROM payments WHERE idempotency_key = ?",
-          [idempotencyKey]
-        );
-        if (existing.length > 0) {
-          console.log(
-            `[DuplicateCheck] Found payment ${existing[0].id} via idempotency key.`
-          );
-          return {
-            ...existing[0],
-            is_duplicate: true,
-            reason: "idempotency_key",
-          };
-        }
-      } else {
-        console.warn(
-          "[DuplicateCheck] 'idempotency_key' column does not exist in 'payments' table."
-        );
+      paymentType = rows.length > 0 ? rows[0].payment_type : null;
+    } else {
+      const body = req.body || {};
+      // A credit note refund is an outgoing payment to a customer
+      if (body.credit_note_id) {
+        return `${PAYMENT_PERMISSION_MODULES.in}.${action}`;
       }
-    } catch (error) {
-      console.error("[DuplicateCheck] Error checking idempotency key:", error);
-      // Continue to similarity check even if idempotency check fails
+      paymentType =
+        body.payment_type ||
+        (body.payment && body.payment.payment_type) ||
+        req.query.payment_type;
     }
-  } else {
-    console.log("[DuplicateCheck] No idempotency key provided.");
-  }
-
-  // 2. Check by Similarity (if no key match or no key provided)
-  if (
-    !paymentData ||
-    !paymentData.warehouse_id ||
-    !paymentData.amount ||
-    !paymentData.payment_mode_id ||
-    !paymentData.user_id ||
-    !paymentData.payment_type
-  ) {
-    console.log("[DuplicateCheck] Insufficient data for similarity check.");
-    return null;
-  }
-
-  try {
-    const sql = `
-      SELECT id, payment_number FROM payments
-      WHERE company_id = ?        
-      AND warehouse_id = ?
-      AND payment_type = ?
-      AND user_id = ?
-      AND payment_mode_id = ?
-      AND ABS(amount - ?) < 0.01 -- Check amount with a small tolerance
-      AND date = ? 
-      AND created_at >= DATE_SUB(NOW(), INTERVAL 30 SECOND) -- Check within the last 30 seconds
-      ORDER BY id DESC 
-      LIMIT 1
-    `;
-    const params = [
-      paymentData.company_id,
-      paymentData.warehouse_id,
-      paymentData.payment_type,
-      paymentData.user_id,
-      paymentData.payment_mode_id,
-      paymentData.amount,
-      paymentData.date, // Check for the exact same date
-    ];
-
-    console.log(
-      "[DuplicateCheck] Similarity check SQL:",
-      sql.replace(/\s+/g, " ")
-    );
-    console.log("[DuplicateCheck] Similarity check Params:", params);
-
-    const [similar] = await connection.query(sql, params);
 
-    if (similar.length > 0) {
-      console.log(
-        `[DuplicateCheck] Found potentially similar payment ${similar[0].id} created recently.`
+    if (!paymentType) {
+      return Object.values(PAYMENT_PERMISSION_MODULES).map(
+        (permissionModule) => `${permissionModule}.${action}`
       );
-      return { ...similar[0], is_duplicate: true, reason: "similarity" };
     }
-  } catch (error) {
-    console.error(
-      "[DuplicateCheck] Error checking for similar payments:",
-      error
-    );
-  }
+    const permissionModule = PAYMENT_PERMISSION_MODULES[paymentType];
+    return permissionModule ? `${permissionModule}.${action}` : [];
+  });
+
+const canViewPayment = paymentPermission("view");
+const canCreatePayment = paymentPermission("create");
+const canDeletePayment = paymentPermission("delete");
+const canPayOut = requirePermission(
+  "Achats.PaiementsSortants.view",
+  "Achats.PaiementsSortants.create"
+);
+const canPayIn = requirePermission(
+  "Ventes.PaiementsEntrants.view",
+  "Ventes.PaiementsEntrants.create"
+);
 
-  console.log("[DuplicateCheck] No duplicate found.");
-  return null;
-}
-
-/**
- * Checks if an order_payment link already exists.
- */
-async function checkExistingOrderPayment(connection, orderId, paymentId) {
-  if (!orderId || !paymentId) return false;
-  try {
-    const [existing] = await connection.query(
-      "SELECT id FROM order_payments WHERE order_id = ? AND payment_id = ?",
-      [orderId, paymentId]
-    );
-    return existing.length > 0;
-  } catch (error) {
-    console.error(
-      `Error checking existing order_payment for order ${orderId}, payment ${paymentId}:`,
-      error
-    );
-    return false; // Assume not exists on error to allow proceeding, but log it
-  }
-}
-
-/**
- * Updates the paid_amount, due_amount, and payment_status of an order.
- */
-async function updateOrderStatus(connection, orderId) {
-  try {
-    console.log(`[UpdateOrderStatus] Updating order ${orderId}...`);
-
-    // Get the order total
-    const [orderRows] = await connection.query(
-      "SELECT id, total, is_deleted FROM orders WHERE id = ?",
-      [orderId]
-    );
-    if (orderRows.length === 0 || orderRows[0].is_deleted) {
-      console.warn(
-        `[UpdateOrderStatus] Order ${orderId} not found or is deleted. Skipping update.`
-      );
-      return;
-    }
-    const orderTotal = parseFloat(orderRows[0].total);
-
-    // Calculate the sum of payments for this order from order_payments
-    const [paymentSumRows] = await connection.query(
-      "SELECT SUM(amount) as total_paid FROM order_payments WHERE order_id = ?",
-      [orderId]
-    );
-    const totalPaid = parseFloat(paymentSumRows[0].total_paid || 0);
-
-    const dueAmount = orderTotal - totalPaid;
-
-    // Determine new payment status
-    let newPaymentStatus;
-    if (totalPaid <= 0) {
-      newPaymentStatus = "Non payé";
-    } else if (dueAmount <= 0.01) {
-      // Use a small tolerance for floating point comparison
-      newPaymentStatus = "Payé";
-    } else {
-      newPaymentStatus = "Partiellement payé";
-    }
-
-    // Ensure is_deletable is set to 0 if it's paid or partially paid
-    const isDeletable = newPaymentStatus === "Non payé" ? 1 : 0;
-
-    console.log(
-      `[UpdateOrderStatus] Order ${orderId}: Total=${orderTotal}, Paid=${totalPaid}, Due=${dueAmount}, Status=${newPaymentStatus}, Deletable=${isDeletable}`
-    );
-
-    // Update the order
-    const [updateResult] = await connection.query(
-      `UPDATE orders SET 
-                paid_amount = ?, 
-                due_amount = ?, 
-                payment_status = ?,
-                is_deletable = ?
-             WHERE id = ?`,
-      [totalPaid, dueAmount, newPaymentStatus, isDeletable, orderId]
-    );
-
-    console.log(
-      `[UpdateOrderStatus] Order ${orderId} update result:`,
-      updateResult.info
-    );
-  } catch (error) {
-    console.error(
-      `[UpdateOrderStatus] Error updating order ${orderId}:`,
-      error
-    );
-    throw error; // Re-throw to allow transaction rollback
-  }
-}
-
-// --- Core Payment Creation Transaction ---
-
-/**
- * Creates a payment, links it to orders, and updates order statuses within a transaction.
- * @param {object} connection - The database connection object.
- * @param {object} paymentData - Data for the 'payments' table.
- * @param {array} orderLinks - Array of objects { order_id, amount } to link in 'order_payments'.
- * @param {string|null} idempotencyKey - Idempotency key from request.
- * @returns {object} { payment_id, payment_number, is_duplicate, reason }
- */
-async function createPaymentTransaction(
-  connection,
-  paymentData,
-  orderLinks = [],
-  idempotencyKey = null
-) {
-  // 1. Check for Duplicates
-  const duplicate = await findDuplicatePayment(
-    connection,
-    paymentData,
-    idempotencyKey
-  );
-  if (duplicate) {
-    return {
-      payment_id: duplicate.id,
-      payment_number: duplicate.payment_number,
-      is_duplicate: true,
-      reason: duplicate.reason,
-    };
-  }
-
-  // 2. Generate Payment Number
-  const payment_number = await generatePaymentNumber(
-    connection,
-    paymentData.company_id,
-    paymentData.warehouse_id,
-    paymentData.payment_type
-  );
-  console.log(`[Transaction] Generated payment number: ${payment_number}`);
-
-  // 3. Insert into 'payments' table
-  let paymentInsertQuery;
-  let paymentInsertParams;
-  const hasIdempotencyKeyColumn =
-    idempotencyKey &&
-    (
-      await connection.query(
-        "SHOW COLUMNS FROM payments LIKE 'idempotency_key'"
-      )
-    )[0].length > 0;
-
-  if (hasIdempotencyKeyColumn) {
-    paymentInsertQuery = `INSERT INTO payments (payment_number, company_id, warehouse_id, payment_type, date, amount, payment_mode_id, user_id, notes, staff_user_id, idempotency_key, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`;
-    paymentInsertParams = [
-      payment_number,
-      paymentData.company_id,
-      paymentData.warehouse_id,
-      paymentData.payment_type,
-      paymentData.date,
-      paymentData.amount,
-      paymentData.payment_mode_id,
-      paymentData.user_id,
-      paymentData.notes,
-      paymentData.staff_user_id || null,
-      idempotencyKey,
-    ];
-  } else {
-    if (idempotencyKey)
-      console.warn(
-        "[Transaction] Idempotency key provided, but 'idempotency_key' column not found in 'payments'."
-      );
-    paymentInsertQuery = `INSERT INTO payments (payment_number, company_id, warehouse_id, payment_type, date, amount, payment_mode_id, user_id, notes, staff_user_id, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`;
-    paymentInsertParams = [
-      payment_number,
-      paymentData.company_id,
-      paymentData.warehouse_id,
-      paymentData.payment_type,
-      paymentData.date,
-      paymentData.amount,
-      paymentData.payment_mode_id,
-      paymentData.user_id,
-      paymentData.notes,
-      paymentData.staff_user_id || null,
-    ];
-  }
+// --- Routes ---
 
-  console.log(`[Transaction] Inserting payment...`);
-  const [paymentResult] = await connection.query(
-    paymentInsertQuery,
-    paymentInsertParams
+// Payment mode paying with the customer's loyalty points
+async function isLoyaltyPaymentMode(connection, paymentModeId) {
+  const [rows] = await connection.query(
+    "SELECT mode_type FROM payment_modes WHERE id = ?",
+    [paymentModeId]
   );
-  const paymentId = paymentResult.insertId;
-  console.log(`[Transaction] Payment inserted with ID: ${paymentId}`);
-
-  // 4. Insert into 'order_payments' and Update 'orders' for each link
-  const linkedOrderIds = new Set(); // Keep track of orders to update
-  if (orderLinks && orderLinks.length > 0) {
-    for (const link of orderLinks) {
-      if (!link.order_id || link.amount === undefined || link.amount === null) {
-        console.warn(`[Transaction] Skipping invalid order link:`, link);
-        continue;
-      }
-
-      // Avoid duplicate links in the same transaction
-      const alreadyLinked = await checkExistingOrderPayment(
-        connection,
-        link.order_id,
-        paymentId
-      );
-      if (alreadyLinked) {
-        console.warn(
-          `[Transaction] Order ${link.order_id} already linked to payment ${paymentId}. Skipping.`
-        );
-        continue;
-      }
-
-      console.log(
-        `[Transaction] Linking Payment ${paymentId} to Order ${link.order_id} with amount ${link.amount}`
-      );
-      await connection.query(
-        `INSERT INTO order_payments (order_id, payment_id, amount, payment_date, remarks, created_at, updated_at) 
-                 VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
-        [
-          link.order_id,
-          paymentId,
-          link.amount,
-          paymentData.date,
-          paymentData.notes || "",
-        ]
-      );
-      linkedOrderIds.add(link.order_id);
-    }
-  } else {
-    console.log(
-      `[Transaction] No specific order links provided for payment ${paymentId}.`
-    );
-    // Note: If no orders are linked, the payment amount might become 'unused_amount'
-    // We might need logic here later to update payments.unused_amount if necessary
-  }
-
-  // 5. Update status for all affected orders
-  for (const orderId of linkedOrderIds) {
-    await updateOrderStatus(connection, orderId);
-  }
-
-  return {
-    payment_id: paymentId,
-    payment_number: payment_number,
-    is_duplicate: false,
-  };
+  return rows.length > 0 && rows[0].mode_type === LOYALTY_PAYMENT_MODE_TYPE;
 }
 
-// --- Routes ---
-
 // POST /api/payments - Create a payment linked to multiple orders
-router.post("/", async (req, res) => {
+router.post("/", canCreatePayment, async (req, res) => {
   const {
     company_id,
     warehouse_id,
@@ -436,6 +104,7 @@ router.post("/", async (req, res) => {
     notes,
     staff_user_id, // Logged in user
     orders, // Array of { order_id, amount }
+    credit_note_id, // Cash refund of a credit note (payment_type 'out')
   } = req.body;
 
   const idempotencyKey =
@@ -458,6 +127,14 @@ router.post("/", async (req, res) => {
 
   const connection = await db.getConnection();
   try {
+    // Loyalty points pay a single sale (see /process-order-payment)
+    if (await isLoyaltyPaymentMode(connection, payment_mode_id)) {
+      return res.status(400).json({
+        error:
+          "Le paiement en points de fidélité se fait facture par facture (POST /api/payments/process-order-payment).",
+      });
+    }
+
     await connection.beginTransaction();
     console.log(
       `[POST /] Transaction started. Idempotency Key: ${idempotencyKey}`
@@ -473,12 +150,45 @@ router.post("/", async (req, res) => {
       user_id,
       notes,
       staff_user_id,
+      currency_id: req.body.currency_id,
+      exchange_rate: req.body.exchange_rate,
+      pos_session_id: req.body.pos_session_id,
     };
 
+    // Credit note refund: checked against the credit note, linked by default
+    // to the sales return it comes from
+    let orderLinks = orders;
+    if (credit_note_id) {
+      const [creditNoteRows] = await connection.query(
+        "SELECT * FROM credit_notes WHERE id = ?",
+        [credit_note_id]
+      );
+      if (
+        creditNoteRows.length === 0 ||
+        payment_type !== "out" ||
+        Number(creditNoteRows[0].user_id) !== Number(user_id) ||
+        !(paymentData.amount > 0)
+      ) {
+        await connection.rollback();
+        return res.status(400).json({
+          error:
+            "Remboursement d'avoir invalide : avoir inconnu, client différent, montant nul ou type de paiement autre que 'out'.",
+        });
+      }
+      if (!orderLinks || orderLinks.length === 0) {
+        orderLinks = [
+          {
+            order_id: creditNoteRows[0].return_order_id,
+            amount: paymentData.amount,
+          },
+        ];
+      }
+    }
+
     const result = await createPaymentTransaction(
       connection,
       paymentData,
-      orders,
+      orderLinks,
       idempotencyKey
     );
 
@@ -511,6 +221,15 @@ router.post("/", async (req, res) => {
       });
     }
 
+    if (credit_note_id) {
+      await refundCreditNote(
+        connection,
+        credit_note_id,
+        result.payment_id,
+        paymentData.amount
+      );
+    }
+
     console.log(
       `[POST /] Payment ${result.payment_id} created. Committing transaction.`
     );
@@ -548,7 +267,9 @@ router.post("/", async (req, res) => {
 });
 
 // POST /api/payments/process-order-payment - Create payment for a single order
-router.post("/process-order-payment", async (req, res) => {
+// Optional payment.credit_amount applies the customer's credit notes (avoirs)
+// to the order before the cash payment; amount may then be 0.
+router.post("/process-order-payment", canCreatePayment, async (req, res) => {
   const { payment, order } = req.body; // Expecting { payment: {...}, order: { id: ... } } structure
   const idempotencyKey = req.headers["x-idempotency-key"];
 
@@ -591,8 +312,86 @@ router.post("/process-order-payment", async (req, res) => {
       user_id: payment.user_id, // Customer/Supplier ID linked to the order
       notes: payment.notes,
       staff_user_id: payment.staff_user_id || null, // Logged in user (optional)
+      currency_id: payment.currency_id,
+      exchange_rate: payment.exchange_rate,
+      pos_session_id: payment.pos_session_id,
     };
 
+    // Customer credit (credit notes) applied first
+    const creditAmount = parseFloat(payment.credit_amount) || 0;
+    let creditAllocations = [];
+    if (creditAmount > 0) {
+      const [orderRows] = await connection.query(
+        "SELECT id, company_id, user_id, order_type, due_amount FROM orders WHERE id = ? AND is_deleted = 0 FOR UPDATE",
+        [order.id]
+      );
+      if (
+        orderRows.length === 0 ||
+        orderRows[0].order_type !== "sales" ||
+        payment.payment_type !== "in"
+      ) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          error: "Le crédit client ne peut être imputé que sur une vente.",
+        });
+      }
+      // Credit notes belong to the invoiced customer only
+      if (
+        Number(orderRows[0].user_id) !== Number(payment.user_id) ||
+        Number(orderRows[0].company_id) !== Number(payment.company_id)
+      ) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          error:
+            "Le crédit client ne peut être imputé que sur une facture du même client.",
+        });
+      }
+      if (creditAmount > parseFloat(orderRows[0].due_amount || 0) + 0.01) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          error: "Le crédit imputé dépasse le montant dû de la facture.",
+        });
+      }
+      const credit = await applyCustomerCredit(connection, {
+        companyId: payment.company_id,
+        userId: payment.user_id,
+        orderId: order.id,
+        amount: creditAmount,
+        date: paymentData.date,
+      });
+      if (credit.error) {
+        await connection.rollback();
+        return res.status(400).json({ success: false, error: credit.error });
+      }
+      creditAllocations = credit.allocations;
+      await updateOrderStatus(connection, order.id);
+
+      // Credit only: no cash payment to record
+      if (!(paymentData.amount > 0)) {
+        await connection.commit();
+        // Sale awaiting its payment for certification (see utils/fiscalization.js)
+        const fiscal = await submitOrderFiscalInvoice(db, order.id);
+        const [updatedOrder] = await connection.query(
+          "SELECT id, invoice_number, total, paid_amount, due_amount, payment_status FROM orders WHERE id = ?",
+          [order.id]
+        );
+        return res.status(201).json({
+          success: true,
+          message: "Crédit client imputé sur la commande",
+          is_duplicate: false,
+          payment_id: null,
+          payment_number: null,
+          payment: null,
+          credit_allocations: creditAllocations,
+          order: updatedOrder.length > 0 ? updatedOrder[0] : null,
+          fiscal,
+        });
+      }
+    }
+
     // Link to the single order provided
     const orderLinks = [
       {
@@ -638,11 +437,36 @@ router.post("/process-order-payment", async (req, res) => {
       });
     }
 
+    // Loyalty points: debited once the payment is recorded, or the whole
+    // payment is cancelled (inactive program, limit exceeded, low balance)
+    let loyalty = null;
+    if (await isLoyaltyPaymentMode(connection, paymentData.payment_mode_id)) {
+      loyalty =
+        payment.payment_type === "in"
+          ? await redeemLoyaltyPoints(connection, {
+              companyId: payment.company_id,
+              userId: payment.user_id,
+              orderId: order.id,
+              paymentId: result.payment_id,
+              paymentNumber: result.payment_number,
+              amount: paymentData.amount,
+              createdBy: paymentData.staff_user_id,
+            })
+          : { error: "Les points de fidélité ne paient que des ventes." };
+      if (loyalty.error) {
+        await connection.rollback();
+        return res.status(400).json({ success: false, error: loyalty.error });
+      }
+    }
+
     console.log(
       `[POST /process-order-payment] Payment ${result.payment_id} created. Committing transaction.`
     );
     await connection.commit();
 
+    // Sale awaiting its payment for certification (see utils/fiscalization.js)
+    const fiscal = await submitOrderFiscalInvoice(db, order.id);
+
     // Fetch the created payment and updated order details to return
     const [createdPayment] = await connection.query(
       "SELECT * FROM payments WHERE id = ?",
@@ -660,7 +484,10 @@ router.post("/process-order-payment", async (req, res) => {
       payment_id: result.payment_id,
       payment_number: result.payment_number,
       payment: createdPayment.length > 0 ? createdPayment[0] : null,
+      credit_allocations: creditAllocations,
+      loyalty,
       order: updatedOrder.length > 0 ? updatedOrder[0] : null,
+      fiscal,
     });
   } catch (error) {
     console.error(
@@ -680,7 +507,7 @@ router.post("/process-order-payment", async (req, res) => {
 });
 
 // GET /api/payments - List payments with filters
-router.get("/", async (req, res) => {
+router.get("/", canViewPayment, async (req, res) => {
   try {
     const {
       payment_type, // 'in' or 'out'
@@ -845,7 +672,7 @@ router.get("/", async (req, res) => {
 });
 
 // GET /api/payments/totals - Get aggregated totals (Example - adapt filters as needed)
-router.get("/totals", async (req, res) => {
+router.get("/totals", canViewPayment, async (req, res) => {
   try {
     const {
       company_id,
@@ -946,7 +773,7 @@ router.get("/totals", async (req, res) => {
 });
 
 // GET /api/payments/:id - Get payment details by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", canViewPayment, async (req, res) => {
   try {
     const { id } = req.params;
     const paymentId = parseInt(id, 10);
@@ -1013,7 +840,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // DELETE /api/payments/:id - Delete a payment
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canDeletePayment, async (req, res) => {
   const { id } = req.params;
   const paymentId = parseInt(id, 10);
 
@@ -1034,6 +861,11 @@ router.delete("/:id", async (req, res) => {
 
     const affectedOrderIds = orderLinks.map((link) => link.order_id);
 
+    // Give back the credit note balance refunded by this payment, if any,
+    // and the loyalty points it used
+    await releasePaymentRefunds(connection, paymentId);
+    await releaseLoyaltyRedemption(connection, paymentId);
+
     // 2. Delete links from order_payments
     console.log(
       `[DELETE /:id] Deleting order_payments for payment ${paymentId}.`
@@ -1060,6 +892,7 @@ router.delete("/:id", async (req, res) => {
       return res.status(404).json({ error: "Paiement non trouvé." });
     }
     console.log(`[DELETE /:id] Payment ${paymentId} deleted.`);
+    await syncPaymentEntry(connection, paymentId); // removes its journal entry
 
     // 4. Update the status of affected orders
     console.log(
@@ -1090,6 +923,8 @@ router.delete("/:id", async (req, res) => {
 });
 
 // GET /api/payments/unpaid-orders/supplier/:supplier_id - Get unpaid purchase orders
+// (a purchase order only owes its received share, see payableShareSql)
+router.use("/unpaid-orders/supplier", canPayOut);
 router.get("/unpaid-orders/supplier/:supplier_id", async (req, res) => {
   try {
     const { supplier_id } = req.params;
@@ -1103,7 +938,9 @@ router.get("/unpaid-orders/supplier/:supplier_id", async (req, res) => {
     let sql = `
             SELECT 
                 o.id, o.invoice_number, o.order_date, o.total, 
-                o.paid_amount, o.due_amount, o.payment_status,
+                o.paid_amount,
+                o.total * ${payableShareSql()} - o.paid_amount AS due_amount,
+                o.payment_status,
                 u.name as supplier_name 
             FROM orders o
             LEFT JOIN users u ON o.user_id = u.id
@@ -1119,7 +956,7 @@ router.get("/unpaid-orders/supplier/:supplier_id", async (req, res) => {
       queryParams.push(parseInt(warehouse_id, 10));
     }
 
-    sql += " ORDER BY o.order_date DESC, o.id DESC";
+    sql += " HAVING due_amount > 0.01 ORDER BY o.order_date DESC, o.id DESC";
 
     console.log("[GET /unpaid-orders/supplier] SQL:", sql.replace(/\s+/g, " "));
     console.log("[GET /unpaid-orders/supplier] Params:", queryParams);
@@ -1136,6 +973,7 @@ router.get("/unpaid-orders/supplier/:supplier_id", async (req, res) => {
 });
 
 // GET /api/payments/unpaid-orders/customer/:customer_id - Get unpaid sales orders
+router.use("/unpaid-orders/customer", canPayIn);
 router.get("/unpaid-orders/customer/:customer_id", async (req, res) => {
   try {
     const { customer_id } = req.params;
@@ -1154,7 +992,7 @@ router.get("/unpaid-orders/customer/:customer_id", async (req, res) => {
             FROM orders o
             LEFT JOIN users u ON o.user_id = u.id
             WHERE o.user_id = ?
-            AND o.order_type = 'sale' 
+            AND o.order_type = 'sales' 
             AND o.payment_status IN ('Non payé', 'Partiellement payé')
             AND o.is_deleted = 0
         `;
@@ -1180,4 +1018,120 @@ router.get("/unpaid-orders/customer/:customer_id", async (req, res) => {
   }
 });
 
+/**
+ * Reads the statement query (from/to/company_id/warehouse_id) and builds the
+ * statement of a customer or supplier. Sends the error response itself and
+ * returns null when the request is invalid or the party does not exist.
+ */
+async function loadStatement(req, res, partyType) {
+  const userId = parseInt(req.params.id, 10);
+  const { from, to, company_id, warehouse_id } = req.query;
+  const endDate = to ? dayjs(to) : dayjs();
+  const startDate = from ? dayjs(from) : endDate.startOf("year");
+  if (isNaN(userId) || !startDate.isValid() || !endDate.isValid()) {
+    res.status(400).json({ error: "Paramètres du relevé invalides." });
+    return null;
+  }
+  if (startDate.isAfter(endDate)) {
+    res.status(400).json({
+      error: "La date de début doit précéder la date de fin.",
+    });
+    return null;
+  }
+
+  const statement = await buildAccountStatement(db, {
+    partyType,
+    userId,
+    companyId: company_id ? parseInt(company_id, 10) : null,
+    warehouseId: warehouse_id ? parseInt(warehouse_id, 10) : null,
+    startDate: startDate.format("YYYY-MM-DD"),
+    endDate: endDate.format("YYYY-MM-DD"),
+  });
+  if (!statement) {
+    res.status(404).json({
+      error:
+        partyType === "supplier"
+          ? "Fournisseur non trouvé."
+          : "Client non trouvé.",
+    });
+    return null;
+  }
+  return statement;
+}
+
+/** JSON and PDF statement routes for one party type. */
+function statementRoutes(partyType) {
+  const label = `[GET /statement/${partyType}]`;
+
+  router.get(`/statement/${partyType}/:id`, async (req, res) => {
+    try {
+      const statement = await loadStatement(req, res, partyType);
+      if (statement) res.json(statement);
+    } catch (error) {
+      console.error(`${label} Error:`, error);
+      res.status(500).json({
+        error: "Erreur serveur lors de la génération du relevé de compte.",
+        details: error.message,
+      });
+    }
+  });
+
+  router.get(`/statement/${partyType}/:id/pdf`, async (req, res) => {
+    const { download = "true" } = req.query;
+    try {
+      const statement = await loadStatement(req, res, partyType);
+      if (!statement) return;
+
+      const { company_id, warehouse_id } = req.query;
+      const [companyRows] = await db.query(
+        "SELECT name, address, phone, email FROM companies WHERE id = ?",
+        [company_id || null]
+      );
+      const [warehouseRows] = warehouse_id
+        ? await db.query(
+            "SELECT name, address, phone, email, logo FROM warehouses WHERE id = ?",
+            [warehouse_id]
+          )
+        : [[]];
+
+      const invoiceGenerator = new InvoiceGenerator();
+      const pdfBuffer = await invoiceGenerator.generateStatement({
+        statement,
+        company: companyRows[0] || null,
+        warehouse: warehouseRows[0] || null,
+      });
+
+      const fileName = `releve_${statement.party.name.replace(
+        /[^a-zA-Z0-9]/g,
+        "_"
+      )}_${statement.period.start_date}_${statement.period.end_date}.pdf`;
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Length", pdfBuffer.length);
+      res.setHeader(
+        "Content-Disposition",
+        `${
+          download === "true" ? "attachment" : "inline"
+        }; filename="${fileName}"`
+      );
+      res.send(pdfBuffer);
+    } catch (error) {
+      console.error(`${label} PDF Error:`, error);
+      res.status(500).json({
+        error: "Erreur serveur lors de la génération du PDF du relevé.",
+        details: error.message,
+      });
+    }
+  });
+}
+
+// GET /api/payments/statement/customer/:id?from=&to=&company_id=&warehouse_id=
+// Customer statement: opening balance, invoices, returns and payments with a
+// running balance, plus the aged summary of unpaid invoices (add /pdf for PDF)
+router.use("/statement/customer", canPayIn);
+statementRoutes("customer");
+
+// GET /api/payments/statement/supplier/:id - Same for a supplier
+router.use("/statement/supplier", canPayOut);
+statementRoutes("supplier");
+
 module.exports = router;
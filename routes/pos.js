@@ -1,70 +1,201 @@
+// routes/pos.js
+// Caisse (POS) : recherche d'articles par nom ou code, et lecture du
+// code-barres (products.item_code), avec le prix et le stock du magasin de la
+// caisse (prix de la liste du client si customer_id est transmis, voir
+// utils/priceLists.js), sessions de caisse (/sessions, voir routes/posSessions.js) et
+// synchronisation des ventes hors ligne (/sync, voir routes/posSync.js). Le
+// reste du parcours de vente utilise l'API des commandes, avec pos_session_id
+// pour rattacher la vente et son règlement à la session ouverte :
+// - vente et remise : POST /api/orders (order_type = sales) ;
+// - règlement : POST /api/payments/process-order-payment ;
+// - ticket de caisse : GET /api/orders/:id/receipt (données) ou
+//   GET /api/orders/:id/receipt/escpos?width=58|80 (imprimante thermique).
 const express = require("express");
 const router = express.Router();
 const db = require("../config/db");
+const {
+  requirePermission,
+  hasPermission,
+  resolvePermissionKey,
+} = require("../middleware/auth");
+const {
+  getApplicablePriceList,
+  getPriceListRules,
+  resolveProductPrice,
+  getQuantityBreaks,
+} = require("../utils/priceLists");
+const posSessionsRoutes = require("./posSessions");
+const posSyncRoutes = require("./posSync");
 
-//rechercher des produits par nom, code article, ou code-barres
-router.get("/produits/recherche", async (req, res) => {
-  const { query } = req.query;
-  try {
-    const [produits] = await db.query(
-      `SELECT * FROM produits WHERE nom_produit LIKE ? OR code_article LIKE ? OR code_barres LIKE ?`,
-      [`%${query}%`, `%${query}%`, `%${query}%`]
-    );
-    res.json(produits);
-  } catch (err) {
-    res
-      .status(500)
-      .json({ error: "Erreur lors de la recherche des produits." });
+const canUsePos = requirePermission("POS.use");
+
+// Choix d'une autre liste de prix que celle du client (responsable), comme
+// pour les ventes en ligne
+const PRICE_LIST_OVERRIDE_PERMISSION = resolvePermissionKey(
+  "Ventes.Ventes.approve"
+);
+
+// Colonnes d'un article vendu en caisse, prix et stock du magasin
+const POS_PRODUCT_SELECT = `
+  SELECT p.id, p.name, p.item_code, p.barcode_symbology, p.image,
+         p.category_id, c.name AS category_name, p.unit_id,
+         u.short_name AS unit_short_name, p.is_serialized,
+         COALESCE(pd.sales_price, 0) AS sales_price,
+         COALESCE(pd.current_stock, 0) AS current_stock,
+         pd.tax_id, COALESCE(t.rate, 0) AS tax_rate
+  FROM products p
+  LEFT JOIN product_details pd ON pd.product_id = p.id AND pd.warehouse_id = ?
+  LEFT JOIN categories c ON p.category_id = c.id
+  LEFT JOIN units u ON p.unit_id = u.id
+  LEFT JOIN taxes t ON pd.tax_id = t.id`;
+
+const POS_PRODUCT_CONDITIONS = [
+  "p.company_id = ?",
+  "p.is_deleted = 0",
+  "(p.product_type IS NULL OR p.product_type <> 'production')",
+];
+
+function formatPosProduct(product) {
+  return {
+    ...product,
+    sales_price: parseFloat(product.sales_price),
+    current_stock: parseFloat(product.current_stock),
+    tax_rate: parseFloat(product.tax_rate),
+  };
+}
+
+/**
+ * Prix des articles pour le client de la vente : prix de sa liste de prix
+ * pour la quantité demandée, paliers de quantité de la liste, et prix de
+ * vente de base (base_sales_price). price_list_id n'est retenu qu'avec le
+ * droit de dérogation, sinon la liste du client s'applique.
+ * @param {Array} products - Articles formatés par formatPosProduct
+ * @param {Object} req - Requête ; req.query = { company_id, customer_id,
+ *   price_list_id, quantity }
+ * @returns {Promise<Array>}
+ */
+async function applyCustomerPrices(products, req) {
+  const query = req.query;
+  const priceListId =
+    query.price_list_id &&
+    (await hasPermission(req, [PRICE_LIST_OVERRIDE_PERMISSION]))
+      ? query.price_list_id
+      : null;
+  const priceList =
+    query.customer_id || priceListId
+      ? await getApplicablePriceList(db, {
+          companyId: query.company_id,
+          customerId: query.customer_id,
+          priceListId,
+          date: new Date(),
+        })
+      : null;
+  const rules =
+    priceList && products.length > 0
+      ? await getPriceListRules(
+          db,
+          priceList.id,
+          products.map((product) => product.id),
+          new Date()
+        )
+      : [];
+  const quantity = parseFloat(query.quantity) || 1;
+  return products.map((product) => {
+    const resolved = resolveProductPrice(rules, product, quantity);
+    return {
+      ...product,
+      sales_price: resolved.price,
+      base_sales_price: product.sales_price,
+      price_list_id: resolved.price_list_item_id ? priceList.id : null,
+      price_list_name: resolved.price_list_item_id ? priceList.name : null,
+      quantity_breaks: priceList ? getQuantityBreaks(rules, product) : [],
+    };
+  });
+}
+
+// GET /api/pos/products?company_id=&warehouse_id=&search=&category_id=
+//   &customer_id=&price_list_id= (price_list_id : droit Ventes.Ventes.approve)
+// Recherche par nom ou code article ; les articles en stock d'abord
+router.get("/products", canUsePos, async (req, res) => {
+  const { company_id, warehouse_id, search, category_id } = req.query;
+  if (!company_id || !warehouse_id) {
+    return res
+      .status(400)
+      .json({ error: "company_id et warehouse_id sont requis." });
   }
-});
-//Gestion des remises
-router.put("/ventes/:id/remise", async (req, res) => {
-  const { id } = req.params;
-  const { remise } = req.body;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
   try {
-    await db.query(`UPDATE ventes SET remise = ? WHERE id = ?`, [remise, id]);
-    res.json({ message: "Remise appliquée avec succès." });
+    const conditions = [...POS_PRODUCT_CONDITIONS];
+    const params = [warehouse_id, company_id];
+    if (search) {
+      conditions.push("(p.name LIKE ? OR p.item_code LIKE ?)");
+      params.push(`%${search}%`, `${search}%`);
+    }
+    if (category_id) {
+      conditions.push("p.category_id = ?");
+      params.push(category_id);
+    }
+    const [products] = await db.query(
+      `${POS_PRODUCT_SELECT}
+       WHERE ${conditions.join(" AND ")}
+       ORDER BY (COALESCE(pd.current_stock, 0) > 0) DESC, p.name ASC
+       LIMIT ?`,
+      [...params, limit]
+    );
+    res.json({
+      products: await applyCustomerPrices(products.map(formatPosProduct), req),
+    });
   } catch (err) {
-    res
-      .status(500)
-      .json({ error: "Erreur lors de l'application de la remise." });
+    console.error("Erreur lors de la recherche des articles:", err);
+    res.status(500).json({
+      error: "Erreur lors de la recherche des articles.",
+      details: err.message,
+    });
   }
 });
 
-//Gestion des modes de paiement
+// GET /api/pos/products/scan/:code?company_id=&warehouse_id=&customer_id=
+//   &quantity= - Lecture du code-barres : article dont le code correspond
+// exactement
+router.get("/products/scan/:code", canUsePos, async (req, res) => {
+  const { company_id, warehouse_id } = req.query;
+  if (!company_id || !warehouse_id) {
+    return res
+      .status(400)
+      .json({ error: "company_id et warehouse_id sont requis." });
+  }
 
-router.post("/ventes/:id/paiement", async (req, res) => {
-  const { id } = req.params;
-  const { mode_paiement, montant } = req.body;
   try {
-    await db.query(
-      `INSERT INTO modes_paiement (vente_id, mode_paiement, montant) VALUES (?, ?, ?)`,
-      [id, mode_paiement, montant]
+    const [products] = await db.query(
+      `${POS_PRODUCT_SELECT}
+       WHERE ${[...POS_PRODUCT_CONDITIONS, "p.item_code = ?"].join(" AND ")}
+       LIMIT 1`,
+      [warehouse_id, company_id, req.params.code]
     );
-    res.json({ message: "Paiement enregistré avec succès." });
+    if (products.length === 0) {
+      return res.status(404).json({
+        error: `Aucun article ne porte le code "${req.params.code}".`,
+      });
+    }
+    const [product] = await applyCustomerPrices(
+      [formatPosProduct(products[0])],
+      req
+    );
+    res.json(product);
   } catch (err) {
-    res
-      .status(500)
-      .json({ error: "Erreur lors de l'enregistrement du paiement." });
+    console.error("Erreur lors de la lecture du code-barres:", err);
+    res.status(500).json({
+      error: "Erreur lors de la lecture du code-barres.",
+      details: err.message,
+    });
   }
 });
 
-//Génération de tickets de caisse
-const { jsPDF } = require("jspdf");
+// Ouverture, mouvements d'espèces, clôture et rapport Z
+router.use("/sessions", posSessionsRoutes);
 
-router.get("/ventes/:id/ticket", async (req, res) => {
-  const { id } = req.params;
-  try {
-    const [vente] = await db.query(`SELECT * FROM ventes WHERE id = ?`, [id]);
+// Plages de numéros par appareil et envoi des ventes hors ligne
+router.use("/sync", posSyncRoutes);
 
-    const doc = new jsPDF();
-    doc.text("Ticket de caisse", 10, 10);
-    doc.text(`Numéro de facture: ${vente[0].Numero_Facture}`, 10, 20);
-    doc.text(`Montant total: ${vente[0].Montant_TTC} FCFA`, 10, 30);
-    doc.save("ticket.pdf");
-
-    res.json({ message: "Ticket généré avec succès." });
-  } catch (err) {
-    res.status(500).json({ error: "Erreur lors de la génération du ticket." });
-  }
-});
+module.exports = router;
@@ -0,0 +1,521 @@
+// routes/posSessions.js
+// Sessions de caisse (voir utils/posSessions.js), sous /api/pos/sessions.
+// Les ventes et les paiements sont rattachés à la session en passant
+// pos_session_id à POST /api/orders et aux routes de /api/payments.
+// Le caissier agit sur sa propre session ; POS.view_sales (responsable) donne
+// accès à toutes les sessions.
+const express = require("express");
+const router = express.Router();
+const db = require("../config/db");
+const InvoiceGenerator = require("../utils/pdfGenerator");
+const {
+  requirePermission,
+  hasPermission,
+  resolvePermissionKey,
+} = require("../middleware/auth");
+const {
+  POS_SESSION_STATUS_LABELS,
+  CASH_MOVEMENT_TYPES,
+  checkSessionOpen,
+  findConflictingSessions,
+  openPosSession,
+  getSessionSummary,
+  recordCashMovement,
+  closePosSession,
+} = require("../utils/posSessions");
+
+const canUsePos = requirePermission("POS.use");
+const canViewSales = requirePermission("POS.view_sales");
+const canUseOrViewPos = requirePermission("POS.use", "POS.view_sales");
+
+const SUPERVISOR_PERMISSION = resolvePermissionKey("POS.view_sales");
+
+/**
+ * Le caissier de la session, ou un responsable (POS.view_sales).
+ * @returns {Promise<boolean>}
+ */
+async function canActOnSession(req, session) {
+  if (req.user && Number(req.user.id) === Number(session.cashier_id)) {
+    return true;
+  }
+  return hasPermission(req, [SUPERVISOR_PERMISSION]);
+}
+
+/**
+ * Session avec magasin, entreprise et caissier.
+ * @returns {Promise<Object|null>}
+ */
+async function findSession(sessionId) {
+  const [rows] = await db.query(
+    `SELECT s.*, w.name AS warehouse_name, w.address AS warehouse_address,
+            c.name AS company_name, u.name AS cashier_name,
+            cu.name AS closed_by_name
+     FROM pos_sessions s
+     LEFT JOIN warehouses w ON s.warehouse_id = w.id
+     LEFT JOIN companies c ON s.company_id = c.id
+     LEFT JOIN users u ON s.cashier_id = u.id
+     LEFT JOIN users cu ON s.closed_by = cu.id
+     WHERE s.id = ?`,
+    [sessionId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/** Mouvements d'espèces et comptages de clôture d'une session. */
+async function findSessionDetails(sessionId) {
+  const [movements] = await db.query(
+    `SELECT m.*, u.name AS created_by_name
+     FROM pos_session_movements m
+     LEFT JOIN users u ON m.created_by = u.id
+     WHERE m.session_id = ?
+     ORDER BY m.created_at ASC, m.id ASC`,
+    [sessionId]
+  );
+  const [counts] = await db.query(
+    "SELECT * FROM pos_session_counts WHERE session_id = ? ORDER BY is_cash DESC, id ASC",
+    [sessionId]
+  );
+  return {
+    movements: movements.map((movement) => ({
+      ...movement,
+      movement_type_label: CASH_MOVEMENT_TYPES[movement.movement_type],
+      amount: parseFloat(movement.amount),
+    })),
+    counts: counts.map((count) => ({
+      ...count,
+      is_cash: count.is_cash === 1,
+      expected_amount: parseFloat(count.expected_amount),
+      counted_amount: parseFloat(count.counted_amount),
+      variance: parseFloat(count.variance),
+    })),
+  };
+}
+
+// GET /api/pos/sessions - Liste des sessions de caisse
+router.get("/", canViewSales, async (req, res) => {
+  const {
+    company_id,
+    warehouse_id,
+    cashier_id,
+    status,
+    date_from,
+    date_to,
+    page,
+    limit,
+  } = req.query;
+  if (!company_id) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+  const pageNum = parseInt(page) || 1;
+  const limitNum = parseInt(limit) || 10;
+  const offset = (pageNum - 1) * limitNum;
+
+  try {
+    const whereClauses = ["s.company_id = ?"];
+    const params = [company_id];
+    if (warehouse_id) {
+      whereClauses.push("s.warehouse_id = ?");
+      params.push(warehouse_id);
+    }
+    if (cashier_id) {
+      whereClauses.push("s.cashier_id = ?");
+      params.push(cashier_id);
+    }
+    if (status) {
+      whereClauses.push("s.status = ?");
+      params.push(status);
+    }
+    if (date_from) {
+      whereClauses.push("DATE(s.opened_at) >= ?");
+      params.push(date_from);
+    }
+    if (date_to) {
+      whereClauses.push("DATE(s.opened_at) <= ?");
+      params.push(date_to);
+    }
+    const whereString = whereClauses.join(" AND ");
+
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) AS total FROM pos_sessions s WHERE ${whereString}`,
+      params
+    );
+    const [sessions] = await db.query(
+      `SELECT s.*, w.name AS warehouse_name, u.name AS cashier_name,
+              (SELECT COUNT(*) FROM orders o
+               WHERE o.pos_session_id = s.id AND o.order_type = 'sales'
+                 AND o.is_deleted = 0) AS sales_count,
+              (SELECT COALESCE(SUM(o.total), 0) FROM orders o
+               WHERE o.pos_session_id = s.id AND o.order_type = 'sales'
+                 AND o.is_deleted = 0) AS sales_total
+       FROM pos_sessions s
+       LEFT JOIN warehouses w ON s.warehouse_id = w.id
+       LEFT JOIN users u ON s.cashier_id = u.id
+       WHERE ${whereString}
+       ORDER BY s.opened_at DESC, s.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limitNum, offset]
+    );
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        status_label: POS_SESSION_STATUS_LABELS[session.status],
+        sales_total: parseFloat(session.sales_total),
+      })),
+      total: countRows[0].total,
+      page: pageNum,
+      limit: limitNum,
+    });
+  } catch (err) {
+    console.error(
+      "Erreur lors de la récupération des sessions de caisse:",
+      err
+    );
+    res.status(500).json({
+      error: "Erreur lors de la récupération des sessions de caisse.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/pos/sessions/current?warehouse_id=&register_name= - Session
+// ouverte de l'utilisateur connecté (ou de la caisse indiquée)
+router.get("/current", canUsePos, async (req, res) => {
+  const { warehouse_id, register_name } = req.query;
+  try {
+    const whereClauses = ["s.status = 'open'"];
+    const params = [];
+    if (warehouse_id && register_name) {
+      whereClauses.push("s.warehouse_id = ? AND s.register_name = ?");
+      params.push(warehouse_id, register_name);
+    } else {
+      whereClauses.push("s.cashier_id = ?");
+      params.push(req.user ? req.user.id : null);
+    }
+    const [rows] = await db.query(
+      `SELECT s.id FROM pos_sessions s WHERE ${whereClauses.join(" AND ")}
+       ORDER BY s.opened_at DESC LIMIT 1`,
+      params
+    );
+    if (rows.length === 0) {
+      return res
+        .status(404)
+        .json({ error: "Aucune session de caisse ouverte." });
+    }
+
+    const session = await findSession(rows[0].id);
+    res.json({
+      ...session,
+      status_label: POS_SESSION_STATUS_LABELS[session.status],
+      summary: await getSessionSummary(db, session),
+    });
+  } catch (err) {
+    console.error(
+      "Erreur lors de la récupération de la session de caisse:",
+      err
+    );
+    res.status(500).json({
+      error: "Erreur lors de la récupération de la session de caisse.",
+      details: err.message,
+    });
+  }
+});
+
+// POST /api/pos/sessions - Ouverture de caisse par l'utilisateur connecté
+// Body : { company_id, warehouse_id, register_name, opening_float, notes }
+router.post("/", canUsePos, async (req, res) => {
+  const { company_id, warehouse_id, opening_float, notes } = req.body;
+  const registerName = (req.body.register_name || "Caisse 1").trim();
+  if (!company_id || !warehouse_id) {
+    return res
+      .status(400)
+      .json({ error: "company_id et warehouse_id sont requis." });
+  }
+  if (!req.user) {
+    return res.status(401).json({ message: "Authentification requise" });
+  }
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    // Verrou du magasin : deux ouvertures simultanées ne passent pas toutes
+    // les deux le contrôle des sessions ouvertes
+    const [warehouses] = await connection.query(
+      "SELECT id FROM warehouses WHERE id = ? AND company_id = ? FOR UPDATE",
+      [warehouse_id, company_id]
+    );
+    if (warehouses.length === 0) {
+      await connection.rollback();
+      return res
+        .status(404)
+        .json({ error: "Magasin non trouvé pour cette entreprise." });
+    }
+
+    const conflicts = await findConflictingSessions(connection, {
+      warehouseId: warehouse_id,
+      registerName,
+      cashierId: req.user.id,
+    });
+    if (conflicts.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        error:
+          Number(conflicts[0].cashier_id) === Number(req.user.id)
+            ? `Vous avez déjà une session de caisse ouverte (${conflicts[0].session_number}).`
+            : `La caisse "${registerName}" est déjà ouverte (${conflicts[0].session_number}).`,
+        session_id: conflicts[0].id,
+      });
+    }
+
+    const session = await openPosSession(connection, {
+      companyId: company_id,
+      warehouseId: warehouse_id,
+      registerName,
+      cashierId: req.user.id,
+      openingFloat: opening_float,
+      notes,
+    });
+    await connection.commit();
+
+    res.status(201).json({
+      message: "Caisse ouverte avec succès.",
+      ...session,
+      register_name: registerName,
+      status: "open",
+      status_label: POS_SESSION_STATUS_LABELS.open,
+    });
+  } catch (err) {
+    await connection.rollback();
+    console.error("Erreur lors de l'ouverture de la caisse:", err);
+    res.status(500).json({
+      error: "Erreur lors de l'ouverture de la caisse.",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// GET /api/pos/sessions/:id - Session, totaux, mouvements et comptages
+router.get("/:id", canUseOrViewPos, async (req, res) => {
+  try {
+    const session = await findSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: "Session de caisse non trouvée." });
+    }
+    if (!(await canActOnSession(req, session))) {
+      return res.status(403).json({
+        error: "Cette session de caisse appartient à un autre caissier.",
+      });
+    }
+
+    res.json({
+      ...session,
+      status_label: POS_SESSION_STATUS_LABELS[session.status],
+      summary: await getSessionSummary(db, session),
+      ...(await findSessionDetails(session.id)),
+    });
+  } catch (err) {
+    console.error(
+      "Erreur lors de la récupération de la session de caisse:",
+      err
+    );
+    res.status(500).json({
+      error: "Erreur lors de la récupération de la session de caisse.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/pos/sessions/:id/sales - Ventes et retours de la session
+router.get("/:id/sales", canViewSales, async (req, res) => {
+  try {
+    const [sales] = await db.query(
+      `SELECT o.id, o.invoice_number, o.order_type, o.order_date, o.total,
+              o.paid_amount, o.due_amount, o.payment_status, o.created_at,
+              u.name AS customer_name
+       FROM orders o
+       LEFT JOIN users u ON o.user_id = u.id
+       WHERE o.pos_session_id = ? AND o.is_deleted = 0
+       ORDER BY o.created_at ASC, o.id ASC`,
+      [req.params.id]
+    );
+    res.json({ sales, total: sales.length });
+  } catch (err) {
+    console.error(
+      "Erreur lors de la récupération des ventes de la session:",
+      err
+    );
+    res.status(500).json({
+      error: "Erreur lors de la récupération des ventes de la session.",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * Route d'action sur une session ouverte : verrouille la session, vérifie
+ * qu'elle est ouverte et que l'utilisateur peut agir dessus, puis exécute
+ * handler dans la transaction.
+ * @param {Function} handler - (connection, session, req) => corps de la réponse
+ * @param {string} errorLabel - Libellé de l'erreur 500
+ * @param {number} successStatus - Code HTTP de succès
+ */
+function posSessionAction(handler, errorLabel, successStatus = 200) {
+  return async (req, res) => {
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [rows] = await connection.query(
+        "SELECT * FROM pos_sessions WHERE id = ? FOR UPDATE",
+        [req.params.id]
+      );
+      if (rows.length === 0) {
+        await connection.rollback();
+        return res
+          .status(404)
+          .json({ error: "Session de caisse non trouvée." });
+      }
+      if (!(await canActOnSession(req, rows[0]))) {
+        await connection.rollback();
+        return res.status(403).json({
+          error: "Cette session de caisse appartient à un autre caissier.",
+        });
+      }
+      const sessionError = checkSessionOpen(rows[0]);
+      if (sessionError) {
+        await connection.rollback();
+        return res.status(409).json({ error: sessionError });
+      }
+
+      const body = await handler(connection, rows[0], req);
+      await connection.commit();
+      res.status(successStatus).json(body);
+    } catch (err) {
+      await connection.rollback();
+      console.error(`${errorLabel}:`, err);
+      res.status(500).json({ error: `${errorLabel}.`, details: err.message });
+    } finally {
+      connection.release();
+    }
+  };
+}
+
+// POST /api/pos/sessions/:id/movements - Entrée ou sortie d'espèces
+// Body : { movement_type: cash_in | cash_out, amount, reason }
+router.post(
+  "/:id/movements",
+  canUsePos,
+  (req, res, next) => {
+    const { movement_type, amount } = req.body;
+    if (!CASH_MOVEMENT_TYPES[movement_type] || !(parseFloat(amount) > 0)) {
+      return res.status(400).json({
+        error:
+          "movement_type (cash_in ou cash_out) et amount positif sont requis.",
+      });
+    }
+    next();
+  },
+  posSessionAction(
+    async (connection, session, req) => {
+      const movement = await recordCashMovement(connection, session, {
+        movementType: req.body.movement_type,
+        amount: req.body.amount,
+        reason: req.body.reason,
+        createdBy: req.user ? req.user.id : null,
+      });
+      return { message: "Mouvement de caisse enregistré.", movement };
+    },
+    "Erreur lors de l'enregistrement du mouvement de caisse",
+    201
+  )
+);
+
+// POST /api/pos/sessions/:id/close - Clôture avec comptage
+// Body : { counted_cash, counts: [{ payment_mode_id, counted_amount }],
+//   closing_notes }
+router.post(
+  "/:id/close",
+  canUsePos,
+  (req, res, next) => {
+    if (!(parseFloat(req.body.counted_cash) >= 0)) {
+      return res
+        .status(400)
+        .json({ error: "counted_cash (espèces comptées) est requis." });
+    }
+    next();
+  },
+  posSessionAction(async (connection, session, req) => {
+    const closing = await closePosSession(connection, session, {
+      countedCash: req.body.counted_cash,
+      counts: req.body.counts,
+      closedBy: req.user ? req.user.id : null,
+      closingNotes: req.body.closing_notes,
+    });
+    return {
+      message: closing.counts.some((count) => count.variance !== 0)
+        ? "Caisse clôturée avec écart."
+        : "Caisse clôturée sans écart.",
+      status: "closed",
+      status_label: POS_SESSION_STATUS_LABELS.closed,
+      ...closing,
+    };
+  }, "Erreur lors de la clôture de la caisse")
+);
+
+// GET /api/pos/sessions/:id/z-report - Rapport Z (PDF) d'une session
+// clôturée (?download=false pour l'affichage dans le navigateur)
+router.get("/:id/z-report", canUseOrViewPos, async (req, res) => {
+  const { download = "true" } = req.query;
+  try {
+    const session = await findSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: "Session de caisse non trouvée." });
+    }
+    if (!(await canActOnSession(req, session))) {
+      return res.status(403).json({
+        error: "Cette session de caisse appartient à un autre caissier.",
+      });
+    }
+    if (session.status !== "closed") {
+      return res.status(409).json({
+        error:
+          "Le rapport Z n'est disponible qu'après la clôture de la caisse.",
+      });
+    }
+
+    const { movements, counts } = await findSessionDetails(session.id);
+    const invoiceGenerator = new InvoiceGenerator();
+    const pdfBuffer = await invoiceGenerator.generateZReport({
+      session,
+      summary: await getSessionSummary(db, session),
+      movements,
+      counts,
+      company: { name: session.company_name },
+      warehouse: {
+        name: session.warehouse_name,
+        address: session.warehouse_address,
+      },
+    });
+
+    const fileName = `rapport_z_${session.session_number.replace(
+      /[^a-zA-Z0-9]/g,
+      "_"
+    )}.pdf`;
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Length", pdfBuffer.length);
+    res.setHeader(
+      "Content-Disposition",
+      `${download === "true" ? "attachment" : "inline"}; filename="${fileName}"`
+    );
+    res.send(pdfBuffer);
+  } catch (err) {
+    console.error("Erreur lors de la génération du rapport Z:", err);
+    res.status(500).json({
+      error: "Erreur lors de la génération du rapport Z.",
+      details: err.message,
+    });
+  }
+});
+
+module.exports = router;
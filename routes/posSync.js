@@ -0,0 +1,204 @@
+// routes/posSync.js
+// Caisse hors ligne (voir utils/posSync.js), sous /api/pos/sync :
+// - /ranges : plages de numéros de facture réservées par appareil ;
+// - /sales : envoi par lot des ventes créées hors ligne, une transaction par
+//   vente et un résultat par vente pour que l'appareil se mette à jour.
+const express = require("express");
+const router = express.Router();
+const db = require("../config/db");
+const {
+  requirePermission,
+  hasPermission,
+  resolvePermissionKey,
+} = require("../middleware/auth");
+const {
+  MAX_RANGE_SIZE,
+  STOCK_CONFLICT_POLICIES,
+  reserveInvoiceRange,
+  parseRangeNumbers,
+  syncOfflineSale,
+} = require("../utils/posSync");
+const { trySubmitFiscalInvoice } = require("../utils/fiscalization");
+
+const canUsePos = requirePermission("POS.use");
+
+// Dérogation au contrôle du crédit client (responsable), comme en ligne
+const CREDIT_OVERRIDE_PERMISSION = resolvePermissionKey(
+  "Ventes.Ventes.approve"
+);
+
+const MAX_SALES_PER_BATCH = 200;
+
+// GET /api/pos/sync/ranges?warehouse_id=&device_id= - Plages de l'appareil
+// avec les numéros encore libres
+router.get("/ranges", canUsePos, async (req, res) => {
+  const { warehouse_id, device_id } = req.query;
+  if (!warehouse_id || !device_id) {
+    return res
+      .status(400)
+      .json({ error: "warehouse_id et device_id sont requis." });
+  }
+
+  try {
+    const [ranges] = await db.query(
+      `SELECT * FROM pos_number_ranges
+       WHERE warehouse_id = ? AND device_id = ?
+       ORDER BY id ASC`,
+      [warehouse_id, device_id]
+    );
+    const result = [];
+    for (const range of ranges) {
+      const numbers = parseRangeNumbers(range.numbers);
+      const [used] = numbers.length
+        ? await db.query(
+            `SELECT invoice_number FROM orders
+             WHERE company_id = ? AND order_type = 'sales' AND invoice_number IN (?)`,
+            [range.company_id, numbers]
+          )
+        : [[]];
+      const usedNumbers = new Set(used.map((row) => row.invoice_number));
+      delete range.numbers;
+      result.push({
+        ...range,
+        used: usedNumbers.size,
+        available_numbers: numbers.filter((number) => !usedNumbers.has(number)),
+      });
+    }
+    res.json({ ranges: result });
+  } catch (err) {
+    console.error("Erreur lors de la récupération des plages de numéros:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération des plages de numéros.",
+      details: err.message,
+    });
+  }
+});
+
+// POST /api/pos/sync/ranges - Réserve une plage de numéros pour un appareil
+// Body : { company_id, warehouse_id, device_id, count }
+router.post("/ranges", canUsePos, async (req, res) => {
+  const { company_id, warehouse_id, device_id } = req.body;
+  const count = parseInt(req.body.count, 10);
+  if (!company_id || !warehouse_id || !device_id) {
+    return res.status(400).json({
+      error: "company_id, warehouse_id et device_id sont requis.",
+    });
+  }
+  if (!(count > 0) || count > MAX_RANGE_SIZE) {
+    return res.status(400).json({
+      error: `count doit être compris entre 1 et ${MAX_RANGE_SIZE}.`,
+    });
+  }
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const range = await reserveInvoiceRange(connection, {
+      companyId: company_id,
+      warehouseId: warehouse_id,
+      deviceId: device_id,
+      count,
+      createdBy: req.user ? req.user.id : null,
+    });
+    await connection.commit();
+    res.status(201).json({ message: "Plage de numéros réservée.", ...range });
+  } catch (err) {
+    await connection.rollback();
+    console.error("Erreur lors de la réservation des numéros:", err);
+    res.status(500).json({
+      error: "Erreur lors de la réservation des numéros.",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// POST /api/pos/sync/sales - Synchronisation d'un lot de ventes hors ligne
+// Body : { company_id, warehouse_id, device_id, pos_session_id,
+//   stock_conflict: accept (défaut) | reject, sales: [...] } (voir
+//   syncOfflineSale pour le détail d'une vente)
+// Réponse : un résultat par vente, dans l'ordre du lot, avec status created,
+// duplicate, rejected (conflit de stock, code promo ou crédit client refusé)
+// ou failed (erreur, vente non enregistrée, à corriger puis renvoyer)
+router.post("/sales", canUsePos, async (req, res) => {
+  const { company_id, warehouse_id, device_id, sales } = req.body;
+  const stockConflictPolicy = req.body.stock_conflict || "accept";
+  if (!company_id || !warehouse_id || !device_id || !Array.isArray(sales)) {
+    return res.status(400).json({
+      error: "company_id, warehouse_id, device_id et sales sont requis.",
+    });
+  }
+  if (sales.length > MAX_SALES_PER_BATCH) {
+    return res.status(400).json({
+      error: `Un lot contient au plus ${MAX_SALES_PER_BATCH} ventes.`,
+    });
+  }
+  if (!STOCK_CONFLICT_POLICIES.includes(stockConflictPolicy)) {
+    return res.status(400).json({
+      error: `stock_conflict invalide (${STOCK_CONFLICT_POLICIES.join(
+        " ou "
+      )}).`,
+    });
+  }
+
+  const context = {
+    companyId: company_id,
+    warehouseId: warehouse_id,
+    deviceId: device_id,
+    staffUserId: req.user ? req.user.id : null,
+    posSessionId: req.body.pos_session_id || null,
+    stockConflictPolicy,
+    canOverrideCredit: await hasPermission(req, [CREDIT_OVERRIDE_PERMISSION]),
+  };
+
+  // Une transaction par vente : une vente en erreur n'empêche pas les autres
+  const results = [];
+  for (const sale of sales) {
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      const result = await syncOfflineSale(connection, sale || {}, context);
+      if (result.status === "created") {
+        await connection.commit();
+        result.fiscal = await trySubmitFiscalInvoice(
+          db,
+          result.fiscal_submission_id
+        );
+      } else {
+        await connection.rollback();
+      }
+      results.push(result);
+    } catch (err) {
+      await connection.rollback();
+      console.error("Erreur lors de la synchronisation d'une vente:", err);
+      results.push({
+        idempotency_key: sale ? sale.idempotency_key || null : null,
+        local_id: sale && sale.local_id !== undefined ? sale.local_id : null,
+        status: "failed",
+        error: err.message,
+      });
+    } finally {
+      connection.release();
+    }
+  }
+
+  const countOf = (status) =>
+    results.filter((result) => result.status === status).length;
+  res.json({
+    results,
+    summary: {
+      total: results.length,
+      created: countOf("created"),
+      duplicate: countOf("duplicate"),
+      rejected: countOf("rejected"),
+      failed: countOf("failed"),
+      stock_conflicts: results.filter(
+        (result) =>
+          result.status === "created" && result.stock_conflicts.length > 0
+      ).length,
+    },
+  });
+});
+
+module.exports = router;
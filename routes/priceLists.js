@@ -0,0 +1,359 @@
+// routes/priceLists.js
+// Listes de prix (voir utils/priceLists.js), sous /api/price-lists : listes
+// nommées, leurs règles (prix ou pourcentage, paliers, validité) et calcul du
+// prix d'un article pour un client. La liste d'un client s'affecte par
+// price_list_id sur /api/users (user_details) ; POST /api/orders et la
+// recherche d'articles du POS appliquent la liste automatiquement.
+const express = require("express");
+const router = express.Router();
+const dayjs = require("dayjs");
+const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const {
+  getApplicablePriceList,
+  getPriceListRules,
+  resolveProductPrice,
+  getQuantityBreaks,
+} = require("../utils/priceLists");
+
+const canViewPriceLists = requirePermission(
+  "Produits.Produits.view",
+  "Ventes.Ventes.create",
+  "POS.use"
+);
+const canManagePriceLists = requirePermission("Produits.Produits.edit");
+
+/**
+ * Valide une règle de liste de prix.
+ * @returns {string|null} Message d'erreur
+ */
+function validatePriceListItem(item) {
+  const hasPrice = item.price !== undefined && item.price !== null;
+  const hasPercent = item.percent !== undefined && item.percent !== null;
+  if (hasPrice === hasPercent) {
+    return "Chaque règle indique soit un prix (price), soit un pourcentage (percent).";
+  }
+  if (item.product_id && item.category_id) {
+    return "Une règle vise un article ou une catégorie, pas les deux.";
+  }
+  if (hasPrice && !(parseFloat(item.price) >= 0)) {
+    return "Le prix d'une règle doit être positif ou nul.";
+  }
+  if (hasPercent && !(parseFloat(item.percent) >= -100)) {
+    return "Le pourcentage d'une règle ne peut être inférieur à -100.";
+  }
+  if (item.min_quantity !== undefined && !(parseFloat(item.min_quantity) > 0)) {
+    return "La quantité minimale d'une règle doit être positive.";
+  }
+  if (
+    item.start_date &&
+    item.end_date &&
+    dayjs(item.end_date).isBefore(dayjs(item.start_date), "day")
+  ) {
+    return "La date de fin d'une règle précède sa date de début.";
+  }
+  return null;
+}
+
+/** Remplace les règles d'une liste (dans la transaction en cours). */
+async function replacePriceListItems(connection, priceListId, items) {
+  await connection.query(
+    "DELETE FROM price_list_items WHERE price_list_id = ?",
+    [priceListId]
+  );
+  for (const item of items) {
+    await connection.query(
+      `INSERT INTO price_list_items (
+          price_list_id, product_id, category_id, min_quantity, price, percent,
+          start_date, end_date
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        priceListId,
+        item.product_id || null,
+        item.category_id || null,
+        parseFloat(item.min_quantity) || 1,
+        item.price !== undefined && item.price !== null
+          ? parseFloat(item.price)
+          : null,
+        item.percent !== undefined && item.percent !== null
+          ? parseFloat(item.percent)
+          : null,
+        item.start_date || null,
+        item.end_date || null,
+      ]
+    );
+  }
+}
+
+// GET /api/price-lists?company_id=&active= - Listes de l'entreprise
+router.get("/", canViewPriceLists, async (req, res) => {
+  const { company_id, active } = req.query;
+  if (!company_id) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+  try {
+    const whereClauses = ["pl.company_id = ?"];
+    const params = [company_id];
+    if (active !== undefined) {
+      whereClauses.push("pl.is_active = ?");
+      params.push(active === "1" || active === "true" ? 1 : 0);
+    }
+    const [priceLists] = await db.query(
+      `SELECT pl.*,
+              (SELECT COUNT(*) FROM price_list_items pli
+               WHERE pli.price_list_id = pl.id) AS items_count,
+              (SELECT COUNT(*) FROM user_details ud
+               WHERE ud.price_list_id = pl.id) AS customers_count
+       FROM price_lists pl
+       WHERE ${whereClauses.join(" AND ")}
+       ORDER BY pl.name ASC`,
+      params
+    );
+    res.json({ price_lists: priceLists });
+  } catch (err) {
+    console.error("Erreur lors de la récupération des listes de prix:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération des listes de prix.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/price-lists/resolve?company_id=&warehouse_id=&product_id=
+//   &customer_id=&price_list_id=&quantity=&date= - Prix d'un article
+router.get("/resolve", canViewPriceLists, async (req, res) => {
+  const { company_id, warehouse_id, product_id, customer_id, price_list_id } =
+    req.query;
+  if (!company_id || !warehouse_id || !product_id) {
+    return res.status(400).json({
+      error: "company_id, warehouse_id et product_id sont requis.",
+    });
+  }
+  const date = req.query.date || new Date();
+  const quantity = parseFloat(req.query.quantity) || 1;
+  try {
+    const [products] = await db.query(
+      `SELECT p.id, p.name, p.category_id, COALESCE(pd.sales_price, 0) AS sales_price
+       FROM products p
+       LEFT JOIN product_details pd ON pd.product_id = p.id AND pd.warehouse_id = ?
+       WHERE p.id = ? AND p.company_id = ?`,
+      [warehouse_id, product_id, company_id]
+    );
+    if (products.length === 0) {
+      return res.status(404).json({ error: "Produit non trouvé." });
+    }
+    const product = products[0];
+    const priceList = await getApplicablePriceList(db, {
+      companyId: company_id,
+      customerId: customer_id,
+      priceListId: price_list_id,
+      date,
+    });
+    const rules = priceList
+      ? await getPriceListRules(db, priceList.id, [product.id], date)
+      : [];
+    const resolved = resolveProductPrice(rules, product, quantity);
+    res.json({
+      product_id: product.id,
+      quantity,
+      price: resolved.price,
+      base_price: resolved.base_price,
+      price_list_id: resolved.price_list_item_id ? priceList.id : null,
+      price_list_name: resolved.price_list_item_id ? priceList.name : null,
+      quantity_breaks: getQuantityBreaks(rules, product),
+    });
+  } catch (err) {
+    console.error("Erreur lors du calcul du prix:", err);
+    res.status(500).json({
+      error: "Erreur lors du calcul du prix.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/price-lists/:id - Liste et ses règles
+router.get("/:id", canViewPriceLists, async (req, res) => {
+  try {
+    const [priceLists] = await db.query(
+      "SELECT * FROM price_lists WHERE id = ?",
+      [req.params.id]
+    );
+    if (priceLists.length === 0) {
+      return res.status(404).json({ error: "Liste de prix non trouvée." });
+    }
+    const [items] = await db.query(
+      `SELECT pli.*, p.name AS product_name, p.item_code, c.name AS category_name
+       FROM price_list_items pli
+       LEFT JOIN products p ON p.id = pli.product_id
+       LEFT JOIN categories c ON c.id = pli.category_id
+       WHERE pli.price_list_id = ?
+       ORDER BY (pli.product_id IS NULL), (pli.category_id IS NULL),
+                p.name, c.name, pli.min_quantity`,
+      [req.params.id]
+    );
+    res.json({ ...priceLists[0], items });
+  } catch (err) {
+    console.error("Erreur lors de la récupération de la liste de prix:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération de la liste de prix.",
+      details: err.message,
+    });
+  }
+});
+
+// POST /api/price-lists - Nouvelle liste, avec ses règles (items)
+router.post("/", canManagePriceLists, async (req, res) => {
+  const { company_id, name, description, start_date, end_date } = req.body;
+  const items = req.body.items || [];
+  if (!company_id || !name) {
+    return res.status(400).json({ error: "company_id et name sont requis." });
+  }
+  if (
+    start_date &&
+    end_date &&
+    dayjs(end_date).isBefore(dayjs(start_date), "day")
+  ) {
+    return res
+      .status(400)
+      .json({ error: "La date de fin précède la date de début." });
+  }
+  const invalid = items.map(validatePriceListItem).find(Boolean);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [result] = await connection.query(
+      `INSERT INTO price_lists (
+          company_id, name, description, start_date, end_date, is_active,
+          created_at, updated_at
+       ) VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        company_id,
+        name,
+        description || null,
+        start_date || null,
+        end_date || null,
+        req.body.is_active === undefined || req.body.is_active ? 1 : 0,
+      ]
+    );
+    await replacePriceListItems(connection, result.insertId, items);
+    await connection.commit();
+    res.status(201).json({
+      message: "Liste de prix créée.",
+      id: result.insertId,
+    });
+  } catch (err) {
+    await connection.rollback();
+    console.error("Erreur lors de la création de la liste de prix:", err);
+    res.status(500).json({
+      error: "Erreur lors de la création de la liste de prix.",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// PUT /api/price-lists/:id - Modifie la liste ; items (si transmis)
+// remplace toutes ses règles
+router.put("/:id", canManagePriceLists, async (req, res) => {
+  if (req.body.items !== undefined) {
+    if (!Array.isArray(req.body.items)) {
+      return res.status(400).json({ error: "items doit être un tableau." });
+    }
+    const invalid = req.body.items.map(validatePriceListItem).find(Boolean);
+    if (invalid) return res.status(400).json({ error: invalid });
+  }
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [priceLists] = await connection.query(
+      "SELECT * FROM price_lists WHERE id = ? FOR UPDATE",
+      [req.params.id]
+    );
+    if (priceLists.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Liste de prix non trouvée." });
+    }
+    const priceList = { ...priceLists[0], ...req.body };
+    if (
+      priceList.start_date &&
+      priceList.end_date &&
+      dayjs(priceList.end_date).isBefore(dayjs(priceList.start_date), "day")
+    ) {
+      await connection.rollback();
+      return res
+        .status(400)
+        .json({ error: "La date de fin précède la date de début." });
+    }
+
+    await connection.query(
+      `UPDATE price_lists SET
+          name = ?, description = ?, start_date = ?, end_date = ?,
+          is_active = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [
+        priceList.name,
+        priceList.description || null,
+        priceList.start_date || null,
+        priceList.end_date || null,
+        priceList.is_active ? 1 : 0,
+        req.params.id,
+      ]
+    );
+    if (req.body.items !== undefined) {
+      await replacePriceListItems(connection, req.params.id, req.body.items);
+    }
+    await connection.commit();
+    res.json({ message: "Liste de prix mise à jour." });
+  } catch (err) {
+    await connection.rollback();
+    console.error("Erreur lors de la mise à jour de la liste de prix:", err);
+    res.status(500).json({
+      error: "Erreur lors de la mise à jour de la liste de prix.",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// DELETE /api/price-lists/:id - Supprime la liste ; ses clients reviennent
+// au prix de vente (les lignes de commande gardent la trace de la liste)
+router.delete("/:id", canManagePriceLists, async (req, res) => {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [result] = await connection.query(
+      "DELETE FROM price_lists WHERE id = ?",
+      [req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Liste de prix non trouvée." });
+    }
+    await connection.query(
+      "DELETE FROM price_list_items WHERE price_list_id = ?",
+      [req.params.id]
+    );
+    await connection.query(
+      "UPDATE user_details SET price_list_id = NULL WHERE price_list_id = ?",
+      [req.params.id]
+    );
+    await connection.commit();
+    res.json({ message: "Liste de prix supprimée." });
+  } catch (err) {
+    await connection.rollback();
+    console.error("Erreur lors de la suppression de la liste de prix:", err);
+    res.status(500).json({
+      error: "Erreur lors de la suppression de la liste de prix.",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+module.exports = router;
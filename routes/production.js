@@ -2,6 +2,16 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const { updateStock, getWarehouseStock } = require("../utils/stockLedger");
+const { receiveBatch, consumeBatches } = require("../utils/stockBatches");
+const { syncProductionEntry } = require("../utils/accounting");
+
+const canCreate = requirePermission("Approvisionnement.Production.create");
+const canEdit = requirePermission("Approvisionnement.Production.edit");
+const canDelete = requirePermission("Approvisionnement.Production.delete");
+const canView = requirePermission("Approvisionnement.Production.view");
+const canProcess = requirePermission("Approvisionnement.Production.process");
 const multer = require("multer");
 const path = require("path");
 
@@ -32,35 +42,36 @@ const upload = multer({
  * Utilitaire pour vérifier la disponibilité des matières premières
  * @param {Object} connection - Connexion à la base de données
  * @param {Array} materials - Liste des matières premières avec leur quantité requise
+ * @param {Number} warehouseId - Magasin où la production a lieu
  * @returns {Promise<Object>} - Résultat de la vérification
  */
-async function checkMaterialsAvailability(connection, materials) {
+async function checkMaterialsAvailability(connection, materials, warehouseId) {
   // Préparer les IDs des produits pour la requête
   const productIds = materials.map((item) => item.product_id);
 
-  // Récupérer les stocks actuels
-  const [stocks] = await connection.query(
-    `SELECT p.id, p.name, pd.current_stock 
-     FROM products p 
-     JOIN product_details pd ON p.id = pd.product_id 
-     WHERE p.id IN (?)`,
+  const [products] = await connection.query(
+    `SELECT id, name FROM products WHERE id IN (?)`,
     [productIds]
   );
-
-  const stockMap = {};
-  stocks.forEach((item) => {
-    stockMap[item.id] = {
-      name: item.name,
-      currentStock: item.current_stock,
-    };
+  const nameMap = {};
+  products.forEach((item) => {
+    nameMap[item.id] = item.name;
   });
 
+  // Stocks du magasin, verrouillés jusqu'à la fin de la transaction
+  const stockMap = await getWarehouseStock(
+    connection,
+    productIds,
+    warehouseId,
+    true
+  );
+
   const missingItems = [];
 
   // Vérifier si chaque matière première est disponible en quantité suffisante
   materials.forEach((material) => {
-    const stockInfo = stockMap[material.product_id];
-    if (!stockInfo) {
+    const name = nameMap[material.product_id];
+    if (!name) {
       missingItems.push({
         product_id: material.product_id,
         required: material.quantity,
@@ -70,12 +81,13 @@ async function checkMaterialsAvailability(connection, materials) {
       return;
     }
 
-    if (stockInfo.currentStock < material.quantity) {
+    const currentStock = stockMap[material.product_id];
+    if (currentStock < material.quantity) {
       missingItems.push({
         product_id: material.product_id,
         required: material.quantity,
-        available: stockInfo.currentStock,
-        name: stockInfo.name,
+        available: currentStock,
+        name,
       });
     }
   });
@@ -87,121 +99,118 @@ async function checkMaterialsAvailability(connection, materials) {
 }
 
 /**
- * Mettre à jour les stocks après production
+ * Mettre à jour les stocks du magasin de production.
+ * Les matières premières sont prélevées par lot (FEFO) et chaque produit fini
+ * entre dans un lot : celui fourni dans outputBatches, sinon un lot généré
+ * "PROD-{id du log}". Les lots utilisés sont tracés dans production_log_batches.
  * @param {Object} connection - Connexion à la base de données
  * @param {Array} materials - Liste des matières premières à décrémenter
  * @param {Array} outputs - Liste des produits finis à incrémenter
  * @param {Number} production_log_id - ID du log de production pour référencement
- * @returns {Promise<void>}
+ * @param {Number} warehouseId - Magasin où la production a lieu
+ * @param {Array} outputBatches - Lots des produits finis [{ product_id, batch_number, expiry_date }]
+ * @returns {Promise<Array>} - Lots des produits finis créés
  */
 async function updateStocksAfterProduction(
   connection,
   materials,
   outputs,
-  production_log_id
+  production_log_id,
+  warehouseId,
+  outputBatches = []
 ) {
+  const linkBatch = (productId, batchId, quantity) =>
+    connection.query(
+      `INSERT INTO production_log_batches (production_log_id, product_id, batch_id, quantity, created_at)
+       VALUES (?, ?, ?, ?, NOW())`,
+      [production_log_id, productId, batchId, quantity]
+    );
+
   // Mise à jour des stocks de matières premières (décrémentation)
   for (const material of materials) {
-    await connection.query(
-      `UPDATE product_details 
-       SET current_stock = current_stock - ?, 
-           updated_at = NOW() 
-       WHERE product_id = ?`,
-      [material.quantity, material.product_id]
+    const consumed = await consumeBatches(
+      connection,
+      material.product_id,
+      warehouseId,
+      material.quantity
     );
+    const parts = consumed.allocations.map((allocation) => ({
+      batch_id: allocation.batch_id,
+      batch_number: allocation.batch_number,
+      quantity: allocation.quantity,
+    }));
+    if (consumed.unallocated > 0) {
+      parts.push({ batch_number: null, quantity: consumed.unallocated });
+    }
 
-    // Enregistrer le mouvement de stock pour les matières premières
-    try {
-      await connection.query(
-        `INSERT INTO stock_movements 
-         (product_id, quantity, movement_type, reference_id, reference_type, remarks, created_at, updated_at) 
-         VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-        [
-          material.product_id,
-          -material.quantity,
-          "production",
-          production_log_id,
-          "production_log",
-          "Matière première utilisée en production",
-        ]
-      );
-    } catch (error) {
-      console.error(
-        "Erreur lors de l'enregistrement du mouvement de stock (matière première):",
-        error
-      );
-      // Si l'enum n'est pas encore mis à jour, utiliser 'adjustment' comme fallback
-      await connection.query(
-        `INSERT INTO stock_movements 
-         (product_id, quantity, movement_type, reference_id, reference_type, remarks, created_at) 
-         VALUES (?, ?, ?, ?, ?, ?, NOW())`,
-        [
-          material.product_id,
-          -material.quantity,
-          "adjustment",
-          production_log_id,
-          "production_log",
-          "Matière première utilisée en production",
-        ]
+    for (const part of parts) {
+      if (part.batch_id) {
+        await linkBatch(material.product_id, part.batch_id, -part.quantity);
+      }
+      await updateStock(
+        connection,
+        material.product_id,
+        warehouseId,
+        -part.quantity,
+        "production",
+        "production_log",
+        production_log_id,
+        "Matière première utilisée en production",
+        null,
+        part.batch_number
       );
     }
   }
 
   // Mise à jour des stocks de produits finis (incrémentation)
+  const producedBatches = [];
   for (const output of outputs) {
-    await connection.query(
-      `UPDATE product_details 
-       SET current_stock = current_stock + ?, 
-           updated_at = NOW() 
-       WHERE product_id = ?`,
-      [output.quantity, output.product_id]
-    );
+    const requested =
+      (outputBatches || []).find(
+        (b) => Number(b.product_id) === Number(output.product_id)
+      ) || {};
+    const batch = await receiveBatch(connection, {
+      productId: output.product_id,
+      warehouseId,
+      batchNumber: requested.batch_number || `PROD-${production_log_id}`,
+      expiryDate: requested.expiry_date,
+      manufactureDate: new Date(),
+      quantity: output.quantity,
+      sourceType: "production",
+      sourceId: production_log_id,
+    });
+    await linkBatch(output.product_id, batch.id, output.quantity);
 
-    // Enregistrer le mouvement de stock pour les produits finis
-    try {
-      await connection.query(
-        `INSERT INTO stock_movements 
-         (product_id, quantity, movement_type, reference_id, reference_type, remarks, created_at, updated_at) 
-         VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-        [
-          output.product_id,
-          output.quantity,
-          "production",
-          production_log_id,
-          "production_log",
-          "Produit fini obtenu par production",
-        ]
-      );
-    } catch (error) {
-      console.error(
-        "Erreur lors de l'enregistrement du mouvement de stock (produit fini):",
-        error
-      );
-      // Si l'enum n'est pas encore mis à jour, utiliser 'adjustment' comme fallback
-      await connection.query(
-        `INSERT INTO stock_movements 
-         (product_id, quantity, movement_type, reference_id, reference_type, remarks, created_at) 
-         VALUES (?, ?, ?, ?, ?, ?, NOW())`,
-        [
-          output.product_id,
-          output.quantity,
-          "adjustment",
-          production_log_id,
-          "production_log",
-          "Produit fini obtenu par production",
-        ]
-      );
-    }
+    await updateStock(
+      connection,
+      output.product_id,
+      warehouseId,
+      output.quantity,
+      "production",
+      "production_log",
+      production_log_id,
+      "Produit fini obtenu par production",
+      null,
+      batch.batch_number
+    );
+    producedBatches.push({
+      product_id: output.product_id,
+      quantity: output.quantity,
+      batch_number: batch.batch_number,
+      expiry_date: batch.expiry_date,
+    });
   }
+  return producedBatches;
 }
 
 /**
  * Calculer le coût de production unitaire en fonction des matières premières
  * @param {Array} materials - Liste des matières premières avec leurs quantités
  * @param {Number} outputQuantity - Quantité d'unités produites par cycle de production
+ * @param {Number} warehouseId - Magasin dont les prix d'achat sont utilisés
  * @returns {Promise<Number>} - Coût unitaire de production
  */
-async function calculateProductionCost(materials, outputQuantity) {
+async function calculateProductionCost(materials, outputQuantity, warehouseId) {
   console.log("Fonction calculateProductionCost appelée avec:", {
     materials,
     outputQuantity: outputQuantity,
@@ -227,8 +236,8 @@ async function calculateProductionCost(materials, outputQuantity) {
   try {
     // Récupérer les prix d'achat des matières premières
     const [priceResults] = await connection.query(
-      `SELECT product_id, purchase_price FROM product_details WHERE product_id IN (?)`,
-      [materialIds]
+      `SELECT product_id, purchase_price FROM product_details WHERE product_id IN (?) AND warehouse_id = ?`,
+      [materialIds, warehouseId]
     );
 
     console.log("Prix des matières premières récupérés:", priceResults);
@@ -273,7 +282,7 @@ async function calculateProductionCost(materials, outputQuantity) {
  */
 
 // Récupérer toutes les unités de production avec pagination et filtres
-router.get("/units", async (req, res) => {
+router.get("/units", canView, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const page = parseInt(req.query.page) || 1;
@@ -317,7 +326,7 @@ router.get("/units", async (req, res) => {
         w.name as warehouse_name,
         comp.name as company_name
       FROM products p
-      LEFT JOIN product_details pd ON p.id = pd.product_id
+      LEFT JOIN product_details pd ON p.id = pd.product_id AND pd.warehouse_id = p.warehouse_id
       LEFT JOIN categories c ON p.category_id = c.id
       LEFT JOIN units u ON p.unit_id = u.id
       LEFT JOIN warehouses w ON p.warehouse_id = w.id
@@ -495,7 +504,7 @@ router.get("/units", async (req, res) => {
 });
 
 // Récupérer une unité de production par ID avec ses détails
-router.get("/units/:id", async (req, res) => {
+router.get("/units/:id", canView, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const { id } = req.params;
@@ -516,8 +525,8 @@ router.get("/units/:id", async (req, res) => {
     const [details] = await connection.query(
       `SELECT purchase_price, sales_price, current_stock 
        FROM product_details 
-       WHERE product_id = ?`,
-      [id]
+       WHERE product_id = ? AND warehouse_id = ?`,
+      [id, unit[0].warehouse_id]
     );
 
     if (details.length > 0) {
@@ -597,7 +606,7 @@ router.get("/units/:id", async (req, res) => {
 });
 
 // Créer une nouvelle unité de production
-router.post("/units", upload.single("image"), async (req, res) => {
+router.post("/units", canCreate, upload.single("image"), async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -717,7 +726,8 @@ router.post("/units", upload.single("image"), async (req, res) => {
     );
     const productionCost = await calculateProductionCost(
       materials,
-      finalOutputQuantity
+      finalOutputQuantity,
+      warehouse_id
     );
     console.log(`Coût de production unitaire calculé: ${productionCost}`);
 
@@ -833,7 +843,7 @@ router.post("/units", upload.single("image"), async (req, res) => {
 });
 
 // Mettre à jour une unité de production
-router.put("/units/:id", upload.single("image"), async (req, res) => {
+router.put("/units/:id", canEdit, upload.single("image"), async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -968,7 +978,8 @@ router.put("/units/:id", upload.single("image"), async (req, res) => {
     );
     const productionCost = await calculateProductionCost(
       materials,
-      finalOutputQuantity
+      finalOutputQuantity,
+      warehouse_id
     );
     console.log(
       `Coût de production unitaire calculé (mise à jour): ${productionCost}`
@@ -1005,12 +1016,19 @@ router.put("/units/:id", upload.single("image"), async (req, res) => {
       ]
     );
 
-    // Mettre à jour dans product_details
+    // Mettre à jour (ou créer) la ligne product_details du magasin de l'unité.
+    // Le stock déjà présent dans un autre magasin y reste : il se déplace par transfert.
     await connection.query(
-      `UPDATE product_details 
-       SET warehouse_id = ?, purchase_price = ?, sales_price = ?, stock_quantitiy_alert = ?, updated_at = NOW() 
-       WHERE product_id = ?`,
-      [warehouse_id, productionCost, sales_price, stock_quantitiy_alert, id]
+      `INSERT INTO product_details (
+        product_id, warehouse_id, current_stock, purchase_price, sales_price,
+        stock_quantitiy_alert, created_at, updated_at
+      ) VALUES (?, ?, 0, ?, ?, ?, NOW(), NOW())
+      ON DUPLICATE KEY UPDATE
+        purchase_price = VALUES(purchase_price),
+        sales_price = VALUES(sales_price),
+        stock_quantitiy_alert = VALUES(stock_quantitiy_alert),
+        updated_at = NOW()`,
+      [id, warehouse_id, productionCost, sales_price, stock_quantitiy_alert]
     );
 
     // Supprimer les anciennes matières premières
@@ -1078,7 +1096,7 @@ router.put("/units/:id", upload.single("image"), async (req, res) => {
 });
 
 // Supprimer une unité de production
-router.delete("/units/:id", async (req, res) => {
+router.delete("/units/:id", canDelete, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -1151,10 +1169,10 @@ router.delete("/units/:id", async (req, res) => {
  */
 
 // Calculer les besoins en matières premières pour une production
-router.post("/calculate", async (req, res) => {
+router.post("/calculate", canView, async (req, res) => {
   const connection = await db.getConnection();
   try {
-    const { production_unit_id, output_quantity } = req.body;
+    const { production_unit_id, output_quantity, warehouse_id } = req.body;
 
     if (!production_unit_id || !output_quantity || output_quantity <= 0) {
       return res.status(400).json({
@@ -1163,29 +1181,32 @@ router.post("/calculate", async (req, res) => {
       });
     }
 
-    // Récupérer l'unité de production
+    // Récupérer l'unité de production et son stock dans le magasin de production
+    // (par défaut le magasin de l'unité)
     const [unit] = await connection.query(
-      `SELECT p.*, pd.current_stock 
+      `SELECT p.*, COALESCE(pd.current_stock, 0) as current_stock
        FROM products p 
-       JOIN product_details pd ON p.id = pd.product_id 
+       LEFT JOIN product_details pd ON p.id = pd.product_id
+         AND pd.warehouse_id = COALESCE(?, p.warehouse_id)
        WHERE p.id = ? AND p.product_type = 'production'`,
-      [production_unit_id]
+      [warehouse_id || null, production_unit_id]
     );
 
     if (unit.length === 0) {
       return res.status(404).json({ error: "Unité de production non trouvée" });
     }
+    const productionWarehouseId = warehouse_id || unit[0].warehouse_id;
 
     // Récupérer les matières premières nécessaires
     const [materials] = await connection.query(
       `SELECT pum.*, p.name as product_name, p.image, u.name as unit_name, u.short_name as unit_short_name,
-        pd.current_stock, pd.purchase_price
+        COALESCE(pd.current_stock, 0) as current_stock, pd.purchase_price
        FROM production_unit_materials pum
        JOIN products p ON pum.product_id = p.id
-       JOIN product_details pd ON pd.product_id = p.id
+       LEFT JOIN product_details pd ON pd.product_id = p.id AND pd.warehouse_id = ?
        LEFT JOIN units u ON p.unit_id = u.id
        WHERE pum.production_unit_id = ?`,
-      [production_unit_id]
+      [productionWarehouseId, production_unit_id]
     );
 
     // Vérifier si des matières premières existent pour cette unité de production
@@ -1267,6 +1288,7 @@ router.post("/calculate", async (req, res) => {
       outputs: calculatedOutputs,
       all_available: allAvailable,
       output_quantity,
+      warehouse_id: productionWarehouseId,
     });
   } catch (err) {
     console.error(
@@ -1283,12 +1305,19 @@ router.post("/calculate", async (req, res) => {
 });
 
 // Initier une production
-router.post("/process", async (req, res) => {
+router.post("/process", canProcess, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
 
-    const { production_unit_id, output_quantity, user_id, notes } = req.body;
+    const {
+      production_unit_id,
+      output_quantity,
+      user_id,
+      notes,
+      warehouse_id,
+      output_batches, // [{ product_id, batch_number, expiry_date }] (optionnel)
+    } = req.body;
 
     if (!production_unit_id || !output_quantity || output_quantity <= 0) {
       await connection.rollback();
@@ -1298,19 +1327,22 @@ router.post("/process", async (req, res) => {
       });
     }
 
-    // Récupérer l'unité de production
+    // Récupérer l'unité de production et son stock dans le magasin de production
+    // (par défaut le magasin de l'unité)
     const [unit] = await connection.query(
-      `SELECT p.*, pd.current_stock 
+      `SELECT p.*, COALESCE(pd.current_stock, 0) as current_stock
        FROM products p 
-       JOIN product_details pd ON p.id = pd.product_id 
+       LEFT JOIN product_details pd ON p.id = pd.product_id
+         AND pd.warehouse_id = COALESCE(?, p.warehouse_id)
        WHERE p.id = ? AND p.product_type = 'production'`,
-      [production_unit_id]
+      [warehouse_id || null, production_unit_id]
     );
 
     if (unit.length === 0) {
       await connection.rollback();
       return res.status(404).json({ error: "Unité de production non trouvée" });
     }
+    const productionWarehouseId = warehouse_id || unit[0].warehouse_id;
 
     // Récupérer les matières premières nécessaires
     const [materials] = await connection.query(
@@ -1374,7 +1406,8 @@ router.post("/process", async (req, res) => {
     // Vérifier la disponibilité des matières premières
     const availabilityCheck = await checkMaterialsAvailability(
       connection,
-      calculatedMaterials
+      calculatedMaterials,
+      productionWarehouseId
     );
 
     if (!availabilityCheck.isAvailable) {
@@ -1388,28 +1421,41 @@ router.post("/process", async (req, res) => {
     // Enregistrer le log de production d'abord pour obtenir l'ID
     const [logResult] = await connection.query(
       `INSERT INTO production_logs 
-       (production_unit_id, user_id, output_quantity, status, notes, created_at, updated_at) 
-       VALUES (?, ?, ?, 'completed', ?, NOW(), NOW())`,
-      [production_unit_id, user_id, output_quantity, notes]
+       (production_unit_id, warehouse_id, user_id, output_quantity, status, notes, created_at, updated_at) 
+       VALUES (?, ?, ?, ?, 'completed', ?, NOW(), NOW())`,
+      [
+        production_unit_id,
+        productionWarehouseId,
+        user_id,
+        output_quantity,
+        notes,
+      ]
     );
 
     const production_log_id = logResult.insertId;
 
     // Mettre à jour les stocks en passant l'ID du log
-    await updateStocksAfterProduction(
+    const producedBatches = await updateStocksAfterProduction(
       connection,
       calculatedMaterials,
       calculatedOutputs,
-      production_log_id
+      production_log_id,
+      productionWarehouseId,
+      output_batches
     );
 
+    // Écriture comptable : matières premières -> produits finis
+    await syncProductionEntry(connection, production_log_id);
+
     await connection.commit();
 
     res.status(201).json({
       message: "Production effectuée avec succès",
       production_log_id,
+      warehouse_id: productionWarehouseId,
       materials_used: calculatedMaterials,
       outputs_produced: calculatedOutputs,
+      output_batches: producedBatches,
     });
   } catch (err) {
     await connection.rollback();
@@ -1424,7 +1470,7 @@ router.post("/process", async (req, res) => {
 });
 
 // Obtenir l'historique des productions
-router.get("/history", async (req, res) => {
+router.get("/history", canView, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const page = parseInt(req.query.page) || 1;
@@ -1456,7 +1502,7 @@ router.get("/history", async (req, res) => {
         pl.created_at,
         pl.updated_at,
         p.name as production_unit_name,
-        p.warehouse_id,
+        COALESCE(pl.warehouse_id, p.warehouse_id) as warehouse_id,
         p.company_id,
         u.name as user_name,
         w.name as warehouse_name,
@@ -1464,7 +1510,7 @@ router.get("/history", async (req, res) => {
       FROM production_logs pl
       JOIN products p ON pl.production_unit_id = p.id
       LEFT JOIN users u ON pl.user_id = u.id
-      LEFT JOIN warehouses w ON p.warehouse_id = w.id
+      LEFT JOIN warehouses w ON w.id = COALESCE(pl.warehouse_id, p.warehouse_id)
       LEFT JOIN companies comp ON p.company_id = comp.id
       WHERE 1=1
     `;
@@ -1473,7 +1519,7 @@ router.get("/history", async (req, res) => {
 
     // Filtrer par magasin si spécifié
     if (warehouseId) {
-      query += ` AND p.warehouse_id = ?`;
+      query += ` AND COALESCE(pl.warehouse_id, p.warehouse_id) = ?`;
       params.push(warehouseId);
     }
 
@@ -1514,7 +1560,7 @@ router.get("/history", async (req, res) => {
 
     // Appliquer les mêmes filtres pour le comptage
     if (warehouseId) {
-      countQuery += ` AND p.warehouse_id = ?`;
+      countQuery += ` AND COALESCE(pl.warehouse_id, p.warehouse_id) = ?`;
       countParams.push(warehouseId);
     }
 
@@ -1576,7 +1622,7 @@ router.get("/history", async (req, res) => {
 });
 
 // Obtenir les détails complets d'une production par ID
-router.get("/history/:id", async (req, res) => {
+router.get("/history/:id", canView, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const { id } = req.params;
@@ -1595,7 +1641,7 @@ router.get("/history/:id", async (req, res) => {
         pl.created_at,
         pl.updated_at,
         p.name as production_unit_name,
-        p.warehouse_id,
+        COALESCE(pl.warehouse_id, p.warehouse_id) as warehouse_id,
         p.company_id,
         p.description as production_unit_description,
         u.name as user_name,
@@ -1604,7 +1650,7 @@ router.get("/history/:id", async (req, res) => {
       FROM production_logs pl
       JOIN products p ON pl.production_unit_id = p.id
       LEFT JOIN users u ON pl.user_id = u.id
-      LEFT JOIN warehouses w ON p.warehouse_id = w.id
+      LEFT JOIN warehouses w ON w.id = COALESCE(pl.warehouse_id, p.warehouse_id)
       LEFT JOIN companies comp ON p.company_id = comp.id
       WHERE pl.id = ?`,
       [id]
@@ -1686,6 +1732,18 @@ router.get("/history/:id", async (req, res) => {
         ? totalMaterialCost / productionData.output_quantity
         : 0;
 
+    // Lots consommés (-) et produits (+) par cette production
+    const [batches] = await connection.query(
+      `SELECT plb.product_id, p.name as product_name, plb.quantity,
+        pb.batch_number, pb.expiry_date
+      FROM production_log_batches plb
+      JOIN product_batches pb ON plb.batch_id = pb.id
+      JOIN products p ON plb.product_id = p.id
+      WHERE plb.production_log_id = ?
+      ORDER BY plb.id`,
+      [id]
+    );
+
     console.log("Production details retrieved successfully:", {
       productionId: id,
       materialsCount: materialDetails.length,
@@ -1709,6 +1767,7 @@ router.get("/history/:id", async (req, res) => {
         total_value: parseFloat(output.total_value || 0).toFixed(2),
         sales_price: parseFloat(output.sales_price || 0).toFixed(2),
       })),
+      batches,
       summary: {
         total_material_cost: totalMaterialCost.toFixed(2),
         total_product_value: totalProductValue.toFixed(2),
@@ -1732,7 +1791,7 @@ router.get("/history/:id", async (req, res) => {
 });
 
 // Mise à jour du statut d'une unité de production
-router.patch("/units/:id/status", async (req, res) => {
+router.patch("/units/:id/status", canEdit, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -4,6 +4,19 @@ const router = express.Router();
 const multer = require("multer");
 const path = require("path");
 const db = require("../config/db");
+const {
+  requireAuthenticated,
+  requirePermission,
+} = require("../middleware/auth");
+
+const canCreate = requirePermission("Produits.Produits.create");
+const canEdit = requirePermission("Produits.Produits.edit");
+const canDelete = requirePermission("Produits.Produits.delete");
+const canGenerateBarcode = requirePermission(
+  "Produits.Produits.create",
+  "Produits.Produits.edit"
+);
+const canImport = requirePermission("Produits.Produits.import");
 const fs = require("fs-extra");
 const csv = require("csv-parser");
 
@@ -54,6 +67,15 @@ const csvUpload = multer({
   },
 });
 
+// Valeur de is_serialized reçue en JSON ou en multipart ("true", "1"...).
+// Renvoie null si le champ est absent (pas de modification).
+function parseSerializedFlag(value) {
+  if (value === undefined || value === null || value === "") return null;
+  return value === true || value === 1 || value === "true" || value === "1"
+    ? 1
+    : 0;
+}
+
 // Fonction utilitaire pour générer un code-barres unique
 async function generateUniqueBarcode(type) {
   const connection = await db.getConnection();
@@ -101,7 +123,7 @@ async function generateUniqueBarcode(type) {
 }
 
 // Endpoint pour générer un code-barres unique
-router.get("/generate-barcode", async (req, res) => {
+router.get("/generate-barcode", canGenerateBarcode, async (req, res) => {
   try {
     const type = req.query.type || "CODE128";
     const barcode = await generateUniqueBarcode(type);
@@ -116,7 +138,7 @@ router.get("/generate-barcode", async (req, res) => {
 });
 
 // Endpoint pour récupérer plusieurs produits par leurs IDs
-router.get("/by-ids", async (req, res) => {
+router.get("/by-ids", requireAuthenticated, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const { ids, warehouse_id } = req.query;
@@ -212,7 +234,7 @@ router.get("/by-ids", async (req, res) => {
 });
 
 // GET all products with filtering, pagination, and stock details
-router.get("/", async (req, res) => {
+router.get("/", requireAuthenticated, async (req, res) => {
   const {
     page,
     limit,
@@ -249,6 +271,7 @@ router.get("/", async (req, res) => {
     p.image,
     p.description,
     p.barcode_symbology,
+    p.is_serialized,
     c.name AS categorie_nom,
     w_main.name AS main_warehouse_nom /* Name of the product's main (default) warehouse */
     /* warehouse_nom for the current context (queried or main) will be added below */
@@ -332,9 +355,9 @@ router.get("/", async (req, res) => {
   }
 
   if (warehouseId) {
-    sql += ` GROUP BY p.id, p.company_id, p.warehouse_id, p.product_type, p.name, p.slug, p.item_code, p.category_id, p.unit_id, p.image, p.description, p.barcode_symbology, c.name, w_main.name, pd.current_stock, pd.purchase_price, pd.sales_price, pd.stock_quantitiy_alert, w_queried.name`;
+    sql += ` GROUP BY p.id, p.company_id, p.warehouse_id, p.product_type, p.name, p.slug, p.item_code, p.category_id, p.unit_id, p.image, p.description, p.barcode_symbology, p.is_serialized, c.name, w_main.name, pd.current_stock, pd.purchase_price, pd.sales_price, pd.stock_quantitiy_alert, w_queried.name`;
   } else {
-    sql += ` GROUP BY p.id, p.company_id, p.warehouse_id, p.product_type, p.name, p.slug, p.item_code, p.category_id, p.unit_id, p.image, p.description, p.barcode_symbology, c.name, w_main.name`;
+    sql += ` GROUP BY p.id, p.company_id, p.warehouse_id, p.product_type, p.name, p.slug, p.item_code, p.category_id, p.unit_id, p.image, p.description, p.barcode_symbology, p.is_serialized, c.name, w_main.name`;
   }
 
   sql += ` ORDER BY p.name ASC`;
@@ -418,7 +441,7 @@ router.get("/", async (req, res) => {
 });
 
 // Récupérer toutes les unités de production (compatibilité avec le module de production)
-router.get("/production-units", async (req, res) => {
+router.get("/production-units", requireAuthenticated, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const page = parseInt(req.query.page) || 1;
@@ -462,7 +485,7 @@ router.get("/production-units", async (req, res) => {
         u.short_name AS unit_short_name,
         comp.name AS company_name
       FROM products p
-      LEFT JOIN product_details pd ON p.id = pd.product_id
+      LEFT JOIN product_details pd ON p.id = pd.product_id AND pd.warehouse_id = p.warehouse_id
       LEFT JOIN warehouses w ON p.warehouse_id = w.id
       LEFT JOIN categories c ON p.category_id = c.id
       LEFT JOIN units u ON p.unit_id = u.id
@@ -590,7 +613,7 @@ router.get("/production-units", async (req, res) => {
 });
 
 // POST - Create a new product
-router.post("/", imageUpload.single("image"), async (req, res) => {
+router.post("/", canCreate, imageUpload.single("image"), async (req, res) => {
   const {
     company_id,
     warehouse_id, // Principal warehouse
@@ -610,6 +633,8 @@ router.post("/", imageUpload.single("image"), async (req, res) => {
     purchase_price, // Added from frontend form
     sales_price, // Added from frontend form
     tax_id, // Added from frontend form
+    is_serialized, // Suivi par numéro de série
+    weight, // Poids unitaire (kg), répartition des frais d'approche
   } = req.body;
 
   const image_path = req.file
@@ -684,8 +709,8 @@ router.post("/", imageUpload.single("image"), async (req, res) => {
       `INSERT INTO products (
                 company_id, warehouse_id, name, product_type, slug, 
                 barcode_symbology, item_code, category_id, unit_id, description, 
-                image, created_at, updated_at, status, is_deleted
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW(), 'actif', 0)`,
+                image, is_serialized, weight, created_at, updated_at, status, is_deleted
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW(), 'actif', 0)`,
       [
         actual_company_id, // Use validated/retrieved company_id
         warehouse_id,
@@ -698,6 +723,8 @@ router.post("/", imageUpload.single("image"), async (req, res) => {
         unit_id,
         description || null,
         image_path,
+        parseSerializedFlag(is_serialized) || 0,
+        parseFloat(weight) || null,
       ]
     );
     const productId = productResult.insertId;
@@ -761,7 +788,7 @@ router.post("/", imageUpload.single("image"), async (req, res) => {
 });
 
 // PUT - Update a product by ID
-router.put("/:id", imageUpload.single("image"), async (req, res) => {
+router.put("/:id", canEdit, imageUpload.single("image"), async (req, res) => {
   const { id } = req.params;
   const productId = Number(id);
   const {
@@ -779,6 +806,8 @@ router.put("/:id", imageUpload.single("image"), async (req, res) => {
     sales_price,
     tax_id,
     remove_image, // Flag to remove existing image
+    is_serialized, // Suivi par numéro de série (inchangé si absent)
+    weight, // Poids unitaire (kg), inchangé si absent
   } = req.body;
 
   const item_code = barcode; // Align name
@@ -840,7 +869,9 @@ router.put("/:id", imageUpload.single("image"), async (req, res) => {
     const [updateProductResult] = await connection.query(
       `UPDATE products SET
         name = ?, product_type = ?, slug = ?, barcode_symbology = ?, item_code = ?,
-        category_id = ?, unit_id = ?, description = ?, image = ?, updated_at = NOW()
+        category_id = ?, unit_id = ?, description = ?, image = ?,
+        is_serialized = COALESCE(?, is_serialized), weight = COALESCE(?, weight),
+        updated_at = NOW()
       WHERE id = ?`,
       [
         name,
@@ -852,6 +883,8 @@ router.put("/:id", imageUpload.single("image"), async (req, res) => {
         unit_id,
         description || null,
         finalImagePath,
+        parseSerializedFlag(is_serialized),
+        parseFloat(weight) || null,
         productId,
       ]
     );
@@ -953,7 +986,7 @@ router.put("/:id", imageUpload.single("image"), async (req, res) => {
 });
 
 // GET product by ID, include stock details if requested
-router.get("/:id", async (req, res) => {
+router.get("/:id", requireAuthenticated, async (req, res) => {
   const { id } = req.params;
   // const { with_stock, warehouse_id } = req.query; // We will always fetch details now
 
@@ -1046,7 +1079,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // DELETE - Mark a product as deleted (Soft Delete)
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canDelete, async (req, res) => {
   const { id } = req.params;
   const productId = Number(id); // Assurer que c'est un nombre
 
@@ -1135,6 +1168,7 @@ router.delete("/:id", async (req, res) => {
 // Update l'image d'un produit existant
 router.post(
   "/:id/update-image",
+  canEdit,
   imageUpload.single("image"),
   async (req, res) => {
     const connection = await db.getConnection();
@@ -1221,7 +1255,7 @@ const handleCsvUpload = (req, res, next) => {
 };
 
 // *** MODIFIED: Apply the handleCsvUpload middleware before the async route handler ***
-router.post("/import", handleCsvUpload, async (req, res) => {
+router.post("/import", canImport, handleCsvUpload, async (req, res) => {
   // *** DEBUGGING: Log request details (still useful) ***
   console.log("[IMPORT ROUTE] req.file:", req.file);
   console.log("[IMPORT ROUTE] req.body:", req.body);
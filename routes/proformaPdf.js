@@ -1,54 +1,93 @@
+// routes/proformaPdf.js
+// Proforma au format PDF, générée côté serveur à partir de la commande
+// (order_type = proforma) avec le même générateur que les factures et les
+// avoirs (utils/pdfGenerator.js).
 const express = require("express");
 const router = express.Router();
-const puppeteer = require("puppeteer");
+const db = require("../config/db");
+const InvoiceGenerator = require("../utils/pdfGenerator");
+const { requirePermission } = require("../middleware/auth");
 
-// Service hypothétique pour récupérer une proforma par son ID
-// Veuillez adapter cette partie à votre code existant
-const { getProformaById } = require("../services/proformaService");
+const canViewProforma = requirePermission("Ventes.ProformaDevis.view");
 
-// Importer le template HTML pour la proforma
-const {
-  generateProformaHTML,
-} = require("../src/gestion-proforma/ProformaHTMLTemplate");
-
-router.get("/:id/pdf", async (req, res) => {
+// GET /api/proformas/:id/pdf - Proforma au format PDF (?download=false pour
+// l'affichage dans le navigateur)
+router.get("/:id/pdf", canViewProforma, async (req, res) => {
+  const { download = "true" } = req.query;
   try {
-    const proformaId = req.params.id;
-    const proforma = await getProformaById(proformaId);
-    if (!proforma) {
-      return res.status(404).send("Proforma not found");
+    const [orderRows] = await db.query(
+      `SELECT o.*,
+              c.name as company_name, c.address as company_address,
+              c.phone as company_phone, c.email as company_email,
+              w.name as warehouse_name, w.address as warehouse_address,
+              w.phone as warehouse_phone, w.email as warehouse_email,
+              w.logo as warehouse_logo
+       FROM orders o
+       LEFT JOIN companies c ON o.company_id = c.id
+       LEFT JOIN warehouses w ON o.warehouse_id = w.id
+       WHERE o.id = ? AND o.order_type = 'proforma' AND o.is_deleted = 0`,
+      [req.params.id]
+    );
+    if (orderRows.length === 0) {
+      return res.status(404).json({ error: "Proforma non trouvée." });
     }
+    const order = orderRows[0];
+
+    const [items] = await db.query(
+      `SELECT oi.*, p.name as product_name
+       FROM order_items oi
+       LEFT JOIN products p ON oi.product_id = p.id
+       WHERE oi.order_id = ?`,
+      [order.id]
+    );
+    const [userRows] = await db.query("SELECT * FROM users WHERE id = ?", [
+      order.user_id,
+    ]);
 
-    // Générer le contenu HTML de la facture proforma
-    const htmlContent = generateProformaHTML({
-      order: proforma,
-      clientObj: proforma.client, // Assurez-vous que getProformaById fournit ces données
-      warehouse: proforma.warehouse,
-      totals: {
-        subtotal: proforma.subtotal,
-        totalDiscount: proforma.discount || 0,
-        totalTax: proforma.tax_amount || 0,
-        total: proforma.total,
+    const invoiceGenerator = new InvoiceGenerator();
+    const pdfBuffer = await invoiceGenerator.generateInvoice({
+      order,
+      items,
+      customer: userRows.length > 0 ? userRows[0] : null,
+      company: {
+        name: order.company_name,
+        address: order.company_address,
+        phone: order.company_phone,
+        email: order.company_email,
+      },
+      warehouse: {
+        name: order.warehouse_name,
+        address: order.warehouse_address,
+        phone: order.warehouse_phone,
+        email: order.warehouse_email,
+        logo_url: order.warehouse_logo || "",
+      },
+      document: {
+        title: "Facture proforma",
+        numberLabel: "Proforma N°",
+        number: order.invoice_number,
+        reference: "Document non valable comme facture",
+        summaryLines: [{ label: "Total TTC:", amount: order.total }],
       },
-      formattedDate: new Date(proforma.order_date).toLocaleDateString("fr-FR"),
-      formatNumber: (num) => num.toLocaleString("fr-FR"),
     });
 
-    // Lancer Puppeteer pour générer le PDF depuis le HTML
-    const browser = await puppeteer.launch({
-      args: ["--no-sandbox", "--disable-setuid-sandbox"],
+    const fileName = `proforma_${order.invoice_number.replace(
+      /[^a-zA-Z0-9]/g,
+      "_"
+    )}.pdf`;
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Length", pdfBuffer.length);
+    res.setHeader(
+      "Content-Disposition",
+      `${download === "true" ? "attachment" : "inline"}; filename="${fileName}"`
+    );
+    res.send(pdfBuffer);
+  } catch (err) {
+    console.error("Erreur lors de la génération du PDF de la proforma:", err);
+    res.status(500).json({
+      error: "Erreur lors de la génération du PDF de la proforma.",
+      details: err.message,
     });
-    const page = await browser.newPage();
-    await page.setContent(htmlContent, { waitUntil: "networkidle0" });
-
-    const pdfBuffer = await page.pdf({ format: "A4", printBackground: true });
-    await browser.close();
-
-    res.contentType("application/pdf");
-    return res.send(pdfBuffer);
-  } catch (error) {
-    console.error("Erreur lors de la génération du PDF:", error);
-    return res.status(500).send("Erreur lors de la génération du PDF");
   }
 });
 
@@ -0,0 +1,591 @@
+// routes/promotions.js
+// Promotions et codes promo (voir utils/promotions.js), sous /api/promotions :
+// règles datées (remises par article, catégorie, marque ou commande, lots,
+// X achetés / Y offerts), codes promo et leurs limites, simulation sur un
+// panier et rapport des remises accordées. Les promotions sont appliquées
+// par le serveur à la création des ventes et devis (POST /api/orders, avec
+// coupon_code ou coupon_codes) et journalisées dans order_promotions.
+const express = require("express");
+const router = express.Router();
+const dayjs = require("dayjs");
+const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const {
+  PROMOTION_TYPES,
+  PROMOTION_SCOPES,
+  evaluateOrderPromotions,
+} = require("../utils/promotions");
+
+const canViewPromotions = requirePermission(
+  "Promotions.view",
+  "Promotions.manage"
+);
+const canManagePromotions = requirePermission("Promotions.manage");
+const canEvaluatePromotions = requirePermission(
+  "Promotions.view",
+  "Ventes.Ventes.create",
+  "POS.use"
+);
+
+/** Période invalide (fin avant début) ? */
+const isInvalidPeriod = (startDate, endDate) =>
+  Boolean(
+    startDate && endDate && dayjs(endDate).isBefore(dayjs(startDate), "day")
+  );
+
+/**
+ * Valide une promotion (création ou état après modification).
+ * @returns {string|null} Message d'erreur
+ */
+function validatePromotion(promotion) {
+  if (!promotion.name) return "name est requis.";
+  if (!PROMOTION_TYPES[promotion.promotion_type]) {
+    return `Type de promotion invalide (${Object.keys(PROMOTION_TYPES).join(
+      ", "
+    )}).`;
+  }
+  const scope = promotion.scope || "order";
+  if (!PROMOTION_SCOPES[scope]) {
+    return `Périmètre invalide (${Object.keys(PROMOTION_SCOPES).join(", ")}).`;
+  }
+  if (scope !== "order" && !promotion.scope_id) {
+    return "scope_id est requis pour une promotion sur un article, une catégorie ou une marque.";
+  }
+  const value = parseFloat(promotion.value);
+  switch (promotion.promotion_type) {
+    case "percentage":
+      if (!(value > 0 && value <= 100)) {
+        return "Le pourcentage doit être compris entre 0 et 100.";
+      }
+      break;
+    case "fixed_amount":
+      if (!(value > 0)) return "Le montant de la remise doit être positif.";
+      break;
+    case "bundle":
+      if (!(value >= 0)) return "Le prix du lot doit être positif ou nul.";
+      if (
+        !Array.isArray(promotion.bundle_items) ||
+        promotion.bundle_items.length === 0 ||
+        promotion.bundle_items.some(
+          (item) => !item.product_id || !(parseFloat(item.quantity ?? 1) > 0)
+        )
+      ) {
+        return "Un lot doit contenir au moins un article (product_id, quantity).";
+      }
+      break;
+    case "buy_x_get_y":
+      if (
+        !(parseInt(promotion.buy_quantity, 10) > 0) ||
+        !(parseInt(promotion.get_quantity, 10) > 0)
+      ) {
+        return "buy_quantity et get_quantity doivent être positifs.";
+      }
+      if (promotion.value && !(value > 0 && value <= 100)) {
+        return "La remise sur les articles offerts doit être comprise entre 0 et 100 %.";
+      }
+      break;
+    default:
+      break;
+  }
+  if (isInvalidPeriod(promotion.start_date, promotion.end_date)) {
+    return "La date de fin précède la date de début.";
+  }
+  return null;
+}
+
+/** Valeurs enregistrées d'une promotion, dans l'ordre des colonnes. */
+function promotionColumns(promotion) {
+  const isBuyXGetY = promotion.promotion_type === "buy_x_get_y";
+  return [
+    promotion.name,
+    promotion.description || null,
+    promotion.promotion_type,
+    promotion.promotion_type === "bundle"
+      ? "order"
+      : promotion.scope || "order",
+    promotion.promotion_type === "bundle" ? null : promotion.scope_id || null,
+    isBuyXGetY && !promotion.value ? 100 : parseFloat(promotion.value) || 0,
+    isBuyXGetY ? parseInt(promotion.buy_quantity, 10) : null,
+    isBuyXGetY ? parseInt(promotion.get_quantity, 10) : null,
+    parseFloat(promotion.min_order_amount) || 0,
+    promotion.requires_coupon ? 1 : 0,
+    parseInt(promotion.priority, 10) || 0,
+    promotion.start_date || null,
+    promotion.end_date || null,
+    promotion.is_active === undefined || promotion.is_active ? 1 : 0,
+  ];
+}
+
+/** Remplace la composition d'un lot (dans la transaction en cours). */
+async function replaceBundleItems(connection, promotionId, promotion) {
+  await connection.query(
+    "DELETE FROM promotion_bundle_items WHERE promotion_id = ?",
+    [promotionId]
+  );
+  if (promotion.promotion_type !== "bundle") return;
+  for (const item of promotion.bundle_items) {
+    await connection.query(
+      "INSERT INTO promotion_bundle_items (promotion_id, product_id, quantity) VALUES (?, ?, ?)",
+      [promotionId, item.product_id, parseFloat(item.quantity ?? 1)]
+    );
+  }
+}
+
+// GET /api/promotions?company_id=&active=&page=&limit=
+router.get("/", canViewPromotions, async (req, res) => {
+  const { company_id, active, page, limit } = req.query;
+  if (!company_id) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+  const pageNum = parseInt(page) || 1;
+  const limitNum = parseInt(limit) || 10;
+  const offset = (pageNum - 1) * limitNum;
+
+  try {
+    const whereClauses = ["p.company_id = ?"];
+    const params = [company_id];
+    if (active !== undefined) {
+      whereClauses.push("p.is_active = ?");
+      params.push(active === "1" || active === "true" ? 1 : 0);
+    }
+    const whereString = whereClauses.join(" AND ");
+
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) AS total FROM promotions p WHERE ${whereString}`,
+      params
+    );
+    const [promotions] = await db.query(
+      `SELECT p.*,
+              (SELECT COUNT(*) FROM coupons c WHERE c.promotion_id = p.id) AS coupons_count
+       FROM promotions p
+       WHERE ${whereString}
+       ORDER BY p.priority DESC, p.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limitNum, offset]
+    );
+    res.json({
+      promotions: promotions.map((promotion) => ({
+        ...promotion,
+        promotion_type_label: PROMOTION_TYPES[promotion.promotion_type],
+        scope_label: PROMOTION_SCOPES[promotion.scope],
+      })),
+      total: countRows[0].total,
+      page: pageNum,
+      limit: limitNum,
+    });
+  } catch (err) {
+    console.error("Erreur lors de la récupération des promotions:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération des promotions.",
+      details: err.message,
+    });
+  }
+});
+
+// POST /api/promotions/evaluate - Promotions applicables à un panier
+// { company_id, user_id, order_date, items, coupon_code(s) }, sans
+// enregistrement (affichage en caisse et dans le formulaire de vente)
+router.post("/evaluate", canEvaluatePromotions, async (req, res) => {
+  const { company_id, items } = req.body;
+  if (!company_id || !Array.isArray(items)) {
+    return res
+      .status(400)
+      .json({ error: "company_id et items (tableau) sont requis." });
+  }
+  try {
+    const evaluation = await evaluateOrderPromotions(db, req.body);
+    if (evaluation.error) {
+      return res.status(400).json({ error: evaluation.error });
+    }
+    res.json({
+      discount: evaluation.discount,
+      promotions: evaluation.applied,
+    });
+  } catch (err) {
+    console.error("Erreur lors de l'évaluation des promotions:", err);
+    res.status(500).json({
+      error: "Erreur lors de l'évaluation des promotions.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/promotions/report?company_id=&date_from=&date_to= - Remises
+// accordées par promotion sur les ventes de la période
+router.get("/report", canViewPromotions, async (req, res) => {
+  const { company_id, date_from, date_to } = req.query;
+  if (!company_id) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+  try {
+    const whereClauses = [
+      "o.company_id = ?",
+      "o.is_deleted = 0",
+      "o.order_type = 'sales'",
+    ];
+    const params = [company_id];
+    if (date_from) {
+      whereClauses.push("o.order_date >= ?");
+      params.push(date_from);
+    }
+    if (date_to) {
+      whereClauses.push("o.order_date <= ?");
+      params.push(date_to);
+    }
+    const [rows] = await db.query(
+      `SELECT op.promotion_id, MAX(op.name) AS name,
+              MAX(op.promotion_type) AS promotion_type,
+              COUNT(DISTINCT op.order_id) AS orders_count,
+              COUNT(DISTINCT op.coupon_id) AS coupons_used,
+              COALESCE(SUM(op.discount_amount), 0) AS discount_total,
+              COALESCE(SUM(o.total), 0) AS sales_total
+       FROM order_promotions op
+       JOIN orders o ON o.id = op.order_id
+       WHERE ${whereClauses.join(" AND ")}
+       GROUP BY op.promotion_id
+       ORDER BY discount_total DESC`,
+      params
+    );
+    const promotions = rows.map((row) => ({
+      ...row,
+      promotion_type_label: PROMOTION_TYPES[row.promotion_type],
+      discount_total: parseFloat(row.discount_total),
+      sales_total: parseFloat(row.sales_total),
+    }));
+    res.json({
+      promotions,
+      discount_total:
+        Math.round(
+          promotions.reduce((sum, row) => sum + row.discount_total, 0) * 100
+        ) / 100,
+    });
+  } catch (err) {
+    console.error("Erreur lors du rapport des promotions:", err);
+    res.status(500).json({
+      error: "Erreur lors du rapport des promotions.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/promotions/coupons?company_id=&promotion_id= - Codes promo et
+// leurs utilisations (ventes non supprimées)
+router.get("/coupons", canViewPromotions, async (req, res) => {
+  const { company_id, promotion_id } = req.query;
+  if (!company_id) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+  try {
+    const whereClauses = ["c.company_id = ?"];
+    const params = [company_id];
+    if (promotion_id) {
+      whereClauses.push("c.promotion_id = ?");
+      params.push(promotion_id);
+    }
+    const [coupons] = await db.query(
+      `SELECT c.*, p.name AS promotion_name,
+              (SELECT COUNT(DISTINCT op.order_id)
+               FROM order_promotions op
+               JOIN orders o ON o.id = op.order_id
+               WHERE op.coupon_id = c.id AND o.is_deleted = 0
+                 AND o.order_type = 'sales') AS used_count
+       FROM coupons c
+       JOIN promotions p ON p.id = c.promotion_id
+       WHERE ${whereClauses.join(" AND ")}
+       ORDER BY c.created_at DESC, c.id DESC`,
+      params
+    );
+    res.json({ coupons });
+  } catch (err) {
+    console.error("Erreur lors de la récupération des codes promo:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération des codes promo.",
+      details: err.message,
+    });
+  }
+});
+
+// PUT /api/promotions/coupons/:couponId - Modifie un code promo (limites,
+// validité, activation)
+router.put("/coupons/:couponId", canManagePromotions, async (req, res) => {
+  try {
+    const [coupons] = await db.query("SELECT * FROM coupons WHERE id = ?", [
+      req.params.couponId,
+    ]);
+    if (coupons.length === 0) {
+      return res.status(404).json({ error: "Code promo non trouvé." });
+    }
+    const coupon = { ...coupons[0], ...req.body };
+    if (isInvalidPeriod(coupon.start_date, coupon.end_date)) {
+      return res
+        .status(400)
+        .json({ error: "La date de fin précède la date de début." });
+    }
+    await db.query(
+      `UPDATE coupons SET
+          usage_limit = ?, usage_per_customer = ?, start_date = ?, end_date = ?,
+          is_active = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [
+        coupon.usage_limit || null,
+        coupon.usage_per_customer || null,
+        coupon.start_date || null,
+        coupon.end_date || null,
+        coupon.is_active ? 1 : 0,
+        req.params.couponId,
+      ]
+    );
+    res.json({ message: "Code promo mis à jour." });
+  } catch (err) {
+    console.error("Erreur lors de la mise à jour du code promo:", err);
+    res.status(500).json({
+      error: "Erreur lors de la mise à jour du code promo.",
+      details: err.message,
+    });
+  }
+});
+
+// DELETE /api/promotions/coupons/:couponId - Supprime un code promo (les
+// commandes gardent la trace de la promotion appliquée)
+router.delete("/coupons/:couponId", canManagePromotions, async (req, res) => {
+  try {
+    const [result] = await db.query("DELETE FROM coupons WHERE id = ?", [
+      req.params.couponId,
+    ]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Code promo non trouvé." });
+    }
+    res.json({ message: "Code promo supprimé." });
+  } catch (err) {
+    console.error("Erreur lors de la suppression du code promo:", err);
+    res.status(500).json({
+      error: "Erreur lors de la suppression du code promo.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/promotions/:id - Promotion, composition du lot et codes promo
+router.get("/:id", canViewPromotions, async (req, res) => {
+  try {
+    const [promotions] = await db.query(
+      "SELECT * FROM promotions WHERE id = ?",
+      [req.params.id]
+    );
+    if (promotions.length === 0) {
+      return res.status(404).json({ error: "Promotion non trouvée." });
+    }
+    const [bundleItems] = await db.query(
+      `SELECT pbi.product_id, p.name AS product_name, pbi.quantity
+       FROM promotion_bundle_items pbi
+       LEFT JOIN products p ON p.id = pbi.product_id
+       WHERE pbi.promotion_id = ?`,
+      [req.params.id]
+    );
+    const [coupons] = await db.query(
+      "SELECT * FROM coupons WHERE promotion_id = ? ORDER BY id DESC",
+      [req.params.id]
+    );
+    res.json({
+      ...promotions[0],
+      promotion_type_label: PROMOTION_TYPES[promotions[0].promotion_type],
+      scope_label: PROMOTION_SCOPES[promotions[0].scope],
+      bundle_items: bundleItems,
+      coupons,
+    });
+  } catch (err) {
+    console.error("Erreur lors de la récupération de la promotion:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération de la promotion.",
+      details: err.message,
+    });
+  }
+});
+
+// POST /api/promotions - Nouvelle promotion (bundle_items pour un lot)
+router.post("/", canManagePromotions, async (req, res) => {
+  if (!req.body.company_id) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+  const error = validatePromotion(req.body);
+  if (error) return res.status(400).json({ error });
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [result] = await connection.query(
+      `INSERT INTO promotions (
+          company_id, name, description, promotion_type, scope, scope_id,
+          value, buy_quantity, get_quantity, min_order_amount, requires_coupon,
+          priority, start_date, end_date, is_active, created_at, updated_at
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [req.body.company_id, ...promotionColumns(req.body)]
+    );
+    await replaceBundleItems(connection, result.insertId, req.body);
+    await connection.commit();
+    res.status(201).json({ message: "Promotion créée.", id: result.insertId });
+  } catch (err) {
+    await connection.rollback();
+    console.error("Erreur lors de la création de la promotion:", err);
+    res.status(500).json({
+      error: "Erreur lors de la création de la promotion.",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// PUT /api/promotions/:id - Modifie une promotion ; bundle_items (si
+// transmis) remplace la composition du lot
+router.put("/:id", canManagePromotions, async (req, res) => {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [promotions] = await connection.query(
+      "SELECT * FROM promotions WHERE id = ? FOR UPDATE",
+      [req.params.id]
+    );
+    if (promotions.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Promotion non trouvée." });
+    }
+    let bundleItems = req.body.bundle_items;
+    if (bundleItems === undefined) {
+      [bundleItems] = await connection.query(
+        "SELECT product_id, quantity FROM promotion_bundle_items WHERE promotion_id = ?",
+        [req.params.id]
+      );
+    }
+    const promotion = {
+      ...promotions[0],
+      ...req.body,
+      bundle_items: bundleItems,
+    };
+    const error = validatePromotion(promotion);
+    if (error) {
+      await connection.rollback();
+      return res.status(400).json({ error });
+    }
+
+    await connection.query(
+      `UPDATE promotions SET
+          name = ?, description = ?, promotion_type = ?, scope = ?,
+          scope_id = ?, value = ?, buy_quantity = ?, get_quantity = ?,
+          min_order_amount = ?, requires_coupon = ?, priority = ?,
+          start_date = ?, end_date = ?, is_active = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [...promotionColumns(promotion), req.params.id]
+    );
+    await replaceBundleItems(connection, req.params.id, promotion);
+    await connection.commit();
+    res.json({ message: "Promotion mise à jour." });
+  } catch (err) {
+    await connection.rollback();
+    console.error("Erreur lors de la mise à jour de la promotion:", err);
+    res.status(500).json({
+      error: "Erreur lors de la mise à jour de la promotion.",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// DELETE /api/promotions/:id - Supprime une promotion et ses codes promo (les
+// commandes gardent la trace des remises accordées)
+router.delete("/:id", canManagePromotions, async (req, res) => {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [result] = await connection.query(
+      "DELETE FROM promotions WHERE id = ?",
+      [req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Promotion non trouvée." });
+    }
+    await connection.query(
+      "DELETE FROM promotion_bundle_items WHERE promotion_id = ?",
+      [req.params.id]
+    );
+    await connection.query("DELETE FROM coupons WHERE promotion_id = ?", [
+      req.params.id,
+    ]);
+    await connection.commit();
+    res.json({ message: "Promotion supprimée." });
+  } catch (err) {
+    await connection.rollback();
+    console.error("Erreur lors de la suppression de la promotion:", err);
+    res.status(500).json({
+      error: "Erreur lors de la suppression de la promotion.",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// POST /api/promotions/:id/coupons - Nouveau code promo de la promotion
+// { code, usage_limit, usage_per_customer, start_date, end_date }
+router.post("/:id/coupons", canManagePromotions, async (req, res) => {
+  const code = String(req.body.code || "")
+    .trim()
+    .toUpperCase();
+  if (!/^[A-Z0-9_-]{3,50}$/.test(code)) {
+    return res.status(400).json({
+      error:
+        "Code promo invalide (3 à 50 caractères : lettres, chiffres, - ou _).",
+    });
+  }
+  if (isInvalidPeriod(req.body.start_date, req.body.end_date)) {
+    return res
+      .status(400)
+      .json({ error: "La date de fin précède la date de début." });
+  }
+  try {
+    const [promotions] = await db.query(
+      "SELECT id, company_id FROM promotions WHERE id = ?",
+      [req.params.id]
+    );
+    if (promotions.length === 0) {
+      return res.status(404).json({ error: "Promotion non trouvée." });
+    }
+    const [existing] = await db.query(
+      "SELECT id FROM coupons WHERE company_id = ? AND UPPER(code) = ?",
+      [promotions[0].company_id, code]
+    );
+    if (existing.length > 0) {
+      return res
+        .status(409)
+        .json({ error: `Le code promo ${code} existe déjà.` });
+    }
+    const [result] = await db.query(
+      `INSERT INTO coupons (
+          company_id, promotion_id, code, usage_limit, usage_per_customer,
+          start_date, end_date, is_active, created_at, updated_at
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, 1, NOW(), NOW())`,
+      [
+        promotions[0].company_id,
+        promotions[0].id,
+        code,
+        parseInt(req.body.usage_limit, 10) || null,
+        parseInt(req.body.usage_per_customer, 10) || null,
+        req.body.start_date || null,
+        req.body.end_date || null,
+      ]
+    );
+    res
+      .status(201)
+      .json({ message: "Code promo créé.", id: result.insertId, code });
+  } catch (err) {
+    console.error("Erreur lors de la création du code promo:", err);
+    res.status(500).json({
+      error: "Erreur lors de la création du code promo.",
+      details: err.message,
+    });
+  }
+});
+
+module.exports = router;
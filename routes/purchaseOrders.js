@@ -0,0 +1,336 @@
+// routes/purchaseOrders.js
+// Cycle de vie des bons de commande fournisseur (voir utils/purchaseOrders.js).
+// Le bon est créé par POST /api/orders (order_type = purchase, po_status =
+// draft) et modifiable par PUT /api/orders/:id tant qu'il est en brouillon.
+const express = require("express");
+const router = express.Router();
+const db = require("../config/db");
+const dayjs = require("dayjs");
+const { requirePermission } = require("../middleware/auth");
+const {
+  PO_STATUS_LABELS,
+  OPEN_PO_STATUSES,
+  checkTransition,
+  receivePurchaseOrder,
+} = require("../utils/purchaseOrders");
+const { syncOrderEntry } = require("../utils/accounting");
+
+const canViewPurchases = requirePermission("Achats.Achat.view");
+const canEditPurchases = requirePermission("Achats.Achat.edit");
+const canApprovePurchases = requirePermission("Achats.Achat.approve");
+
+// GET /api/purchase-orders/backorders - Reliquats fournisseurs : lignes des
+// bons approuvés / envoyés / partiellement reçus pas encore entièrement reçues
+router.get("/backorders", canViewPurchases, async (req, res) => {
+  const { company_id, warehouse_id, user_id, product_id } = req.query;
+  if (!company_id) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+
+  try {
+    const conditions = [
+      "o.company_id = ?",
+      "o.order_type = 'purchase'",
+      "o.is_deleted = 0",
+      "o.po_status IN (?)",
+      "oi.quantity_received < oi.quantity",
+    ];
+    const params = [company_id, OPEN_PO_STATUSES];
+    if (warehouse_id) {
+      conditions.push("o.warehouse_id = ?");
+      params.push(warehouse_id);
+    }
+    if (user_id) {
+      conditions.push("o.user_id = ?");
+      params.push(user_id);
+    }
+    if (product_id) {
+      conditions.push("oi.product_id = ?");
+      params.push(product_id);
+    }
+
+    const [rows] = await db.query(
+      `SELECT o.id AS order_id, o.invoice_number, o.order_date, o.expected_date,
+              o.po_status, o.warehouse_id, w.name AS warehouse_name,
+              o.user_id, u.name AS supplier_name,
+              oi.id AS order_item_id, oi.product_id, p.name AS product_name,
+              oi.unit_price, oi.quantity AS quantity_ordered, oi.quantity_received,
+              oi.quantity - oi.quantity_received AS quantity_remaining,
+              (oi.quantity - oi.quantity_received) * oi.unit_price AS remaining_value,
+              GREATEST(DATEDIFF(CURDATE(), o.expected_date), 0) AS days_late
+       FROM order_items oi
+       JOIN orders o ON oi.order_id = o.id
+       LEFT JOIN products p ON oi.product_id = p.id
+       LEFT JOIN users u ON o.user_id = u.id
+       LEFT JOIN warehouses w ON o.warehouse_id = w.id
+       WHERE ${conditions.join(" AND ")}
+       ORDER BY o.expected_date IS NULL, o.expected_date ASC, o.order_date ASC, oi.id ASC`,
+      params
+    );
+
+    const backorders = rows.map((row) => ({
+      ...row,
+      po_status_label: PO_STATUS_LABELS[row.po_status],
+      quantity_ordered: parseFloat(row.quantity_ordered),
+      quantity_received: parseFloat(row.quantity_received),
+      quantity_remaining: parseFloat(row.quantity_remaining),
+      remaining_value: parseFloat(row.remaining_value || 0),
+      days_late: row.expected_date ? parseInt(row.days_late, 10) : null,
+    }));
+    res.json({
+      backorders,
+      total_value: backorders.reduce(
+        (sum, row) => sum + row.remaining_value,
+        0
+      ),
+    });
+  } catch (err) {
+    console.error("Erreur lors de la récupération des reliquats:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération des reliquats.",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * Charge un bon de commande avec ses lignes (commandé / reçu / reliquat) et
+ * ses réceptions.
+ * @returns {Promise<Object|null>}
+ */
+async function loadPurchaseOrder(id) {
+  const [rows] = await db.query(
+    `SELECT o.*, u.name AS supplier_name, w.name AS warehouse_name,
+            a.name AS approved_by_name
+     FROM orders o
+     LEFT JOIN users u ON o.user_id = u.id
+     LEFT JOIN warehouses w ON o.warehouse_id = w.id
+     LEFT JOIN users a ON o.approved_by = a.id
+     WHERE o.id = ? AND o.order_type = 'purchase' AND o.po_status IS NOT NULL`,
+    [id]
+  );
+  if (rows.length === 0) return null;
+
+  const [items] = await db.query(
+    `SELECT oi.*, p.name AS product_name,
+            oi.quantity - oi.quantity_received AS quantity_remaining
+     FROM order_items oi
+     LEFT JOIN products p ON oi.product_id = p.id
+     WHERE oi.order_id = ?
+     ORDER BY oi.id ASC`,
+    [id]
+  );
+  const [receipts] = await db.query(
+    `SELECT pr.*, u.name AS created_by_name
+     FROM purchase_receipts pr
+     LEFT JOIN users u ON pr.created_by = u.id
+     WHERE pr.order_id = ?
+     ORDER BY pr.receipt_date ASC, pr.id ASC`,
+    [id]
+  );
+  if (receipts.length > 0) {
+    const [receiptItems] = await db.query(
+      `SELECT pri.*, p.name AS product_name
+       FROM purchase_receipt_items pri
+       LEFT JOIN products p ON pri.product_id = p.id
+       WHERE pri.receipt_id IN (?)
+       ORDER BY pri.id ASC`,
+      [receipts.map((receipt) => receipt.id)]
+    );
+    receipts.forEach((receipt) => {
+      receipt.items = receiptItems.filter(
+        (item) => Number(item.receipt_id) === Number(receipt.id)
+      );
+    });
+  }
+
+  return {
+    ...rows[0],
+    po_status_label: PO_STATUS_LABELS[rows[0].po_status],
+    items,
+    receipts,
+  };
+}
+
+// GET /api/purchase-orders/:id - Bon de commande, lignes et réceptions
+router.get("/:id", canViewPurchases, async (req, res) => {
+  try {
+    const purchaseOrder = await loadPurchaseOrder(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: "Bon de commande non trouvé." });
+    }
+    res.json(purchaseOrder);
+  } catch (err) {
+    console.error("Erreur lors de la récupération du bon de commande:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération du bon de commande.",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * Route de changement de statut : vérifie la transition dans une transaction
+ * (bon verrouillé), puis applique les colonnes à mettre à jour.
+ * @param {string} action - approve, send ou close
+ * @param {string} poStatus - Nouveau statut
+ * @param {Function} columns - (req) => colonnes supplémentaires { colonne: valeur }
+ * @param {string} message - Message de succès
+ */
+function transitionRoute(action, poStatus, columns, message) {
+  return async (req, res) => {
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [rows] = await connection.query(
+        "SELECT * FROM orders WHERE id = ? FOR UPDATE",
+        [req.params.id]
+      );
+      if (rows.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ error: "Bon de commande non trouvé." });
+      }
+      const transitionError = checkTransition(rows[0], action);
+      if (transitionError) {
+        await connection.rollback();
+        return res.status(409).json({ error: transitionError });
+      }
+
+      const updates = { po_status: poStatus, ...columns(req) };
+      await connection.query(
+        `UPDATE orders SET ${Object.keys(updates)
+          .map((column) => `${column} = ?`)
+          .join(", ")} WHERE id = ?`,
+        [...Object.values(updates), req.params.id]
+      );
+      await connection.commit();
+
+      res.json({
+        message,
+        id: Number(req.params.id),
+        po_status: poStatus,
+        po_status_label: PO_STATUS_LABELS[poStatus],
+      });
+    } catch (err) {
+      await connection.rollback();
+      console.error(
+        `Erreur lors de l'action ${action} du bon de commande:`,
+        err
+      );
+      res.status(500).json({
+        error: "Erreur lors du changement de statut du bon de commande.",
+        details: err.message,
+      });
+    } finally {
+      connection.release();
+    }
+  };
+}
+
+// POST /api/purchase-orders/:id/approve - Approbation (brouillon -> approuvé)
+router.post(
+  "/:id/approve",
+  canApprovePurchases,
+  transitionRoute(
+    "approve",
+    "approved",
+    (req) => ({
+      approved_by: req.user ? req.user.id : null,
+      approved_at: new Date(),
+    }),
+    "Bon de commande approuvé."
+  )
+);
+
+// POST /api/purchase-orders/:id/send - Envoi au fournisseur
+router.post(
+  "/:id/send",
+  canEditPurchases,
+  transitionRoute(
+    "send",
+    "sent",
+    (req) => ({
+      sent_at: new Date(),
+      order_status: "Commandé",
+      ...(req.body && req.body.expected_date
+        ? { expected_date: dayjs(req.body.expected_date).format("YYYY-MM-DD") }
+        : {}),
+    }),
+    "Bon de commande envoyé au fournisseur."
+  )
+);
+
+// POST /api/purchase-orders/:id/close - Clôture : le reliquat n'est plus attendu
+router.post(
+  "/:id/close",
+  canEditPurchases,
+  transitionRoute(
+    "close",
+    "closed",
+    () => ({ closed_at: new Date() }),
+    "Bon de commande clôturé."
+  )
+);
+
+// POST /api/purchase-orders/:id/receipts - Réception (partielle ou totale)
+// Body : { date, notes, lines: [{ order_item_id, quantity, batch_number,
+// expiry_date, manufacture_date, serial_numbers }] }
+router.post("/:id/receipts", canEditPurchases, async (req, res) => {
+  const { date, notes, lines } = req.body;
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return res
+      .status(400)
+      .json({ error: "Indiquez les lignes et quantités reçues." });
+  }
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [rows] = await connection.query(
+      "SELECT * FROM orders WHERE id = ? FOR UPDATE",
+      [req.params.id]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Bon de commande non trouvé." });
+    }
+    const transitionError = checkTransition(rows[0], "receive");
+    if (transitionError) {
+      await connection.rollback();
+      return res.status(409).json({ error: transitionError });
+    }
+
+    const receipt = await receivePurchaseOrder(connection, rows[0], {
+      date: dayjs(date || undefined).format("YYYY-MM-DD"),
+      notes,
+      lines,
+      createdBy: req.user ? req.user.id : null,
+    });
+    if (receipt.error) {
+      await connection.rollback();
+      return res.status(400).json({ error: receipt.error });
+    }
+    // La dette fournisseur suit la part reçue du bon
+    await syncOrderEntry(connection, rows[0].id);
+
+    await connection.commit();
+    res.status(201).json({
+      message: "Réception enregistrée avec succès.",
+      receipt_id: receipt.id,
+      receipt_number: receipt.receipt_number,
+      po_status: receipt.po_status,
+      po_status_label: PO_STATUS_LABELS[receipt.po_status],
+    });
+  } catch (err) {
+    await connection.rollback();
+    console.error("Erreur lors de la réception du bon de commande:", err);
+    res.status(500).json({
+      error: "Erreur lors de la réception du bon de commande.",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,147 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+
+const canViewSerials = requirePermission(
+  "Produits.Produits.view",
+  "Ventes.Ventes.view",
+  "Stock.GestionStock.view"
+);
+
+// GET /api/serials - Numéros de série (filtres : produit, magasin, statut)
+router.get("/", canViewSerials, async (req, res) => {
+  const { product_id, warehouse_id, status, search, page, limit } = req.query;
+  const pageNum = parseInt(page) || 1;
+  const limitNum = parseInt(limit) || 50;
+  const offset = (pageNum - 1) * limitNum;
+
+  const connection = await db.getConnection();
+  try {
+    const whereClauses = ["1 = 1"];
+    const queryParams = [];
+
+    if (product_id) {
+      whereClauses.push("ps.product_id = ?");
+      queryParams.push(parseInt(product_id));
+    }
+    if (warehouse_id) {
+      whereClauses.push("ps.warehouse_id = ?");
+      queryParams.push(parseInt(warehouse_id));
+    }
+    if (status) {
+      whereClauses.push("ps.status = ?");
+      queryParams.push(status);
+    }
+    if (search) {
+      whereClauses.push("ps.serial_number LIKE ?");
+      queryParams.push(`%${search}%`);
+    }
+
+    const whereString = whereClauses.join(" AND ");
+
+    const [countResult] = await connection.query(
+      `SELECT COUNT(*) as total FROM product_serials ps WHERE ${whereString}`,
+      queryParams
+    );
+
+    const [serials] = await connection.query(
+      `SELECT
+        ps.*,
+        p.name as product_name,
+        w.name as warehouse_name,
+        u.name as customer_name
+      FROM product_serials ps
+      LEFT JOIN products p ON ps.product_id = p.id
+      LEFT JOIN warehouses w ON ps.warehouse_id = w.id
+      LEFT JOIN users u ON ps.customer_id = u.id
+      WHERE ${whereString}
+      ORDER BY ps.updated_at DESC
+      LIMIT ? OFFSET ?`,
+      [...queryParams, limitNum, offset]
+    );
+
+    res.json({
+      serials,
+      total: countResult[0].total,
+      page: pageNum,
+      limit: limitNum,
+    });
+  } catch (err) {
+    console.error("Error fetching serial numbers:", err);
+    res
+      .status(500)
+      .json({ error: "Internal server error.", details: err.message });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// GET /api/serials/:serialNumber - Historique complet d'un numéro de série
+// (réception, vente, retour, transfert), pour la garantie et le SAV.
+// Un même numéro peut exister pour plusieurs produits : filtrer par product_id.
+router.get("/:serialNumber", canViewSerials, async (req, res) => {
+  const { serialNumber } = req.params;
+  const { product_id } = req.query;
+
+  const connection = await db.getConnection();
+  try {
+    const params = [serialNumber];
+    let productFilter = "";
+    if (product_id) {
+      productFilter = " AND ps.product_id = ?";
+      params.push(parseInt(product_id));
+    }
+
+    const [serials] = await connection.query(
+      `SELECT
+        ps.*,
+        p.name as product_name,
+        p.item_code,
+        w.name as warehouse_name,
+        u.name as customer_name
+      FROM product_serials ps
+      LEFT JOIN products p ON ps.product_id = p.id
+      LEFT JOIN warehouses w ON ps.warehouse_id = w.id
+      LEFT JOIN users u ON ps.customer_id = u.id
+      WHERE ps.serial_number = ?${productFilter}`,
+      params
+    );
+
+    if (serials.length === 0) {
+      return res.status(404).json({ error: "Numéro de série introuvable." });
+    }
+
+    const [movements] = await connection.query(
+      `SELECT
+        sm.*,
+        o.invoice_number,
+        o.order_date,
+        o.is_deleted as order_deleted,
+        w.name as warehouse_name,
+        u.name as user_name
+      FROM serial_movements sm
+      LEFT JOIN orders o ON sm.order_id = o.id
+      LEFT JOIN warehouses w ON sm.warehouse_id = w.id
+      LEFT JOIN users u ON sm.user_id = u.id
+      WHERE sm.serial_id IN (?)
+      ORDER BY sm.created_at ASC, sm.id ASC`,
+      [serials.map((serial) => serial.id)]
+    );
+
+    serials.forEach((serial) => {
+      serial.history = movements.filter((m) => m.serial_id === serial.id);
+    });
+
+    res.json(serials);
+  } catch (err) {
+    console.error("Error fetching serial number history:", err);
+    res
+      .status(500)
+      .json({ error: "Internal server error.", details: err.message });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,12 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../config/db"); // Adjust path as needed
+const { requirePermission } = require("../middleware/auth");
+
+const canViewHistory = requirePermission("Stock.GestionStock.view_history");
 
 // GET /api/stock-history - Fetch stock movements for a product
-router.get("/", async (req, res) => {
+router.get("/", canViewHistory, async (req, res) => {
   const { product_id, warehouse_id, page, limit } = req.query;
   const pageNum = parseInt(page) || 1;
   const limitNum = parseInt(limit) || 10;
@@ -0,0 +1,348 @@
+// routes/stockTransfers.js
+// Expédition et réception des transferts de stock (voir
+// utils/stockTransfers.js), montées sous /api/stock/transfers (routes/stock.js).
+// Le transfert est créé en brouillon par POST /api/stock/transfers et
+// modifiable par PUT /api/orders/:id tant qu'il est en brouillon.
+const express = require("express");
+const router = express.Router();
+const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const {
+  TRANSFER_STATUS_LABELS,
+  DISCREPANCY_TYPES,
+  checkTransferTransition,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer,
+} = require("../utils/stockTransfers");
+
+const canView = requirePermission("Stock.GestionStock.view");
+const canTransfer = requirePermission("Stock.GestionStock.transfer");
+
+const DEFAULT_OVERDUE_DAYS = 3;
+
+// GET /api/stock/transfers/overdue - Transferts expédiés et non confirmés
+// depuis plus de N jours (?days=, 3 par défaut)
+router.get("/overdue", canView, async (req, res) => {
+  const { company_id, warehouse_id, from_warehouse_id } = req.query;
+  if (!company_id) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+  const days =
+    req.query.days !== undefined
+      ? parseInt(req.query.days, 10)
+      : DEFAULT_OVERDUE_DAYS;
+  if (isNaN(days) || days < 0) {
+    return res.status(400).json({ error: "days doit être un entier positif." });
+  }
+
+  try {
+    const whereClauses = [
+      "o.company_id = ?",
+      "o.order_type = 'stock-transfer'",
+      "o.transfer_status = 'in_transit'",
+      "o.is_deleted = 0",
+      "o.dispatched_at < DATE_SUB(NOW(), INTERVAL ? DAY)",
+    ];
+    const params = [company_id, days];
+    if (warehouse_id) {
+      whereClauses.push("o.warehouse_id = ?");
+      params.push(warehouse_id);
+    }
+    if (from_warehouse_id) {
+      whereClauses.push("o.from_warehouse_id = ?");
+      params.push(from_warehouse_id);
+    }
+
+    const [transfers] = await db.query(
+      `SELECT o.id, o.invoice_number, o.order_date, o.dispatched_at,
+              o.from_warehouse_id, fw.name AS from_warehouse_name,
+              o.warehouse_id, w.name AS warehouse_name,
+              u.name AS dispatched_by_name,
+              DATEDIFF(NOW(), o.dispatched_at) AS days_in_transit,
+              (SELECT COALESCE(SUM(oi.quantity), 0) FROM order_items oi
+               WHERE oi.order_id = o.id) AS total_quantity,
+              (SELECT COALESCE(SUM(-sm.quantity * sm.unit_cost), 0)
+               FROM stock_movements sm
+               WHERE sm.reference_type = 'stock_transfer' AND sm.reference_id = o.id
+                 AND sm.quantity < 0) AS transit_value
+       FROM orders o
+       LEFT JOIN warehouses fw ON o.from_warehouse_id = fw.id
+       LEFT JOIN warehouses w ON o.warehouse_id = w.id
+       LEFT JOIN users u ON o.dispatched_by = u.id
+       WHERE ${whereClauses.join(" AND ")}
+       ORDER BY o.dispatched_at ASC`,
+      params
+    );
+
+    res.json({
+      days,
+      transfers: transfers.map((transfer) => ({
+        ...transfer,
+        days_in_transit: parseInt(transfer.days_in_transit, 10),
+        total_quantity: parseFloat(transfer.total_quantity),
+        transit_value:
+          Math.round(parseFloat(transfer.transit_value) * 100) / 100,
+      })),
+      total: transfers.length,
+      total_value:
+        Math.round(
+          transfers.reduce(
+            (sum, transfer) => sum + parseFloat(transfer.transit_value),
+            0
+          ) * 100
+        ) / 100,
+    });
+  } catch (err) {
+    console.error("Erreur lors du rapport des transferts en retard:", err);
+    res.status(500).json({
+      error: "Erreur lors du rapport des transferts en retard.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/stock/transfers/discrepancies - Écarts constatés à la réception
+router.get("/discrepancies", canView, async (req, res) => {
+  const {
+    company_id,
+    warehouse_id,
+    discrepancy_type,
+    date_from,
+    date_to,
+    page,
+    limit,
+  } = req.query;
+  if (!company_id) {
+    return res.status(400).json({ error: "company_id est requis." });
+  }
+  const pageNum = parseInt(page) || 1;
+  const limitNum = parseInt(limit) || 10;
+  const offset = (pageNum - 1) * limitNum;
+
+  try {
+    const whereClauses = ["o.company_id = ?"];
+    const params = [company_id];
+    if (warehouse_id) {
+      whereClauses.push("(o.warehouse_id = ? OR o.from_warehouse_id = ?)");
+      params.push(warehouse_id, warehouse_id);
+    }
+    if (discrepancy_type) {
+      whereClauses.push("d.discrepancy_type = ?");
+      params.push(discrepancy_type);
+    }
+    if (date_from) {
+      whereClauses.push("DATE(d.created_at) >= ?");
+      params.push(date_from);
+    }
+    if (date_to) {
+      whereClauses.push("DATE(d.created_at) <= ?");
+      params.push(date_to);
+    }
+    const whereString = whereClauses.join(" AND ");
+
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) AS total, COALESCE(SUM(d.value), 0) AS total_value
+       FROM stock_transfer_discrepancies d
+       JOIN orders o ON d.order_id = o.id
+       WHERE ${whereString}`,
+      params
+    );
+    const [discrepancies] = await db.query(
+      `SELECT d.*, o.invoice_number, p.name AS product_name,
+              fw.name AS from_warehouse_name, w.name AS warehouse_name,
+              u.name AS created_by_name
+       FROM stock_transfer_discrepancies d
+       JOIN orders o ON d.order_id = o.id
+       JOIN products p ON d.product_id = p.id
+       LEFT JOIN warehouses fw ON o.from_warehouse_id = fw.id
+       LEFT JOIN warehouses w ON o.warehouse_id = w.id
+       LEFT JOIN users u ON d.created_by = u.id
+       WHERE ${whereString}
+       ORDER BY d.created_at DESC, d.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limitNum, offset]
+    );
+
+    res.json({
+      discrepancies: discrepancies.map((discrepancy) => ({
+        ...discrepancy,
+        discrepancy_type_label: DISCREPANCY_TYPES[discrepancy.discrepancy_type],
+      })),
+      total: countRows[0].total,
+      total_value: parseFloat(countRows[0].total_value),
+      page: pageNum,
+      limit: limitNum,
+    });
+  } catch (err) {
+    console.error(
+      "Erreur lors de la récupération des écarts de transfert:",
+      err
+    );
+    res.status(500).json({
+      error: "Erreur lors de la récupération des écarts de transfert.",
+      details: err.message,
+    });
+  }
+});
+
+// GET /api/stock/transfers/:id - Transfert avec ses lignes et ses écarts
+router.get("/:id", canView, async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT o.*, fw.name AS from_warehouse_name, w.name AS warehouse_name,
+              du.name AS dispatched_by_name, ru.name AS received_by_name
+       FROM orders o
+       LEFT JOIN warehouses fw ON o.from_warehouse_id = fw.id
+       LEFT JOIN warehouses w ON o.warehouse_id = w.id
+       LEFT JOIN users du ON o.dispatched_by = du.id
+       LEFT JOIN users ru ON o.received_by = ru.id
+       WHERE o.id = ? AND o.order_type = 'stock-transfer'`,
+      [req.params.id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Transfert non trouvé." });
+    }
+
+    const [items] = await db.query(
+      `SELECT oi.id, oi.product_id, p.name AS product_name, p.item_code,
+              oi.quantity, oi.quantity_received, oi.quantity_damaged
+       FROM order_items oi
+       JOIN products p ON oi.product_id = p.id
+       WHERE oi.order_id = ?
+       ORDER BY oi.id ASC`,
+      [req.params.id]
+    );
+    const [discrepancies] = await db.query(
+      `SELECT * FROM stock_transfer_discrepancies WHERE order_id = ? ORDER BY id ASC`,
+      [req.params.id]
+    );
+
+    res.json({
+      ...rows[0],
+      transfer_status_label: TRANSFER_STATUS_LABELS[rows[0].transfer_status],
+      items,
+      discrepancies: discrepancies.map((discrepancy) => ({
+        ...discrepancy,
+        discrepancy_type_label: DISCREPANCY_TYPES[discrepancy.discrepancy_type],
+      })),
+    });
+  } catch (err) {
+    console.error("Erreur lors de la récupération du transfert:", err);
+    res.status(500).json({
+      error: "Erreur lors de la récupération du transfert.",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * Route d'action sur un transfert : verrouille la commande, contrôle le
+ * statut, puis exécute l'action dans une transaction.
+ * @param {string} action - dispatch, receive ou cancel
+ * @param {Function} handler - (connection, order, req) => corps de la réponse
+ * @param {string} errorLabel - Libellé de l'erreur 500
+ */
+function transferAction(action, handler, errorLabel) {
+  return async (req, res) => {
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [rows] = await connection.query(
+        "SELECT * FROM orders WHERE id = ? FOR UPDATE",
+        [req.params.id]
+      );
+      if (rows.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ error: "Transfert non trouvé." });
+      }
+      const transitionError = checkTransferTransition(rows[0], action);
+      if (transitionError) {
+        await connection.rollback();
+        return res.status(409).json({ error: transitionError });
+      }
+
+      const body = await handler(connection, rows[0], req);
+      await connection.commit();
+      res.json(body);
+    } catch (err) {
+      await connection.rollback();
+      console.error(`${errorLabel}:`, err);
+      res.status(500).json({ error: `${errorLabel}.`, details: err.message });
+    } finally {
+      connection.release();
+    }
+  };
+}
+
+// POST /api/stock/transfers/:id/dispatch - Expédition : le stock quitte le
+// magasin source et passe en transit
+// Body : { lines: [{ order_item_id, batch_number, serial_numbers }] }
+router.post(
+  "/:id/dispatch",
+  canTransfer,
+  transferAction(
+    "dispatch",
+    async (connection, order, req) => {
+      await dispatchTransfer(connection, order, {
+        userId: req.user ? req.user.id : null,
+        lines: req.body.lines,
+      });
+      return {
+        message: "Transfert expédié.",
+        transfer_status: "in_transit",
+        transfer_status_label: TRANSFER_STATUS_LABELS.in_transit,
+      };
+    },
+    "Erreur lors de l'expédition du transfert"
+  )
+);
+
+// POST /api/stock/transfers/:id/receive - Réception par le magasin de
+// destination. Les lignes non détaillées sont reçues en totalité.
+// Body : { lines: [{ order_item_id, quantity_received, quantity_damaged,
+//   reason, serial_numbers, damaged_serial_numbers }] }
+router.post(
+  "/:id/receive",
+  canTransfer,
+  transferAction(
+    "receive",
+    async (connection, order, req) => {
+      const discrepancies = await receiveTransfer(connection, order, {
+        userId: req.user ? req.user.id : null,
+        lines: req.body.lines,
+      });
+      return {
+        message:
+          discrepancies.length > 0
+            ? "Transfert reçu avec écarts."
+            : "Transfert reçu.",
+        transfer_status: "received",
+        transfer_status_label: TRANSFER_STATUS_LABELS.received,
+        discrepancies,
+      };
+    },
+    "Erreur lors de la réception du transfert"
+  )
+);
+
+// POST /api/stock/transfers/:id/cancel - Annulation : la marchandise en
+// transit revient au magasin source
+router.post(
+  "/:id/cancel",
+  canTransfer,
+  transferAction(
+    "cancel",
+    async (connection, order) => {
+      await cancelTransfer(connection, order);
+      return {
+        message: "Transfert annulé.",
+        transfer_status: "cancelled",
+        transfer_status_label: TRANSFER_STATUS_LABELS.cancelled,
+      };
+    },
+    "Erreur lors de l'annulation du transfert"
+  )
+);
+
+module.exports = router;
@@ -1,6 +1,14 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../config/db");
+const {
+  requireAuthenticated,
+  requirePermission,
+} = require("../middleware/auth");
+
+const canCreate = requirePermission("Admin.Taxes.create");
+const canEdit = requirePermission("Admin.Taxes.edit");
+const canDelete = requirePermission("Admin.Taxes.delete");
 
 // Fonction pour s'assurer que la colonne description accepte NULL
 const ensureDescriptionNullable = async () => {
@@ -39,7 +47,7 @@ const ensureDescriptionNullable = async () => {
 ensureDescriptionNullable();
 
 // Récupérer toutes les taxes avec pagination et filtres
-router.get("/", async (req, res) => {
+router.get("/", requireAuthenticated, async (req, res) => {
   console.log("GET /api/taxes - Query params :", req.query);
   const connection = await db.getConnection();
   try {
@@ -124,7 +132,7 @@ router.get("/", async (req, res) => {
 });
 
 // Créer une nouvelle taxe
-router.post("/", async (req, res) => {
+router.post("/", canCreate, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -241,7 +249,7 @@ router.post("/", async (req, res) => {
 });
 
 // Mettre à jour une taxe
-router.put("/:id", async (req, res) => {
+router.put("/:id", canEdit, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -380,7 +388,7 @@ router.put("/:id", async (req, res) => {
 });
 
 // Supprimer une taxe
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canDelete, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -443,7 +451,7 @@ router.delete("/:id", async (req, res) => {
 });
 
 // Mettre à jour le statut d'une taxe
-router.patch("/:id/status", async (req, res) => {
+router.patch("/:id/status", canEdit, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
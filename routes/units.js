@@ -1,9 +1,17 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../config/db");
+const {
+  requireAuthenticated,
+  requirePermission,
+} = require("../middleware/auth");
+
+const canCreate = requirePermission("Produits.Unites.create");
+const canEdit = requirePermission("Produits.Unites.edit");
+const canDelete = requirePermission("Produits.Unites.delete");
 
 // Récupérer toutes les unités avec pagination et filtres
-router.get("/", async (req, res) => {
+router.get("/", requireAuthenticated, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const page = parseInt(req.query.page) || 1;
@@ -76,7 +84,7 @@ router.get("/", async (req, res) => {
 });
 
 // Créer une nouvelle unité
-router.post("/", async (req, res) => {
+router.post("/", canCreate, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -193,7 +201,7 @@ router.post("/", async (req, res) => {
 });
 
 // Mettre à jour une unité
-router.put("/:id", async (req, res) => {
+router.put("/:id", canEdit, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -340,7 +348,7 @@ router.put("/:id", async (req, res) => {
 });
 
 // Supprimer une unité
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canDelete, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
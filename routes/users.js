@@ -2,12 +2,80 @@ const express = require("express");
 const router = express.Router();
 const multer = require("multer");
 const db = require("../config/db");
+const {
+  requirePermission,
+  requirePermissionFor,
+} = require("../middleware/auth");
 const path = require("path");
 const fs = require("fs");
 const bcrypt = require("bcrypt");
+const {
+  LOYALTY_TRANSACTION_LABELS,
+  DEFAULT_LOYALTY_PROGRAM,
+  getLoyaltyProgram,
+  getLoyaltyBalance,
+} = require("../utils/loyalty");
 
 const ALLOWED_USER_TYPES = ["customers", "staff_members", "suppliers"];
 
+// Module de permission de chaque type d'utilisateur
+const USER_PERMISSION_MODULES = {
+  customers: "Entites.Clients",
+  suppliers: "Entites.Fournisseurs",
+  staff_members: "Admin.GestionUtilisateurs",
+};
+
+/**
+ * Middleware : vérifie la permission de l'action selon le type d'utilisateur.
+ * Pour /:id le type est lu en base ; sinon dans le corps ou la query.
+ * Sans type connu, le droit sur n'importe quel type suffit. Chacun peut
+ * consulter sa propre fiche.
+ * @param {string} action - 'view', 'create', 'edit' ou 'delete'
+ */
+const userPermission = (action) =>
+  requirePermissionFor(async (req) => {
+    if (action === "view" && String(req.params.id) === String(req.user.id)) {
+      return null;
+    }
+    let userType = null;
+    if (req.params.id) {
+      const [rows] = await db.query(
+        "SELECT user_type FROM users WHERE id = ?",
+        [req.params.id]
+      );
+      userType = rows.length > 0 ? rows[0].user_type : null;
+    } else {
+      userType = (req.body && req.body.user_type) || req.query.user_type;
+    }
+
+    if (!userType) {
+      return Object.values(USER_PERMISSION_MODULES).map(
+        (permissionModule) => `${permissionModule}.${action}`
+      );
+    }
+    const permissionModule = USER_PERMISSION_MODULES[userType];
+    return permissionModule ? `${permissionModule}.${action}` : [];
+  });
+
+const canView = userPermission("view");
+const canCreate = userPermission("create");
+const canEdit = userPermission("edit");
+const canDelete = userPermission("delete");
+const canListSuppliers = requirePermission(
+  "Entites.Fournisseurs.view",
+  "Achats.Achat.create"
+);
+const canListCustomers = requirePermission(
+  "Entites.Clients.view",
+  "Ventes.Ventes.create",
+  "POS.use"
+);
+const canViewLoyalty = requirePermission(
+  "Entites.Clients.view",
+  "Fidelite.view",
+  "POS.use"
+);
+
 // Configuration de multer pour les images de profil
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -37,8 +105,13 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
 });
 
+// multer d'abord à la création : user_type n'est lisible qu'une fois le
+// formulaire multipart analysé. À la modification, le type est lu en base.
+const uploadNewUser = [upload.single("profile_image"), canCreate];
+const uploadUserUpdate = [canEdit, upload.single("profile_image")];
+
 // GET /api/users - Récupérer tous les utilisateurs avec pagination et filtres
-router.get("/", async (req, res) => {
+router.get("/", canView, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const page = parseInt(req.query.page) || 1;
@@ -139,7 +212,7 @@ router.get("/", async (req, res) => {
 });
 
 // POST /api/users - Créer un nouvel utilisateur
-router.post("/", upload.single("profile_image"), async (req, res) => {
+router.post("/", uploadNewUser, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -164,6 +237,7 @@ router.post("/", upload.single("profile_image"), async (req, res) => {
       ifu,
       credit_period,
       credit_limit,
+      price_list_id, // Liste de prix du client (voir utils/priceLists.js)
     } = req.body;
 
     // --- Basic Validations ---
@@ -350,6 +424,7 @@ router.post("/", upload.single("profile_image"), async (req, res) => {
         ifu: ifu || null,
         credit_period: credit_period || 0,
         credit_limit: credit_limit || 0,
+        price_list_id: price_list_id || null,
         created_at: new Date(),
         updated_at: new Date(),
       };
@@ -373,7 +448,7 @@ router.post("/", upload.single("profile_image"), async (req, res) => {
 });
 
 // PUT /api/users/:id - Mettre à jour un utilisateur
-router.put("/:id", upload.single("profile_image"), async (req, res) => {
+router.put("/:id", uploadUserUpdate, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -405,6 +480,7 @@ router.put("/:id", upload.single("profile_image"), async (req, res) => {
       ifu,
       credit_period,
       credit_limit,
+      price_list_id, // Liste de prix du client (voir utils/priceLists.js)
     } = req.body;
 
     // --- Fetch Existing User Data ---
@@ -696,6 +772,9 @@ router.put("/:id", upload.single("profile_image"), async (req, res) => {
         ...(ifu !== undefined && { ifu }),
         ...(credit_period !== undefined && { credit_period }),
         ...(credit_limit !== undefined && { credit_limit }),
+        ...(price_list_id !== undefined && {
+          price_list_id: price_list_id || null,
+        }),
       };
 
       if (Object.keys(detailsToUpdate).length > 0) {
@@ -744,7 +823,7 @@ router.put("/:id", upload.single("profile_image"), async (req, res) => {
 });
 
 // DELETE /api/users/:id - Supprimer un utilisateur
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canDelete, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -807,7 +886,7 @@ router.delete("/:id", async (req, res) => {
 });
 
 // PATCH /:id/status - Mettre à jour le statut d'un utilisateur
-router.patch("/:id/status", async (req, res) => {
+router.patch("/:id/status", canEdit, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -856,7 +935,7 @@ router.patch("/:id/status", async (req, res) => {
 // --- User Details Endpoints (Review needed) ---
 
 // --- Specific User Type Routes ---
-router.get("/suppliers", async (req, res) => {
+router.get("/suppliers", canListSuppliers, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const warehouseId = req.query.warehouseId;
@@ -894,7 +973,7 @@ router.get("/suppliers", async (req, res) => {
   }
 });
 
-router.get("/customers", async (req, res) => {
+router.get("/customers", canListCustomers, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const warehouseId = req.query.warehouseId;
@@ -903,7 +982,7 @@ router.get("/customers", async (req, res) => {
     let query = `
           SELECT
             u.id, u.name, u.email, u.phone, u.company_id, u.role_id, u.user_type, u.status, u.profile_image, u.address, u.shipping_address,
-            ud.id as user_detail_id, ud.warehouse_id as detail_warehouse_id, ud.opening_balance, ud.opening_balance_type, ud.credit_period, ud.credit_limit, ud.rccm, ud.ifu,
+            ud.id as user_detail_id, ud.warehouse_id as detail_warehouse_id, ud.opening_balance, ud.opening_balance_type, ud.credit_period, ud.credit_limit, ud.price_list_id, ud.rccm, ud.ifu,
             w.id as warehouse_id, w.name as warehouse_name
           FROM users u
           LEFT JOIN user_details ud ON u.id = ud.user_id
@@ -932,8 +1011,77 @@ router.get("/customers", async (req, res) => {
   }
 });
 
+// GET /api/users/customers/:id/loyalty?page=&limit= - Solde de points de
+// fidélité du client et historique de ses mouvements (voir utils/loyalty.js)
+router.get("/customers/:id/loyalty", canViewLoyalty, async (req, res) => {
+  const pageNum = parseInt(req.query.page) || 1;
+  const limitNum = parseInt(req.query.limit) || 10;
+  const offset = (pageNum - 1) * limitNum;
+  const connection = await db.getConnection();
+  try {
+    const [customers] = await connection.query(
+      "SELECT id, name, company_id FROM users WHERE id = ? AND user_type = 'customers'",
+      [req.params.id]
+    );
+    if (customers.length === 0) {
+      return res.status(404).json({ error: "Client non trouvé" });
+    }
+    const customer = customers[0];
+    const program =
+      (await getLoyaltyProgram(connection, customer.company_id)) ||
+      DEFAULT_LOYALTY_PROGRAM;
+    const totals = await getLoyaltyBalance(
+      connection,
+      customer.company_id,
+      customer.id
+    );
+
+    const [countRows] = await connection.query(
+      "SELECT COUNT(*) AS total FROM loyalty_transactions WHERE company_id = ? AND user_id = ?",
+      [customer.company_id, customer.id]
+    );
+    const [transactions] = await connection.query(
+      `SELECT lt.id, lt.transaction_type, lt.points, lt.amount, lt.description,
+              lt.order_id, o.invoice_number, lt.payment_id, p.payment_number,
+              lt.created_at
+       FROM loyalty_transactions lt
+       LEFT JOIN orders o ON o.id = lt.order_id
+       LEFT JOIN payments p ON p.id = lt.payment_id
+       WHERE lt.company_id = ? AND lt.user_id = ?
+       ORDER BY lt.created_at DESC, lt.id DESC
+       LIMIT ? OFFSET ?`,
+      [customer.company_id, customer.id, limitNum, offset]
+    );
+
+    res.json({
+      customer: { id: customer.id, name: customer.name },
+      program_active: !!program.is_active,
+      ...totals,
+      point_value: program.point_value,
+      balance_value:
+        Math.round(totals.balance * program.point_value * 100) / 100,
+      min_redeem_points: program.min_redeem_points,
+      transactions: transactions.map((transaction) => ({
+        ...transaction,
+        amount: parseFloat(transaction.amount),
+        label: LOYALTY_TRANSACTION_LABELS[transaction.transaction_type],
+      })),
+      total: countRows[0].total,
+      page: pageNum,
+      limit: limitNum,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Erreur lors de la récupération des points de fidélité",
+      details: error.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
 // GET /api/users/:id - Récupérer un utilisateur par ID (RESTRUCTURED)
-router.get("/:id", async (req, res) => {
+router.get("/:id", canView, async (req, res) => {
   console.log(`[API GET /users/:id] Request received for ID: ${req.params.id}`);
   let connection;
   try {
@@ -958,7 +1106,7 @@ router.get("/:id", async (req, res) => {
         u.id, u.name, u.email, u.phone, u.company_id, u.role_id, u.user_type, u.status, u.profile_image, u.address, u.shipping_address, u.timezone, u.created_at, u.updated_at,
         u.is_superadmin,
         r.name as role_name,
-        ud.opening_balance, ud.opening_balance_type, ud.rccm, ud.ifu, ud.credit_period, ud.credit_limit, ud.warehouse_id as detail_warehouse_id 
+        ud.opening_balance, ud.opening_balance_type, ud.rccm, ud.ifu, ud.credit_period, ud.credit_limit, ud.price_list_id, ud.warehouse_id as detail_warehouse_id 
       FROM users u
       LEFT JOIN roles r ON u.role_id = r.id
       LEFT JOIN user_details ud ON u.id = ud.user_id 
@@ -1121,6 +1269,7 @@ router.get("/:id", async (req, res) => {
       ifu: user.ifu,
       credit_period: user.credit_period,
       credit_limit: user.credit_limit,
+      price_list_id: user.price_list_id,
       // Assigned warehouses
       assigned_warehouses: assignedWarehousesDetails,
     };
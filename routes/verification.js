@@ -1,15 +1,129 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../config/db");
+const {
+  SIGNATURE_STATUS_LABELS,
+  verifyInvoiceSignature,
+  compareSignedFields,
+} = require("../utils/invoiceSignature");
 
 // =====================================================
 // PUBLIC INVOICE VERIFICATION ROUTE
 // This route is accessible without authentication
 // =====================================================
 
+// Verification outcome -> page title and explanation
+const VERIFICATION_MESSAGES = {
+  valid: {
+    message: "Facture authentique",
+    details:
+      "La signature du QR code est valide et correspond à la facture enregistrée.",
+  },
+  cancelled: {
+    message: "Facture annulée",
+    details:
+      "Cette facture a été annulée : elle n'est plus valable, même si son QR code est authentique.",
+  },
+  mismatch: {
+    message: "Facture non conforme",
+    details:
+      "Le QR code est authentique mais les valeurs signées ne correspondent pas à la facture enregistrée.",
+  },
+  invalid_signature: {
+    message: "QR code falsifié",
+    details:
+      "La signature du QR code est invalide : ce document n'a pas été émis par notre système.",
+  },
+  unsigned: {
+    message: "Facture non vérifiable",
+    details:
+      "Ce lien ne porte pas de signature valide : la facture ne peut pas être vérifiée. Scannez le QR code imprimé sur le document.",
+  },
+};
+
+// Only these outcomes prove the QR code was issued for the invoice, so only
+// they may show its details (an unsigned URL must not reveal a guessed number)
+const DISCLOSED_STATUSES = ["valid", "cancelled", "mismatch"];
+
+const SIGNED_FIELD_LABELS = {
+  date: "Date",
+  total: "Montant total",
+  customer: "Client",
+};
+
+/**
+ * Verify an invoice from its number and the signed QR code parameters
+ * ({ v, a, d, t, c, s }, see utils/invoiceSignature.js). The invoice is
+ * only looked up once the signature is valid.
+ * @returns {Promise<Object|null>} null when no invoice has this number
+ */
+async function verifyInvoice(connection, invoiceNumber, params) {
+  const signature = verifyInvoiceSignature(invoiceNumber, params);
+  if (signature !== "valid") {
+    return {
+      order: null,
+      status: signature === "invalid" ? "invalid_signature" : "unsigned",
+      signature,
+      matches: null,
+      cancelled: false,
+    };
+  }
+
+  const [orders] = await connection.query(
+    `SELECT 
+      o.id,
+      o.invoice_number,
+      o.order_date,
+      o.total,
+      o.user_id,
+      o.order_status,
+      o.order_type,
+      o.is_deleted,
+      c.name as client_name,
+      w.name as warehouse_name,
+      w.email as warehouse_email,
+      w.phone as warehouse_phone,
+      w.address as warehouse_address
+     FROM orders o
+     LEFT JOIN users c ON o.user_id = c.id 
+     LEFT JOIN warehouses w ON o.warehouse_id = w.id
+     WHERE o.invoice_number = ?
+     ORDER BY o.is_deleted ASC, o.id DESC`,
+    [invoiceNumber]
+  );
+  if (orders.length === 0) return null;
+
+  // The same number may exist in several companies: keep the signed one
+  const fieldsMatch = (candidate) =>
+    Object.values(compareSignedFields(candidate, params)).every(Boolean);
+  const order = orders.find(fieldsMatch) || orders[0];
+  const matches = compareSignedFields(order, params);
+
+  const cancelled = order.is_deleted === 1;
+  let status;
+  if (cancelled) status = "cancelled";
+  else if (!Object.values(matches).every(Boolean)) status = "mismatch";
+  else status = "valid";
+
+  return { order, status, signature, matches, cancelled };
+}
+
+/** Signed values that differ from the stored invoice. */
+function listMismatches(matches, params) {
+  if (!matches) return [];
+  return Object.keys(matches)
+    .filter((field) => !matches[field])
+    .map((field) => ({
+      field,
+      label: SIGNED_FIELD_LABELS[field],
+      signed: params[{ date: "d", total: "t", customer: "c" }[field]] || "",
+    }));
+}
+
 /**
  * GET /verify/invoice/:invoiceNumber
- * Public route to verify invoice authenticity
+ * Public route to verify invoice authenticity; the QR code URL carries the
+ * signed date, total and customer (?v=&a=&d=&t=&c=&s=)
  */
 router.get("/invoice/:invoiceNumber", async (req, res) => {
   const connection = await db.getConnection();
@@ -20,29 +134,13 @@ router.get("/invoice/:invoiceNumber", async (req, res) => {
       `[Verification] Attempting to verify invoice: ${invoiceNumber}`
     );
 
-    // Search for the invoice in orders table
-    const [orders] = await connection.query(
-      `SELECT 
-        o.id,
-        o.invoice_number,
-        o.order_date,
-        o.total,
-        o.order_status,
-        o.order_type,
-        c.name as client_name,
-        w.name as warehouse_name,
-        w.email as warehouse_email,
-        w.phone as warehouse_phone,
-        w.address as warehouse_address
-       FROM orders o
-       LEFT JOIN users c ON o.customer_id = c.id 
-       LEFT JOIN warehouses w ON o.warehouse_id = w.id
-       WHERE o.invoice_number = ?
-       LIMIT 1`,
-      [invoiceNumber]
+    const verification = await verifyInvoice(
+      connection,
+      invoiceNumber,
+      req.query
     );
 
-    if (orders.length === 0) {
+    if (!verification) {
       return res.status(404).render("verification-result", {
         success: false,
         message: "Facture non trouvée",
@@ -51,7 +149,16 @@ router.get("/invoice/:invoiceNumber", async (req, res) => {
       });
     }
 
-    const order = orders[0];
+    if (!DISCLOSED_STATUSES.includes(verification.status)) {
+      return res.render("verification-result", {
+        success: false,
+        status: verification.status,
+        ...VERIFICATION_MESSAGES[verification.status],
+        signature: SIGNATURE_STATUS_LABELS[verification.signature],
+      });
+    }
+
+    const { order } = verification;
 
     // Format the date
     const formattedDate = new Date(order.order_date).toLocaleDateString(
@@ -68,19 +175,34 @@ router.get("/invoice/:invoiceNumber", async (req, res) => {
       return new Intl.NumberFormat("fr-FR").format(num || 0);
     };
 
-    console.log(`[Verification] Invoice found: ${order.invoice_number}`);
+    console.log(
+      `[Verification] Invoice found: ${order.invoice_number} (${verification.status})`
+    );
 
-    // Return verification success page
     res.render("verification-result", {
-      success: true,
+      success: verification.status === "valid",
+      status: verification.status,
+      ...VERIFICATION_MESSAGES[verification.status],
+      signature: SIGNATURE_STATUS_LABELS[verification.signature],
+      mismatches: listMismatches(verification.matches, req.query).map(
+        (mismatch) => ({
+          ...mismatch,
+          signed:
+            mismatch.field === "total"
+              ? formatNumber(mismatch.signed)
+              : mismatch.signed,
+        })
+      ),
       invoice: {
         number: order.invoice_number,
         date: formattedDate,
         total: formatNumber(order.total),
-        status: order.order_status,
+        status: verification.cancelled ? "Annulée" : order.order_status,
         type:
           order.order_type === "sales"
             ? "Facture de vente"
+            : order.order_type === "sales_return"
+            ? "Retour de vente"
             : "Facture proforma",
         client_name: order.client_name || "Client non spécifié",
         warehouse: {
@@ -106,42 +228,43 @@ router.get("/invoice/:invoiceNumber", async (req, res) => {
 
 /**
  * GET /verify/invoice/:invoiceNumber/json
- * JSON API endpoint for programmatic verification
+ * JSON API endpoint for programmatic verification (same query parameters)
  */
 router.get("/invoice/:invoiceNumber/json", async (req, res) => {
   const connection = await db.getConnection();
   try {
     const { invoiceNumber } = req.params;
 
-    const [orders] = await connection.query(
-      `SELECT 
-        o.id,
-        o.invoice_number,
-        o.order_date,
-        o.total,
-        o.order_status,
-        o.order_type,
-        c.name as client_name,
-        w.name as warehouse_name
-       FROM orders o
-       LEFT JOIN users c ON o.customer_id = c.id 
-       LEFT JOIN warehouses w ON o.warehouse_id = w.id
-       WHERE o.invoice_number = ?
-       LIMIT 1`,
-      [invoiceNumber]
+    const verification = await verifyInvoice(
+      connection,
+      invoiceNumber,
+      req.query
     );
 
-    if (orders.length === 0) {
+    if (!verification) {
       return res.status(404).json({
         success: false,
         message: "Invoice not found",
       });
     }
 
-    const order = orders[0];
+    if (!DISCLOSED_STATUSES.includes(verification.status)) {
+      return res.json({
+        success: false,
+        status: verification.status,
+        signature: verification.signature,
+        message: VERIFICATION_MESSAGES[verification.status].message,
+      });
+    }
+
+    const { order } = verification;
 
     res.json({
-      success: true,
+      success: verification.status === "valid",
+      status: verification.status,
+      signature: verification.signature,
+      cancelled: verification.cancelled,
+      matches: verification.matches,
       invoice: {
         number: order.invoice_number,
         date: order.order_date,
@@ -3,8 +3,21 @@ const express = require("express");
 const router = express.Router();
 const multer = require("multer");
 const db = require("../config/db");
+const {
+  requireAuthenticated,
+  requirePermission,
+} = require("../middleware/auth");
+
+const canCreate = requirePermission("Admin.Magasins.create");
+const canEdit = requirePermission("Admin.Magasins.edit");
+const canDelete = requirePermission("Admin.Magasins.delete");
 const path = require("path");
 const fs = require("fs");
+const {
+  DEFAULT_TEMPLATES,
+  validateTemplates,
+  previewDocumentNumber,
+} = require("../utils/documentNumbers");
 
 // Fonction utilitaire pour convertir en 0 ou 1
 const toBooleanInt = (val, defaultVal = false) => {
@@ -51,7 +64,7 @@ const logoFields = upload.fields([
 // ======================================================================
 // Récupérer tous les entrepôts (warehouses) avec pagination et filtrage optionnel
 // ======================================================================
-router.get("/", async (req, res) => {
+router.get("/", requireAuthenticated, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const page = parseInt(req.query.page) || 1;
@@ -106,7 +119,7 @@ router.get("/", async (req, res) => {
 // ======================================================================
 // Récupérer un entrepôt spécifique par son ID
 // ======================================================================
-router.get("/:id", async (req, res) => {
+router.get("/:id", requireAuthenticated, async (req, res) => {
   const connection = await db.getConnection();
   try {
     const { id } = req.params;
@@ -142,7 +155,7 @@ router.get("/:id", async (req, res) => {
 // ======================================================================
 // Mettre à jour un entrepôt
 // ======================================================================
-router.put("/:id", logoFields, async (req, res) => {
+router.put("/:id", canEdit, logoFields, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -259,7 +272,7 @@ router.put("/:id", logoFields, async (req, res) => {
 // ======================================================================
 // Créer un nouveau entrepôt
 // ======================================================================
-router.post("/", logoFields, async (req, res) => {
+router.post("/", canCreate, logoFields, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -371,7 +384,7 @@ router.post("/", logoFields, async (req, res) => {
 // ======================================================================
 // Mettre à jour les options de facturation d'un entrepôt (PATCH)
 // ======================================================================
-router.patch("/:id/invoice-options", async (req, res) => {
+router.patch("/:id/invoice-options", canEdit, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -441,10 +454,111 @@ router.patch("/:id/invoice-options", async (req, res) => {
   }
 });
 
+// ======================================================================
+// Numérotation des documents d'un entrepôt : modèles et prochains numéros
+// ======================================================================
+router.get("/:id/numbering", requireAuthenticated, async (req, res) => {
+  const connection = await db.getConnection();
+  try {
+    const { id } = req.params;
+    const [warehouse] = await connection.query(
+      "SELECT id, company_id, prefixe_inv, number_templates FROM warehouses WHERE id = ?",
+      [id]
+    );
+    if (warehouse.length === 0) {
+      return res.status(404).json({ error: "Entrepôt non trouvé" });
+    }
+
+    const documents = {};
+    for (const documentType of Object.keys(DEFAULT_TEMPLATES)) {
+      documents[documentType] = await previewDocumentNumber(connection, {
+        companyId: warehouse[0].company_id,
+        warehouseId: warehouse[0].id,
+        documentType,
+      });
+    }
+
+    res.json({
+      id: warehouse[0].id,
+      prefixe_inv: warehouse[0].prefixe_inv,
+      default_templates: DEFAULT_TEMPLATES,
+      documents,
+    });
+  } catch (err) {
+    res.status(500).json({
+      error: "Erreur lors de la récupération de la numérotation",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+router.patch("/:id/numbering", canEdit, async (req, res) => {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const { id } = req.params;
+    const { prefixe_inv, number_templates } = req.body;
+
+    if (number_templates !== undefined && number_templates !== null) {
+      const validationError = validateTemplates(number_templates);
+      if (validationError) {
+        await connection.rollback();
+        return res.status(400).json({ error: validationError });
+      }
+    }
+
+    const [warehouse] = await connection.query(
+      "SELECT id FROM warehouses WHERE id = ? FOR UPDATE",
+      [id]
+    );
+    if (warehouse.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Entrepôt non trouvé" });
+    }
+
+    const updates = { updated_at: new Date() };
+    if (prefixe_inv !== undefined) updates.prefixe_inv = prefixe_inv || null;
+    if (number_templates !== undefined) {
+      // Les modèles vides reviennent au modèle par défaut
+      const templates = {};
+      Object.entries(number_templates || {}).forEach(([type, template]) => {
+        if (template) templates[type] = template;
+      });
+      updates.number_templates =
+        Object.keys(templates).length > 0 ? JSON.stringify(templates) : null;
+    }
+
+    await connection.query("UPDATE warehouses SET ? WHERE id = ?", [
+      updates,
+      id,
+    ]);
+    await connection.commit();
+
+    const [updatedWarehouse] = await connection.query(
+      "SELECT id, name, prefixe_inv, number_templates, updated_at FROM warehouses WHERE id = ?",
+      [id]
+    );
+    res.json({
+      message: "Numérotation mise à jour avec succès",
+      warehouse: updatedWarehouse[0],
+    });
+  } catch (err) {
+    await connection.rollback();
+    res.status(500).json({
+      error: "Erreur lors de la mise à jour de la numérotation",
+      details: err.message,
+    });
+  } finally {
+    connection.release();
+  }
+});
+
 // ======================================================================
 // Mettre à jour le statut d'un entrepôt (PATCH)
 // ======================================================================
-router.patch("/:id/status", async (req, res) => {
+router.patch("/:id/status", canEdit, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -506,7 +620,7 @@ router.patch("/:id/status", async (req, res) => {
 // ======================================================================
 // Supprimer un entrepôt
 // ======================================================================
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canDelete, async (req, res) => {
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -0,0 +1,266 @@
+// utils/accountStatement.js
+// Relevé de compte d'un client ou d'un fournisseur sur une période.
+// Convention : le solde est ce que le tiers nous doit (client) ou ce que nous
+// devons au fournisseur. Il augmente avec les factures (ventes / achats) et
+// les remboursements versés, et diminue avec les retours et les règlements.
+// Les imputations d'avoirs sur factures (order_payments sans paiement) ne
+// changent pas le solde : le retour l'a déjà diminué.
+// Un bon de commande fournisseur ne compte que pour sa part reçue, comme en
+// comptabilité (voir payableShareSql dans utils/purchaseOrders.js).
+const dayjs = require("dayjs");
+const { payableShareSql } = require("./purchaseOrders");
+
+// Tranches d'ancienneté (jours depuis la date de facture)
+const AGING_BUCKETS = [
+  { key: "0_30", label: "0-30 jours", min: 0, max: 30 },
+  { key: "31_60", label: "31-60 jours", min: 31, max: 60 },
+  { key: "61_90", label: "61-90 jours", min: 61, max: 90 },
+  { key: "over_90", label: "+90 jours", min: 91, max: null },
+];
+
+// Sens des documents et paiements selon le type de tiers
+const PARTY_CONFIG = {
+  customer: {
+    userType: "customers",
+    invoiceType: "sales",
+    returnType: "sales_return",
+    settlementPayment: "in", // règlement reçu du client
+    refundPayment: "out", // remboursement versé au client
+    openingDebitType: "receive",
+  },
+  supplier: {
+    userType: "suppliers",
+    invoiceType: "purchase",
+    returnType: "purchase_return",
+    settlementPayment: "out",
+    refundPayment: "in",
+    openingDebitType: "pay",
+  },
+};
+
+/**
+ * Tranche d'ancienneté d'une facture.
+ * @param {number} days - Jours écoulés depuis la date de facture
+ * @returns {string} Clé de la tranche (voir AGING_BUCKETS)
+ */
+function agingBucket(days) {
+  const bucket = AGING_BUCKETS.find(
+    (b) => days <= (b.max === null ? Infinity : b.max)
+  );
+  return (bucket || AGING_BUCKETS[AGING_BUCKETS.length - 1]).key;
+}
+
+/** Arrondi monétaire à 2 décimales. */
+const round2 = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+/**
+ * Construit le relevé de compte.
+ * @param {Object} connection - Connexion MySQL (ou pool)
+ * @param {Object} params - { partyType: 'customer' | 'supplier', userId,
+ *   companyId, warehouseId, startDate, endDate } (dates YYYY-MM-DD)
+ * @returns {Promise<Object|null>} null si le tiers n'existe pas, sinon
+ *   { party, period, opening_balance, lines, totals, closing_balance, aging }
+ */
+async function buildAccountStatement(connection, params) {
+  const config = PARTY_CONFIG[params.partyType];
+  const { userId, companyId, warehouseId, startDate, endDate } = params;
+
+  const [partyRows] = await connection.query(
+    `SELECT u.id, u.name, u.email, u.phone, u.address, u.user_type, u.company_id,
+            ud.opening_balance, ud.opening_balance_type, ud.credit_limit, ud.credit_period
+     FROM users u
+     LEFT JOIN user_details ud ON ud.user_id = u.id
+     WHERE u.id = ? AND u.user_type = ?`,
+    [userId, config.userType]
+  );
+  if (partyRows.length === 0) return null;
+  const party = partyRows[0];
+
+  // Solde d'ouverture de la fiche tiers
+  const openingAmount = parseFloat(party.opening_balance) || 0;
+  let openingBalance =
+    party.opening_balance_type === config.openingDebitType
+      ? openingAmount
+      : -openingAmount;
+
+  const scope = ["o.user_id = ?", "o.is_deleted = 0"];
+  const scopeParams = [userId];
+  if (companyId) {
+    scope.push("o.company_id = ?");
+    scopeParams.push(companyId);
+  }
+  if (warehouseId) {
+    scope.push("o.warehouse_id = ?");
+    scopeParams.push(warehouseId);
+  }
+  const paymentScope = scope.map((c) => c.replace(/^o\./, "p."));
+  paymentScope.splice(1, 1); // payments n'a pas de colonne is_deleted
+
+  // Montants en devise de base : factures au cours de la facture, règlements
+  // au même cours (cours du paiement, diminué de l'écart de change réalisé)
+  const [documentRows] = await connection.query(
+    `SELECT o.id, o.order_type, o.invoice_number, o.order_date AS date,
+            o.total * o.exchange_rate * ${payableShareSql()} AS total,
+            o.po_status, o.notes
+     FROM orders o
+     WHERE ${scope.join(
+       " AND "
+     )} AND o.order_type IN (?, ?) AND DATE(o.order_date) <= ?
+     ORDER BY o.order_date ASC, o.id ASC`,
+    [...scopeParams, config.invoiceType, config.returnType, endDate]
+  );
+  // Bon de commande dont rien n'est encore reçu : aucune dette
+  const documents = documentRows.filter(
+    (doc) => !(doc.po_status && round2(doc.total) === 0)
+  );
+  const [payments] = await connection.query(
+    `SELECT p.id, p.payment_type, p.payment_number, p.date, p.notes,
+            p.amount * p.exchange_rate
+              - IF(p.payment_type = 'in', 1, -1) * COALESCE((
+                  SELECT SUM(op.fx_gain_loss) FROM order_payments op
+                  WHERE op.payment_id = p.id
+                ), 0) AS amount,
+            pm.name AS payment_mode_name
+     FROM payments p
+     LEFT JOIN payment_modes pm ON p.payment_mode_id = pm.id
+     WHERE ${paymentScope.join(" AND ")} AND DATE(p.date) <= ?
+     ORDER BY p.date ASC, p.id ASC`,
+    [...scopeParams, endDate]
+  );
+
+  const movements = [
+    ...documents.map((doc) => {
+      const isInvoice = doc.order_type === config.invoiceType;
+      return {
+        date: doc.date,
+        type: isInvoice ? "invoice" : "return",
+        order_id: doc.id,
+        reference: doc.invoice_number,
+        description: isInvoice ? "Facture" : "Retour / avoir",
+        debit: isInvoice ? round2(doc.total) : 0,
+        credit: isInvoice ? 0 : round2(doc.total),
+        sort: 0,
+        id: doc.id,
+      };
+    }),
+    ...payments
+      .filter((p) =>
+        [config.settlementPayment, config.refundPayment].includes(
+          p.payment_type
+        )
+      )
+      .map((payment) => {
+        const isSettlement = payment.payment_type === config.settlementPayment;
+        return {
+          date: payment.date,
+          type: isSettlement ? "payment" : "refund",
+          payment_id: payment.id,
+          reference: payment.payment_number,
+          description: `${isSettlement ? "Règlement" : "Remboursement"}${
+            payment.payment_mode_name ? ` (${payment.payment_mode_name})` : ""
+          }`,
+          debit: isSettlement ? 0 : round2(payment.amount),
+          credit: isSettlement ? round2(payment.amount) : 0,
+          sort: 1,
+          id: payment.id,
+        };
+      }),
+  ].sort(
+    (a, b) =>
+      dayjs(a.date).diff(dayjs(b.date)) || a.sort - b.sort || a.id - b.id
+  );
+
+  // Mouvements antérieurs à la période : reportés dans le solde d'ouverture
+  const lines = [];
+  let balance = openingBalance;
+  const totals = { debit: 0, credit: 0 };
+  for (const movement of movements) {
+    const { sort, id, ...line } = movement;
+    if (dayjs(movement.date).format("YYYY-MM-DD") < startDate) {
+      openingBalance += movement.debit - movement.credit;
+      balance = openingBalance;
+      continue;
+    }
+    balance += movement.debit - movement.credit;
+    totals.debit += movement.debit;
+    totals.credit += movement.credit;
+    lines.push({ ...line, balance: round2(balance) });
+  }
+
+  const aging = await buildAging(
+    connection,
+    config,
+    scope,
+    scopeParams,
+    endDate
+  );
+
+  return {
+    party: {
+      id: party.id,
+      name: party.name,
+      email: party.email,
+      phone: party.phone,
+      address: party.address,
+      type: params.partyType,
+      credit_limit: parseFloat(party.credit_limit) || 0,
+      credit_period: parseInt(party.credit_period, 10) || 0,
+    },
+    period: { start_date: startDate, end_date: endDate },
+    opening_balance: round2(openingBalance),
+    lines,
+    totals: { debit: round2(totals.debit), credit: round2(totals.credit) },
+    closing_balance: round2(balance),
+    aging,
+  };
+}
+
+/**
+ * Balance âgée à la date de fin : reste dû de chaque facture à cette date
+ * (total - règlements datés au plus tard ce jour), par tranche d'ancienneté.
+ * Le total d'un bon de commande est limité à sa part reçue.
+ * Un règlement sans date (anciens liens order_payments) prend celle du
+ * paiement, à défaut celle de la facture.
+ */
+async function buildAging(connection, config, scope, scopeParams, endDate) {
+  const [openInvoices] = await connection.query(
+    `SELECT o.id, o.invoice_number, o.order_date,
+            o.total * o.exchange_rate * ${payableShareSql()} AS total,
+            (o.total * ${payableShareSql()} - COALESCE((
+              SELECT SUM(op.amount) FROM order_payments op
+              LEFT JOIN payments p ON p.id = op.payment_id
+              WHERE op.order_id = o.id
+                AND DATE(COALESCE(op.payment_date, p.date, o.order_date)) <= ?
+            ), 0)) * o.exchange_rate AS due_amount,
+            DATEDIFF(?, o.order_date) AS age_days
+     FROM orders o
+     WHERE ${scope.join(
+       " AND "
+     )} AND o.order_type = ? AND DATE(o.order_date) <= ?
+     HAVING due_amount > 0.01
+     ORDER BY o.order_date ASC`,
+    [endDate, endDate, ...scopeParams, config.invoiceType, endDate]
+  );
+
+  const buckets = {};
+  AGING_BUCKETS.forEach((b) => {
+    buckets[b.key] = { label: b.label, amount: 0, count: 0 };
+  });
+  let total = 0;
+  openInvoices.forEach((invoice) => {
+    const due = round2(invoice.due_amount);
+    const key = agingBucket(invoice.age_days);
+    invoice.due_amount = due;
+    invoice.aging_bucket = key;
+    buckets[key].amount = round2(buckets[key].amount + due);
+    buckets[key].count += 1;
+    total += due;
+  });
+  return { buckets, total: round2(total), invoices: openInvoices };
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  agingBucket,
+  buildAccountStatement,
+};
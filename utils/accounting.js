@@ -0,0 +1,570 @@
+// utils/accounting.js
+// Comptabilité en partie double : chaque document (vente, achat, retour,
+// paiement, dépense, production) produit une écriture équilibrée dans
+// journal_entries / journal_entry_lines. Les fonctions sync*Entry remplacent
+// l'écriture du document à chaque création, modification ou suppression (dans
+// la transaction du document) : le journal reflète toujours les documents en
+// vigueur, sans ressaisie par le comptable.
+//
+// Plan de comptes SYSCOHADA par défaut, personnalisable par entreprise
+// (chart_of_accounts, account_mappings). Les stocks suivent l'inventaire
+// intermittent du SYSCOHADA : les achats sont des charges (601/602) et la
+// variation de stock est constatée à l'inventaire ; seule la production
+// déplace la valeur des matières premières vers les produits finis.
+
+// Comptes du plan SYSCOHADA utilisés par les écritures automatiques
+const SYSCOHADA_ACCOUNTS = [
+  { code: "101", name: "Capital social" },
+  { code: "121", name: "Report à nouveau créditeur" },
+  { code: "131", name: "Résultat net : bénéfice" },
+  { code: "139", name: "Résultat net : perte" },
+  { code: "311", name: "Marchandises" },
+  { code: "321", name: "Matières premières" },
+  { code: "361", name: "Produits finis" },
+  { code: "401", name: "Fournisseurs, dettes en compte" },
+  { code: "411", name: "Clients" },
+  { code: "4431", name: "État, TVA facturée sur ventes" },
+  { code: "4452", name: "État, TVA récupérable sur achats" },
+  { code: "521", name: "Banques locales" },
+  { code: "571", name: "Caisse siège social" },
+  { code: "601", name: "Achats de marchandises" },
+  { code: "602", name: "Achats de matières premières et fournitures liées" },
+  {
+    code: "6032",
+    name: "Variations des stocks de matières premières et fournitures liées",
+  },
+  { code: "638", name: "Autres charges externes" },
+  { code: "673", name: "Escomptes accordés" },
+  { code: "676", name: "Pertes de change" },
+  { code: "701", name: "Ventes de marchandises" },
+  { code: "702", name: "Ventes de produits finis" },
+  { code: "736", name: "Variations des stocks de produits finis" },
+  { code: "776", name: "Gains de change" },
+].map((account) => ({
+  ...account,
+  account_class: parseInt(account.code.charAt(0), 10),
+}));
+
+// Rôle comptable -> compte. Une entreprise peut redéfinir chaque rôle, et
+// affecter un compte à une catégorie de dépense (expense_category:<id>) ou à
+// un mode de paiement (payment_mode:<id>) dans account_mappings.
+const DEFAULT_ACCOUNT_MAPPING = {
+  sales: "701",
+  sales_returns: "701",
+  customers: "411",
+  purchases: "601",
+  purchase_returns: "601",
+  suppliers: "401",
+  vat_collected: "4431",
+  vat_deductible: "4452",
+  cash: "571",
+  bank: "521",
+  expenses: "638",
+  expense_payment: "571",
+  raw_materials_consumed: "6032",
+  raw_materials_stock: "321",
+  finished_goods_stock: "361",
+  finished_goods_variation: "736",
+  fx_loss: "676",
+  fx_gain: "776",
+  loyalty_redemptions: "673",
+};
+
+const MAPPING_KEY_REGEX = /^(expense_category|payment_mode):\d+$/;
+
+/** Arrondi monétaire à 2 décimales. */
+const round2 = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+/**
+ * Mode de paiement en espèces (compte de caisse plutôt que de banque) :
+ * mode_type = cash, ou à défaut un nom du type « Espèces » / « Caisse ».
+ * @param {Object} mode - { mode_type, name }
+ * @returns {boolean}
+ */
+function isCashPaymentMode(mode) {
+  return (
+    mode.mode_type === "cash" || /esp[eè]ce|cash|caisse/i.test(mode.name || "")
+  );
+}
+
+/**
+ * Vérifie une clé de correspondance (rôle connu ou catégorie / mode précis).
+ * @returns {boolean}
+ */
+function isValidMappingKey(key) {
+  return !!DEFAULT_ACCOUNT_MAPPING[key] || MAPPING_KEY_REGEX.test(key);
+}
+
+/**
+ * Correspondances rôle -> compte de l'entreprise (défauts SYSCOHADA
+ * complétés par account_mappings).
+ * @returns {Promise<Object>} { clé: code du compte }
+ */
+async function getAccountMapping(connection, companyId) {
+  const [rows] = await connection.query(
+    "SELECT mapping_key, account_code FROM account_mappings WHERE company_id = ?",
+    [companyId]
+  );
+  const mapping = { ...DEFAULT_ACCOUNT_MAPPING };
+  rows.forEach((row) => {
+    mapping[row.mapping_key] = row.account_code;
+  });
+  return mapping;
+}
+
+/**
+ * Plan de comptes de l'entreprise, ou plan SYSCOHADA par défaut si
+ * l'entreprise n'a encore défini aucun compte.
+ * @returns {Promise<Array>} [{ code, name, account_class, is_active }]
+ */
+async function getChartOfAccounts(connection, companyId) {
+  const [rows] = await connection.query(
+    `SELECT id, code, name, account_class, is_active
+     FROM chart_of_accounts WHERE company_id = ? ORDER BY code ASC`,
+    [companyId]
+  );
+  if (rows.length > 0) return rows;
+  return SYSCOHADA_ACCOUNTS.map((account) => ({
+    id: null,
+    ...account,
+    is_active: 1,
+  }));
+}
+
+/**
+ * Supprime l'écriture d'un document source.
+ */
+async function removeSourceEntries(connection, sourceType, sourceId) {
+  await connection.query(
+    `DELETE jel FROM journal_entry_lines jel
+     JOIN journal_entries je ON jel.journal_entry_id = je.id
+     WHERE je.source_type = ? AND je.source_id = ?`,
+    [sourceType, sourceId]
+  );
+  await connection.query(
+    "DELETE FROM journal_entries WHERE source_type = ? AND source_id = ?",
+    [sourceType, sourceId]
+  );
+}
+
+/**
+ * Enregistre une écriture équilibrée.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} entry - { companyId, warehouseId, journalCode, date,
+ *   reference, description, sourceType, sourceId,
+ *   lines: [{ account, debit, credit, userId, label }] }
+ * @returns {Promise<number|null>} ID de l'écriture, null si elle est vide
+ * @throws {Error} Écriture déséquilibrée
+ */
+async function postJournalEntry(connection, entry) {
+  const lines = entry.lines
+    .map((line) => ({
+      ...line,
+      debit: round2(line.debit),
+      credit: round2(line.credit),
+    }))
+    .filter((line) => line.debit !== 0 || line.credit !== 0);
+  if (lines.length === 0) return null;
+
+  const totalDebit = round2(lines.reduce((sum, l) => sum + l.debit, 0));
+  const totalCredit = round2(lines.reduce((sum, l) => sum + l.credit, 0));
+  if (Math.abs(totalDebit - totalCredit) > 0.01) {
+    throw new Error(
+      `Écriture déséquilibrée pour ${
+        entry.reference || entry.sourceType
+      } (débit ${totalDebit}, crédit ${totalCredit}).`
+    );
+  }
+
+  const [result] = await connection.query(
+    `INSERT INTO journal_entries (
+        company_id, warehouse_id, journal_code, entry_date, reference,
+        description, source_type, source_id, total, created_at
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      entry.companyId,
+      entry.warehouseId || null,
+      entry.journalCode,
+      entry.date,
+      entry.reference || null,
+      entry.description || null,
+      entry.sourceType,
+      entry.sourceId,
+      totalDebit,
+    ]
+  );
+  for (const line of lines) {
+    await connection.query(
+      `INSERT INTO journal_entry_lines (journal_entry_id, account_code, user_id, label, debit, credit)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        result.insertId,
+        line.account,
+        line.userId || null,
+        line.label || entry.description || null,
+        line.debit,
+        line.credit,
+      ]
+    );
+  }
+  return result.insertId;
+}
+
+// Écritures des documents commerciaux : sens (facture / retour), journal et
+// comptes de tiers, de produit ou charge et de TVA
+const ORDER_POSTINGS = {
+  sales: {
+    journal: "VT",
+    label: "Vente",
+    party: "customers",
+    counterpart: "sales",
+    vat: "vat_collected",
+    partyDebit: true,
+  },
+  sales_return: {
+    journal: "VT",
+    label: "Retour client",
+    party: "customers",
+    counterpart: "sales_returns",
+    vat: "vat_collected",
+    partyDebit: false,
+  },
+  purchase: {
+    journal: "AC",
+    label: "Achat",
+    party: "suppliers",
+    counterpart: "purchases",
+    vat: "vat_deductible",
+    partyDebit: false,
+  },
+  purchase_return: {
+    journal: "AC",
+    label: "Retour fournisseur",
+    party: "suppliers",
+    counterpart: "purchase_returns",
+    vat: "vat_deductible",
+    partyDebit: true,
+  },
+};
+
+/**
+ * (Re)génère l'écriture d'une vente, d'un achat ou d'un retour : tiers pour le
+ * total TTC, produit / charge pour le HT (remises et frais inclus), TVA pour
+ * tax_amount. Les proformas et transferts ne sont pas comptabilisés ; une
+ * commande supprimée perd son écriture.
+ * @param {Object} connection - Connexion MySQL (transaction de la commande)
+ * @param {number} orderId - ID de la commande
+ * @returns {Promise<number|null>} ID de l'écriture
+ */
+async function syncOrderEntry(connection, orderId) {
+  await removeSourceEntries(connection, "order", orderId);
+  const [rows] = await connection.query(
+    `SELECT o.id, o.company_id, o.warehouse_id, o.user_id, o.order_type, o.order_date,
+            o.invoice_number, o.total, o.tax_amount, o.exchange_rate, o.po_status, o.is_deleted,
+            u.name AS party_name
+     FROM orders o
+     LEFT JOIN users u ON o.user_id = u.id
+     WHERE o.id = ?`,
+    [orderId]
+  );
+  const order = rows[0];
+  const posting = order && ORDER_POSTINGS[order.order_type];
+  if (!posting || order.is_deleted) return null;
+
+  const mapping = await getAccountMapping(connection, order.company_id);
+  // Montants convertis en devise de base au cours de la facture
+  let rate = parseFloat(order.exchange_rate) || 1;
+  if (order.po_status) {
+    // Bon de commande : seule la part reçue est due au fournisseur
+    const [[received]] = await connection.query(
+      `SELECT SUM(subtotal) AS ordered,
+              SUM(subtotal * quantity_received / quantity) AS received
+       FROM order_items WHERE order_id = ? AND quantity > 0`,
+      [orderId]
+    );
+    const ordered = parseFloat(received.ordered) || 0;
+    rate *= ordered > 0 ? (parseFloat(received.received) || 0) / ordered : 0;
+  }
+  const total = round2(order.total * rate);
+  const tax = round2(order.tax_amount * rate);
+  const net = round2(total - tax);
+  const description = `${posting.label} ${order.invoice_number}${
+    order.party_name ? ` - ${order.party_name}` : ""
+  }`;
+  // Le tiers est au débit pour une facture de vente (créance) ou un retour
+  // fournisseur ; la contrepartie et la TVA sont de l'autre côté
+  const side = (amount, debit) =>
+    debit ? { debit: amount, credit: 0 } : { debit: 0, credit: amount };
+
+  return postJournalEntry(connection, {
+    companyId: order.company_id,
+    warehouseId: order.warehouse_id,
+    journalCode: posting.journal,
+    date: order.order_date,
+    reference: order.invoice_number,
+    description,
+    sourceType: "order",
+    sourceId: order.id,
+    lines: [
+      {
+        account: mapping[posting.party],
+        userId: order.user_id,
+        ...side(total, posting.partyDebit),
+      },
+      {
+        account: mapping[posting.counterpart],
+        ...side(net, !posting.partyDebit),
+      },
+      { account: mapping[posting.vat], ...side(tax, !posting.partyDebit) },
+    ],
+  });
+}
+
+/**
+ * (Re)génère l'écriture d'un paiement : trésorerie (caisse ou banque selon le
+ * mode de paiement) contre le compte du tiers. Un paiement entrant d'un client
+ * le crédite ; un paiement sortant (fournisseur ou remboursement client) le
+ * débite. En devise, la trésorerie est convertie au cours du paiement et le
+ * tiers au cours des factures réglées ; l'écart est un gain (776) ou une perte
+ * (676) de change réalisé.
+ * @returns {Promise<number|null>} ID de l'écriture (null si le paiement
+ *   n'existe plus)
+ */
+async function syncPaymentEntry(connection, paymentId) {
+  await removeSourceEntries(connection, "payment", paymentId);
+  const [rows] = await connection.query(
+    `SELECT p.id, p.company_id, p.warehouse_id, p.user_id, p.payment_type, p.date,
+            p.payment_number, p.amount, p.exchange_rate, p.payment_mode_id,
+            pm.name AS payment_mode_name, pm.mode_type, u.user_type, u.name AS party_name
+     FROM payments p
+     LEFT JOIN payment_modes pm ON p.payment_mode_id = pm.id
+     LEFT JOIN users u ON p.user_id = u.id
+     WHERE p.id = ?`,
+    [paymentId]
+  );
+  const payment = rows[0];
+  if (!payment) return null;
+
+  const mapping = await getAccountMapping(connection, payment.company_id);
+  const isCash = isCashPaymentMode({
+    mode_type: payment.mode_type,
+    name: payment.payment_mode_name,
+  });
+  // Un règlement en points de fidélité n'encaisse rien : c'est une remise
+  // accordée au client (673), sauf compte propre au mode de paiement.
+  const treasury =
+    mapping[`payment_mode:${payment.payment_mode_id}`] ||
+    (payment.mode_type === "loyalty"
+      ? mapping.loyalty_redemptions
+      : isCash
+      ? mapping.cash
+      : mapping.bank);
+  const party =
+    payment.user_type === "suppliers" ? mapping.suppliers : mapping.customers;
+  const amount = round2(
+    payment.amount * (parseFloat(payment.exchange_rate) || 1)
+  );
+  const incoming = payment.payment_type === "in";
+  const [fxRows] = await connection.query(
+    "SELECT COALESCE(SUM(fx_gain_loss), 0) AS fx FROM order_payments WHERE payment_id = ?",
+    [paymentId]
+  );
+  const fx = round2(fxRows[0].fx);
+  const partyAmount = round2(incoming ? amount - fx : amount + fx);
+
+  return postJournalEntry(connection, {
+    companyId: payment.company_id,
+    warehouseId: payment.warehouse_id,
+    journalCode: "TR",
+    date: payment.date,
+    reference: payment.payment_number,
+    description: `${incoming ? "Encaissement" : "Décaissement"} ${
+      payment.payment_number
+    }${payment.party_name ? ` - ${payment.party_name}` : ""}`,
+    sourceType: "payment",
+    sourceId: payment.id,
+    lines: [
+      {
+        account: treasury,
+        debit: incoming ? amount : 0,
+        credit: incoming ? 0 : amount,
+      },
+      {
+        account: party,
+        userId: payment.user_id,
+        debit: incoming ? 0 : partyAmount,
+        credit: incoming ? partyAmount : 0,
+      },
+      fx >= 0
+        ? { account: mapping.fx_gain, credit: fx }
+        : { account: mapping.fx_loss, debit: -fx },
+    ],
+  });
+}
+
+/**
+ * (Re)génère l'écriture d'une dépense : compte de charge de sa catégorie
+ * (expense_category:<id>, sinon 638) contre la caisse.
+ * @returns {Promise<number|null>} ID de l'écriture
+ */
+async function syncExpenseEntry(connection, expenseId) {
+  await removeSourceEntries(connection, "expense", expenseId);
+  const [rows] = await connection.query(
+    `SELECT e.id, e.company_id, e.warehouse_id, e.expense_category_id, e.supplier_id,
+            e.amount, e.date, e.bill, ec.name AS category_name
+     FROM expenses e
+     LEFT JOIN expense_categories ec ON e.expense_category_id = ec.id
+     WHERE e.id = ?`,
+    [expenseId]
+  );
+  const expense = rows[0];
+  if (!expense) return null;
+
+  const mapping = await getAccountMapping(connection, expense.company_id);
+  const amount = round2(expense.amount);
+  return postJournalEntry(connection, {
+    companyId: expense.company_id,
+    warehouseId: expense.warehouse_id,
+    journalCode: "OD",
+    date: expense.date,
+    reference: expense.bill || `DEP-${expense.id}`,
+    description: `Dépense ${expense.category_name || ""}`.trim(),
+    sourceType: "expense",
+    sourceId: expense.id,
+    lines: [
+      {
+        account:
+          mapping[`expense_category:${expense.expense_category_id}`] ||
+          mapping.expenses,
+        userId: expense.supplier_id,
+        debit: amount,
+      },
+      { account: mapping.expense_payment, credit: amount },
+    ],
+  });
+}
+
+/**
+ * (Re)génère l'écriture d'une production : les matières premières consommées
+ * (mouvements de stock du log, au prix d'achat du magasin) sortent du stock de
+ * matières et entrent dans le stock de produits finis.
+ * @returns {Promise<number|null>} ID de l'écriture
+ */
+async function syncProductionEntry(connection, productionLogId) {
+  await removeSourceEntries(connection, "production_log", productionLogId);
+  const [rows] = await connection.query(
+    `SELECT pl.id, pl.warehouse_id, pl.created_at, w.company_id, p.name AS unit_name,
+            COALESCE((
+              SELECT SUM(-sm.quantity * COALESCE(sm.unit_cost, pd.purchase_price, 0))
+              FROM stock_movements sm
+              LEFT JOIN product_details pd
+                ON pd.product_id = sm.product_id AND pd.warehouse_id = sm.warehouse_id
+              WHERE sm.reference_type = 'production_log' AND sm.reference_id = pl.id
+                AND sm.quantity < 0
+            ), 0) AS material_cost
+     FROM production_logs pl
+     JOIN warehouses w ON pl.warehouse_id = w.id
+     LEFT JOIN products p ON pl.production_unit_id = p.id
+     WHERE pl.id = ?`,
+    [productionLogId]
+  );
+  const log = rows[0];
+  if (!log) return null;
+
+  const mapping = await getAccountMapping(connection, log.company_id);
+  const cost = round2(log.material_cost);
+  return postJournalEntry(connection, {
+    companyId: log.company_id,
+    warehouseId: log.warehouse_id,
+    journalCode: "OD",
+    date: log.created_at,
+    reference: `PROD-${log.id}`,
+    description: `Production ${log.unit_name || ""}`.trim(),
+    sourceType: "production_log",
+    sourceId: log.id,
+    lines: [
+      { account: mapping.raw_materials_consumed, debit: cost },
+      { account: mapping.raw_materials_stock, credit: cost },
+      { account: mapping.finished_goods_stock, debit: cost },
+      { account: mapping.finished_goods_variation, credit: cost },
+    ],
+  });
+}
+
+/**
+ * Régénère les écritures de tous les documents d'une entreprise sur une
+ * période (reprise de l'historique, ou après un changement de plan de
+ * comptes).
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} params - { companyId, startDate, endDate } (YYYY-MM-DD)
+ * @returns {Promise<Object>} Nombre de documents traités par type
+ */
+async function rebuildJournal(connection, params) {
+  const { companyId, startDate, endDate } = params;
+  const range = (column) => `DATE(${column}) BETWEEN ? AND ?`;
+
+  // Les écritures de documents supprimés depuis disparaissent aussi
+  await connection.query(
+    `DELETE jel FROM journal_entry_lines jel
+     JOIN journal_entries je ON jel.journal_entry_id = je.id
+     WHERE je.company_id = ? AND ${range("je.entry_date")}`,
+    [companyId, startDate, endDate]
+  );
+  await connection.query(
+    `DELETE FROM journal_entries WHERE company_id = ? AND ${range(
+      "entry_date"
+    )}`,
+    [companyId, startDate, endDate]
+  );
+
+  const [orders] = await connection.query(
+    `SELECT id FROM orders
+     WHERE company_id = ? AND order_type IN (?) AND ${range("order_date")}`,
+    [companyId, Object.keys(ORDER_POSTINGS), startDate, endDate]
+  );
+  const [payments] = await connection.query(
+    `SELECT id FROM payments WHERE company_id = ? AND ${range("date")}`,
+    [companyId, startDate, endDate]
+  );
+  const [expenses] = await connection.query(
+    `SELECT id FROM expenses WHERE company_id = ? AND ${range("date")}`,
+    [companyId, startDate, endDate]
+  );
+  const [productionLogs] = await connection.query(
+    `SELECT pl.id FROM production_logs pl
+     JOIN warehouses w ON pl.warehouse_id = w.id
+     WHERE w.company_id = ? AND ${range("pl.created_at")}`,
+    [companyId, startDate, endDate]
+  );
+
+  for (const order of orders) await syncOrderEntry(connection, order.id);
+  for (const payment of payments)
+    await syncPaymentEntry(connection, payment.id);
+  for (const expense of expenses)
+    await syncExpenseEntry(connection, expense.id);
+  for (const log of productionLogs) {
+    await syncProductionEntry(connection, log.id);
+  }
+  return {
+    orders: orders.length,
+    payments: payments.length,
+    expenses: expenses.length,
+    production_logs: productionLogs.length,
+  };
+}
+
+module.exports = {
+  SYSCOHADA_ACCOUNTS,
+  DEFAULT_ACCOUNT_MAPPING,
+  isValidMappingKey,
+  getAccountMapping,
+  getChartOfAccounts,
+  removeSourceEntries,
+  postJournalEntry,
+  syncOrderEntry,
+  syncPaymentEntry,
+  isCashPaymentMode,
+  syncExpenseEntry,
+  syncProductionEntry,
+  rebuildJournal,
+};
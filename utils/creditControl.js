@@ -0,0 +1,166 @@
+// utils/creditControl.js
+// Contrôle du crédit client au moment de la vente, d'après user_details :
+// - credit_limit : encours maximum (somme des due_amount des ventes, moins le
+//   solde des avoirs, plus le reste dû de la nouvelle vente), en devise de
+//   base ;
+// - credit_period : délai de paiement en jours ; une vente non soldée plus
+//   ancienne que ce délai est en retard.
+// Une valeur 0 (défaut de user_details) désactive la règle correspondante.
+// Seules les ventes qui laissent un montant dû sont contrôlées : une vente
+// payée comptant n'augmente pas l'encours.
+const { getCustomerCreditBalance } = require("./creditNotes");
+
+/**
+ * Évalue si une vente à crédit peut être accordée à un client.
+ * @param {Object} connection - Connexion MySQL (ou pool)
+ * @param {Object} params - { companyId, userId, amountDue, excludeOrderId,
+ *   date, forUpdate }
+ *   amountDue : reste dû de la nouvelle vente (total - payé), en devise de base
+ *   excludeOrderId : vente en cours de modification, exclue de l'encours
+ *   forUpdate : verrouiller la fiche client (deux ventes simultanées au même
+ *   client sont contrôlées l'une après l'autre)
+ * @returns {Promise<Object>} { allowed, reasons: [{ code, message }],
+ *   credit_limit, credit_period, outstanding, credit_balance,
+ *   projected_outstanding, overdue_invoices }
+ */
+async function evaluateCustomerCredit(connection, params) {
+  const { companyId, userId, excludeOrderId } = params;
+  const amountDue = Math.max(parseFloat(params.amountDue) || 0, 0);
+  const date = params.date ? new Date(params.date) : new Date();
+
+  const [detailRows] = await connection.query(
+    `SELECT credit_limit, credit_period FROM user_details WHERE user_id = ?${
+      params.forUpdate ? " FOR UPDATE" : ""
+    }`,
+    [userId]
+  );
+  const creditLimit = parseFloat(detailRows[0]?.credit_limit) || 0;
+  const creditPeriod = parseInt(detailRows[0]?.credit_period, 10) || 0;
+
+  const excludeClause = excludeOrderId ? " AND id <> ?" : "";
+  const baseParams = [companyId, userId];
+  if (excludeOrderId) baseParams.push(excludeOrderId);
+
+  const [outstandingRows] = await connection.query(
+    `SELECT COALESCE(SUM(due_amount * exchange_rate), 0) AS outstanding
+     FROM orders
+     WHERE company_id = ? AND user_id = ? AND order_type = 'sales'
+       AND is_deleted = 0 AND due_amount > 0${excludeClause}`,
+    baseParams
+  );
+  const outstanding = parseFloat(outstandingRows[0].outstanding) || 0;
+  const creditBalance = await getCustomerCreditBalance(
+    connection,
+    companyId,
+    userId
+  );
+  const projectedOutstanding = Math.max(
+    outstanding - creditBalance + amountDue,
+    0
+  );
+
+  let overdueInvoices = [];
+  if (creditPeriod > 0) {
+    const [overdueRows] = await connection.query(
+      `SELECT id, invoice_number, order_date, total, due_amount,
+              DATEDIFF(?, order_date) - ? AS days_overdue
+       FROM orders
+       WHERE company_id = ? AND user_id = ? AND order_type = 'sales'
+         AND is_deleted = 0 AND due_amount > 0.01${excludeClause}
+         AND DATEDIFF(?, order_date) > ?
+       ORDER BY order_date ASC`,
+      [date, creditPeriod, ...baseParams, date, creditPeriod]
+    );
+    overdueInvoices = overdueRows;
+  }
+
+  const reasons = [];
+  if (amountDue > 0) {
+    if (creditLimit > 0 && projectedOutstanding > creditLimit + 0.01) {
+      reasons.push({
+        code: "credit_limit_exceeded",
+        message: `Plafond de crédit dépassé : encours après vente ${projectedOutstanding} pour un plafond de ${creditLimit}.`,
+      });
+    }
+    if (overdueInvoices.length > 0) {
+      reasons.push({
+        code: "overdue_invoices",
+        message: `${overdueInvoices.length} facture(s) impayée(s) au-delà du délai de paiement de ${creditPeriod} jour(s).`,
+      });
+    }
+  }
+
+  return {
+    allowed: reasons.length === 0,
+    reasons,
+    credit_limit: creditLimit,
+    credit_period: creditPeriod,
+    outstanding,
+    credit_balance: creditBalance,
+    amount_due: amountDue,
+    projected_outstanding: projectedOutstanding,
+    available_credit:
+      creditLimit > 0
+        ? Math.max(creditLimit - (outstanding - creditBalance), 0)
+        : null,
+    overdue_invoices: overdueInvoices,
+  };
+}
+
+/**
+ * Applique le contrôle de crédit à une vente déjà insérée dans la transaction
+ * (l'appelant annule la transaction si la vente est refusée).
+ * La dérogation exige un motif (override.reason) et que l'utilisateur puisse
+ * la donner (canOverride, en pratique la permission Ventes.Ventes.approve) ;
+ * elle est enregistrée dans credit_overrides.
+ * @param {Object} connection - Connexion MySQL (transaction de la vente)
+ * @param {Object} params - { companyId, userId, orderId, amountDue, date,
+ *   override: { reason }, canOverride, approvedBy }
+ * @returns {Promise<Object>} { ok: true, override_id } si la vente est
+ *   accordée, sinon { ok: false, error, code, credit_check } (HTTP 403)
+ */
+async function enforceCustomerCredit(connection, params) {
+  const decision = await evaluateCustomerCredit(connection, {
+    ...params,
+    excludeOrderId: params.orderId,
+    forUpdate: true,
+  });
+  if (decision.allowed) return { ok: true, override_id: null };
+
+  const reason = params.override && String(params.override.reason || "").trim();
+  if (!reason || !params.canOverride) {
+    return {
+      ok: false,
+      error: reason
+        ? "Dérogation refusée : vous n'avez pas le droit d'autoriser une vente au-delà du crédit client."
+        : "Vente refusée : crédit client insuffisant ou factures en retard.",
+      code: "credit_check_failed",
+      credit_check: decision,
+    };
+  }
+
+  const [result] = await connection.query(
+    `INSERT INTO credit_overrides (
+        company_id, order_id, user_id, approved_by, reason, reason_codes,
+        credit_limit, outstanding, amount_due, overdue_count, created_at
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      params.companyId,
+      params.orderId,
+      params.userId,
+      params.approvedBy || null,
+      reason,
+      decision.reasons.map((r) => r.code).join(","),
+      decision.credit_limit,
+      decision.outstanding,
+      decision.amount_due,
+      decision.overdue_invoices.length,
+    ]
+  );
+  return { ok: true, override_id: result.insertId };
+}
+
+module.exports = {
+  evaluateCustomerCredit,
+  enforceCustomerCredit,
+};
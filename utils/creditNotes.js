@@ -0,0 +1,388 @@
+// utils/creditNotes.js
+// Avoirs (credit notes) : chaque retour de vente (order_type = 'sales_return')
+// produit un avoir numéroté, lié au retour (return_order_id) et à la facture
+// d'origine (original_order_id). Le montant de l'avoir est soit remboursé en
+// espèces (paiement sortant, voir POST /api/payments avec credit_note_id,
+// ou paiements saisis avec le retour : refunded_amount de l'avoir), soit
+// conservé comme crédit client et imputé sur de futures factures
+// (POST /api/payments/process-order-payment avec payment.credit_amount).
+// credit_note_allocations trace chaque utilisation (refund / invoice).
+const { nextDocumentNumber } = require("./documentNumbers");
+
+/**
+ * Recalcule le statut d'un avoir à partir des montants utilisés.
+ * @returns {string} open, partially_used ou used
+ */
+function creditNoteStatus(amount, usedAmount) {
+  if (usedAmount <= 0) return "open";
+  return amount - usedAmount <= 0.01 ? "used" : "partially_used";
+}
+
+/**
+ * Crée l'avoir d'un retour de vente, dans la transaction du retour. Les
+ * remboursements déjà réglés avec le retour (paid_amount, paiements liés dans
+ * order_payments) sont portés en refunded_amount : seul le solde reste un
+ * crédit client.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} returnOrder - { id, company_id, warehouse_id, user_id,
+ *   original_order_id, order_date, total, paid_amount }
+ * @returns {Promise<Object>} { id, credit_note_number }
+ */
+async function createCreditNoteForReturn(connection, returnOrder) {
+  const amount = parseFloat(returnOrder.total) || 0;
+  const refunded = Math.min(
+    amount,
+    Math.max(0, parseFloat(returnOrder.paid_amount) || 0)
+  );
+  const creditNoteNumber = await nextDocumentNumber(connection, {
+    companyId: returnOrder.company_id,
+    warehouseId: returnOrder.warehouse_id,
+    documentType: "credit_note",
+    date: returnOrder.order_date,
+  });
+  const [result] = await connection.query(
+    `INSERT INTO credit_notes (
+        credit_note_number, company_id, warehouse_id, user_id, return_order_id,
+        original_order_id, date, amount, refunded_amount, applied_amount, status,
+        created_at, updated_at
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, NOW(), NOW())`,
+    [
+      creditNoteNumber,
+      returnOrder.company_id,
+      returnOrder.warehouse_id,
+      returnOrder.user_id,
+      returnOrder.id,
+      returnOrder.original_order_id || null,
+      returnOrder.order_date,
+      amount,
+      refunded,
+      creditNoteStatus(amount, refunded),
+    ]
+  );
+  // Remboursements tracés comme ceux de POST /api/payments (annulés avec
+  // leur paiement, voir releasePaymentRefunds)
+  await connection.query(
+    `INSERT INTO credit_note_allocations (credit_note_id, allocation_type, payment_id, amount, created_at)
+     SELECT ?, 'refund', payment_id, amount, NOW()
+     FROM order_payments WHERE order_id = ? AND payment_id IS NOT NULL`,
+    [result.insertId, returnOrder.id]
+  );
+  return { id: result.insertId, credit_note_number: creditNoteNumber };
+}
+
+/**
+ * Répercute la modification d'un retour sur son avoir (nouveau montant,
+ * remboursements, client, facture d'origine). Crée l'avoir s'il n'existe pas
+ * encore. Le remboursé est le paid_amount du retour, sans descendre sous
+ * les remboursements tracés (paiements déjà versés).
+ * @throws {Error} Si le nouveau montant est inférieur à la part déjà utilisée
+ */
+async function syncCreditNoteForReturn(connection, returnOrder) {
+  const [rows] = await connection.query(
+    `SELECT * FROM credit_notes WHERE return_order_id = ? AND status <> 'cancelled' FOR UPDATE`,
+    [returnOrder.id]
+  );
+  if (rows.length === 0) {
+    return createCreditNoteForReturn(connection, returnOrder);
+  }
+  const creditNote = rows[0];
+  const amount = parseFloat(returnOrder.total) || 0;
+  const [refundRows] = await connection.query(
+    `SELECT COALESCE(SUM(amount), 0) AS refunded FROM credit_note_allocations
+     WHERE credit_note_id = ? AND allocation_type = 'refund'`,
+    [creditNote.id]
+  );
+  const refunded = Math.max(
+    parseFloat(returnOrder.paid_amount) || 0,
+    parseFloat(refundRows[0].refunded) || 0
+  );
+  const used = refunded + parseFloat(creditNote.applied_amount);
+  if (amount < used - 0.01) {
+    throw new Error(
+      `L'avoir ${creditNote.credit_note_number} a déjà été utilisé pour ${used} : le montant du retour ne peut pas être inférieur.`
+    );
+  }
+  if (used > 0 && Number(returnOrder.user_id) !== Number(creditNote.user_id)) {
+    throw new Error(
+      `L'avoir ${creditNote.credit_note_number} a déjà été utilisé : le client du retour ne peut plus être modifié.`
+    );
+  }
+  await connection.query(
+    `UPDATE credit_notes SET amount = ?, refunded_amount = ?, user_id = ?, original_order_id = ?, status = ?, updated_at = NOW()
+     WHERE id = ?`,
+    [
+      amount,
+      refunded,
+      returnOrder.user_id,
+      returnOrder.original_order_id || null,
+      creditNoteStatus(amount, used),
+      creditNote.id,
+    ]
+  );
+  return creditNote;
+}
+
+/**
+ * Annule l'avoir d'un retour supprimé. Un remboursement sans paiement tracé
+ * (paid_amount du retour seul) disparaît avec le retour.
+ * @throws {Error} Si l'avoir a déjà été remboursé (paiement) ou imputé
+ */
+async function cancelCreditNoteForReturn(connection, returnOrderId) {
+  const [rows] = await connection.query(
+    `SELECT cn.*, (
+        SELECT COALESCE(SUM(a.amount), 0) FROM credit_note_allocations a
+        WHERE a.credit_note_id = cn.id AND a.allocation_type = 'refund'
+      ) AS tracked_refunds
+     FROM credit_notes cn
+     WHERE cn.return_order_id = ? AND cn.status <> 'cancelled' FOR UPDATE`,
+    [returnOrderId]
+  );
+  for (const creditNote of rows) {
+    const used =
+      parseFloat(creditNote.tracked_refunds) +
+      parseFloat(creditNote.applied_amount);
+    if (used > 0) {
+      throw new Error(
+        `L'avoir ${creditNote.credit_note_number} a déjà été remboursé ou imputé : supprimez d'abord ces opérations.`
+      );
+    }
+    await connection.query(
+      "UPDATE credit_notes SET status = 'cancelled', updated_at = NOW() WHERE id = ?",
+      [creditNote.id]
+    );
+  }
+}
+
+/**
+ * Crédit client disponible (somme des soldes des avoirs ouverts).
+ * @returns {Promise<number>}
+ */
+async function getCustomerCreditBalance(connection, companyId, userId) {
+  const [rows] = await connection.query(
+    `SELECT COALESCE(SUM(amount - refunded_amount - applied_amount), 0) AS balance
+     FROM credit_notes
+     WHERE company_id = ? AND user_id = ? AND status IN ('open', 'partially_used')`,
+    [companyId, userId]
+  );
+  return parseFloat(rows[0].balance) || 0;
+}
+
+/**
+ * Enregistre le remboursement (en espèces) d'un avoir par un paiement sortant.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {number} creditNoteId - ID de l'avoir
+ * @param {number} paymentId - Paiement de remboursement
+ * @param {number} amount - Montant remboursé
+ * @returns {Promise<Object>} Avoir (avant remboursement)
+ * @throws {Error} Avoir introuvable, annulé ou solde insuffisant
+ */
+async function refundCreditNote(connection, creditNoteId, paymentId, amount) {
+  const [rows] = await connection.query(
+    "SELECT * FROM credit_notes WHERE id = ? FOR UPDATE",
+    [creditNoteId]
+  );
+  if (rows.length === 0 || rows[0].status === "cancelled") {
+    throw new Error("Avoir introuvable ou annulé.");
+  }
+  const creditNote = rows[0];
+  const balance =
+    parseFloat(creditNote.amount) -
+    parseFloat(creditNote.refunded_amount) -
+    parseFloat(creditNote.applied_amount);
+  if (amount > balance + 0.01) {
+    throw new Error(
+      `Solde insuffisant sur l'avoir ${creditNote.credit_note_number} (disponible: ${balance}, demandé: ${amount}).`
+    );
+  }
+
+  await connection.query(
+    `INSERT INTO credit_note_allocations (credit_note_id, allocation_type, payment_id, amount, created_at)
+     VALUES (?, 'refund', ?, ?, NOW())`,
+    [creditNoteId, paymentId, amount]
+  );
+  const refunded = parseFloat(creditNote.refunded_amount) + amount;
+  await connection.query(
+    `UPDATE credit_notes SET refunded_amount = ?, status = ?, updated_at = NOW() WHERE id = ?`,
+    [
+      refunded,
+      creditNoteStatus(
+        parseFloat(creditNote.amount),
+        refunded + parseFloat(creditNote.applied_amount)
+      ),
+      creditNoteId,
+    ]
+  );
+  return creditNote;
+}
+
+/**
+ * Impute le crédit client sur une facture : les avoirs ouverts du client
+ * sont consommés du plus ancien au plus récent. Chaque imputation crée une
+ * ligne order_payments (sans paiement) pour que la facture soit soldée par
+ * le calcul habituel (somme des order_payments).
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} params - { companyId, userId, orderId, amount, date }
+ * @returns {Promise<Object>} { allocations: [{ credit_note_id,
+ *   credit_note_number, amount }] }, ou { error } si le crédit client est
+ *   insuffisant (rien n'est imputé)
+ */
+async function applyCustomerCredit(connection, params) {
+  const { companyId, userId, orderId, date } = params;
+  let remaining = parseFloat(params.amount) || 0;
+
+  const [creditNotes] = await connection.query(
+    `SELECT * FROM credit_notes
+     WHERE company_id = ? AND user_id = ? AND status IN ('open', 'partially_used')
+     ORDER BY date ASC, id ASC
+     FOR UPDATE`,
+    [companyId, userId]
+  );
+  const available = creditNotes.reduce(
+    (sum, note) =>
+      sum +
+      parseFloat(note.amount) -
+      parseFloat(note.refunded_amount) -
+      parseFloat(note.applied_amount),
+    0
+  );
+  if (remaining > available + 0.01) {
+    return {
+      error: `Crédit client insuffisant (disponible: ${available}, demandé: ${remaining}).`,
+    };
+  }
+
+  const allocations = [];
+  for (const creditNote of creditNotes) {
+    if (remaining <= 0) break;
+    const balance =
+      parseFloat(creditNote.amount) -
+      parseFloat(creditNote.refunded_amount) -
+      parseFloat(creditNote.applied_amount);
+    if (balance <= 0) continue;
+    const used = Math.min(balance, remaining);
+
+    const [orderPaymentResult] = await connection.query(
+      `INSERT INTO order_payments (order_id, payment_id, amount, payment_date, remarks, created_at, updated_at)
+       VALUES (?, NULL, ?, ?, ?, NOW(), NOW())`,
+      [orderId, used, date, `Avoir ${creditNote.credit_note_number}`]
+    );
+    await connection.query(
+      `INSERT INTO credit_note_allocations (credit_note_id, allocation_type, order_id, order_payment_id, amount, created_at)
+       VALUES (?, 'invoice', ?, ?, ?, NOW())`,
+      [creditNote.id, orderId, orderPaymentResult.insertId, used]
+    );
+    const applied = parseFloat(creditNote.applied_amount) + used;
+    await connection.query(
+      `UPDATE credit_notes SET applied_amount = ?, status = ?, updated_at = NOW() WHERE id = ?`,
+      [
+        applied,
+        creditNoteStatus(
+          parseFloat(creditNote.amount),
+          applied + parseFloat(creditNote.refunded_amount)
+        ),
+        creditNote.id,
+      ]
+    );
+
+    allocations.push({
+      credit_note_id: creditNote.id,
+      credit_note_number: creditNote.credit_note_number,
+      amount: used,
+    });
+    remaining -= used;
+  }
+  return { allocations };
+}
+
+/**
+ * Annule les remboursements d'avoir portés par un paiement supprimé.
+ */
+async function releasePaymentRefunds(connection, paymentId) {
+  const [allocations] = await connection.query(
+    `SELECT * FROM credit_note_allocations WHERE payment_id = ? AND allocation_type = 'refund'`,
+    [paymentId]
+  );
+  for (const allocation of allocations) {
+    const [rows] = await connection.query(
+      "SELECT * FROM credit_notes WHERE id = ? FOR UPDATE",
+      [allocation.credit_note_id]
+    );
+    if (rows.length === 0) continue;
+    const refunded =
+      parseFloat(rows[0].refunded_amount) - parseFloat(allocation.amount);
+    await connection.query(
+      `UPDATE credit_notes SET refunded_amount = ?, status = ?, updated_at = NOW() WHERE id = ?`,
+      [
+        refunded,
+        rows[0].status === "cancelled"
+          ? "cancelled"
+          : creditNoteStatus(
+              parseFloat(rows[0].amount),
+              refunded + parseFloat(rows[0].applied_amount)
+            ),
+        rows[0].id,
+      ]
+    );
+  }
+  await connection.query(
+    "DELETE FROM credit_note_allocations WHERE payment_id = ? AND allocation_type = 'refund'",
+    [paymentId]
+  );
+}
+
+/**
+ * Rend aux avoirs le crédit imputé sur une facture (modification complète ou
+ * suppression de la facture) et retire les lignes order_payments associées.
+ */
+async function releaseInvoiceCredit(connection, orderId) {
+  const [allocations] = await connection.query(
+    `SELECT * FROM credit_note_allocations WHERE order_id = ? AND allocation_type = 'invoice'`,
+    [orderId]
+  );
+  for (const allocation of allocations) {
+    const [rows] = await connection.query(
+      "SELECT * FROM credit_notes WHERE id = ? FOR UPDATE",
+      [allocation.credit_note_id]
+    );
+    if (rows.length > 0) {
+      const applied = Math.max(
+        0,
+        parseFloat(rows[0].applied_amount) - parseFloat(allocation.amount)
+      );
+      await connection.query(
+        `UPDATE credit_notes SET applied_amount = ?, status = ?, updated_at = NOW() WHERE id = ?`,
+        [
+          applied,
+          rows[0].status === "cancelled"
+            ? "cancelled"
+            : creditNoteStatus(
+                parseFloat(rows[0].amount),
+                applied + parseFloat(rows[0].refunded_amount)
+              ),
+          rows[0].id,
+        ]
+      );
+    }
+    if (allocation.order_payment_id) {
+      await connection.query(
+        "DELETE FROM order_payments WHERE id = ? AND payment_id IS NULL",
+        [allocation.order_payment_id]
+      );
+    }
+  }
+  await connection.query(
+    "DELETE FROM credit_note_allocations WHERE order_id = ? AND allocation_type = 'invoice'",
+    [orderId]
+  );
+}
+
+module.exports = {
+  createCreditNoteForReturn,
+  syncCreditNoteForReturn,
+  cancelCreditNoteForReturn,
+  getCustomerCreditBalance,
+  refundCreditNote,
+  applyCustomerCredit,
+  releasePaymentRefunds,
+  releaseInvoiceCredit,
+};
@@ -0,0 +1,124 @@
+// utils/currency.js
+// Multi-devise : une commande ou un paiement peut être libellé dans une autre
+// devise que la devise de base de l'entreprise (companies.currency_id). Les
+// montants du document restent dans sa devise ; currency_id et exchange_rate
+// (valeur d'une unité de la devise en devise de base, figée sur le document)
+// permettent la conversion : montant de base = montant x exchange_rate.
+// Les cours sont historisés par date d'effet dans exchange_rates.
+
+/**
+ * Devise de base de l'entreprise.
+ * @returns {Promise<number|null>} companies.currency_id
+ */
+async function getBaseCurrencyId(connection, companyId) {
+  const [rows] = await connection.query(
+    "SELECT currency_id FROM companies WHERE id = ?",
+    [companyId]
+  );
+  return rows.length > 0 ? rows[0].currency_id || null : null;
+}
+
+/**
+ * Cours d'une devise à une date : dernier cours dont la date d'effet est
+ * antérieure ou égale à la date. 1 pour la devise de base.
+ * @param {Object} connection - Connexion MySQL (ou pool)
+ * @param {Object} params - { companyId, currencyId, date }
+ * @returns {Promise<number|null>} Cours, ou null si aucun cours n'est connu
+ */
+async function getExchangeRate(connection, params) {
+  const { companyId, currencyId } = params;
+  if (!currencyId) return 1;
+  const baseCurrencyId = await getBaseCurrencyId(connection, companyId);
+  if (Number(currencyId) === Number(baseCurrencyId)) return 1;
+
+  const [rows] = await connection.query(
+    `SELECT rate FROM exchange_rates
+     WHERE currency_id = ? AND effective_date <= ?
+     ORDER BY effective_date DESC, id DESC
+     LIMIT 1`,
+    [currencyId, params.date || new Date()]
+  );
+  return rows.length > 0 ? parseFloat(rows[0].rate) : null;
+}
+
+/**
+ * Devise et cours d'un document : le cours saisi s'il est fourni, sinon le
+ * cours en vigueur à la date du document, sinon fallbackRate.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} params - { companyId, currencyId, exchangeRate, date,
+ *   fallbackRate }
+ * @returns {Promise<Object>} { currency_id, exchange_rate }
+ * @throws {Error} Aucun cours connu pour la devise à cette date
+ */
+async function resolveDocumentCurrency(connection, params) {
+  const currencyId = params.currencyId ? Number(params.currencyId) : null;
+  const baseCurrencyId = await getBaseCurrencyId(connection, params.companyId);
+  if (!currencyId || currencyId === Number(baseCurrencyId)) {
+    return { currency_id: currencyId, exchange_rate: 1 };
+  }
+
+  const explicitRate = parseFloat(params.exchangeRate);
+  if (explicitRate > 0) {
+    return { currency_id: currencyId, exchange_rate: explicitRate };
+  }
+  const rate =
+    (await getExchangeRate(connection, params)) ||
+    parseFloat(params.fallbackRate) ||
+    null;
+  if (!rate) {
+    throw new Error(
+      `Aucun cours de change connu pour la devise ${currencyId} au ${new Date(
+        params.date || Date.now()
+      ).toLocaleDateString("fr-FR")}.`
+    );
+  }
+  return { currency_id: currencyId, exchange_rate: rate };
+}
+
+/**
+ * Enregistre la devise et le cours d'une commande ou d'un paiement.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {string} table - orders ou payments
+ * @param {number} id - ID du document
+ * @param {Object} params - voir resolveDocumentCurrency
+ * @returns {Promise<Object>} { currency_id, exchange_rate }
+ */
+async function applyDocumentCurrency(connection, table, id, params) {
+  if (!["orders", "payments"].includes(table)) {
+    throw new Error(`Table sans devise: ${table}`);
+  }
+  const currency = await resolveDocumentCurrency(connection, params);
+  await connection.query(
+    `UPDATE ${table} SET currency_id = ?, exchange_rate = ? WHERE id = ?`,
+    [currency.currency_id, currency.exchange_rate, id]
+  );
+  return currency;
+}
+
+/**
+ * Gain (positif) ou perte (négatif) de change réalisé, en devise de base,
+ * quand un montant d'une facture est réglé à un autre cours que celui de la
+ * facture. Encaisser plus cher qu'on a facturé est un gain ; décaisser plus
+ * cher qu'on a été facturé est une perte.
+ * @param {number} amount - Montant réglé (devise du document)
+ * @param {number} orderRate - Cours de la facture
+ * @param {number} paymentRate - Cours du paiement
+ * @param {string} paymentType - in ou out
+ * @returns {number}
+ */
+function realizedFxGainLoss(amount, orderRate, paymentRate, paymentType) {
+  const sign = paymentType === "in" ? 1 : -1;
+  const difference =
+    sign *
+    (parseFloat(amount) || 0) *
+    ((parseFloat(paymentRate) || 1) - (parseFloat(orderRate) || 1));
+  return Math.round(difference * 100) / 100;
+}
+
+module.exports = {
+  getBaseCurrencyId,
+  getExchangeRate,
+  resolveDocumentCurrency,
+  applyDocumentCurrency,
+  realizedFxGainLoss,
+};
@@ -0,0 +1,348 @@
+// utils/documentNumbers.js
+// Numérotation des documents (factures, retours, avoirs, proformas,
+// transferts, paiements, réceptions, inventaires, sessions de caisse) par
+// compteur transactionnel : document_sequences contient une ligne par
+// (entreprise, magasin, type de document, année). Le compteur est incrémenté dans la transaction qui crée
+// le document : deux ventes simultanées attendent le verrou de la ligne au
+// lieu de lire le même « dernier numéro », et un rollback rend le numéro
+// (numérotation sans trou).
+//
+// Format : modèle configurable par magasin (warehouses.number_templates, objet
+// JSON { type de document: modèle }), sinon modèle par défaut ci-dessous.
+// Jetons disponibles :
+//   {PREFIX}  prefixe_inv du magasin, sinon celui de l'entreprise
+//   {WH}      3 premières lettres du nom du magasin
+//   {YYYY} {YY} {MM}  année / mois de la date du document
+//   {SEQ} ou {SEQ:n}  séquence, complétée à n chiffres (4 par défaut)
+
+const DEFAULT_PREFIX = "SALE";
+
+const DEFAULT_TEMPLATES = {
+  sales: "{PREFIX}{MM}{YYYY}-{SEQ:4}",
+  sales_return: "R-{PREFIX}{MM}{YYYY}-{SEQ:4}",
+  purchase: "ACHT{MM}{YYYY}-{SEQ:4}",
+  purchase_return: "R-ACHT{MM}{YYYY}-{SEQ:4}",
+  "stock-transfer": "TRF{MM}{YYYY}-{SEQ:4}",
+  proforma: "PF{PREFIX}{MM}{YYYY}-{SEQ:4}",
+  credit_note: "AV{PREFIX}{MM}{YYYY}-{SEQ:4}",
+  payment_in: "PAY-IN-{WH}-{SEQ:4}",
+  payment_out: "PAY-OUT-{WH}-{SEQ:4}",
+  purchase_receipt: "BR{MM}{YYYY}-{SEQ:4}",
+  inventory_count: "INV{MM}{YYYY}-{SEQ:4}",
+  pos_session: "CAI-{WH}-{SEQ:4}",
+};
+
+// Table et colonne où chercher les numéros déjà attribués (reprise de
+// l'historique à la création d'un compteur)
+const DOCUMENT_SOURCES = {
+  payment_in: { table: "payments", column: "payment_number" },
+  payment_out: { table: "payments", column: "payment_number" },
+  credit_note: { table: "credit_notes", column: "credit_note_number" },
+  purchase_receipt: { table: "purchase_receipts", column: "receipt_number" },
+  inventory_count: { table: "inventory_sessions", column: "session_number" },
+  pos_session: { table: "pos_sessions", column: "session_number" },
+};
+const DEFAULT_SOURCE = { table: "orders", column: "invoice_number" };
+
+const TOKEN_REGEX = /\{(PREFIX|WH|YYYY|YY|MM|SEQ)(?::(\d+))?\}/g;
+
+/**
+ * Lit les modèles personnalisés d'un magasin (colonne JSON ou texte).
+ * @returns {Object} { type de document: modèle }
+ */
+function parseTemplates(value) {
+  if (!value) return {};
+  if (typeof value === "object") return value;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (error) {
+    console.error("number_templates invalide:", error.message);
+    return {};
+  }
+}
+
+/**
+ * Vérifie des modèles saisis pour un magasin.
+ * @param {Object} templates - { type de document: modèle }
+ * @returns {string|null} Message d'erreur, ou null si les modèles sont valides
+ */
+function validateTemplates(templates) {
+  if (!templates || typeof templates !== "object" || Array.isArray(templates)) {
+    return "number_templates doit être un objet { type de document: modèle }.";
+  }
+  for (const [documentType, template] of Object.entries(templates)) {
+    if (!DEFAULT_TEMPLATES[documentType]) {
+      return `Type de document inconnu: ${documentType}. Types acceptés: ${Object.keys(
+        DEFAULT_TEMPLATES
+      ).join(", ")}.`;
+    }
+    if (template === null || template === "") continue; // retour au modèle par défaut
+    if (typeof template !== "string" || template.length > 100) {
+      return `Modèle invalide pour ${documentType}.`;
+    }
+    const seqTokens = template.match(/\{SEQ(?::\d+)?\}/g) || [];
+    if (seqTokens.length !== 1) {
+      return `Le modèle de ${documentType} doit contenir une fois {SEQ} ou {SEQ:n}.`;
+    }
+    const unknown = template.replace(TOKEN_REGEX, "").match(/\{[^}]*\}/);
+    if (unknown) {
+      return `Jeton inconnu ${unknown[0]} dans le modèle de ${documentType}.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Charge le contexte de numérotation : modèle, valeurs des jetons et clé du
+ * compteur. Le compteur est propre au magasin seulement si le numéro l'est
+ * (modèle du magasin, {WH}, ou {PREFIX} avec un prefixe_inv de magasin) ;
+ * sinon il est partagé par l'entreprise (warehouse_id = 0) pour éviter que
+ * deux magasins produisent le même numéro. Sans jeton d'année, le compteur ne
+ * repart pas à zéro chaque année (year = 0).
+ */
+async function loadNumberingContext(connection, options) {
+  const { companyId, warehouseId, documentType } = options;
+  const date = options.date ? new Date(options.date) : new Date();
+  if (isNaN(date.getTime())) {
+    throw new Error(`Date de document invalide: ${options.date}`);
+  }
+
+  let warehouse = null;
+  if (warehouseId) {
+    const [warehouseRows] = await connection.query(
+      "SELECT id, name, prefixe_inv, number_templates FROM warehouses WHERE id = ?",
+      [warehouseId]
+    );
+    warehouse = warehouseRows[0] || null;
+  }
+  const [companyRows] = await connection.query(
+    "SELECT prefixe_inv FROM companies WHERE id = ?",
+    [companyId]
+  );
+  if (companyRows.length === 0) throw new Error("Entreprise non trouvée");
+
+  const customTemplate = warehouse
+    ? parseTemplates(warehouse.number_templates)[documentType]
+    : null;
+  const template = customTemplate || DEFAULT_TEMPLATES[documentType];
+  if (!template) {
+    throw new Error(`Type de document inconnu: ${documentType}`);
+  }
+
+  const warehousePrefix = warehouse && warehouse.prefixe_inv;
+  const tokens = {
+    PREFIX: warehousePrefix || companyRows[0].prefixe_inv || DEFAULT_PREFIX,
+    WH: warehouse ? warehouse.name.substring(0, 3).toUpperCase() : "DEF",
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: ("0" + (date.getMonth() + 1)).slice(-2),
+  };
+
+  const perWarehouse =
+    !!warehouse &&
+    (!!customTemplate ||
+      template.includes("{WH}") ||
+      (template.includes("{PREFIX}") && !!warehousePrefix));
+  const yearly = template.includes("{YYYY}") || template.includes("{YY}");
+
+  return {
+    template,
+    tokens,
+    key: {
+      companyId,
+      warehouseId: perWarehouse ? warehouse.id : 0,
+      documentType,
+      year: yearly ? date.getFullYear() : 0,
+    },
+  };
+}
+
+/** Construit le numéro à partir du modèle et de la séquence. */
+function renderNumber(template, tokens, sequence) {
+  return template.replace(TOKEN_REGEX, (match, token, width) =>
+    token === "SEQ"
+      ? String(sequence).padStart(parseInt(width || "4", 10), "0")
+      : tokens[token]
+  );
+}
+
+/**
+ * Plus grande séquence déjà attribuée pour ce modèle, dans les documents
+ * existants (numérotation antérieure au compteur). Le mois varie dans l'année :
+ * {MM} est remplacé par un joker.
+ */
+async function findLastUsedSequence(connection, context) {
+  const { template, tokens, key } = context;
+  const source = DOCUMENT_SOURCES[key.documentType] || DEFAULT_SOURCE;
+
+  const escapeLike = (text) => text.replace(/[\\%_]/g, "\\$&");
+  const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  let likePattern = "";
+  let regexPattern = "";
+  let lastIndex = 0;
+  template.replace(TOKEN_REGEX, (match, token, width, offset) => {
+    const literal = template.slice(lastIndex, offset);
+    likePattern += escapeLike(literal);
+    regexPattern += escapeRegex(literal);
+    if (token === "SEQ") {
+      // Les anciens numéros de secours (timestamp sur 8 chiffres) sont ignorés
+      likePattern += "%";
+      regexPattern += "(\\d{1,6})";
+    } else if (token === "MM") {
+      likePattern += "__";
+      regexPattern += "\\d{2}";
+    } else {
+      likePattern += escapeLike(tokens[token]);
+      regexPattern += escapeRegex(tokens[token]);
+    }
+    lastIndex = offset + match.length;
+    return match;
+  });
+  likePattern += escapeLike(template.slice(lastIndex));
+  regexPattern += escapeRegex(template.slice(lastIndex));
+
+  const params = [key.companyId, likePattern];
+  let warehouseFilter = "";
+  if (key.warehouseId) {
+    warehouseFilter = " AND warehouse_id = ?";
+    params.push(key.warehouseId);
+  }
+  const [rows] = await connection.query(
+    `SELECT ${source.column} AS number FROM ${source.table}
+     WHERE company_id = ? AND ${source.column} LIKE ?${warehouseFilter}`,
+    params
+  );
+
+  const matcher = new RegExp(`^${regexPattern}$`);
+  return rows.reduce((max, row) => {
+    const match = matcher.exec(row.number || "");
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+}
+
+/**
+ * Attribue le prochain numéro d'un document.
+ * À appeler avec la connexion de la transaction qui insère le document : le
+ * verrou sur le compteur est tenu jusqu'au commit, et un rollback annule
+ * l'incrément.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} options - { companyId, warehouseId, documentType, date }
+ *   documentType : sales, sales_return, purchase, purchase_return,
+ *   stock-transfer, proforma, credit_note, payment_in, payment_out,
+ *   purchase_receipt
+ * @returns {Promise<string>} Numéro du document
+ */
+async function nextDocumentNumber(connection, options) {
+  const context = await loadNumberingContext(connection, options);
+  const lastNumber = await incrementSequence(connection, context, 1);
+  return renderNumber(context.template, context.tokens, lastNumber);
+}
+
+/**
+ * Réserve une plage de numéros consécutifs (caisse hors ligne : le POS
+ * numérote lui-même ses ventes dans la plage attribuée). Les numéros sont
+ * rendus à la date de la réservation.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} options - { companyId, warehouseId, documentType, date,
+ *   count }
+ * @returns {Promise<Object>} { first_sequence, last_sequence, numbers }
+ */
+async function reserveDocumentNumbers(connection, options) {
+  const count = parseInt(options.count, 10);
+  if (!(count > 0)) {
+    throw new Error("Nombre de numéros à réserver invalide.");
+  }
+  const context = await loadNumberingContext(connection, options);
+  const lastSequence = await incrementSequence(connection, context, count);
+  const firstSequence = lastSequence - count + 1;
+  const numbers = [];
+  for (let sequence = firstSequence; sequence <= lastSequence; sequence++) {
+    numbers.push(renderNumber(context.template, context.tokens, sequence));
+  }
+  return {
+    first_sequence: firstSequence,
+    last_sequence: lastSequence,
+    numbers,
+  };
+}
+
+/**
+ * Incrémente le compteur du contexte de `count` et renvoie la dernière
+ * séquence attribuée. Le compteur est créé au premier document, à la suite
+ * des numéros déjà présents.
+ */
+async function incrementSequence(connection, context, count) {
+  const { key } = context;
+  const keyParams = [
+    key.companyId,
+    key.warehouseId,
+    key.documentType,
+    key.year,
+  ];
+  const keyWhere =
+    "company_id = ? AND warehouse_id = ? AND document_type = ? AND year = ?";
+
+  const [existing] = await connection.query(
+    `SELECT id FROM document_sequences WHERE ${keyWhere}`,
+    keyParams
+  );
+  if (existing.length === 0) {
+    // Premier document de ce compteur : reprendre après les numéros existants
+    const lastUsed = await findLastUsedSequence(connection, context);
+    await connection.query(
+      `INSERT IGNORE INTO document_sequences (
+          company_id, warehouse_id, document_type, year, last_number, created_at, updated_at
+       ) VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
+      [...keyParams, lastUsed]
+    );
+  }
+
+  // L'UPDATE verrouille la ligne jusqu'à la fin de la transaction
+  await connection.query(
+    `UPDATE document_sequences SET last_number = last_number + ?, updated_at = NOW()
+     WHERE ${keyWhere}`,
+    [count, ...keyParams]
+  );
+  const [rows] = await connection.query(
+    `SELECT last_number FROM document_sequences WHERE ${keyWhere}`,
+    keyParams
+  );
+  return rows[0].last_number;
+}
+
+/**
+ * Numéro que recevrait le prochain document, sans consommer la séquence
+ * (aperçu dans la configuration du magasin).
+ * @returns {Promise<Object>} { template, next_number, counter }
+ */
+async function previewDocumentNumber(connection, options) {
+  const context = await loadNumberingContext(connection, options);
+  const { key } = context;
+  const [rows] = await connection.query(
+    `SELECT last_number FROM document_sequences
+     WHERE company_id = ? AND warehouse_id = ? AND document_type = ? AND year = ?`,
+    [key.companyId, key.warehouseId, key.documentType, key.year]
+  );
+  const lastNumber =
+    rows.length > 0
+      ? rows[0].last_number
+      : await findLastUsedSequence(connection, context);
+  return {
+    template: context.template,
+    next_number: renderNumber(context.template, context.tokens, lastNumber + 1),
+    counter: {
+      warehouse_id: key.warehouseId,
+      year: key.year,
+      last_number: lastNumber,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  validateTemplates,
+  nextDocumentNumber,
+  reserveDocumentNumbers,
+  previewDocumentNumber,
+};
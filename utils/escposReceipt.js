@@ -0,0 +1,533 @@
+// utils/escposReceipt.js
+// Ticket de caisse au format ESC/POS pour imprimante thermique (58 ou 80 mm),
+// envoyé tel quel à l'imprimante par le terminal de caisse : logo du magasin,
+// en-tête, lignes, totaux, règlements, QR code de vérification de la facture
+// et code-barres CODE128 du numéro de facture.
+// Le logo et le QR code sont imprimés en image raster (GS v 0), reconnue par
+// toutes les imprimantes ESC/POS, contrairement au QR code natif (GS ( k).
+// Seuls les logos PNG (8 bits, non entrelacés) sont imprimés ; un logo dans un
+// autre format est ignoré.
+// Le texte est envoyé en page de code Windows-1252 (ESC t 16).
+const fs = require("fs-extra");
+const zlib = require("zlib");
+const dayjs = require("dayjs");
+const QRCode = require("qrcode");
+
+// Largeur du papier (mm) -> caractères par ligne (police A) et points imprimables
+const RECEIPT_WIDTHS = {
+  58: { columns: 32, dots: 384 },
+  80: { columns: 48, dots: 576 },
+};
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ALIGN = { left: 0, center: 1, right: 2 };
+
+// Taille cible du QR code, comme l'image de generateInvoiceQRCode
+const QR_TARGET_DOTS = 200;
+const LOGO_MAX_HEIGHT = 160;
+const RASTER_BAND_HEIGHT = 128;
+
+// Caractères hors Latin-1 : équivalent Windows-1252
+const CP1252_EXTRA = {
+  "€": 0x80,
+  "‘": 0x27,
+  "’": 0x27,
+  "“": 0x22,
+  "”": 0x22,
+  "–": 0x2d,
+  "—": 0x2d,
+  "…": 0x2e,
+  "\u202f": 0x20,
+  "\u00a0": 0x20,
+};
+
+function encodeText(text) {
+  const bytes = [];
+  for (const char of String(text)) {
+    if (CP1252_EXTRA[char] !== undefined) {
+      bytes.push(CP1252_EXTRA[char]);
+    } else if (char.charCodeAt(0) <= 0xff) {
+      bytes.push(char.charCodeAt(0));
+    } else {
+      bytes.push(0x3f); // "?"
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+const formatAmount = (value) =>
+  new Intl.NumberFormat("fr-FR", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })
+    .format(parseFloat(value) || 0)
+    .replace(/[\u202f\u00a0]/g, " ");
+
+const formatQuantity = (value) =>
+  new Intl.NumberFormat("fr-FR", { maximumFractionDigits: 3 })
+    .format(parseFloat(value) || 0)
+    .replace(/[\u202f\u00a0]/g, " ");
+
+/**
+ * Découpe un texte en lignes d'au plus `columns` caractères, sur les espaces
+ * quand c'est possible.
+ */
+function wrapText(text, columns) {
+  const lines = [];
+  for (const paragraph of String(text || "").split(/\r?\n/)) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      let rest = word;
+      while (rest.length > columns) {
+        if (line) {
+          lines.push(line);
+          line = "";
+        }
+        lines.push(rest.slice(0, columns));
+        rest = rest.slice(columns);
+      }
+      if (!rest) continue;
+      if (!line) {
+        line = rest;
+      } else if (line.length + 1 + rest.length <= columns) {
+        line += ` ${rest}`;
+      } else {
+        lines.push(line);
+        line = rest;
+      }
+    }
+    if (line) lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Ligne libellé à gauche, valeur à droite ; le libellé est tronqué si besoin.
+ */
+function columnsLine(left, right, columns) {
+  const value = String(right);
+  const label = String(left).slice(0, Math.max(columns - value.length - 1, 0));
+  const spaces = Math.max(columns - label.length - value.length, 1);
+  return `${label}${" ".repeat(spaces)}${value}`;
+}
+
+/**
+ * Décode une image PNG (8 bits par canal, non entrelacée) en niveaux de gris,
+ * la transparence étant composée sur fond blanc.
+ * @param {Buffer} buffer - Contenu du fichier
+ * @returns {{width: number, height: number, gray: Uint8Array}|null} null si le
+ *   format n'est pas pris en charge
+ */
+function decodePng(buffer) {
+  const signature = "89504e470d0a1a0a";
+  if (
+    buffer.length < 8 ||
+    buffer.subarray(0, 8).toString("hex") !== signature
+  ) {
+    return null;
+  }
+
+  let header = null;
+  let palette = null;
+  let paletteAlpha = null;
+  const idat = [];
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "PLTE") {
+      palette = data;
+    } else if (type === "tRNS") {
+      paletteAlpha = data;
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  // Canaux par type de couleur : gris, RVB, palette, gris + alpha, RVBA
+  const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+  if (
+    !header ||
+    header.bitDepth !== 8 ||
+    header.interlace !== 0 ||
+    !CHANNELS[header.colorType] ||
+    (header.colorType === 3 && !palette)
+  ) {
+    return null;
+  }
+
+  const { width, height, colorType } = header;
+  const channels = CHANNELS[colorType];
+  const stride = width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  if (raw.length < height * (stride + 1)) return null;
+
+  // Suppression des filtres de ligne (None, Sub, Up, Average, Paeth)
+  const pixels = Buffer.alloc(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const rowStart = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[rowStart + x - channels] : 0;
+      const up = y > 0 ? pixels[rowStart - stride + x] : 0;
+      const upLeft =
+        y > 0 && x >= channels ? pixels[rowStart - stride + x - channels] : 0;
+      let predictor = 0;
+      if (filter === 1) predictor = left;
+      else if (filter === 2) predictor = up;
+      else if (filter === 3) predictor = (left + up) >> 1;
+      else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const dLeft = Math.abs(estimate - left);
+        const dUp = Math.abs(estimate - up);
+        const dUpLeft = Math.abs(estimate - upLeft);
+        predictor =
+          dLeft <= dUp && dLeft <= dUpLeft
+            ? left
+            : dUp <= dUpLeft
+            ? up
+            : upLeft;
+      }
+      pixels[rowStart + x] = (line[x] + predictor) & 0xff;
+    }
+  }
+
+  const gray = new Uint8Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    const p = i * channels;
+    let r;
+    let g;
+    let b;
+    let alpha = 255;
+    if (colorType === 3) {
+      const index = pixels[p];
+      r = palette[index * 3];
+      g = palette[index * 3 + 1];
+      b = palette[index * 3 + 2];
+      if (paletteAlpha && index < paletteAlpha.length) {
+        alpha = paletteAlpha[index];
+      }
+    } else if (colorType === 0 || colorType === 4) {
+      r = g = b = pixels[p];
+      if (colorType === 4) alpha = pixels[p + 1];
+    } else {
+      r = pixels[p];
+      g = pixels[p + 1];
+      b = pixels[p + 2];
+      if (colorType === 6) alpha = pixels[p + 3];
+    }
+    const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+    gray[i] = Math.round((luminance * alpha + 255 * (255 - alpha)) / 255);
+  }
+  return { width, height, gray };
+}
+
+/**
+ * Convertit une image en niveaux de gris en image raster 1 bit (1 = point
+ * noir), réduite au plus proche voisin pour tenir dans maxWidth x maxHeight.
+ */
+function toRaster(image, maxWidth, maxHeight = Infinity) {
+  const scale = Math.min(1, maxWidth / image.width, maxHeight / image.height);
+  const width = Math.max(1, Math.floor(image.width * scale));
+  const height = Math.max(1, Math.floor(image.height * scale));
+  const widthBytes = Math.ceil(width / 8);
+  const data = Buffer.alloc(widthBytes * height);
+  for (let y = 0; y < height; y++) {
+    const sourceY = Math.min(image.height - 1, Math.floor(y / scale));
+    for (let x = 0; x < width; x++) {
+      const sourceX = Math.min(image.width - 1, Math.floor(x / scale));
+      if (image.gray[sourceY * image.width + sourceX] < 128) {
+        data[y * widthBytes + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+  return { widthBytes, height, data };
+}
+
+/**
+ * Raster du QR code de vérification (mêmes contenu et marge que l'image de
+ * generateInvoiceQRCode).
+ */
+function qrCodeRaster(text, maxDots) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: "M" });
+  const margin = 1;
+  const size = modules.size + margin * 2;
+  const moduleDots = Math.max(
+    1,
+    Math.floor(Math.min(QR_TARGET_DOTS, maxDots) / size)
+  );
+  const gray = new Uint8Array(size * size).fill(255);
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) {
+        gray[(row + margin) * size + col + margin] = 0;
+      }
+    }
+  }
+  const width = size * moduleDots;
+  // Agrandissement entier : chaque module occupe moduleDots x moduleDots points
+  const scaled = new Uint8Array(width * width);
+  for (let y = 0; y < width; y++) {
+    for (let x = 0; x < width; x++) {
+      scaled[y * width + x] =
+        gray[Math.floor(y / moduleDots) * size + Math.floor(x / moduleDots)];
+    }
+  }
+  return toRaster({ width, height: width, gray: scaled }, width);
+}
+
+/**
+ * Charge le logo du magasin pour l'impression.
+ * @param {string} filePath - Chemin du fichier image sur le serveur
+ * @param {number} maxWidth - Largeur maximale en points
+ * @returns {Promise<Object|null>} Raster, ou null si le fichier est absent ou
+ *   n'est pas un PNG pris en charge
+ */
+async function loadLogoRaster(filePath, maxWidth) {
+  if (!filePath || !(await fs.pathExists(filePath))) return null;
+  try {
+    const image = decodePng(await fs.readFile(filePath));
+    return image ? toRaster(image, maxWidth, LOGO_MAX_HEIGHT) : null;
+  } catch (error) {
+    console.warn(`Logo illisible pour le ticket (${filePath}):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Nombre de points par module du code-barres CODE128 (jeu B) pour qu'il
+ * tienne dans la largeur imprimable, ou 0 s'il est trop long.
+ */
+function barcodeModuleWidth(text, dots) {
+  // Départ + caractères + clé de contrôle (11 modules chacun), arrêt (13) et
+  // zones blanches (10 de chaque côté)
+  const modules = (text.length + 2) * 11 + 13 + 20;
+  return Math.min(3, Math.floor(dots / modules));
+}
+
+/**
+ * Petit constructeur de flux ESC/POS.
+ */
+function createPrinter(columns) {
+  const chunks = [];
+  const raw = (...bytes) => chunks.push(Buffer.from(bytes));
+  const printer = {
+    columns,
+    raw,
+    init() {
+      raw(ESC, 0x40); // ESC @ : réinitialisation
+      raw(ESC, 0x74, 16); // ESC t 16 : Windows-1252
+      return printer;
+    },
+    align(position) {
+      raw(ESC, 0x61, ALIGN[position]);
+      return printer;
+    },
+    bold(enabled) {
+      raw(ESC, 0x45, enabled ? 1 : 0);
+      return printer;
+    },
+    size(width, height) {
+      raw(GS, 0x21, ((width - 1) << 4) | (height - 1));
+      return printer;
+    },
+    line(text = "") {
+      chunks.push(encodeText(text));
+      raw(LF);
+      return printer;
+    },
+    wrapped(text, lineColumns = columns) {
+      wrapText(text, lineColumns).forEach((line) => printer.line(line));
+      return printer;
+    },
+    pair(left, right) {
+      return printer.line(columnsLine(left, right, columns));
+    },
+    separator(char = "-") {
+      return printer.line(char.repeat(columns));
+    },
+    feed(lines) {
+      raw(ESC, 0x64, lines); // ESC d n
+      return printer;
+    },
+    image(raster) {
+      // GS v 0 par bandes, certaines imprimantes limitant la hauteur
+      for (let y = 0; y < raster.height; y += RASTER_BAND_HEIGHT) {
+        const bandHeight = Math.min(RASTER_BAND_HEIGHT, raster.height - y);
+        raw(
+          GS,
+          0x76,
+          0x30,
+          0,
+          raster.widthBytes & 0xff,
+          raster.widthBytes >> 8,
+          bandHeight & 0xff,
+          bandHeight >> 8
+        );
+        chunks.push(
+          raster.data.subarray(
+            y * raster.widthBytes,
+            (y + bandHeight) * raster.widthBytes
+          )
+        );
+      }
+      return printer;
+    },
+    barcode128(text, moduleWidth) {
+      const data = encodeText(`{B${text}`);
+      raw(GS, 0x68, 80); // GS h : hauteur en points
+      raw(GS, 0x77, moduleWidth); // GS w : largeur d'un module
+      raw(GS, 0x48, 2); // GS H : texte lisible sous le code
+      raw(GS, 0x66, 0); // GS f : police A
+      raw(GS, 0x6b, 73, data.length); // GS k 73 : CODE128
+      chunks.push(data);
+      return printer;
+    },
+    cut() {
+      raw(GS, 0x56, 66, 0); // GS V 66 : avance puis coupe partielle
+      return printer;
+    },
+    toBuffer() {
+      return Buffer.concat(chunks);
+    },
+  };
+  return printer;
+}
+
+/**
+ * Construit le ticket de caisse ESC/POS d'une commande.
+ * @param {Object} receipt - Données du ticket (voir GET /api/orders/:id/receipt)
+ * @param {Object} options
+ * @param {number} [options.width=80] - Largeur du papier : 58 ou 80 (mm)
+ * @param {string} [options.verificationUrl] - URL de vérification de la
+ *   facture, imprimée en QR code
+ * @param {Object} [options.logo] - Raster du logo (voir loadLogoRaster)
+ * @returns {Buffer} Flux d'octets à envoyer à l'imprimante
+ */
+function buildEscposReceipt(receipt, options = {}) {
+  const paper = RECEIPT_WIDTHS[options.width || 80];
+  if (!paper) {
+    throw new Error(
+      `Largeur de ticket invalide (${Object.keys(RECEIPT_WIDTHS).join(
+        " ou "
+      )} mm).`
+    );
+  }
+  const { order, items, payments, company, warehouse } = receipt;
+  const printer = createPrinter(paper.columns).init();
+
+  // En-tête
+  printer.align("center");
+  if (options.logo) {
+    printer.image(options.logo).line();
+  }
+  printer
+    .bold(true)
+    .size(2, 2)
+    .wrapped(company.name || warehouse.name || "", paper.columns / 2)
+    .size(1, 1)
+    .bold(false);
+  if (warehouse.name && warehouse.name !== company.name) {
+    printer.wrapped(warehouse.name);
+  }
+  const address = warehouse.address || company.address;
+  const phone = warehouse.phone || company.phone;
+  if (address) printer.wrapped(address);
+  if (phone) printer.line(`Tél : ${phone}`);
+
+  printer.align("left").separator();
+  printer
+    .bold(true)
+    .line(`Ticket N° ${order.invoice_number || order.id}`)
+    .bold(false);
+  printer.line(`Date : ${dayjs(order.order_date).format("DD/MM/YYYY HH:mm")}`);
+  if (receipt.staff_member) {
+    printer.wrapped(`Caissier : ${receipt.staff_member.name}`);
+  }
+  if (receipt.customer && receipt.customer.id) {
+    printer.wrapped(`Client : ${receipt.customer.name}`);
+  }
+
+  // Lignes
+  printer.separator();
+  for (const item of items) {
+    printer.wrapped(item.product.name);
+    printer.pair(
+      `  ${formatQuantity(item.quantity)} x ${formatAmount(item.unit_price)}`,
+      formatAmount(item.total_price)
+    );
+  }
+
+  // Totaux
+  printer.separator();
+  printer.pair("Sous-total", formatAmount(order.subtotal));
+  if (parseFloat(order.discount) > 0) {
+    printer.pair("Remise", `-${formatAmount(order.discount)}`);
+  }
+  if (parseFloat(order.tax_amount) > 0) {
+    printer.pair("Taxes", formatAmount(order.tax_amount));
+  }
+  printer
+    .bold(true)
+    .size(1, 2)
+    .pair("TOTAL", formatAmount(order.total))
+    .size(1, 1)
+    .bold(false);
+
+  // Règlements
+  if (payments.length > 0) {
+    printer.separator();
+    for (const payment of payments) {
+      printer.pair(payment.payment_method, formatAmount(payment.amount));
+    }
+  }
+  printer.pair("Payé", formatAmount(order.paid_amount));
+  if (parseFloat(order.due_amount) > 0) {
+    printer
+      .bold(true)
+      .pair("Reste à payer", formatAmount(order.due_amount))
+      .bold(false);
+  }
+  if (order.notes) {
+    printer.separator().wrapped(order.notes);
+  }
+
+  // Vérification : QR code et code-barres du numéro de facture
+  printer.separator().align("center");
+  if (options.verificationUrl) {
+    printer.image(qrCodeRaster(options.verificationUrl, paper.dots));
+    printer.line("Scannez pour vérifier la facture");
+  }
+  if (order.invoice_number) {
+    const moduleWidth = barcodeModuleWidth(order.invoice_number, paper.dots);
+    if (/^[\x20-\x7e]+$/.test(order.invoice_number) && moduleWidth > 0) {
+      printer.line().barcode128(order.invoice_number, moduleWidth).line();
+    }
+  }
+  printer.line().line("Merci de votre visite !");
+
+  return printer.feed(4).cut().toBuffer();
+}
+
+module.exports = {
+  RECEIPT_WIDTHS,
+  decodePng,
+  loadLogoRaster,
+  buildEscposReceipt,
+};
@@ -0,0 +1,763 @@
+// utils/fiscalization.js
+// Facturation normalisée : chaque vente et chaque retour de vente d'une
+// entreprise soumise (companies.fiscal_provider) est certifié par le
+// dispositif de l'administration fiscale (e-MECeF au Bénin) ou, en test, par
+// le simulateur local. La certification renvoie le code de la facture
+// normalisée (signature), les compteurs du dispositif, son identifiant (NIM)
+// et le contenu du QR code fiscal, enregistrés sur la commande et imprimés sur
+// la facture.
+//
+// La commande est mise en file (fiscal_submissions) dans sa transaction, puis
+// soumise après la validation (une vente encore à régler attend son
+// paiement, enregistré juste après par la caisse) : un dispositif injoignable
+// ne bloque pas la vente, la soumission est retentée (délai croissant) par le traitement
+// périodique lancé au démarrage du serveur. Une facture refusée par
+// l'administration passe au statut failed et se resoumet à la demande.
+//
+// Fournisseurs : "simulator" et "emecef" ; registerFiscalProvider() en ajoute
+// d'autres (SECeF du Burkina, etc.). Le jeton d'accès à l'API n'est pas
+// stocké en base : FISCAL_API_TOKEN_<id entreprise>, à défaut FISCAL_API_TOKEN.
+const crypto = require("crypto");
+const axios = require("axios");
+const dayjs = require("dayjs");
+const { isCashPaymentMode } = require("./accounting");
+
+const FISCAL_STATUS_LABELS = {
+  pending: "En attente de certification",
+  processing: "Certification en cours",
+  certified: "Certifiée",
+  failed: "Refusée",
+};
+
+// Types de facture normalisée : facture de vente, facture d'avoir
+const FISCAL_INVOICE_TYPES = {
+  sales: "FV",
+  sales_return: "FA",
+};
+
+const RETRY_BASE_DELAY_SECONDS = 60;
+const RETRY_MAX_DELAY_SECONDS = 3600;
+const API_TIMEOUT_MS = parseInt(process.env.FISCAL_API_TIMEOUT_MS, 10) || 15000;
+// Attente du paiement d'une vente créée sans règlement (la caisse enregistre
+// les paiements juste après la vente) avant sa certification automatique
+const PAYMENT_WAIT_SECONDS =
+  parseInt(process.env.FISCAL_PAYMENT_WAIT_SECONDS, 10) || 120;
+// Délai au-delà duquel une soumission processing est reprise (appel au
+// dispositif interrompu) : la durée des deux requêtes e-MECeF plus une marge
+// d'une minute
+const PROCESSING_LEASE_SECONDS = Math.ceil((2 * API_TIMEOUT_MS) / 1000) + 60;
+
+const round2 = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+/**
+ * Erreur de certification ; retryable = dispositif injoignable (nouvel essai
+ * plus tard), sinon facture refusée.
+ */
+function fiscalError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Simulateur local : signe la facture (HMAC-SHA256, secret
+ * FISCAL_SIMULATOR_SECRET) et tient les compteurs à partir des certifications
+ * déjà enregistrées. FISCAL_SIMULATOR_OFFLINE=1 simule un dispositif
+ * injoignable.
+ */
+const simulatorProvider = {
+  label: "Simulateur local",
+  async submit(invoice, { connection }) {
+    if (process.env.FISCAL_SIMULATOR_OFFLINE === "1") {
+      throw fiscalError("Simulateur fiscal hors ligne.", true);
+    }
+    const [[counts]] = await connection.query(
+      `SELECT COUNT(*) AS total, COALESCE(SUM(invoice_type = ?), 0) AS of_type
+       FROM fiscal_submissions
+       WHERE company_id = ? AND status = 'certified'`,
+      [invoice.type, invoice.company_id]
+    );
+    const signature = crypto
+      .createHmac(
+        "sha256",
+        process.env.FISCAL_SIMULATOR_SECRET || "e-gestion-simulateur"
+      )
+      .update(JSON.stringify(invoice))
+      .digest("hex")
+      .slice(0, 24)
+      .toUpperCase();
+    const certifiedAt = new Date();
+    const nim = `SIMU${String(invoice.company_id).padStart(6, "0")}`;
+    return {
+      uid: crypto.randomUUID(),
+      code: signature.match(/.{4}/g).join("-"),
+      counters: `${Number(counts.of_type) + 1}/${Number(counts.total) + 1} ${
+        invoice.type
+      }`,
+      nim,
+      qr_code: `F;${nim};${signature};${invoice.ifu || ""};${dayjs(
+        certifiedAt
+      ).format("YYYYMMDDHHmmss")}`,
+      certified_at: certifiedAt,
+    };
+  },
+};
+
+/** Date e-MECeF "jj/mm/aaaa hh:mm:ss" ; à défaut, l'heure du serveur. */
+function parseEmecefDate(value) {
+  const match = /^(\d{2})\/(\d{2})\/(\d{4}) (\d{2}):(\d{2}):(\d{2})$/.exec(
+    value || ""
+  );
+  if (!match) return new Date();
+  const [, day, month, year, hours, minutes, seconds] = match.map(Number);
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+}
+
+// Moyens de paiement reconnus par e-MECeF
+const EMECEF_PAYMENT_NAMES = { cash: "ESPECES", other: "AUTRE", due: "CREDIT" };
+
+/**
+ * API e-MECeF de la DGI du Bénin : la facture est enregistrée
+ * (POST /api/invoice) puis confirmée (PUT /api/invoice/{uid}/confirm), ce
+ * qui renvoie le code MECeF/DGI, les compteurs, le NIM et le QR code.
+ * Groupes de taxe : A exonéré, B taxable.
+ */
+const emecefProvider = {
+  label: "e-MECeF (DGI Bénin)",
+  async submit(invoice, { config }) {
+    if (!config.apiUrl || !config.token) {
+      throw fiscalError(
+        "Configuration e-MECeF incomplète (URL de l'API ou jeton manquant).",
+        false
+      );
+    }
+    const client = axios.create({
+      baseURL: config.apiUrl.replace(/\/+$/, ""),
+      timeout: API_TIMEOUT_MS,
+      headers: { Authorization: `Bearer ${config.token}` },
+    });
+    const call = async (request) => {
+      let response;
+      try {
+        response = await request();
+      } catch (error) {
+        // Pas de réponse ou erreur serveur : dispositif injoignable
+        const status = error.response ? error.response.status : null;
+        throw fiscalError(
+          `e-MECeF : ${
+            (error.response &&
+              error.response.data &&
+              error.response.data.errorDesc) ||
+            error.message
+          }`,
+          !status || status >= 500
+        );
+      }
+      if (response.data && response.data.errorCode) {
+        throw fiscalError(
+          `e-MECeF : ${response.data.errorDesc || response.data.errorCode}`,
+          false
+        );
+      }
+      return response.data;
+    };
+
+    const paid = invoice.payments.reduce((sum, p) => sum + p.amount, 0);
+    const payment = invoice.payments.map((p) => ({
+      name: p.is_cash ? EMECEF_PAYMENT_NAMES.cash : EMECEF_PAYMENT_NAMES.other,
+      amount: Math.round(p.amount),
+    }));
+    if (invoice.total - paid > 0) {
+      payment.push({
+        name: EMECEF_PAYMENT_NAMES.due,
+        amount: Math.round(invoice.total - paid),
+      });
+    }
+
+    const pending = await call(() =>
+      client.post("/api/invoice", {
+        ifu: invoice.ifu,
+        type: invoice.type,
+        reference: invoice.reference || undefined,
+        items: invoice.items.map((item) => ({
+          name: item.name,
+          price: Math.round(item.unit_price),
+          quantity: item.quantity,
+          taxGroup: item.tax_rate > 0 ? "B" : "A",
+        })),
+        client: {
+          name: invoice.client.name,
+          contact: invoice.client.contact || undefined,
+          address: invoice.client.address || undefined,
+        },
+        operator: {
+          id: String(invoice.operator.id || ""),
+          name: invoice.operator.name,
+        },
+        payment,
+      })
+    );
+    const confirmed = await call(() =>
+      client.put(`/api/invoice/${pending.uid}/confirm`)
+    );
+    return {
+      uid: pending.uid,
+      code: confirmed.codeMECeFDGI,
+      counters: confirmed.counters,
+      nim: confirmed.nim,
+      qr_code: confirmed.qrCode,
+      certified_at: parseEmecefDate(confirmed.dateTime),
+    };
+  },
+};
+
+const FISCAL_PROVIDERS = {
+  simulator: simulatorProvider,
+  emecef: emecefProvider,
+};
+
+/**
+ * Ajoute un fournisseur de certification.
+ * @param {string} name - Valeur de companies.fiscal_provider
+ * @param {Object} provider - { label, submit(invoice, { config, connection }) }
+ *   ; submit renvoie { uid, code, counters, nim, qr_code, certified_at } et
+ *   lève une erreur avec retryable = true si le dispositif est injoignable
+ */
+function registerFiscalProvider(name, provider) {
+  if (!provider || typeof provider.submit !== "function") {
+    throw new Error(`Fournisseur fiscal "${name}" invalide.`);
+  }
+  FISCAL_PROVIDERS[name] = provider;
+}
+
+/**
+ * Met une vente ou un retour de vente en file de certification, dans la
+ * transaction de la commande. Sans effet si l'entreprise n'est pas soumise à
+ * la facturation normalisée ou si la commande est déjà en file.
+ * @param {Object} options - { awaitPayment } : vente encore à régler, soumise
+ *   au premier paiement (voir submitOrderFiscalInvoice) ou, à défaut, après
+ *   FISCAL_PAYMENT_WAIT_SECONDS, pour que les moyens de paiement certifiés
+ *   soient les bons
+ * @returns {Promise<number|null>} Id de la soumission, ou null
+ */
+async function queueFiscalSubmission(connection, orderId, options = {}) {
+  const [orders] = await connection.query(
+    `SELECT o.id, o.company_id, o.order_type, c.fiscal_provider
+     FROM orders o
+     JOIN companies c ON c.id = o.company_id
+     WHERE o.id = ?`,
+    [orderId]
+  );
+  const order = orders[0];
+  if (!order || !order.fiscal_provider) return null;
+  const invoiceType = FISCAL_INVOICE_TYPES[order.order_type];
+  if (!invoiceType) return null;
+
+  const [existing] = await connection.query(
+    "SELECT id FROM fiscal_submissions WHERE order_id = ?",
+    [orderId]
+  );
+  if (existing.length > 0) return existing[0].id;
+
+  const [result] = await connection.query(
+    `INSERT INTO fiscal_submissions
+       (company_id, order_id, provider, invoice_type, status, attempts,
+        next_attempt_at, created_at, updated_at)
+     VALUES (?, ?, ?, ?, 'pending', 0, DATE_ADD(NOW(), INTERVAL ? SECOND),
+             NOW(), NOW())`,
+    [
+      order.company_id,
+      orderId,
+      order.fiscal_provider,
+      invoiceType,
+      options.awaitPayment ? PAYMENT_WAIT_SECONDS : 0,
+    ]
+  );
+  await connection.query(
+    "UPDATE orders SET fiscal_status = 'pending' WHERE id = ?",
+    [orderId]
+  );
+  return result.insertId;
+}
+
+/**
+ * Répartit la remise de la commande (remises globales et promotions) sur les
+ * lignes, au prorata de leur montant : la somme des lignes certifiées est
+ * celle de la facture. L'arrondi restant va à la dernière ligne remisable.
+ * @param {Array} lines - [{ total }]
+ * @param {number} discount
+ * @returns {Array} Remise de chaque ligne
+ */
+function prorateDiscount(lines, discount) {
+  const base = lines.reduce((sum, line) => sum + Math.max(line.total, 0), 0);
+  if (!(discount > 0) || !(base > 0)) return lines.map(() => 0);
+  const amount = Math.min(discount, base);
+  const shares = lines.map((line) =>
+    round2((amount * Math.max(line.total, 0)) / base)
+  );
+  const remainder = round2(
+    amount - shares.reduce((sum, share) => sum + share, 0)
+  );
+  const last = lines.map((line) => line.total > 0).lastIndexOf(true);
+  shares[last] = round2(shares[last] + remainder);
+  return shares;
+}
+
+/**
+ * Facture à certifier, indépendante du fournisseur. La remise de la
+ * commande est répartie sur les lignes (voir prorateDiscount).
+ */
+async function buildFiscalInvoice(connection, submission) {
+  const [orders] = await connection.query(
+    `SELECT o.*, c.fiscal_ifu, u.name AS client_name, u.phone AS client_phone,
+            u.email AS client_email, u.address AS client_address,
+            s.name AS staff_name
+     FROM orders o
+     JOIN companies c ON c.id = o.company_id
+     LEFT JOIN users u ON u.id = o.user_id
+     LEFT JOIN users s ON s.id = o.staff_user_id
+     WHERE o.id = ?`,
+    [submission.order_id]
+  );
+  const order = orders[0];
+  if (!order) {
+    throw fiscalError(`Commande ${submission.order_id} introuvable.`, false);
+  }
+
+  const [items] = await connection.query(
+    `SELECT oi.quantity, oi.subtotal, oi.unit_price, oi.tax_rate,
+            p.name AS product_name
+     FROM order_items oi
+     LEFT JOIN products p ON p.id = oi.product_id
+     WHERE oi.order_id = ?
+     ORDER BY oi.id ASC`,
+    [order.id]
+  );
+  const [payments] = await connection.query(
+    `SELECT op.amount, pm.name, pm.mode_type
+     FROM order_payments op
+     JOIN payments p ON p.id = op.payment_id
+     LEFT JOIN payment_modes pm ON pm.id = p.payment_mode_id
+     WHERE op.order_id = ?`,
+    [order.id]
+  );
+
+  // Facture d'avoir : référence à la facture normalisée d'origine
+  let reference = null;
+  if (submission.invoice_type === "FA") {
+    const [originals] = order.original_order_id
+      ? await connection.query(
+          "SELECT invoice_number, fiscal_code FROM orders WHERE id = ?",
+          [order.original_order_id]
+        )
+      : [[]];
+    if (!originals[0] || !originals[0].fiscal_code) {
+      throw fiscalError(
+        "Facture d'avoir : la facture d'origine n'est pas certifiée.",
+        false
+      );
+    }
+    reference = originals[0].fiscal_code;
+  }
+
+  const lines = items.map((item) => {
+    const quantity = parseFloat(item.quantity) || 0;
+    return {
+      name: item.product_name || "Article",
+      quantity,
+      tax_rate: parseFloat(item.tax_rate) || 0,
+      total: round2(item.subtotal || quantity * item.unit_price),
+    };
+  });
+  const discounts = prorateDiscount(lines, parseFloat(order.discount) || 0);
+
+  return {
+    company_id: order.company_id,
+    order_id: order.id,
+    invoice_number: order.invoice_number,
+    type: submission.invoice_type,
+    date: order.order_date,
+    ifu: order.fiscal_ifu,
+    reference,
+    client: {
+      name: order.client_name || "Client divers",
+      contact: order.client_phone || order.client_email || null,
+      address: order.client_address || null,
+    },
+    operator: { id: order.staff_user_id, name: order.staff_name || "Caisse" },
+    items: lines.map((line, index) => {
+      const total = round2(line.total - discounts[index]);
+      return {
+        ...line,
+        unit_price: line.quantity ? round2(total / line.quantity) : 0,
+        discount: discounts[index],
+        total,
+      };
+    }),
+    payments: payments.map((payment) => ({
+      name: payment.name,
+      is_cash: isCashPaymentMode(payment),
+      amount: round2(payment.amount),
+    })),
+    discount: round2(order.discount),
+    total: round2(order.total),
+  };
+}
+
+/** Délai avant le prochain essai : 1 min, 2 min, 4 min... plafonné à 1 h. */
+function retryDelaySeconds(attempts) {
+  return Math.min(
+    RETRY_BASE_DELAY_SECONDS * 2 ** Math.max(attempts - 1, 0),
+    RETRY_MAX_DELAY_SECONDS
+  );
+}
+
+/**
+ * Réserve une soumission à traiter (statut processing) et prépare la facture,
+ * dans une transaction courte. Une soumission processing dont le délai est
+ * dépassé (serveur arrêté pendant l'appel) peut être reprise.
+ * @returns {Promise<Object>} { submission, attempts, invoice, config, error }
+ *   (submission seule si elle n'est pas à traiter)
+ */
+async function claimFiscalSubmission(connection, submissionId) {
+  await connection.beginTransaction();
+  try {
+    const [rows] = await connection.query(
+      `SELECT *, (next_attempt_at <= NOW()) AS lease_expired
+       FROM fiscal_submissions WHERE id = ? FOR UPDATE`,
+      [submissionId]
+    );
+    const submission = rows[0];
+    if (
+      !submission ||
+      !(
+        submission.status === "pending" ||
+        (submission.status === "processing" && submission.lease_expired)
+      )
+    ) {
+      await connection.commit();
+      return { submission: submission || null };
+    }
+
+    const attempts = submission.attempts + 1;
+    await connection.query(
+      `UPDATE fiscal_submissions
+       SET status = 'processing', attempts = ?,
+           next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND),
+           updated_at = NOW()
+       WHERE id = ?`,
+      [attempts, PROCESSING_LEASE_SECONDS, submission.id]
+    );
+
+    let invoice = null;
+    let config = null;
+    let error = null;
+    try {
+      if (!FISCAL_PROVIDERS[submission.provider]) {
+        throw fiscalError(
+          `Fournisseur fiscal inconnu : ${submission.provider}.`,
+          false
+        );
+      }
+      invoice = await buildFiscalInvoice(connection, submission);
+      const [companies] = await connection.query(
+        "SELECT fiscal_api_url FROM companies WHERE id = ?",
+        [submission.company_id]
+      );
+      config = {
+        apiUrl: companies[0] ? companies[0].fiscal_api_url : null,
+        token:
+          process.env[`FISCAL_API_TOKEN_${submission.company_id}`] ||
+          process.env.FISCAL_API_TOKEN ||
+          null,
+      };
+    } catch (err) {
+      if (err.retryable === undefined) throw err;
+      error = err;
+    }
+    await connection.commit();
+    return { submission, attempts, invoice, config, error };
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  }
+}
+
+/**
+ * Enregistre le résultat d'un essai de certification (certifiée, nouvel
+ * essai plus tard ou refusée), dans sa propre transaction.
+ */
+async function recordFiscalResult(connection, claim, result, error) {
+  const { submission, attempts } = claim;
+  await connection.beginTransaction();
+  try {
+    if (result) {
+      await connection.query(
+        `UPDATE fiscal_submissions
+         SET status = 'certified', attempts = ?, external_uid = ?,
+             last_error = NULL, response = ?, certified_at = ?,
+             updated_at = NOW()
+         WHERE id = ?`,
+        [
+          attempts,
+          result.uid || null,
+          JSON.stringify(result),
+          result.certified_at,
+          submission.id,
+        ]
+      );
+      await connection.query(
+        `UPDATE orders
+         SET fiscal_status = 'certified', fiscal_code = ?, fiscal_counters = ?,
+             fiscal_nim = ?, fiscal_qr_code = ?, fiscal_certified_at = ?
+         WHERE id = ?`,
+        [
+          result.code,
+          result.counters,
+          result.nim,
+          result.qr_code,
+          result.certified_at,
+          submission.order_id,
+        ]
+      );
+    } else {
+      const retryable = error.retryable !== false;
+      console.error(
+        `Certification de la commande ${submission.order_id} (essai ${attempts}) :`,
+        error.message
+      );
+      await connection.query(
+        `UPDATE fiscal_submissions
+         SET status = ?, attempts = ?, last_error = ?,
+             next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND),
+             updated_at = NOW()
+         WHERE id = ?`,
+        [
+          retryable ? "pending" : "failed",
+          attempts,
+          error.message,
+          retryDelaySeconds(attempts),
+          submission.id,
+        ]
+      );
+      if (!retryable) {
+        await connection.query(
+          "UPDATE orders SET fiscal_status = 'failed' WHERE id = ?",
+          [submission.order_id]
+        );
+      }
+    }
+    const [updated] = await connection.query(
+      "SELECT * FROM fiscal_submissions WHERE id = ?",
+      [submission.id]
+    );
+    await connection.commit();
+    return updated[0];
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  }
+}
+
+/**
+ * Soumet une facture en file au dispositif fiscal. La soumission est
+ * réservée (processing) dans une première transaction pour ne jamais être
+ * certifiée deux fois ; l'appel au dispositif (jusqu'à deux requêtes HTTP) se
+ * fait hors transaction, sans verrou, puis le résultat est enregistré dans
+ * une seconde transaction.
+ * @param {Object} pool - Pool mysql2 (config/db)
+ * @param {number} submissionId
+ * @returns {Promise<Object|null>} Soumission après l'essai, null si inconnue
+ */
+async function processFiscalSubmission(pool, submissionId) {
+  const connection = await pool.getConnection();
+  try {
+    const claim = await claimFiscalSubmission(connection, submissionId);
+    if (!claim.attempts) return claim.submission;
+
+    let result = null;
+    let error = claim.error;
+    if (!error) {
+      try {
+        result = await FISCAL_PROVIDERS[claim.submission.provider].submit(
+          claim.invoice,
+          { config: claim.config, connection }
+        );
+      } catch (err) {
+        error = err;
+      }
+    }
+    return await recordFiscalResult(connection, claim, result, error);
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Soumission immédiate après la validation de la commande : l'échec est
+ * journalisé, la soumission restant en file.
+ * @returns {Promise<Object|null>} { status, code, counters, last_error }
+ */
+async function trySubmitFiscalInvoice(pool, submissionId) {
+  if (!submissionId) return null;
+  try {
+    const submission = await processFiscalSubmission(pool, submissionId);
+    return submission ? formatFiscalSubmission(submission) : null;
+  } catch (error) {
+    console.error("Erreur lors de la certification de la facture:", error);
+    return { id: submissionId, status: "pending", last_error: error.message };
+  }
+}
+
+/**
+ * Soumission d'une vente en attente de son paiement, dès que celui-ci est
+ * enregistré (POST /api/payments/process-order-payment).
+ * @returns {Promise<Object|null>} Voir trySubmitFiscalInvoice ; null si la
+ *   vente n'attend pas de certification
+ */
+async function submitOrderFiscalInvoice(pool, orderId) {
+  const [rows] = await pool.query(
+    `SELECT id FROM fiscal_submissions
+     WHERE order_id = ? AND status = 'pending' AND attempts = 0`,
+    [orderId]
+  );
+  return rows.length > 0 ? trySubmitFiscalInvoice(pool, rows[0].id) : null;
+}
+
+/**
+ * Traite les soumissions en attente dont l'heure de nouvel essai est passée.
+ * @returns {Promise<Object>} { processed, certified, pending, failed }
+ */
+async function processPendingFiscalSubmissions(pool, { limit = 50 } = {}) {
+  const [due] = await pool.query(
+    `SELECT id FROM fiscal_submissions
+     WHERE status IN ('pending', 'processing') AND next_attempt_at <= NOW()
+     ORDER BY next_attempt_at ASC, id ASC
+     LIMIT ?`,
+    [limit]
+  );
+  const summary = {
+    processed: 0,
+    certified: 0,
+    pending: 0,
+    processing: 0,
+    failed: 0,
+  };
+  for (const { id } of due) {
+    const submission = await processFiscalSubmission(pool, id);
+    if (!submission) continue;
+    summary.processed += 1;
+    summary[submission.status] += 1;
+  }
+  return summary;
+}
+
+/**
+ * Remet une soumission refusée en file et la soumet aussitôt (après
+ * correction de la facture ou de la configuration).
+ * @returns {Promise<Object|null>} Soumission après l'essai
+ */
+async function retryFiscalSubmission(pool, submissionId) {
+  const [result] = await pool.query(
+    `UPDATE fiscal_submissions
+     SET status = 'pending', next_attempt_at = NOW(), updated_at = NOW()
+     WHERE id = ? AND status IN ('pending', 'failed')`,
+    [submissionId]
+  );
+  if (result.affectedRows === 0) return null;
+  await pool.query(
+    `UPDATE orders o
+     JOIN fiscal_submissions fs ON fs.order_id = o.id
+     SET o.fiscal_status = 'pending'
+     WHERE fs.id = ?`,
+    [submissionId]
+  );
+  return processFiscalSubmission(pool, submissionId);
+}
+
+/**
+ * Lance le traitement périodique de la file (FISCAL_RETRY_INTERVAL_MS, une
+ * minute par défaut) ; un passage ne démarre pas tant que le précédent tourne.
+ */
+function startFiscalRetryWorker(pool) {
+  const intervalMs =
+    parseInt(process.env.FISCAL_RETRY_INTERVAL_MS, 10) || 60000;
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await processPendingFiscalSubmissions(pool);
+      if (summary.processed > 0) {
+        console.log("[Fiscalisation] File traitée :", summary);
+      }
+    } catch (error) {
+      console.error("[Fiscalisation] Erreur du traitement de la file:", error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+/** Soumission telle que renvoyée par l'API. */
+function formatFiscalSubmission(submission) {
+  let result = null;
+  try {
+    result = submission.response ? JSON.parse(submission.response) : null;
+  } catch (error) {
+    result = null;
+  }
+  return {
+    id: submission.id,
+    order_id: submission.order_id,
+    provider: submission.provider,
+    invoice_type: submission.invoice_type,
+    status: submission.status,
+    status_label: FISCAL_STATUS_LABELS[submission.status] || submission.status,
+    attempts: submission.attempts,
+    next_attempt_at:
+      submission.status === "pending" ? submission.next_attempt_at : null,
+    last_error: submission.last_error,
+    code: result ? result.code : null,
+    counters: result ? result.counters : null,
+    nim: result ? result.nim : null,
+    certified_at: submission.certified_at,
+  };
+}
+
+/**
+ * Message de refus d'une modification : une facture certifiée ou en cours de
+ * certification ne se modifie plus, elle se corrige par un retour (avoir).
+ * @param {Object} order - { fiscal_status }
+ * @returns {string|null}
+ */
+function checkFiscalLock(order) {
+  if (
+    order.fiscal_status === "certified" ||
+    order.fiscal_status === "pending"
+  ) {
+    return `Facture normalisée ${FISCAL_STATUS_LABELS[
+      order.fiscal_status
+    ].toLowerCase()} : elle ne peut plus être modifiée ni supprimée (passer par un retour).`;
+  }
+  return null;
+}
+
+module.exports = {
+  FISCAL_STATUS_LABELS,
+  FISCAL_INVOICE_TYPES,
+  FISCAL_PROVIDERS,
+  registerFiscalProvider,
+  queueFiscalSubmission,
+  buildFiscalInvoice,
+  processFiscalSubmission,
+  trySubmitFiscalInvoice,
+  submitOrderFiscalInvoice,
+  processPendingFiscalSubmissions,
+  retryFiscalSubmission,
+  startFiscalRetryWorker,
+  formatFiscalSubmission,
+  checkFiscalLock,
+};
@@ -0,0 +1,626 @@
+// utils/inventoryCosting.js
+// Valorisation des stocks au coût moyen unitaire pondéré (CMUP) ou en FIFO,
+// selon companies.costing_method. Chaque mouvement de stock est valorisé à sa
+// création : une entrée ajoute une couche de coût (stock_cost_layers), une
+// sortie consomme les couches du magasin, au prorata en CMUP, les plus
+// anciennes d'abord en FIFO. Le mouvement garde son coût unitaire et le solde
+// valorisé du magasin (base de la valorisation à une date), et les lignes de
+// vente reçoivent leur coût de revient (order_items.unit_cost,
+// cost_of_goods_sold). Montants en devise de base (voir utils/currency.js).
+
+const COSTING_METHODS = {
+  cmup: "Coût moyen unitaire pondéré",
+  fifo: "Premier entré, premier sorti",
+};
+
+// Références des mouvements d'une commande (création, modification,
+// suppression, restauration) et d'un ajustement de stock
+const ORDER_REFERENCES = [
+  "order",
+  "order_update_apply",
+  "order_update_reversal",
+  "order_delete",
+  "order_restore",
+];
+const ADJUSTMENT_REFERENCES = [
+  "adjustment",
+  "adjustment_update",
+  "adjustment_delete",
+  "stock_adjustment",
+  "stock_adjustment_update",
+  "stock_adjustment_delete",
+];
+
+const EPSILON = 0.00005;
+const round4 = (value) => Math.round((parseFloat(value) || 0) * 10000) / 10000;
+const round2 = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+/**
+ * Méthode de valorisation de l'entreprise d'un magasin.
+ * @param {Object} connection - Connexion MySQL
+ * @param {number} warehouseId - Magasin
+ * @returns {Promise<string>} cmup ou fifo
+ */
+async function getCostingMethod(connection, warehouseId) {
+  const [rows] = await connection.query(
+    `SELECT c.costing_method FROM warehouses w
+     JOIN companies c ON w.company_id = c.id
+     WHERE w.id = ?`,
+    [warehouseId]
+  );
+  return rows.length > 0 && rows[0].costing_method === "fifo" ? "fifo" : "cmup";
+}
+
+/** Couches encore ouvertes d'un produit dans un magasin, les plus anciennes d'abord. */
+async function loadOpenLayers(connection, productId, warehouseId) {
+  const [rows] = await connection.query(
+    `SELECT id, remaining_quantity, unit_cost FROM stock_cost_layers
+     WHERE product_id = ? AND warehouse_id = ? AND remaining_quantity <> 0
+     ORDER BY id ASC FOR UPDATE`,
+    [productId, warehouseId]
+  );
+  return rows.map((row) => ({
+    id: row.id,
+    remaining: parseFloat(row.remaining_quantity),
+    unitCost: parseFloat(row.unit_cost),
+  }));
+}
+
+async function insertLayer(
+  connection,
+  movement,
+  quantity,
+  remaining,
+  unitCost
+) {
+  await connection.query(
+    `INSERT INTO stock_cost_layers (
+        product_id, warehouse_id, movement_id, quantity, remaining_quantity,
+        unit_cost, created_at
+     ) VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      movement.product_id,
+      movement.warehouse_id,
+      movement.id || null,
+      round4(quantity),
+      round4(remaining),
+      round4(unitCost),
+    ]
+  );
+}
+
+async function saveLayer(connection, layer) {
+  await connection.query(
+    "UPDATE stock_cost_layers SET remaining_quantity = ? WHERE id = ?",
+    [round4(layer.remaining), layer.id]
+  );
+}
+
+/**
+ * Coût de repli quand aucun coût n'est connu : coût moyen des couches
+ * ouvertes, sinon prix d'achat du magasin.
+ */
+async function fallbackUnitCost(connection, movement, layers) {
+  const positive = layers.filter((layer) => layer.remaining > EPSILON);
+  const quantity = positive.reduce((sum, layer) => sum + layer.remaining, 0);
+  if (quantity > EPSILON) {
+    return (
+      positive.reduce(
+        (sum, layer) => sum + layer.remaining * layer.unitCost,
+        0
+      ) / quantity
+    );
+  }
+  const [rows] = await connection.query(
+    `SELECT purchase_price FROM product_details
+     WHERE product_id = ? AND warehouse_id = ?`,
+    [movement.product_id, movement.warehouse_id]
+  );
+  return rows.length > 0 ? parseFloat(rows[0].purchase_price) || 0 : 0;
+}
+
+/**
+ * Coût unitaire moyen des sorties déjà valorisées d'un document : une entrée
+ * qui annule une sortie (modification, suppression, retour) revient à son
+ * coût de sortie.
+ */
+async function documentOutflowCost(
+  connection,
+  movement,
+  referenceTypes,
+  referenceId
+) {
+  const [[row]] = await connection.query(
+    `SELECT SUM(-quantity * unit_cost) AS cost, SUM(-quantity) AS quantity
+     FROM stock_movements
+     WHERE product_id = ? AND reference_type IN (?) AND reference_id = ?
+       AND quantity < 0 AND unit_cost IS NOT NULL AND id < ?`,
+    [movement.product_id, referenceTypes, referenceId, movement.id]
+  );
+  const quantity = parseFloat(row && row.quantity) || 0;
+  return quantity > EPSILON ? parseFloat(row.cost) / quantity : null;
+}
+
+/**
+ * Coût d'achat unitaire : montant HT de la ligne converti en devise de base,
+ * plus les frais d'approche répartis sur la quantité reçue.
+ */
+async function purchaseUnitCost(connection, movement) {
+  const columns = `oi.quantity, oi.quantity_received, oi.subtotal, oi.total_tax,
+                   oi.landed_cost, o.exchange_rate, o.po_status`;
+  let rows = [];
+  if (movement.reference_type === "purchase_receipt") {
+    [rows] = await connection.query(
+      `SELECT ${columns}
+       FROM purchase_receipt_items pri
+       JOIN order_items oi ON pri.order_item_id = oi.id
+       JOIN orders o ON oi.order_id = o.id
+       WHERE pri.receipt_id = ? AND pri.product_id = ?
+       ORDER BY pri.id ASC LIMIT 1`,
+      [movement.reference_id, movement.product_id]
+    );
+  } else if (ORDER_REFERENCES.includes(movement.reference_type)) {
+    [rows] = await connection.query(
+      `SELECT ${columns}
+       FROM order_items oi
+       JOIN orders o ON oi.order_id = o.id
+       WHERE oi.order_id = ? AND oi.product_id = ?
+       ORDER BY oi.id DESC LIMIT 1`,
+      [movement.reference_id, movement.product_id]
+    );
+  }
+  const item = rows[0];
+  const quantity = item ? parseFloat(item.quantity) || 0 : 0;
+  if (!(quantity > 0)) return null;
+
+  const received = item.po_status
+    ? parseFloat(item.quantity_received) || 0
+    : quantity;
+  const netAmount =
+    (parseFloat(item.subtotal) || 0) - (parseFloat(item.total_tax) || 0);
+  return (
+    (netAmount / quantity) * (parseFloat(item.exchange_rate) || 1) +
+    (received > 0 ? (parseFloat(item.landed_cost) || 0) / received : 0)
+  );
+}
+
+/**
+ * Coût unitaire d'un produit fini : coût des matières consommées par la
+ * production, réparti entre les produits finis selon les quantités de
+ * l'unité de production.
+ */
+async function productionUnitCost(connection, movement) {
+  const [[materials]] = await connection.query(
+    `SELECT SUM(-quantity * unit_cost) AS cost
+     FROM stock_movements
+     WHERE movement_type = 'production' AND reference_type = ?
+       AND reference_id = ? AND quantity < 0 AND id < ?`,
+    [movement.reference_type, movement.reference_id, movement.id]
+  );
+  const materialsCost = parseFloat(materials && materials.cost) || 0;
+  if (!(materialsCost > 0)) return null;
+
+  let share = 1;
+  if (movement.reference_type === "production_log") {
+    const [outputs] = await connection.query(
+      `SELECT puo.product_id, puo.quantity
+       FROM production_logs pl
+       JOIN production_unit_outputs puo ON puo.production_unit_id = pl.production_unit_id
+       WHERE pl.id = ?`,
+      [movement.reference_id]
+    );
+    const total = outputs.reduce(
+      (sum, output) => sum + (parseFloat(output.quantity) || 0),
+      0
+    );
+    const own = outputs
+      .filter(
+        (output) => Number(output.product_id) === Number(movement.product_id)
+      )
+      .reduce((sum, output) => sum + (parseFloat(output.quantity) || 0), 0);
+    if (total > 0 && own > 0) share = own / total;
+  }
+  return (materialsCost * share) / parseFloat(movement.quantity);
+}
+
+/**
+ * Coût unitaire d'une entrée en stock selon son origine ; null si aucun coût
+ * propre n'est connu (le coût de repli s'applique alors).
+ */
+async function inboundUnitCost(connection, movement) {
+  if (movement.movement_type === "purchase") {
+    return purchaseUnitCost(connection, movement);
+  }
+  if (movement.movement_type === "production") {
+    return productionUnitCost(connection, movement);
+  }
+  if (movement.movement_type === "transfer_in") {
+    // Entrée d'un transfert : coût de la sortie du magasin source
+    return documentOutflowCost(
+      connection,
+      movement,
+      [movement.reference_type],
+      movement.reference_id
+    );
+  }
+  if (
+    movement.movement_type === "return_in" &&
+    movement.reference_type === "order"
+  ) {
+    // Retour client : coût de sortie de la vente d'origine
+    const [rows] = await connection.query(
+      "SELECT original_order_id FROM orders WHERE id = ?",
+      [movement.reference_id]
+    );
+    if (rows.length > 0 && rows[0].original_order_id) {
+      return documentOutflowCost(
+        connection,
+        movement,
+        ORDER_REFERENCES,
+        rows[0].original_order_id
+      );
+    }
+    return null;
+  }
+  if (ORDER_REFERENCES.includes(movement.reference_type)) {
+    return documentOutflowCost(
+      connection,
+      movement,
+      ORDER_REFERENCES,
+      movement.reference_id
+    );
+  }
+  if (ADJUSTMENT_REFERENCES.includes(movement.reference_type)) {
+    return documentOutflowCost(
+      connection,
+      movement,
+      ADJUSTMENT_REFERENCES,
+      movement.reference_id
+    );
+  }
+  return null;
+}
+
+/**
+ * Consomme les couches pour une sortie. Une sortie au-delà du stock valorisé
+ * crée une couche négative au coût de repli, résorbée par les entrées
+ * suivantes.
+ * @returns {Promise<number>} Coût unitaire de la sortie
+ */
+async function consumeLayers(connection, movement, layers, quantity, method) {
+  const positive = layers.filter((layer) => layer.remaining > EPSILON);
+  const available = positive.reduce((sum, layer) => sum + layer.remaining, 0);
+  const taken = Math.min(quantity, available);
+  let cost = 0;
+
+  if (taken > EPSILON) {
+    if (method === "fifo") {
+      let left = taken;
+      for (const layer of positive) {
+        if (left <= EPSILON) break;
+        const used = Math.min(left, layer.remaining);
+        cost += used * layer.unitCost;
+        layer.remaining -= used;
+        left -= used;
+        await saveLayer(connection, layer);
+      }
+    } else {
+      // CMUP : chaque couche diminue dans la même proportion, le coût moyen
+      // du stock restant est inchangé
+      const ratio = taken / available;
+      for (const layer of positive) {
+        const used = layer.remaining * ratio;
+        cost += used * layer.unitCost;
+        layer.remaining -= used;
+        await saveLayer(connection, layer);
+      }
+    }
+  }
+
+  const shortage = quantity - taken;
+  if (shortage > EPSILON) {
+    const shortageCost =
+      taken > EPSILON
+        ? cost / taken
+        : await fallbackUnitCost(connection, movement, layers);
+    cost += shortage * shortageCost;
+    await insertLayer(connection, movement, -shortage, -shortage, shortageCost);
+  }
+  return cost / quantity;
+}
+
+/**
+ * Reporte sur les lignes d'une vente le coût de revient de leurs sorties de
+ * stock (mouvements postérieurs à la dernière modification de la vente).
+ */
+async function stampSalesCost(connection, movement) {
+  const [[row]] = await connection.query(
+    `SELECT SUM(-quantity * unit_cost) AS cost, SUM(-quantity) AS quantity
+     FROM stock_movements
+     WHERE product_id = ? AND reference_id = ? AND movement_type = 'sales'
+       AND reference_type IN ('order', 'order_update_apply')
+       AND unit_cost IS NOT NULL
+       AND id > COALESCE((
+         SELECT MAX(r.id) FROM stock_movements r
+         WHERE r.product_id = ? AND r.reference_id = ?
+           AND r.reference_type = 'order_update_reversal'
+       ), 0)`,
+    [
+      movement.product_id,
+      movement.reference_id,
+      movement.product_id,
+      movement.reference_id,
+    ]
+  );
+  const quantity = parseFloat(row && row.quantity) || 0;
+  if (!(quantity > EPSILON)) return;
+  const unitCost = parseFloat(row.cost) / quantity;
+  await connection.query(
+    `UPDATE order_items
+     SET unit_cost = ?, cost_of_goods_sold = ROUND(quantity * ?, 2)
+     WHERE order_id = ? AND product_id = ?`,
+    [round4(unitCost), unitCost, movement.reference_id, movement.product_id]
+  );
+}
+
+/**
+ * Valorise un mouvement : couche d'entrée ou consommation des couches, puis
+ * coût unitaire et solde valorisé reportés sur le mouvement.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} movement - Ligne stock_movements
+ * @param {string} method - cmup ou fifo
+ * @returns {Promise<number>} Coût unitaire du mouvement
+ */
+async function applyMovementCost(connection, movement, method) {
+  const quantity = parseFloat(movement.quantity) || 0;
+  const layers = await loadOpenLayers(
+    connection,
+    movement.product_id,
+    movement.warehouse_id
+  );
+
+  let unitCost = 0;
+  if (quantity > 0) {
+    const ownCost = await inboundUnitCost(connection, movement);
+    unitCost =
+      ownCost !== null && Number.isFinite(ownCost)
+        ? ownCost
+        : await fallbackUnitCost(connection, movement, layers);
+    // L'entrée résorbe d'abord le stock négatif
+    let remaining = quantity;
+    for (const layer of layers.filter((l) => l.remaining < -EPSILON)) {
+      if (remaining <= EPSILON) break;
+      const absorbed = Math.min(remaining, -layer.remaining);
+      layer.remaining += absorbed;
+      remaining -= absorbed;
+      await saveLayer(connection, layer);
+    }
+    await insertLayer(connection, movement, quantity, remaining, unitCost);
+  } else if (quantity < 0) {
+    unitCost = await consumeLayers(
+      connection,
+      movement,
+      layers,
+      -quantity,
+      method
+    );
+  }
+
+  const [[balance]] = await connection.query(
+    `SELECT COALESCE(SUM(remaining_quantity), 0) AS quantity,
+            COALESCE(SUM(remaining_quantity * unit_cost), 0) AS value
+     FROM stock_cost_layers WHERE product_id = ? AND warehouse_id = ?`,
+    [movement.product_id, movement.warehouse_id]
+  );
+  await connection.query(
+    `UPDATE stock_movements
+     SET unit_cost = ?, balance_quantity = ?, balance_value = ?
+     WHERE id = ?`,
+    [
+      round4(unitCost),
+      round4(balance.quantity),
+      round2(balance.value),
+      movement.id,
+    ]
+  );
+  movement.unit_cost = round4(unitCost);
+
+  if (
+    movement.movement_type === "sales" &&
+    ["order", "order_update_apply"].includes(movement.reference_type)
+  ) {
+    await stampSalesCost(connection, movement);
+  }
+  return unitCost;
+}
+
+/**
+ * Couche d'ouverture pour le stock non journalisé (stock initial saisi sur la
+ * fiche produit) : stock actuel moins la somme des mouvements, au prix
+ * d'achat du magasin.
+ */
+async function seedOpeningLayer(connection, productId, warehouseId) {
+  const [rows] = await connection.query(
+    `SELECT pd.current_stock, pd.purchase_price,
+            (SELECT COALESCE(SUM(sm.quantity), 0) FROM stock_movements sm
+             WHERE sm.product_id = pd.product_id AND sm.warehouse_id = pd.warehouse_id) AS logged
+     FROM product_details pd
+     WHERE pd.product_id = ? AND pd.warehouse_id = ?`,
+    [productId, warehouseId]
+  );
+  if (rows.length === 0) return;
+  const opening =
+    (parseFloat(rows[0].current_stock) || 0) -
+    (parseFloat(rows[0].logged) || 0);
+  if (opening > EPSILON) {
+    await insertLayer(
+      connection,
+      { product_id: productId, warehouse_id: warehouseId },
+      opening,
+      opening,
+      parseFloat(rows[0].purchase_price) || 0
+    );
+  }
+}
+
+/**
+ * Revalorise tout l'historique d'un produit (dans un magasin, ou tous ses
+ * magasins dans l'ordre des mouvements pour que les transferts reprennent le
+ * coût de leur sortie) : après un changement de méthode, un frais d'approche
+ * ou pour un stock antérieur à la valorisation.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {number} productId - Produit
+ * @param {number|null} warehouseId - Magasin, ou null pour tous
+ * @returns {Promise<number>} Nombre de mouvements valorisés
+ */
+async function recostStock(connection, productId, warehouseId = null) {
+  const warehouseFilter = warehouseId ? " AND warehouse_id = ?" : "";
+  const params = warehouseId ? [productId, warehouseId] : [productId];
+
+  const [movements] = await connection.query(
+    `SELECT * FROM stock_movements
+     WHERE product_id = ?${warehouseFilter}
+     ORDER BY id ASC`,
+    params
+  );
+  await connection.query(
+    `DELETE FROM stock_cost_layers WHERE product_id = ?${warehouseFilter}`,
+    params
+  );
+
+  const methods = {};
+  const warehouseIds = [
+    ...new Set(movements.map((movement) => Number(movement.warehouse_id))),
+  ];
+  for (const id of warehouseIds) {
+    methods[id] = await getCostingMethod(connection, id);
+    await seedOpeningLayer(connection, productId, id);
+  }
+  for (const movement of movements) {
+    await applyMovementCost(
+      connection,
+      movement,
+      methods[Number(movement.warehouse_id)]
+    );
+  }
+  return movements.length;
+}
+
+/**
+ * Valorise un mouvement qui vient d'être journalisé. Le premier mouvement
+ * valorisé d'un produit dans un magasin reprend tout son historique.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {number} movementId - stock_movements.id
+ */
+async function costStockMovement(connection, movementId) {
+  const [rows] = await connection.query(
+    "SELECT * FROM stock_movements WHERE id = ?",
+    [movementId]
+  );
+  const movement = rows[0];
+  if (!movement) return;
+
+  const [[layers]] = await connection.query(
+    `SELECT COUNT(*) AS count FROM stock_cost_layers
+     WHERE product_id = ? AND warehouse_id = ?`,
+    [movement.product_id, movement.warehouse_id]
+  );
+  if (parseInt(layers.count, 10) === 0) {
+    await recostStock(connection, movement.product_id, movement.warehouse_id);
+    return;
+  }
+  await applyMovementCost(
+    connection,
+    movement,
+    await getCostingMethod(connection, movement.warehouse_id)
+  );
+}
+
+/**
+ * Revalorise l'historique de tous les produits d'une entreprise. Les
+ * produits fabriqués passent après les matières premières dont ils
+ * reprennent le coût.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {number} companyId - Entreprise
+ * @returns {Promise<Object>} { products, movements }
+ */
+async function rebuildCompanyCosts(connection, companyId) {
+  const [products] = await connection.query(
+    `SELECT sm.product_id,
+            MAX(sm.movement_type = 'production' AND sm.quantity > 0) AS produced
+     FROM stock_movements sm
+     JOIN warehouses w ON sm.warehouse_id = w.id
+     WHERE w.company_id = ?
+     GROUP BY sm.product_id
+     ORDER BY produced ASC, sm.product_id ASC`,
+    [companyId]
+  );
+  let movements = 0;
+  for (const product of products) {
+    movements += await recostStock(connection, product.product_id);
+  }
+  return { products: products.length, movements };
+}
+
+/**
+ * Valorisation du stock à une date : solde valorisé du dernier mouvement de
+ * chaque produit et magasin jusqu'à cette date incluse.
+ * @param {Object} connection - Connexion MySQL
+ * @param {Object} params - { companyId, warehouseId, date } (YYYY-MM-DD)
+ * @returns {Promise<Object[]>} Lignes { product_id, product_name,
+ *   warehouse_id, warehouse_name, quantity, value, unit_cost }
+ */
+async function stockValuationAt(connection, params) {
+  const { companyId, warehouseId, date } = params;
+  const conditions = [
+    "w.company_id = ?",
+    "m.created_at < DATE_ADD(?, INTERVAL 1 DAY)",
+    "m.balance_value IS NOT NULL",
+  ];
+  const queryParams = [companyId, date];
+  if (warehouseId) {
+    conditions.push("m.warehouse_id = ?");
+    queryParams.push(warehouseId);
+  }
+
+  const [rows] = await connection.query(
+    `SELECT sm.product_id, p.name AS product_name, sm.warehouse_id,
+            w.name AS warehouse_name, sm.balance_quantity, sm.balance_value
+     FROM stock_movements sm
+     JOIN (
+       SELECT m.product_id, m.warehouse_id, MAX(m.id) AS id
+       FROM stock_movements m
+       JOIN warehouses w ON m.warehouse_id = w.id
+       WHERE ${conditions.join(" AND ")}
+       GROUP BY m.product_id, m.warehouse_id
+     ) last ON last.id = sm.id
+     JOIN warehouses w ON sm.warehouse_id = w.id
+     LEFT JOIN products p ON sm.product_id = p.id
+     ORDER BY w.name ASC, p.name ASC`,
+    queryParams
+  );
+  return rows
+    .map((row) => {
+      const quantity = parseFloat(row.balance_quantity) || 0;
+      const value = parseFloat(row.balance_value) || 0;
+      return {
+        product_id: row.product_id,
+        product_name: row.product_name,
+        warehouse_id: row.warehouse_id,
+        warehouse_name: row.warehouse_name,
+        quantity,
+        value,
+        unit_cost: quantity > 0 ? round4(value / quantity) : 0,
+      };
+    })
+    .filter((row) => Math.abs(row.quantity) > EPSILON);
+}
+
+module.exports = {
+  COSTING_METHODS,
+  getCostingMethod,
+  costStockMovement,
+  recostStock,
+  rebuildCompanyCosts,
+  stockValuationAt,
+};
@@ -0,0 +1,345 @@
+// utils/inventorySessions.js
+// Inventaire physique par session : à l'ouverture, le stock attendu de chaque
+// produit du magasin (ou des catégories choisies pour un inventaire tournant)
+// est figé avec son coût unitaire. Plusieurs personnes saisissent leurs
+// comptages, par produit ou par lecture du code-barres (products.item_code).
+// À la soumission, les écarts (compté - attendu) et leur valeur sont calculés ;
+// l'approbation passe tous les écarts en ajustements de stock dans une seule
+// transaction, mouvements de stock rattachés à la session
+// (reference_type = inventory_session).
+const { updateStock } = require("./stockLedger");
+const { nextDocumentNumber } = require("./documentNumbers");
+
+const INVENTORY_STATUS_LABELS = {
+  counting: "Comptage en cours",
+  submitted: "En attente d'approbation",
+  posted: "Validé",
+  cancelled: "Annulé",
+};
+
+// Statuts de départ autorisés pour chaque action
+const INVENTORY_TRANSITIONS = {
+  count: ["counting"],
+  submit: ["counting"],
+  reject: ["submitted"],
+  approve: ["submitted"],
+  cancel: ["counting", "submitted"],
+};
+
+/**
+ * Vérifie qu'une action est possible depuis le statut de la session.
+ * @param {Object} session - Ligne inventory_sessions
+ * @param {string} action - count, submit, reject, approve ou cancel
+ * @returns {string|null} Message d'erreur, ou null si l'action est permise
+ */
+function checkInventoryTransition(session, action) {
+  if (!INVENTORY_TRANSITIONS[action].includes(session.status)) {
+    return `Action impossible : l'inventaire est au statut "${
+      INVENTORY_STATUS_LABELS[session.status] || session.status
+    }".`;
+  }
+  return null;
+}
+
+/**
+ * Lit la liste des catégories d'une session (colonne texte "1,4,7").
+ * @returns {number[]}
+ */
+function parseCategoryIds(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return [
+    ...new Set(list.map((id) => parseInt(id, 10)).filter((id) => id > 0)),
+  ];
+}
+
+/**
+ * Ouvre une session : numéro INV..., puis photographie du stock attendu et du
+ * coût unitaire (couches de coût, sinon prix d'achat) des produits concernés.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} params - { companyId, warehouseId, categoryIds, notes,
+ *   createdBy }
+ * @returns {Promise<Object>} { id, session_number, lines }
+ * @throws {Error} Aucun produit dans le périmètre
+ */
+async function createInventorySession(connection, params) {
+  const { companyId, warehouseId, notes, createdBy } = params;
+  const categoryIds = parseCategoryIds(params.categoryIds);
+
+  const sessionNumber = await nextDocumentNumber(connection, {
+    companyId,
+    warehouseId,
+    documentType: "inventory_count",
+  });
+  const [result] = await connection.query(
+    `INSERT INTO inventory_sessions (
+        session_number, company_id, warehouse_id, scope, category_ids, status,
+        snapshot_at, notes, created_by, created_at
+     ) VALUES (?, ?, ?, ?, ?, 'counting', NOW(), ?, ?, NOW())`,
+    [
+      sessionNumber,
+      companyId,
+      warehouseId,
+      categoryIds.length > 0 ? "category" : "full",
+      categoryIds.length > 0 ? categoryIds.join(",") : null,
+      notes || null,
+      createdBy || null,
+    ]
+  );
+  const sessionId = result.insertId;
+
+  const conditions = [
+    "p.company_id = ?",
+    "p.is_deleted = 0",
+    "(p.product_type IS NULL OR p.product_type <> 'production')",
+  ];
+  const queryParams = [sessionId, warehouseId, warehouseId, companyId];
+  if (categoryIds.length > 0) {
+    conditions.push("p.category_id IN (?)");
+    queryParams.push(categoryIds);
+  }
+  const [snapshot] = await connection.query(
+    `INSERT INTO inventory_session_lines (
+        session_id, product_id, expected_quantity, unit_cost
+     )
+     SELECT ?, p.id, COALESCE(pd.current_stock, 0),
+            COALESCE(
+              scl.value / NULLIF(scl.quantity, 0),
+              pd.purchase_price,
+              0
+            )
+     FROM products p
+     LEFT JOIN product_details pd
+       ON pd.product_id = p.id AND pd.warehouse_id = ?
+     LEFT JOIN (
+       SELECT product_id, SUM(remaining_quantity) AS quantity,
+              SUM(remaining_quantity * unit_cost) AS value
+       FROM stock_cost_layers
+       WHERE warehouse_id = ? AND remaining_quantity > 0
+       GROUP BY product_id
+     ) scl ON scl.product_id = p.id
+     WHERE ${conditions.join(" AND ")}`,
+    queryParams
+  );
+  if (snapshot.affectedRows === 0) {
+    throw new Error("Aucun produit à inventorier dans ce périmètre.");
+  }
+
+  return {
+    id: sessionId,
+    session_number: sessionNumber,
+    lines: snapshot.affectedRows,
+  };
+}
+
+/**
+ * Enregistre un comptage. Le produit est désigné par son ID ou par son code
+ * (lecture du code-barres) ; une lecture sans quantité compte 1 unité. Une
+ * quantité négative corrige une saisie précédente.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} session - Ligne inventory_sessions
+ * @param {Object} params - { productId, code, quantity, location, countedBy }
+ * @returns {Promise<Object>} { count_id, line_id, product_id, counted_quantity }
+ * @throws {Error} Produit inconnu ou hors du périmètre de la session
+ */
+async function recordCount(connection, session, params) {
+  const { productId, code, location, countedBy } = params;
+  const quantity =
+    params.quantity === undefined || params.quantity === null
+      ? code
+        ? 1
+        : NaN
+      : parseFloat(params.quantity);
+  if (isNaN(quantity) || quantity === 0) {
+    throw new Error("Quantité comptée invalide.");
+  }
+
+  const [lines] = await connection.query(
+    `SELECT l.id, l.product_id, p.name
+     FROM inventory_session_lines l
+     JOIN products p ON l.product_id = p.id
+     WHERE l.session_id = ? AND ${productId ? "p.id = ?" : "p.item_code = ?"}
+     FOR UPDATE`,
+    [session.id, productId || code]
+  );
+  if (lines.length === 0) {
+    throw new Error(
+      productId
+        ? `Le produit ${productId} ne fait pas partie de cet inventaire.`
+        : `Aucun produit de cet inventaire ne porte le code "${code}".`
+    );
+  }
+  const line = lines[0];
+
+  const [countResult] = await connection.query(
+    `INSERT INTO inventory_counts (
+        session_id, line_id, product_id, quantity, location, counted_by, counted_at
+     ) VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      session.id,
+      line.id,
+      line.product_id,
+      quantity,
+      location || null,
+      countedBy || null,
+    ]
+  );
+  const countedQuantity = await refreshCountedQuantity(connection, line.id);
+  if (countedQuantity < 0) {
+    throw new Error(
+      `La quantité comptée de "${line.name}" ne peut pas être négative.`
+    );
+  }
+
+  return {
+    count_id: countResult.insertId,
+    line_id: line.id,
+    product_id: line.product_id,
+    product_name: line.name,
+    counted_quantity: countedQuantity,
+  };
+}
+
+/**
+ * Recalcule la quantité comptée d'une ligne (somme des saisies, NULL si plus
+ * aucune saisie).
+ * @returns {Promise<number|null>}
+ */
+async function refreshCountedQuantity(connection, lineId) {
+  const [[row]] = await connection.query(
+    `SELECT COUNT(*) AS entries, COALESCE(SUM(quantity), 0) AS quantity
+     FROM inventory_counts WHERE line_id = ?`,
+    [lineId]
+  );
+  const counted =
+    parseInt(row.entries, 10) > 0 ? parseFloat(row.quantity) : null;
+  await connection.query(
+    "UPDATE inventory_session_lines SET counted_quantity = ? WHERE id = ?",
+    [counted, lineId]
+  );
+  return counted;
+}
+
+/**
+ * Calcule les écarts à la soumission. Les produits non comptés sont ignorés,
+ * sauf si uncountedAsZero (inventaire complet : non trouvé = stock nul).
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} session - Ligne inventory_sessions
+ * @param {Object} params - { uncountedAsZero }
+ * @returns {Promise<Object>} Totaux { lines, variance_lines, variance_value }
+ */
+async function computeVariances(connection, session, params = {}) {
+  if (params.uncountedAsZero) {
+    await connection.query(
+      `UPDATE inventory_session_lines SET counted_quantity = 0
+       WHERE session_id = ? AND counted_quantity IS NULL`,
+      [session.id]
+    );
+  }
+  await connection.query(
+    `UPDATE inventory_session_lines
+     SET variance_quantity = IF(counted_quantity IS NULL, NULL,
+                                counted_quantity - expected_quantity),
+         variance_value = IF(counted_quantity IS NULL, NULL,
+                             ROUND((counted_quantity - expected_quantity) * unit_cost, 2))
+     WHERE session_id = ?`,
+    [session.id]
+  );
+  return getSessionTotals(connection, session.id);
+}
+
+/**
+ * Totaux d'une session : lignes, lignes comptées, écarts et leur valeur.
+ * @returns {Promise<Object>}
+ */
+async function getSessionTotals(connection, sessionId) {
+  const [[totals]] = await connection.query(
+    `SELECT COUNT(*) AS lines,
+            COALESCE(SUM(counted_quantity IS NOT NULL), 0) AS counted_lines,
+            COALESCE(SUM(variance_quantity <> 0), 0) AS variance_lines,
+            COALESCE(SUM(IF(variance_value > 0, variance_value, 0)), 0) AS gain_value,
+            COALESCE(SUM(IF(variance_value < 0, -variance_value, 0)), 0) AS loss_value,
+            COALESCE(SUM(variance_value), 0) AS variance_value
+     FROM inventory_session_lines WHERE session_id = ?`,
+    [sessionId]
+  );
+  return {
+    lines: parseInt(totals.lines, 10),
+    counted_lines: parseInt(totals.counted_lines, 10),
+    variance_lines: parseInt(totals.variance_lines, 10),
+    gain_value: parseFloat(totals.gain_value),
+    loss_value: parseFloat(totals.loss_value),
+    variance_value: parseFloat(totals.variance_value),
+  };
+}
+
+/**
+ * Valide une session approuvée : chaque écart devient un ajustement de stock
+ * (stock_adjustments) et un mouvement rattaché à la session.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} session - Ligne inventory_sessions (verrouillée)
+ * @param {Object} params - { approvedBy }
+ * @returns {Promise<number>} Nombre d'ajustements créés
+ */
+async function postInventorySession(connection, session, params = {}) {
+  const [lines] = await connection.query(
+    `SELECT id, product_id, variance_quantity FROM inventory_session_lines
+     WHERE session_id = ? AND variance_quantity <> 0
+     ORDER BY id ASC`,
+    [session.id]
+  );
+
+  const remarks = `Inventaire ${session.session_number}`;
+  for (const line of lines) {
+    const variance = parseFloat(line.variance_quantity);
+    const [adjustment] = await connection.query(
+      `INSERT INTO stock_adjustments (
+          company_id, warehouse_id, product_id, quantity, adjustment_type,
+          notes, created_by, created_at, updated_at
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        session.company_id,
+        session.warehouse_id,
+        line.product_id,
+        Math.abs(variance),
+        variance > 0 ? "add" : "subtract",
+        remarks,
+        params.approvedBy || null,
+      ]
+    );
+    await updateStock(
+      connection,
+      line.product_id,
+      session.warehouse_id,
+      variance,
+      variance > 0 ? "adjustment_add" : "adjustment_substract",
+      "inventory_session",
+      session.id,
+      remarks
+    );
+    await connection.query(
+      "UPDATE inventory_session_lines SET adjustment_id = ? WHERE id = ?",
+      [adjustment.insertId, line.id]
+    );
+  }
+
+  await connection.query(
+    `UPDATE inventory_sessions
+     SET status = 'posted', approved_by = ?, approved_at = NOW()
+     WHERE id = ?`,
+    [params.approvedBy || null, session.id]
+  );
+  return lines.length;
+}
+
+module.exports = {
+  INVENTORY_STATUS_LABELS,
+  checkInventoryTransition,
+  parseCategoryIds,
+  createInventorySession,
+  recordCount,
+  refreshCountedQuantity,
+  computeVariances,
+  getSessionTotals,
+  postInventorySession,
+};
@@ -0,0 +1,192 @@
+// utils/invoiceSignature.js
+// Signature du QR code de vérification des factures : l'URL de
+// /verify/invoice/:invoiceNumber porte la date, le total et le client de la
+// facture, signés par le serveur. Un numéro de facture deviné ne suffit plus :
+// la page de vérification contrôle la signature puis compare les valeurs
+// signées à la facture enregistrée.
+//
+// Algorithmes :
+// - ed25519 si INVOICE_SIGNING_PRIVATE_KEY (clé PEM) est défini ; la clé
+//   publique (déduite, ou INVOICE_SIGNING_PUBLIC_KEY) suffit pour vérifier ;
+// - hs256 (HMAC-SHA256) sinon, avec INVOICE_SIGNING_SECRET, une clé propre
+//   aux factures (la clé des sessions, JWT_SECRET, n'est jamais réutilisée
+//   pour des données publiques).
+// Sans clé configurée, les QR codes ne sont pas signés (signalé une fois
+// dans les logs).
+const crypto = require("crypto");
+const dayjs = require("dayjs");
+
+const SIGNATURE_VERSION = "1";
+
+// Résultat de la vérification de signature
+const SIGNATURE_STATUS_LABELS = {
+  valid: "Signature valide",
+  invalid: "Signature invalide",
+  missing: "QR code non signé",
+  unavailable: "Vérification de signature non configurée",
+};
+
+/** Clé PEM lue dans l'environnement (les retours à la ligne peuvent y être échappés). */
+function readPemKey(name) {
+  const value = process.env[name];
+  return value ? value.replace(/\\n/g, "\n") : null;
+}
+
+function getHmacSecret() {
+  return process.env.INVOICE_SIGNING_SECRET || null;
+}
+
+// Absence de clé signalée une seule fois dans les logs
+let missingKeyLogged = false;
+
+function getEd25519Keys() {
+  const privatePem = readPemKey("INVOICE_SIGNING_PRIVATE_KEY");
+  const publicPem = readPemKey("INVOICE_SIGNING_PUBLIC_KEY");
+  const privateKey = privatePem ? crypto.createPrivateKey(privatePem) : null;
+  let publicKey = null;
+  if (publicPem) publicKey = crypto.createPublicKey(publicPem);
+  else if (privateKey) publicKey = crypto.createPublicKey(privateKey);
+  return { privateKey, publicKey };
+}
+
+/**
+ * Valeurs signées d'une facture, dans leur forme canonique.
+ * @param {Object} invoice - { invoice_number, order_date, total, user_id }
+ * @returns {Object} { number, date: AAAAMMJJ, total: 2 décimales, customer }
+ */
+function canonicalInvoiceFields(invoice) {
+  return {
+    number: String(invoice.invoice_number),
+    date: dayjs(invoice.order_date).format("YYYYMMDD"),
+    total: (Math.round((parseFloat(invoice.total) || 0) * 100) / 100).toFixed(
+      2
+    ),
+    customer: invoice.user_id ? String(invoice.user_id) : "",
+  };
+}
+
+function signedMessage(fields) {
+  return [
+    SIGNATURE_VERSION,
+    fields.number,
+    fields.date,
+    fields.total,
+    fields.customer,
+  ].join("|");
+}
+
+/**
+ * Signe une facture.
+ * @param {Object} invoice - { invoice_number, order_date, total, user_id }
+ * @returns {Object|null} Paramètres de l'URL de vérification
+ *   { v, a, d, t, c, s }, ou null si aucune clé n'est configurée
+ */
+function signInvoice(invoice) {
+  const fields = canonicalInvoiceFields(invoice);
+  const message = signedMessage(fields);
+  const { privateKey } = getEd25519Keys();
+  let algorithm;
+  let signature;
+  if (privateKey) {
+    algorithm = "ed25519";
+    signature = crypto.sign(null, Buffer.from(message), privateKey);
+  } else if (getHmacSecret()) {
+    algorithm = "hs256";
+    signature = crypto
+      .createHmac("sha256", getHmacSecret())
+      .update(message)
+      .digest();
+  } else {
+    if (!missingKeyLogged) {
+      missingKeyLogged = true;
+      console.warn(
+        "Signature des factures non configurée (INVOICE_SIGNING_PRIVATE_KEY ou INVOICE_SIGNING_SECRET) : QR codes non signés."
+      );
+    }
+    return null;
+  }
+  return {
+    v: SIGNATURE_VERSION,
+    a: algorithm,
+    d: fields.date,
+    t: fields.total,
+    c: fields.customer,
+    s: signature.toString("base64url"),
+  };
+}
+
+/**
+ * Vérifie les paramètres signés d'une URL de vérification.
+ * @param {string} invoiceNumber
+ * @param {Object} params - Paramètres de l'URL { v, a, d, t, c, s }
+ * @returns {string} Statut : valid, invalid, missing ou unavailable
+ */
+function verifyInvoiceSignature(invoiceNumber, params) {
+  if (!params || !params.s) return "missing";
+  if (params.v !== SIGNATURE_VERSION) return "invalid";
+  const message = signedMessage({
+    number: String(invoiceNumber),
+    date: String(params.d || ""),
+    total: String(params.t || ""),
+    customer: String(params.c || ""),
+  });
+  const signature = Buffer.from(String(params.s), "base64url");
+
+  if (params.a === "ed25519") {
+    const { publicKey } = getEd25519Keys();
+    if (!publicKey) return "unavailable";
+    try {
+      return crypto.verify(null, Buffer.from(message), publicKey, signature)
+        ? "valid"
+        : "invalid";
+    } catch (error) {
+      return "invalid";
+    }
+  }
+  if (params.a === "hs256") {
+    const secret = getHmacSecret();
+    if (!secret) return "unavailable";
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(message)
+      .digest();
+    return signature.length === expected.length &&
+      crypto.timingSafeEqual(signature, expected)
+      ? "valid"
+      : "invalid";
+  }
+  return "invalid";
+}
+
+/**
+ * Compare les valeurs signées (paramètres de l'URL) à la facture enregistrée.
+ * @returns {Object} { date, total, customer } : true si identique
+ */
+function compareSignedFields(invoice, params) {
+  const fields = canonicalInvoiceFields(invoice);
+  return {
+    date: fields.date === String(params.d || ""),
+    total: fields.total === String(params.t || ""),
+    customer: fields.customer === String(params.c || ""),
+  };
+}
+
+/**
+ * URL de vérification d'une facture, signée si une clé est configurée.
+ * @param {string} baseUrl - Base de l'URL (".../verify/invoice")
+ * @param {Object} invoice - { invoice_number, order_date, total, user_id }
+ * @returns {string}
+ */
+function buildSignedVerificationUrl(baseUrl, invoice) {
+  const url = `${baseUrl}/${encodeURIComponent(invoice.invoice_number)}`;
+  const params = signInvoice(invoice);
+  return params ? `${url}?${new URLSearchParams(params).toString()}` : url;
+}
+
+module.exports = {
+  SIGNATURE_STATUS_LABELS,
+  signInvoice,
+  verifyInvoiceSignature,
+  compareSignedFields,
+  buildSignedVerificationUrl,
+};
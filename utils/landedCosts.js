@@ -0,0 +1,280 @@
+// utils/landedCosts.js
+// Frais d'approche : transport, douane, manutention... enregistrés comme
+// dépense (routes/expenses.js), facture fournisseur ou frais de port (shipping)
+// d'un achat, puis répartis sur les lignes d'un ou plusieurs achats au prorata
+// de la valeur, de la quantité ou du poids. La part de chaque ligne s'ajoute
+// au prix d'achat du produit dans le magasin de l'achat
+// (product_details.purchase_price) et au coût des réceptions concernées, ce
+// que reprennent le coût des ventes et la valorisation du stock.
+// Montants en devise de base (voir utils/currency.js).
+const { recostStock } = require("./inventoryCosting");
+
+const ALLOCATION_METHODS = ["value", "quantity", "weight"];
+
+/** Arrondi monétaire à 2 décimales. */
+const round2 = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+/**
+ * Répartit un montant au prorata de bases ; l'écart d'arrondi va à la plus
+ * grande base pour que la somme des parts soit exactement le montant.
+ * @param {number} amount - Montant à répartir
+ * @param {number[]} bases - Bases positives
+ * @returns {number[]} Parts arrondies à 2 décimales
+ */
+function splitAmount(amount, bases) {
+  const totalBasis = bases.reduce((sum, basis) => sum + basis, 0);
+  if (!(totalBasis > 0)) return bases.map(() => 0);
+  const shares = bases.map((basis) => round2((amount * basis) / totalBasis));
+  const remainder = round2(
+    amount - shares.reduce((sum, share) => sum + share, 0)
+  );
+  if (remainder !== 0) {
+    const largest = bases.indexOf(Math.max(...bases));
+    shares[largest] = round2(shares[largest] + remainder);
+  }
+  return shares;
+}
+
+/**
+ * Montant et libellé par défaut d'un frais d'après sa source : montant de la
+ * dépense, montant HT de la facture fournisseur (achat) ou frais de port d'un
+ * achat, convertis en devise de base.
+ * @param {Object} connection - Connexion MySQL
+ * @param {Object} params - { companyId, sourceType, sourceId }
+ * @returns {Promise<Object>} { amount, description }
+ * @throws {Error} Source introuvable, d'une autre entreprise ou déjà répartie
+ */
+async function loadLandedCostSource(connection, params) {
+  const { companyId, sourceType, sourceId } = params;
+  if (sourceType === "manual") return { amount: null, description: null };
+
+  let source;
+  if (sourceType === "expense") {
+    const [rows] = await connection.query(
+      `SELECT e.amount, e.company_id,
+              CONCAT_WS(' - ', ec.name, e.bill, e.notes) AS description
+       FROM expenses e
+       LEFT JOIN expense_categories ec ON e.expense_category_id = ec.id
+       WHERE e.id = ?`,
+      [sourceId]
+    );
+    source = rows[0];
+  } else if (sourceType === "supplier_invoice") {
+    const [rows] = await connection.query(
+      `SELECT (o.total - o.tax_amount) * o.exchange_rate AS amount, o.company_id,
+              CONCAT_WS(' - ', o.invoice_number, u.name) AS description
+       FROM orders o
+       LEFT JOIN users u ON o.user_id = u.id
+       WHERE o.id = ? AND o.order_type = 'purchase' AND o.is_deleted = 0`,
+      [sourceId]
+    );
+    source = rows[0];
+  } else if (sourceType === "shipping") {
+    const [rows] = await connection.query(
+      `SELECT o.shipping * o.exchange_rate AS amount, o.company_id,
+              CONCAT('Frais de port ', o.invoice_number) AS description
+       FROM orders o
+       WHERE o.id = ? AND o.order_type = 'purchase' AND o.is_deleted = 0`,
+      [sourceId]
+    );
+    source = rows[0];
+  } else {
+    throw new Error(`Source de frais inconnue: ${sourceType}`);
+  }
+  if (!source || Number(source.company_id) !== Number(companyId)) {
+    throw new Error("Dépense ou achat source du frais introuvable.");
+  }
+
+  const [used] = await connection.query(
+    `SELECT id FROM landed_costs
+     WHERE source_type = ? AND source_id = ? AND status = 'allocated'`,
+    [sourceType, sourceId]
+  );
+  if (used.length > 0) {
+    throw new Error(
+      `Cette source est déjà répartie (frais d'approche n°${used[0].id}).`
+    );
+  }
+  return { amount: round2(source.amount), description: source.description };
+}
+
+/**
+ * Revalorise les couches de coût (voir utils/inventoryCosting.js) des produits
+ * touchés par un frais : les réceptions d'achat intègrent le frais.
+ */
+async function recostAllocations(connection, allocations) {
+  const pairs = new Map(
+    allocations.map((a) => [`${a.product_id}:${a.warehouse_id}`, a])
+  );
+  for (const allocation of pairs.values()) {
+    await recostStock(
+      connection,
+      allocation.product_id,
+      allocation.warehouse_id
+    );
+  }
+}
+
+/**
+ * Répartit un frais d'approche sur les lignes des achats et met à jour le prix
+ * d'achat des produits. Pour un bon de commande, seules les quantités reçues
+ * portent le frais. La hausse du prix d'achat moyen tient compte du stock
+ * présent : si une partie de l'achat est déjà sortie, la part correspondante
+ * du frais n'est pas reportée sur le stock restant.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} landedCost - { id, company_id, amount, allocation_method }
+ * @param {Object} params - { orderIds, weights: { order_item_id: poids de la
+ *   ligne } (remplace products.weight x quantité) }
+ * @returns {Promise<Object[]>} Allocations enregistrées
+ * @throws {Error} Achat introuvable ou base de répartition nulle
+ */
+async function allocateLandedCost(connection, landedCost, params) {
+  const orderIds = [...new Set((params.orderIds || []).map(Number))];
+  if (orderIds.length === 0) {
+    throw new Error("Sélectionnez au moins un achat.");
+  }
+  const weights = params.weights || {};
+
+  const [items] = await connection.query(
+    `SELECT oi.id, oi.order_id, oi.product_id, oi.quantity, oi.quantity_received,
+            oi.subtotal, o.po_status, o.exchange_rate, o.warehouse_id, p.weight
+     FROM order_items oi
+     JOIN orders o ON oi.order_id = o.id
+     LEFT JOIN products p ON oi.product_id = p.id
+     WHERE oi.order_id IN (?) AND o.company_id = ?
+       AND o.order_type = 'purchase' AND o.is_deleted = 0
+     ORDER BY oi.id ASC`,
+    [orderIds, landedCost.company_id]
+  );
+  const foundOrders = new Set(items.map((item) => Number(item.order_id)));
+  const missing = orderIds.filter((id) => !foundOrders.has(id));
+  if (missing.length > 0) {
+    throw new Error(`Achat(s) introuvable(s): ${missing.join(", ")}.`);
+  }
+
+  const lines = items
+    .map((item) => {
+      const ordered = parseFloat(item.quantity) || 0;
+      const quantity = item.po_status
+        ? parseFloat(item.quantity_received) || 0
+        : ordered;
+      let basis = 0;
+      if (landedCost.allocation_method === "value") {
+        basis =
+          ordered > 0
+            ? (parseFloat(item.subtotal) / ordered) *
+              quantity *
+              (parseFloat(item.exchange_rate) || 1)
+            : 0;
+      } else if (landedCost.allocation_method === "quantity") {
+        basis = quantity;
+      } else {
+        basis =
+          weights[item.id] !== undefined
+            ? parseFloat(weights[item.id]) || 0
+            : (parseFloat(item.weight) || 0) * quantity;
+      }
+      return { ...item, quantity, basis: Math.max(basis, 0) };
+    })
+    .filter((line) => line.quantity > 0 && line.basis > 0);
+  if (lines.length === 0) {
+    throw new Error(
+      landedCost.allocation_method === "weight"
+        ? "Aucun poids connu pour les lignes reçues : renseignez le poids des produits ou des lignes."
+        : "Aucune ligne reçue sur laquelle répartir le frais."
+    );
+  }
+
+  const shares = splitAmount(
+    parseFloat(landedCost.amount),
+    lines.map((line) => line.basis)
+  );
+  const allocations = [];
+  for (const [index, line] of lines.entries()) {
+    const amount = shares[index];
+    if (amount === 0) continue;
+
+    const [stockRows] = await connection.query(
+      `SELECT current_stock FROM product_details
+       WHERE product_id = ? AND warehouse_id = ? FOR UPDATE`,
+      [line.product_id, line.warehouse_id]
+    );
+    let unitCostIncrease = 0;
+    if (stockRows.length > 0) {
+      const stock = parseFloat(stockRows[0].current_stock) || 0;
+      unitCostIncrease =
+        stock > 0
+          ? (amount * Math.min(stock, line.quantity)) / line.quantity / stock
+          : amount / line.quantity;
+      await connection.query(
+        `UPDATE product_details SET purchase_price = purchase_price + ?, updated_at = NOW()
+         WHERE product_id = ? AND warehouse_id = ?`,
+        [unitCostIncrease, line.product_id, line.warehouse_id]
+      );
+    }
+
+    await connection.query(
+      "UPDATE order_items SET landed_cost = landed_cost + ? WHERE id = ?",
+      [amount, line.id]
+    );
+    const allocation = {
+      landed_cost_id: landedCost.id,
+      order_id: line.order_id,
+      order_item_id: line.id,
+      product_id: line.product_id,
+      warehouse_id: line.warehouse_id,
+      basis: Math.round(line.basis * 10000) / 10000,
+      amount,
+      unit_cost_increase: Math.round(unitCostIncrease * 10000) / 10000,
+    };
+    await connection.query("INSERT INTO landed_cost_allocations SET ?", [
+      allocation,
+    ]);
+    allocations.push(allocation);
+  }
+  await recostAllocations(connection, allocations);
+  return allocations;
+}
+
+/**
+ * Annule un frais d'approche : retire des prix d'achat la hausse appliquée et
+ * des lignes d'achat le montant alloué. Les allocations restent pour
+ * l'historique.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {number} landedCostId - ID du frais
+ */
+async function cancelLandedCost(connection, landedCostId) {
+  const [allocations] = await connection.query(
+    "SELECT * FROM landed_cost_allocations WHERE landed_cost_id = ?",
+    [landedCostId]
+  );
+  for (const allocation of allocations) {
+    await connection.query(
+      `UPDATE product_details
+       SET purchase_price = GREATEST(purchase_price - ?, 0), updated_at = NOW()
+       WHERE product_id = ? AND warehouse_id = ?`,
+      [
+        allocation.unit_cost_increase,
+        allocation.product_id,
+        allocation.warehouse_id,
+      ]
+    );
+    await connection.query(
+      "UPDATE order_items SET landed_cost = landed_cost - ? WHERE id = ?",
+      [allocation.amount, allocation.order_item_id]
+    );
+  }
+  await connection.query(
+    `UPDATE landed_costs SET status = 'cancelled', cancelled_at = NOW() WHERE id = ?`,
+    [landedCostId]
+  );
+  await recostAllocations(connection, allocations);
+}
+
+module.exports = {
+  ALLOCATION_METHODS,
+  splitAmount,
+  loadLandedCostSource,
+  allocateLandedCost,
+  cancelLandedCost,
+};
@@ -0,0 +1,441 @@
+// utils/loyalty.js
+// Programme de fidélité : chaque entreprise définit ses règles d'acquisition
+// (points par tranche de montant, multiplicateurs par catégorie, campagnes
+// bonus) et d'utilisation (valeur du point, minimum de points, part maximale
+// d'une facture payable en points).
+//
+// loyalty_transactions est le grand livre des points. Comme les écritures
+// comptables, les points d'une commande sont remplacés à chaque création,
+// modification ou suppression (syncOrderLoyalty, dans la transaction de la
+// commande) : une vente acquiert des points, un retour de vente les annule.
+// L'utilisation en paiement passe par un mode de paiement de type loyalty.
+const round2 = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+// Type du mode de paiement « points de fidélité » (payment_modes.mode_type)
+const LOYALTY_PAYMENT_MODE_TYPE = "loyalty";
+
+const LOYALTY_TRANSACTION_LABELS = {
+  earn: "Points acquis",
+  reverse: "Points annulés (retour)",
+  redeem: "Paiement en points",
+  adjust: "Ajustement",
+};
+
+// Règles appliquées tant que l'entreprise n'a pas configuré son programme
+const DEFAULT_LOYALTY_PROGRAM = {
+  is_active: 0,
+  points_per_amount: 1,
+  amount_unit: 1000,
+  point_value: 5,
+  min_redeem_points: 0,
+  max_redeem_percent: 100,
+};
+
+/**
+ * Programme de fidélité de l'entreprise (valeurs numériques converties).
+ * @returns {Promise<Object|null>} null si non configuré
+ */
+async function getLoyaltyProgram(connection, companyId) {
+  const [rows] = await connection.query(
+    "SELECT * FROM loyalty_programs WHERE company_id = ?",
+    [companyId]
+  );
+  if (rows.length === 0) return null;
+  const program = rows[0];
+  return {
+    ...program,
+    is_active: program.is_active ? 1 : 0,
+    points_per_amount: parseFloat(program.points_per_amount) || 0,
+    amount_unit: parseFloat(program.amount_unit) || 0,
+    point_value: parseFloat(program.point_value) || 0,
+    min_redeem_points: parseInt(program.min_redeem_points, 10) || 0,
+    max_redeem_percent: parseFloat(program.max_redeem_percent) || 0,
+  };
+}
+
+/**
+ * Règles d'acquisition en vigueur à une date : multiplicateurs par catégorie
+ * et campagnes actives.
+ * @returns {Promise<Object>} { categoryMultipliers: Map, campaigns: [] }
+ */
+async function getEarningRules(connection, companyId, date) {
+  const [categoryRows] = await connection.query(
+    "SELECT category_id, multiplier FROM loyalty_category_rules WHERE company_id = ?",
+    [companyId]
+  );
+  const [campaigns] = await connection.query(
+    `SELECT id, name, multiplier, bonus_points, min_order_amount, category_id
+     FROM loyalty_campaigns
+     WHERE company_id = ? AND is_active = 1
+       AND start_date <= DATE(?) AND end_date >= DATE(?)`,
+    [companyId, date, date]
+  );
+  return {
+    categoryMultipliers: new Map(
+      categoryRows.map((row) => [
+        Number(row.category_id),
+        parseFloat(row.multiplier),
+      ])
+    ),
+    campaigns: campaigns.map((campaign) => ({
+      ...campaign,
+      multiplier: parseFloat(campaign.multiplier) || 1,
+      bonus_points: parseInt(campaign.bonus_points, 10) || 0,
+      min_order_amount: parseFloat(campaign.min_order_amount) || 0,
+    })),
+  };
+}
+
+/**
+ * Points acquis par une commande. Chaque ligne rapporte
+ * (montant / amount_unit) x points_per_amount, multiplié par le coefficient de
+ * sa catégorie et par le plus fort multiplicateur des campagnes qui la
+ * concernent ; la remise globale de la commande est répartie sur les lignes.
+ * Les points offerts des campagnes s'ajoutent si le montant minimal est
+ * atteint (et si la commande contient la catégorie visée).
+ * @param {Object} program - Programme de fidélité
+ * @param {Object} rules - Voir getEarningRules
+ * @param {Object} order - { discount }
+ * @param {Array} items - [{ subtotal, category_id }]
+ * @returns {Object} { points, base_points, bonus_points, campaigns: [noms] }
+ */
+function computeOrderPoints(program, rules, order, items) {
+  const itemsTotal = items.reduce(
+    (sum, item) => sum + (parseFloat(item.subtotal) || 0),
+    0
+  );
+  const discount = parseFloat(order.discount) || 0;
+  const ratio =
+    itemsTotal > 0 ? Math.max(0, (itemsTotal - discount) / itemsTotal) : 0;
+  const orderAmount = round2(itemsTotal * ratio);
+  const appliedCampaigns = new Set();
+
+  let basePoints = 0;
+  if (program.amount_unit > 0) {
+    items.forEach((item) => {
+      const categoryId = item.category_id ? Number(item.category_id) : null;
+      const amount = (parseFloat(item.subtotal) || 0) * ratio;
+      const categoryMultiplier = rules.categoryMultipliers.has(categoryId)
+        ? rules.categoryMultipliers.get(categoryId)
+        : 1;
+      let campaignMultiplier = 1;
+      rules.campaigns.forEach((campaign) => {
+        if (
+          campaign.multiplier > 1 &&
+          orderAmount >= campaign.min_order_amount &&
+          (!campaign.category_id || Number(campaign.category_id) === categoryId)
+        ) {
+          campaignMultiplier = Math.max(
+            campaignMultiplier,
+            campaign.multiplier
+          );
+          appliedCampaigns.add(campaign.name);
+        }
+      });
+      basePoints +=
+        (amount / program.amount_unit) *
+        program.points_per_amount *
+        categoryMultiplier *
+        campaignMultiplier;
+    });
+  }
+
+  let bonusPoints = 0;
+  rules.campaigns.forEach((campaign) => {
+    if (
+      campaign.bonus_points > 0 &&
+      orderAmount >= campaign.min_order_amount &&
+      (!campaign.category_id ||
+        items.some(
+          (item) => Number(item.category_id) === Number(campaign.category_id)
+        ))
+    ) {
+      bonusPoints += campaign.bonus_points;
+      appliedCampaigns.add(campaign.name);
+    }
+  });
+
+  const points = Math.floor(basePoints + 1e-9) + bonusPoints;
+  return {
+    points,
+    base_points: Math.floor(basePoints + 1e-9),
+    bonus_points: bonusPoints,
+    campaigns: [...appliedCampaigns],
+  };
+}
+
+/** Lignes d'une commande avec la catégorie de leur produit. */
+async function getOrderItemsWithCategory(connection, orderId) {
+  const [items] = await connection.query(
+    `SELECT oi.product_id, oi.subtotal, p.category_id
+     FROM order_items oi
+     LEFT JOIN products p ON p.id = oi.product_id
+     WHERE oi.order_id = ?`,
+    [orderId]
+  );
+  return items;
+}
+
+async function insertLoyaltyTransaction(connection, entry) {
+  const [result] = await connection.query(
+    `INSERT INTO loyalty_transactions (
+        company_id, user_id, order_id, payment_id, transaction_type, points,
+        amount, description, created_by, created_at
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      entry.company_id,
+      entry.user_id,
+      entry.order_id || null,
+      entry.payment_id || null,
+      entry.transaction_type,
+      entry.points,
+      round2(entry.amount),
+      entry.description || null,
+      entry.created_by || null,
+    ]
+  );
+  return result.insertId;
+}
+
+/**
+ * (Re)calcule les points d'une commande : points acquis pour une vente,
+ * annulation pour un retour de vente. Les mouvements existants de la commande
+ * sont remplacés ; une commande supprimée n'en a plus. Le retour d'une vente
+ * annule les points de la vente d'origine au prorata du montant retourné
+ * (sans dépasser ce qu'il en reste) ; un retour sans vente d'origine annule
+ * les points que ses lignes auraient rapportés.
+ * @returns {Promise<number>} Points enregistrés (négatifs pour un retour)
+ */
+async function syncOrderLoyalty(connection, orderId) {
+  await connection.query(
+    "DELETE FROM loyalty_transactions WHERE order_id = ? AND transaction_type IN ('earn', 'reverse')",
+    [orderId]
+  );
+  const [orders] = await connection.query(
+    `SELECT id, company_id, user_id, order_type, order_date, invoice_number,
+            discount, total, is_deleted, original_order_id
+     FROM orders WHERE id = ?`,
+    [orderId]
+  );
+  const order = orders[0];
+  if (
+    !order ||
+    order.is_deleted ||
+    !order.user_id ||
+    !["sales", "sales_return"].includes(order.order_type)
+  ) {
+    return 0;
+  }
+  const program = await getLoyaltyProgram(connection, order.company_id);
+  if (!program || !program.is_active) return 0;
+
+  if (order.order_type === "sales") {
+    const rules = await getEarningRules(
+      connection,
+      order.company_id,
+      order.order_date
+    );
+    const items = await getOrderItemsWithCategory(connection, orderId);
+    const earned = computeOrderPoints(program, rules, order, items);
+    if (earned.points <= 0) return 0;
+    await insertLoyaltyTransaction(connection, {
+      company_id: order.company_id,
+      user_id: order.user_id,
+      order_id: order.id,
+      transaction_type: "earn",
+      points: earned.points,
+      amount: order.total,
+      description: `Vente ${order.invoice_number}${
+        earned.campaigns.length > 0 ? ` (${earned.campaigns.join(", ")})` : ""
+      }`,
+    });
+    return earned.points;
+  }
+
+  let points = 0;
+  if (order.original_order_id) {
+    const [originalRows] = await connection.query(
+      `SELECT o.total,
+              (SELECT COALESCE(SUM(lt.points), 0) FROM loyalty_transactions lt
+               WHERE lt.order_id = o.id AND lt.transaction_type = 'earn') AS earned,
+              (SELECT COALESCE(-SUM(lt.points), 0) FROM loyalty_transactions lt
+               JOIN orders r ON r.id = lt.order_id
+               WHERE r.original_order_id = o.id AND r.id <> ?
+                 AND lt.transaction_type = 'reverse') AS reversed
+       FROM orders o WHERE o.id = ?`,
+      [order.id, order.original_order_id]
+    );
+    const original = originalRows[0];
+    if (original) {
+      const earned = parseInt(original.earned, 10) || 0;
+      const remaining = earned - (parseInt(original.reversed, 10) || 0);
+      const originalTotal = parseFloat(original.total) || 0;
+      const share =
+        originalTotal > 0
+          ? Math.min(1, (parseFloat(order.total) || 0) / originalTotal)
+          : 1;
+      points = Math.max(0, Math.min(Math.round(earned * share), remaining));
+    }
+  } else {
+    const rules = await getEarningRules(
+      connection,
+      order.company_id,
+      order.order_date
+    );
+    const items = await getOrderItemsWithCategory(connection, orderId);
+    points = computeOrderPoints(program, rules, order, items).base_points;
+  }
+  if (points <= 0) return 0;
+  await insertLoyaltyTransaction(connection, {
+    company_id: order.company_id,
+    user_id: order.user_id,
+    order_id: order.id,
+    transaction_type: "reverse",
+    points: -points,
+    amount: order.total,
+    description: `Retour ${order.invoice_number}`,
+  });
+  return -points;
+}
+
+/**
+ * Solde de points d'un client et totaux par type de mouvement.
+ * @returns {Promise<Object>} { balance, earned, reversed, redeemed, adjusted }
+ */
+async function getLoyaltyBalance(connection, companyId, userId) {
+  const [rows] = await connection.query(
+    `SELECT transaction_type, COALESCE(SUM(points), 0) AS points
+     FROM loyalty_transactions
+     WHERE company_id = ? AND user_id = ?
+     GROUP BY transaction_type`,
+    [companyId, userId]
+  );
+  const totals = { earn: 0, reverse: 0, redeem: 0, adjust: 0 };
+  rows.forEach((row) => {
+    totals[row.transaction_type] = parseInt(row.points, 10) || 0;
+  });
+  return {
+    balance: totals.earn + totals.reverse + totals.redeem + totals.adjust,
+    earned: totals.earn,
+    reversed: -totals.reverse,
+    redeemed: -totals.redeem,
+    adjusted: totals.adjust,
+  };
+}
+
+/**
+ * Débite les points d'un paiement de vente en points, une fois le paiement
+ * enregistré dans la transaction : programme actif, facture du client non
+ * payée au-delà de son montant, part maximale de la facture payable en
+ * points, minimum de points et solde du client (verrouillé jusqu'à la fin de
+ * la transaction pour éviter une double utilisation). En cas d'erreur,
+ * l'appelant annule la transaction.
+ * @param {Object} params - { companyId, userId, orderId, paymentId,
+ *   paymentNumber, amount, createdBy }
+ * @returns {Promise<Object>} { error } ou { points, amount, balance }
+ */
+async function redeemLoyaltyPoints(connection, params) {
+  const { companyId, userId, orderId } = params;
+  const amount = round2(params.amount);
+  if (!(amount > 0)) {
+    return { error: "Le montant payé en points doit être positif." };
+  }
+  const program = await getLoyaltyProgram(connection, companyId);
+  if (!program || !program.is_active || !(program.point_value > 0)) {
+    return { error: "Le programme de fidélité n'est pas actif." };
+  }
+
+  const [orders] = await connection.query(
+    "SELECT id, user_id, order_type, total, due_amount FROM orders WHERE id = ? AND is_deleted = 0",
+    [orderId]
+  );
+  const order = orders[0];
+  if (
+    !order ||
+    order.order_type !== "sales" ||
+    Number(order.user_id) !== Number(userId)
+  ) {
+    return {
+      error:
+        "Les points ne peuvent payer qu'une vente du client qui les détient.",
+    };
+  }
+  if (round2(order.due_amount) < -0.01) {
+    return { error: "Le montant payé en points dépasse le montant dû." };
+  }
+
+  const [paidRows] = await connection.query(
+    `SELECT COALESCE(SUM(op.amount), 0) AS paid
+     FROM order_payments op
+     JOIN payments p ON p.id = op.payment_id
+     JOIN payment_modes pm ON pm.id = p.payment_mode_id
+     WHERE op.order_id = ? AND pm.mode_type = ?`,
+    [orderId, LOYALTY_PAYMENT_MODE_TYPE]
+  );
+  const maxAmount = round2(
+    ((parseFloat(order.total) || 0) * program.max_redeem_percent) / 100
+  );
+  if (round2(paidRows[0].paid) > maxAmount + 0.01) {
+    return {
+      error: `Au plus ${program.max_redeem_percent}% de la facture (${maxAmount}) peut être payé en points.`,
+    };
+  }
+
+  const points = Math.ceil(amount / program.point_value - 1e-9);
+  if (points < program.min_redeem_points) {
+    return {
+      error: `Utilisation minimale : ${program.min_redeem_points} points.`,
+    };
+  }
+  await connection.query("SELECT id FROM users WHERE id = ? FOR UPDATE", [
+    userId,
+  ]);
+  const { balance } = await getLoyaltyBalance(connection, companyId, userId);
+  if (points > balance) {
+    return {
+      error: `Solde de points insuffisant (${balance} points, ${points} requis).`,
+    };
+  }
+
+  await insertLoyaltyTransaction(connection, {
+    company_id: companyId,
+    user_id: userId,
+    order_id: orderId,
+    payment_id: params.paymentId,
+    transaction_type: "redeem",
+    points: -points,
+    amount,
+    description: `Paiement ${params.paymentNumber || ""}`.trim(),
+    created_by: params.createdBy,
+  });
+  return { points, amount, balance: balance - points };
+}
+
+/**
+ * Recrédite les points d'un paiement supprimé.
+ * @returns {Promise<number>} Points recrédités
+ */
+async function releaseLoyaltyRedemption(connection, paymentId) {
+  const [rows] = await connection.query(
+    "SELECT COALESCE(-SUM(points), 0) AS points FROM loyalty_transactions WHERE payment_id = ? AND transaction_type = 'redeem'",
+    [paymentId]
+  );
+  await connection.query(
+    "DELETE FROM loyalty_transactions WHERE payment_id = ? AND transaction_type = 'redeem'",
+    [paymentId]
+  );
+  return parseInt(rows[0].points, 10) || 0;
+}
+
+module.exports = {
+  LOYALTY_PAYMENT_MODE_TYPE,
+  LOYALTY_TRANSACTION_LABELS,
+  DEFAULT_LOYALTY_PROGRAM,
+  getLoyaltyProgram,
+  getEarningRules,
+  computeOrderPoints,
+  syncOrderLoyalty,
+  getLoyaltyBalance,
+  redeemLoyaltyPoints,
+  releaseLoyaltyRedemption,
+};
@@ -0,0 +1,545 @@
+// utils/payments.js
+// Enregistrement d'un paiement dans la transaction de l'appelant : contrôle
+// des doublons (clé d'idempotence, puis paiement identique récent), numéro
+// PAY-..., rattachement aux commandes (order_payments, écart de change),
+// statut de paiement des commandes et écriture de trésorerie. Utilisé par
+// routes/payments.js et par la synchronisation des ventes hors ligne du POS.
+const { nextDocumentNumber } = require("./documentNumbers");
+const { syncPaymentEntry } = require("./accounting");
+const { attachToPosSession } = require("./posSessions");
+const {
+  getBaseCurrencyId,
+  applyDocumentCurrency,
+  realizedFxGainLoss,
+} = require("./currency");
+
+/**
+ * Generates the payment number from the transactional counter
+ * (utils/documentNumbers.js), inside the payment transaction.
+ * Default format: PAY-TYPE-WHCODE-SEQ (e.g., PAY-IN-MAG-0001)
+ */
+async function generatePaymentNumber(
+  connection,
+  company_id,
+  warehouse_id,
+  payment_type,
+  payment_date
+) {
+  return nextDocumentNumber(connection, {
+    companyId: company_id,
+    warehouseId: warehouse_id,
+    documentType: payment_type === "in" ? "payment_in" : "payment_out",
+    date: payment_date,
+  });
+}
+
+// Documents carrying an idempotency_key column, with the number returned
+// when a request is replayed
+const IDEMPOTENT_DOCUMENTS = {
+  payments: "payment_number",
+  orders: "invoice_number",
+};
+
+/**
+ * Checks that the idempotency_key column exists (add_idempotency_key.sql for
+ * payments, add_pos_offline_sync.sql for orders).
+ * @returns {Promise<boolean>}
+ */
+async function hasIdempotencyKeyColumn(connection, table) {
+  if (!IDEMPOTENT_DOCUMENTS[table]) return false;
+  const [columns] = await connection.query(
+    `SHOW COLUMNS FROM ${table} LIKE 'idempotency_key'`
+  );
+  return columns.length > 0;
+}
+
+/**
+ * Finds the payment or order already created with this idempotency key.
+ * @param {object} connection - The database connection object.
+ * @param {string} table - payments or orders
+ * @param {string} idempotencyKey - Key generated by the client.
+ * @param {number} [companyId] - Company of the document: a key only
+ *   identifies a document within its company
+ * @returns {object|null} { id, payment_number | invoice_number }, or null
+ *   (also when the column does not exist yet)
+ */
+async function findByIdempotencyKey(
+  connection,
+  table,
+  idempotencyKey,
+  companyId = null
+) {
+  if (!idempotencyKey || !(await hasIdempotencyKeyColumn(connection, table))) {
+    return null;
+  }
+  const [existing] = await connection.query(
+    `SELECT id, ${IDEMPOTENT_DOCUMENTS[table]} FROM ${table}
+     WHERE idempotency_key = ?${companyId ? " AND company_id = ?" : ""}`,
+    companyId ? [idempotencyKey, companyId] : [idempotencyKey]
+  );
+  return existing.length > 0 ? existing[0] : null;
+}
+
+/**
+ * Checks for potential duplicate payments.
+ * Prioritizes idempotency key, then checks for very similar payments recently
+ * created. A key that matches no payment identifies a new payment: the
+ * similarity check is skipped (offline POS sales synced in a batch often have
+ * the same amount, customer and date).
+ */
+async function findDuplicatePayment(
+  connection,
+  paymentData,
+  idempotencyKey = null
+) {
+  console.log(
+    `[DuplicateCheck] Initiated. Key: ${
+      idempotencyKey ? idempotencyKey : "None"
+    }. Data:`,
+    paymentData
+  );
+
+  // 1. Check by Idempotency Key (if provided)
+  if (idempotencyKey) {
+    try {
+      if (await hasIdempotencyKeyColumn(connection, "payments")) {
+        const existing = await findByIdempotencyKey(
+          connection,
+          "payments",
+          idempotencyKey,
+          paymentData.company_id
+        );
+        if (existing) {
+          console.log(
+            `[DuplicateCheck] Found payment ${existing.id} via idempotency key.`
+          );
+          return {
+            ...existing,
+            is_duplicate: true,
+            reason: "idempotency_key",
+          };
+        }
+        console.log("[DuplicateCheck] New idempotency key.");
+        return null;
+      } else {
+        console.warn(
+          "[DuplicateCheck] 'idempotency_key' column does not exist in 'payments' table."
+        );
+      }
+    } catch (error) {
+      console.error("[DuplicateCheck] Error checking idempotency key:", error);
+      // Continue to similarity check even if idempotency check fails
+    }
+  } else {
+    console.log("[DuplicateCheck] No idempotency key provided.");
+  }
+
+  // 2. Check by Similarity (if no key match or no key provided)
+  if (
+    !paymentData ||
+    !paymentData.warehouse_id ||
+    !paymentData.amount ||
+    !paymentData.payment_mode_id ||
+    !paymentData.user_id ||
+    !paymentData.payment_type
+  ) {
+    console.log("[DuplicateCheck] Insufficient data for similarity check.");
+    return null;
+  }
+
+  try {
+    const sql = `
+      SELECT id, payment_number FROM payments
+      WHERE company_id = ?        
+      AND warehouse_id = ?
+      AND payment_type = ?
+      AND user_id = ?
+      AND payment_mode_id = ?
+      AND ABS(amount - ?) < 0.01 -- Check amount with a small tolerance
+      AND date = ? 
+      AND created_at >= DATE_SUB(NOW(), INTERVAL 30 SECOND) -- Check within the last 30 seconds
+      ORDER BY id DESC 
+      LIMIT 1
+    `;
+    const params = [
+      paymentData.company_id,
+      paymentData.warehouse_id,
+      paymentData.payment_type,
+      paymentData.user_id,
+      paymentData.payment_mode_id,
+      paymentData.amount,
+      paymentData.date, // Check for the exact same date
+    ];
+
+    console.log(
+      "[DuplicateCheck] Similarity check SQL:",
+      sql.replace(/\s+/g, " ")
+    );
+    console.log("[DuplicateCheck] Similarity check Params:", params);
+
+    const [similar] = await connection.query(sql, params);
+
+    if (similar.length > 0) {
+      console.log(
+        `[DuplicateCheck] Found potentially similar payment ${similar[0].id} created recently.`
+      );
+      return { ...similar[0], is_duplicate: true, reason: "similarity" };
+    }
+  } catch (error) {
+    console.error(
+      "[DuplicateCheck] Error checking for similar payments:",
+      error
+    );
+  }
+
+  console.log("[DuplicateCheck] No duplicate found.");
+  return null;
+}
+
+/**
+ * Checks if an order_payment link already exists.
+ */
+async function checkExistingOrderPayment(connection, orderId, paymentId) {
+  if (!orderId || !paymentId) return false;
+  try {
+    const [existing] = await connection.query(
+      "SELECT id FROM order_payments WHERE order_id = ? AND payment_id = ?",
+      [orderId, paymentId]
+    );
+    return existing.length > 0;
+  } catch (error) {
+    console.error(
+      `Error checking existing order_payment for order ${orderId}, payment ${paymentId}:`,
+      error
+    );
+    return false; // Assume not exists on error to allow proceeding, but log it
+  }
+}
+
+/**
+ * Updates the paid_amount, due_amount, and payment_status of an order.
+ */
+async function updateOrderStatus(connection, orderId) {
+  try {
+    console.log(`[UpdateOrderStatus] Updating order ${orderId}...`);
+
+    // Get the order total
+    const [orderRows] = await connection.query(
+      "SELECT id, total, is_deleted FROM orders WHERE id = ?",
+      [orderId]
+    );
+    if (orderRows.length === 0 || orderRows[0].is_deleted) {
+      console.warn(
+        `[UpdateOrderStatus] Order ${orderId} not found or is deleted. Skipping update.`
+      );
+      return;
+    }
+    const orderTotal = parseFloat(orderRows[0].total);
+
+    // Calculate the sum of payments for this order from order_payments
+    const [paymentSumRows] = await connection.query(
+      "SELECT SUM(amount) as total_paid FROM order_payments WHERE order_id = ?",
+      [orderId]
+    );
+    const totalPaid = parseFloat(paymentSumRows[0].total_paid || 0);
+
+    const dueAmount = orderTotal - totalPaid;
+
+    // Determine new payment status
+    let newPaymentStatus;
+    if (totalPaid <= 0) {
+      newPaymentStatus = "Non payé";
+    } else if (dueAmount <= 0.01) {
+      // Use a small tolerance for floating point comparison
+      newPaymentStatus = "Payé";
+    } else {
+      newPaymentStatus = "Partiellement payé";
+    }
+
+    // Ensure is_deletable is set to 0 if it's paid or partially paid
+    const isDeletable = newPaymentStatus === "Non payé" ? 1 : 0;
+
+    console.log(
+      `[UpdateOrderStatus] Order ${orderId}: Total=${orderTotal}, Paid=${totalPaid}, Due=${dueAmount}, Status=${newPaymentStatus}, Deletable=${isDeletable}`
+    );
+
+    // Update the order
+    const [updateResult] = await connection.query(
+      `UPDATE orders SET 
+                paid_amount = ?, 
+                due_amount = ?, 
+                payment_status = ?,
+                is_deletable = ?
+             WHERE id = ?`,
+      [totalPaid, dueAmount, newPaymentStatus, isDeletable, orderId]
+    );
+
+    console.log(
+      `[UpdateOrderStatus] Order ${orderId} update result:`,
+      updateResult.info
+    );
+  } catch (error) {
+    console.error(
+      `[UpdateOrderStatus] Error updating order ${orderId}:`,
+      error
+    );
+    throw error; // Re-throw to allow transaction rollback
+  }
+}
+
+// --- Core Payment Creation Transaction ---
+
+/**
+ * Creates a payment, links it to orders, and updates order statuses within a transaction.
+ * @param {object} connection - The database connection object.
+ * @param {object} paymentData - Data for the 'payments' table (pos_session_id
+ *   links the payment to an open POS session).
+ * @param {array} orderLinks - Array of objects { order_id, amount } to link in 'order_payments'.
+ * @param {string|null} idempotencyKey - Idempotency key from request.
+ * @returns {object} { payment_id, payment_number, is_duplicate, reason }
+ */
+async function createPaymentTransaction(
+  connection,
+  paymentData,
+  orderLinks = [],
+  idempotencyKey = null
+) {
+  // 1. Check for Duplicates
+  const duplicate = await findDuplicatePayment(
+    connection,
+    paymentData,
+    idempotencyKey
+  );
+  if (duplicate) {
+    return {
+      payment_id: duplicate.id,
+      payment_number: duplicate.payment_number,
+      is_duplicate: true,
+      reason: duplicate.reason,
+    };
+  }
+
+  // 2. Generate Payment Number
+  const payment_number = await generatePaymentNumber(
+    connection,
+    paymentData.company_id,
+    paymentData.warehouse_id,
+    paymentData.payment_type,
+    paymentData.date
+  );
+  console.log(`[Transaction] Generated payment number: ${payment_number}`);
+
+  // 3. Insert into 'payments' table
+  let paymentInsertQuery;
+  let paymentInsertParams;
+  const storeIdempotencyKey =
+    idempotencyKey && (await hasIdempotencyKeyColumn(connection, "payments"));
+
+  if (storeIdempotencyKey) {
+    paymentInsertQuery = `INSERT INTO payments (payment_number, company_id, warehouse_id, payment_type, date, amount, payment_mode_id, user_id, notes, staff_user_id, idempotency_key, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`;
+    paymentInsertParams = [
+      payment_number,
+      paymentData.company_id,
+      paymentData.warehouse_id,
+      paymentData.payment_type,
+      paymentData.date,
+      paymentData.amount,
+      paymentData.payment_mode_id,
+      paymentData.user_id,
+      paymentData.notes,
+      paymentData.staff_user_id || null,
+      idempotencyKey,
+    ];
+  } else {
+    if (idempotencyKey)
+      console.warn(
+        "[Transaction] Idempotency key provided, but 'idempotency_key' column not found in 'payments'."
+      );
+    paymentInsertQuery = `INSERT INTO payments (payment_number, company_id, warehouse_id, payment_type, date, amount, payment_mode_id, user_id, notes, staff_user_id, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`;
+    paymentInsertParams = [
+      payment_number,
+      paymentData.company_id,
+      paymentData.warehouse_id,
+      paymentData.payment_type,
+      paymentData.date,
+      paymentData.amount,
+      paymentData.payment_mode_id,
+      paymentData.user_id,
+      paymentData.notes,
+      paymentData.staff_user_id || null,
+    ];
+  }
+
+  console.log(`[Transaction] Inserting payment...`);
+  const [paymentResult] = await connection.query(
+    paymentInsertQuery,
+    paymentInsertParams
+  );
+  const paymentId = paymentResult.insertId;
+  console.log(`[Transaction] Payment inserted with ID: ${paymentId}`);
+
+  // Payment taken at a POS register (see routes/posSessions.js)
+  if (paymentData.pos_session_id) {
+    await attachToPosSession(
+      connection,
+      "payments",
+      paymentId,
+      paymentData.pos_session_id,
+      paymentData.warehouse_id
+    );
+  }
+
+  // Currency and rate of the payment. Without an explicit currency, the
+  // payment is in the currency of the first linked order.
+  const validLinks = (orderLinks || []).filter((link) => link.order_id);
+  let paymentCurrencyId = paymentData.currency_id;
+  if (paymentCurrencyId === undefined && validLinks.length > 0) {
+    const [firstOrder] = await connection.query(
+      "SELECT currency_id FROM orders WHERE id = ?",
+      [validLinks[0].order_id]
+    );
+    paymentCurrencyId =
+      firstOrder.length > 0 ? firstOrder[0].currency_id : null;
+  }
+  const paymentCurrency = await applyDocumentCurrency(
+    connection,
+    "payments",
+    paymentId,
+    {
+      companyId: paymentData.company_id,
+      currencyId: paymentCurrencyId,
+      exchangeRate: paymentData.exchange_rate,
+      date: paymentData.date,
+    }
+  );
+  const baseCurrencyId = await getBaseCurrencyId(
+    connection,
+    paymentData.company_id
+  );
+
+  // 4. Insert into 'order_payments' and Update 'orders' for each link
+  const linkedOrderIds = new Set(); // Keep track of orders to update
+  if (orderLinks && orderLinks.length > 0) {
+    for (const link of orderLinks) {
+      if (!link.order_id || link.amount === undefined || link.amount === null) {
+        console.warn(`[Transaction] Skipping invalid order link:`, link);
+        continue;
+      }
+
+      // Avoid duplicate links in the same transaction
+      const alreadyLinked = await checkExistingOrderPayment(
+        connection,
+        link.order_id,
+        paymentId
+      );
+      if (alreadyLinked) {
+        console.warn(
+          `[Transaction] Order ${link.order_id} already linked to payment ${paymentId}. Skipping.`
+        );
+        continue;
+      }
+
+      // The payment must be in the currency of the order it settles; a rate
+      // different from the invoice rate gives a realized FX gain or loss
+      const [linkedOrder] = await connection.query(
+        "SELECT currency_id, exchange_rate FROM orders WHERE id = ?",
+        [link.order_id]
+      );
+      const orderCurrencyId =
+        (linkedOrder.length > 0 && linkedOrder[0].currency_id) ||
+        baseCurrencyId;
+      if (
+        Number(orderCurrencyId) !==
+        Number(paymentCurrency.currency_id || baseCurrencyId)
+      ) {
+        throw new Error(
+          `Le paiement n'est pas dans la devise de la commande ${link.order_id}.`
+        );
+      }
+      const fxGainLoss = realizedFxGainLoss(
+        link.amount,
+        linkedOrder.length > 0 ? linkedOrder[0].exchange_rate : 1,
+        paymentCurrency.exchange_rate,
+        paymentData.payment_type
+      );
+
+      console.log(
+        `[Transaction] Linking Payment ${paymentId} to Order ${link.order_id} with amount ${link.amount}`
+      );
+      await connection.query(
+        `INSERT INTO order_payments (order_id, payment_id, amount, payment_date, remarks, fx_gain_loss, created_at, updated_at) 
+                 VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [
+          link.order_id,
+          paymentId,
+          link.amount,
+          paymentData.date,
+          paymentData.notes || "",
+          fxGainLoss,
+        ]
+      );
+      linkedOrderIds.add(link.order_id);
+    }
+  } else {
+    console.log(
+      `[Transaction] No specific order links provided for payment ${paymentId}.`
+    );
+    // Note: If no orders are linked, the payment amount might become 'unused_amount'
+    // We might need logic here later to update payments.unused_amount if necessary
+  }
+
+  // 5. Update status for all affected orders
+  for (const orderId of linkedOrderIds) {
+    await updateOrderStatus(connection, orderId);
+  }
+
+  // 6. Post the treasury journal entry (see utils/accounting.js)
+  await syncPaymentEntry(connection, paymentId);
+
+  return {
+    payment_id: paymentId,
+    payment_number: payment_number,
+    is_duplicate: false,
+  };
+}
+
+/**
+ * Caps what a new order declares as paid (paid_amount and the payments[]
+ * links, in their order) at its total, once the server has lowered that
+ * total (price lists, promotions); the surplus is change given back.
+ * @param {Object} order - Order body ({ paid_amount, payments })
+ * @param {number} total - Total recomputed by the server
+ * @returns {Object} Fields to replace: due_amount, and paid_amount /
+ *   payments when they exceeded the total
+ */
+function capOrderPayments(order, total) {
+  const round2 = (value) => Math.round(value * 100) / 100;
+  const patch = {};
+  const paidAmount = parseFloat(order.paid_amount) || 0;
+  if (paidAmount > total) patch.paid_amount = total;
+  if (Array.isArray(order.payments) && order.payments.length > 0) {
+    let remaining = total;
+    patch.payments = order.payments
+      .map((payment) => {
+        const amount = round2(
+          Math.min(parseFloat(payment.amount) || 0, remaining)
+        );
+        remaining = round2(remaining - amount);
+        return { ...payment, amount };
+      })
+      .filter((payment) => payment.amount > 0);
+  }
+  patch.due_amount = Math.max(0, round2(total - Math.min(paidAmount, total)));
+  return patch;
+}
+
+module.exports = {
+  capOrderPayments,
+  hasIdempotencyKeyColumn,
+  findByIdempotencyKey,
+  generatePaymentNumber,
+  findDuplicatePayment,
+  checkExistingOrderPayment,
+  updateOrderStatus,
+  createPaymentTransaction,
+};
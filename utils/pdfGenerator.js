@@ -36,6 +36,9 @@ class InvoiceGenerator {
    * @param {Object} data.warehouse - Informations sur l'entrepôt
    * @param {Object} data.customer - Informations sur le client
    * @param {Array} data.payments - Paiements associés à la commande
+   * @param {Object} data.document - Autre document que la facture (optionnel) :
+   *   { title, numberLabel, number, reference, summaryLines: [{ label, amount }] }
+   *   Utilisé pour les avoirs ; summaryLines remplace « Montant payé / dû ».
    * @param {string} outputPath - Chemin de sortie pour le fichier PDF (optionnel)
    * @returns {Promise<Buffer>} - Buffer contenant le PDF généré
    */
@@ -47,9 +50,11 @@ class InvoiceGenerator {
           size: "A4",
           margin: this.options.pageMargin,
           info: {
-            Title: `Facture ${data.order.invoice_number}`,
+            Title: data.document
+              ? `${data.document.title} ${data.document.number}`
+              : `Facture ${data.order.invoice_number}`,
             Author: data.company?.name || "ELSA GESTION",
-            Subject: "Facture client",
+            Subject: data.document ? data.document.title : "Facture client",
             Keywords: "facture, vente, client",
             CreationDate: new Date(),
           },
@@ -80,6 +85,506 @@ class InvoiceGenerator {
     });
   }
 
+  /**
+   * Génère le relevé de compte PDF d'un client ou d'un fournisseur
+   * @param {Object} data - Données du relevé
+   * @param {Object} data.statement - Relevé (voir utils/accountStatement.js)
+   * @param {Object} data.company - Informations sur l'entreprise
+   * @param {Object} data.warehouse - Informations sur l'entrepôt (optionnel)
+   * @returns {Promise<Buffer>} - Buffer contenant le PDF généré
+   */
+  async generateStatement(data) {
+    return new Promise((resolve, reject) => {
+      try {
+        const { statement } = data;
+        const doc = new PDFDocument({
+          size: "A4",
+          margin: this.options.pageMargin,
+          info: {
+            Title: `Relevé de compte ${statement.party.name}`,
+            Author: data.company?.name || "ELSA GESTION",
+            Subject: "Relevé de compte",
+            Keywords: "relevé, compte, solde",
+            CreationDate: new Date(),
+          },
+        });
+
+        const chunks = [];
+        doc.on("data", (chunk) => chunks.push(chunk));
+        doc.on("end", () => resolve(Buffer.concat(chunks)));
+
+        this._generateHeader(doc, data);
+        this._generateStatementInformation(doc, statement);
+        const y = this._generateStatementTable(doc, statement);
+        this._generateAgingSummary(doc, statement, y);
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Génère la balance âgée PDF (créances clients ou dettes fournisseurs)
+   * @param {Object} data - Données de la balance âgée
+   * @param {string} data.title - Titre du rapport
+   * @param {string} data.partyLabel - Libellé de la colonne tiers (Client / Fournisseur)
+   * @param {Array} data.buckets - Tranches [{ key, label }]
+   * @param {Array} data.rows - Lignes [{ name, buckets: { clé: montant }, total }]
+   * @param {Object} data.totals - { buckets: { clé: montant }, total }
+   * @param {Object} data.company - Informations sur l'entreprise
+   * @returns {Promise<Buffer>} - Buffer contenant le PDF généré
+   */
+  async generateAgingReport(data) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: "A4",
+          layout: "landscape",
+          margin: this.options.pageMargin,
+          info: {
+            Title: data.title,
+            Author: data.company?.name || "ELSA GESTION",
+            Subject: data.title,
+            Keywords: "balance âgée, créances, dettes",
+            CreationDate: new Date(),
+          },
+        });
+
+        const chunks = [];
+        doc.on("data", (chunk) => chunks.push(chunk));
+        doc.on("end", () => resolve(Buffer.concat(chunks)));
+
+        const margin = this.options.pageMargin;
+        const nameWidth = 200;
+        const amountWidth =
+          (doc.page.width - 2 * margin - nameWidth) / (data.buckets.length + 1);
+        const bottomLimit = doc.page.height - 60;
+
+        const drawRow = (y, name, amounts, bold = false) => {
+          doc.font(
+            bold ? `${this.options.fontName}-Bold` : this.options.fontName
+          );
+          doc.text(name, margin, y, { width: nameWidth - 10 });
+          amounts.forEach((amount, index) =>
+            doc.text(amount, margin + nameWidth + index * amountWidth, y, {
+              width: amountWidth,
+              align: "right",
+            })
+          );
+          return y + this.options.lineHeight;
+        };
+        const drawHeader = (y) => {
+          doc.fontSize(10).fillColor(this.options.primaryColor);
+          const next = drawRow(
+            y,
+            data.partyLabel,
+            [...data.buckets.map((b) => b.label), "Total"],
+            true
+          );
+          doc.fillColor("#444444");
+          return next;
+        };
+        const amountsOf = (line) => [
+          ...data.buckets.map((b) => this._formatCurrency(line.buckets[b.key])),
+          this._formatCurrency(line.total),
+        ];
+
+        doc
+          .fontSize(16)
+          .fillColor(this.options.primaryColor)
+          .text(data.title.toUpperCase(), margin, margin)
+          .fontSize(10)
+          .fillColor("#666666")
+          .text(
+            `${data.company?.name || ""} - au ${this._formatDate(new Date())}`,
+            margin,
+            margin + 22
+          );
+
+        let y = drawHeader(margin + 50);
+        data.rows.forEach((row) => {
+          if (y > bottomLimit) {
+            doc.addPage();
+            y = drawHeader(margin);
+          }
+          y = drawRow(y, row.name || "", amountsOf(row));
+        });
+        if (y > bottomLimit) {
+          doc.addPage();
+          y = margin;
+        }
+        drawRow(y + 5, "Total", amountsOf(data.totals), true);
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Génère le rapport Z d'une session de caisse clôturée
+   * @param {Object} data - Données du rapport
+   * @param {Object} data.session - Session (numéro, caisse, caissier, dates)
+   * @param {Object} data.summary - Totaux (voir utils/posSessions.js)
+   * @param {Array} data.counts - Comptages [{ payment_mode_name, expected_amount,
+   *   counted_amount, variance }]
+   * @param {Array} data.movements - Entrées / sorties [{ movement_type_label,
+   *   amount, reason }]
+   * @param {Object} data.company - Informations sur l'entreprise
+   * @param {Object} data.warehouse - Informations sur le magasin
+   * @returns {Promise<Buffer>} - Buffer contenant le PDF généré
+   */
+  async generateZReport(data) {
+    return new Promise((resolve, reject) => {
+      try {
+        const { session, summary } = data;
+        const doc = new PDFDocument({
+          size: "A4",
+          margin: this.options.pageMargin,
+          info: {
+            Title: `Rapport Z ${session.session_number}`,
+            Author: data.company?.name || "ELSA GESTION",
+            Subject: "Rapport Z",
+            Keywords: "caisse, rapport Z, clôture",
+            CreationDate: new Date(),
+          },
+        });
+
+        const chunks = [];
+        doc.on("data", (chunk) => chunks.push(chunk));
+        doc.on("end", () => resolve(Buffer.concat(chunks)));
+
+        const margin = this.options.pageMargin;
+        const labelWidth = 200;
+        const amountWidth = (doc.page.width - 2 * margin - labelWidth) / 3;
+        const bottomLimit = doc.page.height - 60;
+        const dateTime = (value) =>
+          value
+            ? `${this._formatDate(value)} ${new Date(value).toLocaleTimeString(
+                "fr-FR",
+                { hour: "2-digit", minute: "2-digit" }
+              )}`
+            : "";
+
+        const drawRow = (y, label, amounts, bold = false) => {
+          if (y > bottomLimit) {
+            doc.addPage();
+            y = margin;
+          }
+          doc.font(
+            bold ? `${this.options.fontName}-Bold` : this.options.fontName
+          );
+          doc.text(label, margin, y, { width: labelWidth - 10 });
+          amounts.forEach((amount, index) =>
+            doc.text(amount, margin + labelWidth + index * amountWidth, y, {
+              width: amountWidth,
+              align: "right",
+            })
+          );
+          return y + this.options.lineHeight;
+        };
+        const drawSection = (y, title, headers = []) => {
+          y += 10;
+          doc.fontSize(11).fillColor(this.options.primaryColor);
+          const next = drawRow(y, title, headers, true);
+          doc.fontSize(10).fillColor("#444444");
+          return next;
+        };
+
+        doc
+          .fontSize(16)
+          .fillColor(this.options.primaryColor)
+          .text(`RAPPORT Z - ${session.session_number}`, margin, margin)
+          .fontSize(10)
+          .fillColor("#666666")
+          .text(
+            `${data.company?.name || ""} - ${data.warehouse?.name || ""} - ${
+              session.register_name
+            }`,
+            margin,
+            margin + 22
+          )
+          .text(
+            `Caissier : ${session.cashier_name || ""} - Ouverture : ${dateTime(
+              session.opened_at
+            )} - Clôture : ${dateTime(session.closed_at)}`,
+            margin,
+            margin + 37
+          );
+
+        let y = drawSection(margin + 60, "Ventes", ["Nombre", "", "Montant"]);
+        y = drawRow(y, "Ventes", [
+          String(summary.sales_count),
+          "",
+          this._formatCurrency(summary.sales_total),
+        ]);
+        y = drawRow(y, "Retours", [
+          String(summary.returns_count),
+          "",
+          this._formatCurrency(-summary.returns_total),
+        ]);
+        y = drawRow(
+          y,
+          "Chiffre d'affaires net",
+          [
+            "",
+            "",
+            this._formatCurrency(summary.sales_total - summary.returns_total),
+          ],
+          true
+        );
+
+        y = drawSection(y, "Encaissements par mode", ["Nombre", "", "Montant"]);
+        summary.payments.forEach((payment) => {
+          y = drawRow(y, payment.payment_mode_name || "Non précisé", [
+            String(payment.count),
+            "",
+            this._formatCurrency(payment.amount),
+          ]);
+        });
+
+        y = drawSection(y, "Espèces", ["", "", "Montant"]);
+        y = drawRow(y, "Fond de caisse", [
+          "",
+          "",
+          this._formatCurrency(summary.opening_float),
+        ]);
+        y = drawRow(y, "Encaissements en espèces", [
+          "",
+          "",
+          this._formatCurrency(summary.cash_payments),
+        ]);
+        (data.movements || []).forEach((movement) => {
+          y = drawRow(
+            y,
+            `${movement.movement_type_label}${
+              movement.reason ? ` (${movement.reason})` : ""
+            }`,
+            [
+              "",
+              "",
+              this._formatCurrency(
+                movement.movement_type === "cash_out"
+                  ? -movement.amount
+                  : movement.amount
+              ),
+            ]
+          );
+        });
+        y = drawRow(
+          y,
+          "Espèces attendues",
+          ["", "", this._formatCurrency(summary.expected_cash)],
+          true
+        );
+
+        y = drawSection(y, "Comptage de clôture", [
+          "Attendu",
+          "Compté",
+          "Écart",
+        ]);
+        (data.counts || []).forEach((count) => {
+          y = drawRow(y, count.payment_mode_name || "Non précisé", [
+            this._formatCurrency(count.expected_amount),
+            this._formatCurrency(count.counted_amount),
+            this._formatCurrency(count.variance),
+          ]);
+        });
+        drawRow(
+          y,
+          "Total",
+          [
+            this._formatCurrency(session.expected_total),
+            this._formatCurrency(session.counted_total),
+            this._formatCurrency(session.variance_total),
+          ],
+          true
+        );
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Génère le bloc tiers / période du relevé
+   * @param {PDFDocument} doc - Document PDF
+   * @param {Object} statement - Relevé de compte
+   * @private
+   */
+  _generateStatementInformation(doc, statement) {
+    const { party, period } = statement;
+    const startY = 140;
+
+    doc
+      .fontSize(16)
+      .fillColor(this.options.primaryColor)
+      .text("RELEVÉ DE COMPTE", this.options.pageMargin, startY)
+      .fontSize(10)
+      .fillColor("#666666")
+      .text(
+        `Période: du ${this._formatDate(
+          period.start_date
+        )} au ${this._formatDate(period.end_date)}`,
+        this.options.pageMargin,
+        startY + 25
+      )
+      .text(
+        `Solde d'ouverture: ${this._formatCurrency(statement.opening_balance)}`,
+        this.options.pageMargin,
+        startY + 40
+      )
+      .text(
+        `Solde de clôture: ${this._formatCurrency(statement.closing_balance)}`,
+        this.options.pageMargin,
+        startY + 55
+      );
+
+    doc
+      .text(
+        party.type === "supplier" ? "Fournisseur:" : "Client:",
+        300,
+        startY + 25
+      )
+      .font(`${this.options.fontName}-Bold`)
+      .text(party.name || "", 300, startY + 40)
+      .font(this.options.fontName)
+      .text(party.address || "", 300, startY + 55)
+      .text(`Tél: ${party.phone || ""}`, 300, startY + 70)
+      .text(`Email: ${party.email || ""}`, 300, startY + 85);
+
+    doc
+      .strokeColor(this.options.primaryColor)
+      .lineWidth(1)
+      .moveTo(this.options.pageMargin, startY + 110)
+      .lineTo(doc.page.width - this.options.pageMargin, startY + 110)
+      .stroke();
+  }
+
+  /**
+   * Génère le tableau des mouvements avec solde progressif
+   * @param {PDFDocument} doc - Document PDF
+   * @param {Object} statement - Relevé de compte
+   * @returns {number} - Position verticale après le tableau
+   * @private
+   */
+  _generateStatementTable(doc, statement) {
+    const columns = [
+      { label: "Date", x: this.options.pageMargin, width: 70 },
+      { label: "Référence", x: 110, width: 110 },
+      { label: "Libellé", x: 220, width: 110 },
+      { label: "Débit", x: 330, width: 70, align: "right" },
+      { label: "Crédit", x: 400, width: 70, align: "right" },
+      { label: "Solde", x: 470, width: 85, align: "right" },
+    ];
+    const bottomLimit = doc.page.height - 80;
+
+    const drawHeader = (y) => {
+      doc
+        .fontSize(10)
+        .fillColor(this.options.primaryColor)
+        .font(`${this.options.fontName}-Bold`);
+      columns.forEach((col) =>
+        doc.text(col.label, col.x, y, { width: col.width, align: col.align })
+      );
+      doc.font(this.options.fontName).fillColor("#444444");
+      return y + this.options.lineHeight;
+    };
+    const drawRow = (y, values) => {
+      columns.forEach((col, index) =>
+        doc.text(values[index], col.x, y, {
+          width: col.width,
+          align: col.align,
+        })
+      );
+      return y + this.options.lineHeight;
+    };
+
+    let y = drawHeader(270);
+    y = drawRow(y, [
+      this._formatDate(statement.period.start_date),
+      "",
+      "Solde d'ouverture",
+      "",
+      "",
+      this._formatCurrency(statement.opening_balance),
+    ]);
+
+    statement.lines.forEach((line) => {
+      if (y > bottomLimit) {
+        doc.addPage();
+        y = drawHeader(this.options.pageMargin);
+      }
+      y = drawRow(y, [
+        this._formatDate(line.date),
+        line.reference || "",
+        line.description,
+        line.debit ? this._formatCurrency(line.debit) : "",
+        line.credit ? this._formatCurrency(line.credit) : "",
+        this._formatCurrency(line.balance),
+      ]);
+    });
+
+    if (y > bottomLimit) {
+      doc.addPage();
+      y = this.options.pageMargin;
+    }
+    doc.font(`${this.options.fontName}-Bold`);
+    y = drawRow(y + 5, [
+      "",
+      "",
+      "Totaux / solde",
+      this._formatCurrency(statement.totals.debit),
+      this._formatCurrency(statement.totals.credit),
+      this._formatCurrency(statement.closing_balance),
+    ]);
+    doc.font(this.options.fontName);
+    return y;
+  }
+
+  /**
+   * Génère le résumé par ancienneté des factures non soldées
+   * @param {PDFDocument} doc - Document PDF
+   * @param {Object} statement - Relevé de compte
+   * @param {number} startY - Position verticale de départ
+   * @private
+   */
+  _generateAgingSummary(doc, statement, startY) {
+    const buckets = Object.values(statement.aging.buckets);
+    let y = startY + 20;
+    if (y + 60 > doc.page.height - 60) {
+      doc.addPage();
+      y = this.options.pageMargin;
+    }
+
+    doc
+      .fontSize(12)
+      .fillColor(this.options.primaryColor)
+      .text("Ancienneté des factures non soldées", this.options.pageMargin, y);
+    y += this.options.lineHeight;
+
+    const width = (doc.page.width - 2 * this.options.pageMargin) / 5;
+    doc.fontSize(10).fillColor("#444444");
+    [...buckets, { label: "Total", amount: statement.aging.total }].forEach(
+      (bucket, index) => {
+        const x = this.options.pageMargin + index * width;
+        doc
+          .font(`${this.options.fontName}-Bold`)
+          .text(bucket.label, x, y, { width, align: "center" })
+          .font(this.options.fontName)
+          .text(this._formatCurrency(bucket.amount), x, y + 15, {
+            width,
+            align: "center",
+          });
+      }
+    );
+  }
+
   /**
    * Génère l'en-tête de la facture avec le logo et les informations de l'entreprise
    * @param {PDFDocument} doc - Document PDF
@@ -159,7 +664,7 @@ class InvoiceGenerator {
    * @private
    */
   _generateCustomerInformation(doc, data) {
-    const { order, customer } = data;
+    const { order, customer, document } = data;
     const customerName = customer?.name || order?.supplier_name || "Client";
     const customerAddress = customer?.address || "";
     const customerContact = customer?.phone || "";
@@ -172,14 +677,20 @@ class InvoiceGenerator {
     doc
       .fontSize(16)
       .fillColor(this.options.primaryColor)
-      .text("FACTURE", this.options.pageMargin, startY);
+      .text(
+        document ? document.title.toUpperCase() : "FACTURE",
+        this.options.pageMargin,
+        startY
+      );
 
     // Informations de la facture (côté gauche)
     doc
       .fontSize(10)
       .fillColor("#666666")
       .text(
-        `Facture N°: ${order.invoice_number}`,
+        document
+          ? `${document.numberLabel}: ${document.number}`
+          : `Facture N°: ${order.invoice_number}`,
         this.options.pageMargin,
         startY + 25
       )
@@ -194,7 +705,9 @@ class InvoiceGenerator {
         startY + 55
       )
       .text(
-        `Statut paiement: ${order.payment_status || "Non payé"}`,
+        document && document.reference
+          ? document.reference
+          : `Statut paiement: ${order.payment_status || "Non payé"}`,
         this.options.pageMargin,
         startY + 70
       );
@@ -378,6 +891,19 @@ class InvoiceGenerator {
       .text("TOTAL:", summaryX, y)
       .text(this._formatCurrency(order.total || 0), amountX, y);
 
+    // Document sans paiement (avoir) : lignes de solde propres au document
+    if (data.document && data.document.summaryLines) {
+      doc.fontSize(10).fillColor("#444444").font(this.options.fontName);
+      y += 5;
+      data.document.summaryLines.forEach((line) => {
+        y += 15;
+        doc
+          .text(line.label, summaryX, y)
+          .text(this._formatCurrency(line.amount || 0), amountX, y);
+      });
+      return;
+    }
+
     // Montant payé et restant dû
     y += 20;
     doc
@@ -0,0 +1,436 @@
+// utils/posSessions.js
+// Sessions de caisse (POS) : le caissier ouvre une caisse avec un fond de
+// caisse ; les ventes (orders.pos_session_id) et les paiements
+// (payments.pos_session_id) encaissés pendant la session y sont rattachés,
+// ainsi que les entrées et sorties d'espèces (pos_session_movements).
+// Espèces attendues = fond de caisse + paiements en espèces (entrées moins
+// remboursements) + entrées - sorties. À la clôture, le montant compté de
+// chaque mode de paiement est comparé au montant attendu (pos_session_counts) ;
+// la session clôturée alimente le rapport Z.
+const { nextDocumentNumber } = require("./documentNumbers");
+const { isCashPaymentMode } = require("./accounting");
+
+const POS_SESSION_STATUS_LABELS = {
+  open: "Ouverte",
+  closed: "Clôturée",
+};
+
+const CASH_MOVEMENT_TYPES = {
+  cash_in: "Entrée d'espèces",
+  cash_out: "Sortie d'espèces",
+};
+
+// Documents rattachables à une session
+const SESSION_DOCUMENT_TABLES = ["orders", "payments"];
+
+const round2 = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+/**
+ * Vérifie qu'une session accepte encore des opérations.
+ * @param {Object} session - Ligne pos_sessions
+ * @returns {string|null} Message d'erreur, ou null si la session est ouverte
+ */
+function checkSessionOpen(session) {
+  if (session.status !== "open") {
+    return `Action impossible : la session de caisse ${
+      session.session_number
+    } est au statut "${
+      POS_SESSION_STATUS_LABELS[session.status] || session.status
+    }".`;
+  }
+  return null;
+}
+
+/**
+ * Sessions ouvertes qui empêchent l'ouverture d'une nouvelle session : une
+ * seule session ouverte par caisse d'un magasin, et par caissier.
+ * @param {Object} connection - Connexion MySQL
+ * @param {Object} params - { warehouseId, registerName, cashierId }
+ * @returns {Promise<Array>} Sessions en conflit
+ */
+async function findConflictingSessions(connection, params) {
+  const [rows] = await connection.query(
+    `SELECT id, session_number, warehouse_id, register_name, cashier_id
+     FROM pos_sessions
+     WHERE status = 'open'
+       AND ((warehouse_id = ? AND register_name = ?) OR cashier_id = ?)`,
+    [params.warehouseId, params.registerName, params.cashierId]
+  );
+  return rows;
+}
+
+/**
+ * Ouvre une session de caisse (numéro CAI-...).
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} params - { companyId, warehouseId, registerName,
+ *   cashierId, openingFloat, notes }
+ * @returns {Promise<Object>} { id, session_number }
+ * @throws {Error} Fond de caisse invalide
+ */
+async function openPosSession(connection, params) {
+  const openingFloat = parseFloat(params.openingFloat || 0);
+  if (isNaN(openingFloat) || openingFloat < 0) {
+    throw new Error("Fond de caisse invalide (doit être un nombre positif).");
+  }
+
+  const sessionNumber = await nextDocumentNumber(connection, {
+    companyId: params.companyId,
+    warehouseId: params.warehouseId,
+    documentType: "pos_session",
+  });
+  const [result] = await connection.query(
+    `INSERT INTO pos_sessions (
+        session_number, company_id, warehouse_id, register_name, cashier_id,
+        status, opening_float, opened_at, notes
+     ) VALUES (?, ?, ?, ?, ?, 'open', ?, NOW(), ?)`,
+    [
+      sessionNumber,
+      params.companyId,
+      params.warehouseId,
+      params.registerName,
+      params.cashierId,
+      round2(openingFloat),
+      params.notes || null,
+    ]
+  );
+  return { id: result.insertId, session_number: sessionNumber };
+}
+
+/**
+ * Contrôle la session de caisse d'un document avant son rattachement :
+ * existante, ouverte et du magasin du document.
+ * @returns {Promise<Object|null>} { status, error } (404, 409 ou 400), null
+ *   si la session convient
+ */
+async function checkDocumentSession(connection, sessionId, warehouseId) {
+  const [rows] = await connection.query(
+    "SELECT * FROM pos_sessions WHERE id = ? LOCK IN SHARE MODE",
+    [sessionId]
+  );
+  if (rows.length === 0) {
+    return {
+      status: 404,
+      error: `Session de caisse ${sessionId} non trouvée.`,
+    };
+  }
+  const sessionError = checkSessionOpen(rows[0]);
+  if (sessionError) return { status: 409, error: sessionError };
+  if (Number(rows[0].warehouse_id) !== Number(warehouseId)) {
+    return {
+      status: 400,
+      error: `La session de caisse ${rows[0].session_number} appartient à un autre magasin.`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Rattache une vente ou un paiement à une session de caisse ouverte du même
+ * magasin. La session est lue en mode partagé : une clôture simultanée attend
+ * la fin de la transaction.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {string} table - orders ou payments
+ * @param {number} documentId - ID de la vente ou du paiement
+ * @param {number} sessionId - ID de la session de caisse
+ * @param {number} warehouseId - Magasin du document
+ * @throws {Error} Session inconnue, clôturée ou d'un autre magasin
+ */
+async function attachToPosSession(
+  connection,
+  table,
+  documentId,
+  sessionId,
+  warehouseId
+) {
+  if (!SESSION_DOCUMENT_TABLES.includes(table)) {
+    throw new Error(`Document non rattachable à une session de caisse.`);
+  }
+  const problem = await checkDocumentSession(
+    connection,
+    sessionId,
+    warehouseId
+  );
+  if (problem) throw new Error(problem.error);
+  await connection.query(
+    `UPDATE ${table} SET pos_session_id = ? WHERE id = ?`,
+    [sessionId, documentId]
+  );
+}
+
+/**
+ * Totaux d'une session : ventes et retours, paiements par mode, mouvements
+ * d'espèces et espèces attendues en caisse.
+ * @param {Object} connection - Connexion MySQL
+ * @param {Object} session - Ligne pos_sessions
+ * @returns {Promise<Object>} { sales_count, sales_total, returns_count,
+ *   returns_total, payments: [{ payment_mode_id, payment_mode_name, is_cash,
+ *   count, amount }], opening_float, cash_payments, cash_in, cash_out,
+ *   expected_cash }
+ */
+async function getSessionSummary(connection, session) {
+  const [orderRows] = await connection.query(
+    `SELECT order_type, COUNT(*) AS count, COALESCE(SUM(total), 0) AS total
+     FROM orders
+     WHERE pos_session_id = ? AND is_deleted = 0
+     GROUP BY order_type`,
+    [session.id]
+  );
+  const ordersOf = (orderType) =>
+    orderRows.find((row) => row.order_type === orderType) || {
+      count: 0,
+      total: 0,
+    };
+
+  const [paymentRows] = await connection.query(
+    `SELECT p.payment_mode_id, pm.name AS payment_mode_name, pm.mode_type,
+            COUNT(*) AS count,
+            COALESCE(SUM(CASE WHEN p.payment_type = 'out'
+                              THEN -p.amount ELSE p.amount END), 0) AS amount
+     FROM payments p
+     LEFT JOIN payment_modes pm ON p.payment_mode_id = pm.id
+     WHERE p.pos_session_id = ?
+     GROUP BY p.payment_mode_id, pm.name, pm.mode_type
+     ORDER BY pm.name ASC`,
+    [session.id]
+  );
+  const payments = paymentRows.map((row) => ({
+    payment_mode_id: row.payment_mode_id,
+    payment_mode_name: row.payment_mode_name,
+    is_cash: isCashPaymentMode({
+      mode_type: row.mode_type,
+      name: row.payment_mode_name,
+    }),
+    count: Number(row.count),
+    amount: round2(row.amount),
+  }));
+
+  const [movementRows] = await connection.query(
+    `SELECT movement_type, COALESCE(SUM(amount), 0) AS amount
+     FROM pos_session_movements
+     WHERE session_id = ?
+     GROUP BY movement_type`,
+    [session.id]
+  );
+  const movementsOf = (movementType) => {
+    const row = movementRows.find((m) => m.movement_type === movementType);
+    return row ? round2(row.amount) : 0;
+  };
+
+  const cashPayments = round2(
+    payments
+      .filter((payment) => payment.is_cash)
+      .reduce((sum, payment) => sum + payment.amount, 0)
+  );
+  const cashIn = movementsOf("cash_in");
+  const cashOut = movementsOf("cash_out");
+
+  return {
+    sales_count: Number(ordersOf("sales").count),
+    sales_total: round2(ordersOf("sales").total),
+    returns_count: Number(ordersOf("sales_return").count),
+    returns_total: round2(ordersOf("sales_return").total),
+    payments,
+    opening_float: round2(session.opening_float),
+    cash_payments: cashPayments,
+    cash_in: cashIn,
+    cash_out: cashOut,
+    expected_cash: round2(
+      parseFloat(session.opening_float) + cashPayments + cashIn - cashOut
+    ),
+  };
+}
+
+/**
+ * Enregistre une entrée ou une sortie d'espèces. Une sortie ne peut dépasser
+ * les espèces attendues en caisse.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} session - Ligne pos_sessions (verrouillée)
+ * @param {Object} params - { movementType, amount, reason, createdBy }
+ * @returns {Promise<Object>} Mouvement créé
+ * @throws {Error} Type ou montant invalide, espèces insuffisantes
+ */
+async function recordCashMovement(connection, session, params) {
+  const amount = parseFloat(params.amount);
+  if (!CASH_MOVEMENT_TYPES[params.movementType]) {
+    throw new Error("Type de mouvement invalide (cash_in ou cash_out).");
+  }
+  if (isNaN(amount) || amount <= 0) {
+    throw new Error("Montant invalide (doit être un nombre positif).");
+  }
+  if (params.movementType === "cash_out") {
+    const summary = await getSessionSummary(connection, session);
+    if (amount > summary.expected_cash + 0.001) {
+      throw new Error(
+        `Sortie impossible : seulement ${summary.expected_cash} attendus en caisse.`
+      );
+    }
+  }
+
+  const [result] = await connection.query(
+    `INSERT INTO pos_session_movements (
+        session_id, movement_type, amount, reason, created_by, created_at
+     ) VALUES (?, ?, ?, ?, ?, NOW())`,
+    [
+      session.id,
+      params.movementType,
+      round2(amount),
+      params.reason || null,
+      params.createdBy || null,
+    ]
+  );
+  return {
+    id: result.insertId,
+    session_id: session.id,
+    movement_type: params.movementType,
+    movement_type_label: CASH_MOVEMENT_TYPES[params.movementType],
+    amount: round2(amount),
+    reason: params.reason || null,
+  };
+}
+
+/**
+ * Clôture une session : une ligne de comptage pour les espèces (fond de
+ * caisse et mouvements compris) et une par autre mode de paiement encaissé ou
+ * compté. Les espèces doivent être comptées ; un autre mode non compté est
+ * considéré comme rapproché sans écart.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} session - Ligne pos_sessions (verrouillée)
+ * @param {Object} params - { countedCash, counts: [{ payment_mode_id,
+ *   counted_amount }], closedBy, closingNotes }
+ * @returns {Promise<Object>} { counts, expected_total, counted_total,
+ *   variance_total }
+ * @throws {Error} Montant compté invalide ou mode de paiement inconnu
+ */
+async function closePosSession(connection, session, params) {
+  const countedCash = parseFloat(params.countedCash);
+  if (isNaN(countedCash) || countedCash < 0) {
+    throw new Error("Montant des espèces comptées invalide.");
+  }
+  const summary = await getSessionSummary(connection, session);
+
+  const cashPayments = summary.payments.filter((payment) => payment.is_cash);
+  const lines = [
+    {
+      payment_mode_id:
+        cashPayments.length === 1 ? cashPayments[0].payment_mode_id : null,
+      payment_mode_name:
+        cashPayments.length === 1
+          ? cashPayments[0].payment_mode_name
+          : "Espèces",
+      is_cash: true,
+      expected_amount: summary.expected_cash,
+      counted_amount: round2(countedCash),
+    },
+  ];
+  summary.payments
+    .filter((payment) => !payment.is_cash)
+    .forEach((payment) =>
+      lines.push({
+        payment_mode_id: payment.payment_mode_id,
+        payment_mode_name: payment.payment_mode_name,
+        is_cash: false,
+        expected_amount: payment.amount,
+        counted_amount: null,
+      })
+    );
+
+  for (const count of params.counts || []) {
+    const countedAmount = parseFloat(count.counted_amount);
+    if (!count.payment_mode_id || isNaN(countedAmount) || countedAmount < 0) {
+      throw new Error(
+        "Comptage invalide : payment_mode_id et counted_amount positif requis."
+      );
+    }
+    let line = lines.find(
+      (l) =>
+        !l.is_cash &&
+        Number(l.payment_mode_id) === Number(count.payment_mode_id)
+    );
+    if (!line) {
+      const [modes] = await connection.query(
+        "SELECT id, name, mode_type FROM payment_modes WHERE id = ?",
+        [count.payment_mode_id]
+      );
+      if (modes.length === 0) {
+        throw new Error(
+          `Mode de paiement ${count.payment_mode_id} non trouvé.`
+        );
+      }
+      // Les espèces sont comptées par countedCash
+      if (isCashPaymentMode(modes[0])) continue;
+      line = {
+        payment_mode_id: modes[0].id,
+        payment_mode_name: modes[0].name,
+        is_cash: false,
+        expected_amount: 0,
+        counted_amount: null,
+      };
+      lines.push(line);
+    }
+    line.counted_amount = round2(countedAmount);
+  }
+
+  const counts = lines.map((line) => {
+    const countedAmount =
+      line.counted_amount === null ? line.expected_amount : line.counted_amount;
+    return {
+      ...line,
+      counted_amount: countedAmount,
+      variance: round2(countedAmount - line.expected_amount),
+    };
+  });
+  for (const count of counts) {
+    await connection.query(
+      `INSERT INTO pos_session_counts (
+          session_id, payment_mode_id, payment_mode_name, is_cash,
+          expected_amount, counted_amount, variance
+       ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        session.id,
+        count.payment_mode_id,
+        count.payment_mode_name,
+        count.is_cash ? 1 : 0,
+        count.expected_amount,
+        count.counted_amount,
+        count.variance,
+      ]
+    );
+  }
+
+  const sumOf = (key) =>
+    round2(counts.reduce((sum, count) => sum + count[key], 0));
+  const totals = {
+    expected_total: sumOf("expected_amount"),
+    counted_total: sumOf("counted_amount"),
+    variance_total: sumOf("variance"),
+  };
+  await connection.query(
+    `UPDATE pos_sessions
+     SET status = 'closed', closed_at = NOW(), closed_by = ?,
+         expected_total = ?, counted_total = ?, variance_total = ?,
+         closing_notes = ?
+     WHERE id = ?`,
+    [
+      params.closedBy || null,
+      totals.expected_total,
+      totals.counted_total,
+      totals.variance_total,
+      params.closingNotes || null,
+      session.id,
+    ]
+  );
+  return { counts, ...totals };
+}
+
+module.exports = {
+  POS_SESSION_STATUS_LABELS,
+  CASH_MOVEMENT_TYPES,
+  checkSessionOpen,
+  findConflictingSessions,
+  openPosSession,
+  checkDocumentSession,
+  attachToPosSession,
+  getSessionSummary,
+  recordCashMovement,
+  closePosSession,
+};
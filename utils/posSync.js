@@ -0,0 +1,511 @@
+// utils/posSync.js
+// Synchronisation des ventes POS créées hors ligne. L'appareil (device_id)
+// réserve à l'avance des plages de numéros de facture et numérote lui-même ses
+// ventes ; chaque vente porte une clé d'idempotence (orders.idempotency_key)
+// et ses paiements la leur (payments.idempotency_key) : un lot renvoyé après
+// une coupure ne crée pas de doublon.
+// Conflits de stock : la marchandise est déjà sortie du magasin, la vente est
+// donc enregistrée par défaut et les manques sont signalés (stock négatif à
+// régulariser) ; avec la politique "reject", la vente est refusée.
+// Comme une vente en ligne (POST /api/orders), la vente est tarifée par le
+// serveur (liste de prix du client, promotions et codes promo) et soumise
+// au contrôle du crédit client, avec dérogation possible (credit_override).
+const dayjs = require("dayjs");
+const {
+  nextDocumentNumber,
+  reserveDocumentNumbers,
+} = require("./documentNumbers");
+const { updateStock } = require("./stockLedger");
+const { applyOrderItemBatches } = require("./stockBatches");
+const { applyOrderItemSerials } = require("./serialNumbers");
+const { syncOrderEntry } = require("./accounting");
+const { syncOrderLoyalty } = require("./loyalty");
+const { enforceCustomerCredit } = require("./creditControl");
+const { priceOrderItems } = require("./priceLists");
+const {
+  evaluateOrderPromotions,
+  applyPromotionTotals,
+  recordOrderPromotions,
+} = require("./promotions");
+const { attachToPosSession } = require("./posSessions");
+const { queueFiscalSubmission } = require("./fiscalization");
+const {
+  hasIdempotencyKeyColumn,
+  findByIdempotencyKey,
+  createPaymentTransaction,
+} = require("./payments");
+
+const MAX_RANGE_SIZE = 500;
+const STOCK_CONFLICT_POLICIES = ["accept", "reject"];
+
+/**
+ * Réserve une plage de numéros de facture de vente pour un appareil.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} params - { companyId, warehouseId, deviceId, count,
+ *   createdBy }
+ * @returns {Promise<Object>} { id, device_id, first_number, last_number,
+ *   quantity, numbers }
+ * @throws {Error} Taille de plage invalide
+ */
+async function reserveInvoiceRange(connection, params) {
+  const count = parseInt(params.count, 10);
+  if (!(count > 0) || count > MAX_RANGE_SIZE) {
+    throw new Error(
+      `Taille de plage invalide (entre 1 et ${MAX_RANGE_SIZE} numéros).`
+    );
+  }
+  const range = await reserveDocumentNumbers(connection, {
+    companyId: params.companyId,
+    warehouseId: params.warehouseId,
+    documentType: "sales",
+    count,
+  });
+  const firstNumber = range.numbers[0];
+  const lastNumber = range.numbers[range.numbers.length - 1];
+  const [result] = await connection.query(
+    `INSERT INTO pos_number_ranges (
+        company_id, warehouse_id, device_id, document_type, first_number,
+        last_number, quantity, numbers, created_by, created_at
+     ) VALUES (?, ?, ?, 'sales', ?, ?, ?, ?, ?, NOW())`,
+    [
+      params.companyId,
+      params.warehouseId,
+      params.deviceId,
+      firstNumber,
+      lastNumber,
+      count,
+      JSON.stringify(range.numbers),
+      params.createdBy || null,
+    ]
+  );
+  return {
+    id: result.insertId,
+    device_id: params.deviceId,
+    first_number: firstNumber,
+    last_number: lastNumber,
+    quantity: count,
+    numbers: range.numbers,
+  };
+}
+
+/**
+ * Lit la liste des numéros d'une plage (colonne JSON ou texte).
+ * @returns {string[]}
+ */
+function parseRangeNumbers(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error("pos_number_ranges.numbers invalide:", error.message);
+    return [];
+  }
+}
+
+/**
+ * Vérifie qu'un numéro saisi hors ligne appartient à une plage de l'appareil
+ * et n'est pas encore utilisé.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} params - { companyId, warehouseId, deviceId, invoiceNumber }
+ * @returns {Promise<boolean>}
+ */
+async function canUseRangeNumber(connection, params) {
+  const [ranges] = await connection.query(
+    `SELECT numbers FROM pos_number_ranges
+     WHERE warehouse_id = ? AND device_id = ? AND document_type = 'sales'`,
+    [params.warehouseId, params.deviceId]
+  );
+  const reserved = ranges.some((range) =>
+    parseRangeNumbers(range.numbers).includes(params.invoiceNumber)
+  );
+  if (!reserved) return false;
+
+  const [used] = await connection.query(
+    `SELECT id FROM orders
+     WHERE company_id = ? AND order_type = 'sales' AND invoice_number = ?`,
+    [params.companyId, params.invoiceNumber]
+  );
+  return used.length === 0;
+}
+
+/**
+ * Manques de stock d'une vente : quantité demandée par produit comparée au
+ * stock du magasin (lignes verrouillées jusqu'à la fin de la transaction).
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {number} warehouseId - Magasin de la vente
+ * @param {Array} items - Lignes [{ product_id, quantity }]
+ * @returns {Promise<Array>} [{ product_id, requested, available, shortage }]
+ */
+async function findStockConflicts(connection, warehouseId, items) {
+  const requested = new Map();
+  for (const item of items) {
+    const productId = Number(item.product_id);
+    requested.set(
+      productId,
+      (requested.get(productId) || 0) + parseFloat(item.quantity)
+    );
+  }
+  const [stockRows] = await connection.query(
+    `SELECT product_id, current_stock FROM product_details
+     WHERE warehouse_id = ? AND product_id IN (?)
+     FOR UPDATE`,
+    [warehouseId, [...requested.keys()]]
+  );
+  const available = new Map(
+    stockRows.map((row) => [
+      Number(row.product_id),
+      parseFloat(row.current_stock) || 0,
+    ])
+  );
+
+  const conflicts = [];
+  for (const [productId, quantity] of requested) {
+    const inStock = available.get(productId) || 0;
+    if (quantity > inStock + 0.0001) {
+      conflicts.push({
+        product_id: productId,
+        requested: quantity,
+        available: inStock,
+        shortage: Math.round((quantity - inStock) * 1000) / 1000,
+      });
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Enregistre une vente POS créée hors ligne : commande, lignes, lots et
+ * numéros de série, stock, écriture comptable, rattachement à la session de
+ * caisse et paiements.
+ * @param {Object} connection - Connexion MySQL (transaction propre à la vente)
+ * @param {Object} sale - { idempotency_key, local_id, invoice_number,
+ *   order_date, user_id, pos_session_id, tax_id, tax_rate, tax_amount,
+ *   discount, subtotal, total, notes, created_at, coupon_code / coupon_codes,
+ *   credit_override: { reason },
+ *   items: [{ product_id, unit_id, quantity, unit_price, manual_price, tax_id,
+ *     tax_rate, tax_type, discount_rate, total_tax, total_discount, subtotal,
+ *     batch_number, serial_numbers }],
+ *   payments: [{ payment_mode_id, amount, date, idempotency_key }] }
+ * @param {Object} context - { companyId, warehouseId, deviceId, staffUserId,
+ *   posSessionId, stockConflictPolicy, canOverrideCredit }
+ * @returns {Promise<Object>} Résultat pour l'appareil : status created,
+ *   duplicate ou rejected (conflit de stock, code promo refusé ou crédit
+ *   client : error, code, credit_check), order_id, invoice_number,
+ *   renumbered, stock_conflicts, payments, warnings
+ * @throws {Error} Vente invalide (le résultat est alors "failed")
+ */
+async function syncOfflineSale(connection, sale, context) {
+  const { companyId, warehouseId, deviceId } = context;
+  const items = Array.isArray(sale.items) ? sale.items : [];
+  if (!sale.idempotency_key) {
+    throw new Error("idempotency_key est requis pour chaque vente.");
+  }
+  if (!(await hasIdempotencyKeyColumn(connection, "orders"))) {
+    throw new Error(
+      "La colonne orders.idempotency_key est absente (add_pos_offline_sync.sql)."
+    );
+  }
+  if (!sale.user_id || items.length === 0) {
+    throw new Error("user_id (client) et items sont requis.");
+  }
+  for (const item of items) {
+    if (!item.product_id || !(parseFloat(item.quantity) > 0)) {
+      throw new Error(
+        `Ligne invalide (product_id ou quantité) : ${JSON.stringify(item)}`
+      );
+    }
+  }
+
+  const result = {
+    idempotency_key: sale.idempotency_key,
+    local_id: sale.local_id !== undefined ? sale.local_id : null,
+  };
+
+  // Vente déjà synchronisée (lot renvoyé)
+  const existing = await findByIdempotencyKey(
+    connection,
+    "orders",
+    sale.idempotency_key,
+    companyId
+  );
+  if (existing) {
+    return {
+      ...result,
+      status: "duplicate",
+      order_id: existing.id,
+      invoice_number: existing.invoice_number,
+    };
+  }
+
+  // Prix de la liste du client et promotions, comme pour une vente en ligne
+  const orderDate = dayjs(sale.order_date || undefined).format("YYYY-MM-DD");
+  const priced = {
+    ...sale,
+    order_type: "sales",
+    company_id: companyId,
+    warehouse_id: warehouseId,
+    order_date: orderDate,
+    price_list_id: null,
+    items,
+    payments: Array.isArray(sale.payments) ? sale.payments : [],
+  };
+  Object.assign(priced, await priceOrderItems(connection, priced));
+  const promotions = await evaluateOrderPromotions(connection, priced);
+  if (promotions.error) {
+    return { ...result, status: "rejected", error: promotions.error };
+  }
+  Object.assign(priced, applyPromotionTotals(priced, promotions));
+
+  const stockConflicts = await findStockConflicts(
+    connection,
+    warehouseId,
+    items
+  );
+  if (stockConflicts.length > 0 && context.stockConflictPolicy === "reject") {
+    return { ...result, status: "rejected", stock_conflicts: stockConflicts };
+  }
+
+  // Numéro pris dans une plage de l'appareil, sinon nouveau numéro
+  let invoiceNumber = null;
+  if (sale.invoice_number) {
+    const reserved = await canUseRangeNumber(connection, {
+      companyId,
+      warehouseId,
+      deviceId,
+      invoiceNumber: sale.invoice_number,
+    });
+    if (reserved) invoiceNumber = sale.invoice_number;
+  }
+  // Numéro hors plage ou déjà pris : l'appareil reçoit le numéro attribué
+  const renumbered = Boolean(sale.invoice_number) && !invoiceNumber;
+  if (!invoiceNumber) {
+    invoiceNumber = await nextDocumentNumber(connection, {
+      companyId,
+      warehouseId,
+      documentType: "sales",
+      date: sale.order_date,
+    });
+  }
+
+  const totalQuantity = items.reduce(
+    (sum, item) => sum + parseFloat(item.quantity),
+    0
+  );
+  const [orderResult] = await connection.query(
+    `INSERT INTO orders (
+        company_id, invoice_number, invoice_type, order_type, order_date,
+        warehouse_id, user_id, tax_id, tax_rate, tax_amount, discount, shipping,
+        subtotal, total, paid_amount, due_amount, order_status, notes,
+        staff_user_id, payment_status, total_items, total_quantity, is_deleted,
+        is_deletable, created_at, idempotency_key, pos_device_id
+     ) VALUES (?, ?, 'standard', 'sales', ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, 0, ?, 'Livré', ?, ?, 'Non payé', ?, ?, 0, 1, ?, ?, ?)`,
+    [
+      companyId,
+      invoiceNumber,
+      orderDate,
+      warehouseId,
+      sale.user_id,
+      sale.tax_id || null,
+      sale.tax_rate || 0,
+      priced.tax_amount || 0,
+      priced.discount || 0,
+      priced.subtotal,
+      priced.total,
+      priced.total,
+      sale.notes || null,
+      context.staffUserId || null,
+      items.length,
+      totalQuantity,
+      sale.created_at ? new Date(sale.created_at) : new Date(),
+      sale.idempotency_key,
+      deviceId,
+    ]
+  );
+  const orderId = orderResult.insertId;
+  const order = {
+    id: orderId,
+    order_type: "sales",
+    warehouse_id: warehouseId,
+    user_id: sale.user_id,
+  };
+
+  // Code promo épuisé entre-temps : la vente est refusée
+  const promotionError = await recordOrderPromotions(
+    connection,
+    {
+      id: orderId,
+      company_id: companyId,
+      user_id: sale.user_id,
+      order_type: "sales",
+      order_date: orderDate,
+    },
+    promotions
+  );
+  if (promotionError) {
+    return { ...result, status: "rejected", error: promotionError };
+  }
+
+  // Reste dû de la vente : plafond et retards de paiement du client
+  const paidAmount = priced.payments.reduce(
+    (sum, payment) => sum + (parseFloat(payment.amount) || 0),
+    0
+  );
+  const credit = await enforceCustomerCredit(connection, {
+    companyId,
+    userId: sale.user_id,
+    orderId,
+    amountDue: Math.max(0, (parseFloat(priced.total) || 0) - paidAmount),
+    date: orderDate,
+    override: sale.credit_override,
+    canOverride: Boolean(context.canOverrideCredit),
+    approvedBy: context.staffUserId || null,
+  });
+  if (!credit.ok) {
+    return {
+      ...result,
+      status: "rejected",
+      error: credit.error,
+      code: credit.code,
+      credit_check: credit.credit_check,
+    };
+  }
+
+  for (const item of priced.items) {
+    const quantity = parseFloat(item.quantity);
+    const [itemResult] = await connection.query(
+      `INSERT INTO order_items (
+          order_id, product_id, unit_id, quantity, unit_price, single_unit_price,
+          tax_id, tax_rate, tax_type, discount_rate, total_tax, total_discount,
+          subtotal, price_list_id
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        orderId,
+        item.product_id,
+        item.unit_id,
+        quantity,
+        item.unit_price,
+        item.single_unit_price || item.unit_price,
+        item.tax_id || null,
+        item.tax_rate || 0,
+        item.tax_type || null,
+        item.discount_rate || 0,
+        item.total_tax || 0,
+        item.total_discount || 0,
+        item.subtotal,
+        item.price_list_id || null,
+      ]
+    );
+    await applyOrderItemSerials(connection, order, itemResult.insertId, item);
+    const batchParts = await applyOrderItemBatches(
+      connection,
+      order,
+      itemResult.insertId,
+      item,
+      -quantity
+    );
+    for (const part of batchParts.source) {
+      const success = await updateStock(
+        connection,
+        item.product_id,
+        warehouseId,
+        part.quantity,
+        "sales",
+        "order",
+        orderId,
+        `Vente POS hors ligne ${invoiceNumber}`,
+        null,
+        part.batch_number
+      );
+      if (!success) {
+        throw new Error(
+          `Mise à jour du stock impossible pour le produit ${item.product_id}.`
+        );
+      }
+    }
+  }
+
+  await syncOrderEntry(connection, orderId);
+  await syncOrderLoyalty(connection, orderId);
+
+  // Session fermée entre-temps : la vente est gardée, hors session
+  const warnings = [];
+  const posSessionId = sale.pos_session_id || context.posSessionId;
+  let attachedSessionId = null;
+  if (posSessionId) {
+    try {
+      await attachToPosSession(
+        connection,
+        "orders",
+        orderId,
+        posSessionId,
+        warehouseId
+      );
+      attachedSessionId = posSessionId;
+    } catch (error) {
+      warnings.push(error.message);
+    }
+  }
+
+  const payments = [];
+  for (const [index, payment] of priced.payments.entries()) {
+    const amount = parseFloat(payment.amount);
+    if (!payment.payment_mode_id || !(amount > 0)) {
+      throw new Error(
+        `Paiement invalide (payment_mode_id ou montant) : ${JSON.stringify(
+          payment
+        )}`
+      );
+    }
+    const created = await createPaymentTransaction(
+      connection,
+      {
+        company_id: companyId,
+        warehouse_id: warehouseId,
+        payment_type: "in",
+        date: dayjs(payment.date || orderDate).format("YYYY-MM-DD"),
+        amount,
+        payment_mode_id: payment.payment_mode_id,
+        user_id: sale.user_id,
+        notes: `Vente POS ${invoiceNumber}`,
+        staff_user_id: context.staffUserId || null,
+        pos_session_id: attachedSessionId,
+      },
+      [{ order_id: orderId, amount }],
+      payment.idempotency_key || `${sale.idempotency_key}:${index + 1}`
+    );
+    payments.push({
+      payment_id: created.payment_id,
+      payment_number: created.payment_number,
+      is_duplicate: created.is_duplicate,
+    });
+  }
+
+  // Facture normalisée : soumise par la route après la validation
+  const fiscalSubmissionId = await queueFiscalSubmission(connection, orderId);
+
+  return {
+    ...result,
+    status: "created",
+    order_id: orderId,
+    invoice_number: invoiceNumber,
+    renumbered,
+    requested_invoice_number: sale.invoice_number || null,
+    stock_conflicts: stockConflicts,
+    pos_session_id: attachedSessionId,
+    credit_override_id: credit.override_id,
+    promotion_discount: promotions.discount || 0,
+    payments,
+    warnings,
+    fiscal_submission_id: fiscalSubmissionId,
+  };
+}
+
+module.exports = {
+  MAX_RANGE_SIZE,
+  STOCK_CONFLICT_POLICIES,
+  reserveInvoiceRange,
+  parseRangeNumbers,
+  findStockConflicts,
+  syncOfflineSale,
+};
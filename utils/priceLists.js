@@ -0,0 +1,319 @@
+// utils/priceLists.js
+// Listes de prix : une liste nommée (gros, détail, VIP...) remplace le prix de
+// vente d'un article (product_details.sales_price) par un prix fixe ou par un
+// pourcentage de ce prix, pour un article, une catégorie ou tout le
+// catalogue, avec des paliers de quantité et des dates de validité (sur la
+// liste et sur chaque règle). Un client suit la liste de sa fiche
+// (user_details.price_list_id) ; une vente peut en imposer une autre
+// (price_list_id de la commande, réservé aux responsables).
+//
+// La règle retenue pour une ligne est la plus précise (article, puis
+// catégorie, puis catalogue), et parmi elles le plus haut palier atteint par
+// la quantité. Sans règle applicable, le prix de vente de l'article reste.
+const { capOrderPayments } = require("./payments");
+
+const round2 = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+// Types de commande tarifés par les listes de prix
+const PRICED_ORDER_TYPES = ["sales", "proforma"];
+
+/** Prix non saisi sur une ligne (à résoudre par la liste de prix). */
+const isMissingPrice = (value) =>
+  value === undefined || value === null || value === "";
+
+/**
+ * Liste de prix applicable : celle demandée, sinon celle du client ; active
+ * et valide à la date.
+ * @param {Object} params - { companyId, customerId, priceListId, date }
+ * @returns {Promise<Object|null>}
+ */
+async function getApplicablePriceList(connection, params) {
+  let priceListId = params.priceListId;
+  if (!priceListId && params.customerId) {
+    const [details] = await connection.query(
+      "SELECT price_list_id FROM user_details WHERE user_id = ?",
+      [params.customerId]
+    );
+    priceListId = details.length > 0 ? details[0].price_list_id : null;
+  }
+  if (!priceListId) return null;
+  const [lists] = await connection.query(
+    `SELECT * FROM price_lists
+     WHERE id = ? AND company_id = ? AND is_active = 1
+       AND (start_date IS NULL OR start_date <= DATE(?))
+       AND (end_date IS NULL OR end_date >= DATE(?))`,
+    [priceListId, params.companyId, params.date, params.date]
+  );
+  return lists[0] || null;
+}
+
+/**
+ * Règles d'une liste valides à la date, pour les articles donnés (règles
+ * d'article) et pour les catégories et le catalogue.
+ * @returns {Promise<Array>}
+ */
+async function getPriceListRules(connection, priceListId, productIds, date) {
+  const ids = productIds.length > 0 ? productIds : [0];
+  const [rules] = await connection.query(
+    `SELECT id, price_list_id, product_id, category_id, min_quantity, price, percent
+     FROM price_list_items
+     WHERE price_list_id = ?
+       AND (product_id IN (?) OR product_id IS NULL)
+       AND (start_date IS NULL OR start_date <= DATE(?))
+       AND (end_date IS NULL OR end_date >= DATE(?))`,
+    [priceListId, ids, date, date]
+  );
+  return rules.map((rule) => ({
+    ...rule,
+    min_quantity: parseFloat(rule.min_quantity) || 0,
+    price: rule.price === null ? null : parseFloat(rule.price),
+    percent: rule.percent === null ? null : parseFloat(rule.percent),
+  }));
+}
+
+/** Précision d'une règle pour un article (0 : ne s'applique pas). */
+function ruleSpecificity(rule, product) {
+  if (rule.product_id) {
+    return Number(rule.product_id) === Number(product.id) ? 3 : 0;
+  }
+  if (rule.category_id) {
+    return Number(rule.category_id) === Number(product.category_id) ? 2 : 0;
+  }
+  return 1;
+}
+
+/**
+ * Prix d'un article selon les règles d'une liste.
+ * @param {Array} rules - Voir getPriceListRules
+ * @param {Object} product - { id, category_id, sales_price }
+ * @param {number} quantity
+ * @returns {Object} { price, base_price, price_list_item_id }
+ *   (price_list_item_id null : prix de vente de l'article)
+ */
+function resolveProductPrice(rules, product, quantity) {
+  const basePrice = round2(product.sales_price);
+  let best = null;
+  let bestSpecificity = 0;
+  rules.forEach((rule) => {
+    const specificity = ruleSpecificity(rule, product);
+    if (specificity === 0 || rule.min_quantity > quantity + 1e-9) return;
+    if (
+      specificity > bestSpecificity ||
+      (specificity === bestSpecificity && rule.min_quantity > best.min_quantity)
+    ) {
+      best = rule;
+      bestSpecificity = specificity;
+    }
+  });
+  if (!best || (best.price === null && best.percent === null)) {
+    return {
+      price: basePrice,
+      base_price: basePrice,
+      price_list_item_id: null,
+    };
+  }
+  const price =
+    best.price !== null
+      ? round2(best.price)
+      : round2(basePrice * (1 + best.percent / 100));
+  return {
+    price: Math.max(0, price),
+    base_price: basePrice,
+    price_list_item_id: best.id,
+  };
+}
+
+/**
+ * Paliers de quantité d'un article dans une liste (prix à partir de chaque
+ * quantité minimale), pour l'affichage en caisse.
+ * @returns {Array} [{ min_quantity, price }]
+ */
+function getQuantityBreaks(rules, product) {
+  const thresholds = [
+    ...new Set(
+      rules
+        .filter((rule) => ruleSpecificity(rule, product) > 0)
+        .map((rule) => rule.min_quantity)
+    ),
+  ].sort((a, b) => a - b);
+  const breaks = [];
+  thresholds.forEach((minQuantity) => {
+    const { price } = resolveProductPrice(rules, product, minQuantity);
+    if (breaks.length === 0 || breaks[breaks.length - 1].price !== price) {
+      breaks.push({ min_quantity: minQuantity, price });
+    }
+  });
+  return breaks;
+}
+
+/**
+ * Prix de vente et catégorie des articles dans un magasin.
+ * @returns {Promise<Map>} product_id -> { id, category_id, sales_price }
+ */
+async function getProductsForPricing(connection, warehouseId, productIds) {
+  if (productIds.length === 0) return new Map();
+  const [rows] = await connection.query(
+    `SELECT p.id, p.category_id, COALESCE(pd.sales_price, 0) AS sales_price
+     FROM products p
+     LEFT JOIN product_details pd ON pd.product_id = p.id AND pd.warehouse_id = ?
+     WHERE p.id IN (?)`,
+    [warehouseId, productIds]
+  );
+  return new Map(rows.map((row) => [Number(row.id), row]));
+}
+
+/**
+ * Remise, taxe et sous-total d'une ligne pour un prix unitaire : remise selon
+ * discount_rate (à défaut, total_discount saisi), taxe selon tax_rate et
+ * tax_type (inclusive : comprise dans le prix).
+ */
+function computeLineAmounts(item, unitPrice) {
+  const quantity = parseFloat(item.quantity) || 0;
+  const gross = quantity * unitPrice;
+  const totalDiscount =
+    item.discount_rate !== undefined && item.discount_rate !== null
+      ? round2((gross * (parseFloat(item.discount_rate) || 0)) / 100)
+      : round2(item.total_discount);
+  const net = gross - totalDiscount;
+  const taxRate = parseFloat(item.tax_rate) || 0;
+  if (item.tax_type === "inclusive") {
+    const totalTax = round2(net - net / (1 + taxRate / 100));
+    return {
+      total_discount: totalDiscount,
+      total_tax: totalTax,
+      subtotal: round2(net),
+    };
+  }
+  const totalTax = round2((net * taxRate) / 100);
+  return {
+    total_discount: totalDiscount,
+    total_tax: totalTax,
+    subtotal: round2(net + totalTax),
+  };
+}
+
+/**
+ * Tarifie les lignes d'une vente ou d'un devis avant leur enregistrement.
+ * Chaque ligne reçoit le prix de la liste du client (prix de vente de
+ * l'article si la ligne est saisie sans prix et qu'aucune règle ne
+ * s'applique) ; sa remise, sa taxe et son sous-total sont recalculés. Une
+ * ligne marquée manual_price garde le prix saisi. Les montants de la
+ * commande suivent l'écart des sous-totaux (taxe de la commande au prorata),
+ * le montant payé étant plafonné au nouveau total.
+ * Une ligne dont le prix est celui de la liste est marquée price_list_id.
+ * @param {Object} order - Corps de la commande (company_id, warehouse_id,
+ *   user_id, order_date, price_list_id, items, subtotal, total...)
+ * @param {Object} options - { allowPriceListOverride } : price_list_id de la
+ *   commande n'est retenu qu'avec ce droit, sinon la liste du client s'applique
+ * @returns {Promise<Object>} Champs à remplacer dans la commande
+ *   { items, price_list_id, subtotal, tax_amount, total, due_amount,
+ *   paid_amount, payments }
+ */
+async function priceOrderItems(connection, order, options = {}) {
+  const date = order.order_date || new Date();
+  const priceList = await getApplicablePriceList(connection, {
+    companyId: order.company_id,
+    customerId: order.user_id,
+    priceListId: options.allowPriceListOverride ? order.price_list_id : null,
+    date,
+  });
+  const needsBasePrice = order.items.some((item) =>
+    isMissingPrice(item.unit_price)
+  );
+  if (!priceList && !needsBasePrice) {
+    return {
+      items: order.items.map((item) => ({ ...item, price_list_id: null })),
+      price_list_id: null,
+    };
+  }
+
+  const productIds = [
+    ...new Set(order.items.map((item) => Number(item.product_id))),
+  ].filter(Boolean);
+  const products = await getProductsForPricing(
+    connection,
+    order.warehouse_id,
+    productIds
+  );
+  const rules = priceList
+    ? await getPriceListRules(connection, priceList.id, productIds, date)
+    : [];
+
+  let previousSubtotal = 0;
+  let repricedSubtotal = 0;
+  let repriced = false;
+  const items = order.items.map((item) => {
+    const product = products.get(Number(item.product_id));
+    const quantity = parseFloat(item.quantity) || 0;
+    if (!product) return { ...item, price_list_id: null };
+    const resolved = resolveProductPrice(rules, product, quantity);
+    const priced = { ...item };
+
+    const missingPrice = isMissingPrice(item.unit_price);
+    const listPrice = Boolean(resolved.price_list_item_id);
+    if (missingPrice || (listPrice && !item.manual_price)) {
+      repriced = true;
+      previousSubtotal += missingPrice ? 0 : parseFloat(item.subtotal) || 0;
+      priced.unit_price = resolved.price;
+      priced.single_unit_price = resolved.price;
+      Object.assign(priced, computeLineAmounts(item, resolved.price));
+      repricedSubtotal += priced.subtotal;
+    }
+
+    priced.price_list_id =
+      priceList &&
+      listPrice &&
+      Math.abs(parseFloat(priced.unit_price) - resolved.price) < 0.005
+        ? priceList.id
+        : null;
+    return priced;
+  });
+
+  const result = { items, price_list_id: priceList ? priceList.id : null };
+  if (!repriced) return result;
+
+  const lineSubtotal = round2(
+    items.reduce((sum, item) => sum + (parseFloat(item.subtotal) || 0), 0)
+  );
+  if (order.subtotal === undefined) {
+    result.subtotal = lineSubtotal;
+    if (order.total === undefined) {
+      result.total = round2(
+        result.subtotal +
+          (parseFloat(order.tax_amount) || 0) +
+          (parseFloat(order.shipping) || 0) -
+          (parseFloat(order.discount) || 0)
+      );
+    }
+  } else {
+    // Montants de la commande décalés de l'écart des lignes retarifées
+    const oldSubtotal = parseFloat(order.subtotal) || 0;
+    result.subtotal = round2(oldSubtotal + repricedSubtotal - previousSubtotal);
+    const taxAmount = parseFloat(order.tax_amount) || 0;
+    let taxDelta = 0;
+    if (taxAmount > 0 && oldSubtotal > 0) {
+      result.tax_amount = round2((taxAmount * result.subtotal) / oldSubtotal);
+      taxDelta = result.tax_amount - taxAmount;
+    }
+    if (order.total !== undefined) {
+      result.total = round2(
+        (parseFloat(order.total) || 0) +
+          (result.subtotal - oldSubtotal) +
+          taxDelta
+      );
+    }
+  }
+  if (result.total !== undefined) {
+    Object.assign(result, capOrderPayments(order, result.total));
+  }
+  return result;
+}
+
+module.exports = {
+  PRICED_ORDER_TYPES,
+  getApplicablePriceList,
+  getPriceListRules,
+  resolveProductPrice,
+  getQuantityBreaks,
+  priceOrderItems,
+};
@@ -0,0 +1,581 @@
+// utils/promotions.js
+// Moteur de promotions : règles datées par entreprise, évaluées par le
+// serveur à la création d'une vente ou d'un devis (POST /api/orders).
+// - percentage / fixed_amount : remise sur un article, une catégorie, une
+//   marque (par unité pour un montant) ou sur toute la commande ;
+// - bundle : prix d'un lot d'articles (promotion_bundle_items) ;
+// - buy_x_get_y : pour X articles achetés, Y offerts (les moins chers), ou
+//   remisés de value %.
+// Une promotion requires_coupon ne s'applique qu'avec l'un de ses codes promo
+// (coupons), dans la limite de leurs utilisations (ventes non supprimées).
+//
+// Ordre d'évaluation : lots, puis X achetés / Y offerts (les unités utilisées
+// ne bénéficient d'aucune autre promotion), puis la meilleure remise de
+// chaque ligne, puis la meilleure remise sur la commande. À priorité égale,
+// la promotion la plus ancienne passe d'abord.
+const dayjs = require("dayjs");
+const { capOrderPayments } = require("./payments");
+
+const round2 = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+const PROMOTION_TYPES = {
+  percentage: "Remise en pourcentage",
+  fixed_amount: "Remise en montant",
+  bundle: "Prix de lot",
+  buy_x_get_y: "X achetés, Y offerts",
+};
+
+const PROMOTION_SCOPES = {
+  order: "Toute la commande",
+  product: "Article",
+  category: "Catégorie",
+  brand: "Marque",
+};
+
+// Types de commande sur lesquels les promotions sont évaluées
+const PROMOTION_ORDER_TYPES = ["sales", "proforma"];
+
+/** Codes promo transmis (coupon_code ou coupon_codes), normalisés. */
+function getCouponCodes(order) {
+  const codes = []
+    .concat(order.coupon_codes || [])
+    .concat(order.coupon_code ? [order.coupon_code] : []);
+  return [
+    ...new Set(
+      codes.map((code) => String(code).trim().toUpperCase()).filter(Boolean)
+    ),
+  ];
+}
+
+/**
+ * Promotions actives de l'entreprise à une date, avec la composition des
+ * lots.
+ * @returns {Promise<Array>}
+ */
+async function getActivePromotions(connection, companyId, date) {
+  const [promotions] = await connection.query(
+    `SELECT * FROM promotions
+     WHERE company_id = ? AND is_active = 1
+       AND (start_date IS NULL OR start_date <= DATE(?))
+       AND (end_date IS NULL OR end_date >= DATE(?))
+     ORDER BY priority DESC, id ASC`,
+    [companyId, date, date]
+  );
+  const bundleIds = promotions
+    .filter((promotion) => promotion.promotion_type === "bundle")
+    .map((promotion) => promotion.id);
+  const [bundleItems] =
+    bundleIds.length > 0
+      ? await connection.query(
+          "SELECT promotion_id, product_id, quantity FROM promotion_bundle_items WHERE promotion_id IN (?)",
+          [bundleIds]
+        )
+      : [[]];
+  return promotions.map((promotion) => ({
+    ...promotion,
+    value: parseFloat(promotion.value) || 0,
+    min_order_amount: parseFloat(promotion.min_order_amount) || 0,
+    buy_quantity: parseInt(promotion.buy_quantity, 10) || 0,
+    get_quantity: parseInt(promotion.get_quantity, 10) || 0,
+    bundle_items: bundleItems
+      .filter((item) => item.promotion_id === promotion.id)
+      .map((item) => ({
+        product_id: Number(item.product_id),
+        quantity: parseFloat(item.quantity) || 1,
+      })),
+  }));
+}
+
+/**
+ * Utilisations d'un code promo : ventes non supprimées qui l'ont appliqué,
+ * au total et pour le client.
+ * @returns {string|null} Message d'erreur si une limite est atteinte
+ */
+async function checkCouponUsage(connection, coupon, customerId) {
+  const [rows] = await connection.query(
+    `SELECT COUNT(DISTINCT op.order_id) AS total,
+            COUNT(DISTINCT CASE WHEN o.user_id = ? THEN op.order_id END) AS customer
+     FROM order_promotions op
+     JOIN orders o ON o.id = op.order_id
+     WHERE op.coupon_id = ? AND o.is_deleted = 0 AND o.order_type = 'sales'`,
+    [customerId || 0, coupon.id]
+  );
+  if (coupon.usage_limit !== null && rows[0].total >= coupon.usage_limit) {
+    return `Le code promo ${coupon.code} a atteint son nombre d'utilisations.`;
+  }
+  if (
+    coupon.usage_per_customer !== null &&
+    rows[0].customer >= coupon.usage_per_customer
+  ) {
+    return `Le code promo ${coupon.code} a déjà été utilisé par ce client.`;
+  }
+  return null;
+}
+
+/**
+ * Codes promo valides à la date (actifs, non épuisés).
+ * @param {Object} params - { companyId, customerId, codes, date, lock }
+ * @returns {Promise<Object>} { coupons } ou { error }
+ */
+async function findCoupons(connection, params) {
+  if (params.codes.length === 0) return { coupons: [] };
+  const [coupons] = await connection.query(
+    `SELECT * FROM coupons
+     WHERE company_id = ? AND UPPER(code) IN (?) ${
+       params.lock ? "FOR UPDATE" : ""
+     }`,
+    [params.companyId, params.codes]
+  );
+  for (const code of params.codes) {
+    const coupon = coupons.find(
+      (candidate) => candidate.code.toUpperCase() === code
+    );
+    if (
+      !coupon ||
+      !coupon.is_active ||
+      (coupon.start_date &&
+        dayjs(params.date).isBefore(dayjs(coupon.start_date), "day")) ||
+      (coupon.end_date &&
+        dayjs(params.date).isAfter(dayjs(coupon.end_date), "day"))
+    ) {
+      return { error: `Code promo ${code} invalide ou expiré.` };
+    }
+    const usageError = await checkCouponUsage(
+      connection,
+      coupon,
+      params.customerId
+    );
+    if (usageError) return { error: usageError };
+  }
+  return { coupons };
+}
+
+/** La ligne entre-t-elle dans le périmètre de la promotion ? */
+function matchesScope(promotion, line) {
+  switch (promotion.scope) {
+    case "product":
+      return Number(promotion.scope_id) === Number(line.product_id);
+    case "category":
+      return Number(promotion.scope_id) === Number(line.category_id);
+    case "brand":
+      return Number(promotion.scope_id) === Number(line.brand_id);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Consomme des unités sur les lignes (dans l'ordre donné).
+ * @returns {Array} [{ line, quantity }] consommés
+ */
+function consumeUnits(lines, quantity) {
+  const taken = [];
+  let left = quantity;
+  for (const line of lines) {
+    if (left <= 0) break;
+    const quantityTaken = Math.min(line.remaining, left);
+    if (quantityTaken <= 0) continue;
+    line.remaining -= quantityTaken;
+    left -= quantityTaken;
+    taken.push({ line, quantity: quantityTaken });
+  }
+  return taken;
+}
+
+function bundleDiscount(promotion, lines) {
+  if (promotion.bundle_items.length === 0) return null;
+  const linesFor = (productId) =>
+    lines.filter((line) => Number(line.product_id) === productId);
+  const count = Math.min(
+    ...promotion.bundle_items.map((component) =>
+      Math.floor(
+        linesFor(component.product_id).reduce(
+          (sum, line) => sum + line.remaining,
+          0
+        ) /
+          component.quantity +
+          1e-9
+      )
+    )
+  );
+  if (!(count >= 1)) return null;
+  let normalPrice = 0;
+  const details = [];
+  promotion.bundle_items.forEach((component) => {
+    consumeUnits(
+      linesFor(component.product_id),
+      component.quantity * count
+    ).forEach(({ line, quantity }) => {
+      normalPrice += quantity * line.unit_price;
+      details.push({ product_id: line.product_id, quantity });
+    });
+  });
+  return {
+    discount: round2(Math.max(0, normalPrice - count * promotion.value)),
+    details,
+  };
+}
+
+function buyXGetYDiscount(promotion, lines) {
+  const { buy_quantity: buy, get_quantity: get } = promotion;
+  if (!(buy > 0) || !(get > 0)) return null;
+  const eligible = lines.filter(
+    (line) => line.remaining > 0 && matchesScope(promotion, line)
+  );
+  const units = eligible.reduce(
+    (sum, line) => sum + Math.floor(line.remaining + 1e-9),
+    0
+  );
+  const groups = Math.floor(units / (buy + get));
+  if (groups < 1) return null;
+  const percent = promotion.value > 0 ? Math.min(promotion.value, 100) : 100;
+  // Les unités offertes sont les moins chères, les unités payées les plus chères
+  const byPrice = [...eligible].sort((a, b) => a.unit_price - b.unit_price);
+  const free = consumeUnits(byPrice, groups * get);
+  consumeUnits([...byPrice].reverse(), groups * buy);
+  const discount = free.reduce(
+    (sum, { line, quantity }) =>
+      sum + (quantity * line.unit_price * percent) / 100,
+    0
+  );
+  return {
+    discount: round2(discount),
+    details: free.map(({ line, quantity }) => ({
+      product_id: line.product_id,
+      quantity,
+      free: true,
+    })),
+  };
+}
+
+function lineDiscount(promotion, line) {
+  const amount = line.remaining * line.unit_price;
+  if (promotion.promotion_type === "percentage") {
+    return (amount * Math.min(promotion.value, 100)) / 100;
+  }
+  return Math.min(promotion.value * line.remaining, amount);
+}
+
+/**
+ * Évalue les promotions sur les lignes d'une commande.
+ * @param {Array} promotions - Voir getActivePromotions
+ * @param {Array} lines - [{ product_id, category_id, brand_id, quantity,
+ *   amount }] (amount : montant net de la ligne)
+ * @param {Object} options - { couponPromotionIds: Set }
+ * @returns {Object} { discount, applied: [{ promotion_id, name,
+ *   promotion_type, discount_amount, details }] }
+ */
+function evaluatePromotions(promotions, lines, options = {}) {
+  const couponPromotionIds = options.couponPromotionIds || new Set();
+  const workLines = lines.map((line) => {
+    const quantity = parseFloat(line.quantity) || 0;
+    return {
+      ...line,
+      remaining: quantity,
+      unit_price: quantity > 0 ? (parseFloat(line.amount) || 0) / quantity : 0,
+    };
+  });
+  const orderAmount = workLines.reduce(
+    (sum, line) => sum + line.remaining * line.unit_price,
+    0
+  );
+  const eligible = promotions.filter(
+    (promotion) =>
+      (!promotion.requires_coupon || couponPromotionIds.has(promotion.id)) &&
+      orderAmount + 0.005 >= promotion.min_order_amount
+  );
+
+  const applied = new Map();
+  const addDiscount = (promotion, discount, details) => {
+    if (!(discount > 0)) return;
+    const entry = applied.get(promotion.id) || {
+      promotion_id: promotion.id,
+      name: promotion.name,
+      promotion_type: promotion.promotion_type,
+      discount_amount: 0,
+      details: [],
+    };
+    entry.discount_amount = round2(entry.discount_amount + discount);
+    entry.details.push(...details);
+    applied.set(promotion.id, entry);
+  };
+
+  eligible
+    .filter((promotion) => promotion.promotion_type === "bundle")
+    .forEach((promotion) => {
+      const result = bundleDiscount(promotion, workLines);
+      if (result) addDiscount(promotion, result.discount, result.details);
+    });
+  eligible
+    .filter((promotion) => promotion.promotion_type === "buy_x_get_y")
+    .forEach((promotion) => {
+      const result = buyXGetYDiscount(promotion, workLines);
+      if (result) addDiscount(promotion, result.discount, result.details);
+    });
+
+  const linePromotions = eligible.filter(
+    (promotion) =>
+      ["percentage", "fixed_amount"].includes(promotion.promotion_type) &&
+      promotion.scope !== "order"
+  );
+  workLines.forEach((line) => {
+    if (!(line.remaining > 0)) return;
+    let best = null;
+    let bestDiscount = 0;
+    linePromotions.forEach((promotion) => {
+      if (!matchesScope(promotion, line)) return;
+      const discount = lineDiscount(promotion, line);
+      if (discount > bestDiscount + 1e-9) {
+        best = promotion;
+        bestDiscount = discount;
+      }
+    });
+    if (best) {
+      addDiscount(best, round2(bestDiscount), [
+        { product_id: line.product_id, quantity: line.remaining },
+      ]);
+    }
+  });
+
+  const lineTotal = [...applied.values()].reduce(
+    (sum, entry) => sum + entry.discount_amount,
+    0
+  );
+  const remainingAmount = Math.max(0, orderAmount - lineTotal);
+  let bestOrder = null;
+  let bestOrderDiscount = 0;
+  eligible
+    .filter(
+      (promotion) =>
+        ["percentage", "fixed_amount"].includes(promotion.promotion_type) &&
+        promotion.scope === "order"
+    )
+    .forEach((promotion) => {
+      const discount =
+        promotion.promotion_type === "percentage"
+          ? (remainingAmount * Math.min(promotion.value, 100)) / 100
+          : Math.min(promotion.value, remainingAmount);
+      if (discount > bestOrderDiscount + 1e-9) {
+        bestOrder = promotion;
+        bestOrderDiscount = discount;
+      }
+    });
+  if (bestOrder) addDiscount(bestOrder, round2(bestOrderDiscount), []);
+
+  const result = [...applied.values()];
+  return {
+    discount: round2(
+      result.reduce((sum, entry) => sum + entry.discount_amount, 0)
+    ),
+    applied: result,
+  };
+}
+
+/**
+ * Évalue les promotions d'une vente ou d'un devis avant son enregistrement
+ * (lignes avec catégorie et marque de leurs articles, codes promo transmis).
+ * Un code promo invalide, épuisé ou sans effet sur la commande est refusé.
+ * @param {Object} order - Corps de la commande (company_id, user_id,
+ *   order_date, items, coupon_code / coupon_codes)
+ * @returns {Promise<Object>} { error } ou { discount, applied, coupons }
+ */
+async function evaluateOrderPromotions(connection, order) {
+  const date = order.order_date || new Date();
+  const codes = getCouponCodes(order);
+  const { coupons, error } = await findCoupons(connection, {
+    companyId: order.company_id,
+    customerId: order.user_id,
+    codes,
+    date,
+  });
+  if (error) return { error };
+
+  const promotions = await getActivePromotions(
+    connection,
+    order.company_id,
+    date
+  );
+  if (promotions.length === 0) {
+    return codes.length > 0
+      ? {
+          error: `Le code promo ${codes[0]} n'est lié à aucune promotion en cours.`,
+        }
+      : { discount: 0, applied: [], coupons: [] };
+  }
+
+  const productIds = [
+    ...new Set(order.items.map((item) => Number(item.product_id))),
+  ].filter(Boolean);
+  const [products] =
+    productIds.length > 0
+      ? await connection.query(
+          "SELECT id, category_id, brand_id FROM products WHERE id IN (?)",
+          [productIds]
+        )
+      : [[]];
+  const productsById = new Map(
+    products.map((product) => [Number(product.id), product])
+  );
+  const lines = order.items.map((item) => {
+    const product = productsById.get(Number(item.product_id)) || {};
+    const quantity = parseFloat(item.quantity) || 0;
+    return {
+      product_id: Number(item.product_id),
+      category_id: product.category_id || null,
+      brand_id: product.brand_id || null,
+      quantity,
+      amount:
+        item.subtotal !== undefined && item.subtotal !== null
+          ? parseFloat(item.subtotal) || 0
+          : quantity * (parseFloat(item.unit_price) || 0),
+    };
+  });
+
+  const evaluation = evaluatePromotions(promotions, lines, {
+    couponPromotionIds: new Set(coupons.map((coupon) => coupon.promotion_id)),
+  });
+  const appliedIds = new Set(
+    evaluation.applied.map((entry) => entry.promotion_id)
+  );
+  const unused = coupons.find((coupon) => !appliedIds.has(coupon.promotion_id));
+  if (unused) {
+    return {
+      error: `Le code promo ${unused.code} ne s'applique pas à cette commande.`,
+    };
+  }
+  evaluation.applied.forEach((entry) => {
+    const coupon = coupons.find(
+      (candidate) => candidate.promotion_id === entry.promotion_id
+    );
+    entry.coupon_id = coupon ? coupon.id : null;
+    entry.coupon_code = coupon ? coupon.code : null;
+  });
+  return { ...evaluation, coupons };
+}
+
+/**
+ * Montants de la commande après les promotions : la remise s'ajoute à
+ * discount et réduit la base taxable ; la taxe de la commande est recalculée
+ * sur la base remisée, puis le total, le montant payé (plafonné au nouveau
+ * total, l'excédent étant rendu au client) et le reste à payer. Les liens de
+ * paiement (payments) sont plafonnés de même, dans leur ordre.
+ * @returns {Object} Champs à remplacer dans la commande
+ */
+function applyPromotionTotals(order, evaluation) {
+  if (!(evaluation.discount > 0)) return { promotion_discount: 0 };
+  const patch = {
+    promotion_discount: evaluation.discount,
+    discount: round2((parseFloat(order.discount) || 0) + evaluation.discount),
+  };
+  const taxAmount = parseFloat(order.tax_amount) || 0;
+  const taxableBase =
+    (parseFloat(order.subtotal) || 0) - (parseFloat(order.discount) || 0);
+  let taxReduction = 0;
+  if (taxAmount > 0 && taxableBase > 0) {
+    patch.tax_amount = round2(
+      taxAmount * Math.max(0, 1 - evaluation.discount / taxableBase)
+    );
+    taxReduction = round2(taxAmount - patch.tax_amount);
+  }
+  if (order.total === undefined) return patch;
+
+  patch.total = Math.max(
+    0,
+    round2((parseFloat(order.total) || 0) - evaluation.discount - taxReduction)
+  );
+  return { ...patch, ...capOrderPayments(order, patch.total) };
+}
+
+/**
+ * Enregistre les promotions appliquées à une commande, dans sa transaction.
+ * Les codes promo sont verrouillés et leurs limites revérifiées pour une
+ * vente (deux caisses ne peuvent utiliser la dernière utilisation).
+ * @returns {Promise<string|null>} Message d'erreur (limite atteinte)
+ */
+async function recordOrderPromotions(connection, order, evaluation) {
+  if (!evaluation || evaluation.applied.length === 0) return null;
+  if (order.order_type === "sales" && evaluation.coupons.length > 0) {
+    const { error } = await findCoupons(connection, {
+      companyId: order.company_id,
+      customerId: order.user_id,
+      codes: evaluation.coupons.map((coupon) => coupon.code.toUpperCase()),
+      date: order.order_date || new Date(),
+      lock: true,
+    });
+    if (error) return error;
+  }
+  for (const entry of evaluation.applied) {
+    await connection.query(
+      `INSERT INTO order_promotions (
+          order_id, promotion_id, coupon_id, name, promotion_type,
+          discount_amount, details, created_at
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        order.id,
+        entry.promotion_id,
+        entry.coupon_id || null,
+        entry.name,
+        entry.promotion_type,
+        entry.discount_amount,
+        JSON.stringify(entry.details),
+      ]
+    );
+  }
+  await connection.query(
+    "UPDATE orders SET promotion_discount = ? WHERE id = ?",
+    [evaluation.discount, order.id]
+  );
+  return null;
+}
+
+/**
+ * Reprend les promotions d'un devis sur la vente qui en est issue (les
+ * conditions acceptées au devis sont conservées). Les codes promo du devis
+ * sont verrouillés et leurs limites d'utilisation revérifiées : un même code
+ * cité sur plusieurs devis ne peut dépasser ses limites à la conversion.
+ * @param {Object} proforma - { id, order_date }
+ * @param {Object} sale - { id, company_id, user_id }
+ * @returns {Promise<string|null>} Message d'erreur (limite atteinte)
+ */
+async function copyOrderPromotions(connection, proforma, sale) {
+  const [couponRows] = await connection.query(
+    `SELECT DISTINCT c.code
+     FROM order_promotions op
+     JOIN coupons c ON c.id = op.coupon_id
+     WHERE op.order_id = ?`,
+    [proforma.id]
+  );
+  if (couponRows.length > 0) {
+    const { error } = await findCoupons(connection, {
+      companyId: sale.company_id,
+      customerId: sale.user_id,
+      codes: couponRows.map((row) => row.code.toUpperCase()),
+      date: proforma.order_date,
+      lock: true,
+    });
+    if (error) return error;
+  }
+  await connection.query(
+    `INSERT INTO order_promotions (
+        order_id, promotion_id, coupon_id, name, promotion_type,
+        discount_amount, details, created_at
+     )
+     SELECT ?, promotion_id, coupon_id, name, promotion_type,
+            discount_amount, details, NOW()
+     FROM order_promotions WHERE order_id = ?`,
+    [sale.id, proforma.id]
+  );
+  return null;
+}
+
+module.exports = {
+  PROMOTION_TYPES,
+  PROMOTION_SCOPES,
+  PROMOTION_ORDER_TYPES,
+  getActivePromotions,
+  evaluatePromotions,
+  evaluateOrderPromotions,
+  applyPromotionTotals,
+  recordOrderPromotions,
+  copyOrderPromotions,
+};
@@ -0,0 +1,217 @@
+// utils/purchaseOrders.js
+// Bons de commande fournisseur : un achat (orders.order_type = purchase) avec
+// un po_status suit le cycle brouillon -> approuvé -> envoyé -> réceptions
+// partielles -> reçu -> clôturé. Le stock n'entre qu'aux réceptions
+// (purchase_receipts), chacune avec ses mouvements de stock, lots et numéros
+// de série ; order_items.quantity_received suit le reçu de chaque ligne.
+// Un achat sans po_status (saisie directe) entre en stock immédiatement.
+const { updateStock } = require("./stockLedger");
+const { applyOrderItemBatches } = require("./stockBatches");
+const { applyOrderItemSerials } = require("./serialNumbers");
+const { nextDocumentNumber } = require("./documentNumbers");
+
+const PO_STATUS_LABELS = {
+  draft: "Brouillon",
+  approved: "Approuvé",
+  sent: "Envoyé",
+  partially_received: "Partiellement reçu",
+  received: "Reçu",
+  closed: "Clôturé",
+};
+
+// Statuts de départ autorisés pour chaque action
+const PO_TRANSITIONS = {
+  approve: ["draft"],
+  send: ["approved"],
+  receive: ["approved", "sent", "partially_received"],
+  close: ["approved", "sent", "partially_received", "received"],
+};
+
+// Statuts dont le reliquat est encore attendu du fournisseur
+const OPEN_PO_STATUSES = ["approved", "sent", "partially_received"];
+
+/**
+ * Indique si une commande est un bon de commande (achat avec cycle de vie).
+ * @param {Object} order - { order_type, po_status }
+ * @returns {boolean}
+ */
+function isPurchaseOrder(order) {
+  return Boolean(order && order.order_type === "purchase" && order.po_status);
+}
+
+/**
+ * Expression SQL de la part due au fournisseur d'un achat : 1 hors bon de
+ * commande, sinon la part reçue (au prorata des lignes), comme l'écriture
+ * comptable (voir syncOrderEntry dans utils/accounting.js). Un bon non reçu
+ * ne doit rien.
+ * @param {string} [alias="o"] - Alias de la table orders
+ * @returns {string}
+ */
+function payableShareSql(alias = "o") {
+  return `IF(COALESCE(${alias}.po_status, '') = '', 1, COALESCE((
+    SELECT SUM(oi.subtotal * oi.quantity_received / oi.quantity) / NULLIF(SUM(oi.subtotal), 0)
+    FROM order_items oi WHERE oi.order_id = ${alias}.id AND oi.quantity > 0
+  ), 0))`;
+}
+
+/**
+ * Vérifie qu'une action est possible depuis le statut actuel du bon.
+ * @param {Object} order - { order_type, po_status, is_deleted }
+ * @param {string} action - approve, send, receive ou close
+ * @returns {string|null} Message d'erreur, ou null si l'action est permise
+ */
+function checkTransition(order, action) {
+  if (!isPurchaseOrder(order) || order.is_deleted) {
+    return "Cette commande n'est pas un bon de commande fournisseur actif.";
+  }
+  if (!PO_TRANSITIONS[action].includes(order.po_status)) {
+    return `Action impossible : le bon de commande est au statut "${
+      PO_STATUS_LABELS[order.po_status] || order.po_status
+    }".`;
+  }
+  return null;
+}
+
+/**
+ * Enregistre une réception (partielle ou totale) d'un bon de commande : entrée
+ * en stock de chaque ligne reçue, lots et numéros de série, puis mise à jour
+ * des quantités reçues et du statut du bon.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} order - Bon de commande (ligne orders)
+ * @param {Object} params - { date, notes, createdBy, lines: [{ order_item_id,
+ *   quantity, batch_number, expiry_date, manufacture_date, serial_numbers }] }
+ * @returns {Promise<Object>} { id, receipt_number, po_status }, ou { error }
+ *   si la réception est vide, vise une ligne inconnue ou dépasse le reliquat
+ *   (rien n'est enregistré)
+ */
+async function receivePurchaseOrder(connection, order, params) {
+  const [orderItems] = await connection.query(
+    `SELECT id, product_id, quantity, quantity_received
+     FROM order_items WHERE order_id = ? FOR UPDATE`,
+    [order.id]
+  );
+  const itemsById = new Map(orderItems.map((item) => [Number(item.id), item]));
+
+  const lines = (params.lines || [])
+    .map((line) => ({ ...line, quantity: parseFloat(line.quantity) }))
+    .filter((line) => line.quantity > 0);
+  if (lines.length === 0) {
+    return { error: "La réception ne contient aucune quantité reçue." };
+  }
+  for (const line of lines) {
+    const item = itemsById.get(Number(line.order_item_id));
+    if (!item) {
+      return {
+        error: `La ligne ${line.order_item_id} n'appartient pas à ce bon de commande.`,
+      };
+    }
+    const remaining =
+      parseFloat(item.quantity) - parseFloat(item.quantity_received || 0);
+    if (line.quantity > remaining + 0.0001) {
+      return {
+        error: `Quantité reçue (${line.quantity}) supérieure au reliquat (${remaining}) pour la ligne ${item.id}.`,
+      };
+    }
+  }
+
+  const receiptNumber = await nextDocumentNumber(connection, {
+    companyId: order.company_id,
+    warehouseId: order.warehouse_id,
+    documentType: "purchase_receipt",
+    date: params.date,
+  });
+  const [receiptResult] = await connection.query(
+    `INSERT INTO purchase_receipts (
+        receipt_number, company_id, warehouse_id, order_id, receipt_date,
+        notes, created_by, created_at
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      receiptNumber,
+      order.company_id,
+      order.warehouse_id,
+      order.id,
+      params.date,
+      params.notes || null,
+      params.createdBy || null,
+    ]
+  );
+  const receiptId = receiptResult.insertId;
+
+  for (const line of lines) {
+    const item = itemsById.get(Number(line.order_item_id));
+    const received = {
+      product_id: item.product_id,
+      quantity: line.quantity,
+      batch_number: line.batch_number,
+      expiry_date: line.expiry_date,
+      manufacture_date: line.manufacture_date,
+      serial_numbers: line.serial_numbers,
+    };
+
+    // Lots et numéros de série rattachés au bon : la suppression du bon les
+    // annule comme pour un achat direct
+    await applyOrderItemSerials(connection, order, item.id, received);
+    const batchParts = await applyOrderItemBatches(
+      connection,
+      order,
+      item.id,
+      received,
+      line.quantity
+    );
+    for (const part of batchParts.source) {
+      await updateStock(
+        connection,
+        item.product_id,
+        order.warehouse_id,
+        part.quantity,
+        "purchase",
+        "purchase_receipt",
+        receiptId,
+        `Réception ${receiptNumber} (BC ${order.invoice_number})`,
+        null,
+        part.batch_number
+      );
+    }
+
+    await connection.query(
+      `INSERT INTO purchase_receipt_items (
+          receipt_id, order_item_id, product_id, quantity, batch_number, expiry_date
+       ) VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        receiptId,
+        item.id,
+        item.product_id,
+        line.quantity,
+        line.batch_number || null,
+        line.expiry_date || null,
+      ]
+    );
+    await connection.query(
+      "UPDATE order_items SET quantity_received = quantity_received + ? WHERE id = ?",
+      [line.quantity, item.id]
+    );
+  }
+
+  const [[progress]] = await connection.query(
+    `SELECT SUM(quantity_received < quantity) AS open_lines
+     FROM order_items WHERE order_id = ?`,
+    [order.id]
+  );
+  const poStatus =
+    parseInt(progress.open_lines, 10) > 0 ? "partially_received" : "received";
+  await connection.query(
+    "UPDATE orders SET po_status = ?, order_status = ? WHERE id = ?",
+    [poStatus, poStatus === "received" ? "Reçu" : "En traitement", order.id]
+  );
+
+  return { id: receiptId, receipt_number: receiptNumber, po_status: poStatus };
+}
+
+module.exports = {
+  PO_STATUS_LABELS,
+  OPEN_PO_STATUSES,
+  isPurchaseOrder,
+  payableShareSql,
+  checkTransition,
+  receivePurchaseOrder,
+};
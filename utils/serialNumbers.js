@@ -0,0 +1,215 @@
+// utils/serialNumbers.js
+// Numéros de série des produits sérialisés (products.is_serialized = 1).
+// product_serials donne l'état courant de chaque numéro (magasin, statut,
+// dernier client) ; serial_movements garde l'historique complet, commande par
+// commande, avec l'état précédent pour pouvoir annuler une commande.
+
+// Statut attendu avant le mouvement et statut après, par type de commande
+const SERIAL_TRANSITIONS = {
+  purchase: {
+    from: [null, "returned_to_supplier", "cancelled"],
+    to: "in_stock",
+  },
+  sales: { from: ["in_stock"], to: "sold" },
+  sales_return: { from: ["sold"], to: "in_stock" },
+  purchase_return: { from: ["in_stock"], to: "returned_to_supplier" },
+  "stock-transfer": { from: ["in_stock"], to: "in_stock" },
+  // Transfert en deux temps (voir utils/stockTransfers.js)
+  transfer_dispatch: { from: ["in_stock"], to: "in_transit" },
+  transfer_receipt: { from: ["in_transit"], to: "in_stock" },
+  transfer_loss: { from: ["in_transit"], to: "lost" },
+};
+
+/**
+ * Normalise la liste de numéros reçue (tableau ou texte séparé par virgules /
+ * retours à la ligne) et supprime les blancs.
+ * @param {Array|string} serialNumbers
+ * @returns {string[]}
+ */
+function normalizeSerialNumbers(serialNumbers) {
+  if (!serialNumbers) return [];
+  const list = Array.isArray(serialNumbers)
+    ? serialNumbers
+    : String(serialNumbers).split(/[\n,;]+/);
+  return list.map((serial) => String(serial).trim()).filter(Boolean);
+}
+
+/**
+ * Enregistre les numéros de série d'une ligne de commande pour un produit
+ * sérialisé et met à jour leur état. Sans effet pour un produit non sérialisé
+ * ou une proforma.
+ * @param {Object} connection - Connexion MySQL (dans la transaction appelante)
+ * @param {Object} order - { id, order_type, warehouse_id, from_warehouse_id, user_id }
+ * @param {number} orderItemId - ID de la ligne order_items
+ * @param {Object} item - Ligne reçue (product_id, quantity, serial_numbers,
+ *   original_order_item_id)
+ * @throws {Error} Numéros manquants, en double, inconnus ou dans un état
+ *   incompatible (ex. numéro non vendu sur la commande d'origine d'un retour)
+ */
+async function applyOrderItemSerials(connection, order, orderItemId, item) {
+  const transition = SERIAL_TRANSITIONS[order.order_type];
+  if (!transition) return;
+
+  const [products] = await connection.query(
+    "SELECT name, is_serialized FROM products WHERE id = ?",
+    [item.product_id]
+  );
+  if (products.length === 0 || !products[0].is_serialized) return;
+  const productName = products[0].name;
+
+  const serials = normalizeSerialNumbers(item.serial_numbers);
+  const quantity = parseFloat(item.quantity);
+  if (!Number.isInteger(quantity) || serials.length !== quantity) {
+    throw new Error(
+      `Le produit "${productName}" est suivi par numéro de série : ${quantity} numéro(s) attendu(s), ${serials.length} reçu(s).`
+    );
+  }
+  if (new Set(serials).size !== serials.length) {
+    throw new Error(
+      `Numéro de série en double pour le produit "${productName}".`
+    );
+  }
+
+  const isTransfer = order.order_type === "stock-transfer";
+  const sourceWarehouseId = isTransfer
+    ? order.from_warehouse_id
+    : order.warehouse_id;
+
+  for (const serialNumber of serials) {
+    const [rows] = await connection.query(
+      `SELECT * FROM product_serials WHERE product_id = ? AND serial_number = ? FOR UPDATE`,
+      [item.product_id, serialNumber]
+    );
+    const current = rows[0] || null;
+    const currentStatus = current ? current.status : null;
+
+    if (!transition.from.includes(currentStatus)) {
+      throw new Error(
+        current
+          ? `Le numéro de série ${serialNumber} ("${productName}") est au statut "${currentStatus}" : opération ${order.order_type} impossible.`
+          : `Numéro de série ${serialNumber} inconnu pour le produit "${productName}".`
+      );
+    }
+    if (
+      current &&
+      currentStatus === "in_stock" &&
+      Number(current.warehouse_id) !== Number(sourceWarehouseId)
+    ) {
+      throw new Error(
+        `Le numéro de série ${serialNumber} ("${productName}") n'est pas en stock dans ce magasin.`
+      );
+    }
+
+    if (order.order_type === "sales_return") {
+      // Le dernier mouvement du numéro doit être sa vente sur la ligne
+      // d'origine : un numéro revendu depuis (ou déjà retourné) ne peut
+      // pas revenir au titre de l'ancienne vente
+      const [lastMovement] = await connection.query(
+        `SELECT order_item_id, order_type FROM serial_movements
+         WHERE serial_id = ? AND reversed = 0
+         ORDER BY id DESC
+         LIMIT 1`,
+        [current.id]
+      );
+      if (
+        lastMovement.length === 0 ||
+        lastMovement[0].order_type !== "sales" ||
+        Number(lastMovement[0].order_item_id) !==
+          Number(item.original_order_item_id || 0)
+      ) {
+        throw new Error(
+          `Le numéro de série ${serialNumber} n'a pas été vendu sur la commande d'origine, ou a été retourné ou revendu depuis.`
+        );
+      }
+    }
+
+    const newWarehouseId = order.warehouse_id;
+    const newCustomerId =
+      order.order_type === "sales"
+        ? order.user_id
+        : order.order_type === "sales_return"
+        ? null
+        : current
+        ? current.customer_id
+        : null;
+
+    let serialId;
+    if (current) {
+      serialId = current.id;
+      await connection.query(
+        `UPDATE product_serials SET status = ?, warehouse_id = ?, customer_id = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [transition.to, newWarehouseId, newCustomerId, serialId]
+      );
+    } else {
+      const [result] = await connection.query(
+        `INSERT INTO product_serials (product_id, serial_number, status, warehouse_id, customer_id, created_at, updated_at)
+         VALUES (?, ?, ?, ?, NULL, NOW(), NOW())`,
+        [item.product_id, serialNumber, transition.to, newWarehouseId]
+      );
+      serialId = result.insertId;
+    }
+
+    await connection.query(
+      `INSERT INTO serial_movements (
+          serial_id, order_id, order_item_id, order_type, warehouse_id, user_id,
+          previous_status, previous_warehouse_id, previous_customer_id, reversed, created_at
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, NOW())`,
+      [
+        serialId,
+        order.id,
+        orderItemId,
+        order.order_type,
+        newWarehouseId,
+        isTransfer ? null : order.user_id || null,
+        currentStatus,
+        current ? current.warehouse_id : null,
+        current ? current.customer_id : null,
+      ]
+    );
+  }
+}
+
+/**
+ * Annule l'effet d'une commande sur les numéros de série (modification ou
+ * suppression) : chaque numéro revient à son état précédent. Les mouvements
+ * restent dans l'historique, marqués reversed = 1.
+ * @param {Object} connection - Connexion MySQL
+ * @param {number} orderId - ID de la commande
+ */
+async function reverseOrderSerials(connection, orderId) {
+  const [movements] = await connection.query(
+    `SELECT * FROM serial_movements WHERE order_id = ? AND reversed = 0 ORDER BY id DESC`,
+    [orderId]
+  );
+  for (const movement of movements) {
+    if (movement.previous_status === null) {
+      // Numéro créé par cette commande (achat) : il disparaît du stock
+      await connection.query(
+        `UPDATE product_serials SET status = 'cancelled', updated_at = NOW() WHERE id = ?`,
+        [movement.serial_id]
+      );
+    } else {
+      await connection.query(
+        `UPDATE product_serials SET status = ?, warehouse_id = ?, customer_id = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [
+          movement.previous_status,
+          movement.previous_warehouse_id,
+          movement.previous_customer_id,
+          movement.serial_id,
+        ]
+      );
+    }
+  }
+  await connection.query(
+    "UPDATE serial_movements SET reversed = 1 WHERE order_id = ? AND reversed = 0",
+    [orderId]
+  );
+}
+
+module.exports = {
+  normalizeSerialNumbers,
+  applyOrderItemSerials,
+  reverseOrderSerials,
+};
@@ -0,0 +1,202 @@
+// utils/stockAdjustments.js
+// Ajustements manuels de stock (stock_adjustments) : création, modification et
+// suppression passent toutes par utils/stockLedger.js, de sorte que le stock
+// du magasin, le journal stock_movements et la valorisation restent cohérents
+// (routes sous /api/stock/adjustments, voir routes/stock_adjustments.js).
+const { updateStock } = require("./stockLedger");
+
+// "substract" : orthographe historique encore envoyée par certains écrans
+const ADJUSTMENT_TYPES = ["add", "subtract", "substract"];
+
+/**
+ * Normalise le type d'ajustement ("substract" -> "subtract").
+ * @param {string} adjustmentType
+ * @returns {string|null} add, subtract, ou null si le type est inconnu
+ */
+function normalizeAdjustmentType(adjustmentType) {
+  if (!ADJUSTMENT_TYPES.includes(adjustmentType)) return null;
+  return adjustmentType === "add" ? "add" : "subtract";
+}
+
+/**
+ * Variation de stock signée d'un ajustement.
+ * @param {Object} adjustment - { quantity, adjustment_type }
+ * @returns {number}
+ */
+function adjustmentStockChange(adjustment) {
+  const quantity = parseFloat(adjustment.quantity) || 0;
+  return adjustment.adjustment_type === "add" ? quantity : -quantity;
+}
+
+/**
+ * Applique une variation signée au stock et la journalise comme ajustement.
+ * @throws {Error} Mise à jour du stock impossible
+ */
+async function applyAdjustmentStock(
+  connection,
+  productId,
+  warehouseId,
+  stockChange,
+  referenceType,
+  adjustmentId,
+  remarks
+) {
+  if (stockChange === 0) return;
+  const success = await updateStock(
+    connection,
+    productId,
+    warehouseId,
+    stockChange,
+    stockChange > 0 ? "adjustment_add" : "adjustment_substract",
+    referenceType,
+    adjustmentId,
+    remarks
+  );
+  if (!success) {
+    throw new Error(
+      `Mise à jour du stock impossible pour le produit ${productId} dans le magasin ${warehouseId}.`
+    );
+  }
+}
+
+/**
+ * Crée un ajustement et met à jour le stock du magasin.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} params - { companyId, warehouseId, productId, quantity,
+ *   adjustmentType, notes, createdBy }
+ * @returns {Promise<number>} ID de l'ajustement
+ * @throws {Error} Quantité ou type invalide, produit inconnu
+ */
+async function createStockAdjustment(connection, params) {
+  const adjustmentType = normalizeAdjustmentType(params.adjustmentType);
+  const quantity = parseFloat(params.quantity);
+  if (!adjustmentType) {
+    throw new Error("Type d'ajustement invalide (add ou subtract).");
+  }
+  if (isNaN(quantity) || quantity <= 0) {
+    throw new Error("Quantité invalide (doit être un nombre positif).");
+  }
+  await checkProduct(connection, params.productId);
+
+  const [result] = await connection.query(
+    `INSERT INTO stock_adjustments (
+        company_id, warehouse_id, product_id, quantity, adjustment_type, notes,
+        created_by, created_at, updated_at
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+    [
+      params.companyId || null,
+      params.warehouseId,
+      params.productId,
+      quantity,
+      adjustmentType,
+      params.notes || null,
+      params.createdBy || null,
+    ]
+  );
+  const adjustmentId = result.insertId;
+
+  await applyAdjustmentStock(
+    connection,
+    params.productId,
+    params.warehouseId,
+    adjustmentStockChange({ quantity, adjustment_type: adjustmentType }),
+    "stock_adjustment",
+    adjustmentId,
+    params.notes || `Ajustement manuel: ${adjustmentType}`
+  );
+  return adjustmentId;
+}
+
+/**
+ * Modifie un ajustement : l'effet d'origine est annulé puis le nouvel effet
+ * appliqué (le produit et le magasin peuvent changer).
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} adjustment - Ligne stock_adjustments d'origine
+ * @param {Object} params - { warehouseId, productId, quantity,
+ *   adjustmentType, notes } (valeurs d'origine si absentes)
+ * @throws {Error} Quantité ou type invalide, produit inconnu
+ */
+async function updateStockAdjustment(connection, adjustment, params) {
+  const adjustmentType = normalizeAdjustmentType(
+    params.adjustmentType || adjustment.adjustment_type
+  );
+  const quantity = parseFloat(
+    params.quantity !== undefined ? params.quantity : adjustment.quantity
+  );
+  if (!adjustmentType) {
+    throw new Error("Type d'ajustement invalide (add ou subtract).");
+  }
+  if (isNaN(quantity) || quantity <= 0) {
+    throw new Error("Quantité invalide (doit être un nombre positif).");
+  }
+  const productId = params.productId || adjustment.product_id;
+  const warehouseId = params.warehouseId || adjustment.warehouse_id;
+  const notes = params.notes !== undefined ? params.notes : adjustment.notes;
+  await checkProduct(connection, productId);
+
+  await applyAdjustmentStock(
+    connection,
+    adjustment.product_id,
+    adjustment.warehouse_id,
+    -adjustmentStockChange(adjustment),
+    "stock_adjustment_update",
+    adjustment.id,
+    `Annulation avant mise à jour Ajustement ID ${adjustment.id}`
+  );
+  await connection.query(
+    `UPDATE stock_adjustments
+     SET warehouse_id = ?, product_id = ?, quantity = ?, adjustment_type = ?,
+         notes = ?, updated_at = NOW()
+     WHERE id = ?`,
+    [warehouseId, productId, quantity, adjustmentType, notes, adjustment.id]
+  );
+  await applyAdjustmentStock(
+    connection,
+    productId,
+    warehouseId,
+    adjustmentStockChange({ quantity, adjustment_type: adjustmentType }),
+    "stock_adjustment",
+    adjustment.id,
+    notes || `Ajustement manuel mis à jour: ${adjustmentType}`
+  );
+}
+
+/**
+ * Supprime un ajustement et annule son effet sur le stock.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} adjustment - Ligne stock_adjustments
+ */
+async function deleteStockAdjustment(connection, adjustment) {
+  await applyAdjustmentStock(
+    connection,
+    adjustment.product_id,
+    adjustment.warehouse_id,
+    -adjustmentStockChange(adjustment),
+    "stock_adjustment_delete",
+    adjustment.id,
+    `Suppression Ajustement ID ${adjustment.id}`
+  );
+  await connection.query("DELETE FROM stock_adjustments WHERE id = ?", [
+    adjustment.id,
+  ]);
+}
+
+/** Vérifie l'existence du produit ajusté. */
+async function checkProduct(connection, productId) {
+  const [rows] = await connection.query(
+    "SELECT id FROM products WHERE id = ?",
+    [productId]
+  );
+  if (rows.length === 0) {
+    throw new Error(`Produit non trouvé pour product_id ${productId}.`);
+  }
+}
+
+module.exports = {
+  ADJUSTMENT_TYPES,
+  normalizeAdjustmentType,
+  adjustmentStockChange,
+  createStockAdjustment,
+  updateStockAdjustment,
+  deleteStockAdjustment,
+};
@@ -0,0 +1,351 @@
+// utils/stockBatches.js
+// Lots (numéro de lot + date de péremption) par produit et par magasin.
+// product_batches.quantity est la quantité restante du lot dans le magasin ;
+// order_item_batches garde, pour chaque ligne de commande, les lots touchés
+// (quantité signée : + entrée, - sortie) afin de pouvoir annuler l'opération.
+// Les sorties sans lot précisé suivent la règle FEFO : le lot qui périme en
+// premier sort en premier, les lots sans date de péremption en dernier.
+
+/**
+ * Ajoute une quantité à un lot (créé s'il n'existe pas dans ce magasin).
+ * @param {Object} connection - Connexion MySQL (dans la transaction appelante)
+ * @param {Object} batch - { productId, warehouseId, batchNumber, expiryDate,
+ *   manufactureDate, quantity, sourceType, sourceId }
+ * @returns {Promise<Object>} Lot { id, batch_number, expiry_date }
+ */
+async function receiveBatch(connection, batch) {
+  const quantity = parseFloat(batch.quantity);
+  await connection.query(
+    `INSERT INTO product_batches (
+        product_id, warehouse_id, batch_number, expiry_date, manufacture_date,
+        quantity, initial_quantity, source_type, source_id, created_at, updated_at
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+     ON DUPLICATE KEY UPDATE
+        quantity = quantity + VALUES(quantity),
+        initial_quantity = initial_quantity + GREATEST(VALUES(quantity), 0),
+        expiry_date = COALESCE(VALUES(expiry_date), expiry_date),
+        manufacture_date = COALESCE(VALUES(manufacture_date), manufacture_date),
+        updated_at = NOW()`,
+    [
+      batch.productId,
+      batch.warehouseId,
+      batch.batchNumber,
+      batch.expiryDate || null,
+      batch.manufactureDate || null,
+      quantity,
+      Math.max(quantity, 0),
+      batch.sourceType || null,
+      batch.sourceId || null,
+    ]
+  );
+  const [rows] = await connection.query(
+    `SELECT id, batch_number, expiry_date FROM product_batches
+     WHERE product_id = ? AND warehouse_id = ? AND batch_number = ?`,
+    [batch.productId, batch.warehouseId, batch.batchNumber]
+  );
+  return rows[0];
+}
+
+/**
+ * Propose les lots à prélever selon FEFO, sans modifier le stock.
+ * @param {Object} connection - Connexion MySQL
+ * @param {number} productId - ID du produit
+ * @param {number} warehouseId - Magasin
+ * @param {number} quantity - Quantité à prélever
+ * @param {boolean} forUpdate - Verrouiller les lots lus (SELECT ... FOR UPDATE)
+ * @returns {Promise<Object>} { allocations: [{ batch_id, batch_number,
+ *   expiry_date, available, quantity }], unallocated }
+ */
+async function suggestFefo(
+  connection,
+  productId,
+  warehouseId,
+  quantity,
+  forUpdate = false
+) {
+  const [batches] = await connection.query(
+    `SELECT id, batch_number, expiry_date, quantity
+     FROM product_batches
+     WHERE product_id = ? AND warehouse_id = ? AND quantity > 0
+     ORDER BY expiry_date IS NULL, expiry_date ASC, id ASC${
+       forUpdate ? " FOR UPDATE" : ""
+     }`,
+    [productId, warehouseId]
+  );
+
+  let remaining = parseFloat(quantity) || 0;
+  const allocations = [];
+  for (const batch of batches) {
+    if (remaining <= 0) break;
+    const available = parseFloat(batch.quantity);
+    const taken = Math.min(available, remaining);
+    allocations.push({
+      batch_id: batch.id,
+      batch_number: batch.batch_number,
+      expiry_date: batch.expiry_date,
+      available,
+      quantity: taken,
+    });
+    remaining -= taken;
+  }
+  return { allocations, unallocated: Math.max(remaining, 0) };
+}
+
+/**
+ * Prélève une quantité dans les lots d'un magasin : dans le lot demandé si
+ * batchNumber est fourni, sinon selon FEFO. La part non couverte par des lots
+ * (stock antérieur au suivi des lots) est renvoyée dans `unallocated`.
+ * @returns {Promise<Object>} { allocations, unallocated }
+ * @throws {Error} Si le lot demandé n'existe pas ou est insuffisant
+ */
+async function consumeBatches(
+  connection,
+  productId,
+  warehouseId,
+  quantity,
+  batchNumber = null
+) {
+  const qty = parseFloat(quantity);
+  let result;
+  if (batchNumber) {
+    const [rows] = await connection.query(
+      `SELECT id, batch_number, expiry_date, quantity FROM product_batches
+       WHERE product_id = ? AND warehouse_id = ? AND batch_number = ?
+       FOR UPDATE`,
+      [productId, warehouseId, batchNumber]
+    );
+    if (rows.length === 0 || parseFloat(rows[0].quantity) < qty) {
+      throw new Error(
+        `Lot ${batchNumber} introuvable ou insuffisant pour le produit ID ${productId} (disponible: ${
+          rows.length > 0 ? rows[0].quantity : 0
+        }, demandé: ${qty}).`
+      );
+    }
+    result = {
+      allocations: [
+        {
+          batch_id: rows[0].id,
+          batch_number: rows[0].batch_number,
+          expiry_date: rows[0].expiry_date,
+          available: parseFloat(rows[0].quantity),
+          quantity: qty,
+        },
+      ],
+      unallocated: 0,
+    };
+  } else {
+    result = await suggestFefo(connection, productId, warehouseId, qty, true);
+  }
+
+  for (const allocation of result.allocations) {
+    await connection.query(
+      `UPDATE product_batches SET quantity = quantity - ?, updated_at = NOW()
+       WHERE id = ?`,
+      [allocation.quantity, allocation.batch_id]
+    );
+  }
+  return result;
+}
+
+/**
+ * Enregistre les lots d'une ligne de commande et met à jour les lots.
+ * Le sens est donné par le signe de la variation de stock :
+ * - sortie (vente, retour d'achat, départ de transfert) : prélèvement du lot
+ *   demandé (item.batch_number) ou FEFO ;
+ * - entrée (achat, retour de vente) : réception dans item.batch_number ou,
+ *   pour un retour de vente sans lot précisé, dans les lots vendus à
+ *   l'origine, au prorata de leur prélèvement ;
+ * - arrivée de transfert : réception des lots prélevés à la source.
+ * @param {Object} connection - Connexion MySQL
+ * @param {Object} order - { id, order_type, warehouse_id, from_warehouse_id }
+ * @param {number} orderItemId - ID de la ligne order_items
+ * @param {Object} item - Ligne reçue (product_id, batch_number, expiry_date,
+ *   manufacture_date, original_order_item_id)
+ * @param {number} sourceChange - Variation signée au magasin principal/source
+ * @param {number} destChange - Variation au magasin de destination (transfert)
+ * @returns {Promise<Object>} { source, dest } : variations ventilées par lot
+ *   [{ quantity, batch_number }], dont la somme vaut la variation demandée
+ */
+async function applyOrderItemBatches(
+  connection,
+  order,
+  orderItemId,
+  item,
+  sourceChange,
+  destChange = 0
+) {
+  const parts = { source: [], dest: [] };
+  const isTransfer = order.order_type === "stock-transfer";
+  const sourceWarehouseId = isTransfer
+    ? order.from_warehouse_id
+    : order.warehouse_id;
+
+  const linkBatch = (batchId, quantity) =>
+    connection.query(
+      `INSERT INTO order_item_batches (order_id, order_item_id, batch_id, quantity, created_at)
+       VALUES (?, ?, ?, ?, NOW())`,
+      [order.id, orderItemId, batchId, quantity]
+    );
+
+  let allocations = [];
+  if (sourceChange < 0) {
+    const consumed = await consumeBatches(
+      connection,
+      item.product_id,
+      sourceWarehouseId,
+      -sourceChange,
+      item.batch_number || null
+    );
+    allocations = consumed.allocations;
+    for (const allocation of allocations) {
+      await linkBatch(allocation.batch_id, -allocation.quantity);
+      parts.source.push({
+        quantity: -allocation.quantity,
+        batch_number: allocation.batch_number,
+      });
+    }
+    if (consumed.unallocated > 0) {
+      parts.source.push({
+        quantity: -consumed.unallocated,
+        batch_number: null,
+      });
+    }
+  } else if (sourceChange > 0) {
+    let returned = [
+      {
+        batchNumber: item.batch_number || null,
+        expiryDate: item.expiry_date || null,
+        quantity: sourceChange,
+      },
+    ];
+    if (!item.batch_number && item.original_order_item_id) {
+      // Retour de vente : réintégrer dans les lots vendus à l'origine, au
+      // prorata des quantités prélevées dans chacun (vente sur plusieurs lots)
+      const [originalBatches] = await connection.query(
+        `SELECT pb.batch_number, pb.expiry_date, -SUM(oib.quantity) AS quantity
+         FROM order_item_batches oib
+         JOIN product_batches pb ON oib.batch_id = pb.id
+         WHERE oib.order_item_id = ? AND oib.quantity < 0
+         GROUP BY pb.id, pb.batch_number, pb.expiry_date
+         ORDER BY MIN(oib.id) ASC`,
+        [item.original_order_item_id]
+      );
+      const consumed = originalBatches.reduce(
+        (sum, batch) => sum + parseFloat(batch.quantity),
+        0
+      );
+      if (consumed > 0) {
+        let remaining = sourceChange;
+        returned = originalBatches.map((batch, index) => {
+          const quantity =
+            index === originalBatches.length - 1
+              ? Math.round(remaining * 10000) / 10000
+              : Math.round(
+                  ((sourceChange * parseFloat(batch.quantity)) / consumed) *
+                    10000
+                ) / 10000;
+          remaining -= quantity;
+          return {
+            batchNumber: batch.batch_number,
+            expiryDate: batch.expiry_date,
+            quantity,
+          };
+        });
+        returned = returned.filter((part) => part.quantity > 0);
+      }
+    }
+    for (const part of returned) {
+      if (part.batchNumber) {
+        const batch = await receiveBatch(connection, {
+          productId: item.product_id,
+          warehouseId: sourceWarehouseId,
+          batchNumber: part.batchNumber,
+          expiryDate: part.expiryDate,
+          manufactureDate: item.manufacture_date,
+          quantity: part.quantity,
+          sourceType: order.order_type,
+          sourceId: order.id,
+        });
+        await linkBatch(batch.id, part.quantity);
+        allocations.push({
+          batch_id: batch.id,
+          batch_number: batch.batch_number,
+          expiry_date: batch.expiry_date,
+          quantity: part.quantity,
+        });
+      }
+      parts.source.push({
+        quantity: part.quantity,
+        batch_number: part.batchNumber,
+      });
+    }
+  }
+
+  if (destChange > 0) {
+    let transferred = 0;
+    for (const allocation of allocations) {
+      const batch = await receiveBatch(connection, {
+        productId: item.product_id,
+        warehouseId: order.warehouse_id,
+        batchNumber: allocation.batch_number,
+        expiryDate: allocation.expiry_date,
+        quantity: allocation.quantity,
+        sourceType: order.order_type,
+        sourceId: order.id,
+      });
+      await linkBatch(batch.id, allocation.quantity);
+      parts.dest.push({
+        quantity: allocation.quantity,
+        batch_number: allocation.batch_number,
+      });
+      transferred += allocation.quantity;
+    }
+    if (destChange - transferred > 0) {
+      parts.dest.push({
+        quantity: destChange - transferred,
+        batch_number: null,
+      });
+    }
+  }
+
+  // Une ligne sur un seul lot garde son lot (affichage facture / bon de livraison)
+  if (allocations.length === 1) {
+    await connection.query(
+      `UPDATE order_items SET batch_number = ?, expiry_date = ? WHERE id = ?`,
+      [allocations[0].batch_number, allocations[0].expiry_date, orderItemId]
+    );
+  }
+
+  return parts;
+}
+
+/**
+ * Annule l'effet d'une commande sur les lots (modification ou suppression
+ * de la commande) et supprime les liens order_item_batches correspondants.
+ * @param {Object} connection - Connexion MySQL
+ * @param {number} orderId - ID de la commande
+ */
+async function reverseOrderBatches(connection, orderId) {
+  const [links] = await connection.query(
+    "SELECT batch_id, quantity FROM order_item_batches WHERE order_id = ?",
+    [orderId]
+  );
+  for (const link of links) {
+    await connection.query(
+      `UPDATE product_batches SET quantity = quantity - ?, updated_at = NOW()
+       WHERE id = ?`,
+      [link.quantity, link.batch_id]
+    );
+  }
+  await connection.query("DELETE FROM order_item_batches WHERE order_id = ?", [
+    orderId,
+  ]);
+}
+
+module.exports = {
+  receiveBatch,
+  suggestFefo,
+  consumeBatches,
+  applyOrderItemBatches,
+  reverseOrderBatches,
+};
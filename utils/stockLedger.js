@@ -0,0 +1,279 @@
+// utils/stockLedger.js
+// Stock par magasin : product_details contient une ligne par (produit, magasin)
+// et chaque variation est journalisée dans stock_movements avec son magasin,
+// puis valorisée au CMUP ou en FIFO (voir utils/inventoryCosting.js).
+const { costStockMovement } = require("./inventoryCosting");
+
+/**
+ * Journalise un mouvement de stock.
+ * La quantité est signée selon le type de mouvement (négative pour les sorties).
+ * batchNumber indique le lot concerné, le cas échéant (voir utils/stockBatches.js).
+ * Une erreur de valorisation est propagée : la transaction appelante est
+ * annulée plutôt que d'enregistrer un mouvement sans coût.
+ */
+async function logStockMovement(
+  connection,
+  productId,
+  warehouseId,
+  quantity,
+  movementType,
+  referenceType,
+  referenceId,
+  remarks = null,
+  relatedWarehouseId = null,
+  batchNumber = null
+) {
+  let movementId = null;
+  try {
+    // Ensure quantity is a number and has the correct sign based on movement type
+    let signedQuantity = parseFloat(quantity);
+    if (isNaN(signedQuantity)) {
+      return;
+    }
+
+    // Determine the sign based on movement type (negative for outflows)
+    if (
+      [
+        "sales",
+        "purchase_return",
+        "transfer_out",
+        "adjustment_substract",
+        "deletion",
+        "return_out",
+      ].includes(movementType)
+    ) {
+      signedQuantity = -Math.abs(signedQuantity);
+    } else if (movementType !== "production") {
+      signedQuantity = Math.abs(signedQuantity);
+    }
+    // Production : consommation (-) et produits finis (+) gardent leur signe
+
+    // Map adjustment types for logging clarity
+    if (movementType === "adjustment_add") movementType = "adjustment";
+    if (movementType === "adjustment_substract") movementType = "adjustment";
+
+    // Ensure valid movementType for ENUM
+    const validMovementTypes = [
+      "purchase",
+      "sales",
+      "adjustment",
+      "transfer_out",
+      "transfer_in",
+      "deletion",
+      "production",
+      "return_in",
+      "return_out",
+    ];
+    if (!validMovementTypes.includes(movementType)) {
+      console.error(
+        `Invalid movement_type provided to logStockMovement: ${movementType}`
+      );
+      if (movementType === "add") movementType = "adjustment";
+      if (movementType === "substract") movementType = "adjustment"; // Use 'adjustment' and rely on quantity sign
+
+      if (!validMovementTypes.includes(movementType)) {
+        return; // Skip logging if type is still invalid
+      }
+    }
+
+    const logQuery = `
+      INSERT INTO stock_movements (
+        product_id, warehouse_id, quantity, movement_type,
+        reference_type, reference_id, remarks, related_warehouse_id, batch_number,
+        created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    `;
+    const [logResult] = await connection.query(logQuery, [
+      productId,
+      warehouseId,
+      signedQuantity, // Use the signed quantity reflecting inflow/outflow
+      movementType,
+      referenceType, // e.g., 'order', 'adjustment', 'transfer'
+      referenceId, // e.g., order_id, adjustment_id
+      remarks,
+      relatedWarehouseId, // e.g., source/destination warehouse for transfers
+      batchNumber,
+    ]);
+    movementId = logResult.insertId;
+  } catch (error) {
+    console.error("Error logging stock movement:", error);
+    // Do not throw error here to avoid breaking the main transaction, just log it.
+  }
+  // Hors du catch : un échec de valorisation annule la transaction
+  if (movementId) await costStockMovement(connection, movementId);
+}
+
+/**
+ * Applique une variation au stock d'un produit dans un magasin, en créant la
+ * ligne product_details du magasin si elle n'existe pas encore (première
+ * réception, premier transfert entrant...). Ne journalise pas le mouvement.
+ * @param {Object} connection - Connexion MySQL (dans la transaction appelante)
+ * @param {number} productId - ID du produit
+ * @param {number} warehouseId - Magasin dont le stock varie
+ * @param {number} quantityChange - Variation signée (+ entrée, - sortie)
+ * @param {number|null} priceSourceWarehouseId - Magasin dont copier les prix
+ *   si la ligne est créée (magasin source d'un transfert)
+ * @returns {Promise<Object>} Résultat MySQL de l'upsert
+ */
+async function applyStockChange(
+  connection,
+  productId,
+  warehouseId,
+  quantityChange,
+  priceSourceWarehouseId = null
+) {
+  const qtyChange = parseFloat(quantityChange);
+
+  let purchasePrice = 0;
+  let salesPrice = 0;
+
+  if (priceSourceWarehouseId) {
+    try {
+      const [sourcePriceRows] = await connection.query(
+        `SELECT purchase_price, sales_price FROM product_details WHERE product_id = ? AND warehouse_id = ?`,
+        [productId, priceSourceWarehouseId]
+      );
+      if (sourcePriceRows.length > 0) {
+        purchasePrice = sourcePriceRows[0].purchase_price || 0;
+        salesPrice = sourcePriceRows[0].sales_price || 0;
+      }
+    } catch (priceError) {
+      console.error(
+        `Erreur lors de la récupération des prix de l'entrepôt source ${priceSourceWarehouseId} pour produit ${productId}:`,
+        priceError
+      );
+      // Conserver les prix par défaut à 0 en cas d'erreur
+    }
+  }
+
+  // Requiert l'index unique (product_id, warehouse_id), voir add_warehouse_stock.sql
+  const upsertStockSql = `
+    INSERT INTO product_details (
+      product_id, warehouse_id,
+      current_stock,  -- Initial stock on insert
+      opening_stock,  -- Initial opening stock on insert
+      purchase_price, -- Prix d'achat à l'insertion
+      sales_price,    -- Prix de vente à l'insertion
+      created_at,
+      updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())
+    ON DUPLICATE KEY UPDATE
+      current_stock = current_stock + ?, -- Add the change on update
+      updated_at = NOW()
+  `;
+
+  // opening_stock should only be set if it's the first positive addition.
+  const initialStockValue = qtyChange > 0 ? qtyChange : 0;
+
+  const [upsertResult] = await connection.query(upsertStockSql, [
+    productId,
+    warehouseId,
+    qtyChange,
+    initialStockValue,
+    purchasePrice,
+    salesPrice,
+    qtyChange,
+  ]);
+  return upsertResult;
+}
+
+/**
+ * Met à jour le stock d'un produit dans un magasin et journalise le mouvement.
+ * @returns {Promise<boolean>} false si les paramètres sont invalides
+ */
+async function updateStock(
+  connection,
+  productId,
+  warehouseId,
+  quantityChange,
+  movementType,
+  referenceType,
+  referenceId,
+  remarks = null,
+  relatedWarehouseId = null,
+  batchNumber = null
+) {
+  const qtyChange = parseFloat(quantityChange); // Ensure it's a number
+  if (isNaN(qtyChange) || !productId || !warehouseId) {
+    return false;
+  }
+
+  try {
+    // Pour une entrée de transfert, reprendre les prix du magasin source
+    const upsertResult = await applyStockChange(
+      connection,
+      productId,
+      warehouseId,
+      qtyChange,
+      movementType === "transfer_in" ? relatedWarehouseId : null
+    );
+
+    // affectedRows: 1 = INSERT, 2 = UPDATE (or 0 if UPDATE resulted in no change)
+    if (upsertResult.affectedRows > 0) {
+      await logStockMovement(
+        connection,
+        productId,
+        warehouseId,
+        qtyChange,
+        movementType,
+        referenceType,
+        referenceId,
+        remarks,
+        relatedWarehouseId,
+        batchNumber
+      );
+      return true;
+    }
+    // affectedRows=0 might happen if qtyChange is 0, which is still a success.
+    return qtyChange === 0;
+  } catch (error) {
+    console.error(
+      `Error during stock upsert for Product ${productId} in Warehouse ${warehouseId}:`,
+      error
+    );
+    // Rethrow the error to ensure the calling function can handle transaction rollback.
+    throw error;
+  }
+}
+
+/**
+ * Lit le stock d'un ou plusieurs produits dans un magasin.
+ * @param {Object} connection - Connexion MySQL
+ * @param {number[]} productIds - IDs des produits
+ * @param {number} warehouseId - Magasin
+ * @param {boolean} forUpdate - Verrouiller les lignes (SELECT ... FOR UPDATE)
+ * @returns {Promise<Object>} Map product_id -> stock (0 si aucune ligne)
+ */
+async function getWarehouseStock(
+  connection,
+  productIds,
+  warehouseId,
+  forUpdate = false
+) {
+  const stockMap = {};
+  if (!productIds || productIds.length === 0) {
+    return stockMap;
+  }
+  productIds.forEach((id) => {
+    stockMap[id] = 0;
+  });
+
+  const [rows] = await connection.query(
+    `SELECT product_id, current_stock FROM product_details
+     WHERE product_id IN (?) AND warehouse_id = ?${
+       forUpdate ? " FOR UPDATE" : ""
+     }`,
+    [productIds, warehouseId]
+  );
+  rows.forEach((row) => {
+    stockMap[row.product_id] = parseFloat(row.current_stock) || 0;
+  });
+  return stockMap;
+}
+
+module.exports = {
+  logStockMovement,
+  applyStockChange,
+  updateStock,
+  getWarehouseStock,
+};
@@ -0,0 +1,557 @@
+// utils/stockTransfers.js
+// Transferts de stock en deux temps : un transfert (orders.order_type =
+// stock-transfer) avec un transfer_status suit le cycle brouillon -> en
+// transit -> reçu, ou annulé. À l'expédition, le stock quitte le magasin
+// source (lots FEFO, numéros de série "in_transit") ; la marchandise est alors
+// en transit, hors du stock de tout magasin. À la réception, le magasin de
+// destination confirme les quantités arrivées : seules les quantités reçues
+// entrent en stock, au coût de l'expédition (mouvements reference_type =
+// stock_transfer, voir utils/inventoryCosting.js), les manquants et les
+// quantités endommagées sont enregistrés comme écarts.
+// Un transfert sans transfer_status garde le mouvement immédiat.
+const { updateStock } = require("./stockLedger");
+const { nextDocumentNumber } = require("./documentNumbers");
+const {
+  receiveBatch,
+  applyOrderItemBatches,
+  reverseOrderBatches,
+} = require("./stockBatches");
+const {
+  normalizeSerialNumbers,
+  applyOrderItemSerials,
+  reverseOrderSerials,
+} = require("./serialNumbers");
+
+const TRANSFER_STATUS_LABELS = {
+  draft: "Brouillon",
+  in_transit: "En transit",
+  received: "Reçu",
+  cancelled: "Annulé",
+};
+
+// Statuts de départ autorisés pour chaque action
+const TRANSFER_TRANSITIONS = {
+  dispatch: ["draft"],
+  receive: ["in_transit"],
+  cancel: ["draft", "in_transit"],
+};
+
+const DISCREPANCY_TYPES = { short: "Manquant", damaged: "Endommagé" };
+
+const EPSILON = 0.0001;
+
+/**
+ * Indique si une commande est un transfert en deux temps.
+ * @param {Object} order - { order_type, transfer_status }
+ * @returns {boolean}
+ */
+function isTransferWorkflow(order) {
+  return Boolean(
+    order && order.order_type === "stock-transfer" && order.transfer_status
+  );
+}
+
+/**
+ * Vérifie qu'une action est possible depuis le statut actuel du transfert.
+ * @param {Object} order - { order_type, transfer_status, is_deleted }
+ * @param {string} action - dispatch, receive ou cancel
+ * @returns {string|null} Message d'erreur, ou null si l'action est permise
+ */
+function checkTransferTransition(order, action) {
+  if (!isTransferWorkflow(order) || order.is_deleted) {
+    return "Cette commande n'est pas un transfert de stock actif.";
+  }
+  if (!TRANSFER_TRANSITIONS[action].includes(order.transfer_status)) {
+    return `Action impossible : le transfert est au statut "${
+      TRANSFER_STATUS_LABELS[order.transfer_status] || order.transfer_status
+    }".`;
+  }
+  return null;
+}
+
+/**
+ * Crée un transfert en brouillon (numéro TRF..., lignes au prix d'achat du
+ * magasin source) : commande order_type = stock-transfer, transfer_status =
+ * draft. Seule création de transfert (POST /api/stock/transfers).
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} params - { companyId, fromWarehouseId, warehouseId,
+ *   orderDate, notes, staffUserId, items: [{ product_id, unit_id, quantity,
+ *   unit_price }] }
+ * @returns {Promise<Object>} { id, invoice_number }
+ * @throws {Error} Magasins invalides ou quantité invalide
+ */
+async function createStockTransfer(connection, params) {
+  const { companyId, fromWarehouseId, warehouseId, items } = params;
+  if (Number(fromWarehouseId) === Number(warehouseId)) {
+    throw new Error(
+      "Les magasins source et destination doivent être différents."
+    );
+  }
+  const [warehouses] = await connection.query(
+    "SELECT id FROM warehouses WHERE id IN (?, ?) AND company_id = ?",
+    [fromWarehouseId, warehouseId, companyId]
+  );
+  if (warehouses.length !== 2) {
+    throw new Error(
+      "Les magasins source et destination doivent appartenir à l'entreprise."
+    );
+  }
+
+  const orderDate = params.orderDate || new Date();
+  const invoiceNumber = await nextDocumentNumber(connection, {
+    companyId,
+    warehouseId: fromWarehouseId,
+    documentType: "stock-transfer",
+    date: orderDate,
+  });
+
+  let totalQuantity = 0;
+  for (const item of items) {
+    const quantity = parseFloat(item.quantity);
+    if (isNaN(quantity) || quantity <= 0) {
+      throw new Error(
+        `Quantité invalide pour le produit ID ${item.product_id}: ${item.quantity}`
+      );
+    }
+    totalQuantity += quantity;
+  }
+
+  const [result] = await connection.query(
+    `INSERT INTO orders (
+        company_id, invoice_number, invoice_type, order_type, order_date,
+        warehouse_id, from_warehouse_id, tax_rate, tax_amount, discount, shipping,
+        subtotal, total, paid_amount, due_amount, order_status, transfer_status,
+        notes, staff_user_id, payment_status, total_items, total_quantity,
+        is_deleted, is_deletable, created_at, transferred
+     ) VALUES (?, ?, ?, 'stock-transfer', ?, ?, ?, 0, 0, 0, 0, 0, 0, 0, 0,
+               'En attente', 'draft', ?, ?, 'n/a', ?, ?, 0, 1, NOW(), 'No')`,
+    [
+      companyId,
+      invoiceNumber,
+      "stock-transfer",
+      orderDate,
+      warehouseId,
+      fromWarehouseId,
+      params.notes || null,
+      params.staffUserId || null,
+      items.length,
+      totalQuantity,
+    ]
+  );
+  const orderId = result.insertId;
+
+  let total = 0;
+  for (const item of items) {
+    const quantity = parseFloat(item.quantity);
+    let unitPrice = parseFloat(item.unit_price);
+    if (isNaN(unitPrice)) {
+      const [prices] = await connection.query(
+        "SELECT purchase_price FROM product_details WHERE product_id = ? AND warehouse_id = ?",
+        [item.product_id, fromWarehouseId]
+      );
+      unitPrice =
+        prices.length > 0 ? parseFloat(prices[0].purchase_price) || 0 : 0;
+    }
+    total += quantity * unitPrice;
+    await connection.query(
+      `INSERT INTO order_items (
+          order_id, product_id, unit_id, quantity, unit_price, single_unit_price,
+          tax_id, tax_rate, tax_type, discount_rate, total_tax, total_discount, subtotal
+       ) VALUES (?, ?, ?, ?, ?, ?, NULL, 0, NULL, 0, 0, 0, ?)`,
+      [
+        orderId,
+        item.product_id,
+        item.unit_id || null,
+        quantity,
+        unitPrice,
+        unitPrice,
+        quantity * unitPrice,
+      ]
+    );
+  }
+  await connection.query(
+    "UPDATE orders SET subtotal = ?, total = ? WHERE id = ?",
+    [total, total, orderId]
+  );
+
+  return { id: orderId, invoice_number: invoiceNumber };
+}
+
+/**
+ * Expédie un transfert : sortie du stock du magasin source, lot par lot.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} order - Transfert (ligne orders)
+ * @param {Object} params - { userId, lines: [{ order_item_id, batch_number,
+ *   serial_numbers }] } (lot imposé et numéros de série par ligne)
+ */
+async function dispatchTransfer(connection, order, params = {}) {
+  const [items] = await connection.query(
+    "SELECT id, product_id, quantity FROM order_items WHERE order_id = ?",
+    [order.id]
+  );
+  const linesByItem = new Map(
+    (params.lines || []).map((line) => [Number(line.order_item_id), line])
+  );
+
+  for (const item of items) {
+    const quantity = parseFloat(item.quantity);
+    if (!(quantity > 0)) continue;
+    const line = linesByItem.get(Number(item.id)) || {};
+
+    await applyOrderItemSerials(
+      connection,
+      {
+        id: order.id,
+        order_type: "transfer_dispatch",
+        warehouse_id: order.from_warehouse_id,
+      },
+      item.id,
+      {
+        product_id: item.product_id,
+        quantity,
+        serial_numbers: line.serial_numbers,
+      }
+    );
+    const batchParts = await applyOrderItemBatches(
+      connection,
+      order,
+      item.id,
+      { product_id: item.product_id, batch_number: line.batch_number },
+      -quantity
+    );
+    for (const part of batchParts.source) {
+      await updateStock(
+        connection,
+        item.product_id,
+        order.from_warehouse_id,
+        part.quantity,
+        "transfer_out",
+        "stock_transfer",
+        order.id,
+        `Expédition transfert ${order.invoice_number}`,
+        order.warehouse_id,
+        part.batch_number
+      );
+    }
+  }
+
+  await connection.query(
+    `UPDATE orders
+     SET transfer_status = 'in_transit', order_status = 'En traitement',
+         dispatched_at = NOW(), dispatched_by = ?
+     WHERE id = ?`,
+    [params.userId || null, order.id]
+  );
+}
+
+/**
+ * Coût unitaire moyen d'un produit à l'expédition du transfert.
+ * @returns {Promise<number>}
+ */
+async function dispatchUnitCost(connection, order, productId) {
+  const [[row]] = await connection.query(
+    `SELECT SUM(-quantity * unit_cost) / NULLIF(SUM(-quantity), 0) AS unit_cost
+     FROM stock_movements
+     WHERE reference_type = 'stock_transfer' AND reference_id = ?
+       AND product_id = ? AND warehouse_id = ? AND quantity < 0`,
+    [order.id, productId, order.from_warehouse_id]
+  );
+  return parseFloat(row && row.unit_cost) || 0;
+}
+
+/**
+ * Entrée en stock au magasin de destination, dans les lots sortis du magasin
+ * source (dans l'ordre de l'expédition).
+ */
+async function receiveItemStock(connection, order, item, quantity) {
+  const [links] = await connection.query(
+    `SELECT -oib.quantity AS quantity, pb.batch_number, pb.expiry_date
+     FROM order_item_batches oib
+     JOIN product_batches pb ON oib.batch_id = pb.id
+     WHERE oib.order_item_id = ? AND oib.quantity < 0
+     ORDER BY oib.id ASC`,
+    [item.id]
+  );
+
+  const parts = [];
+  let left = quantity;
+  for (const link of links) {
+    if (left <= EPSILON) break;
+    const partQuantity = Math.min(left, parseFloat(link.quantity));
+    const batch = await receiveBatch(connection, {
+      productId: item.product_id,
+      warehouseId: order.warehouse_id,
+      batchNumber: link.batch_number,
+      expiryDate: link.expiry_date,
+      quantity: partQuantity,
+      sourceType: order.order_type,
+      sourceId: order.id,
+    });
+    await connection.query(
+      `INSERT INTO order_item_batches (order_id, order_item_id, batch_id, quantity, created_at)
+       VALUES (?, ?, ?, ?, NOW())`,
+      [order.id, item.id, batch.id, partQuantity]
+    );
+    parts.push({ quantity: partQuantity, batch_number: link.batch_number });
+    left -= partQuantity;
+  }
+  if (left > EPSILON) {
+    parts.push({ quantity: left, batch_number: null });
+  }
+
+  for (const part of parts) {
+    await updateStock(
+      connection,
+      item.product_id,
+      order.warehouse_id,
+      part.quantity,
+      "transfer_in",
+      "stock_transfer",
+      order.id,
+      `Réception transfert ${order.invoice_number}`,
+      order.from_warehouse_id,
+      part.batch_number
+    );
+  }
+}
+
+/**
+ * Confirme la réception d'un transfert. Une ligne non détaillée est reçue en
+ * totalité ; sinon manquant = expédié - reçu - endommagé. Pour un produit
+ * sérialisé, les numéros reçus et endommagés sont indiqués, les autres
+ * numéros expédiés sont déclarés perdus.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} order - Transfert (ligne orders)
+ * @param {Object} params - { userId, lines: [{ order_item_id,
+ *   quantity_received, quantity_damaged, reason, serial_numbers,
+ *   damaged_serial_numbers }] }
+ * @returns {Promise<Object[]>} Écarts enregistrés
+ * @throws {Error} Ligne inconnue ou quantités supérieures à l'expédié
+ */
+async function receiveTransfer(connection, order, params = {}) {
+  const [items] = await connection.query(
+    "SELECT id, product_id, quantity FROM order_items WHERE order_id = ? FOR UPDATE",
+    [order.id]
+  );
+  const itemIds = new Set(items.map((item) => Number(item.id)));
+  const linesByItem = new Map();
+  for (const line of params.lines || []) {
+    if (!itemIds.has(Number(line.order_item_id))) {
+      throw new Error(
+        `La ligne ${line.order_item_id} n'appartient pas à ce transfert.`
+      );
+    }
+    linesByItem.set(Number(line.order_item_id), line);
+  }
+
+  const discrepancies = [];
+  for (const item of items) {
+    const shipped = parseFloat(item.quantity) || 0;
+    const line = linesByItem.get(Number(item.id));
+    const received =
+      line && line.quantity_received !== undefined
+        ? parseFloat(line.quantity_received)
+        : shipped;
+    const damaged = line ? parseFloat(line.quantity_damaged) || 0 : 0;
+    if (isNaN(received) || received < 0 || damaged < 0) {
+      throw new Error(`Quantités invalides pour la ligne ${item.id}.`);
+    }
+    if (received + damaged > shipped + EPSILON) {
+      throw new Error(
+        `Reçu (${received}) + endommagé (${damaged}) dépasse la quantité expédiée (${shipped}) pour la ligne ${item.id}.`
+      );
+    }
+    const short = Math.max(shipped - received - damaged, 0);
+
+    // Numéros de série : reçus, endommagés, puis reste de l'expédition perdu
+    const receivedSerials = normalizeSerialNumbers(line && line.serial_numbers);
+    const damagedSerials = normalizeSerialNumbers(
+      line && line.damaged_serial_numbers
+    );
+    await applyOrderItemSerials(
+      connection,
+      {
+        id: order.id,
+        order_type: "transfer_receipt",
+        warehouse_id: order.warehouse_id,
+      },
+      item.id,
+      {
+        product_id: item.product_id,
+        quantity: received,
+        serial_numbers:
+          line && line.serial_numbers !== undefined
+            ? receivedSerials
+            : await inTransitSerials(connection, item.id),
+      }
+    );
+    await applyOrderItemSerials(
+      connection,
+      {
+        id: order.id,
+        order_type: "transfer_loss",
+        warehouse_id: order.from_warehouse_id,
+      },
+      item.id,
+      {
+        product_id: item.product_id,
+        quantity: damaged,
+        serial_numbers: damagedSerials,
+      }
+    );
+    const missingSerials = await inTransitSerials(connection, item.id);
+    if (missingSerials.length > 0) {
+      await applyOrderItemSerials(
+        connection,
+        {
+          id: order.id,
+          order_type: "transfer_loss",
+          warehouse_id: order.from_warehouse_id,
+        },
+        item.id,
+        {
+          product_id: item.product_id,
+          quantity: missingSerials.length,
+          serial_numbers: missingSerials,
+        }
+      );
+    }
+
+    if (received > 0) {
+      await receiveItemStock(connection, order, item, received);
+    }
+    await connection.query(
+      "UPDATE order_items SET quantity_received = ?, quantity_damaged = ? WHERE id = ?",
+      [received, damaged, item.id]
+    );
+
+    const unitCost =
+      short > EPSILON || damaged > EPSILON
+        ? await dispatchUnitCost(connection, order, item.product_id)
+        : 0;
+    for (const [type, quantity] of [
+      ["short", short],
+      ["damaged", damaged],
+    ]) {
+      if (quantity <= EPSILON) continue;
+      const discrepancy = {
+        order_id: order.id,
+        order_item_id: item.id,
+        product_id: item.product_id,
+        discrepancy_type: type,
+        quantity,
+        unit_cost: Math.round(unitCost * 10000) / 10000,
+        value: Math.round(quantity * unitCost * 100) / 100,
+        reason: (line && line.reason) || null,
+        created_by: params.userId || null,
+      };
+      await connection.query(
+        "INSERT INTO stock_transfer_discrepancies SET ?, created_at = NOW()",
+        [discrepancy]
+      );
+      discrepancies.push(discrepancy);
+    }
+  }
+
+  await connection.query(
+    `UPDATE orders
+     SET transfer_status = 'received', order_status = 'Reçu', transferred = 'Yes',
+         received_at = NOW(), received_by = ?
+     WHERE id = ?`,
+    [params.userId || null, order.id]
+  );
+  return discrepancies;
+}
+
+/** Numéros de série encore en transit expédiés par une ligne de transfert. */
+async function inTransitSerials(connection, orderItemId) {
+  const [rows] = await connection.query(
+    `SELECT ps.serial_number
+     FROM serial_movements sm
+     JOIN product_serials ps ON sm.serial_id = ps.id
+     WHERE sm.order_item_id = ? AND sm.order_type = 'transfer_dispatch'
+       AND sm.reversed = 0 AND ps.status = 'in_transit'
+     ORDER BY sm.id ASC`,
+    [orderItemId]
+  );
+  return rows.map((row) => row.serial_number);
+}
+
+/**
+ * Annule un transfert en brouillon ou en transit : la marchandise expédiée
+ * revient dans le stock et les lots du magasin source.
+ * @param {Object} connection - Connexion MySQL (transaction en cours)
+ * @param {Object} order - Transfert (ligne orders)
+ */
+async function cancelTransfer(connection, order) {
+  if (order.transfer_status === "in_transit") {
+    const [items] = await connection.query(
+      `SELECT oi.id, oi.product_id, oi.quantity,
+              pb.batch_number, -oib.quantity AS batch_quantity
+       FROM order_items oi
+       LEFT JOIN order_item_batches oib
+         ON oib.order_item_id = oi.id AND oib.quantity < 0
+       LEFT JOIN product_batches pb ON oib.batch_id = pb.id
+       WHERE oi.order_id = ?
+       ORDER BY oi.id ASC, oib.id ASC`,
+      [order.id]
+    );
+    // Une ligne par lot sorti, plus la quantité sortie hors lot
+    const returned = new Map();
+    for (const row of items) {
+      if (!returned.has(row.id)) {
+        returned.set(row.id, {
+          product_id: row.product_id,
+          left: parseFloat(row.quantity) || 0,
+          parts: [],
+        });
+      }
+      const item = returned.get(row.id);
+      if (row.batch_quantity) {
+        item.parts.push({
+          quantity: parseFloat(row.batch_quantity),
+          batch_number: row.batch_number,
+        });
+        item.left -= parseFloat(row.batch_quantity);
+      }
+    }
+
+    for (const item of returned.values()) {
+      if (item.left > EPSILON) {
+        item.parts.push({ quantity: item.left, batch_number: null });
+      }
+      for (const part of item.parts) {
+        await updateStock(
+          connection,
+          item.product_id,
+          order.from_warehouse_id,
+          part.quantity,
+          "transfer_in",
+          "stock_transfer",
+          order.id,
+          `Annulation transfert ${order.invoice_number}`,
+          order.warehouse_id,
+          part.batch_number
+        );
+      }
+    }
+    await reverseOrderBatches(connection, order.id);
+    await reverseOrderSerials(connection, order.id);
+  }
+
+  await connection.query(
+    "UPDATE orders SET transfer_status = 'cancelled' WHERE id = ?",
+    [order.id]
+  );
+}
+
+module.exports = {
+  TRANSFER_STATUS_LABELS,
+  DISCREPANCY_TYPES,
+  isTransferWorkflow,
+  checkTransferTransition,
+  createStockTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer,
+};